@@ -64,7 +64,7 @@ const {
     parseMaxMessagesValue,
     resolveMaxMessagesValue
 } = require('./lib/cli-session-utils');
-const { createMcpStdioServer } = require('./lib/mcp-stdio');
+const { createMcpStdioServer, probeMcpStdioServer } = require('./lib/mcp-stdio');
 const {
     validateWorkflowDefinition,
     executeWorkflowDefinition
@@ -83,8 +83,18 @@ const {
     dispatchAutomationNotifiers,
     formatTaskRunNotificationPayload
 } = require('./lib/automation');
-const { buildConfigHealthReport: buildConfigHealthReportCore } = require('./cli/config-health');
+const { buildConfigHealthReport: buildConfigHealthReportCore, runRemoteHealthCheck } = require('./cli/config-health');
 const { buildDoctorReport, buildDoctorLegacyPayload, renderDoctorMarkdown } = require('./cli/doctor-core');
+const { createDoctorFixController } = require('./cli/doctor-fix');
+const {
+    BUNDLE_SECTIONS,
+    BUNDLE_CONFLICT_CHOICES,
+    createConfigBundleController
+} = require('./cli/config-bundle');
+const {
+    DIRECTORY_BINDING_TARGETS,
+    createDirectoryBindingController
+} = require('./cli/directory-bindings');
 const {
     createAuthProfileController
 } = require('./cli/auth-profiles');
@@ -94,6 +104,21 @@ const {
 const {
     createBuiltinClaudeProxyRuntimeController
 } = require('./cli/claude-proxy');
+const { createTrafficRecorder } = require('./cli/traffic-recorder');
+const { createProxyBudgetController } = require('./cli/proxy-budget');
+const { createProviderMonitorController } = require('./cli/provider-monitor');
+const { createModelCatalogController } = require('./cli/model-catalog');
+const { USAGE_REPORT_GROUPS, formatUsageReportCsv, createUsageLedgerController } = require('./cli/usage-ledger');
+const { createSessionAnalyticsController } = require('./cli/session-analytics');
+const { buildSessionEvents, summarizeSessionEvents } = require('./cli/session-events');
+const { MCP_SERVER_TOOLS, createMcpServersController } = require('./cli/mcp-servers');
+const { createClaudeSettingsController } = require('./cli/claude-settings');
+const { createPromptTemplatesController } = require('./cli/prompt-templates');
+const { PLUGIN_MANIFEST_FILE, createExternalPluginsController } = require('./cli/external-plugins');
+const { createSessionSearchIndexController, resolveSessionSearchTimeRange } = require('./cli/session-search-index');
+const { createConfigHistoryController } = require('./cli/config-history');
+const { createWebAuthController } = require('./cli/web-auth');
+const { createWebTlsController } = require('./cli/web-tls');
 const {
     createOpenaiBridgeHttpHandler,
     upsertOpenaiBridgeProvider,
@@ -116,6 +141,13 @@ const {
     createZipCommandController
 } = require('./cli/zip-commands');
 const { cmdConvertSession } = require('./cli/session-convert');
+const {
+    SESSION_CONVERT_FORMATS,
+    getSessionFileExtension,
+    readSessionModel,
+    buildTargetRecords,
+    serializeSessionRecords
+} = require('./cli/session-convert-io');
 const {
     getCodexSkillsDir,
     getClaudeSkillsDir,
@@ -181,10 +213,29 @@ const INIT_MARK_FILE = path.join(CONFIG_DIR, 'codexmate-init.json');
 const BUILTIN_PROXY_SETTINGS_FILE = path.join(CONFIG_DIR, 'codexmate-proxy.json');
 const BUILTIN_CLAUDE_PROXY_SETTINGS_FILE = path.join(CONFIG_DIR, 'codexmate-claude-proxy.json');
 const OPENAI_BRIDGE_SETTINGS_FILE = path.join(CONFIG_DIR, 'codexmate-openai-bridge.json');
+const TRAFFIC_SETTINGS_FILE = path.join(CONFIG_DIR, 'codexmate-traffic.json');
+const TRAFFIC_LOG_FILE = path.join(CONFIG_DIR, 'codexmate-traffic.jsonl');
+const BUDGET_SETTINGS_FILE = path.join(CONFIG_DIR, 'codexmate-budgets.json');
+const BUDGET_STATE_FILE = path.join(CONFIG_DIR, 'codexmate-budget-state.json');
+const PROVIDER_MONITOR_SETTINGS_FILE = path.join(CONFIG_DIR, 'codexmate-provider-monitor.json');
+const PROVIDER_HEALTH_HISTORY_FILE = path.join(CONFIG_DIR, 'codexmate-provider-health.json');
+const MODEL_CATALOG_FILE = path.join(CONFIG_DIR, 'codexmate-model-catalog.json');
+const MODEL_PRICING_FILE = path.join(CONFIG_DIR, 'codexmate-model-pricing.json');
+const USAGE_LEDGER_FILE = path.join(CONFIG_DIR, 'codexmate-usage-ledger.json');
+const MCP_SERVERS_FILE = path.join(CONFIG_DIR, 'codexmate-mcp-servers.json');
+const PROMPT_TEMPLATES_FILE = path.join(CONFIG_DIR, 'codexmate-prompt-templates.json');
+const CODEX_PROMPTS_DIR = path.join(CONFIG_DIR, 'prompts');
+const EXTERNAL_PLUGINS_DIR = path.join(CONFIG_DIR, 'codexmate-plugins');
+const EXTERNAL_PLUGINS_STATE_FILE = path.join(CONFIG_DIR, 'codexmate-plugins.json');
+const WEB_AUTH_FILE = path.join(CONFIG_DIR, 'codexmate-web-auth.json');
+const WEB_TLS_DIR = path.join(CONFIG_DIR, 'codexmate-tls');
 const CODEX_SESSIONS_DIR = path.join(CONFIG_DIR, 'sessions');
 const SESSION_TRASH_DIR = path.join(CONFIG_DIR, 'codexmate-session-trash');
 const SESSION_TRASH_FILES_DIR = path.join(SESSION_TRASH_DIR, 'files');
 const SESSION_TRASH_INDEX_FILE = path.join(SESSION_TRASH_DIR, 'index.json');
+const SESSION_SEARCH_INDEX_FILE = path.join(CONFIG_DIR, 'codexmate-session-index.json');
+const CONFIG_HISTORY_DIR = path.join(CONFIG_DIR, 'codexmate-history');
+const DOCTOR_FIX_BACKUP_DIR = path.join(CONFIG_DIR, 'codexmate-doctor-backups');
 const OPENCLAW_DIR = path.join(os.homedir(), '.openclaw');
 const OPENCLAW_CONFIG_FILE = path.join(OPENCLAW_DIR, 'openclaw.json');
 const OPENCLAW_WORKSPACE_DIR = path.join(OPENCLAW_DIR, 'workspace');
@@ -193,6 +244,7 @@ const OPENCLAW_AUTH_PROFILES_FILE_NAME = 'auth-profiles.json';
 const OPENCLAW_AUTH_STATE_FILE_NAME = 'auth-state.json';
 const CLAUDE_DIR = path.join(os.homedir(), '.claude');
 const CLAUDE_SETTINGS_FILE = path.join(CLAUDE_DIR, 'settings.json');
+const CLAUDE_JSON_FILE = path.join(os.homedir(), '.claude.json');
 const CLAUDE_MD_FILE_NAME = 'CLAUDE.md';
 const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
 const CODEBUDDY_DIR = path.join(os.homedir(), '.codebuddy');
@@ -213,6 +265,7 @@ const TASK_RUN_DETAILS_DIR = path.join(CONFIG_DIR, 'codexmate-task-runs');
 const TASK_QUEUE_WORKER_FILE = path.join(CONFIG_DIR, 'codexmate-task-queue-worker.json');
 const TASK_ARTIFACTS_DIR = path.join(CONFIG_DIR, 'codexmate-task-artifacts');
 const AUTOMATION_CONFIG_FILE = path.join(CONFIG_DIR, 'codexmate-automation.json');
+const DIRECTORY_BINDINGS_FILE = path.join(CONFIG_DIR, 'codexmate-bindings.json');
 const DEFAULT_CLAUDE_MODEL = 'glm-4.7';
 const DEFAULT_MODEL_CONTEXT_WINDOW = 190000;
 const DEFAULT_MODEL_AUTO_COMPACT_TOKEN_LIMIT = 185000;
@@ -232,7 +285,6 @@ const SESSION_SUMMARY_READ_BYTES = 256 * 1024;
 const SESSION_CONTENT_READ_BYTES = SESSION_SUMMARY_READ_BYTES;
 const SESSION_PREVIEW_MESSAGE_TEXT_MAX_LENGTH = 4000;
 const EXACT_MESSAGE_COUNT_CACHE_MAX_ENTRIES = 800;
-const DEFAULT_CONTENT_SCAN_LIMIT = 50;
 const SESSION_SCAN_FACTOR = 4;
 const SESSION_SCAN_MIN_FILES = 800;
 const SESSION_BROWSE_SCAN_FACTOR = 2;
@@ -266,7 +318,11 @@ const DEFAULT_BUILTIN_PROXY_SETTINGS = Object.freeze({
     port: 8318,
     provider: '',
     authSource: 'provider',
-    timeoutMs: 30000
+    timeoutMs: 30000,
+    upstreams: [],
+    strategy: 'failover',
+    cooldownMs: 30000,
+    failureThreshold: 3
 });
 const DEFAULT_BUILTIN_CLAUDE_PROXY_SETTINGS = Object.freeze({
     enabled: false,
@@ -276,6 +332,91 @@ const DEFAULT_BUILTIN_CLAUDE_PROXY_SETTINGS = Object.freeze({
     authSource: 'provider',
     timeoutMs: 30000
 });
+const DEFAULT_TRAFFIC_SETTINGS = Object.freeze({
+    enabled: false,
+    maxBodyBytes: 256 * 1024,
+    maxFileBytes: 10 * 1024 * 1024,
+    maxFiles: 5
+});
+const DEFAULT_BUDGET_SETTINGS = Object.freeze({
+    enabled: false,
+    warnRatio: 0.8,
+    budgets: [],
+    pricing: {}
+});
+// 探测会真实调用一次模型接口（max_tokens=1），默认关闭，由用户在 Web UI 开启
+const DEFAULT_PROVIDER_MONITOR_SETTINGS = Object.freeze({
+    enabled: false,
+    intervalSec: 300,
+    timeoutMs: 8000,
+    retentionHours: 24 * 7,
+    degradeAfter: 2,
+    slowMs: 0,
+    providers: []
+});
+const DEFAULT_WEB_AUTH_SETTINGS = Object.freeze({
+    trustLoopback: true,
+    sessionTtlMs: 12 * 60 * 60 * 1000
+});
+// Web UI 只读角色可调用的 /api action，与 MCP --read-only 一样只开放查询类能力；
+// 可能返回明文密钥的接口（如 get-claude-settings、get-openclaw-config、get-config-template、export-*）不在此列，
+// tests/unit/web-read-only-secrets.test.mjs 会逐个调用列表中的接口检查
+const WEB_READ_ONLY_API_ACTIONS = Object.freeze([
+    'health-check',
+    'status',
+    'install-status',
+    'list',
+    'models',
+    'models-by-url',
+    'get-recent-configs',
+    'config-health-check',
+    'doctor',
+    'get-agents-file',
+    'get-claude-md-file',
+    'preview-agents-diff',
+    'list-skills',
+    'scan-unmanaged-skills',
+    'list-codex-skills',
+    'scan-unmanaged-codex-skills',
+    'get-openclaw-agents-file',
+    'get-openclaw-workspace-file',
+    'speed-test',
+    'openai-bridge-get-provider',
+    'list-sessions',
+    'list-sessions-usage',
+    'list-session-paths',
+    'list-session-trash',
+    'session-detail',
+    'session-events',
+    'session-plain',
+    'list-auth-profiles',
+    'proxy-status',
+    'claude-proxy-status',
+    'traffic-status',
+    'traffic-list',
+    'traffic-get',
+    'budget-status',
+    'provider-health-status',
+    'model-catalog',
+    'usage-report',
+    'session-analytics',
+    'prompt-templates-list',
+    'prompt-templates-render',
+    'plugins-list',
+    'workflow-list',
+    'workflow-get',
+    'workflow-validate',
+    'workflow-runs',
+    'task-overview',
+    'task-runs',
+    'task-run-detail',
+    'task-queue-list',
+    'task-queue-show',
+    'task-logs',
+    'config-history-list',
+    'bindings-list',
+    'bindings-resolve'
+]);
 const CLI_INSTALL_TARGETS = Object.freeze([
     {
         id: 'claude',
@@ -675,9 +816,9 @@ function readConfig() {
     return parsed;
 }
 
-function writeConfig(content) {
+function writeConfig(content, action = 'write-config') {
     try {
-        fs.writeFileSync(CONFIG_FILE, content, 'utf-8');
+        trackConfigWrite(CONFIG_FILE, action, () => fs.writeFileSync(CONFIG_FILE, content, 'utf-8'));
     } catch (e) {
         throw new Error(`写入配置失败: ${e.message}`);
     }
@@ -718,7 +859,7 @@ function updateAuthJson(apiKey) {
         } catch (e) {}
     }
     authData['OPENAI_API_KEY'] = apiKey;
-    fs.writeFileSync(AUTH_FILE, JSON.stringify(authData, null, 2), 'utf-8');
+    trackConfigWrite(AUTH_FILE, 'update-api-key', () => fs.writeFileSync(AUTH_FILE, JSON.stringify(authData, null, 2), 'utf-8'));
 }
 
 function isPlainObject(value) {
@@ -1238,12 +1379,66 @@ function collectModelProviderHeaderSegmentKeySet(content) {
     return keys;
 }
 
+function resolveConfigHistoryKind(filePath) {
+    const resolved = path.resolve(filePath);
+    if (resolved === path.resolve(CONFIG_FILE)) return 'codex-config';
+    if (resolved === path.resolve(AUTH_FILE)) return 'codex-auth';
+    if (resolved === path.resolve(CLAUDE_SETTINGS_FILE)) return 'claude-settings';
+    if (path.basename(path.dirname(resolved)) === '.claude' && /^settings(\.local)?\.json$/.test(path.basename(resolved))) return 'claude-settings';
+    if (resolved === path.resolve(CLAUDE_DIR, CLAUDE_MD_FILE_NAME)) return 'claude-md';
+    if (resolved === path.resolve(OPENCLAW_CONFIG_FILE)) return 'openclaw-config';
+    if (path.basename(resolved) === AGENTS_FILE_NAME) return 'agents';
+    if (resolved.startsWith(path.resolve(OPENCLAW_DIR) + path.sep)) return 'openclaw-workspace';
+    return 'file';
+}
+
+const {
+    trackConfigWrite,
+    runWithConfigWriteOrigin,
+    enterConfigWriteOrigin,
+    setDefaultConfigWriteOrigin,
+    listConfigHistory,
+    getConfigHistoryEntry,
+    restoreConfigHistory
+} = createConfigHistoryController({
+    fs,
+    buildLineDiff,
+    CONFIG_HISTORY_DIR,
+    resolveFileKind: resolveConfigHistoryKind
+});
+
+const mcpServers = createMcpServersController({
+    MCP_SERVERS_FILE,
+    CODEX_CONFIG_FILE: CONFIG_FILE,
+    CLAUDE_JSON_FILE,
+    CLAUDE_SETTINGS_FILE,
+    OPENCLAW_CONFIG_FILE,
+    trackConfigWrite,
+    probeServer: probeMcpStdioServer
+});
+
+const claudeSettings = createClaudeSettingsController({
+    CLAUDE_SETTINGS_FILE,
+    buildLineDiff,
+    trackConfigWrite
+});
+
+const promptTemplates = createPromptTemplatesController({
+    PROMPT_TEMPLATES_FILE,
+    CODEX_PROMPTS_DIR,
+    CLAUDE_COMMANDS_DIR: path.join(CLAUDE_DIR, 'commands')
+});
+
 const {
+    readAuthRegistry,
     listAuthProfilesInfo,
+    collectAuthExpiryAlerts,
+    upsertAuthProfile,
     importAuthProfileFromFile,
     importAuthProfileFromUpload,
     switchAuthProfile,
     deleteAuthProfile,
+    refreshAuthProfile,
     resolveAuthTokenFromCurrentProfile
 } = createAuthProfileController({
     fs,
@@ -1256,7 +1451,11 @@ const {
     isPlainObject,
     AUTH_PROFILES_DIR,
     AUTH_REGISTRY_FILE,
-    AUTH_FILE
+    AUTH_FILE,
+    trackConfigWrite,
+    postJson: probeJsonPost,
+    AUTH_TOKEN_URL: process.env.CODEXMATE_AUTH_TOKEN_URL || '',
+    AUTH_CLIENT_ID: process.env.CODEXMATE_AUTH_CLIENT_ID || ''
 });
 
 function getCodexSessionsDir() {
@@ -1323,7 +1522,7 @@ function getCodexmateDerivedSessionsRoot(target) {
 
 function normalizeSessionDerivedTarget(value) {
     const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
-    if (normalized === 'codex' || normalized === 'claude') {
+    if (SESSION_CONVERT_FORMATS.includes(normalized)) {
         return normalized;
     }
     return '';
@@ -1333,14 +1532,6 @@ function normalizeSessionDerivedSource(value) {
     return normalizeSessionDerivedTarget(value);
 }
 
-function buildSessionDerivedSourceKey(source, sessionId, filePath) {
-    const baseSource = normalizeSessionDerivedSource(source);
-    const id = typeof sessionId === 'string' ? sessionId.trim() : '';
-    const pathValue = typeof filePath === 'string' ? filePath.trim() : '';
-    const seed = `${baseSource}|${id}|${pathValue}`;
-    return crypto.createHash('sha1').update(seed).digest('hex').slice(0, 16);
-}
-
 function formatCompactTimestamp(value = Date.now()) {
     const stamp = new Date(value);
     const year = String(stamp.getFullYear());
@@ -1359,13 +1550,6 @@ function buildDerivedSessionId(baseId) {
     return `${normalized}-${formatCompactTimestamp()}-${suffix}`;
 }
 
-function buildDerivedSessionOutputDir(target, source, sourceKey) {
-    const targetRoot = getCodexmateDerivedSessionsRoot(target);
-    const safeSource = normalizeSessionDerivedSource(source) || 'codex';
-    const safeKey = typeof sourceKey === 'string' && sourceKey.trim() ? sourceKey.trim() : 'unknown';
-    return path.join(targetRoot, safeSource, safeKey);
-}
-
 function readModelsCacheEntry(cacheKey) {
     if (!cacheKey) return null;
     const entry = g_modelsCache.get(cacheKey);
@@ -1568,7 +1752,8 @@ const {
     },
     readOpenclawWorkspaceFile() {
         return readOpenclawWorkspaceFile(...arguments);
-    }
+    },
+    trackConfigWrite
 });
 
 const {
@@ -1600,7 +1785,8 @@ const {
     OPENCLAW_DEFAULT_AGENT_ID,
     OPENCLAW_AUTH_PROFILES_FILE_NAME,
     OPENCLAW_AUTH_STATE_FILE_NAME,
-    AGENTS_FILE_NAME
+    AGENTS_FILE_NAME,
+    trackConfigWrite
 });
 
 const {
@@ -1648,6 +1834,186 @@ const {
     EMPTY_CONFIG_FALLBACK_TEMPLATE
 });
 
+const {
+    planDoctorFixes,
+    applyDoctorFixes
+} = createDoctorFixController({
+    fs,
+    path,
+    DOCTOR_FIX_BACKUP_DIR,
+    readConfig,
+    readRecentConfigs,
+    async probeProvider(name, provider) {
+        const baseUrl = provider && typeof provider.base_url === 'string' ? provider.base_url : '';
+        if (!baseUrl) return { ok: false, error: '缺少 base_url' };
+        const res = await fetchModelsFromBaseUrl(baseUrl, provider.preferred_auth_method || '');
+        return res && res.error ? { ok: false, error: res.error } : { ok: true };
+    },
+    switchProvider(name, model) {
+        cmdSwitch(name, true);
+        if (model) cmdUseModel(model, true);
+    },
+    resetConfigToDefault,
+    listSkills
+});
+
+function readRawAutomationConfig() {
+    const parsed = readJsonObjectFromFile(AUTOMATION_CONFIG_FILE, {});
+    if (!parsed.ok) {
+        throw new Error(`自动化配置解析失败: ${parsed.error || AUTOMATION_CONFIG_FILE}`);
+    }
+    return isPlainObject(parsed.data) ? parsed.data : {};
+}
+
+// 自动化条目以 "<rules|schedules|notifiers>/<id>" 作为配置包里的名称；保留原始内容（含环境变量占位）
+const AUTOMATION_BUNDLE_GROUPS = Object.freeze(['rules', 'schedules', 'notifiers']);
+
+const {
+    exportBundle,
+    previewBundle,
+    importBundle
+} = createConfigBundleController({
+    adapters: {
+        providers: {
+            read() {
+                const { config } = readConfigOrVirtualDefault();
+                const result = {};
+                for (const name of Object.keys(config.model_providers || {})) {
+                    if (isBuiltinManagedProvider(name)) continue;
+                    const shared = buildProviderSharePayload({ name });
+                    if (shared.error) continue;
+                    const { name: _name, ...value } = shared.payload;
+                    result[name] = value;
+                }
+                return result;
+            },
+            write(name, value, options) {
+                const { config } = readConfigOrVirtualDefault();
+                const exists = !!(config.model_providers && config.model_providers[name]);
+                const useTransform = value.bridge === 'openai';
+                if (exists && options.overwrite) {
+                    cmdUpdate(name, value.baseUrl, value.apiKey || undefined, true, { useTransform });
+                } else {
+                    cmdAdd(name, value.baseUrl, value.apiKey || '', true, { bridge: useTransform ? 'openai' : '' });
+                }
+                if (value.model) {
+                    const currentModels = readCurrentModels();
+                    currentModels[name] = value.model;
+                    writeCurrentModels(currentModels);
+                }
+            }
+        },
+        models: {
+            read() {
+                return Object.fromEntries(readModels().map(model => [model, true]));
+            },
+            write(name) {
+                cmdAddModel(name, true);
+            }
+        },
+        authProfiles: {
+            read() {
+                const result = {};
+                for (const item of readAuthRegistry().items) {
+                    if (!item.fileName) continue;
+                    const data = readJsonFile(path.join(AUTH_PROFILES_DIR, item.fileName), null);
+                    if (isPlainObject(data)) result[item.name] = data;
+                }
+                return result;
+            },
+            write(name, value) {
+                upsertAuthProfile(value, { name, activate: false, sourceFile: 'bundle' });
+            }
+        },
+        workflows: {
+            read() {
+                const result = {};
+                for (const item of readCustomWorkflowList().list) {
+                    if (item && typeof item.id === 'string' && item.id) result[item.id] = item;
+                }
+                return result;
+            },
+            write(name, value) {
+                const normalized = normalizeWorkflowDefinition({ ...value, id: name }, name, 'custom');
+                if (!normalized.ok) {
+                    throw new Error(normalized.error || '工作流定义无效');
+                }
+                upsertCustomWorkflow({ ...value, id: name });
+            }
+        },
+        automation: {
+            read() {
+                const raw = readRawAutomationConfig();
+                const result = {};
+                for (const group of AUTOMATION_BUNDLE_GROUPS) {
+                    for (const item of Array.isArray(raw[group]) ? raw[group] : []) {
+                        if (item && typeof item.id === 'string' && item.id) result[`${group}/${item.id}`] = item;
+                    }
+                }
+                return result;
+            },
+            write(name, value) {
+                const slash = name.indexOf('/');
+                const group = slash > 0 ? name.slice(0, slash) : '';
+                const id = name.slice(slash + 1);
+                if (!AUTOMATION_BUNDLE_GROUPS.includes(group) || !id) {
+                    throw new Error(`无效的自动化条目: ${name}`);
+                }
+                const raw = readRawAutomationConfig();
+                const list = (Array.isArray(raw[group]) ? raw[group] : []).filter(item => !(item && item.id === id));
+                list.push({ ...value, id });
+                writeJsonAtomic(AUTOMATION_CONFIG_FILE, { version: 1, ...raw, [group]: list });
+            }
+        },
+        promptTemplates: {
+            read() {
+                const result = {};
+                // 命令安装记录只对本机有效，不随配置包迁移
+                for (const { installs, ...item } of promptTemplates.readStore().templates) {
+                    result[item.id] = item;
+                }
+                return result;
+            },
+            write(name, value) {
+                const saved = promptTemplates.savePromptTemplate({ ...value, id: name });
+                if (saved.error) throw new Error(saved.error);
+            }
+        }
+    }
+});
+
+// 目录绑定只在启动时注入参数与环境变量，全局 config.toml / auth.json 保持不变
+const {
+    listBindings: listDirectoryBindings,
+    redactBinding: redactDirectoryBinding,
+    upsertBinding: upsertDirectoryBinding,
+    removeBinding: removeDirectoryBinding,
+    resolveBinding: resolveDirectoryBinding,
+    buildBindingOverrides: buildDirectoryBindingOverrides,
+    summarizeBinding: summarizeDirectoryBinding
+} = createDirectoryBindingController({
+    fs,
+    path,
+    DIRECTORY_BINDINGS_FILE,
+    writeJsonAtomic,
+    homeDir: os.homedir(),
+    resolveProvider(name) {
+        const { config } = readConfigOrVirtualDefault();
+        const provider = config.model_providers && config.model_providers[name];
+        if (!isPlainObject(provider)) return null;
+        return {
+            baseUrl: typeof provider.base_url === 'string' ? provider.base_url : '',
+            apiKey: typeof provider.preferred_auth_method === 'string' ? provider.preferred_auth_method : ''
+        };
+    },
+    readAuthProfilePayload(name) {
+        const item = readAuthRegistry().items.find(entry => entry.name === name);
+        if (!item) return null;
+        const data = readJsonFile(path.join(AUTH_PROFILES_DIR, item.fileName || `${item.name}.json`), null);
+        return isPlainObject(data) ? data : null;
+    }
+});
+
 const {
     resolveZipTool,
     resolveUnzipTool,
@@ -1678,6 +2044,17 @@ const {
     MAX_SKILLS_ZIP_UNCOMPRESSED_BYTES
 });
 
+const externalPlugins = createExternalPluginsController({
+    PLUGINS_DIR: EXTERNAL_PLUGINS_DIR,
+    PLUGINS_STATE_FILE: EXTERNAL_PLUGINS_STATE_FILE,
+    // 内置插件的目录名即插件 id，第三方插件不能占用
+    reservedIds: fs.readdirSync(path.join(__dirname, 'plugins'), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name),
+    inspectZipArchiveLimits,
+    extractUploadZip
+});
+
 const {
     cmdZip,
     cmdUnzip,
@@ -1940,7 +2317,7 @@ function applyConfigTemplate(params = {}) {
         return { error: `模板中找不到当前 provider: ${activeProvider}` };
     }
 
-    writeConfig(template.trim() + '\n');
+    writeConfig(template.trim() + '\n', 'apply-config-template');
     updateAuthJson(activeProviderBlock.preferred_auth_method || '');
 
     const models = readModels();
@@ -2118,7 +2495,7 @@ function addProviderToConfig(params = {}) {
     const newContent = content.trimEnd() + lineEnding + lineEnding + block + lineEnding;
 
     try {
-        writeConfig(newContent);
+        writeConfig(newContent, 'add-provider');
     } catch (e) {
         return { error: `写入配置失败: ${e.message}` };
     }
@@ -2317,7 +2694,7 @@ function performProviderDeletion(name, options = {}) {
     }
 
     writeCurrentModels(currentModels);
-    writeConfig(updatedContent.trimEnd() + lineEnding);
+    writeConfig(updatedContent.trimEnd() + lineEnding, 'delete-provider');
 
     return result;
 }
@@ -3006,7 +3383,7 @@ function normalizeQueryScope(scope) {
     if (scope === 'content' || scope === 'all' || scope === 'summary') {
         return scope;
     }
-    return 'summary';
+    return 'all';
 }
 
 function normalizeRoleFilter(roleFilter) {
@@ -3034,195 +3411,21 @@ function buildSessionSummaryText(session) {
     ].filter(Boolean).join(' ');
 }
 
-function createSessionQueryScanState(tokens, options = {}) {
-    const mode = normalizeQueryMode(options.mode);
-    const roleFilter = normalizeRoleFilter(options.roleFilter);
-    const maxMatches = Number.isFinite(Number(options.maxMatches))
-        ? Math.max(1, Number(options.maxMatches))
-        : 1;
-    const snippetLimit = Number.isFinite(Number(options.snippetLimit))
-        ? Math.max(0, Number(options.snippetLimit))
-        : 0;
-
-    return {
-        tokens,
-        mode,
-        roleFilter,
-        maxMatches,
-        snippetLimit,
-        count: 0,
-        snippets: [],
-        leadingSystem: roleFilter !== 'system'
-    };
-}
-
-function consumeSessionQueryMessage(state, message) {
-    if (!state || typeof state !== 'object' || !message) {
-        return false;
-    }
-
-    const role = normalizeRole(message.role);
-    const text = typeof message.text === 'string' ? message.text : '';
-    if (!role || !text) {
-        return false;
-    }
-
-    if (state.leadingSystem && (role === 'system' || isBootstrapLikeText(text))) {
-        return false;
-    }
-    state.leadingSystem = false;
-
-    if (state.roleFilter !== 'all' && role !== state.roleFilter) {
-        return false;
-    }
-    if (!matchTokensInText(text, state.tokens, state.mode)) {
-        return false;
-    }
-
-    state.count += 1;
-    if (state.snippetLimit > 0 && state.snippets.length < state.snippetLimit) {
-        state.snippets.push(truncateText(text));
-    }
-    return state.count >= state.maxMatches;
-}
-
-function buildSessionQueryScanResult(state) {
-    return {
-        hit: !!(state && state.count > 0),
-        count: state && Number.isFinite(state.count) ? state.count : 0,
-        snippets: state && Array.isArray(state.snippets) ? state.snippets : []
-    };
-}
-
-function scanSessionContentForQueryInRecords(records, source, state) {
-    if (!Array.isArray(records) || !state) {
-        return buildSessionQueryScanResult(state);
-    }
-
-    for (const record of records) {
-        const message = extractMessageFromRecord(record, source);
-        if (!message) {
-            continue;
-        }
-        if (consumeSessionQueryMessage(state, message)) {
-            break;
-        }
-    }
-
-    return buildSessionQueryScanResult(state);
-}
-
-async function scanSessionContentForQuery(session, tokens, options = {}) {
-    if (!session || !Array.isArray(tokens) || tokens.length === 0) {
-        return { hit: false, count: 0, snippets: [] };
-    }
-
-    const filePath = resolveSessionFilePath(session.source, session.filePath, session.sessionId);
-    if (!filePath) {
-        return { hit: false, count: 0, snippets: [] };
-    }
-
-    const rawMaxBytes = Number(options.maxBytes);
-    const maxBytes = Number.isFinite(rawMaxBytes) && rawMaxBytes > 0
-        ? Math.max(1024, rawMaxBytes)
-        : 0;
-    const state = createSessionQueryScanState(tokens, options);
-    if (session.source === 'gemini') {
-        if (state.roleFilter !== 'all') {
-            let json;
-            try {
-                json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-            } catch (_) {
-                json = null;
-            }
-            const rawMessages = json && Array.isArray(json.messages) ? json.messages : [];
-            for (const entry of rawMessages) {
-                if (!entry || typeof entry !== 'object') continue;
-                const role = normalizeGeminiMessageRole(entry.type);
-                if (!role) continue;
-                const text = extractMessageText(extractGeminiMessageText(entry.content ?? entry.message ?? entry.text));
-                if (!text) continue;
-                if (consumeSessionQueryMessage(state, { role, text })) {
-                    break;
-                }
-            }
-            return buildSessionQueryScanResult(state);
-        }
-
-        let text = '';
-        try {
-            const stat = fs.statSync(filePath);
-            const targetBytes = maxBytes > 0 ? Math.min(maxBytes, stat.size || 0) : Math.min(stat.size || 0, 512 * 1024);
-            const fd = fs.openSync(filePath, 'r');
-            const buf = Buffer.alloc(targetBytes);
-            const bytes = fs.readSync(fd, buf, 0, targetBytes, 0);
-            fs.closeSync(fd);
-            text = bytes > 0 ? buf.slice(0, bytes).toString('utf-8') : '';
-        } catch (_) {
-            try {
-                text = fs.readFileSync(filePath, 'utf-8');
-            } catch (_) {
-                text = '';
-            }
-        }
-
-        if (!matchTokensInText(text, state.tokens, state.mode)) {
-            return buildSessionQueryScanResult(state);
-        }
-        state.count = 1;
-        if (state.snippetLimit > 0) {
-            state.snippets.push(truncateText(text));
-        }
-        return buildSessionQueryScanResult(state);
-    }
-    let stream;
-    let rl;
-    try {
-        stream = fs.createReadStream(filePath, { encoding: 'utf-8' });
-        rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
-        let bytesRead = 0;
-        for await (const line of rl) {
-            if (maxBytes > 0 && bytesRead >= maxBytes) {
-                break;
-            }
-
-            bytesRead += Buffer.byteLength(line, 'utf-8') + 1;
-            const trimmed = line.trim();
-            if (!trimmed) {
-                continue;
-            }
-
-            let record;
-            try {
-                record = JSON.parse(trimmed);
-            } catch (e) {
-                continue;
-            }
-
-            const message = extractMessageFromRecord(record, session.source);
-            if (!message) {
-                continue;
-            }
-            if (consumeSessionQueryMessage(state, message)) {
-                break;
-            }
-        }
-
-        return buildSessionQueryScanResult(state);
-    } catch (e) {
-        return scanSessionContentForQueryInRecords(readJsonlRecords(filePath), session.source, state);
-    } finally {
-        if (rl) {
-            try { rl.close(); } catch (e) {}
-        }
-        if (stream && !stream.destroyed && stream.destroy) {
-            try { stream.destroy(); } catch (e) {}
-        }
+function filterSessionsByTimeRange(sessions, timeRange) {
+    if (!timeRange || (timeRange.sinceMs === null && timeRange.untilMs === null)) {
+        return sessions;
     }
+    return sessions.filter((session) => {
+        const updatedAtMs = Date.parse(session && session.updatedAt ? session.updatedAt : '');
+        if (!Number.isFinite(updatedAtMs)) return false;
+        if (timeRange.sinceMs !== null && updatedAtMs < timeRange.sinceMs) return false;
+        if (timeRange.untilMs !== null && updatedAtMs > timeRange.untilMs) return false;
+        return true;
+    });
 }
 
-async function applySessionQueryFilter(sessions, options = {}) {
+// 摘要（标题/cwd/provider/关键词）仍按子串匹配；消息正文走持久化全文索引，命中结果带分数与高亮片段
+function applySessionQueryFilter(sessions, options = {}) {
     const tokens = Array.isArray(options.tokens) ? options.tokens : [];
     if (tokens.length === 0) {
         return sessions;
@@ -3230,61 +3433,46 @@ async function applySessionQueryFilter(sessions, options = {}) {
 
     const mode = normalizeQueryMode(options.queryMode);
     const scope = normalizeQueryScope(options.queryScope);
-    const roleFilter = normalizeRoleFilter(options.roleFilter);
-    const contentScanLimit = Number.isFinite(Number(options.contentScanLimit))
-        ? Math.max(1, Number(options.contentScanLimit))
-        : DEFAULT_CONTENT_SCAN_LIMIT;
-    const contentScanBytes = Number.isFinite(Number(options.contentScanBytes))
-        ? Math.max(1024, Number(options.contentScanBytes))
-        : 0;
+    const contentMatches = scope === 'summary'
+        ? new Map()
+        : sessionSearchIndex.searchSessions(sessions, {
+            query: options.query,
+            mode,
+            roleFilter: normalizeRoleFilter(options.roleFilter),
+            timeRange: options.timeRange
+        });
 
-    let scanned = 0;
     const results = [];
-
     for (const session of sessions) {
-        if (scope === 'content' && scanned >= contentScanLimit) {
-            break;
-        }
-
-        const summaryText = buildSessionSummaryText(session);
-        const summaryHit = scope !== 'content' && matchTokensInText(summaryText, tokens, mode);
-        let contentHit = false;
-        let contentInfo = null;
-
-        const shouldScanContent = scope === 'content' || scope === 'all' || !summaryHit;
-        if (shouldScanContent && scanned < contentScanLimit) {
-            scanned += 1;
-            contentInfo = await scanSessionContentForQuery(session, tokens, {
-                mode,
-                roleFilter,
-                maxBytes: contentScanBytes,
-                maxMatches: 1,
-                snippetLimit: 2
-            });
-            contentHit = contentInfo.hit;
-        }
-
-        const hit = scope === 'summary'
-            ? summaryHit
-            : (scope === 'content' ? contentHit : (summaryHit || contentHit));
-
-        if (!hit) {
+        const summaryHit = scope !== 'content' && matchTokensInText(buildSessionSummaryText(session), tokens, mode);
+        const contentMatch = session && session.filePath ? contentMatches.get(session.filePath) : null;
+        if (!summaryHit && !contentMatch) {
             continue;
         }
-
-        const matchInfo = contentInfo && contentInfo.hit
-            ? contentInfo
-            : { hit: true, count: 1, snippets: [] };
-        session.match = {
-            hit: true,
-            count: matchInfo.count || 1,
-            snippets: Array.isArray(matchInfo.snippets) ? matchInfo.snippets : []
-        };
-        results.push(session);
+        const match = contentMatch || { hit: true, count: 1, score: 0, snippets: [], highlights: [] };
+        results.push({
+            ...session,
+            match: summaryHit ? { ...match, score: match.score + 1 } : match
+        });
     }
-
     return results;
 }
+
+function rankAndLimitSessions(items, limit) {
+    const deduped = [];
+    const seen = new Set();
+    for (const item of items) {
+        if (!item || !item.filePath) continue;
+        const key = `${item.source}:${item.filePath}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        deduped.push(item);
+    }
+    sortSessionsByUpdatedAt(deduped);
+    deduped.sort((a, b) => ((b.match && b.match.score) || 0) - ((a.match && a.match.score) || 0));
+    return deduped.slice(0, limit);
+}
+
 function collectRecentJsonlFiles(rootDir, options = {}) {
     if (!fs.existsSync(rootDir)) {
         return [];
@@ -4816,7 +5004,7 @@ function listGeminiSessions(limit, options = {}) {
             entries = [];
         }
         for (const entry of entries) {
-            if (!entry.isFile() || !entry.name.endsWith('.json')) {
+            if (!entry.isFile() || !entry.name.endsWith('.json') || isDerivedSessionMetaFile(entry.name)) {
                 continue;
             }
             const fullPath = path.join(chatsDir, entry.name);
@@ -4905,6 +5093,9 @@ async function listAllSessions(params = {}) {
         ? params.source
         : 'all';
     const rawLimit = Number(params.limit);
+    if (params.limit !== undefined && params.limit !== null && params.limit !== '' && Number.isFinite(rawLimit) && rawLimit <= 0) {
+        return [];
+    }
     const limit = Number.isFinite(rawLimit)
         ? Math.max(1, Math.min(rawLimit, MAX_SESSION_LIST_SIZE))
         : 120;
@@ -4913,12 +5104,15 @@ async function listAllSessions(params = {}) {
     const hasPathFilter = !!normalizedPathFilter;
     const queryTokens = expandSessionQueryTokens(normalizeQueryTokens(params.query));
     const hasQuery = queryTokens.length > 0;
-    const browseLightweight = params.browseLightweight === true && !hasQuery && !hasPathFilter;
+    const timeRange = resolveSessionSearchTimeRange(params);
+    const hasTimeRange = timeRange.sinceMs !== null || timeRange.untilMs !== null;
+    const browseLightweight = params.browseLightweight === true && !hasQuery && !hasPathFilter && !hasTimeRange;
     const queryKeyRaw = typeof params.query === 'string' ? params.query.trim() : '';
     const queryKey = queryKeyRaw.length > 240 ? queryKeyRaw.slice(0, 240) : queryKeyRaw;
+    const timeKey = hasTimeRange ? `${timeRange.sinceMs === null ? '' : Math.floor(timeRange.sinceMs / 60000)}-${timeRange.untilMs === null ? '' : Math.floor(timeRange.untilMs / 60000)}` : '';
     const cacheKey = hasQuery
-        ? `query:${source}:${limit}:${normalizedPathFilter}:${params.queryMode || ''}:${params.queryScope || ''}:${params.roleFilter || ''}:${Number(params.contentScanLimit) || ''}:${Number(params.contentScanBytes) || ''}:${queryKey}`
-        : `${browseLightweight ? 'browse' : 'default'}:${source}:${limit}:${normalizedPathFilter}`;
+        ? `query:${source}:${limit}:${normalizedPathFilter}:${params.queryMode || ''}:${params.queryScope || ''}:${params.roleFilter || ''}:${timeKey}:${queryKey}`
+        : `${browseLightweight ? 'browse' : 'default'}:${source}:${limit}:${normalizedPathFilter}:${timeKey}`;
     const cached = getSessionListCache(cacheKey, forceRefresh);
     if (cached) {
         return cached;
@@ -4938,36 +5132,38 @@ async function listAllSessions(params = {}) {
             }
             : {});
 
+    // 检索时扩大候选范围，正文命中由索引判断，不再受 limit 截断
+    const inventoryLimit = hasQuery ? Math.max(limit, MAX_SESSION_LIST_SIZE) : limit;
     let sessions = [];
     if (source === 'all' || source === 'codex') {
-        sessions = sessions.concat(listSessionInventoryBySource('codex', limit, scanOptions, { forceRefresh }));
+        sessions = sessions.concat(listSessionInventoryBySource('codex', inventoryLimit, scanOptions, { forceRefresh }));
     }
     if (source === 'all' || source === 'claude') {
-        sessions = sessions.concat(listSessionInventoryBySource('claude', limit, scanOptions, { forceRefresh }));
+        sessions = sessions.concat(listSessionInventoryBySource('claude', inventoryLimit, scanOptions, { forceRefresh }));
     }
     if (source === 'all' || source === 'gemini') {
-        sessions = sessions.concat(listSessionInventoryBySource('gemini', limit, scanOptions, { forceRefresh }));
+        sessions = sessions.concat(listSessionInventoryBySource('gemini', inventoryLimit, scanOptions, { forceRefresh }));
     }
     if (source === 'all' || source === 'codebuddy') {
-        sessions = sessions.concat(listSessionInventoryBySource('codebuddy', limit, scanOptions, { forceRefresh }));
+        sessions = sessions.concat(listSessionInventoryBySource('codebuddy', inventoryLimit, scanOptions, { forceRefresh }));
     }
 
     if (hasPathFilter) {
         sessions = sessions.filter(item => matchesSessionPathFilter(item, normalizedPathFilter));
     }
 
-    let result = sessions;
-    if (hasQuery) {
-        result = await applySessionQueryFilter(result, {
+    sessions = filterSessionsByTimeRange(sessions, timeRange);
+
+    const result = hasQuery
+        ? rankAndLimitSessions(applySessionQueryFilter(sessions, {
+            query: params.query,
             tokens: queryTokens,
             queryMode: params.queryMode,
             queryScope: params.queryScope,
             roleFilter: params.roleFilter,
-            contentScanLimit: params.contentScanLimit,
-            contentScanBytes: params.contentScanBytes
-        });
-    }
-    result = mergeAndLimitSessions(result, limit);
+            timeRange
+        }), limit)
+        : mergeAndLimitSessions(sessions, limit);
     setSessionListCache(cacheKey, result);
     return result;
 }
@@ -5026,7 +5222,7 @@ async function listSessionBrowse(params = {}) {
 }
 
 async function listSessionUsage(params = {}) {
-    return listSessionUsageCore(params, {
+    const sessions = await listSessionUsageCore(params, {
         fs,
         listSessionBrowse,
         parseCodexSessionSummary,
@@ -5036,6 +5232,11 @@ async function listSessionUsage(params = {}) {
         MAX_SESSION_USAGE_LIST_SIZE,
         SESSION_BROWSE_SUMMARY_READ_BYTES
     });
+    try {
+        return usageLedger.applyLedgerTotals(sessions);
+    } catch (_) {
+        return sessions;
+    }
 }
 
 function listSessionPaths(params = {}) {
@@ -5143,9 +5344,9 @@ function resolveSessionFilePath(source, filePath, sessionId) {
             const filesMeta = [];
             let projectDirs = [];
             try {
-                projectDirs = fs.readdirSync(root, { withFileTypes: true })
+                projectDirs = fs.readdirSync(availableRoots[0], { withFileTypes: true })
                     .filter(entry => entry.isDirectory())
-                    .map(entry => path.join(root, entry.name));
+                    .map(entry => path.join(availableRoots[0], entry.name));
             } catch (_) {
                 projectDirs = [];
             }
@@ -5159,7 +5360,7 @@ function resolveSessionFilePath(source, filePath, sessionId) {
                     entries = [];
                 }
                 for (const entry of entries) {
-                    if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+                    if (!entry.isFile() || !entry.name.endsWith('.json') || isDerivedSessionMetaFile(entry.name)) continue;
                     const fullPath = path.join(chatsDir, entry.name);
                     filesMeta.push(fullPath);
                     if (filesMeta.length >= 5000) break;
@@ -5220,6 +5421,26 @@ function findClaudeSessionIndexPath(sessionFilePath) {
     return '';
 }
 
+// Gemini CLI 以项目根目录的 sha256 作为 tmp 子目录名，会话放在其 chats/ 下
+function resolveGeminiProjectDirForCwd(cwd) {
+    const raw = typeof cwd === 'string' ? cwd.trim() : '';
+    if (!raw) {
+        return path.join(getGeminiTmpDir(), 'codexmate-derived');
+    }
+    const resolvedCwd = path.resolve(expandHomePath(raw));
+    return path.join(getGeminiTmpDir(), crypto.createHash('sha256').update(resolvedCwd).digest('hex'));
+}
+
+// CodeBuddy Code 与 Claude Code 相同，项目目录名为 cwd 中非字母数字字符替换为 -
+function resolveCodeBuddyProjectDirForCwd(cwd) {
+    const raw = typeof cwd === 'string' ? cwd.trim() : '';
+    if (!raw) {
+        return path.join(getCodeBuddyProjectsDir(), 'codexmate-derived');
+    }
+    const resolvedCwd = path.resolve(expandHomePath(raw));
+    return path.join(getCodeBuddyProjectsDir(), resolvedCwd.replace(/[^a-zA-Z0-9]/g, '-'));
+}
+
 function resolveClaudeProjectDirForCwd(cwd) {
     const projectsDir = getClaudeProjectsDir();
     const raw = typeof cwd === 'string' ? cwd.trim() : '';
@@ -5279,15 +5500,154 @@ function ensureClaudeSessionsIndex(indexPath, originalPath) {
     writeJsonAtomic(indexPath, index);
 }
 
-const {
-    findAvailablePort,
-    saveBuiltinProxySettings,
-    removePersistedBuiltinProxyProviderFromConfig,
-    hasCodexConfigReadyForProxy,
-    resolveBuiltinProxyProviderName,
-    startBuiltinProxyRuntime,
-    stopBuiltinProxyRuntime,
-    getBuiltinProxyStatus
+// 重放只针对明确指定的 provider，不回落到当前 provider
+function resolveTrafficReplayUpstream(providerName) {
+    const resolved = resolveBuiltinProxyUpstreams({
+        upstreams: [{ provider: providerName }],
+        authSource: 'provider'
+    });
+    return resolved.error ? { error: resolved.error } : resolved.upstreams[0];
+}
+
+const trafficRecorder = createTrafficRecorder({
+    fs,
+    TRAFFIC_SETTINGS_FILE,
+    TRAFFIC_LOG_FILE,
+    DEFAULT_TRAFFIC_SETTINGS,
+    HTTP_KEEP_ALIVE_AGENT,
+    HTTPS_KEEP_ALIVE_AGENT,
+    resolveReplayUpstream: resolveTrafficReplayUpstream
+});
+
+// 预算告警复用自动化通知配置（webhook notifiers），事件为 budget.warning / budget.exceeded
+async function notifyAutomationOnBudgetEvent(eventType, payload) {
+    const cfg = readAutomationConfig(AUTOMATION_CONFIG_FILE, { env: process.env });
+    if (!cfg.ok || !cfg.config) {
+        return [];
+    }
+    return await dispatchAutomationNotifiers(cfg.config, eventType, payload);
+}
+
+const proxyBudget = createProxyBudgetController({
+    BUDGET_SETTINGS_FILE,
+    BUDGET_STATE_FILE,
+    DEFAULT_BUDGET_SETTINGS,
+    notify: notifyAutomationOnBudgetEvent
+});
+
+// 每个 provider 探测其当前模型（provider-current-models.json），未记录时回退到全局 model
+function listProviderMonitorTargets() {
+    const { config } = readConfigOrVirtualDefault();
+    const providers = isPlainObject(config.model_providers) ? config.model_providers : {};
+    const currentModels = readCurrentModels();
+    const fallbackModel = typeof config.model === 'string' ? config.model.trim() : '';
+    return Object.keys(providers)
+        .filter(name => isPlainObject(providers[name]) && !isBuiltinManagedProvider(name))
+        .map(name => ({
+            provider: name,
+            model: (typeof currentModels[name] === 'string' && currentModels[name].trim()) || fallbackModel,
+            config: providers[name]
+        }));
+}
+
+// 供应商健康告警同样复用自动化通知配置，事件为 provider.degraded / provider.recovered
+async function notifyAutomationOnProviderHealth(eventType, payload) {
+    const cfg = readAutomationConfig(AUTOMATION_CONFIG_FILE, { env: process.env });
+    if (!cfg.ok || !cfg.config) {
+        return [];
+    }
+    return await dispatchAutomationNotifiers(cfg.config, eventType, payload);
+}
+
+const providerMonitor = createProviderMonitorController({
+    MONITOR_SETTINGS_FILE: PROVIDER_MONITOR_SETTINGS_FILE,
+    MONITOR_HISTORY_FILE: PROVIDER_HEALTH_HISTORY_FILE,
+    DEFAULT_MONITOR_SETTINGS: DEFAULT_PROVIDER_MONITOR_SETTINGS,
+    listTargets: listProviderMonitorTargets,
+    probe: (target, options) => runRemoteHealthCheck(target.provider, target.config, target.model, options),
+    notify: notifyAutomationOnProviderHealth
+});
+
+const modelCatalog = createModelCatalogController({
+    MODEL_CATALOG_FILE,
+    MODEL_PRICING_FILE,
+    listProviders: () => {
+        const { config } = readConfigOrVirtualDefault();
+        const providers = isPlainObject(config.model_providers) ? config.model_providers : {};
+        return Object.keys(providers)
+            .filter(name => isPlainObject(providers[name]) && !isBuiltinManagedProvider(name))
+            .map(name => ({
+                name,
+                baseUrl: providers[name].base_url || '',
+                apiKey: providers[name].preferred_auth_method || ''
+            }));
+    },
+    fetchModels: fetchModelsFromBaseUrl
+});
+
+// 价格优先级：provider 配置中的 models[].cost > codexmate-model-pricing.json > 内置目录
+function lookupUsagePricing(providerName, modelName) {
+    const { config } = readConfigOrVirtualDefault();
+    const providers = isPlainObject(config.model_providers) ? config.model_providers : {};
+    const provider = isPlainObject(providers[providerName]) ? providers[providerName] : {};
+    const providerModel = (Array.isArray(provider.models) ? provider.models : [])
+        .find(item => isPlainObject(item) && typeof item.id === 'string' && item.id.trim() === modelName);
+    const meta = modelCatalog.lookupModelMetadata(modelName, { providerModel });
+    return meta && meta.cost ? { ...meta.cost, source: meta.source } : null;
+}
+
+const usageLedger = createUsageLedgerController({
+    USAGE_LEDGER_FILE,
+    listSessions: params => listSessionBrowse({ source: params.source, limit: params.limit || MAX_SESSION_USAGE_LIST_SIZE }),
+    lookupPricing: lookupUsagePricing
+});
+
+const sessionAnalytics = createSessionAnalyticsController({
+    listSessions: params => listSessionBrowse({ source: params.source, limit: params.limit || MAX_SESSION_USAGE_LIST_SIZE })
+});
+
+function readGeminiSearchMessages(filePath) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const entries = json && Array.isArray(json.messages) ? json.messages : [];
+    const messages = [];
+    for (const entry of entries) {
+        if (!entry || typeof entry !== 'object') continue;
+        const role = normalizeGeminiMessageRole(entry.type);
+        const text = extractMessageText(extractGeminiMessageText(entry.content ?? entry.message ?? entry.text));
+        if (role && text) {
+            messages.push({ role, text, timestamp: entry.timestamp });
+        }
+    }
+    return messages;
+}
+
+const sessionSearchIndex = createSessionSearchIndexController({
+    fs,
+    SESSION_SEARCH_INDEX_FILE,
+    readGeminiMessages: readGeminiSearchMessages
+});
+
+const webAuth = createWebAuthController({
+    WEB_AUTH_FILE,
+    DEFAULT_WEB_AUTH_SETTINGS,
+    READ_ONLY_API_ACTIONS: WEB_READ_ONLY_API_ACTIONS
+});
+
+const webTls = createWebTlsController({
+    fs,
+    WEB_TLS_DIR
+});
+
+const {
+    findAvailablePort,
+    saveBuiltinProxySettings,
+    removePersistedBuiltinProxyProviderFromConfig,
+    hasCodexConfigReadyForProxy,
+    resolveBuiltinProxyProviderName,
+    resolveBuiltinProxyUpstreams,
+    startBuiltinProxyRuntime,
+    stopBuiltinProxyRuntime,
+    getBuiltinProxyStatus
 } = createBuiltinProxyRuntimeController({
     fs,
     https,
@@ -5308,7 +5668,9 @@ const {
     findProviderDescendantSectionRanges,
     normalizeLegacySegments,
     buildLegacySegmentsKey,
-    formatHostForUrl
+    formatHostForUrl,
+    trafficRecorder,
+    proxyBudget
 });
 
 const {
@@ -5324,7 +5686,9 @@ const {
     HTTPS_KEEP_ALIVE_AGENT,
     readConfigOrVirtualDefault,
     resolveBuiltinProxyProviderName,
-    resolveAuthTokenFromCurrentProfile
+    resolveAuthTokenFromCurrentProfile,
+    trafficRecorder,
+    proxyBudget
 });
 
 function applyBuiltinProxyProvider(params = {}) {
@@ -6336,12 +6700,14 @@ function buildSessionPlainText(messages) {
 
 function getDerivedSessionMetaPath(filePath) {
     if (!filePath) return '';
-    const base = filePath.toLowerCase().endsWith('.jsonl')
-        ? filePath.slice(0, -5)
-        : filePath;
+    const base = filePath.replace(/\.jsonl?$/i, '');
     return `${base}.meta.json`;
 }
 
+function isDerivedSessionMetaFile(fileName) {
+    return typeof fileName === 'string' && fileName.toLowerCase().endsWith('.meta.json');
+}
+
 function isDerivedSessionFile(filePath) {
     const metaPath = getDerivedSessionMetaPath(filePath);
     if (!metaPath) return false;
@@ -6703,9 +7069,7 @@ async function readSessionDetail(params = {}) {
         updatedAt: extracted.updatedAt || '',
         derived: (() => {
             try {
-                const metaPath = filePath.toLowerCase().endsWith('.jsonl')
-                    ? `${filePath.slice(0, -5)}.meta.json`
-                    : `${filePath}.meta.json`;
+                const metaPath = `${filePath.replace(/\.jsonl?$/i, '')}.meta.json`;
                 if (fs.existsSync(metaPath)) {
                     return true;
                 }
@@ -6725,6 +7089,41 @@ async function readSessionDetail(params = {}) {
     };
 }
 
+// 回放视图用：保留工具调用、工具输出和补丁，按 turn 截取最近 N 条
+async function readSessionEvents(params = {}) {
+    const source = SESSION_CONVERT_FORMATS.includes(params.source) ? params.source : '';
+    if (!source) {
+        return { error: 'Invalid source' };
+    }
+    const filePath = resolveSessionFilePath(source, getSessionFileArg(params), params.sessionId);
+    if (!filePath) {
+        return { error: 'Session file not found' };
+    }
+    const rawLimit = Number(params.maxMessages);
+    const messageLimit = Number.isFinite(rawLimit)
+        ? Math.max(1, Math.min(rawLimit, MAX_SESSION_DETAIL_MESSAGES))
+        : DEFAULT_SESSION_DETAIL_MESSAGES;
+    let model;
+    try {
+        model = await readSessionModel(filePath, source, { maxMessages: messageLimit });
+    } catch (e) {
+        return { error: `Failed to parse session file: ${e.message}` };
+    }
+    const events = buildSessionEvents(model);
+    return {
+        source,
+        sessionId: model.sessionId || params.sessionId || path.basename(filePath, getSessionFileExtension(source)),
+        cwd: model.cwd || '',
+        model: model.model || '',
+        updatedAt: model.updatedAt || '',
+        clipped: model.truncated === true,
+        messageLimit,
+        summary: summarizeSessionEvents(events),
+        events,
+        filePath
+    };
+}
+
 async function readSessionPlain(params = {}) {
     const source = params.source === 'claude'
         ? 'claude'
@@ -6943,7 +7342,7 @@ async function convertSessionToDerived(params = {}) {
 
     let extracted;
     try {
-        extracted = await extractMessagesFromFile(filePath, source, { maxMessages });
+        extracted = await readSessionModel(filePath, source, { maxMessages, keep: 'first' });
     } catch (_) {
         extracted = null;
     }
@@ -6951,63 +7350,32 @@ async function convertSessionToDerived(params = {}) {
         return { error: 'Failed to parse session file' };
     }
 
-    const baseSessionId = extracted.sessionId || params.sessionId || path.basename(filePath, '.jsonl');
+    const baseSessionId = extracted.sessionId || params.sessionId || path.basename(filePath, path.extname(filePath));
     const derivedSessionId = buildDerivedSessionId(baseSessionId);
-    const sourceKey = buildSessionDerivedSourceKey(source, baseSessionId, filePath);
-    const outputDir = target === 'codex'
-        ? getCodexSessionsDir()
-        : (target === 'claude'
-            ? (resolveClaudeProjectDirForCwd(extracted.cwd || '') || path.join(getClaudeProjectsDir(), 'codexmate-derived'))
-            : buildDerivedSessionOutputDir(target, source, sourceKey));
+    let outputDir;
+    if (target === 'codex') {
+        outputDir = getCodexSessionsDir();
+    } else if (target === 'claude') {
+        outputDir = resolveClaudeProjectDirForCwd(extracted.cwd || '') || path.join(getClaudeProjectsDir(), 'codexmate-derived');
+    } else if (target === 'gemini') {
+        outputDir = path.join(resolveGeminiProjectDirForCwd(extracted.cwd || ''), 'chats');
+    } else {
+        outputDir = resolveCodeBuddyProjectDirForCwd(extracted.cwd || '');
+    }
     ensureDir(outputDir);
-    const outputPath = path.join(outputDir, `${derivedSessionId}.jsonl`);
+    const outputPath = path.join(outputDir, `${derivedSessionId}${getSessionFileExtension(target)}`);
     const metaPath = path.join(outputDir, `${derivedSessionId}.meta.json`);
 
     const cwd = typeof extracted.cwd === 'string' ? extracted.cwd : '';
     const resolvedCwd = cwd ? path.resolve(expandHomePath(cwd)) : '';
-    const messages = removeLeadingSystemMessage(Array.isArray(extracted.messages) ? extracted.messages : []);
     const now = Date.now();
     const baseTime = new Date(now).toISOString();
-    const lines = [];
-
-    if (target === 'codex') {
-        lines.push(JSON.stringify({ type: 'session_meta', timestamp: baseTime, payload: { id: derivedSessionId, cwd } }));
-        for (let i = 0; i < messages.length; i += 1) {
-            const message = messages[i];
-            if (!message) continue;
-            const role = normalizeRole(message.role);
-            if (role !== 'user' && role !== 'assistant' && role !== 'system') continue;
-            const text = typeof message.text === 'string' ? message.text : '';
-            if (!text) continue;
-            lines.push(JSON.stringify({
-                type: 'response_item',
-                timestamp: toIsoTime(message.timestamp, '') || new Date(now + i).toISOString(),
-                payload: { type: 'message', role, content: text }
-            }));
-        }
-    } else {
-        const claudeIndexPath = target === 'claude' ? path.join(outputDir, 'sessions-index.json') : '';
-        for (let i = 0; i < messages.length; i += 1) {
-            const message = messages[i];
-            if (!message) continue;
-            const role = normalizeRole(message.role);
-            if (role !== 'user' && role !== 'assistant' && role !== 'system') continue;
-            const text = typeof message.text === 'string' ? message.text : '';
-            if (!text) continue;
-            lines.push(JSON.stringify({
-                type: role,
-                timestamp: toIsoTime(message.timestamp, '') || new Date(now + i).toISOString(),
-                sessionId: derivedSessionId,
-                cwd,
-                message: { content: text }
-            }));
-        }
-        if (claudeIndexPath) {
-            ensureClaudeSessionsIndex(claudeIndexPath, resolvedCwd);
-        }
+    const { records, report } = buildTargetRecords(target, extracted, { sessionId: derivedSessionId, cwd, now });
+    if (target === 'claude') {
+        ensureClaudeSessionsIndex(path.join(outputDir, 'sessions-index.json'), resolvedCwd);
     }
 
-    fs.writeFileSync(outputPath, `${lines.join('\n')}\n`, 'utf-8');
+    fs.writeFileSync(outputPath, serializeSessionRecords(target, records), 'utf-8');
     writeJsonAtomic(metaPath, {
         version: 1,
         createdAt: baseTime,
@@ -7023,14 +7391,19 @@ async function convertSessionToDerived(params = {}) {
         },
         options: {
             maxMessages: maxMessages === Infinity ? 'all' : maxMessages
-        }
+        },
+        report
     });
 
     invalidateSessionListCache();
 
-    const summary = target === 'codex'
-        ? parseCodexSessionSummary(outputPath, { summaryReadBytes: SESSION_BROWSE_SUMMARY_READ_BYTES, titleReadBytes: SESSION_BROWSE_SUMMARY_READ_BYTES })
-        : parseClaudeSessionSummary(outputPath, { summaryReadBytes: SESSION_BROWSE_SUMMARY_READ_BYTES, titleReadBytes: SESSION_BROWSE_SUMMARY_READ_BYTES });
+    const summaryParsers = {
+        codex: parseCodexSessionSummary,
+        claude: parseClaudeSessionSummary,
+        gemini: parseGeminiSessionSummary,
+        codebuddy: parseCodeBuddySessionSummary
+    };
+    const summary = summaryParsers[target](outputPath, { summaryReadBytes: SESSION_BROWSE_SUMMARY_READ_BYTES, titleReadBytes: SESSION_BROWSE_SUMMARY_READ_BYTES });
     if (target === 'claude' && summary) {
         const indexPath = path.join(outputDir, 'sessions-index.json');
         ensureClaudeSessionsIndex(indexPath, resolvedCwd);
@@ -7058,15 +7431,18 @@ async function convertSessionToDerived(params = {}) {
         target,
         truncated: !!extracted.truncated,
         maxMessages: maxMessagesLabel,
+        report,
         session: summary ? { ...summary, derived: true } : {
             source: target,
-            sourceLabel: target === 'codex' ? 'Codex' : 'Claude Code',
+            sourceLabel: target === 'claude'
+                ? 'Claude Code'
+                : (target === 'gemini' ? 'Gemini CLI' : (target === 'codebuddy' ? 'CodeBuddy Code' : 'Codex')),
             sessionId: derivedSessionId,
             title: derivedSessionId,
             cwd,
             createdAt: baseTime,
             updatedAt: baseTime,
-            messageCount: messages.length,
+            messageCount: extracted.turns.length,
             totalTokens: 0,
             contextWindow: 0,
             inputTokens: 0,
@@ -7726,11 +8102,43 @@ function parseDoctorCommandArgs(argv = []) {
         includeUsage: true,
         includeTasks: true,
         includeSkills: true,
-        output: ''
+        output: '',
+        fix: false,
+        yes: false,
+        planDigest: '',
+        issueIds: []
     };
     let cursor = 0;
     while (cursor < argv.length) {
         const token = String(argv[cursor] || '');
+        if (token === '--fix') {
+            options.fix = true;
+            cursor += 1;
+            continue;
+        }
+        if (token === '--yes' || token === '-y') {
+            options.yes = true;
+            cursor += 1;
+            continue;
+        }
+        if (token === '--plan') {
+            const value = String(argv[cursor + 1] || '').trim();
+            if (!value || value.startsWith('--')) {
+                throw new Error('错误: --plan 需要一个值（预览输出的计划摘要）');
+            }
+            options.planDigest = value;
+            cursor += 2;
+            continue;
+        }
+        if (token === '--issue') {
+            const value = String(argv[cursor + 1] || '').trim();
+            if (!value || value.startsWith('--')) {
+                throw new Error('错误: --issue 需要一个值（问题 id）');
+            }
+            options.issueIds.push(value);
+            cursor += 2;
+            continue;
+        }
         if (token === '--json') {
             options.format = 'json';
             cursor += 1;
@@ -7796,17 +8204,80 @@ function parseDoctorCommandArgs(argv = []) {
     return options;
 }
 
+function runDoctorReport(params = {}) {
+    return buildDoctorReport(params, {
+        getStatusPayload: buildMcpStatusPayload,
+        buildInstallStatusReport,
+        buildConfigHealthReport,
+        listSessionUsage,
+        buildTaskOverviewPayload,
+        listSkills,
+        listAuthProfiles: listAuthProfilesInfo
+    });
+}
+
+// 修复前重新诊断；dryRun 不为 false 时只返回计划。
+// requirePlanDigest 时执行必须带上预览返回的 planDigest，计划有变化则拒绝执行。
+async function runDoctorFix(params = {}, runOptions = {}) {
+    const planDigest = typeof params.planDigest === 'string' ? params.planDigest.trim() : '';
+    if (params.dryRun === false && runOptions.requirePlanDigest && !planDigest) {
+        return { error: '执行修复需要先预览计划（缺少 planDigest）' };
+    }
+    const report = await runDoctorReport(params);
+    const options = {
+        issueIds: params.issueIds,
+        planDigest,
+        snapshotFiles: { config: CONFIG_FILE, auth: AUTH_FILE }
+    };
+    const result = params.dryRun === false
+        ? await applyDoctorFixes(report, options)
+        : await planDoctorFixes(report, options);
+    return { ...result, issues: report.issues.map(issue => issue.id) };
+}
+
+function printDoctorFixResult(result, options = {}) {
+    if (result.error) {
+        console.error(`\n错误: ${result.error}`);
+    }
+    if (!result.steps.length) {
+        console.log('\n没有可自动修复的问题。');
+    } else {
+        console.log(result.dryRun ? '\n修复计划（未执行）:' : '\n修复结果:');
+        result.steps.forEach((step, index) => {
+            const applied = result.dryRun ? null : result.applied[index];
+            const mark = applied ? (applied.ok ? '✓' : '✗') : '-';
+            console.log(`  ${mark} [${step.issueId}] ${step.summary}`);
+            if (applied && !applied.ok) console.log(`      错误: ${applied.error}`);
+        });
+    }
+    result.skipped.forEach(step => console.log(`  · [${step.issueId}] 跳过: ${step.summary}`));
+    if (result.dryRun && result.steps.length) {
+        const issueArgs = (options.issueIds || []).map(id => ` --issue ${id}`).join('');
+        console.log(`\n使用 codexmate doctor --fix --yes${issueArgs} --plan ${result.planDigest} 执行以上修复`);
+    }
+    if (result.backupDir) {
+        console.log(`\n修改前的文件已备份到: ${result.backupDir}`);
+    }
+    console.log();
+}
+
 async function cmdDoctor(argv = []) {
     try {
         const options = parseDoctorCommandArgs(argv);
-        const report = await buildDoctorReport(options, {
-            getStatusPayload: buildMcpStatusPayload,
-            buildInstallStatusReport,
-            buildConfigHealthReport,
-            listSessionUsage,
-            buildTaskOverviewPayload,
-            listSkills
-        });
+        if (options.fix) {
+            const result = await runDoctorFix({ ...options, dryRun: !options.yes });
+            const jsonOutput = argv.includes('--json') || (argv.includes('--format') && options.format === 'json');
+            if (jsonOutput) {
+                process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+            } else {
+                printDoctorFixResult(result, options);
+            }
+            if (result.error || (!result.dryRun && result.applied.some(item => !item.ok))) {
+                process.exitCode = 1;
+            }
+            return;
+        }
+        const report = await runDoctorReport(options);
         const format = options.format === 'md' ? 'md' : 'json';
         const text = format === 'md'
             ? renderDoctorMarkdown(report)
@@ -7870,7 +8341,82 @@ function cmdList() {
 }
 
 // 列出所有模型
-async function cmdModels() {
+function formatModelCatalogTokens(value) {
+    if (!Number.isFinite(value) || value <= 0) return '';
+    if (value >= 1000000) return `${Math.round(value / 100000) / 10}M`;
+    if (value >= 1000) return `${Math.round(value / 1000)}K`;
+    return String(value);
+}
+
+function formatModelCatalogSummary(meta) {
+    if (!meta) return '';
+    const parts = [];
+    if (meta.contextWindow) parts.push(`上下文 ${formatModelCatalogTokens(meta.contextWindow)}`);
+    if (meta.maxTokens) parts.push(`输出 ${formatModelCatalogTokens(meta.maxTokens)}`);
+    if (meta.reasoning) parts.push('推理');
+    if (meta.tools) parts.push('工具');
+    if (meta.cost && (meta.cost.input !== undefined || meta.cost.output !== undefined)) {
+        parts.push(`$${meta.cost.input ?? '-'} / $${meta.cost.output ?? '-'} 每 1M`);
+    }
+    return parts.join(' · ');
+}
+
+async function cmdModelsSync(providerName) {
+    const res = await modelCatalog.syncModelCatalog({ provider: providerName || '' });
+    if (res.error) {
+        throw new Error(res.error);
+    }
+    console.log('\n模型目录同步结果:');
+    if (!res.results.length) {
+        console.log('  (没有可同步的提供商)');
+    }
+    for (const item of res.results) {
+        if (item.status === 'ok') {
+            console.log(`  ✓ ${item.provider}: ${item.count} 个模型`);
+        } else if (item.status === 'unlimited') {
+            console.log(`  - ${item.provider}: 接口未提供模型列表`);
+        } else {
+            console.log(`  ✗ ${item.provider}: ${item.error}${item.count ? `（保留上次的 ${item.count} 个模型）` : ''}`);
+        }
+    }
+    console.log(`\n缓存: ${MODEL_CATALOG_FILE}`);
+    console.log();
+}
+
+function cmdModelsInfo(modelName) {
+    if (!modelName) {
+        throw new Error('用法: codexmate models info <模型>');
+    }
+    const meta = modelCatalog.lookupModelMetadata(modelName);
+    if (!meta) {
+        console.log(`\n模型目录中没有 ${modelName} 的元数据，可在 ${MODEL_PRICING_FILE} 中补充。`);
+        console.log();
+        return;
+    }
+    console.log(`\n${modelName}${meta.matchedId && meta.matchedId !== modelName ? ` (匹配 ${meta.matchedId})` : ''}`);
+    console.log(`  来源: ${meta.source === 'user' ? '用户覆盖' : '内置目录'}`);
+    if (meta.contextWindow) console.log(`  上下文: ${meta.contextWindow}`);
+    if (meta.maxTokens) console.log(`  最大输出: ${meta.maxTokens}`);
+    if (typeof meta.reasoning === 'boolean') console.log(`  推理: ${meta.reasoning ? '是' : '否'}`);
+    if (typeof meta.tools === 'boolean') console.log(`  工具调用: ${meta.tools ? '是' : '否'}`);
+    if (meta.cost) {
+        const cost = meta.cost;
+        console.log(`  价格 (USD / 1M tokens): 输入 ${cost.input ?? '-'} · 输出 ${cost.output ?? '-'} · 缓存读 ${cost.cacheRead ?? '-'} · 缓存写 ${cost.cacheWrite ?? '-'}`);
+    }
+    console.log();
+}
+
+async function cmdModels(args = []) {
+    const subcommand = typeof args[0] === 'string' ? args[0].trim() : '';
+    if (subcommand === 'sync') {
+        return cmdModelsSync(args[1]);
+    }
+    if (subcommand === 'info') {
+        return cmdModelsInfo(args[1]);
+    }
+    if (subcommand) {
+        throw new Error(`未知子命令: ${subcommand}（可用: sync, info）`);
+    }
     const res = await fetchProviderModels('');
     if (res.error) {
         console.error('错误: 获取模型列表失败:', res.error);
@@ -7890,13 +8436,105 @@ async function cmdModels() {
     if (models.length === 0) {
         console.log('  (空)');
     } else {
+        const table = modelCatalog.readModelMetadataTable();
         models.forEach((m, i) => {
-            console.log(`  ${i + 1}. ${m}`);
+            const summary = formatModelCatalogSummary(modelCatalog.lookupModelMetadata(m, { table }));
+            console.log(`  ${i + 1}. ${m}${summary ? `  (${summary})` : ''}`);
         });
     }
     console.log();
 }
 
+function parseUsageCommandArgs(argv = []) {
+    const options = { groupBy: 'day', source: 'all', since: '', until: '', format: 'table' };
+    const readValue = (token, index, hint) => {
+        const value = String(argv[index + 1] || '').trim();
+        if (!value || value.startsWith('--')) {
+            throw new Error(`${token} 需要一个值（${hint}）`);
+        }
+        return value;
+    };
+    for (let cursor = 0; cursor < argv.length; cursor += 1) {
+        const token = argv[cursor];
+        if (token === '--by') {
+            const value = readValue(token, cursor, USAGE_REPORT_GROUPS.join('/')).toLowerCase();
+            if (!USAGE_REPORT_GROUPS.includes(value)) {
+                throw new Error(`--by 仅支持 ${USAGE_REPORT_GROUPS.join('/')}`);
+            }
+            options.groupBy = value;
+            cursor += 1;
+        } else if (token === '--source') {
+            const value = readValue(token, cursor, 'codex/claude/gemini/codebuddy/all').toLowerCase();
+            if (!['codex', 'claude', 'gemini', 'codebuddy', 'all'].includes(value)) {
+                throw new Error('--source 仅支持 codex/claude/gemini/codebuddy/all');
+            }
+            options.source = value;
+            cursor += 1;
+        } else if (token === '--since' || token === '--until') {
+            options[token.slice(2)] = readValue(token, cursor, '如 30d 或 2026-01-01');
+            cursor += 1;
+        } else if (token === '--format') {
+            const value = readValue(token, cursor, 'table/csv/json').toLowerCase();
+            if (!['table', 'csv', 'json'].includes(value)) {
+                throw new Error('--format 仅支持 table/csv/json');
+            }
+            options.format = value;
+            cursor += 1;
+        } else if (token === '--json') {
+            options.format = 'json';
+        } else {
+            throw new Error(`未知参数: ${token}`);
+        }
+    }
+    return options;
+}
+
+function formatUsageCost(row) {
+    if (row.total > 0 && row.unpricedTokens === row.total) return '-';
+    return `$${row.costUsd.toFixed(4)}${row.unpricedTokens > 0 ? '*' : ''}`;
+}
+
+async function cmdUsage(argv = []) {
+    const options = parseUsageCommandArgs(argv);
+    const report = await usageLedger.buildUsageReport(options);
+    if (options.format === 'json') {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        return;
+    }
+    if (options.format === 'csv') {
+        process.stdout.write(formatUsageReportCsv(report));
+        return;
+    }
+    const range = [report.since ? `自 ${report.since.slice(0, 10)}` : '', report.until ? `至 ${report.until.slice(0, 10)}` : ''].filter(Boolean).join(' ');
+    console.log(`\nToken 用量（按 ${report.groupBy}${report.source === 'all' ? '' : ` · ${report.source}`}${range ? ` · ${range}` : ''}）:`);
+    if (!report.rows.length) {
+        console.log('  (无记录)');
+        console.log();
+        return;
+    }
+    const header = ['', '会话', '轮次', '输入', '缓存', '输出', '推理', '合计', '费用'];
+    const lines = report.rows.map(row => [
+        report.groupBy === 'session' && row.title ? `${row.key} ${row.title.slice(0, 30)}` : row.key,
+        row.sessions, row.turns, row.input, row.cached, row.output, row.reasoning, row.total, formatUsageCost(row)
+    ]);
+    lines.push(['合计', report.totals.sessions, report.totals.turns, report.totals.input, report.totals.cached,
+        report.totals.output, report.totals.reasoning, report.totals.total, formatUsageCost(report.totals)]);
+    // 中文按两列宽对齐
+    const widthOf = text => [...text].reduce((sum, ch) => sum + (/[\u1100-\uffff]/.test(ch) ? 2 : 1), 0);
+    const cells = lines.map(line => line.map(String));
+    const widths = header.map((title, index) => Math.max(widthOf(title), ...cells.map(line => widthOf(line[index]))));
+    const render = line => '  ' + line.map((cell, index) => {
+        const padding = ' '.repeat(widths[index] - widthOf(cell));
+        return index === 0 ? cell + padding : padding + cell;
+    }).join('  ');
+    console.log(render(header));
+    cells.forEach(line => console.log(render(line)));
+    if (report.totals.unpricedTokens > 0) {
+        console.log(`\n  * 含 ${report.totals.unpricedTokens} 个未定价 token，可在 ${MODEL_PRICING_FILE} 中补充价格`);
+    }
+    console.log();
+}
+
 // 切换提供商
 function cmdSwitch(providerName, silent = false) {
     const config = sanitizeRemovedBuiltinProxyProvider(readConfig());
@@ -7917,7 +8555,7 @@ function cmdSwitch(providerName, silent = false) {
         /^(model_provider\s*=\s*)(["']).*?(["'])/m,
         `$1$2${providerName}$3`
     );
-    writeConfig(newContent);
+    writeConfig(newContent, 'switch-provider');
 
     // 更新认证信息
     const apiKey = providers[providerName].preferred_auth_method || '';
@@ -7930,7 +8568,7 @@ function cmdSwitch(providerName, silent = false) {
     const modelRegex = /^(model\s*=\s*)(["']).*?(["'])/m;
     if (modelRegex.test(content2)) {
         const newContent2 = content2.replace(modelRegex, `$1$2${targetModel}$3`);
-        writeConfig(newContent2);
+        writeConfig(newContent2, 'switch-provider');
     }
 
     if (!silent) {
@@ -7961,12 +8599,22 @@ function cmdUseModel(modelName, silent = false) {
         throw new Error('未设置当前提供商');
     }
 
+    // 已同步过模型目录时提示不在列表中的模型（中转可能隐藏部分模型，因此不阻止切换）
+    const check = silent ? null : modelCatalog.validateModelForProvider(currentProvider, modelName);
+    if (check && check.status === 'unlisted') {
+        console.warn(`! 模型 ${modelName} 不在 ${currentProvider} 的模型目录中（同步于 ${check.syncedAt || '未知时间'}）`);
+        if (check.suggestions.length) {
+            console.warn(`  相近的模型: ${check.suggestions.join(', ')}`);
+        }
+        console.warn('  如列表已过期，可运行 codexmate models sync 重新同步');
+    }
+
     // 更新模型
     const content = fs.readFileSync(CONFIG_FILE, 'utf-8');
     const modelRegex = /^(model\s*=\s*)(["']).*?(["'])/m;
     if (modelRegex.test(content)) {
         const newContent = content.replace(modelRegex, `$1$2${modelName}$3`);
-        writeConfig(newContent);
+        writeConfig(newContent, 'use-model');
     }
 
     // 保存当前提供商的模型选择
@@ -7976,6 +8624,8 @@ function cmdUseModel(modelName, silent = false) {
 
     if (!silent) {
         console.log('✓ 已切换模型:', modelName);
+        const summary = formatModelCatalogSummary(check && check.metadata);
+        if (summary) console.log(`  ${summary}`);
         console.log();
     }
     recordRecentConfig(currentProvider, modelName);
@@ -8068,7 +8718,7 @@ stream_idle_timeout_ms = 300000
 `;
 
     const content = fs.readFileSync(CONFIG_FILE, 'utf-8');
-    writeConfig(content.trimEnd() + '\n' + newBlock);
+    writeConfig(content.trimEnd() + '\n' + newBlock, 'add-provider');
 
     // 初始化当前模型
     const currentModels = readCurrentModels();
@@ -8352,7 +9002,7 @@ function cmdUpdate(name, baseUrl, apiKey, silent = false, options = {}) {
     } catch (e) {
         throw new Error(`更新后的 config.toml 无效: ${e.message}`);
     }
-    writeConfig(finalContent);
+    writeConfig(finalContent, 'update-provider');
 
     // 如果更新了 API Key 且该提供商是当前激活的，同步更新 auth.json
     const currentProvider = config.model_provider;
@@ -8468,7 +9118,7 @@ function applyToClaudeSettings(config = {}) {
 
         ensureDir(CLAUDE_DIR);
         const backupPath = backupFileIfNeededOnce(CLAUDE_SETTINGS_FILE);
-        writeJsonAtomic(CLAUDE_SETTINGS_FILE, nextSettings);
+        trackConfigWrite(CLAUDE_SETTINGS_FILE, 'apply-claude-config', () => writeJsonAtomic(CLAUDE_SETTINGS_FILE, nextSettings));
 
         const result = {
             success: true,
@@ -9016,7 +9666,7 @@ async function cmdExportSession(args = []) {
 }
 
 function parseStartOptions(args = []) {
-    const options = { host: '', noBrowser: false };
+    const options = { host: '', noBrowser: false, tlsCert: '', tlsKey: '', tlsSelfSigned: false };
     if (!Array.isArray(args)) {
         return options;
     }
@@ -9035,6 +9685,28 @@ function parseStartOptions(args = []) {
         if (arg === '--host') {
             options.host = args[i + 1] || '';
             i += 1;
+            continue;
+        }
+        if (arg === '--tls-self-signed') {
+            options.tlsSelfSigned = true;
+            continue;
+        }
+        if (arg.startsWith('--tls-cert=')) {
+            options.tlsCert = arg.slice('--tls-cert='.length);
+            continue;
+        }
+        if (arg === '--tls-cert') {
+            options.tlsCert = args[i + 1] || '';
+            i += 1;
+            continue;
+        }
+        if (arg.startsWith('--tls-key=')) {
+            options.tlsKey = arg.slice('--tls-key='.length);
+            continue;
+        }
+        if (arg === '--tls-key') {
+            options.tlsKey = args[i + 1] || '';
+            i += 1;
         }
     }
 
@@ -9650,6 +10322,25 @@ async function handleImportSkillsZipUpload(req, res, options = {}) {
     }
 }
 
+async function handleImportPluginZipUpload(req, res) {
+    if (req.method !== 'POST') {
+        if (req && typeof req.resume === 'function') {
+            req.resume();
+        }
+        writeJsonResponse(res, 405, { error: 'Method Not Allowed' });
+        return;
+    }
+    try {
+        const overwrite = new URL(req.url || '/', 'http://localhost').searchParams.get('overwrite') === '1';
+        const fileName = resolveUploadFileNameFromRequest(req, 'codexmate-plugin.zip');
+        const upload = await writeUploadZipStream(req, 'codexmate-plugin-import', fileName, MAX_SKILLS_ZIP_UPLOAD_SIZE);
+        const result = await externalPlugins.installPluginFromZip(upload.zipPath, { tempDir: upload.tempDir, overwrite });
+        writeJsonResponse(res, result && result.error ? 400 : 200, result || {});
+    } catch (e) {
+        writeJsonResponse(res, 400, { error: e && e.message ? e.message : '上传失败' });
+    }
+}
+
 const PUBLIC_WEB_UI_DYNAMIC_ASSETS = new Map([
     ['app.js', {
         mime: 'application/javascript; charset=utf-8',
@@ -9676,18 +10367,23 @@ const PUBLIC_WEB_UI_STATIC_ASSETS = new Set([
     'session-helpers.mjs'
 ]);
 
-function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser }) {
+function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser, webAuth = null, tls = null }) {
     const connections = new Set();
+    // 就绪探测走本机回环，证书主机名与自签名 CA 不参与校验
+    const webTransport = tls ? https : http;
+    const probeTlsOptions = tls ? { rejectUnauthorized: false } : {};
     const probeWebUiReadiness = (callback) => {
         const payload = JSON.stringify({ action: 'health-check', params: {} });
         const requestOptions = {
+            ...probeTlsOptions,
             hostname: openHost,
             port,
             path: '/api',
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json; charset=utf-8',
-                'Content-Length': Buffer.byteLength(payload, 'utf-8')
+                'Content-Length': Buffer.byteLength(payload, 'utf-8'),
+                ...(webAuth ? { Authorization: `Bearer ${webAuth.getWebAuthSummary().adminToken}` } : {})
             }
         };
         let settled = false;
@@ -9696,7 +10392,7 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
             settled = true;
             callback(ready);
         };
-        const req = http.request(requestOptions, (probeRes) => {
+        const req = webTransport.request(requestOptions, (probeRes) => {
             if (typeof probeRes.resume === 'function') {
                 probeRes.resume();
             }
@@ -9713,6 +10409,7 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
     };
     const probeWebUiAssetReadiness = (callback) => {
         const requestOptions = {
+            ...probeTlsOptions,
             hostname: openHost,
             port,
             path: '/web-ui/app.js',
@@ -9724,7 +10421,7 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
             settled = true;
             callback(ready);
         };
-        const req = http.request(requestOptions, (probeRes) => {
+        const req = webTransport.request(requestOptions, (probeRes) => {
             if (typeof probeRes.resume === 'function') {
                 probeRes.resume();
             }
@@ -9816,7 +10513,7 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
         res.end('Internal Server Error');
     };
 
-    const server = http.createServer((req, res) => {
+    const handleRequest = (req, res) => {
         const requestPath = (req.url || '/').split('?')[0];
         const sendJson = (statusCode, payload) => {
             const body = JSON.stringify(payload || {}, null, 2);
@@ -9829,18 +10526,32 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
         if (typeof openaiBridgeHandler === 'function' && openaiBridgeHandler(req, res)) {
             return;
         }
+        if (webAuth && (webAuth.handleAuthRoute(req, res, requestPath) || webAuth.handleTokenBootstrap(req, res))) {
+            return;
+        }
+        let apiAuth = null;
         if (
             requestPath === '/api'
             || requestPath.startsWith('/api/import-')
             || requestPath.startsWith('/hooks/')
             || requestPath.startsWith('/download/')
         ) {
+            if (webAuth) {
+                apiAuth = webAuth.authorizeRequest(req, res, { csrf: !requestPath.startsWith('/hooks/') });
+                if (!apiAuth) {
+                    return;
+                }
+                if (!webAuth.isPathAllowed(apiAuth, requestPath)) {
+                    sendJson(403, { error: '只读账号无权访问该接口', errorCode: 'read-only' });
+                    return;
+                }
+            }
             const remoteAddr = req && req.socket ? req.socket.remoteAddress : '';
             const isLoopback = !remoteAddr
                 || remoteAddr === '127.0.0.1'
                 || remoteAddr === '::1'
                 || remoteAddr === '::ffff:127.0.0.1';
-            if (!isLoopback) {
+            if (!apiAuth && !isLoopback) {
                 const expected = typeof process.env.CODEXMATE_HTTP_TOKEN === 'string'
                     ? process.env.CODEXMATE_HTTP_TOKEN.trim()
                     : '';
@@ -9870,6 +10581,10 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
             void handleImportSkillsZipUpload(req, res, { targetApp: 'codex' });
             return;
         }
+        if (requestPath === '/api/import-plugin-zip') {
+            void handleImportPluginZipUpload(req, res);
+            return;
+        }
         if (requestPath.startsWith('/hooks/')) {
             const segments = requestPath.split('/').filter(Boolean);
             const source = segments[1] ? String(segments[1]) : '';
@@ -9900,8 +10615,13 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
             });
             req.on('end', async () => {
                 if (bodyTooLarge) return;
+                enterConfigWriteOrigin('web');
                 try {
                     const { action, params } = JSON.parse(body || '{}');
+                    if (apiAuth && !webAuth.isApiActionAllowed(apiAuth, action)) {
+                        sendJson(403, { error: `只读账号无权执行操作: ${action}`, errorCode: 'read-only' });
+                        return;
+                    }
                     let result;
 
                     switch (action) {
@@ -10022,18 +10742,14 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         case 'doctor':
                             {
                                 const doctorParams = isPlainObject(params) ? params : {};
-                                const report = await buildDoctorReport(doctorParams, {
-                                    getStatusPayload: buildMcpStatusPayload,
-                                    buildInstallStatusReport,
-                                    buildConfigHealthReport,
-                                    listSessionUsage,
-                                    buildTaskOverviewPayload,
-                                    listSkills
-                                });
+                                const report = await runDoctorReport(doctorParams);
                                 result = buildDoctorLegacyPayload(report);
                                 result.markdown = renderDoctorMarkdown(report);
                             }
                             break;
+                        case 'doctor-fix':
+                            result = await runDoctorFix(isPlainObject(params) ? params : {}, { requirePlanDigest: true });
+                            break;
                         case 'get-agents-file':
                             result = readAgentsFile(params || {});
                             break;
@@ -10049,13 +10765,76 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         case 'preview-agents-diff':
                             result = buildAgentsDiff(params || {});
                             break;
-                        case 'list-skills':
-                            result = listSkills(params || {});
-                            break;
-                        case 'delete-skills':
-                            result = deleteSkills(params || {});
+                        case 'bundle-export':
+                        case 'bundle-preview':
+                        case 'bundle-import': {
+                            const bundleParams = isPlainObject(params) ? params : {};
+                            try {
+                                if (action === 'bundle-export') {
+                                    const { envelope, summary } = exportBundle(bundleParams);
+                                    result = {
+                                        fileName: `codexmate-bundle-${formatTimestampForFileName(new Date())}.json`,
+                                        content: JSON.stringify(envelope, null, 2),
+                                        summary
+                                    };
+                                } else {
+                                    result = action === 'bundle-preview' ? previewBundle(bundleParams) : importBundle(bundleParams);
+                                }
+                            } catch (e) {
+                                result = { error: e.message || '配置包处理失败' };
+                            }
                             break;
-                        case 'scan-unmanaged-skills':
+                        }
+                        case 'bindings-list':
+                        case 'bindings-resolve':
+                        case 'bindings-save':
+                        case 'bindings-delete': {
+                            const bindingParams = isPlainObject(params) ? params : {};
+                            try {
+                                if (action === 'bindings-list') {
+                                    const { file, bindings } = listDirectoryBindings();
+                                    result = { file, bindings: bindings.map(redactDirectoryBinding) };
+                                } else if (action === 'bindings-resolve') {
+                                    const cwd = path.resolve(typeof bindingParams.cwd === 'string' && bindingParams.cwd.trim() ? bindingParams.cwd.trim() : process.cwd());
+                                    const binding = resolveDirectoryBinding(cwd);
+                                    const overrides = binding ? buildDirectoryBindingOverrides(binding, bindingParams.target || 'codex') : null;
+                                    result = {
+                                        cwd,
+                                        binding: summarizeDirectoryBinding(binding),
+                                        args: overrides ? overrides.args : [],
+                                        env: overrides ? Object.keys(overrides.env) : [],
+                                        warnings: overrides ? overrides.warnings : []
+                                    };
+                                } else if (action === 'bindings-save') {
+                                    const saved = upsertDirectoryBinding(isPlainObject(bindingParams.binding) ? bindingParams.binding : {});
+                                    result = { success: true, binding: redactDirectoryBinding(saved.binding) };
+                                } else {
+                                    removeDirectoryBinding(bindingParams.id);
+                                    result = { success: true };
+                                }
+                            } catch (e) {
+                                result = { error: e.message || '目录绑定处理失败' };
+                            }
+                            break;
+                        }
+                        case 'config-history-list':
+                            result = listConfigHistory(params || {});
+                            break;
+                        case 'config-history-show': {
+                            const { id, compare } = params || {};
+                            result = getConfigHistoryEntry(id, { compare });
+                            break;
+                        }
+                        case 'config-history-restore':
+                            result = restoreConfigHistory((params || {}).id);
+                            break;
+                        case 'list-skills':
+                            result = listSkills(params || {});
+                            break;
+                        case 'delete-skills':
+                            result = deleteSkills(params || {});
+                            break;
+                        case 'scan-unmanaged-skills':
                             result = scanUnmanagedSkills(params || {});
                             break;
                         case 'import-skills':
@@ -10121,6 +10900,15 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         case 'apply-claude-config':
                             result = applyToClaudeSettings(params.config);
                             break;
+                        case 'claude-settings-read':
+                            result = claudeSettings.readClaudeSettingsScope(isPlainObject(params) ? params : {});
+                            break;
+                        case 'claude-settings-preview':
+                            result = claudeSettings.previewClaudeSettings(isPlainObject(params) ? params : {});
+                            break;
+                        case 'claude-settings-save':
+                            result = claudeSettings.saveClaudeSettings(isPlainObject(params) ? params : {});
+                            break;
                         case 'export-claude-share':
                             result = buildClaudeSharePayload(params && params.config ? params.config : {});
                             break;
@@ -10223,6 +11011,86 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                                 }
                             }
                             break;
+                        case 'usage-report':
+                            {
+                                const reportParams = isPlainObject(params) ? params : {};
+                                const groupBy = typeof reportParams.groupBy === 'string' ? reportParams.groupBy.trim().toLowerCase() : '';
+                                if (groupBy && !USAGE_REPORT_GROUPS.includes(groupBy)) {
+                                    result = { error: `Invalid groupBy. Must be ${USAGE_REPORT_GROUPS.join(', ')}` };
+                                } else {
+                                    result = await usageLedger.buildUsageReport({ ...reportParams, groupBy: groupBy || 'day' });
+                                }
+                            }
+                            break;
+                        case 'mcp-servers-list':
+                            result = mcpServers.listMcpServers();
+                            break;
+                        case 'mcp-servers-save':
+                            result = mcpServers.upsertMcpServer(isPlainObject(params) ? params : {});
+                            break;
+                        case 'mcp-servers-enable':
+                            result = mcpServers.setMcpServerEnabled(isPlainObject(params) ? params : {});
+                            break;
+                        case 'mcp-servers-remove':
+                            result = mcpServers.removeMcpServer(isPlainObject(params) ? params : {});
+                            break;
+                        case 'mcp-servers-import':
+                            result = mcpServers.importMcpServers(isPlainObject(params) ? params : {});
+                            break;
+                        case 'mcp-servers-sync':
+                            result = mcpServers.syncMcpServers(isPlainObject(params) ? params : {});
+                            break;
+                        case 'mcp-servers-test':
+                            result = await mcpServers.testMcpServer(isPlainObject(params) ? params : {});
+                            break;
+                        case 'prompt-templates-list':
+                            result = promptTemplates.listPromptTemplates();
+                            break;
+                        case 'prompt-templates-save':
+                            result = promptTemplates.savePromptTemplate(isPlainObject(params) ? params : {});
+                            break;
+                        case 'prompt-templates-delete':
+                            result = promptTemplates.deletePromptTemplate(isPlainObject(params) ? params : {});
+                            break;
+                        case 'prompt-templates-import':
+                            result = promptTemplates.importPromptTemplates(isPlainObject(params) ? params : {});
+                            break;
+                        case 'prompt-templates-render':
+                            result = promptTemplates.renderPromptTemplateById(isPlainObject(params) ? params : {});
+                            break;
+                        case 'prompt-templates-install':
+                            result = promptTemplates.installPromptTemplateCommand(isPlainObject(params) ? params : {});
+                            break;
+                        case 'prompt-templates-uninstall':
+                            result = promptTemplates.uninstallPromptTemplateCommand(isPlainObject(params) ? params : {});
+                            break;
+                        case 'plugins-list':
+                            // 插件界面凭 api:read 权限只能调用这些只读接口
+                            result = { ...externalPlugins.listPlugins(), readOnlyActions: WEB_READ_ONLY_API_ACTIONS };
+                            break;
+                        case 'plugins-enable':
+                            result = externalPlugins.enablePlugin(isPlainObject(params) ? params : {});
+                            break;
+                        case 'plugins-disable':
+                            result = externalPlugins.disablePlugin(isPlainObject(params) ? params : {});
+                            break;
+                        case 'plugins-uninstall':
+                            result = externalPlugins.uninstallPlugin(isPlainObject(params) ? params : {});
+                            break;
+                        case 'plugins-action':
+                            result = await externalPlugins.runPluginAction(isPlainObject(params) ? params : {});
+                            break;
+                        case 'session-analytics':
+                            {
+                                const analyticsParams = isPlainObject(params) ? params : {};
+                                const source = typeof analyticsParams.source === 'string' ? analyticsParams.source.trim().toLowerCase() : '';
+                                if (source && source !== 'codex' && source !== 'claude' && source !== 'gemini' && source !== 'codebuddy' && source !== 'all') {
+                                    result = { error: 'Invalid source. Must be codex, claude, gemini, codebuddy, or all' };
+                                } else {
+                                    result = await sessionAnalytics.buildSessionAnalytics({ ...analyticsParams, source: source || 'all' });
+                                }
+                            }
+                            break;
                         case 'list-session-paths':
                             {
                                 const source = typeof params.source === 'string' ? params.source.trim().toLowerCase() : '';
@@ -10262,6 +11130,9 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         case 'session-detail':
                             result = await readSessionDetail(params);
                             break;
+                        case 'session-events':
+                            result = await readSessionEvents(params);
+                            break;
                         case 'session-plain':
                             result = await readSessionPlain(params);
                             break;
@@ -10302,6 +11173,13 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         case 'delete-auth-profile':
                             result = deleteAuthProfile(params && params.name ? params.name : '');
                             break;
+                        case 'refresh-auth-profile':
+                            try {
+                                result = await refreshAuthProfile(params && typeof params.name === 'string' ? params.name : '');
+                            } catch (e) {
+                                result = { error: e.message || '刷新认证失败' };
+                            }
+                            break;
                         case 'proxy-status':
                             result = getBuiltinProxyStatus();
                             break;
@@ -10323,6 +11201,57 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         case 'claude-proxy-stop':
                             result = await stopBuiltinClaudeProxyRuntime();
                             break;
+                        case 'traffic-status':
+                            result = trafficRecorder.getTrafficStatus();
+                            break;
+                        case 'traffic-save-config':
+                            result = trafficRecorder.saveTrafficSettings(params || {});
+                            break;
+                        case 'traffic-list':
+                            result = trafficRecorder.listTrafficEntries(params || {});
+                            break;
+                        case 'traffic-get':
+                            result = trafficRecorder.getTrafficEntry(params && params.id);
+                            break;
+                        case 'traffic-clear':
+                            result = trafficRecorder.clearTrafficLog();
+                            break;
+                        case 'traffic-replay':
+                            result = await trafficRecorder.replayTrafficEntry(params || {});
+                            break;
+                        case 'budget-status':
+                            result = { settings: proxyBudget.readBudgetSettings(), ...proxyBudget.getBudgetStatus() };
+                            break;
+                        case 'budget-save-config':
+                            result = proxyBudget.saveBudgetSettings(params || {});
+                            break;
+                        case 'budget-reset':
+                            result = proxyBudget.resetBudgetUsage(params && params.id);
+                            break;
+                        case 'provider-health-status':
+                            result = providerMonitor.getHealthStatus(params || {});
+                            break;
+                        case 'provider-health-save-config':
+                            result = providerMonitor.saveMonitorSettings(params || {});
+                            break;
+                        case 'provider-health-run':
+                            try {
+                                result = await providerMonitor.runMonitorRound({
+                                    provider: params && typeof params.provider === 'string' ? params.provider.trim() : ''
+                                });
+                            } catch (e) {
+                                result = { error: e.message || '健康探测失败' };
+                            }
+                            break;
+                        case 'provider-health-clear':
+                            result = providerMonitor.clearHealthHistory();
+                            break;
+                        case 'model-catalog':
+                            result = modelCatalog.buildModelCatalog(params || {});
+                            break;
+                        case 'model-catalog-sync':
+                            result = await modelCatalog.syncModelCatalog(params || {});
+                            break;
                         case 'proxy-enable-codex-default':
                             result = await ensureBuiltinProxyForCodexDefault(params || {});
                             break;
@@ -10555,6 +11484,22 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                         : 'application/octet-stream';
             res.writeHead(200, { 'Content-Type': mime });
             fs.createReadStream(filePath).pipe(res);
+        } else if (requestPath.startsWith('/plugin-assets/')) {
+            const segments = requestPath.slice('/plugin-assets/'.length).split('/');
+            let asset = null;
+            try {
+                const pluginId = decodeURIComponent(segments.shift() || '');
+                asset = externalPlugins.resolvePluginAsset(pluginId, segments.map(decodeURIComponent).join('/'));
+            } catch (_) {
+                asset = null;
+            }
+            if (!asset) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not Found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': asset.mime, 'Cache-Control': 'no-cache' });
+            fs.createReadStream(asset.filePath).pipe(res);
         } else if (requestPath.startsWith('/download/')) {
             const fileName = requestPath.slice('/download/'.length);
             let decodedFileName = '';
@@ -10625,7 +11570,10 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
                 writeWebUiAssetError(res, requestPath, error);
             }
         }
-    });
+    };
+    const server = tls
+        ? https.createServer({ cert: tls.cert, key: tls.key }, handleRequest)
+        : http.createServer(handleRequest);
 
     server.on('connection', (socket) => {
         connections.add(socket);
@@ -10645,7 +11593,8 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
     const openHost = host === '::'
         ? '::1'
         : (host === '0.0.0.0' ? DEFAULT_WEB_OPEN_HOST : host);
-    const openUrl = `http://${formatHostForUrl(openHost)}:${port}`;
+    const protocol = tls ? 'https' : 'http';
+    const openUrl = `${protocol}://${formatHostForUrl(openHost)}:${port}`;
     server.listen(port, host, () => {
         console.log('\n✓ Web UI 已启动');
         const willOpenBrowser = !!openBrowser && !process.env.CODEXMATE_NO_BROWSER;
@@ -10653,9 +11602,25 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
         if (host && host !== openHost) {
             console.log('  监听地址:', host);
         }
+        if (tls && tls.mode === 'self-signed') {
+            console.log(`  HTTPS: 自签名证书${tls.renewed ? '（已签发新证书）' : ''}，浏览器需信任本地 CA: ${tls.caPath}`);
+        } else if (tls) {
+            console.log('  HTTPS 证书:', tls.certPath);
+        }
+        const bootstrapUrls = webAuth
+            ? webAuth.buildBootstrapUrls({ protocol, host, openHost, port, formatHost: formatHostForUrl })
+            : [];
+        if (bootstrapUrls.length) {
+            console.log('  登录链接（含管理员令牌，请勿外传）:');
+            for (const url of bootstrapUrls) {
+                console.log(`    ${url}`);
+            }
+            console.log('  令牌管理: codexmate web-auth show | rotate');
+        }
         console.log('  退出: Ctrl+C\n');
         if (isAnyAddressHost(host)) {
-            const tokenEnabled = typeof process.env.CODEXMATE_HTTP_TOKEN === 'string' && process.env.CODEXMATE_HTTP_TOKEN.trim().length > 0;
+            const tokenEnabled = !!webAuth
+                || (typeof process.env.CODEXMATE_HTTP_TOKEN === 'string' && process.env.CODEXMATE_HTTP_TOKEN.trim().length > 0);
             console.warn(`! 安全提示: 当前监听所有网卡（${tokenEnabled ? '已启用鉴权' : '无鉴权'}）。`);
             if (!tokenEnabled) {
                 console.warn('  建议仅在可信网络使用，或改用 --host 127.0.0.1。');
@@ -10664,7 +11629,8 @@ function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser
         }
 
         if (willOpenBrowser) {
-            openBrowserAfterReady(openUrl);
+            const trustLoopback = !webAuth || webAuth.getWebAuthSummary().trustLoopback;
+            openBrowserAfterReady(trustLoopback || !bootstrapUrls.length ? openUrl : bootstrapUrls[0]);
         }
     });
 
@@ -10769,6 +11735,11 @@ function cmdStart(options = {}) {
 
     const port = resolveWebPort();
     const host = resolveWebHost(options);
+    const tls = webTls.resolveWebTlsOptions({ ...options, host });
+    if (tls && tls.error) {
+        console.error(`错误: ${tls.error}`);
+        process.exit(1);
+    }
     releaseRunPortIfNeeded(port, host);
 
     const isDev = process.env.NODE_ENV === 'development'
@@ -10783,10 +11754,14 @@ function cmdStart(options = {}) {
         webDir,
         host,
         port,
-        openBrowser: shouldOpenBrowser
+        openBrowser: shouldOpenBrowser,
+        webAuth,
+        tls
     });
 
     const stopAutomationScheduler = startAutomationScheduler();
+    const stopAuthExpiryMonitor = startAuthExpiryMonitor();
+    const stopProviderMonitor = providerMonitor.startProviderMonitor();
 
     // 禁止前端变更侦测与自动重启：避免终端输出噪音与访问时短暂 Connection Refused。
     // 如需热重启，请由开发者自行使用外部 watcher / nodemon 等工具。
@@ -10795,6 +11770,8 @@ function cmdStart(options = {}) {
     const handleExit = () => {
         stopWatch();
         stopAutomationScheduler();
+        stopAuthExpiryMonitor();
+        stopProviderMonitor();
         Promise.allSettled([
             serverHandle.stop(),
             stopBuiltinProxyRuntime(),
@@ -10806,7 +11783,7 @@ function cmdStart(options = {}) {
     process.on('SIGTERM', handleExit);
 }
 
-function cmdAuth(args = []) {
+async function cmdAuth(args = []) {
     const subcommand = (args[0] || 'list').toLowerCase();
 
     if (subcommand === 'list') {
@@ -10820,7 +11797,10 @@ function cmdAuth(args = []) {
             const marker = profile.current ? '●' : ' ';
             const type = profile.type || 'unknown';
             const email = profile.email || '(无邮箱)';
-            console.log(` ${marker} ${profile.name}  [${type}]  ${email}`);
+            const expiry = profile.expiryStatus === 'expired' || profile.expiryStatus === 'expiring'
+                ? `  ! ${formatAuthExpiryLabel(profile)}`
+                : '';
+            console.log(` ${marker} ${profile.name}  [${type}]  ${email}${expiry}`);
         });
         console.log();
         return;
@@ -10840,7 +11820,40 @@ function cmdAuth(args = []) {
             console.log('  账号:', current.email);
         }
         if (current.expired) {
-            console.log('  过期时间:', current.expired);
+            const label = formatAuthExpiryLabel(current);
+            console.log('  过期时间:', label ? `${current.expired}（${label}）` : current.expired);
+        }
+        if (current.lastRefresh) {
+            console.log('  上次刷新:', current.lastRefresh);
+        }
+        console.log('  可刷新:', current.refreshable ? '是' : '否');
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'refresh') {
+        let name = '';
+        let tokenUrl = '';
+        for (let i = 1; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '--token-url') {
+                tokenUrl = args[++i] || '';
+                if (!tokenUrl) throw new Error('--token-url 需要一个地址');
+            } else if (arg.startsWith('--token-url=')) {
+                tokenUrl = arg.slice('--token-url='.length);
+            } else if (arg.startsWith('--')) {
+                throw new Error(`未知参数: ${arg}`);
+            } else if (!name) {
+                name = arg;
+            }
+        }
+        const result = await refreshAuthProfile(name, { tokenUrl });
+        console.log(`✓ 已刷新认证: ${result.profile.name}`);
+        if (result.profile.expired) {
+            console.log(`  新的过期时间: ${result.profile.expired}`);
+        }
+        if (result.profile.current) {
+            console.log('  已同步写入 auth.json');
         }
         console.log();
         return;
@@ -10861,40 +11874,557 @@ function cmdAuth(args = []) {
         if (result.profile.email) {
             console.log(`  账号: ${result.profile.email}`);
         }
-        if (!noActivate) {
-            console.log('  已自动切换为当前认证');
+        if (!noActivate) {
+            console.log('  已自动切换为当前认证');
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'switch' || subcommand === 'use') {
+        const name = args[1];
+        if (!name) {
+            throw new Error('用法: codexmate auth switch <名称>');
+        }
+        switchAuthProfile(name);
+        return;
+    }
+
+    if (subcommand === 'delete' || subcommand === 'remove') {
+        const name = args[1];
+        if (!name) {
+            throw new Error('用法: codexmate auth delete <名称>');
+        }
+        const result = deleteAuthProfile(name);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        console.log(`✓ 已删除认证: ${name}`);
+        if (result.switchedTo) {
+            console.log(`  已自动切换到: ${result.switchedTo}`);
+        }
+        console.log();
+        return;
+    }
+
+    throw new Error(`未知 auth 子命令: ${subcommand}`);
+}
+
+function cmdWebAuth(args = []) {
+    const subcommand = (args[0] || 'show').toLowerCase();
+    const printTokens = (summary) => {
+        console.log('  管理员令牌:', summary.adminToken);
+        console.log('  只读令牌:', summary.readOnlyToken);
+    };
+
+    if (subcommand === 'show' || subcommand === 'status') {
+        const summary = webAuth.getWebAuthSummary();
+        console.log('\nWeb UI 鉴权:');
+        console.log('  配置文件:', summary.file);
+        printTokens(summary);
+        console.log('  管理员密码:', summary.adminPasswordSet ? '已设置' : '未设置');
+        console.log('  只读密码:', summary.readOnlyPasswordSet ? '已设置' : '未设置');
+        console.log('  本机免登录:', summary.trustLoopback ? '是' : '否');
+        console.log('  本机访问允许的 Host:', ['localhost', '127.0.0.1', '::1', ...summary.allowedHosts].join(', '));
+        if (summary.envTokenSet) {
+            console.log('  CODEXMATE_HTTP_TOKEN: 已设置（可作为管理员令牌）');
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'rotate') {
+        webAuth.rotateWebAuthTokens();
+        const summary = webAuth.getWebAuthSummary();
+        console.log('✓ 已重新生成访问令牌，已登录的会话需重新登录');
+        printTokens(summary);
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'password') {
+        const role = args.includes('--read-only') ? 'read-only' : 'admin';
+        const clear = args.includes('--clear');
+        const password = args.slice(1).find((item) => !String(item).startsWith('--')) || '';
+        if (!clear && !password) {
+            throw new Error('用法: codexmate web-auth password <密码>|--clear [--read-only]');
+        }
+        const result = webAuth.setWebAuthPassword(role, clear ? '' : password);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        const label = role === 'admin' ? '管理员' : '只读';
+        console.log(clear ? `✓ 已清除${label}密码` : `✓ 已设置${label}密码`);
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'loopback') {
+        const value = String(args[1] || '').toLowerCase();
+        if (value !== 'on' && value !== 'off') {
+            throw new Error('用法: codexmate web-auth loopback <on|off>');
+        }
+        webAuth.setWebAuthTrustLoopback(value === 'on');
+        console.log(value === 'on' ? '✓ 本机访问免登录' : '✓ 本机访问也需要登录');
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'hosts') {
+        const clear = args.includes('--clear');
+        const hosts = args.slice(1).filter((item) => !String(item).startsWith('--'));
+        if (!clear && !hosts.length) {
+            throw new Error('用法: codexmate web-auth hosts <主机名...>|--clear');
+        }
+        const settings = webAuth.setWebAuthAllowedHosts(clear ? [] : hosts);
+        console.log(settings.allowedHosts.length
+            ? `✓ 本机免登录额外允许的 Host: ${settings.allowedHosts.join(', ')}`
+            : '✓ 已清除额外允许的 Host');
+        console.log();
+        return;
+    }
+
+    throw new Error(`未知 web-auth 子命令: ${subcommand}`);
+}
+
+function parseHistoryCliOptions(args = []) {
+    const options = {
+        file: '',
+        limit: 0,
+        current: false,
+        content: false
+    };
+    const rest = [];
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        if (arg === '--current') {
+            options.current = true;
+            continue;
+        }
+        if (arg === '--content') {
+            options.content = true;
+            continue;
+        }
+        if (arg === '--file') {
+            options.file = args[i + 1] || '';
+            i += 1;
+            continue;
+        }
+        if (arg.startsWith('--file=')) {
+            options.file = arg.slice('--file='.length);
+            continue;
+        }
+        if (arg === '--limit' || arg.startsWith('--limit=')) {
+            const raw = arg === '--limit' ? args[i + 1] : arg.slice('--limit='.length);
+            if (arg === '--limit') i += 1;
+            const value = parseInt(raw, 10);
+            if (Number.isFinite(value)) {
+                options.limit = value;
+            }
+            continue;
+        }
+        rest.push(arg);
+    }
+    options.rest = rest;
+    return options;
+}
+
+function printConfigHistoryDiff(diff) {
+    for (const line of diff.lines) {
+        const sign = line.type === 'add' ? '+' : (line.type === 'del' ? '-' : ' ');
+        console.log(`${sign} ${line.value}`);
+    }
+}
+
+function cmdHistory(args = []) {
+    const options = parseHistoryCliOptions(args);
+    const subcommand = (options.rest[0] || 'list').toLowerCase();
+    const id = options.rest[1];
+
+    if (subcommand === 'list' || subcommand === 'ls') {
+        const result = listConfigHistory({ file: options.file, limit: options.limit });
+        if (!result.entries.length) {
+            console.log('\n暂无配置历史');
+            console.log();
+            return;
+        }
+        console.log(`\n配置历史（共 ${result.total} 条）:`);
+        for (const entry of result.entries) {
+            const stats = entry.exists ? `+${entry.added} -${entry.removed}` : '文件不存在';
+            const marker = entry.latest ? ' *' : '';
+            console.log(`  #${entry.id}${marker}  ${entry.createdAt}  ${entry.origin}/${entry.action}  ${entry.kind}  ${stats}`);
+            console.log(`      ${entry.file}`);
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'show') {
+        if (!id) {
+            throw new Error('用法: codexmate history show <ID> [--current] [--content]');
+        }
+        const result = getConfigHistoryEntry(id, { compare: options.current ? 'current' : 'previous' });
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        const { entry } = result;
+        console.log(`\n版本 #${entry.id}: ${entry.file}`);
+        console.log('  类型:', entry.kind);
+        console.log('  来源:', `${entry.origin}/${entry.action}`);
+        console.log('  时间:', entry.createdAt);
+        if (!entry.exists) {
+            console.log('  状态: 文件不存在');
+        }
+        if (options.content) {
+            console.log();
+            console.log(result.content);
+            return;
+        }
+        const baseLabel = result.compare === 'current' ? '当前文件' : (result.baseId ? `#${result.baseId}` : '空文件');
+        console.log(`  对比: ${baseLabel} -> #${entry.id} (+${result.diff.stats.added} -${result.diff.stats.removed})`);
+        console.log();
+        printConfigHistoryDiff(result.diff);
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'restore') {
+        if (!id) {
+            throw new Error('用法: codexmate history restore <ID>');
+        }
+        const result = restoreConfigHistory(id);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        if (result.unchanged) {
+            console.log(`✓ 当前内容已与版本 #${result.restoredFrom} 一致: ${result.file}`);
+        } else {
+            console.log(`✓ 已恢复到版本 #${result.restoredFrom}: ${result.file}`);
+        }
+        console.log();
+        return;
+    }
+
+    throw new Error(`未知 history 子命令: ${subcommand}`);
+}
+
+function parseBundleCliOptions(args = []) {
+    const options = {
+        passphrase: '',
+        passphraseEnv: '',
+        sections: '',
+        onConflict: 'skip',
+        choices: {},
+        yes: false
+    };
+    const rest = [];
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        if (arg === '--yes' || arg === '-y') {
+            options.yes = true;
+            continue;
+        }
+        if (arg === '--passphrase' || arg === '--passphrase-env' || arg === '--sections' || arg === '--on-conflict' || arg === '--choose') {
+            const value = args[i + 1] || '';
+            i += 1;
+            if (arg === '--passphrase') options.passphrase = value;
+            if (arg === '--passphrase-env') options.passphraseEnv = value;
+            if (arg === '--sections') options.sections = value;
+            if (arg === '--on-conflict') options.onConflict = value;
+            if (arg === '--choose') {
+                const eq = value.lastIndexOf('=');
+                if (eq <= 0) {
+                    throw new Error('--choose 格式应为 <分区:名称>=<skip|overwrite|rename>');
+                }
+                options.choices[value.slice(0, eq)] = value.slice(eq + 1);
+            }
+            continue;
+        }
+        rest.push(arg);
+    }
+    if (!BUNDLE_CONFLICT_CHOICES.includes(options.onConflict)) {
+        throw new Error(`--on-conflict 仅支持: ${BUNDLE_CONFLICT_CHOICES.join(', ')}`);
+    }
+    options.rest = rest;
+    return options;
+}
+
+function resolveBundlePassphrase(options) {
+    const envName = options.passphraseEnv || 'CODEXMATE_BUNDLE_PASSPHRASE';
+    const passphrase = options.passphrase || process.env[envName] || '';
+    if (!passphrase) {
+        throw new Error(`缺少口令：使用 --passphrase、--passphrase-env <变量名> 或设置 ${envName}`);
+    }
+    return passphrase;
+}
+
+const BUNDLE_ITEM_STATUS_LABELS = Object.freeze({
+    new: '新增',
+    identical: '相同',
+    conflict: '冲突',
+    'client-only': '仅 Web UI'
+});
+
+function cmdBundle(args = []) {
+    const options = parseBundleCliOptions(args);
+    const subcommand = (options.rest[0] || '').toLowerCase();
+    const filePath = options.rest[1] ? path.resolve(options.rest[1]) : '';
+
+    if (subcommand === 'export') {
+        if (!filePath) {
+            throw new Error(`用法: codexmate bundle export <文件> [--sections ${BUNDLE_SECTIONS.join(',')}] [--passphrase <口令>]`);
+        }
+        const { envelope, summary } = exportBundle({
+            passphrase: resolveBundlePassphrase(options),
+            sections: options.sections
+        });
+        ensureDir(path.dirname(filePath));
+        fs.writeFileSync(filePath, JSON.stringify(envelope, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+        console.log(`✓ 已导出加密配置包: ${filePath}`);
+        for (const [section, count] of Object.entries(summary)) {
+            console.log(`  ${section}: ${count}`);
+        }
+        console.log('  提示: Claude / OpenClaw 配置与提示词模板保存在浏览器中，需在 Web UI 中导出');
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'import') {
+        if (!filePath) {
+            throw new Error('用法: codexmate bundle import <文件> [--on-conflict skip|overwrite|rename] [--choose <分区:名称>=<选择>] [--yes]');
+        }
+        const bundle = fs.readFileSync(filePath, 'utf-8');
+        const passphrase = resolveBundlePassphrase(options);
+        if (!options.yes) {
+            const preview = previewBundle({ bundle, passphrase });
+            console.log(`\n配置包预览（导出于 ${preview.createdAt || '未知时间'}）:`);
+            for (const item of preview.items) {
+                const choice = item.status === 'conflict' ? ` -> ${options.choices[item.key] || options.onConflict}` : '';
+                console.log(`  [${BUNDLE_ITEM_STATUS_LABELS[item.status] || item.status}] ${item.key}${choice}`);
+            }
+            console.log(`\n新增 ${preview.summary.new}，相同 ${preview.summary.identical}，冲突 ${preview.summary.conflict}`);
+            console.log('使用 --yes 执行导入；冲突项默认跳过，可用 --on-conflict 或 --choose 调整');
+            console.log();
+            return;
+        }
+        const result = importBundle({
+            bundle,
+            passphrase,
+            choices: options.choices,
+            onConflict: options.onConflict
+        });
+        for (const item of result.results) {
+            if (item.choice === 'skip') continue;
+            const suffix = item.importedAs ? ` (导入为 ${item.importedAs})` : '';
+            console.log(item.ok ? `  ✓ ${item.key}${suffix}` : `  ✗ ${item.key}: ${item.error}`);
+        }
+        console.log(`\n导入 ${result.summary.imported}，跳过 ${result.summary.skipped}，失败 ${result.summary.failed}`);
+        console.log();
+        if (!result.success) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    throw new Error('用法: codexmate bundle <export|import> <文件> [选项]');
+}
+
+const BIND_VALUE_OPTIONS = Object.freeze({
+    '--provider': 'provider',
+    '--model': 'model',
+    '--auth-profile': 'authProfile',
+    '--claude-profile': 'claudeProfile',
+    '--note': 'note',
+    '--target': 'target',
+    '--shell': 'shell'
+});
+
+function parseBindCliOptions(args = []) {
+    const options = { target: 'codex', shell: process.platform === 'win32' ? 'powershell' : 'sh', json: false };
+    const rest = [];
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        if (Object.prototype.hasOwnProperty.call(BIND_VALUE_OPTIONS, arg)) {
+            const value = args[i + 1];
+            if (value === undefined) {
+                throw new Error(`${arg} 缺少值`);
+            }
+            options[BIND_VALUE_OPTIONS[arg]] = value;
+            i += 1;
+            continue;
+        }
+        if (arg === '--disable') {
+            options.enabled = false;
+            continue;
+        }
+        if (arg === '--enable') {
+            options.enabled = true;
+            continue;
+        }
+        if (arg === '--json') {
+            options.json = true;
+            continue;
+        }
+        rest.push(arg);
+    }
+    if (!DIRECTORY_BINDING_TARGETS.includes(options.target)) {
+        throw new Error(`--target 仅支持: ${DIRECTORY_BINDING_TARGETS.join(', ')}`);
+    }
+    if (!['sh', 'powershell'].includes(options.shell)) {
+        throw new Error('--shell 仅支持: sh, powershell');
+    }
+    options.rest = rest;
+    return options;
+}
+
+// "." / "./x" / "../x" 按当前目录展开，其余（绝对路径、~、**/ 开头的通配）原样保存
+function resolveBindPatternArg(pattern) {
+    const text = typeof pattern === 'string' ? pattern.trim() : '';
+    if (text === '.' || text === '..' || text.startsWith('./') || text.startsWith('../')
+        || text.startsWith('.\\') || text.startsWith('..\\')) {
+        return path.resolve(text);
+    }
+    return text;
+}
+
+function formatDirectoryBindingTargets(binding) {
+    const parts = [];
+    if (binding.provider) parts.push(`provider=${binding.provider}`);
+    if (binding.model) parts.push(`model=${binding.model}`);
+    if (binding.authProfile) parts.push(`auth=${binding.authProfile}`);
+    if (binding.claudeProfile) parts.push(`claude=${binding.claudeProfile}`);
+    return parts.join('  ');
+}
+
+function formatBindingEnvLine(key, value, shell) {
+    if (shell === 'powershell') {
+        return `$env:${key} = '${String(value).replace(/'/g, "''")}'`;
+    }
+    return `export ${key}=${shellEscapePosixArg(value)}`;
+}
+
+function cmdBind(args = []) {
+    const options = parseBindCliOptions(args);
+    const subcommand = (options.rest[0] || 'list').toLowerCase();
+
+    if (subcommand === 'list' || subcommand === 'ls') {
+        const { file, bindings } = listDirectoryBindings();
+        if (options.json) {
+            console.log(JSON.stringify({ file, bindings: bindings.map(summarizeDirectoryBinding) }, null, 2));
+            return;
+        }
+        if (!bindings.length) {
+            console.log('\n暂无目录绑定，使用 codexmate bind add <路径> --provider <名称> 添加');
+            console.log();
+            return;
+        }
+        const active = resolveDirectoryBinding(process.cwd(), bindings);
+        console.log(`\n目录绑定（${file}）:`);
+        for (const binding of bindings) {
+            const marker = active && active.id === binding.id ? ' *' : '';
+            const disabled = binding.enabled ? '' : '  [已停用]';
+            console.log(`  ${binding.pattern}${marker}${disabled}`);
+            console.log(`      ${formatDirectoryBindingTargets(binding)}${binding.note ? `  # ${binding.note}` : ''}`);
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'add' || subcommand === 'set') {
+        const pattern = resolveBindPatternArg(options.rest[1]);
+        if (!pattern) {
+            throw new Error('用法: codexmate bind add <路径|通配> [--provider <名称>] [--model <模型>] [--auth-profile <认证>] [--claude-profile <名称>] [--note <备注>] [--disable]');
+        }
+        const existing = listDirectoryBindings().bindings.find(item => item.pattern === pattern);
+        const input = { ...(existing || {}), pattern };
+        for (const key of ['provider', 'model', 'authProfile', 'claudeProfile', 'note', 'enabled']) {
+            if (options[key] !== undefined) input[key] = options[key];
+        }
+        const result = upsertDirectoryBinding(input);
+        console.log(`✓ 已${existing ? '更新' : '添加'}目录绑定: ${result.binding.pattern}`);
+        console.log(`  ${formatDirectoryBindingTargets(result.binding)}`);
+        if (options.claudeProfile) {
+            console.log('  提示: Claude 配置保存在浏览器中，需在 Web UI 中保存一次该绑定以同步详情');
         }
         console.log();
         return;
     }
 
-    if (subcommand === 'switch' || subcommand === 'use') {
-        const name = args[1];
-        if (!name) {
-            throw new Error('用法: codexmate auth switch <名称>');
+    if (subcommand === 'remove' || subcommand === 'rm' || subcommand === 'delete') {
+        const ref = options.rest[1];
+        if (!ref) {
+            throw new Error('用法: codexmate bind remove <路径|ID>');
         }
-        switchAuthProfile(name);
+        let result;
+        try {
+            result = removeDirectoryBinding(ref);
+        } catch (e) {
+            result = removeDirectoryBinding(resolveBindPatternArg(ref));
+        }
+        console.log(`✓ 已删除目录绑定: ${result.binding.pattern}`);
+        console.log();
         return;
     }
 
-    if (subcommand === 'delete' || subcommand === 'remove') {
-        const name = args[1];
-        if (!name) {
-            throw new Error('用法: codexmate auth delete <名称>');
+    if (subcommand === 'show' || subcommand === 'current') {
+        const cwd = path.resolve(options.rest[1] || process.cwd());
+        const binding = resolveDirectoryBinding(cwd);
+        if (options.json) {
+            const overrides = binding ? buildDirectoryBindingOverrides(binding, options.target) : null;
+            console.log(JSON.stringify({
+                cwd,
+                binding: summarizeDirectoryBinding(binding),
+                args: overrides ? overrides.args : [],
+                env: overrides ? Object.keys(overrides.env) : [],
+                warnings: overrides ? overrides.warnings : []
+            }, null, 2));
+            return;
         }
-        const result = deleteAuthProfile(name);
-        if (result.error) {
-            throw new Error(result.error);
+        if (!binding) {
+            console.log(`\n${cwd} 未命中任何目录绑定`);
+            console.log();
+            return;
         }
-        console.log(`✓ 已删除认证: ${name}`);
-        if (result.switchedTo) {
-            console.log(`  已自动切换到: ${result.switchedTo}`);
+        const overrides = buildDirectoryBindingOverrides(binding, options.target);
+        console.log(`\n${cwd} 命中绑定: ${binding.pattern}`);
+        console.log(`  ${formatDirectoryBindingTargets(binding)}`);
+        if (overrides.args.length) {
+            console.log(`  ${options.target} 参数: ${overrides.args.join(' ')}`);
+        }
+        const envKeys = Object.keys(overrides.env);
+        if (envKeys.length) {
+            console.log(`  环境变量: ${envKeys.join(', ')}`);
+        }
+        for (const warning of overrides.warnings) {
+            console.log(`  ! ${warning}`);
         }
         console.log();
         return;
     }
 
-    throw new Error(`未知 auth 子命令: ${subcommand}`);
+    // 输出可直接 eval 的环境变量，供不经过 codexmate 启动的场景使用
+    if (subcommand === 'env') {
+        const cwd = path.resolve(options.rest[1] || process.cwd());
+        const binding = resolveDirectoryBinding(cwd);
+        if (!binding) {
+            console.error(`# ${cwd} 未命中任何目录绑定`);
+            return;
+        }
+        const overrides = buildDirectoryBindingOverrides(binding, options.target);
+        console.log(`# codexmate bind: ${binding.pattern}`);
+        for (const [key, value] of Object.entries(overrides.env)) {
+            console.log(formatBindingEnvLine(key, value, options.shell));
+        }
+        if (overrides.args.length) {
+            console.log(`# codex ${overrides.args.map(arg => shellEscapePosixArg(arg)).join(' ')}`);
+        }
+        for (const warning of overrides.warnings) {
+            console.error(`# ! ${warning}`);
+        }
+        return;
+    }
+
+    throw new Error(`未知 bind 子命令: ${subcommand}`);
 }
 
 function parseProxyCliOptions(args = []) {
@@ -11547,6 +13077,9 @@ async function cmdTask(args = []) {
         console.log(`\n最近任务运行（${runs.length}/${limit}）:`);
         for (const item of runs) {
             console.log(`  - [${item.status || 'unknown'}] ${item.title || item.taskId || ''} runId=${item.runId || ''} duration=${item.durationMs || 0}ms`);
+            if (item.binding) {
+                console.log(`    binding: ${item.binding}`);
+            }
             if (item.summary) {
                 console.log(`    ${item.summary}`);
             }
@@ -11784,7 +13317,8 @@ async function cmdTask(args = []) {
 function parseCodexProxyOptions(args = []) {
     const options = {
         passthroughArgs: [],
-        queuedFollowUps: []
+        queuedFollowUps: [],
+        noBind: false
     };
     const argv = Array.isArray(args) ? args : [];
 
@@ -11806,6 +13340,10 @@ function parseCodexProxyOptions(args = []) {
             options.passthroughArgs.push(...argv.slice(i).map((item) => String(item)));
             break;
         }
+        if (text === '--no-bind') {
+            options.noBind = true;
+            continue;
+        }
         if (text === '--queued-follow-up' || text === '--follow-up') {
             const next = argv[i + 1];
             if (next === undefined) {
@@ -11859,7 +13397,7 @@ function buildScriptCommandArgs(commandLine) {
 // #endregion buildScriptCommandArgs
 
 // #region runProxyCommandWithQueuedFollowUps
-async function runProxyCommandWithQueuedFollowUps(selectedBin, finalArgs = [], queuedFollowUps = []) {
+async function runProxyCommandWithQueuedFollowUps(selectedBin, finalArgs = [], queuedFollowUps = [], env = null) {
     if (!process.stdin || !process.stdin.isTTY) {
         throw new Error('当前 stdin 不是 TTY，无法使用 --follow-up 自动排队。');
     }
@@ -11875,7 +13413,8 @@ async function runProxyCommandWithQueuedFollowUps(selectedBin, finalArgs = [], q
     return new Promise((resolve, reject) => {
         let settled = false;
         const child = spawn(scriptPath, scriptArgs, {
-            stdio: ['pipe', 'pipe', 'pipe']
+            stdio: ['pipe', 'pipe', 'pipe'],
+            env: env ? { ...process.env, ...env } : process.env
         });
 
         const stdin = process.stdin;
@@ -12120,14 +13659,19 @@ async function runProxyCommand(displayName, binNames, args = [], installTip = ''
         ? runtimeOptions.queuedFollowUps.filter((item) => typeof item === 'string' && item.trim())
         : [];
 
+    const env = runtimeOptions && isPlainObject(runtimeOptions.env) && Object.keys(runtimeOptions.env).length > 0
+        ? runtimeOptions.env
+        : null;
+
     if (queuedFollowUps.length > 0) {
-        return runProxyCommandWithQueuedFollowUps(selectedBin, finalArgs, queuedFollowUps);
+        return runProxyCommandWithQueuedFollowUps(selectedBin, finalArgs, queuedFollowUps, env);
     }
 
     return new Promise((resolve, reject) => {
         const child = spawn(selectedBin, finalArgs, {
             stdio: 'inherit',
-            shell: process.platform === 'win32'
+            shell: process.platform === 'win32',
+            env: env ? { ...process.env, ...env } : process.env
         });
 
         child.on('error', (err) => {
@@ -12152,15 +13696,406 @@ async function runProxyCommand(displayName, binNames, args = [], installTip = ''
     });
 }
 
+// 按当前目录匹配绑定；绑定文件损坏时只提示，不阻止启动
+function resolveProxyBindingOverrides(target, cwd = process.cwd()) {
+    let binding = null;
+    try {
+        binding = resolveDirectoryBinding(cwd);
+    } catch (e) {
+        console.error(`! 目录绑定未生效: ${e.message}`);
+        return { binding: null, args: [], env: {} };
+    }
+    if (!binding) {
+        return { binding: null, args: [], env: {} };
+    }
+    const overrides = buildDirectoryBindingOverrides(binding, target);
+    const applied = overrides.applied.length ? ` (${overrides.applied.join(', ')})` : '';
+    console.error(`✓ 已应用目录绑定: ${binding.pattern}${applied}`);
+    for (const warning of overrides.warnings) {
+        console.error(`! ${warning}`);
+    }
+    return { binding, args: overrides.args, env: overrides.env };
+}
+
 async function cmdCodex(args = []) {
     const parsed = parseCodexProxyOptions(args);
-    return runProxyCommand('Codex', 'codex', parsed.passthroughArgs, '', {
-        queuedFollowUps: parsed.queuedFollowUps
+    const bound = parsed.noBind ? { args: [], env: {} } : resolveProxyBindingOverrides('codex');
+    return runProxyCommand('Codex', 'codex', [...bound.args, ...parsed.passthroughArgs], '', {
+        queuedFollowUps: parsed.queuedFollowUps,
+        env: bound.env
     });
 }
 
 async function cmdQwen(args = []) {
-    return runProxyCommand('Qwen', ['qwen', 'qwen-code'], args, 'npm install -g @qwen-code/qwen-code');
+    const list = Array.isArray(args) ? args : [];
+    const noBind = list.includes('--no-bind');
+    const bound = noBind ? { env: {} } : resolveProxyBindingOverrides('qwen');
+    return runProxyCommand('Qwen', ['qwen', 'qwen-code'], list.filter(arg => arg !== '--no-bind'), 'npm install -g @qwen-code/qwen-code', {
+        env: bound.env
+    });
+}
+
+const MCP_SERVER_STATUS_LABELS = Object.freeze({
+    synced: '✓',
+    changed: '≠',
+    missing: '+',
+    stale: '-',
+    off: '·',
+    unsupported: '×',
+    error: '!'
+});
+
+function parseMcpServersArgs(argv = []) {
+    const options = { names: [], args: [], env: {}, headers: {}, flags: new Set() };
+    const readValue = (token, index) => {
+        const value = argv[index + 1];
+        if (value === undefined || String(value).startsWith('--')) {
+            throw new Error(`${token} 需要一个值`);
+        }
+        return String(value);
+    };
+    const readPair = (token, value, target) => {
+        const index = value.indexOf('=');
+        if (index <= 0) throw new Error(`${token} 格式应为 KEY=VALUE`);
+        target[value.slice(0, index)] = value.slice(index + 1);
+    };
+    for (let cursor = 0; cursor < argv.length; cursor += 1) {
+        const token = String(argv[cursor]);
+        if (token === '--') {
+            // -- 之后整体视为启动命令与参数
+            const rest = argv.slice(cursor + 1).map(String);
+            if (rest.length) {
+                options.command = rest[0];
+                options.args.push(...rest.slice(1));
+            }
+            break;
+        }
+        if (token === '--command' || token === '--url' || token === '--transport' || token === '--tools' || token === '--description' || token === '--timeout') {
+            options[token.slice(2)] = readValue(token, cursor);
+            cursor += 1;
+        } else if (token === '--arg') {
+            options.args.push(readValue(token, cursor));
+            cursor += 1;
+        } else if (token === '--env') {
+            readPair(token, readValue(token, cursor), options.env);
+            cursor += 1;
+        } else if (token === '--header') {
+            readPair(token, readValue(token, cursor), options.headers);
+            cursor += 1;
+        } else if (token === '--json' || token === '--dry-run' || token === '--overwrite' || token === '--keep-tools' || token === '--update') {
+            options.flags.add(token.slice(2));
+        } else if (token.startsWith('--')) {
+            throw new Error(`未知参数: ${token}`);
+        } else {
+            options.names.push(token);
+        }
+    }
+    return options;
+}
+
+function printMcpSyncResults(results = []) {
+    for (const item of results) {
+        if (item.error) {
+            console.log(`  ! ${item.tool}: ${item.error}`);
+        } else if (!item.changed) {
+            console.log(`  ✓ ${item.tool}: 已是最新`);
+        } else {
+            const parts = [];
+            if (item.written.length) parts.push(`写入 ${item.written.join(', ')}`);
+            if (item.removed.length) parts.push(`移除 ${item.removed.join(', ')}`);
+            console.log(`  ✓ ${item.tool}: ${parts.join('；')}  (${item.path})`);
+        }
+    }
+}
+
+async function cmdMcpServers(argv = []) {
+    const subcommand = String(argv[0] || 'list').toLowerCase();
+    const options = parseMcpServersArgs(argv.slice(1));
+    const failIfError = (result) => {
+        if (result && result.error) throw new Error(result.error);
+        return result;
+    };
+
+    if (subcommand === 'list') {
+        const listed = mcpServers.listMcpServers();
+        if (options.flags.has('json')) {
+            process.stdout.write(JSON.stringify(listed, null, 2) + '\n');
+            return;
+        }
+        console.log(`\nMCP 服务目录 (${listed.file}):`);
+        if (!listed.servers.length) {
+            console.log('  (空) 可用 codexmate mcp-servers import 从各工具导入');
+        }
+        for (const server of listed.servers) {
+            const target = server.transport === 'stdio' ? [server.command, ...server.args].join(' ') : `${server.transport} ${server.url}`;
+            const status = MCP_SERVER_TOOLS.map(tool => `${tool}${MCP_SERVER_STATUS_LABELS[server.status[tool]] || '?'}`).join(' ');
+            console.log(`  ${server.name}  ${status}`);
+            console.log(`    ${target}`);
+        }
+        console.log('\n  ✓ 已同步  ≠ 内容不同  + 待写入  - 待移除  · 未启用  × 不支持该传输  ! 读取失败');
+        for (const tool of listed.tools) {
+            if (tool.error) console.log(`  ! ${tool.tool}: ${tool.error}`);
+            else if (tool.unmanaged.length) console.log(`  ${tool.tool} 中未纳入目录: ${tool.unmanaged.join(', ')}`);
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'add') {
+        const name = options.names[0];
+        if (!name) {
+            throw new Error('用法: codexmate mcp-servers add <名称> (--command <命令> [--arg <参数>]... [--env K=V]... | --url <URL> [--transport http|sse] [--header K=V]...) [--tools codex,claude,openclaw]');
+        }
+        const result = failIfError(mcpServers.upsertMcpServer({
+            name,
+            create: !options.flags.has('update'),
+            command: options.command,
+            args: options.args,
+            env: options.env,
+            url: options.url,
+            transport: options.transport,
+            headers: options.headers,
+            description: options.description,
+            tools: options.tools
+        }));
+        const enabledTools = MCP_SERVER_TOOLS.filter(tool => result.server.enabled[tool]);
+        console.log(`✓ 已${result.created ? '添加' : '更新'} MCP 服务: ${name}`);
+        console.log(`  启用: ${enabledTools.length ? enabledTools.join(', ') : '(无)'}`);
+        console.log('  运行 codexmate mcp-servers sync 写入各工具配置\n');
+        return;
+    }
+
+    if (subcommand === 'enable' || subcommand === 'disable') {
+        if (!options.names.length) {
+            throw new Error(`用法: codexmate mcp-servers ${subcommand} <名称...> [--tools codex,claude,openclaw]`);
+        }
+        const result = failIfError(mcpServers.setMcpServerEnabled({
+            names: options.names,
+            tools: options.tools,
+            enabled: subcommand === 'enable'
+        }));
+        console.log(`✓ 已${result.enabled ? '启用' : '停用'} ${result.names.join(', ')} → ${result.tools.join(', ')}`);
+        console.log('  运行 codexmate mcp-servers sync 写入各工具配置\n');
+        return;
+    }
+
+    if (subcommand === 'remove') {
+        const name = options.names[0];
+        if (!name) throw new Error('用法: codexmate mcp-servers remove <名称> [--keep-tools]');
+        const result = failIfError(mcpServers.removeMcpServer({ name, keepInTools: options.flags.has('keep-tools') }));
+        console.log(`✓ 已从目录移除: ${name}`);
+        printMcpSyncResults(result.results);
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'import') {
+        const result = failIfError(mcpServers.importMcpServers({ tools: options.tools, overwrite: options.flags.has('overwrite') }));
+        console.log(`\n✓ 新增 ${result.added.length} 个: ${result.added.join(', ') || '-'}`);
+        if (result.linked.length) console.log(`  关联已有: ${result.linked.map(item => `${item.name}@${item.tool}`).join(', ')}`);
+        if (result.conflicts.length) {
+            console.log(`  冲突（内容不同，已跳过，可加 --overwrite）: ${result.conflicts.map(item => `${item.name}@${item.tool}`).join(', ')}`);
+        }
+        result.skipped.forEach(item => console.log(`  跳过 ${item.name}@${item.tool}: ${item.reason}`));
+        result.errors.forEach(item => console.log(`  ! ${item.tool}: ${item.error}`));
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'sync') {
+        const result = failIfError(mcpServers.syncMcpServers({ tools: options.tools, dryRun: options.flags.has('dry-run') }));
+        console.log(`\n${result.dryRun ? '预览同步（未写入）' : '同步 MCP 服务'}:`);
+        printMcpSyncResults(result.results);
+        console.log();
+        if (!result.success) process.exitCode = 1;
+        return;
+    }
+
+    if (subcommand === 'test') {
+        const name = options.names[0];
+        if (!name) throw new Error('用法: codexmate mcp-servers test <名称> [--timeout <毫秒>]');
+        console.log(`\n正在启动 ${name} ...`);
+        const result = failIfError(await mcpServers.testMcpServer({ name, timeoutMs: Number(options.timeout) }));
+        if (!result.ok) {
+            console.log(`✗ 握手失败: ${result.error}`);
+            if (result.stderr) console.log(result.stderr.split('\n').map(line => `  | ${line}`).join('\n'));
+            console.log();
+            process.exitCode = 1;
+            return;
+        }
+        const info = result.serverInfo || {};
+        console.log(`✓ ${info.name || name}${info.version ? ` ${info.version}` : ''}  协议 ${result.protocolVersion || '-'}  耗时 ${result.durationMs}ms`);
+        console.log(`  工具 (${result.tools.length}):`);
+        result.tools.forEach(tool => console.log(`    - ${tool.name}${tool.description ? `  ${tool.description.split('\n')[0].slice(0, 80)}` : ''}`));
+        console.log();
+        return;
+    }
+
+    throw new Error(`未知 mcp-servers 子命令: ${subcommand}`);
+}
+
+async function cmdTemplate(argv = []) {
+    const subcommand = String(argv[0] || 'list').toLowerCase();
+    const ids = [];
+    const values = {};
+    const options = {};
+    let json = false;
+    let force = false;
+    for (let cursor = 1; cursor < argv.length; cursor += 1) {
+        const token = String(argv[cursor]);
+        if (token === '--tool' || token === '--name') {
+            const value = argv[cursor + 1];
+            if (value === undefined || String(value).startsWith('--')) throw new Error(`${token} 需要一个值`);
+            options[token.slice(2)] = String(value);
+            cursor += 1;
+        } else if (token === '--var') {
+            const pair = argv[cursor + 1] === undefined ? '' : String(argv[cursor + 1]);
+            const index = pair.indexOf('=');
+            if (index <= 0) throw new Error('--var 格式应为 KEY=VALUE');
+            values[pair.slice(0, index)] = pair.slice(index + 1);
+            cursor += 1;
+        } else if (token === '--json') {
+            json = true;
+        } else if (token === '--force') {
+            force = true;
+        } else if (token.startsWith('--')) {
+            throw new Error(`未知参数: ${token}`);
+        } else {
+            ids.push(token);
+        }
+    }
+
+    if (subcommand === 'list') {
+        const listed = promptTemplates.listPromptTemplates();
+        if (json) {
+            process.stdout.write(JSON.stringify(listed, null, 2) + '\n');
+            return;
+        }
+        console.log(`\n提示词模板 (${listed.file}):`);
+        if (!listed.templates.length) {
+            console.log('  (空) 可在 Web UI 插件页创建模板');
+        }
+        for (const item of listed.templates) {
+            console.log(`  ${item.id}  ${item.name}`);
+            if (item.description.trim()) console.log(`    ${item.description.trim().split('\n')[0]}`);
+            console.log(`    变量: ${item.variables.length ? item.variables.join(', ') : '(无)'}`);
+            for (const command of item.commands) {
+                const note = command.status === 'installed' ? '' : `  (${command.status === 'modified' ? '已被手动修改' : '文件缺失'})`;
+                console.log(`    ${command.tool}: ${command.invoke}${note}`);
+            }
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'render') {
+        const id = ids[0];
+        if (!id) throw new Error('用法: codexmate template render <ID> [--var KEY=VALUE]... [--json]');
+        const result = promptTemplates.renderPromptTemplateById({ id, values });
+        if (result.error) throw new Error(result.error);
+        if (json) {
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+            return;
+        }
+        if (result.missing.length) {
+            throw new Error(`缺少模板变量: ${result.missing.join(', ')}（使用 --var KEY=VALUE 传入）`);
+        }
+        process.stdout.write(result.text.endsWith('\n') ? result.text : `${result.text}\n`);
+        return;
+    }
+
+    if (subcommand === 'install' || subcommand === 'uninstall') {
+        const id = ids[0];
+        if (!id || !options.tool) {
+            throw new Error(subcommand === 'install'
+                ? '用法: codexmate template install <ID> --tool codex|claude [--name <命令名>] [--force]'
+                : '用法: codexmate template uninstall <ID> --tool codex|claude [--force]');
+        }
+        if (subcommand === 'install') {
+            const result = promptTemplates.installPromptTemplateCommand({ id, tool: options.tool, name: options.name, force });
+            if (result.error) throw new Error(result.error);
+            console.log(`✓ 已安装为 ${result.command.invoke}  (${result.command.path})`);
+            if (result.removedPath) console.log(`  已移除旧命令文件: ${result.removedPath}`);
+            console.log('  之后在 Web UI 中修改或删除模板会同步更新该文件\n');
+            return;
+        }
+        const result = promptTemplates.uninstallPromptTemplateCommand({ id, tool: options.tool, force });
+        if (result.error) throw new Error(result.error);
+        console.log(result.removed ? `✓ 已删除 ${result.path}\n` : `✓ 已解除关联（文件已不存在: ${result.path}）\n`);
+        return;
+    }
+
+    throw new Error(`未知 template 子命令: ${subcommand}`);
+}
+
+async function cmdPlugins(argv = []) {
+    const subcommand = String(argv[0] || 'list').toLowerCase();
+    const rest = argv.slice(1).map(String);
+    const json = rest.includes('--json');
+    const force = rest.includes('--force');
+    const unknown = rest.find(token => token.startsWith('--') && token !== '--json' && token !== '--force');
+    if (unknown) throw new Error(`未知参数: ${unknown}`);
+    const target = rest.find(token => !token.startsWith('--')) || '';
+
+    if (subcommand === 'list') {
+        const listed = externalPlugins.listPlugins();
+        if (json) {
+            process.stdout.write(JSON.stringify(listed, null, 2) + '\n');
+            return;
+        }
+        console.log(`\n第三方插件 (${listed.dir}，插件 API v${listed.apiVersion}):`);
+        if (!listed.plugins.length) {
+            console.log(`  (空) 使用 codexmate plugins install <ZIP> 安装，插件包需包含 ${PLUGIN_MANIFEST_FILE}`);
+        }
+        const statusLabels = { enabled: '已启用', disabled: '未启用', 'needs-approval': '待确认新权限', error: '无效' };
+        for (const plugin of listed.plugins) {
+            console.log(`  ${plugin.id}  ${plugin.name}${plugin.version ? ` v${plugin.version}` : ''}  [${statusLabels[plugin.status]}]`);
+            if (plugin.description) console.log(`    ${plugin.description}`);
+            if (plugin.permissions.length) console.log(`    权限: ${plugin.permissions.map(item => item.id).join(', ')}`);
+            for (const error of plugin.errors) console.log(`    ! ${error}`);
+            if (plugin.runtimeError) console.log(`    ! ${plugin.runtimeError}`);
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'install') {
+        if (!target) throw new Error('用法: codexmate plugins install <ZIP 文件> [--force]');
+        const zipPath = path.resolve(target);
+        if (!fs.existsSync(zipPath)) throw new Error(`文件不存在: ${zipPath}`);
+        const result = await externalPlugins.installPluginFromZip(zipPath, { overwrite: force });
+        if (result.error) throw new Error(result.conflict ? `${result.error}（使用 --force 覆盖）` : result.error);
+        console.log(`✓ 已${result.upgraded ? '升级' : '安装'}插件 ${result.plugin.name} v${result.plugin.version}  (${result.plugin.dir})`);
+        if (result.plugin.status !== 'enabled') {
+            console.log(`  确认权限后执行 codexmate plugins enable ${result.plugin.id} 启用`);
+        }
+        console.log();
+        return;
+    }
+
+    if (subcommand === 'enable' || subcommand === 'disable' || subcommand === 'uninstall') {
+        if (!target) throw new Error(`用法: codexmate plugins ${subcommand} <插件 ID>`);
+        if (subcommand === 'uninstall') {
+            const result = externalPlugins.uninstallPlugin({ id: target });
+            if (result.error) throw new Error(result.error);
+            console.log(`✓ 已卸载插件 ${result.id}\n`);
+            return;
+        }
+        const result = subcommand === 'enable'
+            ? externalPlugins.enablePlugin({ id: target })
+            : externalPlugins.disablePlugin({ id: target });
+        if (result.error) throw new Error(result.error);
+        console.log(`✓ 已${subcommand === 'enable' ? '启用' : '停用'}插件 ${result.plugin.name}`);
+        if (subcommand === 'enable') {
+            for (const permission of result.plugin.permissions) {
+                console.log(`  授予权限 ${permission.id}: ${permission.description}`);
+            }
+        }
+        console.log();
+        return;
+    }
+
+    throw new Error(`未知 plugins 子命令: ${subcommand}`);
 }
 
 function parseMcpOptions(args = []) {
@@ -12544,12 +14479,12 @@ function loadBuiltinWorkflowDefinitions() {
     return items;
 }
 
-function loadCustomWorkflowDefinitions() {
+function readCustomWorkflowList() {
     const parsed = readJsonObjectFromFile(WORKFLOW_DEFINITIONS_FILE, {});
     if (!parsed.ok || !parsed.exists) {
         return {
-            items: [],
-            warnings: parsed.ok ? [] : [parsed.error || 'workflow file parse failed']
+            list: [],
+            error: parsed.ok ? '' : (parsed.error || 'workflow file parse failed')
         };
     }
     const data = parsed.data && typeof parsed.data === 'object' ? parsed.data : {};
@@ -12561,6 +14496,25 @@ function loadCustomWorkflowDefinitions() {
     } else {
         list = Object.entries(data).map(([id, item]) => ({ ...(item || {}), id }));
     }
+    return { list, error: '' };
+}
+
+// 按 id 新增或替换自定义工作流，统一写成 { workflows: [...] }
+function upsertCustomWorkflow(definition) {
+    const current = readCustomWorkflowList();
+    if (current.error) {
+        throw new Error(`工作流文件解析失败: ${current.error}`);
+    }
+    const list = current.list.filter(item => !(item && item.id === definition.id));
+    list.push(definition);
+    writeJsonAtomic(WORKFLOW_DEFINITIONS_FILE, { workflows: list });
+}
+
+function loadCustomWorkflowDefinitions() {
+    const { list, error } = readCustomWorkflowList();
+    if (error) {
+        return { items: [], warnings: [error] };
+    }
 
     const items = [];
     const warnings = [];
@@ -12833,7 +14787,7 @@ async function runWorkflowById(workflowId, input = {}, options = {}) {
             if (!tool.readOnly && !allowWrite) {
                 return { error: `workflow requires write permission for tool: ${toolName}` };
             }
-            return tool.handler(args || {});
+            return runWithConfigWriteOrigin('automation', () => tool.handler(args || {}));
         }
     });
 
@@ -13207,6 +15161,7 @@ function collectTaskRunSummary(detail = {}) {
         engine: detail.engine || '',
         allowWrite: detail.allowWrite === true,
         dryRun: detail.dryRun === true,
+        binding: detail.binding && detail.binding.pattern ? detail.binding.pattern : '',
         concurrency: detail.concurrency || 0,
         status: run.status || detail.status || '',
         startedAt: run.startedAt || detail.startedAt || '',
@@ -13311,6 +15266,60 @@ function startAutomationScheduler() {
     };
 }
 
+function formatAuthExpiresIn(ms) {
+    const abs = Math.abs(Number(ms) || 0);
+    if (abs >= 24 * 60 * 60 * 1000) return `${Math.floor(abs / (24 * 60 * 60 * 1000))} 天`;
+    if (abs >= 60 * 60 * 1000) return `${Math.floor(abs / (60 * 60 * 1000))} 小时`;
+    return `${Math.max(1, Math.floor(abs / (60 * 1000)))} 分钟`;
+}
+
+function formatAuthExpiryLabel(profile) {
+    if (!profile || profile.expiryStatus === 'unknown') return '';
+    if (profile.expiryStatus === 'expired') return `已过期 ${formatAuthExpiresIn(profile.expiresInMs)}`;
+    if (profile.expiryStatus === 'expiring') return `${formatAuthExpiresIn(profile.expiresInMs)}后过期`;
+    return `有效期剩余 ${formatAuthExpiresIn(profile.expiresInMs)}`;
+}
+
+// run 期间定时检查认证有效期，同一认证状态不变时只提示一次
+function startAuthExpiryMonitor() {
+    const reported = new Map();
+    const check = () => {
+        let alerts = [];
+        try {
+            alerts = collectAuthExpiryAlerts();
+        } catch (_) {
+            return;
+        }
+        const active = new Set();
+        for (const profile of alerts) {
+            const key = `${profile.expiryStatus}|${profile.expired}`;
+            active.add(profile.name);
+            if (reported.get(profile.name) === key) continue;
+            reported.set(profile.name, key);
+            const hint = profile.refreshable
+                ? `可运行 codexmate auth refresh ${profile.name} 刷新`
+                : '该认证不含 refresh_token，请重新登录后导入';
+            console.warn(`! 认证 ${profile.name}${profile.current ? '（当前）' : ''} ${formatAuthExpiryLabel(profile)}（${profile.expired}），${hint}`);
+        }
+        for (const name of Array.from(reported.keys())) {
+            if (!active.has(name)) reported.delete(name);
+        }
+    };
+    let firstTimer = setTimeout(check, 3000);
+    let timer = setInterval(check, 10 * 60 * 1000);
+    for (const handle of [firstTimer, timer]) {
+        if (handle && typeof handle.unref === 'function') {
+            handle.unref();
+        }
+    }
+    return () => {
+        if (firstTimer) clearTimeout(firstTimer);
+        if (timer) clearInterval(timer);
+        firstTimer = null;
+        timer = null;
+    };
+}
+
 function buildTaskOverviewPayload(options = {}) {
     const queueLimit = Number.isFinite(options.queueLimit) ? Math.max(1, Math.floor(options.queueLimit)) : 20;
     const runLimit = Number.isFinite(options.runLimit) ? Math.max(1, Math.floor(options.runLimit)) : 20;
@@ -13426,7 +15435,14 @@ async function runCodexExecTaskNode(node, context = {}) {
     ensureDir(tempRoot);
     const tempDir = fs.mkdtempSync(path.join(tempRoot, 'codex-'));
     const outputFile = path.join(tempDir, 'last-message.txt');
+    const bindingOverrides = context.bindingOverrides && typeof context.bindingOverrides === 'object'
+        ? context.bindingOverrides
+        : null;
+    const bindingEnv = bindingOverrides && bindingOverrides.env && Object.keys(bindingOverrides.env).length > 0
+        ? { ...process.env, ...bindingOverrides.env }
+        : null;
     const args = [
+        ...(bindingOverrides && Array.isArray(bindingOverrides.args) ? bindingOverrides.args : []),
         '-a', 'never',
         '-s', allowWrite ? 'workspace-write' : 'read-only',
         '-C', cwd,
@@ -13487,7 +15503,8 @@ async function runCodexExecTaskNode(node, context = {}) {
         const child = spawn(codexPath, args, {
             stdio: ['ignore', 'pipe', 'pipe'],
             windowsHide: true,
-            shell: process.platform === 'win32'
+            shell: process.platform === 'win32',
+            ...(bindingEnv ? { env: bindingEnv } : {})
         });
         if (typeof context.registerAbort === 'function') {
             context.registerAbort(() => {
@@ -13580,6 +15597,20 @@ async function executeTaskNodeAdapter(node, context = {}) {
     return runCodexExecTaskNode(node, context);
 }
 
+// 任务运行记录中保留命中的目录绑定（不含密钥），codex exec 节点按同一绑定注入参数
+function resolveTaskDirectoryBinding(cwd) {
+    try {
+        const binding = resolveDirectoryBinding(cwd);
+        if (!binding) {
+            return { summary: null, overrides: null, warnings: [] };
+        }
+        const overrides = buildDirectoryBindingOverrides(binding, 'codex');
+        return { summary: summarizeDirectoryBinding(binding), overrides, warnings: overrides.warnings };
+    } catch (e) {
+        return { summary: null, overrides: null, warnings: [`目录绑定未生效: ${e.message}`] };
+    }
+}
+
 async function runTaskPlanInternal(plan, options = {}) {
     const validation = validatePreparedTaskPlan(plan);
     if (!validation.ok) {
@@ -13592,6 +15623,8 @@ async function runTaskPlanInternal(plan, options = {}) {
     const taskId = typeof options.taskId === 'string' && options.taskId.trim() ? options.taskId.trim() : (plan.id || createTaskId());
     const runId = typeof options.runId === 'string' && options.runId.trim() ? options.runId.trim() : createTaskRunId();
     const controller = new AbortController();
+    const taskCwd = plan.cwd || process.cwd();
+    const binding = resolveTaskDirectoryBinding(taskCwd);
     const baseDetail = {
         runId,
         taskId,
@@ -13604,7 +15637,8 @@ async function runTaskPlanInternal(plan, options = {}) {
         concurrency: Number.isFinite(plan.concurrency) ? plan.concurrency : 2,
         createdAt: toIsoTime(Date.now()),
         updatedAt: toIsoTime(Date.now()),
-        warnings: validation.warnings || [],
+        warnings: [...(validation.warnings || []), ...binding.warnings],
+        binding: binding.summary,
         plan: cloneJson(plan, {})
     };
     writeTaskRunDetail({
@@ -13653,7 +15687,8 @@ async function runTaskPlanInternal(plan, options = {}) {
                 runId,
                 allowWrite: plan.allowWrite === true,
                 dryRun: plan.dryRun === true,
-                cwd: plan.cwd || process.cwd()
+                cwd: taskCwd,
+                bindingOverrides: binding.overrides
             }),
             onUpdate: async (snapshot) => {
                 const nextDetail = {
@@ -14222,7 +16257,7 @@ function createMcpTools(options = {}) {
             },
             handler: async (args = {}) => {
                 try {
-                    const payload = await tool.handler(args || {});
+                    const payload = await runWithConfigWriteOrigin('mcp', () => tool.handler(args || {}));
                     return toMcpToolResult(payload);
                 } catch (error) {
                     return toMcpToolResult({
@@ -14318,7 +16353,7 @@ function createMcpTools(options = {}) {
 
     pushTool({
         name: 'codexmate.session.list',
-        description: 'List sessions from codex/claude/all with filters.',
+        description: 'List sessions from codex/claude/gemini/codebuddy/all with filters. query uses the full-text index: "exact phrase", prefix*, plain words; results are ranked with highlighted snippets.',
         readOnly: true,
         inputSchema: {
             type: 'object',
@@ -14328,6 +16363,8 @@ function createMcpTools(options = {}) {
                 query: { type: 'string' },
                 roleFilter: { type: 'string' },
                 timeRangePreset: { type: 'string' },
+                since: { type: 'string' },
+                until: { type: 'string' },
                 limit: { type: 'number' },
                 forceRefresh: { type: 'boolean' },
                 queryMode: { type: 'string' },
@@ -14353,6 +16390,33 @@ function createMcpTools(options = {}) {
         }
     });
 
+    pushTool({
+        name: 'codexmate.usage.report',
+        description: 'Exact token usage and cost aggregated from the incremental session ledger. groupBy: day/model/project/session/source; since accepts 30d or a date.',
+        readOnly: true,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                groupBy: { type: 'string' },
+                source: { type: 'string' },
+                since: { type: 'string' },
+                until: { type: 'string' }
+            },
+            additionalProperties: false
+        },
+        handler: async (args = {}) => {
+            const input = args && typeof args === 'object' ? args : {};
+            const source = normalizeMcpSource(input.source);
+            if (source === null) {
+                return { error: 'Invalid source. Must be codex, claude, gemini, codebuddy, or all' };
+            }
+            if (input.groupBy && !USAGE_REPORT_GROUPS.includes(input.groupBy)) {
+                return { error: `Invalid groupBy. Must be ${USAGE_REPORT_GROUPS.join(', ')}` };
+            }
+            return usageLedger.buildUsageReport({ ...input, source: source || 'all' });
+        }
+    });
+
     pushTool({
         name: 'codexmate.session.detail',
         description: 'Read a session detail by source + sessionId/file.',
@@ -14370,6 +16434,35 @@ function createMcpTools(options = {}) {
         handler: async (args = {}) => readSessionDetail(args || {})
     });
 
+    pushTool({
+        name: 'codexmate.session.events',
+        description: 'Read typed session events (messages, reasoning, tool calls with outputs and patch diffs).',
+        readOnly: true,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                source: { type: 'string' },
+                sessionId: { type: 'string' },
+                file: { type: 'string' },
+                maxMessages: { type: ['string', 'number'] }
+            },
+            additionalProperties: true
+        },
+        handler: async (args = {}) => readSessionEvents(args || {})
+    });
+
+    pushTool({
+        name: 'codexmate.mcp_servers.list',
+        description: 'List the central MCP server catalog with per-tool sync status for Codex, Claude Code and OpenClaw. env and header values are masked.',
+        readOnly: true,
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            additionalProperties: false
+        },
+        handler: async () => mcpServers.listMcpServers({ redact: true })
+    });
+
     pushTool({
         name: 'codexmate.session.export',
         description: 'Export session as markdown payload.',
@@ -14984,7 +17077,7 @@ async function cmdMcp(args = []) {
         },
         tools: createMcpTools({ allowWrite: options.allowWrite }),
         resources: createMcpResources(),
-        prompts: createMcpPrompts(),
+        prompts: () => [...createMcpPrompts(), ...promptTemplates.buildMcpPrompts()],
         logger: (level, message) => {
             const label = level === 'error' ? 'ERR' : 'INFO';
             console.error(`[MCP ${label}] ${message}`);
@@ -15016,27 +17109,43 @@ function printMainHelp() {
     console.log('\n用法:');
     console.log('  codexmate status           显示当前状态');
     console.log('  codexmate doctor [--format json|md] [--lang zh|en] [--output <PATH>]  输出诊断报告');
+    console.log('  codexmate doctor --fix [--yes [--plan <DIGEST>]] [--issue <ID>]  生成修复计划（--yes 执行并备份原文件，--plan 确认计划未变化）');
     console.log('  codexmate import-skills <URL> [--target-app codex|claude] [--name <NAME>] [--timeout-ms <MS>]  从 URL 导入 skills');
     console.log('  codexmate setup            交互式配置向导');
     console.log('  codexmate list             列出所有提供商');
     console.log('  codexmate models           列出所有模型');
+    console.log('  codexmate models sync [名称]  同步提供商模型目录到本地缓存');
+    console.log('  codexmate models info <模型>  查看模型上下文 / 能力 / 价格');
+    console.log('  codexmate usage [--by day|model|project|session|source] [--source <来源>] [--since 30d|日期] [--until 日期] [--format table|csv|json]  Token 用量与费用报表');
     console.log('  codexmate switch <名称>    切换提供商');
     console.log('  codexmate use <模型>       切换模型');
     console.log('  codexmate add <名称> <URL> [密钥] [--bridge <openai>]');
     console.log('  codexmate delete <名称>    删除提供商');
     console.log('  codexmate claude <BaseURL> <API密钥> [模型]  写入 Claude Code 配置');
     console.log('  codexmate auth <list|import|switch|delete|status>  认证管理');
+    console.log('  codexmate auth refresh [名称] [--token-url <URL>]  用 refresh_token 刷新认证（默认当前认证）');
+    console.log('  codexmate history <list [--file <类型|路径>] [--limit N]|show <ID> [--current] [--content]|restore <ID>>  配置历史与回滚');
+    console.log('  codexmate bundle export <文件> [--sections <分区,...>] [--passphrase <口令>]  导出加密配置包');
+    console.log('  codexmate bundle import <文件> [--on-conflict skip|overwrite|rename] [--yes]  预览/导入配置包');
+    console.log('  codexmate bind add <路径|通配> [--provider <名称>] [--model <模型>] [--auth-profile <认证>]  按目录绑定提供商/模型/认证');
+    console.log('  codexmate bind <list|remove <路径|ID>|show [目录]|env [目录] [--target codex|qwen|claude]>  查看/删除/导出目录绑定');
     console.log('  codexmate add-model <模型> 添加模型');
     console.log('  codexmate delete-model <模型> 删除模型');
     console.log('  codexmate workflow <list|get|validate|run|runs>  MCP 工作流中心');
     console.log('  codexmate task <plan|run|runs|queue|retry|cancel|logs>  本地任务编排');
-    console.log('  codexmate run [--host <HOST>] [--no-browser]    启动 Web 界面');
-    console.log('  codexmate codex [参数...] [--follow-up <文本>|--queued-follow-up <文本> 可重复]  等同于 codex --yolo');
+    console.log('  codexmate run [--host <HOST>] [--no-browser] [--tls-cert <PEM> --tls-key <PEM>|--tls-self-signed]    启动 Web 界面');
+    console.log('  codexmate web-auth <show|rotate|password <密码>|password --clear|loopback on|off|hosts <主机名...>> [--read-only]  Web 界面登录令牌与密码');
+    console.log('  codexmate codex [参数...] [--follow-up <文本>|--queued-follow-up <文本> 可重复]  等同于 codex --yolo（自动应用目录绑定，--no-bind 跳过）');
     console.log('    注: follow-up 自动排队仅支持 linux/android/netbsd/openbsd/darwin/freebsd 且 stdin 必须是 TTY，其他平台会报错');
     console.log('  codexmate qwen [参数...]   等同于 qwen --yolo');
     console.log('  codexmate mcp [serve] [--transport stdio] [--allow-write|--read-only]');
+    console.log('  codexmate mcp-servers <list|add|enable|disable|remove|import|sync|test>  统一管理 Codex / Claude Code / OpenClaw 的 MCP 服务');
+    console.log('  codexmate template list [--json]  列出已保存的提示词模板');
+    console.log('  codexmate template render <ID> [--var KEY=VALUE]... [--json]  填入变量并输出模板内容');
+    console.log('  codexmate template install|uninstall <ID> --tool codex|claude [--name <命令名>] [--force]  安装为 Codex 自定义 prompt / Claude Code 斜杠命令');
+    console.log('  codexmate plugins [list|install <ZIP> [--force]|enable|disable|uninstall <ID>] [--json]  管理 Web UI 第三方插件');
     console.log('  codexmate export-session --source <codex|claude|gemini|codebuddy> (--session-id <ID>|--file <PATH>) [--output <PATH>] [--max-messages <N|all|Infinity>]');
-    console.log('  codexmate convert-session --from <codex|claude> --to <codex|claude> (--session-id <ID>|--file <PATH>) [--output <PATH>] [--max-messages <N|all|Infinity>]');
+    console.log('  codexmate convert-session --from <codex|claude|gemini|codebuddy> --to <codex|claude|gemini|codebuddy> (--session-id <ID>|--file <PATH>) [--output <PATH>] [--max-messages <N|all|Infinity>]');
     console.log('  codexmate zip <路径> [--max:级别]  压缩（系统 zip 优先，其次 zip-lib）');
     console.log('  codexmate unzip <zip文件> [输出目录]  解压（zip-lib）');
     console.log('  codexmate unzip-ext <zip目录> [输出目录] [--ext:后缀[,后缀...]] [--no-recursive]  批量提取 ZIP 指定后缀文件（默认递归）');
@@ -15102,7 +17211,8 @@ async function main() {
         case 'import-skills': await cmdImportSkills(args.slice(1)); break;
         case 'setup': await cmdSetup(); break;
         case 'list': cmdList(); break;
-        case 'models': await cmdModels(); break;
+        case 'models': await cmdModels(args.slice(1)); break;
+        case 'usage': await cmdUsage(args.slice(1)); break;
         case 'switch': cmdSwitch(args[1]); break;
         case 'use': cmdUseModel(args[1]); break;
         case 'add': {
@@ -15114,7 +17224,11 @@ async function main() {
         case 'claude': cmdClaude(args[1], args[2], args[3]); break;
         case 'add-model': cmdAddModel(args[1]); break;
         case 'delete-model': cmdDeleteModel(args[1]); break;
-        case 'auth': cmdAuth(args.slice(1)); break;
+        case 'auth': await cmdAuth(args.slice(1)); break;
+        case 'web-auth': cmdWebAuth(args.slice(1)); break;
+        case 'history': cmdHistory(args.slice(1)); break;
+        case 'bundle': cmdBundle(args.slice(1)); break;
+        case 'bind': cmdBind(args.slice(1)); break;
         case 'proxy': await cmdProxy(args.slice(1)); break;
         case 'workflow': await cmdWorkflow(args.slice(1)); break;
         case 'task': await cmdTask(args.slice(1)); break;
@@ -15134,6 +17248,9 @@ async function main() {
             break;
         }
         case 'mcp': await cmdMcp(args.slice(1)); break;
+        case 'mcp-servers': await cmdMcpServers(args.slice(1)); break;
+        case 'template': await cmdTemplate(args.slice(1)); break;
+        case 'plugins': await cmdPlugins(args.slice(1)); break;
         case 'export-session': await cmdExportSession(args.slice(1)); break;
         case 'convert-session': await cmdConvertSession(args.slice(1), { resolveSessionFilePath }); break;
         case 'zip': {
@@ -1,3 +1,5 @@
+const { untrackedConfigWrite } = require('./config-history');
+
 function createAgentsFileController(deps = {}) {
     const {
         fs,
@@ -14,7 +16,8 @@ function createAgentsFileController(deps = {}) {
         CLAUDE_DIR,
         CLAUDE_MD_FILE_NAME,
         readOpenclawAgentsFile,
-        readOpenclawWorkspaceFile
+        readOpenclawWorkspaceFile,
+        trackConfigWrite = untrackedConfigWrite
     } = deps;
 
     if (!fs) throw new Error('createAgentsFileController 缺少 fs');
@@ -97,7 +100,7 @@ function createAgentsFileController(deps = {}) {
         const finalContent = ensureUtf8Bom(normalized);
         try {
             ensureDir(CLAUDE_DIR);
-            fs.writeFileSync(filePath, finalContent, 'utf-8');
+            trackConfigWrite(filePath, 'apply-claude-md', () => fs.writeFileSync(filePath, finalContent, 'utf-8'));
             return { success: true, path: filePath };
         } catch (e) {
             return { error: `写入 CLAUDE.md 失败: ${e.message}` };
@@ -155,7 +158,7 @@ function createAgentsFileController(deps = {}) {
         const finalContent = ensureUtf8Bom(normalized);
 
         try {
-            fs.writeFileSync(filePath, finalContent, 'utf-8');
+            trackConfigWrite(filePath, 'apply-agents-file', () => fs.writeFileSync(filePath, finalContent, 'utf-8'));
             return { success: true, path: filePath };
         } catch (e) {
             return { error: `写入 AGENTS.md 失败: ${e.message}` };
@@ -1,3 +1,54 @@
+const { untrackedConfigWrite } = require('./config-history');
+
+const DEFAULT_AUTH_TOKEN_URL = 'https://auth.openai.com/oauth/token';
+const DEFAULT_AUTH_CLIENT_ID = 'app_EMoamEEZ73f0CkXaXp7hrann';
+const DEFAULT_AUTH_EXPIRY_WARN_MS = 72 * 60 * 60 * 1000;
+
+function decodeJwtPayload(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length < 2) return null;
+    try {
+        const json = Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf-8');
+        const parsed = JSON.parse(json);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function hasNestedToken(payload, key) {
+    const nested = payload && payload.tokens && typeof payload.tokens === 'object' ? payload.tokens : null;
+    return !!(nested && typeof nested[key] === 'string' && nested[key].trim());
+}
+
+// Codex 的 auth.json 把令牌放在 tokens 下，优先读取；其余格式退回顶层字段
+function readTokenField(payload, key) {
+    if (!payload || typeof payload !== 'object') return '';
+    if (hasNestedToken(payload, key)) return payload.tokens[key].trim();
+    return typeof payload[key] === 'string' ? payload[key].trim() : '';
+}
+
+// 优先使用文件内的 expired 字段，缺失时从 access_token 的 exp 推导
+function resolveTokenExpiry(payload) {
+    if (payload && typeof payload.expired === 'string' && payload.expired.trim()) {
+        return payload.expired.trim();
+    }
+    const claims = decodeJwtPayload(readTokenField(payload, 'access_token'));
+    const exp = claims ? Number(claims.exp) : NaN;
+    return Number.isFinite(exp) && exp > 0 ? new Date(exp * 1000).toISOString() : '';
+}
+
+function describeAuthExpiry(expired, nowMs, warnWithinMs = DEFAULT_AUTH_EXPIRY_WARN_MS) {
+    const expiresAt = expired ? Date.parse(expired) : NaN;
+    if (!Number.isFinite(expiresAt)) {
+        return { expiryStatus: 'unknown', expiresInMs: null };
+    }
+    const expiresInMs = expiresAt - nowMs;
+    if (expiresInMs <= 0) return { expiryStatus: 'expired', expiresInMs };
+    if (expiresInMs <= warnWithinMs) return { expiryStatus: 'expiring', expiresInMs };
+    return { expiryStatus: 'valid', expiresInMs };
+}
+
 function createAuthProfileController(deps = {}) {
     const {
         fs,
@@ -10,7 +61,12 @@ function createAuthProfileController(deps = {}) {
         isPlainObject,
         AUTH_PROFILES_DIR,
         AUTH_REGISTRY_FILE,
-        AUTH_FILE
+        AUTH_FILE,
+        trackConfigWrite = untrackedConfigWrite,
+        postJson,
+        AUTH_TOKEN_URL,
+        AUTH_CLIENT_ID,
+        now = () => Date.now()
     } = deps;
 
     if (!fs) throw new Error('createAuthProfileController 缺少 fs');
@@ -25,6 +81,10 @@ function createAuthProfileController(deps = {}) {
     if (!AUTH_REGISTRY_FILE) throw new Error('createAuthProfileController 缺少 AUTH_REGISTRY_FILE');
     if (!AUTH_FILE) throw new Error('createAuthProfileController 缺少 AUTH_FILE');
 
+    function writeAuthFile(data, action) {
+        trackConfigWrite(AUTH_FILE, action, () => writeJsonAtomic(AUTH_FILE, data));
+    }
+
     function normalizeAuthProfileName(value) {
         const raw = typeof value === 'string' ? value.trim() : '';
         if (!raw) return '';
@@ -58,6 +118,7 @@ function createAuthProfileController(deps = {}) {
                 accountId: typeof item.accountId === 'string' ? item.accountId : '',
                 expired: typeof item.expired === 'string' ? item.expired : '',
                 lastRefresh: typeof item.lastRefresh === 'string' ? item.lastRefresh : '',
+                hasRefreshToken: typeof item.hasRefreshToken === 'boolean' ? item.hasRefreshToken : null,
                 updatedAt: typeof item.updatedAt === 'string' ? item.updatedAt : '',
                 importedAt: typeof item.importedAt === 'string' ? item.importedAt : '',
                 sourceFile: typeof item.sourceFile === 'string' ? item.sourceFile : ''
@@ -90,8 +151,8 @@ function createAuthProfileController(deps = {}) {
         if (!isPlainObject(parsed)) {
             throw new Error('认证文件根节点必须是对象');
         }
-        const hasCredential = ['access_token', 'refresh_token', 'id_token', 'OPENAI_API_KEY']
-            .some((key) => typeof parsed[key] === 'string' && parsed[key].trim());
+        const hasCredential = ['access_token', 'refresh_token', 'id_token'].some((key) => !!readTokenField(parsed, key))
+            || (typeof parsed.OPENAI_API_KEY === 'string' && !!parsed.OPENAI_API_KEY.trim());
         if (!hasCredential) {
             throw new Error('认证文件缺少可用凭据（access_token / refresh_token / id_token / OPENAI_API_KEY）');
         }
@@ -108,10 +169,11 @@ function createAuthProfileController(deps = {}) {
             accountId: typeof safePayload.account_id === 'string'
                 ? safePayload.account_id
                 : (typeof safePayload.accountId === 'string' ? safePayload.accountId : ''),
-            expired: typeof safePayload.expired === 'string' ? safePayload.expired : '',
+            expired: resolveTokenExpiry(safePayload),
             lastRefresh: typeof safePayload.last_refresh === 'string'
                 ? safePayload.last_refresh
                 : (typeof safePayload.lastRefresh === 'string' ? safePayload.lastRefresh : ''),
+            hasRefreshToken: !!readTokenField(safePayload, 'refresh_token'),
             updatedAt: toIsoTime(Date.now())
         };
     }
@@ -126,12 +188,43 @@ function createAuthProfileController(deps = {}) {
         return `auth-${Date.now()}`;
     }
 
-    function listAuthProfilesInfo() {
+    function readAuthProfilePayloadSafe(item) {
+        try {
+            const fileName = item.fileName || `${item.name}.json`;
+            const raw = fs.readFileSync(path.join(AUTH_PROFILES_DIR, fileName), 'utf-8');
+            return parseAuthProfileJson(raw, fileName);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function listAuthProfilesInfo(options = {}) {
         const registry = readAuthRegistry();
-        return registry.items.map((item) => ({
-            ...item,
-            current: item.name === registry.current
-        }));
+        const nowMs = now();
+        const warnWithinMs = Number.isFinite(options.warnWithinMs) ? options.warnWithinMs : DEFAULT_AUTH_EXPIRY_WARN_MS;
+        return registry.items.map((item) => {
+            let expired = item.expired;
+            let hasRefreshToken = item.hasRefreshToken;
+            // 旧版本登记的条目没有这些字段，回读认证文件补齐
+            if (!expired || typeof hasRefreshToken !== 'boolean') {
+                const payload = readAuthProfilePayloadSafe(item);
+                expired = expired || resolveTokenExpiry(payload);
+                hasRefreshToken = !!readTokenField(payload, 'refresh_token');
+            }
+            return {
+                ...item,
+                expired,
+                hasRefreshToken,
+                ...describeAuthExpiry(expired, nowMs, warnWithinMs),
+                refreshable: hasRefreshToken,
+                current: item.name === registry.current
+            };
+        });
+    }
+
+    function collectAuthExpiryAlerts(options = {}) {
+        return listAuthProfilesInfo(options)
+            .filter(item => item.expiryStatus === 'expired' || item.expiryStatus === 'expiring');
     }
 
     function upsertAuthProfile(payload, options = {}) {
@@ -175,7 +268,7 @@ function createAuthProfileController(deps = {}) {
 
         const shouldActivate = options.activate !== false;
         if (shouldActivate) {
-            writeJsonAtomic(AUTH_FILE, safePayload);
+            writeAuthFile(safePayload, 'import-auth-profile');
             registry.current = profileName;
         }
         writeAuthRegistry(registry);
@@ -253,7 +346,7 @@ function createAuthProfileController(deps = {}) {
         }
         const raw = fs.readFileSync(profilePath, 'utf-8');
         const profileData = parseAuthProfileJson(raw, fileName);
-        writeJsonAtomic(AUTH_FILE, profileData);
+        writeAuthFile(profileData, 'switch-auth-profile');
 
         registry.current = profileName;
         const idx = registry.items.findIndex((item) => item.name === profileName);
@@ -313,7 +406,7 @@ function createAuthProfileController(deps = {}) {
                     const nextPath = path.join(AUTH_PROFILES_DIR, next.fileName || `${next.name}.json`);
                     const raw = fs.readFileSync(nextPath, 'utf-8');
                     const nextData = parseAuthProfileJson(raw, next.fileName || `${next.name}.json`);
-                    writeJsonAtomic(AUTH_FILE, nextData);
+                    writeAuthFile(nextData, 'delete-auth-profile');
                     registry.current = next.name;
                     switchedTo = next.name;
                 } catch (e) {
@@ -330,6 +423,95 @@ function createAuthProfileController(deps = {}) {
         };
     }
 
+    function parseTokenResponse(body) {
+        try {
+            const parsed = JSON.parse(String(body || ''));
+            return isPlainObject(parsed) ? parsed : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // 用 refresh_token 换取新令牌，整体原子重写认证文件；当前认证同时更新 auth.json
+    async function refreshAuthProfile(name, options = {}) {
+        if (typeof postJson !== 'function') throw new Error('createAuthProfileController 缺少 postJson');
+        ensureAuthProfileStoragePrepared();
+        const registry = readAuthRegistry();
+        const profileName = normalizeAuthProfileName(name) || registry.current;
+        if (!profileName) {
+            throw new Error('认证名称不能为空');
+        }
+        const idx = registry.items.findIndex((item) => item.name === profileName);
+        if (idx < 0) {
+            throw new Error(`认证不存在: ${profileName}`);
+        }
+        const profile = registry.items[idx];
+        const fileName = profile.fileName || `${profileName}.json`;
+        const profilePath = path.join(AUTH_PROFILES_DIR, fileName);
+        if (!fs.existsSync(profilePath)) {
+            throw new Error(`认证文件不存在: ${fileName}`);
+        }
+        const payload = parseAuthProfileJson(fs.readFileSync(profilePath, 'utf-8'), fileName);
+        const refreshToken = readTokenField(payload, 'refresh_token');
+        if (!refreshToken) {
+            throw new Error(`认证 ${profileName} 不含 refresh_token，无法刷新`);
+        }
+
+        const tokenUrl = String(options.tokenUrl || AUTH_TOKEN_URL || DEFAULT_AUTH_TOKEN_URL).trim();
+        const response = await postJson(tokenUrl, {
+            client_id: String(options.clientId || AUTH_CLIENT_ID || DEFAULT_AUTH_CLIENT_ID),
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            scope: 'openid profile email'
+        }, {
+            timeoutMs: Number.isFinite(options.timeoutMs) ? options.timeoutMs : 15000
+        });
+        if (!response || !response.ok) {
+            throw new Error(`刷新请求失败: ${(response && response.error) || 'unknown error'}`);
+        }
+        const data = parseTokenResponse(response.body);
+        if (response.status < 200 || response.status >= 300) {
+            const reason = data && (data.error_description || (typeof data.error === 'string' ? data.error : (data.error && data.error.message)));
+            throw new Error(`刷新认证失败 (HTTP ${response.status})${reason ? `: ${reason}` : ''}`);
+        }
+        const accessToken = data && typeof data.access_token === 'string' ? data.access_token.trim() : '';
+        if (!accessToken) {
+            throw new Error('令牌端点未返回 access_token');
+        }
+
+        const nowMs = now();
+        const tokens = { access_token: accessToken };
+        for (const key of ['refresh_token', 'id_token']) {
+            if (typeof data[key] === 'string' && data[key].trim()) tokens[key] = data[key].trim();
+        }
+        // 只写回 refresh_token 所在的位置，避免在顶层留下另一份令牌
+        const next = hasNestedToken(payload, 'refresh_token')
+            ? { ...payload, tokens: { ...payload.tokens, ...tokens } }
+            : { ...payload, ...tokens };
+        delete next.expired;
+        const expiresIn = Number(data.expires_in);
+        const expired = Number.isFinite(expiresIn) && expiresIn > 0
+            ? new Date(nowMs + expiresIn * 1000).toISOString()
+            : resolveTokenExpiry(next);
+        if (expired) next.expired = expired;
+        next.last_refresh = toIsoTime(nowMs);
+
+        writeJsonAtomic(profilePath, next);
+        registry.items[idx] = {
+            ...profile,
+            ...buildAuthProfileSummary(profileName, next, fileName)
+        };
+        const isCurrent = registry.current === profileName;
+        if (isCurrent) {
+            writeAuthFile(next, 'refresh-auth-profile');
+        }
+        writeAuthRegistry(registry);
+        return {
+            success: true,
+            profile: listAuthProfilesInfo().find((item) => item.name === profileName) || { ...registry.items[idx], current: isCurrent }
+        };
+    }
+
     function resolveAuthTokenFromCurrentProfile() {
         ensureAuthProfileStoragePrepared();
         const registry = readAuthRegistry();
@@ -361,15 +543,21 @@ function createAuthProfileController(deps = {}) {
         buildAuthProfileSummary,
         getAuthProfileNameFallback,
         listAuthProfilesInfo,
+        collectAuthExpiryAlerts,
         upsertAuthProfile,
         importAuthProfileFromFile,
         importAuthProfileFromUpload,
         switchAuthProfile,
         deleteAuthProfile,
+        refreshAuthProfile,
         resolveAuthTokenFromCurrentProfile
     };
 }
 
 module.exports = {
+    DEFAULT_AUTH_EXPIRY_WARN_MS,
+    decodeJwtPayload,
+    resolveTokenExpiry,
+    describeAuthExpiry,
     createAuthProfileController
 };
@@ -5,6 +5,21 @@ const toml = require('@iarna/toml');
 const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
 const { isValidHttpUrl, normalizeBaseUrl, joinApiUrl } = require('../lib/cli-utils');
 const { toIsoTime } = require('../lib/cli-session-utils');
+const {
+    buildChatCompletionsStreamBody,
+    openUpstreamStreamRequest,
+    readUpstreamResponseText,
+    isChatCompletionsEventStream,
+    pipeChatCompletionsStreamAsResponses,
+    shouldRetryChatCompletionsBuffered
+} = require('./chat-completions-stream');
+const {
+    DEFAULT_UPSTREAM_COOLDOWN_MS,
+    DEFAULT_UPSTREAM_FAILURE_THRESHOLD,
+    normalizeUpstreamPoolStrategy,
+    isRetryableUpstreamStatus,
+    createUpstreamPool
+} = require('./upstream-pool');
 
 function createBuiltinProxyRuntimeController(deps = {}) {
     const {
@@ -27,7 +42,9 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         findProviderDescendantSectionRanges,
         normalizeLegacySegments,
         buildLegacySegmentsKey,
-        formatHostForUrl
+        formatHostForUrl,
+        trafficRecorder,
+        proxyBudget
     } = deps;
 
     if (!fs) throw new Error('createBuiltinProxyRuntimeController 缺少 fs');
@@ -63,12 +80,18 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         throw new Error('createBuiltinProxyRuntimeController 缺少 buildLegacySegmentsKey');
     }
     if (typeof formatHostForUrl !== 'function') throw new Error('createBuiltinProxyRuntimeController 缺少 formatHostForUrl');
+    if (trafficRecorder && typeof trafficRecorder.begin !== 'function') {
+        throw new Error('createBuiltinProxyRuntimeController trafficRecorder 无效');
+    }
+    if (proxyBudget && typeof proxyBudget.checkBudget !== 'function') {
+        throw new Error('createBuiltinProxyRuntimeController proxyBudget 无效');
+    }
 
     let runtime = null;
 
     function readRequestBody(req, maxBytes) {
         return new Promise((resolve) => {
-            let body = '';
+            const chunks = [];
             let size = 0;
             let aborted = false;
             req.on('data', (chunk) => {
@@ -80,11 +103,12 @@ function createBuiltinProxyRuntimeController(deps = {}) {
                     resolve({ error: '请求体过大' });
                     return;
                 }
-                body += chunk;
+                chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
             });
             req.on('end', () => {
                 if (aborted) return;
-                resolve({ body });
+                const raw = Buffer.concat(chunks);
+                resolve({ body: raw.toString('utf-8'), raw });
             });
             req.on('error', (err) => resolve({ error: err && err.message ? err.message : 'request failed' }));
         });
@@ -445,6 +469,8 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         const authSourceRaw = typeof merged.authSource === 'string' ? merged.authSource.trim().toLowerCase() : '';
         const timeoutMs = parseInt(String(merged.timeoutMs), 10);
         const authSource = authSourceRaw === 'profile' || authSourceRaw === 'none' ? authSourceRaw : 'provider';
+        const cooldownMs = parseInt(String(merged.cooldownMs), 10);
+        const failureThreshold = parseInt(String(merged.failureThreshold), 10);
 
         return {
             enabled: merged.enabled !== false,
@@ -454,7 +480,41 @@ function createBuiltinProxyRuntimeController(deps = {}) {
             authSource,
             timeoutMs: Number.isFinite(timeoutMs) && timeoutMs >= 1000
                 ? timeoutMs
-                : DEFAULT_BUILTIN_PROXY_SETTINGS.timeoutMs
+                : DEFAULT_BUILTIN_PROXY_SETTINGS.timeoutMs,
+            upstreams: normalizeBuiltinProxyUpstreamEntries(merged.upstreams),
+            strategy: normalizeUpstreamPoolStrategy(merged.strategy),
+            cooldownMs: Number.isFinite(cooldownMs) && cooldownMs >= 0 ? cooldownMs : DEFAULT_UPSTREAM_COOLDOWN_MS,
+            failureThreshold: Number.isFinite(failureThreshold) && failureThreshold >= 1
+                ? failureThreshold
+                : DEFAULT_UPSTREAM_FAILURE_THRESHOLD
+        };
+    }
+
+    // upstreams 为有序上游池：每项引用 config.toml 中的 provider，可选 key 覆盖该 provider 的鉴权（同一 provider 多 key 轮换）。
+    // 允许直接写 provider 名字符串；留空时退回单一 provider 模式。
+    function normalizeBuiltinProxyUpstreamEntries(value) {
+        const list = Array.isArray(value) ? value : [];
+        const seen = new Set();
+        const entries = [];
+        for (const item of list) {
+            const source = typeof item === 'string' ? { provider: item } : item;
+            if (!isPlainObject(source)) continue;
+            const provider = typeof source.provider === 'string' ? source.provider.trim() : '';
+            if (!provider) continue;
+            const key = typeof source.key === 'string' ? source.key.trim() : '';
+            const dedupeKey = `${provider}\u0000${key}`;
+            if (seen.has(dedupeKey)) continue;
+            seen.add(dedupeKey);
+            entries.push(key ? { provider, key } : { provider });
+        }
+        return entries;
+    }
+
+    // 状态接口会暴露给只读 Web 账号与 MCP，上游池中的 key 只返回是否已配置
+    function redactBuiltinProxySettings(settings) {
+        return {
+            ...settings,
+            upstreams: settings.upstreams.map(({ key, ...entry }) => ({ ...entry, hasKey: !!key }))
         };
     }
 
@@ -482,9 +542,18 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         const preferredProvider = typeof config.model_provider === 'string' ? config.model_provider.trim() : '';
         const finalProvider = resolveBuiltinProxyProviderName(merged.provider, providers, preferredProvider);
 
+        for (const entry of merged.upstreams) {
+            if (isBuiltinManagedProvider(entry.provider)) {
+                return { error: `上游 provider 不能是 ${entry.provider}` };
+            }
+            if (!isPlainObject(providers[entry.provider])) {
+                return { error: `上游 provider 不存在: ${entry.provider}` };
+            }
+        }
+
         const normalized = {
             ...merged,
-            provider: finalProvider
+            provider: merged.upstreams.length ? merged.upstreams[0].provider : finalProvider
         };
 
         if (!options.skipWrite) {
@@ -595,7 +664,7 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         }
 
         try {
-            writeConfig(updatedContent.trimEnd() + lineEnding);
+            writeConfig(updatedContent.trimEnd() + lineEnding, 'remove-builtin-proxy-provider');
         } catch (e) {
             return { error: e.message || '写入 config.toml 失败' };
         }
@@ -617,16 +686,9 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         return providerNames.length > 0;
     }
 
-    function resolveBuiltinProxyUpstream(settings) {
-        const { config } = readConfigOrVirtualDefault();
-        const providers = config && isPlainObject(config.model_providers) ? config.model_providers : {};
-        const currentProvider = typeof config.model_provider === 'string' ? config.model_provider.trim() : '';
-        const providerName = resolveBuiltinProxyProviderName(settings.provider, providers, currentProvider);
-        if (!providerName) {
-            return { error: '未找到可用的上游 provider，请先添加 provider' };
-        }
-        if (providerName === BUILTIN_PROXY_PROVIDER_NAME) {
-            return { error: `上游 provider 不能是 ${BUILTIN_PROXY_PROVIDER_NAME}` };
+    function resolveBuiltinProxyUpstreamEntry(providers, providerName, settings, key = '') {
+        if (providerName === BUILTIN_PROXY_PROVIDER_NAME || isBuiltinManagedProvider(providerName)) {
+            return { error: `上游 provider 不能是 ${providerName}` };
         }
         const provider = providers[providerName];
         if (!provider || !isPlainObject(provider)) {
@@ -638,10 +700,11 @@ function createBuiltinProxyRuntimeController(deps = {}) {
             return { error: `上游 provider base_url 无效: ${providerName}` };
         }
 
-        let token = '';
-        if (settings.authSource === 'profile') {
+        // 池中显式指定的 key 优先于 authSource
+        let token = key;
+        if (!token && settings.authSource === 'profile') {
             token = resolveAuthTokenFromCurrentProfile();
-        } else if (settings.authSource === 'provider') {
+        } else if (!token && settings.authSource === 'provider') {
             token = typeof provider.preferred_auth_method === 'string' ? provider.preferred_auth_method.trim() : '';
             if (!token) {
                 token = resolveAuthTokenFromCurrentProfile();
@@ -660,9 +723,388 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         };
     }
 
-    function createBuiltinProxyServer(settings, upstream) {
+    function resolveBuiltinProxyUpstream(settings) {
+        const { config } = readConfigOrVirtualDefault();
+        const providers = config && isPlainObject(config.model_providers) ? config.model_providers : {};
+        const currentProvider = typeof config.model_provider === 'string' ? config.model_provider.trim() : '';
+        const providerName = resolveBuiltinProxyProviderName(settings.provider, providers, currentProvider);
+        if (!providerName) {
+            return { error: '未找到可用的上游 provider，请先添加 provider' };
+        }
+        if (providerName === BUILTIN_PROXY_PROVIDER_NAME) {
+            return { error: `上游 provider 不能是 ${BUILTIN_PROXY_PROVIDER_NAME}` };
+        }
+        return resolveBuiltinProxyUpstreamEntry(providers, providerName, settings);
+    }
+
+    function resolveBuiltinProxyUpstreams(settings) {
+        const entries = Array.isArray(settings.upstreams) ? settings.upstreams : [];
+        if (!entries.length) {
+            const upstream = resolveBuiltinProxyUpstream(settings);
+            if (upstream.error) {
+                return { error: upstream.error };
+            }
+            return { upstreams: [{ ...upstream, id: `${upstream.providerName}#0` }] };
+        }
+
+        const { config } = readConfigOrVirtualDefault();
+        const providers = config && isPlainObject(config.model_providers) ? config.model_providers : {};
+        const upstreams = [];
+        for (let index = 0; index < entries.length; index += 1) {
+            const entry = entries[index];
+            const upstream = resolveBuiltinProxyUpstreamEntry(providers, entry.provider, settings, entry.key || '');
+            if (upstream.error) {
+                return { error: upstream.error };
+            }
+            upstreams.push({ ...upstream, id: `${upstream.providerName}#${index}` });
+        }
+        return { upstreams };
+    }
+
+    function createBuiltinProxyUpstreamPool(settings, upstreams) {
+        return createUpstreamPool(upstreams, {
+            strategy: settings.strategy,
+            cooldownMs: settings.cooldownMs,
+            failureThreshold: settings.failureThreshold
+        });
+    }
+
+    function createBuiltinProxyServer(settings, upstreamOrPool) {
         const connections = new Set();
         const timeoutMs = settings.timeoutMs;
+        const pool = upstreamOrPool && typeof upstreamOrPool.order === 'function'
+            ? upstreamOrPool
+            : createBuiltinProxyUpstreamPool(settings, [upstreamOrPool]);
+        const upstream = pool.upstreams[0];
+
+        function writeJsonError(res, statusCode, message) {
+            const body = JSON.stringify({ error: message });
+            res.writeHead(statusCode, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body, 'utf-8')
+            });
+            res.end(body, 'utf-8');
+        }
+
+        function writeBudgetExceeded(res, blocked) {
+            const body = JSON.stringify({
+                error: {
+                    message: blocked.message,
+                    type: 'rate_limit_exceeded',
+                    code: 'budget_exceeded'
+                }
+            });
+            res.writeHead(429, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body, 'utf-8'),
+                'Retry-After': String(blocked.retryAfterSec)
+            });
+            res.end(body, 'utf-8');
+        }
+
+        // 依次尝试池中的上游；attempt 返回 { retry: true } 表示该上游失败且尚未向客户端写出任何内容。
+        // 最后一个候选的 canRetry 为 false，由它负责把错误回给客户端。
+        // 已超出预算的上游直接跳过；全部超额时返回 429。
+        async function forwardWithFailover(res, model, attempt) {
+            let candidates = pool.order();
+            let tracker = null;
+            if (proxyBudget && proxyBudget.isBudgetActive()) {
+                const blocked = candidates.map((target) => proxyBudget.checkBudget({ provider: target.providerName, model }));
+                if (blocked.every(Boolean)) {
+                    writeBudgetExceeded(res, blocked[0]);
+                    return;
+                }
+                candidates = candidates.filter((_, index) => !blocked[index]);
+                tracker = proxyBudget.trackBudgetUsage(res, { provider: candidates[0].providerName, model });
+            }
+            for (let index = 0; index < candidates.length; index += 1) {
+                if (tracker) tracker.setProvider(candidates[index].providerName);
+                const outcome = await attempt(candidates[index], index < candidates.length - 1);
+                if (!outcome || !outcome.retry) {
+                    return;
+                }
+            }
+        }
+
+        async function forwardResponsesToUpstream(res, payload, target, canRetry, capture) {
+            const wantsStream = payload.stream === true;
+            const startedAt = Date.now();
+            const markFailure = (reason) => {
+                pool.reportFailure(target, reason);
+                return canRetry;
+            };
+            const commonHeaders = {
+                ...(target.authHeader ? { 'Authorization': target.authHeader } : {}),
+                'X-Codexmate-Proxy': '1'
+            };
+
+            if (capture) capture.setUpstream(target, { path: 'responses' });
+            const upstreamResponsesUrl = joinApiUrl(target.baseUrl, 'responses');
+            const upstreamResponses = upstreamResponsesUrl
+                ? await proxyRequestJson(upstreamResponsesUrl, {
+                    method: 'POST',
+                    headers: commonHeaders,
+                    timeoutMs,
+                    body: { ...payload, stream: false }
+                })
+                : { ok: false, error: 'failed to build upstream URL' };
+
+            // 优先走上游 /responses（如果支持）。若上游报错且不是“端点不支持”，则直接透传错误。
+            if (upstreamResponses.ok && upstreamResponses.status >= 200 && upstreamResponses.status < 300) {
+                const json = parseJsonOrError(upstreamResponses.bodyText);
+                if (json.error) {
+                    if (markFailure(`invalid upstream JSON: ${json.error}`)) return { retry: true };
+                    res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ error: `Upstream JSON parse failed: ${json.error}` }));
+                    return {};
+                }
+                pool.reportSuccess(target, Date.now() - startedAt);
+                const responsesPayload = ensureResponseMetadata(json.value);
+                if (wantsStream) {
+                    res.writeHead(200, {
+                        'Content-Type': 'text/event-stream; charset=utf-8',
+                        'Cache-Control': 'no-cache',
+                        'Connection': 'keep-alive',
+                        'X-Accel-Buffering': 'no'
+                    });
+                    sendResponsesSse(res, responsesPayload);
+                    res.end();
+                    return {};
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify(responsesPayload));
+                return {};
+            }
+
+            if (upstreamResponses.ok && upstreamResponses.status >= 400) {
+                if (!shouldFallbackFromUpstreamResponses(upstreamResponses.status, upstreamResponses.bodyText)) {
+                    if (isRetryableUpstreamStatus(upstreamResponses.status)) {
+                        if (markFailure(`HTTP ${upstreamResponses.status}`)) return { retry: true };
+                    } else {
+                        pool.reportSuccess(target, Date.now() - startedAt);
+                    }
+                    res.writeHead(upstreamResponses.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(upstreamResponses.bodyText || JSON.stringify({ error: 'Upstream error' }));
+                    return {};
+                }
+                // fallthrough to chat/completions conversion
+            }
+
+            if (!upstreamResponses.ok) {
+                if (markFailure(upstreamResponses.error || 'Upstream request failed')) return { retry: true };
+                res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ error: upstreamResponses.error || 'Upstream request failed' }));
+                return {};
+            }
+
+            const model = typeof payload.model === 'string' ? payload.model : '';
+            const messages = normalizeResponsesInputToChatMessages(payload.input);
+            const chatBody = {
+                model,
+                messages,
+                stream: false
+            };
+            if (payload.max_output_tokens != null && chatBody.max_tokens == null) {
+                chatBody.max_tokens = payload.max_output_tokens;
+            }
+
+            if (capture) capture.setUpstream(target, { path: 'chat/completions', body: chatBody });
+            const upstreamChatUrl = joinApiUrl(target.baseUrl, 'chat/completions');
+            if (!upstreamChatUrl) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ error: 'failed to build upstream URL' }));
+                return {};
+            }
+
+            const requestChatBuffered = () => proxyRequestJson(upstreamChatUrl, {
+                method: 'POST',
+                headers: commonHeaders,
+                timeoutMs,
+                body: chatBody
+            });
+            let upstreamChat;
+            if (wantsStream) {
+                // 上游 chat/completions 支持 SSE 时逐块转成 Responses 事件，避免整包等待。
+                const opened = await openUpstreamStreamRequest(upstreamChatUrl, {
+                    method: 'POST',
+                    headers: commonHeaders,
+                    timeoutMs,
+                    body: buildChatCompletionsStreamBody(chatBody),
+                    httpAgent: HTTP_KEEP_ALIVE_AGENT,
+                    httpsAgent: HTTPS_KEEP_ALIVE_AGENT
+                });
+                if (opened.ok && isChatCompletionsEventStream(opened.upstreamRes)) {
+                    pool.reportSuccess(target, Date.now() - startedAt);
+                    await pipeChatCompletionsStreamAsResponses(res, opened.upstreamReq, opened.upstreamRes, { model });
+                    return {};
+                }
+                if (opened.ok && shouldRetryChatCompletionsBuffered(opened.upstreamRes.statusCode)) {
+                    opened.upstreamRes.resume();
+                    upstreamChat = await requestChatBuffered();
+                } else {
+                    upstreamChat = opened.ok
+                        ? await readUpstreamResponseText(opened.upstreamReq, opened.upstreamRes)
+                        : opened;
+                }
+            } else {
+                upstreamChat = await requestChatBuffered();
+            }
+            if (!upstreamChat.ok) {
+                if (markFailure(upstreamChat.error || 'proxy request failed')) return { retry: true };
+                res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ error: upstreamChat.error || 'proxy request failed' }));
+                return {};
+            }
+            if (isRetryableUpstreamStatus(upstreamChat.status)) {
+                if (markFailure(`HTTP ${upstreamChat.status}`)) return { retry: true };
+                res.writeHead(upstreamChat.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(upstreamChat.bodyText || JSON.stringify({ error: 'Upstream error' }));
+                return {};
+            }
+            pool.reportSuccess(target, Date.now() - startedAt);
+            // 上游的错误响应原样返回，不能当作空文本的成功结果
+            if (upstreamChat.status < 200 || upstreamChat.status >= 300) {
+                res.writeHead(upstreamChat.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(upstreamChat.bodyText || JSON.stringify({ error: 'Upstream error' }));
+                return {};
+            }
+
+            const chatJson = parseJsonOrError(upstreamChat.bodyText);
+            if (chatJson.error) {
+                res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ error: `invalid upstream response: ${chatJson.error}` }));
+                return {};
+            }
+
+            const { text } = extractChatCompletionResult(chatJson.value);
+            const responsesPayload = ensureResponseMetadata({
+                model,
+                output: [{
+                    type: 'message',
+                    role: 'assistant',
+                    content: [{ type: 'output_text', text }]
+                }],
+                usage: chatJson.value && chatJson.value.usage ? chatJson.value.usage : undefined
+            });
+
+            if (wantsStream) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream; charset=utf-8',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+                sendResponsesSse(res, responsesPayload);
+                res.end();
+                return {};
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(responsesPayload));
+            return {};
+        }
+
+        // 透传其余 /v1/* 请求。rawBody 为 null 时直接 pipe 客户端请求体（单上游，无需重放）。
+        function forwardRawToUpstream(req, res, parsedIncoming, incomingPath, rawBody, target, canRetry, capture) {
+            const suffix = incomingPath === '/v1'
+                ? ''
+                : incomingPath.replace(/^\/v1\/?/, '');
+            if (capture) capture.setUpstream(target, { path: suffix });
+            const targetBase = joinApiUrl(target.baseUrl, suffix);
+            if (!targetBase) {
+                writeJsonError(res, 500, 'failed to build upstream URL');
+                return Promise.resolve({});
+            }
+
+            let targetUrl;
+            try {
+                targetUrl = new URL(targetBase);
+                targetUrl.search = parsedIncoming.search || '';
+            } catch (e) {
+                writeJsonError(res, 500, `invalid upstream URL: ${e.message}`);
+                return Promise.resolve({});
+            }
+
+            const requestHeaders = { ...req.headers };
+            delete requestHeaders.host;
+            delete requestHeaders.connection;
+            delete requestHeaders['content-length'];
+            if (rawBody) {
+                delete requestHeaders['transfer-encoding'];
+                if (rawBody.length > 0) {
+                    requestHeaders['content-length'] = String(rawBody.length);
+                }
+            }
+            if (target.authHeader) {
+                requestHeaders.authorization = target.authHeader;
+            }
+            requestHeaders['x-codexmate-proxy'] = '1';
+            if (!requestHeaders['x-forwarded-for'] && req.socket && req.socket.remoteAddress) {
+                requestHeaders['x-forwarded-for'] = req.socket.remoteAddress;
+            }
+
+            const startedAt = Date.now();
+            const transport = targetUrl.protocol === 'https:' ? https : http;
+            return new Promise((resolve) => {
+                let settled = false;
+                const settle = (value) => {
+                    if (settled) return;
+                    settled = true;
+                    resolve(value);
+                };
+                const upstreamReq = transport.request({
+                    protocol: targetUrl.protocol,
+                    hostname: targetUrl.hostname,
+                    port: targetUrl.port || (targetUrl.protocol === 'https:' ? 443 : 80),
+                    method: req.method || 'GET',
+                    path: `${targetUrl.pathname}${targetUrl.search}`,
+                    headers: requestHeaders,
+                    agent: targetUrl.protocol === 'https:' ? HTTPS_KEEP_ALIVE_AGENT : HTTP_KEEP_ALIVE_AGENT
+                }, (upstreamRes) => {
+                    const statusCode = upstreamRes.statusCode || 502;
+                    if (isRetryableUpstreamStatus(statusCode)) {
+                        pool.reportFailure(target, `HTTP ${statusCode}`);
+                        if (canRetry) {
+                            upstreamRes.resume();
+                            settle({ retry: true });
+                            return;
+                        }
+                    } else {
+                        pool.reportSuccess(target, Date.now() - startedAt);
+                    }
+                    const responseHeaders = { ...upstreamRes.headers };
+                    delete responseHeaders.connection;
+                    res.writeHead(statusCode, responseHeaders);
+                    upstreamRes.pipe(res);
+                    settle({});
+                });
+
+                upstreamReq.setTimeout(timeoutMs, () => {
+                    upstreamReq.destroy(new Error(`upstream timeout (${timeoutMs}ms)`));
+                });
+
+                upstreamReq.on('error', (err) => {
+                    if (settled) {
+                        if (res.headersSent) {
+                            try { res.destroy(err); } catch (_) {}
+                        }
+                        return;
+                    }
+                    pool.reportFailure(target, err.message);
+                    if (canRetry) {
+                        settle({ retry: true });
+                        return;
+                    }
+                    settle({});
+                    writeJsonError(res, 502, `proxy request failed: ${err.message}`);
+                });
+
+                if (rawBody) {
+                    upstreamReq.end(rawBody);
+                } else {
+                    req.pipe(upstreamReq);
+                }
+            });
+        }
 
         const server = http.createServer((req, res) => {
             let parsedIncoming;
@@ -684,12 +1126,7 @@ function createBuiltinProxyRuntimeController(deps = {}) {
                     ? process.env.CODEXMATE_HTTP_TOKEN.trim()
                     : '';
                 if (!expected) {
-                    const body = JSON.stringify({ error: 'Remote access is disabled (set CODEXMATE_HTTP_TOKEN)' });
-                    res.writeHead(403, {
-                        'Content-Type': 'application/json; charset=utf-8',
-                        'Content-Length': Buffer.byteLength(body, 'utf-8')
-                    });
-                    res.end(body, 'utf-8');
+                    writeJsonError(res, 403, 'Remote access is disabled (set CODEXMATE_HTTP_TOKEN)');
                     return;
                 }
                 const headers = req && req.headers && typeof req.headers === 'object' ? req.headers : {};
@@ -699,12 +1136,7 @@ function createBuiltinProxyRuntimeController(deps = {}) {
                     ? match[1].trim()
                     : (rawAuth ? rawAuth : (typeof headers['x-codexmate-token'] === 'string' ? String(headers['x-codexmate-token']).trim() : ''));
                 if (!actual || actual !== expected) {
-                    const body = JSON.stringify({ error: 'Unauthorized' });
-                    res.writeHead(401, {
-                        'Content-Type': 'application/json; charset=utf-8',
-                        'Content-Length': Buffer.byteLength(body, 'utf-8')
-                    });
-                    res.end(body, 'utf-8');
+                    writeJsonError(res, 401, 'Unauthorized');
                     return;
                 }
             }
@@ -714,7 +1146,9 @@ function createBuiltinProxyRuntimeController(deps = {}) {
                 const body = JSON.stringify({
                     ok: true,
                     upstreamProvider: upstream.providerName,
-                    upstreamBaseUrl: upstream.baseUrl
+                    upstreamBaseUrl: upstream.baseUrl,
+                    strategy: pool.strategy,
+                    upstreams: pool.getStatus()
                 });
                 res.writeHead(200, {
                     'Content-Type': 'application/json; charset=utf-8',
@@ -725,22 +1159,30 @@ function createBuiltinProxyRuntimeController(deps = {}) {
             }
 
             if (!(incomingPath === '/v1' || incomingPath.startsWith('/v1/'))) {
-                const body = JSON.stringify({ error: 'proxy only supports /v1/* paths' });
-                res.writeHead(404, {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body, 'utf-8')
-                });
-                res.end(body, 'utf-8');
+                writeJsonError(res, 404, 'proxy only supports /v1/* paths');
                 return;
             }
 
+            const capture = trafficRecorder
+                ? trafficRecorder.begin(req, res, { proxy: 'codex', provider: upstream.providerName })
+                : null;
+            const failRequest = (err) => {
+                if (capture) capture.fail(err && err.message ? err.message : String(err));
+                if (res.headersSent) {
+                    try { res.destroy(err); } catch (_) {}
+                    return;
+                }
+                writeJsonError(res, 502, `proxy request failed: ${err && err.message ? err.message : err}`);
+            };
+
             // Responses shim：
             // - Codex CLI 默认走 /v1/responses（含 SSE）
             // - 某些上游只支持 /v1/chat/completions
             // 因此这里优先尝试 /v1/responses（stream=false），失败再转换到 chat/completions 并回包为 responses。
             if ((incomingPath === '/v1/responses' || incomingPath === '/v1/responses/') && (req.method || 'GET').toUpperCase() === 'POST') {
                 void (async () => {
-                    const { body, error } = await readRequestBody(req, 10 * 1024 * 1024);
+                    const { body, raw, error } = await readRequestBody(req, 10 * 1024 * 1024);
+                    if (capture && !error) capture.setRequestBody(raw);
                     if (error) {
                         res.writeHead(413, { 'Content-Type': 'application/json; charset=utf-8' });
                         res.end(JSON.stringify({ error }));
@@ -754,202 +1196,31 @@ function createBuiltinProxyRuntimeController(deps = {}) {
                     }
 
                     const payload = parsed.value && typeof parsed.value === 'object' ? parsed.value : {};
-                    const wantsStream = payload.stream === true;
-
-                    const commonHeaders = {
-                        ...(upstream.authHeader ? { 'Authorization': upstream.authHeader } : {}),
-                        'X-Codexmate-Proxy': '1'
-                    };
-
-                    const upstreamResponsesUrl = joinApiUrl(upstream.baseUrl, 'responses');
-                    const upstreamResponses = upstreamResponsesUrl
-                        ? await proxyRequestJson(upstreamResponsesUrl, {
-                            method: 'POST',
-                            headers: commonHeaders,
-                            timeoutMs,
-                            body: { ...payload, stream: false }
-                        })
-                        : { ok: false, error: 'failed to build upstream URL' };
-
-                    // 优先走上游 /responses（如果支持）。若上游报错且不是“端点不支持”，则直接透传错误。
-                    if (upstreamResponses.ok && upstreamResponses.status >= 200 && upstreamResponses.status < 300) {
-                        const json = parseJsonOrError(upstreamResponses.bodyText);
-                        if (json.error) {
-                            res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
-                            res.end(JSON.stringify({ error: `Upstream JSON parse failed: ${json.error}` }));
-                            return;
-                        }
-                        const responsesPayload = ensureResponseMetadata(json.value);
-                        if (wantsStream) {
-                            res.writeHead(200, {
-                                'Content-Type': 'text/event-stream; charset=utf-8',
-                                'Cache-Control': 'no-cache',
-                                'Connection': 'keep-alive',
-                                'X-Accel-Buffering': 'no'
-                            });
-                            sendResponsesSse(res, responsesPayload);
-                            res.end();
-                            return;
-                        }
-                        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify(responsesPayload));
-                        return;
-                    }
-
-                    if (upstreamResponses.ok && upstreamResponses.status >= 400) {
-                        if (!shouldFallbackFromUpstreamResponses(upstreamResponses.status, upstreamResponses.bodyText)) {
-                            res.writeHead(upstreamResponses.status, { 'Content-Type': 'application/json; charset=utf-8' });
-                            res.end(upstreamResponses.bodyText || JSON.stringify({ error: 'Upstream error' }));
-                            return;
-                        }
-                        // fallthrough to chat/completions conversion
-                    }
-
-                    if (!upstreamResponses.ok) {
-                        res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify({ error: upstreamResponses.error || 'Upstream request failed' }));
-                        return;
-                    }
-
                     const model = typeof payload.model === 'string' ? payload.model : '';
-                    const messages = normalizeResponsesInputToChatMessages(payload.input);
-                    const chatBody = {
-                        model,
-                        messages,
-                        stream: false
-                    };
-                    if (payload.max_output_tokens != null && chatBody.max_tokens == null) {
-                        chatBody.max_tokens = payload.max_output_tokens;
-                    }
-
-                    const upstreamChatUrl = joinApiUrl(upstream.baseUrl, 'chat/completions');
-                    if (!upstreamChatUrl) {
-                        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify({ error: 'failed to build upstream URL' }));
-                        return;
-                    }
-
-                    const upstreamChat = await proxyRequestJson(upstreamChatUrl, {
-                        method: 'POST',
-                        headers: commonHeaders,
-                        timeoutMs,
-                        body: chatBody
-                    });
-                    if (!upstreamChat.ok) {
-                        res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify({ error: upstreamChat.error || 'proxy request failed' }));
-                        return;
-                    }
-
-                    const chatJson = parseJsonOrError(upstreamChat.bodyText);
-                    if (chatJson.error) {
-                        res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify({ error: `invalid upstream response: ${chatJson.error}` }));
-                        return;
-                    }
-
-                    const { text } = extractChatCompletionResult(chatJson.value);
-                    const responsesPayload = ensureResponseMetadata({
-                        model,
-                        output: [{
-                            type: 'message',
-                            role: 'assistant',
-                            content: [{ type: 'output_text', text }]
-                        }],
-                        usage: chatJson.value && chatJson.value.usage ? chatJson.value.usage : undefined
-                    });
-
-                    if (wantsStream) {
-                        res.writeHead(200, {
-                            'Content-Type': 'text/event-stream; charset=utf-8',
-                            'Cache-Control': 'no-cache',
-                            'Connection': 'keep-alive',
-                            'X-Accel-Buffering': 'no'
-                        });
-                        sendResponsesSse(res, responsesPayload);
-                        res.end();
-                        return;
-                    }
-                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify(responsesPayload));
-                })();
+                    await forwardWithFailover(res, model, (target, canRetry) => forwardResponsesToUpstream(res, payload, target, canRetry, capture));
+                })().catch(failRequest);
                 return;
             }
 
-            const suffix = incomingPath === '/v1'
-                ? ''
-                : incomingPath.replace(/^\/v1\/?/, '');
-            const targetBase = joinApiUrl(upstream.baseUrl, suffix);
-            if (!targetBase) {
-                const body = JSON.stringify({ error: 'failed to build upstream URL' });
-                res.writeHead(500, {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body, 'utf-8')
-                });
-                res.end(body, 'utf-8');
-                return;
-            }
-
-            let targetUrl;
-            try {
-                targetUrl = new URL(targetBase);
-                targetUrl.search = parsedIncoming.search || '';
-            } catch (e) {
-                const body = JSON.stringify({ error: `invalid upstream URL: ${e.message}` });
-                res.writeHead(500, {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body, 'utf-8')
-                });
-                res.end(body, 'utf-8');
+            if (pool.upstreams.length === 1 && !capture && !(proxyBudget && proxyBudget.isBudgetActive())) {
+                forwardRawToUpstream(req, res, parsedIncoming, incomingPath, null, upstream, false).catch(failRequest);
                 return;
             }
 
-            const requestHeaders = { ...req.headers };
-            delete requestHeaders.host;
-            delete requestHeaders.connection;
-            delete requestHeaders['content-length'];
-            if (upstream.authHeader) {
-                requestHeaders.authorization = upstream.authHeader;
-            }
-            requestHeaders['x-codexmate-proxy'] = '1';
-            if (!requestHeaders['x-forwarded-for'] && req.socket && req.socket.remoteAddress) {
-                requestHeaders['x-forwarded-for'] = req.socket.remoteAddress;
-            }
-
-            const transport = targetUrl.protocol === 'https:' ? https : http;
-            const upstreamReq = transport.request({
-                protocol: targetUrl.protocol,
-                hostname: targetUrl.hostname,
-                port: targetUrl.port || (targetUrl.protocol === 'https:' ? 443 : 80),
-                method: req.method || 'GET',
-                path: `${targetUrl.pathname}${targetUrl.search}`,
-                headers: requestHeaders,
-                agent: targetUrl.protocol === 'https:' ? HTTPS_KEEP_ALIVE_AGENT : HTTP_KEEP_ALIVE_AGENT
-            }, (upstreamRes) => {
-                const responseHeaders = { ...upstreamRes.headers };
-                delete responseHeaders.connection;
-                res.writeHead(upstreamRes.statusCode || 502, responseHeaders);
-                upstreamRes.pipe(res);
-            });
-
-            upstreamReq.setTimeout(timeoutMs, () => {
-                upstreamReq.destroy(new Error(`upstream timeout (${timeoutMs}ms)`));
-            });
-
-            upstreamReq.on('error', (err) => {
-                if (res.headersSent) {
-                    try { res.destroy(err); } catch (_) {}
+            // 多上游时需要缓存请求体，以便在某个上游失败后原样重放给下一个；录制与预算检查同样需要完整请求体
+            void (async () => {
+                const { body, raw, error } = await readRequestBody(req, 10 * 1024 * 1024);
+                if (error) {
+                    writeJsonError(res, 413, error);
                     return;
                 }
-                const body = JSON.stringify({ error: `proxy request failed: ${err.message}` });
-                res.writeHead(502, {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body, 'utf-8')
-                });
-                res.end(body, 'utf-8');
-            });
-
-            req.pipe(upstreamReq);
+                if (capture) capture.setRequestBody(raw);
+                const parsed = proxyBudget && proxyBudget.isBudgetActive() ? parseJsonOrError(body) : { value: null };
+                const model = parsed.value && typeof parsed.value.model === 'string' ? parsed.value.model : '';
+                await forwardWithFailover(res, model, (target, canRetry) => (
+                    forwardRawToUpstream(req, res, parsedIncoming, incomingPath, raw, target, canRetry, capture)
+                ));
+            })().catch(failRequest);
         });
 
         server.on('connection', (socket) => {
@@ -966,6 +1237,7 @@ function createBuiltinProxyRuntimeController(deps = {}) {
                     connections,
                     settings,
                     upstream,
+                    pool,
                     startedAt: toIsoTime(Date.now()),
                     listenUrl: buildProxyListenUrl(settings)
                 });
@@ -989,18 +1261,20 @@ function createBuiltinProxyRuntimeController(deps = {}) {
             return { error: saveResult.error };
         }
         const settings = saveResult.settings;
-        const upstream = resolveBuiltinProxyUpstream(settings);
-        if (upstream.error) {
-            return { error: upstream.error };
+        const resolved = resolveBuiltinProxyUpstreams(settings);
+        if (resolved.error) {
+            return { error: resolved.error };
         }
 
         try {
-            runtime = await createBuiltinProxyServer(settings, upstream);
+            runtime = await createBuiltinProxyServer(settings, createBuiltinProxyUpstreamPool(settings, resolved.upstreams));
             return {
                 success: true,
                 running: true,
                 listenUrl: runtime.listenUrl,
-                upstreamProvider: upstream.providerName,
+                upstreamProvider: runtime.upstream.providerName,
+                strategy: runtime.pool.strategy,
+                upstreams: runtime.pool.getStatus(),
                 settings
             };
         } catch (e) {
@@ -1039,17 +1313,20 @@ function createBuiltinProxyRuntimeController(deps = {}) {
     }
 
     function getBuiltinProxyStatus() {
-        const settings = readBuiltinProxySettings();
+        const settings = redactBuiltinProxySettings(readBuiltinProxySettings());
         return {
             running: !!runtime,
             settings,
+            budgets: proxyBudget ? proxyBudget.getBudgetStatus() : null,
             runtime: runtime
                 ? {
                     provider: BUILTIN_PROXY_PROVIDER_NAME,
                     startedAt: runtime.startedAt,
                     listenUrl: runtime.listenUrl,
                     upstreamProvider: runtime.upstream.providerName,
-                    upstreamBaseUrl: runtime.upstream.baseUrl
+                    upstreamBaseUrl: runtime.upstream.baseUrl,
+                    strategy: runtime.pool.strategy,
+                    upstreams: runtime.pool.getStatus()
                 }
                 : null
         };
@@ -1067,6 +1344,7 @@ function createBuiltinProxyRuntimeController(deps = {}) {
         removePersistedBuiltinProxyProviderFromConfig,
         hasCodexConfigReadyForProxy,
         resolveBuiltinProxyUpstream,
+        resolveBuiltinProxyUpstreams,
         createBuiltinProxyServer,
         startBuiltinProxyRuntime,
         stopBuiltinProxyRuntime,
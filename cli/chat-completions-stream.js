@@ -0,0 +1,482 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const {
+    createSseParser,
+    formatSseEvent,
+    isEventStreamContentType
+} = require('../lib/cli-sse-utils');
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readChatDeltaText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .map((item) => {
+            if (!item) return '';
+            if (typeof item === 'string') return item;
+            if (typeof item === 'object' && typeof item.text === 'string') return item.text;
+            return '';
+        })
+        .join('');
+}
+
+function mapChatUsageToResponses(usage) {
+    if (!isPlainObject(usage)) return null;
+    const promptTokens = Number.isFinite(usage.prompt_tokens) ? Number(usage.prompt_tokens) : null;
+    const completionTokens = Number.isFinite(usage.completion_tokens) ? Number(usage.completion_tokens) : null;
+    const totalTokens = Number.isFinite(usage.total_tokens) ? Number(usage.total_tokens) : null;
+    if (promptTokens === null && completionTokens === null && totalTokens === null) {
+        return usage;
+    }
+    const mapped = {};
+    if (promptTokens !== null) mapped.input_tokens = promptTokens;
+    if (completionTokens !== null) mapped.output_tokens = completionTokens;
+    if (totalTokens !== null) mapped.total_tokens = totalTokens;
+    return mapped;
+}
+
+// 将 chat.completions 的流式 chunk 逐条翻译为 Responses SSE 事件（openai-bridge 与内建代理共用）。
+// push() 返回该 chunk 对应、应立即写出的事件；finish() 关闭未结束的 output item 并补 response.completed；
+// fail() 在上游中断时输出 response.failed。tool_calls 按 index 累积，name 到达后才发出 output_item.added。
+function createResponsesStreamFromChatCompletions(options = {}) {
+    const responseId = typeof options.responseId === 'string' && options.responseId.trim()
+        ? options.responseId.trim()
+        : `resp_${crypto.randomBytes(10).toString('hex')}`;
+    const createdAt = Math.floor(Date.now() / 1000);
+    let model = typeof options.model === 'string' ? options.model : '';
+    let sequence = 0;
+    let nextOutputIndex = 0;
+    let started = false;
+    let finished = false;
+    let textItem = null;
+    let finishReason = '';
+    let usage = null;
+    const items = [];
+    const toolCalls = new Map();
+
+    function emit(events, type, data) {
+        sequence += 1;
+        events.push({ event: type, data: { type, ...data, sequence_number: sequence } });
+    }
+
+    function buildResponseShell(status) {
+        return {
+            id: responseId,
+            object: 'response',
+            model,
+            created_at: createdAt,
+            status
+        };
+    }
+
+    function ensureStarted(events) {
+        if (started) return;
+        started = true;
+        emit(events, 'response.created', { response: { ...buildResponseShell('in_progress'), output: [] } });
+    }
+
+    function buildMessageItem(entry, status) {
+        return {
+            id: entry.id,
+            type: 'message',
+            role: 'assistant',
+            status,
+            content: status === 'completed' ? [{ type: 'output_text', text: entry.text, annotations: [] }] : []
+        };
+    }
+
+    function buildFunctionCallItem(entry, status) {
+        return {
+            id: entry.id,
+            type: 'function_call',
+            status,
+            call_id: entry.callId,
+            name: entry.name,
+            arguments: status === 'completed' ? entry.arguments : ''
+        };
+    }
+
+    function closeTextItem(events) {
+        if (!textItem) return;
+        const entry = textItem;
+        textItem = null;
+        emit(events, 'response.output_text.done', {
+            item_id: entry.id,
+            output_index: entry.outputIndex,
+            content_index: 0,
+            text: entry.text
+        });
+        entry.item = buildMessageItem(entry, 'completed');
+        emit(events, 'response.output_item.done', { output_index: entry.outputIndex, item: entry.item });
+    }
+
+    function writeText(events, text) {
+        if (!text) return;
+        if (!textItem) {
+            textItem = {
+                id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+                outputIndex: nextOutputIndex,
+                text: '',
+                item: null
+            };
+            nextOutputIndex += 1;
+            items.push(textItem);
+            emit(events, 'response.output_item.added', {
+                output_index: textItem.outputIndex,
+                item: buildMessageItem(textItem, 'in_progress')
+            });
+        }
+        textItem.text += text;
+        emit(events, 'response.output_text.delta', {
+            item_id: textItem.id,
+            output_index: textItem.outputIndex,
+            content_index: 0,
+            delta: text
+        });
+    }
+
+    function addToolItem(events, entry) {
+        entry.added = true;
+        entry.outputIndex = nextOutputIndex;
+        nextOutputIndex += 1;
+        items.push(entry);
+        emit(events, 'response.output_item.added', {
+            output_index: entry.outputIndex,
+            item: buildFunctionCallItem(entry, 'in_progress')
+        });
+        if (entry.arguments) {
+            emit(events, 'response.function_call_arguments.delta', {
+                item_id: entry.id,
+                output_index: entry.outputIndex,
+                delta: entry.arguments
+            });
+        }
+    }
+
+    function writeToolCallDelta(events, call) {
+        if (!isPlainObject(call)) return;
+        const index = Number.isFinite(call.index) ? call.index : toolCalls.size;
+        let entry = toolCalls.get(index);
+        if (!entry) {
+            closeTextItem(events);
+            entry = {
+                id: `fc_${crypto.randomBytes(8).toString('hex')}`,
+                callId: '',
+                name: '',
+                arguments: '',
+                added: false,
+                outputIndex: -1,
+                item: null
+            };
+            toolCalls.set(index, entry);
+        }
+        if (!entry.callId && typeof call.id === 'string' && call.id.trim()) {
+            entry.callId = call.id.trim();
+        }
+        const fn = isPlainObject(call.function) ? call.function : {};
+        if (!entry.name && typeof fn.name === 'string' && fn.name) {
+            entry.name = fn.name;
+        }
+        const argsDelta = typeof fn.arguments === 'string' ? fn.arguments : '';
+        if (!entry.added) {
+            entry.arguments += argsDelta;
+            if (entry.name) {
+                if (!entry.callId) {
+                    entry.callId = `call_${crypto.randomBytes(8).toString('hex')}`;
+                }
+                addToolItem(events, entry);
+            }
+            return;
+        }
+        if (argsDelta) {
+            entry.arguments += argsDelta;
+            emit(events, 'response.function_call_arguments.delta', {
+                item_id: entry.id,
+                output_index: entry.outputIndex,
+                delta: argsDelta
+            });
+        }
+    }
+
+    function push(chunk) {
+        const events = [];
+        if (finished || !isPlainObject(chunk)) {
+            return events;
+        }
+        if (!model && typeof chunk.model === 'string') {
+            model = chunk.model;
+        }
+        ensureStarted(events);
+        if (isPlainObject(chunk.usage)) {
+            usage = chunk.usage;
+        }
+        const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+        if (!isPlainObject(choice)) {
+            return events;
+        }
+        const delta = isPlainObject(choice.delta) ? choice.delta : {};
+        writeText(events, readChatDeltaText(delta.content));
+        if (Array.isArray(delta.tool_calls)) {
+            for (const call of delta.tool_calls) {
+                writeToolCallDelta(events, call);
+            }
+        }
+        if (typeof choice.finish_reason === 'string' && choice.finish_reason) {
+            finishReason = choice.finish_reason;
+        }
+        return events;
+    }
+
+    function finish() {
+        const events = [];
+        if (finished) {
+            return events;
+        }
+        ensureStarted(events);
+        closeTextItem(events);
+        for (const entry of toolCalls.values()) {
+            if (!entry.added) {
+                if (!entry.name) continue;
+                if (!entry.callId) {
+                    entry.callId = `call_${crypto.randomBytes(8).toString('hex')}`;
+                }
+                addToolItem(events, entry);
+            }
+            emit(events, 'response.function_call_arguments.done', {
+                item_id: entry.id,
+                output_index: entry.outputIndex,
+                arguments: entry.arguments
+            });
+            entry.item = buildFunctionCallItem(entry, 'completed');
+            emit(events, 'response.output_item.done', { output_index: entry.outputIndex, item: entry.item });
+        }
+
+        const incomplete = finishReason === 'length';
+        const response = {
+            ...buildResponseShell(incomplete ? 'incomplete' : 'completed'),
+            output: items
+                .filter((entry) => entry.item)
+                .sort((a, b) => a.outputIndex - b.outputIndex)
+                .map((entry) => entry.item),
+            output_text: items
+                .filter((entry) => entry.item && entry.item.type === 'message')
+                .map((entry) => entry.text)
+                .join('')
+        };
+        if (incomplete) {
+            response.incomplete_details = { reason: 'max_output_tokens' };
+        }
+        const mappedUsage = mapChatUsageToResponses(usage);
+        if (mappedUsage) {
+            response.usage = mappedUsage;
+        }
+        emit(events, incomplete ? 'response.incomplete' : 'response.completed', { response });
+        events.push({ event: 'done', data: '[DONE]' });
+        finished = true;
+        return events;
+    }
+
+    function fail(message) {
+        const events = [];
+        if (finished) {
+            return events;
+        }
+        ensureStarted(events);
+        emit(events, 'response.failed', {
+            response: {
+                ...buildResponseShell('failed'),
+                output: [],
+                error: {
+                    code: 'upstream_error',
+                    message: typeof message === 'string' && message.trim() ? message.trim() : 'upstream stream failed'
+                }
+            }
+        });
+        finished = true;
+        return events;
+    }
+
+    return {
+        push,
+        finish,
+        fail,
+        isFinished: () => finished
+    };
+}
+
+// 流式 chat/completions 默认不返回 usage，需显式要求上游在最后附带一个 usage 块
+function buildChatCompletionsStreamBody(chatBody) {
+    const streamOptions = isPlainObject(chatBody.stream_options) ? chatBody.stream_options : {};
+    return { ...chatBody, stream: true, stream_options: { ...streamOptions, include_usage: true } };
+}
+
+// 部分中转不认 stream / stream_options，直接返回 4xx；此时改用整包请求重试一次。
+// 429 属于限流，重试同一上游没有意义，交给调用方按失败处理。
+function shouldRetryChatCompletionsBuffered(status) {
+    return status >= 400 && status < 500 && status !== 429;
+}
+
+// 以流式方式请求上游：仅等待响应头，body 交由调用方转发或整包读取。超时按空闲计算。
+function openUpstreamStreamRequest(targetUrl, options = {}) {
+    let parsed;
+    try {
+        parsed = new URL(targetUrl);
+    } catch (e) {
+        return Promise.resolve({ ok: false, error: `invalid upstream URL: ${e.message}` });
+    }
+    const transport = parsed.protocol === 'https:' ? https : http;
+    const bodyText = options.body ? JSON.stringify(options.body) : '';
+    const headers = {
+        'Accept': 'text/event-stream',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...(options.headers || {})
+    };
+    if (options.body) {
+        headers['Content-Length'] = Buffer.byteLength(bodyText, 'utf-8');
+    }
+    const timeoutMs = Number.isFinite(options.timeoutMs)
+        ? Math.max(1000, Number(options.timeoutMs))
+        : 30000;
+
+    return new Promise((resolve) => {
+        let settled = false;
+        const finish = (value) => {
+            if (settled) return;
+            settled = true;
+            resolve(value);
+        };
+        const upstreamReq = transport.request({
+            protocol: parsed.protocol,
+            hostname: parsed.hostname,
+            port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
+            method: options.method || 'POST',
+            path: `${parsed.pathname}${parsed.search}`,
+            headers,
+            agent: parsed.protocol === 'https:' ? options.httpsAgent : options.httpAgent
+        }, (upstreamRes) => {
+            finish({ ok: true, upstreamReq, upstreamRes });
+        });
+        upstreamReq.setTimeout(timeoutMs, () => {
+            try { upstreamReq.destroy(new Error('timeout')); } catch (_) {}
+            finish({ ok: false, error: 'timeout' });
+        });
+        upstreamReq.on('error', (err) => finish({ ok: false, error: err && err.message ? err.message : 'request failed' }));
+        if (bodyText) {
+            upstreamReq.write(bodyText);
+        }
+        upstreamReq.end();
+    });
+}
+
+// 上游未返回 SSE 时整包读取，结果与 proxyRequestJson 同形，便于复用原有非流式分支。
+function readUpstreamResponseText(upstreamReq, upstreamRes, maxBytes = 0) {
+    return new Promise((resolve) => {
+        let settled = false;
+        const finish = (value) => {
+            if (settled) return;
+            settled = true;
+            resolve(value);
+        };
+        const chunks = [];
+        let size = 0;
+        upstreamRes.on('data', (chunk) => {
+            if (!chunk) return;
+            size += chunk.length;
+            if (maxBytes > 0 && size > maxBytes) {
+                chunks.length = 0;
+                try { upstreamReq.destroy(new Error('response too large')); } catch (_) {}
+                finish({ ok: false, error: 'response too large' });
+                return;
+            }
+            chunks.push(chunk);
+        });
+        upstreamRes.on('end', () => {
+            finish({
+                ok: true,
+                status: upstreamRes.statusCode || 0,
+                headers: upstreamRes.headers || {},
+                bodyText: chunks.length ? Buffer.concat(chunks).toString('utf-8') : ''
+            });
+        });
+        upstreamRes.on('error', (err) => finish({ ok: false, error: err && err.message ? err.message : 'request failed' }));
+        upstreamReq.on('error', (err) => finish({ ok: false, error: err && err.message ? err.message : 'request failed' }));
+    });
+}
+
+function isChatCompletionsEventStream(upstreamRes) {
+    const status = upstreamRes && upstreamRes.statusCode ? upstreamRes.statusCode : 0;
+    return status >= 200 && status < 300
+        && isEventStreamContentType(upstreamRes.headers && upstreamRes.headers['content-type']);
+}
+
+function pipeChatCompletionsStreamAsResponses(res, upstreamReq, upstreamRes, options = {}) {
+    const converter = createResponsesStreamFromChatCompletions(options);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    const writeEvents = (events) => {
+        for (const event of events) {
+            res.write(formatSseEvent(event.event, event.data));
+        }
+    };
+
+    return new Promise((resolve) => {
+        let done = false;
+        const finalize = (events) => {
+            if (done) return;
+            done = true;
+            if (!res.writableEnded && !res.destroyed) {
+                writeEvents(events);
+                res.end();
+            }
+            resolve();
+        };
+        const parser = createSseParser((sseEvent) => {
+            if (done) return;
+            if (sseEvent.data === '[DONE]') {
+                finalize(converter.finish());
+                return;
+            }
+            if (isPlainObject(sseEvent.data) && isPlainObject(sseEvent.data.error)) {
+                const message = typeof sseEvent.data.error.message === 'string' ? sseEvent.data.error.message : '';
+                finalize(converter.fail(message || 'upstream stream failed'));
+                return;
+            }
+            writeEvents(converter.push(sseEvent.data));
+        });
+
+        res.on('close', () => {
+            if (done) return;
+            done = true;
+            try { upstreamReq.destroy(); } catch (_) {}
+            resolve();
+        });
+        upstreamRes.on('data', (chunk) => parser.push(chunk));
+        upstreamRes.on('end', () => {
+            parser.flush();
+            finalize(converter.finish());
+        });
+        upstreamRes.on('aborted', () => finalize(converter.fail('upstream stream aborted')));
+        upstreamRes.on('error', (err) => finalize(converter.fail(err && err.message ? err.message : '')));
+        upstreamReq.on('error', (err) => finalize(converter.fail(err && err.message ? err.message : '')));
+    });
+}
+
+module.exports = {
+    buildChatCompletionsStreamBody,
+    shouldRetryChatCompletionsBuffered,
+    createResponsesStreamFromChatCompletions,
+    openUpstreamStreamRequest,
+    readUpstreamResponseText,
+    isChatCompletionsEventStream,
+    pipeChatCompletionsStreamAsResponses
+};
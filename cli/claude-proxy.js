@@ -9,6 +9,11 @@ const {
     normalizeWireApi
 } = require('../lib/cli-models-utils');
 const { toIsoTime } = require('../lib/cli-session-utils');
+const {
+    createSseParser,
+    formatSseEvent,
+    isEventStreamContentType
+} = require('../lib/cli-sse-utils');
 
 function isPlainObject(value) {
     return !!value && typeof value === 'object' && !Array.isArray(value);
@@ -408,6 +413,302 @@ function buildAnthropicStreamEvents(message) {
     return events;
 }
 
+function buildAnthropicStreamErrorEvent(message) {
+    return {
+        event: 'error',
+        data: {
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: typeof message === 'string' && message.trim() ? message.trim() : 'upstream stream failed'
+            }
+        }
+    };
+}
+
+// 将上游 Responses SSE 事件逐条翻译为 Anthropic messages 流事件。
+// push() 每次返回应立即写出的事件；finish() 在上游正常结束时补齐 message_delta/message_stop；
+// fail() 在上游中断时输出 error 事件。Anthropic 要求 content block 串行，因此打开新 block 前会先关闭当前 block。
+function createAnthropicStreamTranslator(requestPayload = {}) {
+    const fallbackModel = typeof requestPayload.model === 'string' ? requestPayload.model : '';
+    const blocks = new Map();
+    const pendingArguments = new Map();
+    let started = false;
+    let finished = false;
+    let nextIndex = 0;
+    let openBlock = null;
+    let sawToolUse = false;
+    let inputTokens = 0;
+
+    function ensureStarted(events, response) {
+        if (started) return;
+        started = true;
+        const source = isPlainObject(response) ? response : {};
+        inputTokens = buildAnthropicUsageFromResponses(source).input_tokens;
+        events.push({
+            event: 'message_start',
+            data: {
+                type: 'message_start',
+                message: {
+                    id: typeof source.id === 'string' && source.id.trim()
+                        ? source.id.trim()
+                        : `msg_${crypto.randomBytes(8).toString('hex')}`,
+                    type: 'message',
+                    role: 'assistant',
+                    model: typeof source.model === 'string' && source.model.trim()
+                        ? source.model.trim()
+                        : fallbackModel,
+                    content: [],
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { input_tokens: inputTokens, output_tokens: 0 }
+                }
+            }
+        });
+    }
+
+    function closeOpenBlock(events) {
+        if (!openBlock) return;
+        events.push({ event: 'content_block_stop', data: { type: 'content_block_stop', index: openBlock.index } });
+        openBlock.closed = true;
+        openBlock = null;
+    }
+
+    function openContentBlock(events, key, contentBlock) {
+        closeOpenBlock(events);
+        const block = { key, index: nextIndex, type: contentBlock.type, hasDelta: false, closed: false };
+        nextIndex += 1;
+        blocks.set(key, block);
+        openBlock = block;
+        if (contentBlock.type === 'tool_use') {
+            sawToolUse = true;
+        }
+        events.push({
+            event: 'content_block_start',
+            data: { type: 'content_block_start', index: block.index, content_block: contentBlock }
+        });
+        return block;
+    }
+
+    function openToolBlock(events, outputIndex, item) {
+        const source = isPlainObject(item) ? item : {};
+        return openContentBlock(events, `tool:${outputIndex}`, {
+            type: 'tool_use',
+            id: typeof source.call_id === 'string' && source.call_id.trim()
+                ? source.call_id.trim()
+                : (typeof source.id === 'string' && source.id.trim()
+                    ? source.id.trim()
+                    : `toolu_${crypto.randomBytes(8).toString('hex')}`),
+            name: typeof source.name === 'string' ? source.name : '',
+            input: {}
+        });
+    }
+
+    function writeTextDelta(events, key, text) {
+        if (typeof text !== 'string' || !text) return;
+        let block = blocks.get(key);
+        if (!block || block.closed) {
+            block = openContentBlock(events, key, { type: 'text', text: '' });
+        }
+        block.hasDelta = true;
+        events.push({
+            event: 'content_block_delta',
+            data: { type: 'content_block_delta', index: block.index, delta: { type: 'text_delta', text } }
+        });
+    }
+
+    function writeArgumentsDelta(events, block, partialJson) {
+        if (!block || typeof partialJson !== 'string' || !partialJson) return;
+        block.hasDelta = true;
+        events.push({
+            event: 'content_block_delta',
+            data: { type: 'content_block_delta', index: block.index, delta: { type: 'input_json_delta', partial_json: partialJson } }
+        });
+    }
+
+    function closeBlocksForOutput(events, outputIndex) {
+        if (openBlock && (openBlock.key === `tool:${outputIndex}` || openBlock.key.startsWith(`text:${outputIndex}:`))) {
+            closeOpenBlock(events);
+        }
+    }
+
+    function readOutputIndex(data) {
+        return Number.isFinite(data.output_index) ? data.output_index : 0;
+    }
+
+    function readTextKey(data) {
+        const contentIndex = Number.isFinite(data.content_index) ? data.content_index : 0;
+        return `text:${readOutputIndex(data)}:${contentIndex}`;
+    }
+
+    function completeMessage(events, response) {
+        ensureStarted(events, response);
+        closeOpenBlock(events);
+        const usage = buildAnthropicUsageFromResponses(response);
+        const deltaUsage = { output_tokens: usage.output_tokens };
+        if (usage.input_tokens > 0 && usage.input_tokens !== inputTokens) {
+            deltaUsage.input_tokens = usage.input_tokens;
+        }
+        events.push({
+            event: 'message_delta',
+            data: {
+                type: 'message_delta',
+                delta: {
+                    stop_reason: buildAnthropicStopReasonFromResponses(response, sawToolUse ? [{ type: 'tool_use' }] : []),
+                    stop_sequence: null
+                },
+                usage: deltaUsage
+            }
+        });
+        events.push({ event: 'message_stop', data: { type: 'message_stop' } });
+        finished = true;
+    }
+
+    function push(sseEvent) {
+        const events = [];
+        if (finished || !sseEvent || !isPlainObject(sseEvent.data)) {
+            return events;
+        }
+        const data = sseEvent.data;
+        const type = typeof data.type === 'string' && data.type ? data.type : String(sseEvent.event || '');
+
+        if (type === 'response.created' || type === 'response.in_progress') {
+            ensureStarted(events, data.response);
+            return events;
+        }
+        if (type === 'response.completed' || type === 'response.incomplete') {
+            completeMessage(events, isPlainObject(data.response) ? data.response : {});
+            return events;
+        }
+        if (type === 'response.failed' || type === 'error') {
+            const response = isPlainObject(data.response) ? data.response : {};
+            const errorSource = isPlainObject(response.error) ? response : data;
+            ensureStarted(events, response);
+            closeOpenBlock(events);
+            events.push(buildAnthropicStreamErrorEvent(
+                isPlainObject(errorSource.error) && typeof errorSource.error.message === 'string'
+                    ? errorSource.error.message
+                    : (typeof data.message === 'string' ? data.message : 'upstream response failed')
+            ));
+            finished = true;
+            return events;
+        }
+
+        ensureStarted(events, null);
+        const outputIndex = readOutputIndex(data);
+
+        if (type === 'response.output_item.added') {
+            if (isPlainObject(data.item) && data.item.type === 'function_call') {
+                const block = openToolBlock(events, outputIndex, data.item);
+                const pending = pendingArguments.get(outputIndex);
+                if (pending) {
+                    pendingArguments.delete(outputIndex);
+                    writeArgumentsDelta(events, block, pending);
+                }
+            }
+            return events;
+        }
+        if (type === 'response.output_text.delta' || type === 'response.refusal.delta') {
+            writeTextDelta(events, readTextKey(data), data.delta);
+            return events;
+        }
+        if (type === 'response.output_text.done' || type === 'response.refusal.done') {
+            const key = readTextKey(data);
+            if (!blocks.has(key)) {
+                writeTextDelta(events, key, type === 'response.output_text.done' ? data.text : data.refusal);
+            }
+            if (openBlock && openBlock.key === key) {
+                closeOpenBlock(events);
+            }
+            return events;
+        }
+        if (type === 'response.function_call_arguments.delta') {
+            const block = blocks.get(`tool:${outputIndex}`);
+            if (block && !block.closed) {
+                writeArgumentsDelta(events, block, data.delta);
+            } else if (typeof data.delta === 'string') {
+                pendingArguments.set(outputIndex, `${pendingArguments.get(outputIndex) || ''}${data.delta}`);
+            }
+            return events;
+        }
+        if (type === 'response.function_call_arguments.done') {
+            const block = blocks.get(`tool:${outputIndex}`);
+            if (block && !block.closed && !block.hasDelta) {
+                writeArgumentsDelta(events, block, data.arguments);
+            }
+            return events;
+        }
+        if (type === 'response.output_item.done') {
+            const item = isPlainObject(data.item) ? data.item : {};
+            if (item.type === 'function_call') {
+                let block = blocks.get(`tool:${outputIndex}`);
+                if (!block) {
+                    block = openToolBlock(events, outputIndex, item);
+                }
+                if (!block.closed && !block.hasDelta) {
+                    const pending = pendingArguments.get(outputIndex);
+                    pendingArguments.delete(outputIndex);
+                    writeArgumentsDelta(events, block, pending || (typeof item.arguments === 'string' ? item.arguments : ''));
+                }
+            } else if (item.type === 'message' && Array.isArray(item.content)) {
+                item.content.forEach((part, contentIndex) => {
+                    const key = `text:${outputIndex}:${contentIndex}`;
+                    if (blocks.has(key) || !isPlainObject(part)) return;
+                    if (part.type === 'output_text' || part.type === 'refusal') {
+                        writeTextDelta(events, key, part.type === 'refusal' ? part.refusal : part.text);
+                    }
+                });
+            }
+            closeBlocksForOutput(events, outputIndex);
+            return events;
+        }
+        return events;
+    }
+
+    function finish() {
+        const events = [];
+        if (!finished) {
+            completeMessage(events, {});
+        }
+        return events;
+    }
+
+    function fail(message) {
+        const events = [];
+        if (finished) {
+            return events;
+        }
+        ensureStarted(events, null);
+        closeOpenBlock(events);
+        events.push(buildAnthropicStreamErrorEvent(message));
+        finished = true;
+        return events;
+    }
+
+    return {
+        push,
+        finish,
+        fail,
+        isFinished: () => finished
+    };
+}
+
+// 上游明确拒绝 stream=true（而非端点/鉴权错误）时，退回到整包请求 + 本地重放。
+function isUpstreamStreamUnsupported(statusCode, payload, rawBody) {
+    if (statusCode !== 400 && statusCode !== 422 && statusCode !== 501) {
+        return false;
+    }
+    let message = '';
+    if (isPlainObject(payload) && isPlainObject(payload.error)) {
+        const param = typeof payload.error.param === 'string' ? payload.error.param : '';
+        if (param === 'stream') {
+            return true;
+        }
+        message = typeof payload.error.message === 'string' ? payload.error.message : '';
+    }
+    return /\bstream(ing)?\b/i.test(message || String(rawBody || ''));
+}
+
 function buildAnthropicModelsPayload(upstreamPayload) {
     const ids = extractModelNames(upstreamPayload);
     return {
@@ -433,7 +734,9 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
         HTTPS_KEEP_ALIVE_AGENT,
         readConfigOrVirtualDefault,
         resolveBuiltinProxyProviderName,
-        resolveAuthTokenFromCurrentProfile
+        resolveAuthTokenFromCurrentProfile,
+        trafficRecorder,
+        proxyBudget
     } = deps;
 
     if (!BUILTIN_CLAUDE_PROXY_SETTINGS_FILE) {
@@ -451,6 +754,12 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
     if (typeof resolveAuthTokenFromCurrentProfile !== 'function') {
         throw new Error('createBuiltinClaudeProxyRuntimeController 缺少 resolveAuthTokenFromCurrentProfile');
     }
+    if (trafficRecorder && typeof trafficRecorder.begin !== 'function') {
+        throw new Error('createBuiltinClaudeProxyRuntimeController trafficRecorder 无效');
+    }
+    if (proxyBudget && typeof proxyBudget.checkBudget !== 'function') {
+        throw new Error('createBuiltinClaudeProxyRuntimeController proxyBudget 无效');
+    }
 
     let runtime = null;
 
@@ -639,7 +948,7 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
         return fallback || 'upstream request failed';
     }
 
-    function writeAnthropicProxyError(res, statusCode, message, type = 'api_error') {
+    function writeAnthropicProxyError(res, statusCode, message, type = 'api_error', extraHeaders = {}) {
         const body = JSON.stringify({
             type: 'error',
             error: {
@@ -648,13 +957,15 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
             }
         });
         res.writeHead(statusCode, {
+            ...extraHeaders,
             'Content-Type': 'application/json; charset=utf-8',
             'Content-Length': Buffer.byteLength(body, 'utf-8')
         });
         res.end(body, 'utf-8');
     }
 
-    function requestBuiltinClaudeProxyUpstream(upstream, requestOptions = {}) {
+    // 仅等待上游响应头；body 由调用方按需整包读取或以 SSE 逐块转发。
+    function openBuiltinClaudeProxyUpstream(upstream, requestOptions = {}) {
         const pathSuffix = typeof requestOptions.pathSuffix === 'string' ? requestOptions.pathSuffix : '';
         const targetBase = joinApiUrl(upstream.baseUrl, pathSuffix);
         if (!targetBase) {
@@ -697,36 +1008,10 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
                 headers,
                 agent: targetUrl.protocol === 'https:' ? HTTPS_KEEP_ALIVE_AGENT : HTTP_KEEP_ALIVE_AGENT
             }, (upstreamRes) => {
-                const chunks = [];
-                let total = 0;
-                upstreamRes.on('data', (chunk) => {
-                    total += chunk.length;
-                    if (total > MAX_API_BODY_SIZE) {
-                        upstreamReq.destroy(new Error(`upstream body too large (${MAX_API_BODY_SIZE} bytes max)`));
-                        return;
-                    }
-                    chunks.push(chunk);
-                });
-                upstreamRes.on('error', reject);
-                upstreamRes.on('end', () => {
-                    const rawBody = Buffer.concat(chunks).toString('utf-8');
-                    let payload = null;
-                    if (rawBody.trim()) {
-                        try {
-                            payload = JSON.parse(rawBody);
-                        } catch (_) {
-                            payload = null;
-                        }
-                    }
-                    resolve({
-                        statusCode: upstreamRes.statusCode || 502,
-                        headers: upstreamRes.headers,
-                        rawBody,
-                        payload
-                    });
-                });
+                resolve({ upstreamReq, upstreamRes });
             });
 
+            // 超时按空闲计算：流式响应只要持续有数据就不会被中断
             upstreamReq.setTimeout(timeoutMs, () => {
                 upstreamReq.destroy(new Error(`upstream timeout (${timeoutMs}ms)`));
             });
@@ -738,24 +1023,158 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
         });
     }
 
-    function writeAnthropicStreamEvents(res, message) {
-        const events = buildAnthropicStreamEvents(message);
+    function readBuiltinClaudeProxyUpstreamBody(upstreamReq, upstreamRes) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let total = 0;
+            upstreamReq.on('error', reject);
+            upstreamRes.on('data', (chunk) => {
+                total += chunk.length;
+                if (total > MAX_API_BODY_SIZE) {
+                    upstreamReq.destroy(new Error(`upstream body too large (${MAX_API_BODY_SIZE} bytes max)`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            upstreamRes.on('error', reject);
+            upstreamRes.on('end', () => {
+                const rawBody = Buffer.concat(chunks).toString('utf-8');
+                let payload = null;
+                if (rawBody.trim()) {
+                    try {
+                        payload = JSON.parse(rawBody);
+                    } catch (_) {
+                        payload = null;
+                    }
+                }
+                resolve({
+                    statusCode: upstreamRes.statusCode || 502,
+                    headers: upstreamRes.headers,
+                    rawBody,
+                    payload
+                });
+            });
+        });
+    }
+
+    async function requestBuiltinClaudeProxyUpstream(upstream, requestOptions = {}) {
+        const { upstreamReq, upstreamRes } = await openBuiltinClaudeProxyUpstream(upstream, requestOptions);
+        return readBuiltinClaudeProxyUpstreamBody(upstreamReq, upstreamRes);
+    }
+
+    function writeAnthropicSseHeaders(res) {
         res.writeHead(200, {
             'Content-Type': 'text/event-stream; charset=utf-8',
             'Cache-Control': 'no-cache, no-transform',
             Connection: 'keep-alive',
             'X-Accel-Buffering': 'no'
         });
+    }
+
+    function writeAnthropicSseEvents(res, events) {
         for (const event of events) {
-            if (event && event.event) {
-                res.write(`event: ${event.event}\n`);
-            }
-            res.write(`data: ${JSON.stringify(event && event.data ? event.data : {})}\n\n`);
+            if (!event) continue;
+            res.write(formatSseEvent(event.event, event.data || {}));
         }
+    }
+
+    function writeAnthropicStreamEvents(res, message) {
+        writeAnthropicSseHeaders(res);
+        writeAnthropicSseEvents(res, buildAnthropicStreamEvents(message));
         res.end();
     }
 
-    async function handleBuiltinClaudeProxyRequest(req, res, settings, upstream) {
+    function pipeResponsesStreamAsAnthropic(req, res, upstreamReq, upstreamRes, payload) {
+        const translator = createAnthropicStreamTranslator(payload);
+        writeAnthropicSseHeaders(res);
+        if (res.socket && typeof res.socket.setNoDelay === 'function') {
+            res.socket.setNoDelay(true);
+        }
+
+        return new Promise((resolve) => {
+            let done = false;
+            const finalize = (events) => {
+                if (done) return;
+                done = true;
+                if (!res.writableEnded && !res.destroyed) {
+                    writeAnthropicSseEvents(res, events);
+                    res.end();
+                }
+                resolve();
+            };
+            const parser = createSseParser((sseEvent) => {
+                if (done) return;
+                writeAnthropicSseEvents(res, translator.push(sseEvent));
+                if (translator.isFinished()) {
+                    finalize([]);
+                    upstreamRes.resume();
+                }
+            });
+
+            res.on('close', () => {
+                if (done) return;
+                done = true;
+                upstreamReq.destroy();
+                resolve();
+            });
+            upstreamRes.on('data', (chunk) => {
+                parser.push(chunk);
+            });
+            upstreamRes.on('end', () => {
+                parser.flush();
+                finalize(translator.finish());
+            });
+            upstreamRes.on('aborted', () => {
+                finalize(translator.fail('upstream stream aborted'));
+            });
+            upstreamRes.on('error', (err) => {
+                finalize(translator.fail(err && err.message ? err.message : 'upstream stream failed'));
+            });
+            upstreamReq.on('error', (err) => {
+                finalize(translator.fail(err && err.message ? err.message : 'upstream stream failed'));
+            });
+        });
+    }
+
+    async function handleBuiltinClaudeStreamRequest(req, res, settings, upstream, payload, upstreamRequestBody, authHeader) {
+        const { upstreamReq, upstreamRes } = await openBuiltinClaudeProxyUpstream(upstream, {
+            method: 'POST',
+            pathSuffix: 'responses',
+            body: { ...upstreamRequestBody, stream: true },
+            headers: { Accept: 'text/event-stream' },
+            authHeader,
+            timeoutMs: settings.timeoutMs
+        });
+        const statusCode = upstreamRes.statusCode || 502;
+        if (statusCode >= 200 && statusCode < 300 && isEventStreamContentType(upstreamRes.headers['content-type'])) {
+            await pipeResponsesStreamAsAnthropic(req, res, upstreamReq, upstreamRes, payload);
+            return;
+        }
+
+        // 上游忽略了 stream 参数（整包 JSON）或明确不支持流式：退回整包响应后本地重放事件
+        let upstreamResponse = await readBuiltinClaudeProxyUpstreamBody(upstreamReq, upstreamRes);
+        if (isUpstreamStreamUnsupported(upstreamResponse.statusCode, upstreamResponse.payload, upstreamResponse.rawBody)) {
+            upstreamResponse = await requestBuiltinClaudeProxyUpstream(upstream, {
+                method: 'POST',
+                pathSuffix: 'responses',
+                body: upstreamRequestBody,
+                authHeader,
+                timeoutMs: settings.timeoutMs
+            });
+        }
+        if (upstreamResponse.statusCode < 200 || upstreamResponse.statusCode >= 300) {
+            writeAnthropicProxyError(
+                res,
+                upstreamResponse.statusCode,
+                extractProxyErrorMessage(upstreamResponse.payload, upstreamResponse.rawBody),
+                'api_error'
+            );
+            return;
+        }
+        writeAnthropicStreamEvents(res, buildAnthropicMessageFromResponses(upstreamResponse.payload || {}, payload));
+    }
+
+    async function handleBuiltinClaudeProxyRequest(req, res, settings, upstream, capture) {
         let parsedIncoming;
         try {
             parsedIncoming = new URL(req.url || '/', 'http://localhost');
@@ -792,6 +1211,7 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
                 res.end();
                 return;
             }
+            if (capture) capture.setUpstream(upstream, { path: 'models' });
             const upstreamResponse = await requestBuiltinClaudeProxyUpstream(upstream, {
                 method: 'GET',
                 pathSuffix: 'models',
@@ -829,6 +1249,26 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
 
         const payload = await readJsonRequestBody(req);
         const upstreamRequestBody = buildBuiltinClaudeResponsesRequest(payload);
+        if (capture) {
+            capture.setRequestBody(payload);
+            capture.setUpstream(upstream, { path: 'responses', body: upstreamRequestBody });
+        }
+        if (proxyBudget && proxyBudget.isBudgetActive()) {
+            const budgetMeta = { provider: upstream.providerName, model: upstreamRequestBody.model || '' };
+            const blocked = proxyBudget.checkBudget(budgetMeta);
+            if (blocked) {
+                writeAnthropicProxyError(res, 429, blocked.message, 'rate_limit_error', {
+                    'Retry-After': String(blocked.retryAfterSec)
+                });
+                return;
+            }
+            proxyBudget.trackBudgetUsage(res, budgetMeta);
+        }
+        if (payload.stream === true) {
+            await handleBuiltinClaudeStreamRequest(req, res, settings, upstream, payload, upstreamRequestBody, authResult.authHeader);
+            return;
+        }
+
         const upstreamResponse = await requestBuiltinClaudeProxyUpstream(upstream, {
             method: 'POST',
             pathSuffix: 'responses',
@@ -848,10 +1288,6 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
         }
 
         const anthropicMessage = buildAnthropicMessageFromResponses(upstreamResponse.payload || {}, payload);
-        if (payload.stream === true) {
-            writeAnthropicStreamEvents(res, anthropicMessage);
-            return;
-        }
 
         const body = JSON.stringify(anthropicMessage);
         res.writeHead(200, {
@@ -888,7 +1324,12 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
                     return;
                 }
             }
-            handleBuiltinClaudeProxyRequest(req, res, settings, upstream).catch((err) => {
+            const requestPath = String(req.url || '/').split('?')[0];
+            const capture = trafficRecorder && requestPath !== '/health' && requestPath !== '/status'
+                ? trafficRecorder.begin(req, res, { proxy: 'claude', provider: upstream.providerName })
+                : null;
+            handleBuiltinClaudeProxyRequest(req, res, settings, upstream, capture).catch((err) => {
+                if (capture) capture.fail(err.message);
                 if (res.headersSent) {
                     try { res.destroy(err); } catch (_) {}
                     return;
@@ -989,6 +1430,7 @@ function createBuiltinClaudeProxyRuntimeController(deps = {}) {
         return {
             running: !!runtime,
             settings,
+            budgets: proxyBudget ? proxyBudget.getBudgetStatus() : null,
             runtime: runtime
                 ? {
                     startedAt: runtime.startedAt,
@@ -1018,5 +1460,6 @@ module.exports = {
     buildBuiltinClaudeResponsesRequest,
     buildAnthropicMessageFromResponses,
     buildAnthropicStreamEvents,
+    createAnthropicStreamTranslator,
     buildAnthropicModelsPayload
 };
@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonObjectFromFile, writeJsonAtomic, backupFileIfNeededOnce } = require('../lib/cli-file-utils');
+const { untrackedConfigWrite } = require('./config-history');
+
+const CLAUDE_SETTINGS_SCOPES = Object.freeze(['user', 'project', 'local']);
+const CLAUDE_HOOK_EVENTS = Object.freeze(['PreToolUse', 'PostToolUse', 'Stop']);
+const CLAUDE_PERMISSION_LISTS = Object.freeze(['allow', 'deny', 'ask']);
+const CLAUDE_PERMISSION_MODES = Object.freeze(['default', 'acceptEdits', 'plan', 'bypassPermissions']);
+// 各档位默认模型通过 env 覆盖，编辑器里单独展示，不混在普通 env 列表中
+const CLAUDE_MODEL_TIER_ENV = Object.freeze({
+    opus: 'ANTHROPIC_DEFAULT_OPUS_MODEL',
+    sonnet: 'ANTHROPIC_DEFAULT_SONNET_MODEL',
+    haiku: 'ANTHROPIC_DEFAULT_HAIKU_MODEL'
+});
+const PERMISSION_RULE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*(\(.+\))?$/;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value : '';
+}
+
+function isCommandHook(hook) {
+    return isPlainObject(hook) && (hook.type === undefined || hook.type === 'command');
+}
+
+// settings.json -> 编辑器使用的结构；hooks 按 事件/matcher/命令 拍平
+function toStructuredSettings(settings) {
+    const source = isPlainObject(settings) ? settings : {};
+    const env = isPlainObject(source.env) ? source.env : {};
+    const permissions = isPlainObject(source.permissions) ? source.permissions : {};
+    const hooks = isPlainObject(source.hooks) ? source.hooks : {};
+    const tierKeys = new Set(Object.values(CLAUDE_MODEL_TIER_ENV));
+
+    const structured = {
+        model: { default: readString(source.model) },
+        permissions: { defaultMode: readString(permissions.defaultMode) },
+        hooks: [],
+        env: Object.keys(env)
+            .filter(key => !tierKeys.has(key))
+            .map(key => ({ key, value: typeof env[key] === 'string' ? env[key] : JSON.stringify(env[key]) }))
+    };
+    for (const [tier, key] of Object.entries(CLAUDE_MODEL_TIER_ENV)) {
+        structured.model[tier] = readString(env[key]);
+    }
+    for (const list of CLAUDE_PERMISSION_LISTS) {
+        structured.permissions[list] = Array.isArray(permissions[list])
+            ? permissions[list].filter(rule => typeof rule === 'string')
+            : [];
+    }
+    let preservedHooks = 0;
+    for (const event of CLAUDE_HOOK_EVENTS) {
+        for (const group of Array.isArray(hooks[event]) ? hooks[event] : []) {
+            if (!isPlainObject(group)) continue;
+            for (const hook of Array.isArray(group.hooks) ? group.hooks : []) {
+                if (!isCommandHook(hook)) {
+                    preservedHooks += 1;
+                    continue;
+                }
+                structured.hooks.push({
+                    event,
+                    matcher: readString(group.matcher),
+                    command: readString(hook.command),
+                    timeout: Number.isFinite(hook.timeout) ? hook.timeout : null
+                });
+            }
+        }
+    }
+    structured.preservedHooks = preservedHooks;
+    structured.otherHookEvents = Object.keys(hooks).filter(event => !CLAUDE_HOOK_EVENTS.includes(event));
+    return structured;
+}
+
+function validateStructuredSettings(input) {
+    const errors = [];
+    const push = (field, message) => errors.push({ path: field, message });
+    if (!isPlainObject(input)) {
+        push('', '设置内容必须是对象');
+        return errors;
+    }
+    const model = isPlainObject(input.model) ? input.model : {};
+    for (const key of ['default', ...Object.keys(CLAUDE_MODEL_TIER_ENV)]) {
+        if (model[key] !== undefined && typeof model[key] !== 'string') push(`model.${key}`, '模型名称必须是字符串');
+        else if (/\s/.test(readString(model[key]).trim())) push(`model.${key}`, '模型名称不能包含空白');
+    }
+
+    const permissions = isPlainObject(input.permissions) ? input.permissions : {};
+    const mode = readString(permissions.defaultMode);
+    if (mode && !CLAUDE_PERMISSION_MODES.includes(mode)) {
+        push('permissions.defaultMode', `未知权限模式: ${mode}`);
+    }
+    const seen = new Map();
+    for (const list of CLAUDE_PERMISSION_LISTS) {
+        const rules = permissions[list] === undefined ? [] : permissions[list];
+        if (!Array.isArray(rules)) {
+            push(`permissions.${list}`, '规则列表必须是数组');
+            continue;
+        }
+        rules.forEach((rule, index) => {
+            const text = readString(rule).trim();
+            if (!PERMISSION_RULE_PATTERN.test(text)) {
+                push(`permissions.${list}[${index}]`, `规则格式应为 Tool 或 Tool(内容): ${readString(rule) || String(rule)}`);
+                return;
+            }
+            if (seen.has(text) && seen.get(text) !== list) {
+                push(`permissions.${list}[${index}]`, `规则同时出现在 ${seen.get(text)} 和 ${list}: ${text}`);
+            }
+            seen.set(text, list);
+        });
+    }
+
+    const hooks = input.hooks === undefined ? [] : input.hooks;
+    if (!Array.isArray(hooks)) {
+        push('hooks', 'hooks 必须是数组');
+    } else {
+        hooks.forEach((hook, index) => {
+            const field = `hooks[${index}]`;
+            if (!isPlainObject(hook)) {
+                push(field, 'hook 必须是对象');
+                return;
+            }
+            if (!CLAUDE_HOOK_EVENTS.includes(hook.event)) {
+                push(`${field}.event`, `不支持的 hook 事件: ${readString(hook.event)}`);
+            }
+            if (!readString(hook.command).trim()) {
+                push(`${field}.command`, 'hook 命令不能为空');
+            }
+            const matcher = readString(hook.matcher).trim();
+            if (hook.event === 'Stop' && matcher) {
+                push(`${field}.matcher`, 'Stop 事件不支持 matcher');
+            } else if (matcher && matcher !== '*') {
+                try {
+                    new RegExp(matcher);
+                } catch (e) {
+                    push(`${field}.matcher`, `matcher 不是有效的正则: ${e.message}`);
+                }
+            }
+            if (hook.timeout !== undefined && hook.timeout !== null && hook.timeout !== ''
+                && !(Number.isInteger(Number(hook.timeout)) && Number(hook.timeout) > 0)) {
+                push(`${field}.timeout`, 'timeout 必须是正整数（秒）');
+            }
+        });
+    }
+
+    const env = input.env === undefined ? [] : input.env;
+    if (!Array.isArray(env)) {
+        push('env', 'env 必须是数组');
+    } else {
+        const keys = new Set();
+        env.forEach((entry, index) => {
+            const key = isPlainObject(entry) ? readString(entry.key).trim() : '';
+            if (!ENV_KEY_PATTERN.test(key)) {
+                push(`env[${index}].key`, `环境变量名无效: ${key}`);
+            } else if (keys.has(key)) {
+                push(`env[${index}].key`, `环境变量重复: ${key}`);
+            } else if (Object.values(CLAUDE_MODEL_TIER_ENV).includes(key)) {
+                push(`env[${index}].key`, `${key} 请在模型默认值中设置`);
+            }
+            keys.add(key);
+            if (isPlainObject(entry) && typeof entry.value !== 'string') {
+                push(`env[${index}].value`, '环境变量值必须是字符串');
+            }
+        });
+    }
+    return errors;
+}
+
+// 把编辑结果合并回原始 settings：只改编辑器管理的字段，其余键（含其它 hook 事件、非 command hook）原样保留
+function applyStructuredSettings(settings, input) {
+    const next = isPlainObject(settings) ? JSON.parse(JSON.stringify(settings)) : {};
+    const model = isPlainObject(input.model) ? input.model : {};
+    const defaultModel = readString(model.default).trim();
+    if (defaultModel) next.model = defaultModel;
+    else delete next.model;
+
+    const env = {};
+    for (const entry of Array.isArray(input.env) ? input.env : []) {
+        env[readString(entry.key).trim()] = readString(entry.value);
+    }
+    for (const [tier, key] of Object.entries(CLAUDE_MODEL_TIER_ENV)) {
+        const value = readString(model[tier]).trim();
+        if (value) env[key] = value;
+    }
+    if (Object.keys(env).length) next.env = env;
+    else delete next.env;
+
+    const permissionsInput = isPlainObject(input.permissions) ? input.permissions : {};
+    const permissions = isPlainObject(next.permissions) ? next.permissions : {};
+    for (const list of CLAUDE_PERMISSION_LISTS) {
+        const rules = (Array.isArray(permissionsInput[list]) ? permissionsInput[list] : [])
+            .map(rule => readString(rule).trim())
+            .filter(Boolean);
+        if (rules.length) permissions[list] = [...new Set(rules)];
+        else delete permissions[list];
+    }
+    const mode = readString(permissionsInput.defaultMode);
+    if (mode) permissions.defaultMode = mode;
+    else delete permissions.defaultMode;
+    if (Object.keys(permissions).length) next.permissions = permissions;
+    else delete next.permissions;
+
+    const hooks = isPlainObject(next.hooks) ? next.hooks : {};
+    for (const event of CLAUDE_HOOK_EVENTS) {
+        const preserved = (Array.isArray(hooks[event]) ? hooks[event] : [])
+            .filter(isPlainObject)
+            .map(group => ({ ...group, hooks: (Array.isArray(group.hooks) ? group.hooks : []).filter(hook => !isCommandHook(hook)) }))
+            .filter(group => group.hooks.length);
+        const groups = [];
+        for (const hook of Array.isArray(input.hooks) ? input.hooks : []) {
+            if (hook.event !== event) continue;
+            const matcher = event === 'Stop' ? '' : readString(hook.matcher).trim();
+            let group = groups.find(item => (item.matcher || '') === matcher);
+            if (!group) {
+                group = matcher ? { matcher, hooks: [] } : { hooks: [] };
+                groups.push(group);
+            }
+            const entry = { type: 'command', command: readString(hook.command).trim() };
+            if (hook.timeout !== undefined && hook.timeout !== null && hook.timeout !== '') entry.timeout = Number(hook.timeout);
+            group.hooks.push(entry);
+        }
+        const merged = [...groups, ...preserved];
+        if (merged.length) hooks[event] = merged;
+        else delete hooks[event];
+    }
+    if (Object.keys(hooks).length) next.hooks = hooks;
+    else delete next.hooks;
+    return next;
+}
+
+function createClaudeSettingsController(deps = {}) {
+    const { CLAUDE_SETTINGS_FILE, buildLineDiff, trackConfigWrite = untrackedConfigWrite } = deps;
+
+    if (!CLAUDE_SETTINGS_FILE) throw new Error('createClaudeSettingsController 缺少 CLAUDE_SETTINGS_FILE');
+    if (typeof buildLineDiff !== 'function') throw new Error('createClaudeSettingsController 缺少 buildLineDiff');
+
+    // user -> ~/.claude/settings.json；project/local -> <项目>/.claude/settings(.local).json
+    function resolveScope(params = {}) {
+        const scope = params.scope === undefined || params.scope === '' ? 'user' : params.scope;
+        if (!CLAUDE_SETTINGS_SCOPES.includes(scope)) {
+            return { error: `未知作用域: ${scope}（可选 ${CLAUDE_SETTINGS_SCOPES.join('/')}）` };
+        }
+        if (scope === 'user') return { scope, projectDir: '', filePath: CLAUDE_SETTINGS_FILE };
+        const projectDir = readString(params.projectDir).trim();
+        if (!projectDir) return { error: '项目级设置需要指定项目目录' };
+        if (!path.isAbsolute(projectDir)) return { error: '项目目录必须是绝对路径' };
+        let stat = null;
+        try {
+            stat = fs.statSync(projectDir);
+        } catch (_) {}
+        if (!stat || !stat.isDirectory()) return { error: `项目目录不存在: ${projectDir}` };
+        const fileName = scope === 'local' ? 'settings.local.json' : 'settings.json';
+        return { scope, projectDir, filePath: path.join(projectDir, '.claude', fileName) };
+    }
+
+    function readScopeFile(target) {
+        const readResult = readJsonObjectFromFile(target.filePath, {});
+        if (!readResult.ok) return { error: readResult.error };
+        const raw = readResult.exists ? fs.readFileSync(target.filePath, 'utf-8') : '';
+        return { exists: readResult.exists, settings: readResult.data, raw };
+    }
+
+    function listScopeFiles(projectDir) {
+        return CLAUDE_SETTINGS_SCOPES.map((scope) => {
+            const target = resolveScope({ scope, projectDir });
+            if (target.error) return { scope, path: '', exists: false };
+            return { scope, path: target.filePath, exists: fs.existsSync(target.filePath) };
+        });
+    }
+
+    function readClaudeSettingsScope(params = {}) {
+        const target = resolveScope(params);
+        if (target.error) return { error: target.error };
+        const current = readScopeFile(target);
+        if (current.error) return { error: current.error, scope: target.scope, path: target.filePath };
+        return {
+            scope: target.scope,
+            projectDir: target.projectDir,
+            path: target.filePath,
+            exists: current.exists,
+            settings: toStructuredSettings(current.settings),
+            scopes: listScopeFiles(target.projectDir)
+        };
+    }
+
+    function buildChange(params) {
+        const target = resolveScope(params);
+        if (target.error) return { error: target.error };
+        const errors = validateStructuredSettings(params.settings);
+        if (errors.length) return { error: errors[0].message, errors, path: target.filePath };
+        const current = readScopeFile(target);
+        if (current.error) return { error: current.error, path: target.filePath };
+        const next = applyStructuredSettings(current.settings, params.settings);
+        const afterText = `${JSON.stringify(next, null, 2)}\n`;
+        const diff = buildLineDiff(current.raw, afterText);
+        // 内容未变、只有排版不同时不算修改，避免无意义的重写
+        const hasChanges = JSON.stringify(next) !== JSON.stringify(current.settings);
+        return { target, current, next, diff: { ...diff, hasChanges } };
+    }
+
+    function previewClaudeSettings(params = {}) {
+        const change = buildChange(params);
+        if (change.error) return change;
+        return {
+            scope: change.target.scope,
+            path: change.target.filePath,
+            exists: change.current.exists,
+            errors: [],
+            diff: change.diff
+        };
+    }
+
+    function saveClaudeSettings(params = {}) {
+        const change = buildChange(params);
+        if (change.error) return change;
+        const { target, next, diff } = change;
+        const result = {
+            success: true,
+            scope: target.scope,
+            path: target.filePath,
+            changed: diff.hasChanges,
+            stats: diff.stats
+        };
+        if (!diff.hasChanges) return result;
+        const backupPath = backupFileIfNeededOnce(target.filePath);
+        trackConfigWrite(target.filePath, 'save-claude-settings', () => writeJsonAtomic(target.filePath, next));
+        if (backupPath) result.backupPath = backupPath;
+        return result;
+    }
+
+    return {
+        resolveScope,
+        readClaudeSettingsScope,
+        previewClaudeSettings,
+        saveClaudeSettings
+    };
+}
+
+module.exports = {
+    CLAUDE_SETTINGS_SCOPES,
+    CLAUDE_HOOK_EVENTS,
+    CLAUDE_PERMISSION_MODES,
+    CLAUDE_MODEL_TIER_ENV,
+    toStructuredSettings,
+    validateStructuredSettings,
+    applyStructuredSettings,
+    createClaudeSettingsController
+};
@@ -268,7 +268,7 @@ stream_idle_timeout_ms = 300000
 
         if (mark) {
             if (!hasConfig) {
-                writeConfig(buildDefaultConfigContent(initializedAt));
+                writeConfig(buildDefaultConfigContent(initializedAt), 'bootstrap-config');
                 ensureSupportFiles(defaultProvider, defaultModel);
                 initNotice = '检测到配置缺失，已自动重建默认配置。';
                 return { notice: initNotice };
@@ -299,7 +299,7 @@ stream_idle_timeout_ms = 300000
             fs.copyFileSync(CONFIG_FILE, backupPath);
 
             if (forceResetExistingConfig) {
-                writeConfig(buildDefaultConfigContent(initializedAt));
+                writeConfig(buildDefaultConfigContent(initializedAt), 'bootstrap-config');
                 ensureSupportFiles(defaultProvider, defaultModel);
                 writeInitMark({
                     version: 1,
@@ -323,7 +323,7 @@ stream_idle_timeout_ms = 300000
             return { notice: initNotice, backupFile };
         }
 
-        writeConfig(buildDefaultConfigContent(initializedAt));
+        writeConfig(buildDefaultConfigContent(initializedAt), 'bootstrap-config');
         ensureSupportFiles(defaultProvider, defaultModel);
         writeInitMark({
             version: 1,
@@ -347,7 +347,7 @@ stream_idle_timeout_ms = 300000
             fs.copyFileSync(CONFIG_FILE, path.join(CONFIG_DIR, backupFile));
         }
 
-        writeConfig(buildDefaultConfigContent(initializedAt));
+        writeConfig(buildDefaultConfigContent(initializedAt), 'reset-config');
         ensureSupportFiles(defaultProvider, defaultModel);
         writeInitMark({
             version: 1,
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+
+const BUNDLE_FORMAT = 'codexmate-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_SECTIONS = Object.freeze([
+    'providers',
+    'models',
+    'authProfiles',
+    'claudeProfiles',
+    'openclawProfiles',
+    'workflows',
+    'automation',
+    'promptTemplates'
+]);
+// 这些数据只保存在浏览器 localStorage 中，由 Web UI 随请求传入并取回合并结果
+const CLIENT_BUNDLE_SECTIONS = Object.freeze(['claudeProfiles', 'openclawProfiles']);
+const BUNDLE_CONFLICT_CHOICES = Object.freeze(['skip', 'overwrite', 'rename']);
+const MIN_BUNDLE_PASSPHRASE_LENGTH = 8;
+const SCRYPT_PARAMS = Object.freeze({ N: 32768, r: 8, p: 1 });
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const GCM_AUTH_TAG_BYTES = 16;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function normalizeBundleSections(value) {
+    const list = Array.isArray(value)
+        ? value
+        : (typeof value === 'string' && value.trim() ? value.split(',') : []);
+    const picked = list.map(item => String(item || '').trim()).filter(item => BUNDLE_SECTIONS.includes(item));
+    return picked.length ? BUNDLE_SECTIONS.filter(item => picked.includes(item)) : BUNDLE_SECTIONS.slice();
+}
+
+function assertPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_BUNDLE_PASSPHRASE_LENGTH) {
+        throw new Error(`口令至少需要 ${MIN_BUNDLE_PASSPHRASE_LENGTH} 个字符`);
+    }
+}
+
+function deriveKey(passphrase, salt, params) {
+    return crypto.scryptSync(passphrase, salt, 32, {
+        N: params.N,
+        r: params.r,
+        p: params.p,
+        maxmem: SCRYPT_MAXMEM
+    });
+}
+
+function encryptBundle(payload, passphrase, options = {}) {
+    assertPassphrase(passphrase);
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(`${BUNDLE_FORMAT}:${BUNDLE_VERSION}`, 'utf-8'));
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf-8'), cipher.final()]);
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: typeof options.createdAt === 'string' ? options.createdAt : new Date().toISOString(),
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decryptBundle(envelope, passphrase) {
+    let parsed = envelope;
+    if (typeof envelope === 'string') {
+        try {
+            parsed = JSON.parse(envelope);
+        } catch (_) {
+            throw new Error('不是有效的 codexmate 配置包');
+        }
+    }
+    if (!isPlainObject(parsed) || parsed.format !== BUNDLE_FORMAT) {
+        throw new Error('不是有效的 codexmate 配置包');
+    }
+    if (parsed.version !== BUNDLE_VERSION || parsed.cipher !== 'aes-256-gcm' || !isPlainObject(parsed.kdf) || parsed.kdf.name !== 'scrypt') {
+        throw new Error(`不支持的配置包版本: ${parsed.version}`);
+    }
+    // 配置包来自不可信文件：只接受本版本写出的 scrypt 参数，避免被构造的 N/r/p 长时间阻塞事件循环
+    if (Object.keys(SCRYPT_PARAMS).some(name => parsed.kdf[name] !== SCRYPT_PARAMS[name])) {
+        throw new Error('不支持的配置包密钥参数');
+    }
+    if (typeof passphrase !== 'string' || !passphrase) {
+        throw new Error('缺少口令');
+    }
+    // GCM 默认接受截短的认证标签，必须固定为完整的 16 字节，否则伪造难度大幅降低
+    const tag = Buffer.from(typeof parsed.tag === 'string' ? parsed.tag : '', 'base64');
+    if (tag.length !== GCM_AUTH_TAG_BYTES) {
+        throw new Error('口令错误或配置包已损坏');
+    }
+    let text;
+    try {
+        const key = deriveKey(passphrase, Buffer.from(parsed.kdf.salt, 'base64'), SCRYPT_PARAMS);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(parsed.iv, 'base64'), {
+            authTagLength: GCM_AUTH_TAG_BYTES
+        });
+        decipher.setAAD(Buffer.from(`${BUNDLE_FORMAT}:${BUNDLE_VERSION}`, 'utf-8'));
+        decipher.setAuthTag(tag);
+        text = Buffer.concat([decipher.update(Buffer.from(parsed.data, 'base64')), decipher.final()]).toString('utf-8');
+    } catch (_) {
+        throw new Error('口令错误或配置包已损坏');
+    }
+    const payload = JSON.parse(text);
+    if (!isPlainObject(payload) || !isPlainObject(payload.sections)) {
+        throw new Error('配置包内容无效');
+    }
+    return { ...payload, createdAt: payload.createdAt || parsed.createdAt || '' };
+}
+
+function pickUniqueName(name, taken) {
+    let candidate = `${name}-imported`;
+    let index = 2;
+    while (taken.has(candidate)) {
+        candidate = `${name}-imported-${index}`;
+        index += 1;
+    }
+    return candidate;
+}
+
+function renameBundleValue(value, fromName, toName) {
+    if (!isPlainObject(value)) return value;
+    const next = { ...value };
+    if (next.id === fromName) next.id = toName;
+    if (next.name === fromName) next.name = toName;
+    return next;
+}
+
+function createConfigBundleController(deps = {}) {
+    const { adapters, now = () => Date.now() } = deps;
+
+    if (!isPlainObject(adapters)) throw new Error('createConfigBundleController 缺少 adapters');
+    for (const section of BUNDLE_SECTIONS) {
+        if (CLIENT_BUNDLE_SECTIONS.includes(section)) continue;
+        const adapter = adapters[section];
+        if (!adapter || typeof adapter.read !== 'function' || typeof adapter.write !== 'function') {
+            throw new Error(`createConfigBundleController 缺少 ${section} 适配器`);
+        }
+    }
+
+    function readLocalSection(section, clientSections) {
+        if (CLIENT_BUNDLE_SECTIONS.includes(section)) {
+            if (!isPlainObject(clientSections)) return null;
+            return isPlainObject(clientSections[section]) ? clientSections[section] : {};
+        }
+        const value = adapters[section].read();
+        return isPlainObject(value) ? value : {};
+    }
+
+    function exportBundle(params = {}) {
+        const sections = normalizeBundleSections(params.sections);
+        const payload = {
+            version: BUNDLE_VERSION,
+            createdAt: new Date(now()).toISOString(),
+            sections: {}
+        };
+        const summary = {};
+        for (const section of sections) {
+            const local = readLocalSection(section, params.clientSections);
+            if (!local) continue;
+            payload.sections[section] = local;
+            summary[section] = Object.keys(local).length;
+        }
+        return {
+            envelope: encryptBundle(payload, params.passphrase, { createdAt: payload.createdAt }),
+            summary
+        };
+    }
+
+    function buildItems(payload, clientSections) {
+        const items = [];
+        for (const section of BUNDLE_SECTIONS) {
+            const incoming = payload.sections[section];
+            if (!isPlainObject(incoming)) continue;
+            const local = readLocalSection(section, clientSections);
+            for (const [name, value] of Object.entries(incoming)) {
+                let status;
+                if (!local) {
+                    status = 'client-only';
+                } else if (!Object.prototype.hasOwnProperty.call(local, name)) {
+                    status = 'new';
+                } else {
+                    status = stableStringify(local[name]) === stableStringify(value) ? 'identical' : 'conflict';
+                }
+                items.push({ key: `${section}:${name}`, section, name, status, value });
+            }
+        }
+        return items;
+    }
+
+    function resolveChoice(item, choices, onConflict) {
+        if (item.status === 'new') {
+            return choices[item.key] === 'skip' ? 'skip' : 'import';
+        }
+        if (item.status !== 'conflict') return 'skip';
+        const choice = choices[item.key] || onConflict;
+        return BUNDLE_CONFLICT_CHOICES.includes(choice) ? choice : 'skip';
+    }
+
+    function previewBundle(params = {}) {
+        const payload = decryptBundle(params.bundle, params.passphrase);
+        const items = buildItems(payload, params.clientSections);
+        const summary = { new: 0, identical: 0, conflict: 0, 'client-only': 0 };
+        for (const item of items) summary[item.status] += 1;
+        return {
+            createdAt: payload.createdAt,
+            items: items.map(({ value, ...item }) => item),
+            summary
+        };
+    }
+
+    // choices: { '<section>:<name>': 'skip'|'overwrite'|'rename' }，未指定的冲突项按 onConflict 处理
+    function importBundle(params = {}) {
+        const payload = decryptBundle(params.bundle, params.passphrase);
+        const clientSections = params.clientSections;
+        const choices = isPlainObject(params.choices) ? params.choices : {};
+        const onConflict = BUNDLE_CONFLICT_CHOICES.includes(params.onConflict) ? params.onConflict : 'skip';
+        const results = [];
+        const merged = {};
+        const takenBySection = {};
+        for (const item of buildItems(payload, clientSections)) {
+            const choice = resolveChoice(item, choices, onConflict);
+            const result = { key: item.key, section: item.section, name: item.name, status: item.status, choice };
+            results.push(result);
+            if (choice === 'skip') continue;
+            const isClient = CLIENT_BUNDLE_SECTIONS.includes(item.section);
+            if (!takenBySection[item.section]) {
+                const local = readLocalSection(item.section, clientSections);
+                takenBySection[item.section] = new Set(Object.keys(local));
+                if (isClient) merged[item.section] = { ...local };
+            }
+            const taken = takenBySection[item.section];
+            const targetName = choice === 'rename' ? pickUniqueName(item.name, taken) : item.name;
+            const value = choice === 'rename' ? renameBundleValue(item.value, item.name, targetName) : item.value;
+            try {
+                if (isClient) {
+                    merged[item.section][targetName] = value;
+                } else {
+                    adapters[item.section].write(targetName, value, { overwrite: choice === 'overwrite' });
+                }
+                taken.add(targetName);
+                result.ok = true;
+                if (targetName !== item.name) result.importedAs = targetName;
+            } catch (e) {
+                result.ok = false;
+                result.error = e && e.message ? e.message : String(e);
+            }
+        }
+        const summary = {
+            imported: results.filter(item => item.choice !== 'skip' && item.ok).length,
+            skipped: results.filter(item => item.choice === 'skip').length,
+            failed: results.filter(item => item.ok === false).length
+        };
+        return { success: summary.failed === 0, summary, results, clientSections: merged };
+    }
+
+    return {
+        exportBundle,
+        previewBundle,
+        importBundle
+    };
+}
+
+module.exports = {
+    BUNDLE_SECTIONS,
+    CLIENT_BUNDLE_SECTIONS,
+    BUNDLE_CONFLICT_CHOICES,
+    normalizeBundleSections,
+    encryptBundle,
+    decryptBundle,
+    createConfigBundleController
+};
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CONFIG_HISTORY_ORIGINS = Object.freeze(['cli', 'web', 'mcp', 'automation', 'external']);
+const DEFAULT_MAX_VERSIONS_PER_FILE = 50;
+const DEFAULT_HISTORY_LIST_LIMIT = 50;
+const MAX_HISTORY_LIST_LIMIT = 500;
+
+function normalizeConfigHistoryOrigin(value, fallback = 'cli') {
+    const origin = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return CONFIG_HISTORY_ORIGINS.includes(origin) ? origin : fallback;
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+// 未注入历史记录时的默认写入：直接执行，不留快照
+function untrackedConfigWrite(filePath, action, write) {
+    return write();
+}
+
+function createConfigHistoryController(deps = {}) {
+    const {
+        fs,
+        buildLineDiff,
+        CONFIG_HISTORY_DIR,
+        resolveFileKind,
+        maxVersionsPerFile = DEFAULT_MAX_VERSIONS_PER_FILE,
+        now = () => Date.now()
+    } = deps;
+
+    if (!fs) throw new Error('createConfigHistoryController 缺少 fs');
+    if (typeof buildLineDiff !== 'function') throw new Error('createConfigHistoryController 缺少 buildLineDiff');
+    if (typeof CONFIG_HISTORY_DIR !== 'string' || !CONFIG_HISTORY_DIR) throw new Error('createConfigHistoryController 缺少 CONFIG_HISTORY_DIR');
+
+    const indexFile = path.join(CONFIG_HISTORY_DIR, 'index.json');
+    const blobDir = path.join(CONFIG_HISTORY_DIR, 'blobs');
+    const originStorage = new AsyncLocalStorage();
+    let defaultOrigin = 'cli';
+
+    function getKind(filePath) {
+        const kind = typeof resolveFileKind === 'function' ? resolveFileKind(filePath) : '';
+        return typeof kind === 'string' && kind ? kind : 'file';
+    }
+
+    function getCurrentOrigin() {
+        return normalizeConfigHistoryOrigin(originStorage.getStore(), defaultOrigin);
+    }
+
+    function setDefaultConfigWriteOrigin(origin) {
+        defaultOrigin = normalizeConfigHistoryOrigin(origin, defaultOrigin);
+    }
+
+    function runWithConfigWriteOrigin(origin, fn) {
+        return originStorage.run(normalizeConfigHistoryOrigin(origin, getCurrentOrigin()), fn);
+    }
+
+    // 用于事件回调：之后的同步代码与 await 续体都沿用该来源
+    function enterConfigWriteOrigin(origin) {
+        originStorage.enterWith(normalizeConfigHistoryOrigin(origin, getCurrentOrigin()));
+    }
+
+    function readIndex() {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+            if (parsed && parsed.version === 1 && Array.isArray(parsed.entries)) {
+                return {
+                    version: 1,
+                    nextId: Number.isInteger(parsed.nextId) && parsed.nextId > 0 ? parsed.nextId : 1,
+                    entries: parsed.entries.filter(entry => entry && Number.isInteger(entry.id) && typeof entry.file === 'string')
+                };
+            }
+        } catch (_) {}
+        return { version: 1, nextId: 1, entries: [] };
+    }
+
+    function ensureHistoryDirs() {
+        fs.mkdirSync(blobDir, { recursive: true, mode: 0o700 });
+    }
+
+    function writeIndex(index) {
+        ensureHistoryDirs();
+        const tmpPath = `${indexFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2), { encoding: 'utf-8', mode: 0o600 });
+        fs.renameSync(tmpPath, indexFile);
+    }
+
+    function writeBlob(hash, content) {
+        const blobPath = path.join(blobDir, hash);
+        if (fs.existsSync(blobPath)) return;
+        ensureHistoryDirs();
+        fs.writeFileSync(blobPath, content, { encoding: 'utf-8', mode: 0o600 });
+    }
+
+    function readBlob(hash) {
+        return fs.readFileSync(path.join(blobDir, hash), 'utf-8');
+    }
+
+    function readEntryContent(entry) {
+        return entry && entry.exists ? readBlob(entry.hash) : '';
+    }
+
+    function readFileState(filePath) {
+        try {
+            return { exists: true, content: fs.readFileSync(filePath, 'utf-8') };
+        } catch (e) {
+            if (e && e.code === 'ENOENT') return { exists: false, content: '' };
+            throw e;
+        }
+    }
+
+    function findLatestEntry(index, filePath) {
+        for (let i = index.entries.length - 1; i >= 0; i -= 1) {
+            if (index.entries[i].file === filePath) return index.entries[i];
+        }
+        return null;
+    }
+
+    function isSameState(entry, state) {
+        if (!entry) return false;
+        if (!entry.exists || !state.exists) return entry.exists === state.exists;
+        return entry.hash === hashContent(state.content);
+    }
+
+    function appendEntry(index, filePath, state, meta) {
+        const previous = findLatestEntry(index, filePath);
+        if (previous ? isSameState(previous, state) : !state.exists && meta.origin !== 'external') {
+            return null;
+        }
+        const previousContent = previous ? readEntryContent(previous) : '';
+        const stats = buildLineDiff(previousContent, state.content).stats || {};
+        const hash = state.exists ? hashContent(state.content) : '';
+        if (hash) writeBlob(hash, state.content);
+        const entry = {
+            id: index.nextId,
+            file: filePath,
+            kind: getKind(filePath),
+            origin: meta.origin,
+            action: meta.action || '',
+            createdAt: new Date(now()).toISOString(),
+            exists: state.exists,
+            hash,
+            size: Buffer.byteLength(state.content, 'utf-8'),
+            added: stats.added || 0,
+            removed: stats.removed || 0
+        };
+        if (meta.restoredFrom) entry.restoredFrom = meta.restoredFrom;
+        index.nextId += 1;
+        index.entries.push(entry);
+        return entry;
+    }
+
+    function pruneIndex(index, filePath) {
+        const limit = Number.isInteger(maxVersionsPerFile) && maxVersionsPerFile > 0
+            ? maxVersionsPerFile
+            : DEFAULT_MAX_VERSIONS_PER_FILE;
+        const fileEntries = index.entries.filter(entry => entry.file === filePath);
+        if (fileEntries.length <= limit) return;
+        const dropped = new Set(fileEntries.slice(0, fileEntries.length - limit).map(entry => entry.id));
+        const droppedHashes = new Set();
+        index.entries = index.entries.filter((entry) => {
+            if (!dropped.has(entry.id)) return true;
+            if (entry.hash) droppedHashes.add(entry.hash);
+            return false;
+        });
+        for (const entry of index.entries) droppedHashes.delete(entry.hash);
+        for (const hash of droppedHashes) {
+            try { fs.unlinkSync(path.join(blobDir, hash)); } catch (_) {}
+        }
+    }
+
+    function recordSnapshot(filePath, before, action, extra = {}) {
+        const index = readIndex();
+        const latest = findLatestEntry(index, filePath);
+        // 首次记录或被外部改动过：先保存写入前的内容，保证总能回到 codexmate 改写之前
+        if (!isSameState(latest, before)) {
+            appendEntry(index, filePath, before, { origin: 'external', action: latest ? 'external-change' : 'baseline' });
+        }
+        const entry = appendEntry(index, filePath, readFileState(filePath), {
+            origin: getCurrentOrigin(),
+            action,
+            restoredFrom: extra.restoredFrom
+        });
+        pruneIndex(index, filePath);
+        writeIndex(index);
+        return entry;
+    }
+
+    // write 可以是同步函数或返回 Promise；记录失败不影响写入本身
+    function trackConfigWrite(filePath, action, write, extra) {
+        const resolvedPath = path.resolve(filePath);
+        let before = null;
+        try {
+            before = readFileState(resolvedPath);
+        } catch (_) {}
+        const record = () => {
+            if (!before) return;
+            try {
+                recordSnapshot(resolvedPath, before, action, extra);
+            } catch (_) {}
+        };
+        const result = write();
+        if (result && typeof result.then === 'function') {
+            return result.then((value) => {
+                record();
+                return value;
+            });
+        }
+        record();
+        return result;
+    }
+
+    function matchesFileFilter(entry, filter) {
+        if (!filter) return true;
+        return entry.kind === filter || entry.file === filter || entry.file === path.resolve(filter);
+    }
+
+    function listConfigHistory(options = {}) {
+        const filter = typeof options.file === 'string' ? options.file.trim() : '';
+        const rawLimit = Number.parseInt(options.limit, 10);
+        const limit = Number.isFinite(rawLimit) && rawLimit > 0
+            ? Math.min(rawLimit, MAX_HISTORY_LIST_LIMIT)
+            : DEFAULT_HISTORY_LIST_LIMIT;
+        const index = readIndex();
+        const matched = index.entries.filter(entry => matchesFileFilter(entry, filter));
+        const latestIds = new Set();
+        const seenFiles = new Set();
+        for (let i = index.entries.length - 1; i >= 0; i -= 1) {
+            const entry = index.entries[i];
+            if (seenFiles.has(entry.file)) continue;
+            seenFiles.add(entry.file);
+            latestIds.add(entry.id);
+        }
+        return {
+            total: matched.length,
+            entries: matched.slice(-limit).reverse().map(entry => ({ ...entry, latest: latestIds.has(entry.id) })),
+            files: Array.from(seenFiles).sort().map(file => ({ file, kind: getKind(file) }))
+        };
+    }
+
+    function findEntry(index, id) {
+        const numericId = Number.parseInt(id, 10);
+        return index.entries.find(entry => entry.id === numericId) || null;
+    }
+
+    // compare: 'previous' 对比同一文件的上一个版本，'current' 对比磁盘上的当前内容
+    function getConfigHistoryEntry(id, options = {}) {
+        const index = readIndex();
+        const entry = findEntry(index, id);
+        if (!entry) return { error: `历史版本不存在: ${id}` };
+        let content;
+        try {
+            content = readEntryContent(entry);
+        } catch (e) {
+            return { error: `读取历史版本失败: ${e.message}` };
+        }
+        const compare = options.compare === 'current' ? 'current' : 'previous';
+        let baseContent = '';
+        let baseId = null;
+        if (compare === 'current') {
+            try {
+                baseContent = readFileState(entry.file).content;
+            } catch (e) {
+                return { error: `读取当前文件失败: ${e.message}` };
+            }
+        } else {
+            const previous = index.entries.filter(item => item.file === entry.file && item.id < entry.id).pop();
+            if (previous) {
+                baseId = previous.id;
+                try { baseContent = readEntryContent(previous); } catch (_) {}
+            }
+        }
+        // current 时 diff 即“回滚到该版本会产生的改动”
+        return {
+            entry,
+            content,
+            compare,
+            baseId,
+            diff: buildLineDiff(baseContent, content)
+        };
+    }
+
+    function restoreConfigHistory(id) {
+        const index = readIndex();
+        const entry = findEntry(index, id);
+        if (!entry) return { error: `历史版本不存在: ${id}` };
+        let content;
+        try {
+            content = readEntryContent(entry);
+        } catch (e) {
+            return { error: `读取历史版本失败: ${e.message}` };
+        }
+        try {
+            const current = readFileState(entry.file);
+            if (isSameState(entry, current)) {
+                return { success: true, unchanged: true, file: entry.file, restoredFrom: entry.id };
+            }
+            trackConfigWrite(entry.file, `restore#${entry.id}`, () => {
+                if (!entry.exists) {
+                    fs.rmSync(entry.file, { force: true });
+                    return null;
+                }
+                fs.mkdirSync(path.dirname(entry.file), { recursive: true });
+                fs.writeFileSync(entry.file, content, 'utf-8');
+                return null;
+            }, { restoredFrom: entry.id });
+            const latest = findLatestEntry(readIndex(), entry.file);
+            return {
+                success: true,
+                unchanged: false,
+                file: entry.file,
+                kind: entry.kind,
+                restoredFrom: entry.id,
+                entryId: latest ? latest.id : null
+            };
+        } catch (e) {
+            return { error: `恢复历史版本失败: ${e.message}` };
+        }
+    }
+
+    return {
+        trackConfigWrite,
+        runWithConfigWriteOrigin,
+        enterConfigWriteOrigin,
+        setDefaultConfigWriteOrigin,
+        listConfigHistory,
+        getConfigHistoryEntry,
+        restoreConfigHistory
+    };
+}
+
+module.exports = {
+    CONFIG_HISTORY_ORIGINS,
+    normalizeConfigHistoryOrigin,
+    untrackedConfigWrite,
+    createConfigHistoryController
+};
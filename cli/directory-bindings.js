@@ -0,0 +1,304 @@
+const DIRECTORY_BINDING_TARGETS = Object.freeze(['codex', 'qwen', 'claude']);
+const MAX_DIRECTORY_BINDINGS = 200;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeText(value, maxLength = 240) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function hasGlobChars(pattern) {
+    return /[*?]/.test(pattern);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function toPosixPath(value) {
+    return String(value || '').replace(/\\/g, '/').replace(/\/+$/g, '') || '/';
+}
+
+// 不含通配符的模式视为目录前缀，匹配该目录及其所有子目录；以 /** 结尾的模式同样匹配目录本身
+function compileBindingPattern(pattern, options = {}) {
+    let text = toPosixPath(pattern);
+    if (options.homeDir && (text === '~' || text.startsWith('~/'))) {
+        text = toPosixPath(options.homeDir) + text.slice(1);
+    }
+    if (!hasGlobChars(text)) {
+        text = text === '/' ? '/**' : `${text}/**`;
+    }
+    let source = '';
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '*' && text[i + 1] === '*') {
+            if (text[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else if (source.endsWith('/') && i + 2 === text.length) {
+                source = `${source.slice(0, -1)}(?:/.*)?`;
+                i += 1;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else {
+            source += escapeRegExp(ch);
+        }
+    }
+    return new RegExp(`^${source}$`, options.caseInsensitive ? 'i' : '');
+}
+
+// 通配符之外的字符越多，模式越具体
+function bindingSpecificity(pattern) {
+    return String(pattern || '').replace(/[*?]/g, '').length;
+}
+
+function createDirectoryBindingController(deps = {}) {
+    const {
+        fs,
+        path,
+        DIRECTORY_BINDINGS_FILE,
+        writeJsonAtomic,
+        homeDir = '',
+        caseInsensitive = process.platform === 'win32',
+        resolveProvider,
+        readAuthProfilePayload,
+        now = () => Date.now(),
+        createId = () => `bind-${now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+    } = deps;
+
+    if (!fs) throw new Error('createDirectoryBindingController 缺少 fs');
+    if (!path) throw new Error('createDirectoryBindingController 缺少 path');
+    if (!DIRECTORY_BINDINGS_FILE) throw new Error('createDirectoryBindingController 缺少 DIRECTORY_BINDINGS_FILE');
+    if (typeof writeJsonAtomic !== 'function') throw new Error('createDirectoryBindingController 缺少 writeJsonAtomic');
+    if (typeof resolveProvider !== 'function') throw new Error('createDirectoryBindingController 缺少 resolveProvider');
+    if (typeof readAuthProfilePayload !== 'function') throw new Error('createDirectoryBindingController 缺少 readAuthProfilePayload');
+
+    function normalizeClaudeSnapshot(value) {
+        if (!isPlainObject(value)) return null;
+        const snapshot = {
+            baseUrl: normalizeText(value.baseUrl, 1000),
+            model: normalizeText(value.model, 200),
+            apiKey: normalizeText(value.apiKey, 4000)
+        };
+        return snapshot.baseUrl || snapshot.model || snapshot.apiKey ? snapshot : null;
+    }
+
+    function normalizeBinding(raw) {
+        if (!isPlainObject(raw)) return null;
+        const pattern = normalizeText(raw.pattern, 1000);
+        if (!pattern) return null;
+        const binding = {
+            id: normalizeText(raw.id, 80),
+            pattern,
+            provider: normalizeText(raw.provider, 120),
+            model: normalizeText(raw.model, 200),
+            authProfile: normalizeText(raw.authProfile, 120),
+            claudeProfile: normalizeText(raw.claudeProfile, 120),
+            claude: normalizeClaudeSnapshot(raw.claude),
+            note: normalizeText(raw.note, 500),
+            enabled: raw.enabled !== false,
+            updatedAt: normalizeText(raw.updatedAt, 40)
+        };
+        if (!binding.claudeProfile) binding.claude = null;
+        return binding;
+    }
+
+    function readBindings() {
+        if (!fs.existsSync(DIRECTORY_BINDINGS_FILE)) return [];
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(DIRECTORY_BINDINGS_FILE, 'utf-8'));
+        } catch (e) {
+            throw new Error(`目录绑定文件解析失败: ${e.message}`);
+        }
+        const items = isPlainObject(parsed) && Array.isArray(parsed.bindings) ? parsed.bindings : [];
+        return items.map(normalizeBinding).filter(Boolean);
+    }
+
+    function writeBindings(bindings) {
+        writeJsonAtomic(DIRECTORY_BINDINGS_FILE, { version: 1, bindings });
+    }
+
+    function findBindingIndex(bindings, ref) {
+        const key = normalizeText(ref, 1000);
+        if (!key) return -1;
+        const byId = bindings.findIndex(item => item.id === key);
+        return byId >= 0 ? byId : bindings.findIndex(item => item.pattern === key);
+    }
+
+    function listBindings() {
+        return { file: DIRECTORY_BINDINGS_FILE, bindings: readBindings() };
+    }
+
+    // 按 id 更新，未提供 id 时按 pattern 覆盖同名绑定
+    function upsertBinding(input = {}) {
+        const binding = normalizeBinding({ ...input, updatedAt: new Date(now()).toISOString() });
+        if (!binding) throw new Error('绑定路径不能为空');
+        if (!binding.provider && !binding.model && !binding.authProfile && !binding.claudeProfile) {
+            throw new Error('绑定至少需要指定 provider、model、认证或 Claude 配置之一');
+        }
+        try {
+            compileBindingPattern(binding.pattern, { homeDir, caseInsensitive });
+        } catch (e) {
+            throw new Error(`无效的绑定路径: ${binding.pattern}`);
+        }
+        if (binding.provider && !resolveProvider(binding.provider)) {
+            throw new Error(`提供商不存在: ${binding.provider}`);
+        }
+        if (binding.authProfile && !readAuthProfilePayload(binding.authProfile)) {
+            throw new Error(`认证不存在: ${binding.authProfile}`);
+        }
+        const bindings = readBindings();
+        let index = binding.id ? bindings.findIndex(item => item.id === binding.id) : -1;
+        if (index < 0) index = bindings.findIndex(item => item.pattern === binding.pattern);
+        const duplicate = bindings.findIndex(item => item.pattern === binding.pattern);
+        if (duplicate >= 0 && duplicate !== index) {
+            throw new Error(`已存在相同路径的绑定: ${binding.pattern}`);
+        }
+        if (index >= 0) {
+            // 未带 Claude 详情时（CLI 或其他浏览器编辑）沿用已同步的快照
+            const previous = bindings[index];
+            if (!binding.claude && input.claude === undefined && previous.claudeProfile === binding.claudeProfile) {
+                binding.claude = previous.claude;
+            }
+            binding.id = previous.id;
+            bindings[index] = binding;
+        } else {
+            if (bindings.length >= MAX_DIRECTORY_BINDINGS) {
+                throw new Error(`目录绑定数量已达上限 (${MAX_DIRECTORY_BINDINGS})`);
+            }
+            binding.id = binding.id || createId();
+            bindings.push(binding);
+        }
+        writeBindings(bindings);
+        return { success: true, binding };
+    }
+
+    function removeBinding(ref) {
+        const bindings = readBindings();
+        const index = findBindingIndex(bindings, ref);
+        if (index < 0) throw new Error(`目录绑定不存在: ${ref || ''}`);
+        const [removed] = bindings.splice(index, 1);
+        writeBindings(bindings);
+        return { success: true, binding: removed };
+    }
+
+    // 多条绑定同时命中时取最具体的一条，具体程度相同时取排在前面的
+    function resolveBinding(cwd, bindings = readBindings()) {
+        const target = toPosixPath(path.resolve(cwd || '.'));
+        let best = null;
+        for (const binding of bindings) {
+            if (!binding.enabled) continue;
+            let matcher;
+            try {
+                matcher = compileBindingPattern(binding.pattern, { homeDir, caseInsensitive });
+            } catch (_) {
+                continue;
+            }
+            if (!matcher.test(target)) continue;
+            const score = bindingSpecificity(binding.pattern);
+            if (!best || score > best.score) {
+                best = { binding, score };
+            }
+        }
+        return best ? best.binding : null;
+    }
+
+    // 只生成本次启动使用的参数和环境变量，不改写全局配置
+    function buildBindingOverrides(binding, target = 'codex') {
+        const result = { target, args: [], env: {}, applied: [], warnings: [] };
+        if (!binding) return result;
+        const provider = binding.provider ? resolveProvider(binding.provider) : null;
+        if (binding.provider && !provider) {
+            result.warnings.push(`提供商不存在: ${binding.provider}`);
+        }
+        if (target === 'codex') {
+            if (provider) {
+                result.args.push('-c', `model_provider=${JSON.stringify(binding.provider)}`);
+                if (provider.apiKey) result.env.OPENAI_API_KEY = provider.apiKey;
+                result.applied.push('provider');
+            }
+            if (binding.model) {
+                result.args.push('-c', `model=${JSON.stringify(binding.model)}`);
+                result.applied.push('model');
+            }
+        } else if (target === 'qwen') {
+            if (provider) {
+                if (provider.baseUrl) result.env.OPENAI_BASE_URL = provider.baseUrl;
+                if (provider.apiKey) result.env.OPENAI_API_KEY = provider.apiKey;
+                result.applied.push('provider');
+            }
+            if (binding.model) {
+                result.env.OPENAI_MODEL = binding.model;
+                result.applied.push('model');
+            }
+        } else if (target === 'claude') {
+            if (binding.claudeProfile && binding.claude) {
+                if (binding.claude.baseUrl) result.env.ANTHROPIC_BASE_URL = binding.claude.baseUrl;
+                if (binding.claude.apiKey) result.env.ANTHROPIC_API_KEY = binding.claude.apiKey;
+                if (binding.claude.model) result.env.ANTHROPIC_MODEL = binding.claude.model;
+                result.applied.push('claudeProfile');
+            } else if (binding.claudeProfile) {
+                result.warnings.push(`Claude 配置 ${binding.claudeProfile} 未同步详情，请在 Web UI 中重新保存该绑定`);
+            }
+            return result;
+        } else {
+            throw new Error(`未知绑定目标: ${target}`);
+        }
+        if (binding.authProfile) {
+            const payload = readAuthProfilePayload(binding.authProfile);
+            const apiKey = payload && typeof payload.OPENAI_API_KEY === 'string' ? payload.OPENAI_API_KEY.trim() : '';
+            if (apiKey) {
+                result.env.OPENAI_API_KEY = apiKey;
+                result.applied.push('authProfile');
+            } else if (payload) {
+                result.warnings.push(`认证 ${binding.authProfile} 不含 API Key，无法通过环境变量应用，请使用 codexmate auth switch`);
+            } else {
+                result.warnings.push(`认证不存在: ${binding.authProfile}`);
+            }
+        }
+        return result;
+    }
+
+    // 写入运行记录的精简信息，不含密钥
+    function summarizeBinding(binding) {
+        if (!binding) return null;
+        const summary = { id: binding.id, pattern: binding.pattern };
+        for (const key of ['provider', 'model', 'authProfile', 'claudeProfile']) {
+            if (binding[key]) summary[key] = binding[key];
+        }
+        return summary;
+    }
+
+    // 对外展示时隐藏 Claude 密钥
+    function redactBinding(binding) {
+        if (!binding) return null;
+        if (!binding.claude) return { ...binding };
+        const { apiKey, ...claude } = binding.claude;
+        return { ...binding, claude: { ...claude, hasApiKey: !!apiKey } };
+    }
+
+    return {
+        listBindings,
+        redactBinding,
+        upsertBinding,
+        removeBinding,
+        resolveBinding,
+        buildBindingOverrides,
+        summarizeBinding
+    };
+}
+
+module.exports = {
+    DIRECTORY_BINDING_TARGETS,
+    compileBindingPattern,
+    createDirectoryBindingController
+};
@@ -1,3 +1,5 @@
+const { DOCTOR_FIXABLE_ISSUES } = require('./doctor-fix');
+
 function normalizeSeverity(value) {
     const normalized = String(value || '').trim().toLowerCase();
     if (normalized === 'error' || normalized === 'critical') return 'error';
@@ -75,6 +77,14 @@ const DOCTOR_I18N = Object.freeze({
             skillsMissingFiles: Object.freeze({
                 problem: 'Some skills are missing skill.json',
                 impact: 'Those skills may not run or sync properly.'
+            }),
+            authProfileExpired: Object.freeze({
+                problem: 'Auth profile has expired',
+                impact: 'Codex requests using this login fail until it is refreshed or re-imported.'
+            }),
+            authProfileExpiring: Object.freeze({
+                problem: 'Auth profile expires soon',
+                impact: 'Refresh it before it expires to avoid interrupted Codex runs.'
             })
         }),
         action: Object.freeze({
@@ -84,7 +94,9 @@ const DOCTOR_I18N = Object.freeze({
             openSessions: 'Open Sessions',
             openTasks: 'Open Tasks',
             viewTaskLogs: 'View Tasks / Logs',
-            openSkills: 'Open Skills'
+            openSkills: 'Open Skills',
+            refreshAuth: 'Refresh auth profile',
+            fix: 'Fix'
         }),
         markdown: Object.freeze({
             title: 'Codexmate Doctor Report',
@@ -100,6 +112,7 @@ const DOCTOR_I18N = Object.freeze({
             actions: 'Actions',
             open: 'Open',
             recheck: 'Re-check: run doctor again',
+            fix: 'Fix: run `codexmate doctor --fix`',
             export: Object.freeze({
                 json: 'Export: doctor.json',
                 md: 'Export: doctor.md'
@@ -166,6 +179,14 @@ const DOCTOR_I18N = Object.freeze({
             skillsMissingFiles: Object.freeze({
                 problem: '存在缺失 skill.json 的技能',
                 impact: '会导致部分技能无法被运行或同步。'
+            }),
+            authProfileExpired: Object.freeze({
+                problem: '认证已过期',
+                impact: '使用该登录的 Codex 请求会失败，需要刷新或重新导入。'
+            }),
+            authProfileExpiring: Object.freeze({
+                problem: '认证即将过期',
+                impact: '请在过期前刷新，避免 Codex 运行中断。'
             })
         }),
         action: Object.freeze({
@@ -175,7 +196,9 @@ const DOCTOR_I18N = Object.freeze({
             openSessions: '打开 Sessions',
             openTasks: '打开 Tasks',
             viewTaskLogs: '查看 Tasks / Logs',
-            openSkills: '打开 Skills'
+            openSkills: '打开 Skills',
+            refreshAuth: '刷新认证',
+            fix: '自动修复'
         }),
         markdown: Object.freeze({
             title: 'Codexmate Doctor 报告',
@@ -191,6 +214,7 @@ const DOCTOR_I18N = Object.freeze({
             actions: '动作',
             open: '打开',
             recheck: '复检：重新运行 doctor',
+            fix: '修复：运行 `codexmate doctor --fix`',
             export: Object.freeze({
                 json: '导出：doctor.json',
                 md: '导出：doctor.md'
@@ -237,6 +261,16 @@ function buildAction(type, payload = {}) {
     };
 }
 
+// 有注册修复器的问题在导航动作之后追加 fix 动作
+function attachFixAction(issue, i18n) {
+    const fixer = issue && DOCTOR_FIXABLE_ISSUES[issue.id];
+    if (!fixer || issue.actions.some((action) => action && action.type === 'fix')) return issue;
+    const index = issue.actions.findIndex((action) => !action || action.type !== 'navigate');
+    const fixAction = buildAction('fix', { fixer, labelKey: 'doctor.action.fix', label: i18n.action.fix });
+    issue.actions.splice(index < 0 ? issue.actions.length : index, 0, fixAction);
+    return issue;
+}
+
 function findConfigHealthRemoteIssue(issues = []) {
     const list = Array.isArray(issues) ? issues : [];
     const remoteCodes = new Set([
@@ -257,6 +291,19 @@ function summarizeSkillsIssues(payload) {
     return { exists, total: items.length, missing, root: safe.root || '' };
 }
 
+function summarizeAuthExpiry(profiles = []) {
+    const list = Array.isArray(profiles) ? profiles : [];
+    const pick = (status) => list
+        .filter((item) => item && item.expiryStatus === status)
+        .map((item) => ({
+            name: item.name || '',
+            expired: item.expired || '',
+            current: !!item.current,
+            refreshable: !!item.refreshable
+        }));
+    return { total: list.length, expired: pick('expired'), expiring: pick('expiring') };
+}
+
 function summarizeUsageIssues(sessions = []) {
     const list = Array.isArray(sessions) ? sessions : [];
     let missingModel = 0;
@@ -327,7 +374,9 @@ function issuePriorityRank(id) {
     const order = [
         'config-not-ready',
         'provider-unreachable',
+        'auth-profile-expired',
         'config-health-failed',
+        'auth-profile-expiring',
         'usage-error',
         'tasks-error',
         'tasks-failed',
@@ -400,6 +449,10 @@ function renderDoctorMarkdown(report) {
                     lines.push(`  - ${i18n.markdown.recheck}`);
                     continue;
                 }
+                if (action.type === 'fix') {
+                    lines.push(`  - ${i18n.markdown.fix}`);
+                    continue;
+                }
                 if (action.type === 'export') {
                     const fmt = action.format === 'md' ? 'md' : 'json';
                     lines.push(`  - ${fmt === 'md' ? i18n.markdown.export.md : i18n.markdown.export.json}`);
@@ -485,6 +538,14 @@ function buildIssueKeyMap() {
         skillsMissingFiles: {
             problemKey: 'doctor.issue.skillsMissingFiles.problem',
             impactKey: 'doctor.issue.skillsMissingFiles.impact'
+        },
+        authProfileExpired: {
+            problemKey: 'doctor.issue.authProfileExpired.problem',
+            impactKey: 'doctor.issue.authProfileExpired.impact'
+        },
+        authProfileExpiring: {
+            problemKey: 'doctor.issue.authProfileExpiring.problem',
+            impactKey: 'doctor.issue.authProfileExpiring.impact'
         }
     };
 }
@@ -524,6 +585,7 @@ async function buildDoctorReport(params = {}, deps = {}) {
     const listSessionUsage = typeof deps.listSessionUsage === 'function' ? deps.listSessionUsage : null;
     const buildTaskOverviewPayload = typeof deps.buildTaskOverviewPayload === 'function' ? deps.buildTaskOverviewPayload : null;
     const listSkills = typeof deps.listSkills === 'function' ? deps.listSkills : null;
+    const listAuthProfiles = typeof deps.listAuthProfiles === 'function' ? deps.listAuthProfiles : null;
 
     const sources = {
         status: null,
@@ -531,7 +593,8 @@ async function buildDoctorReport(params = {}, deps = {}) {
         configHealth: null,
         usage: null,
         tasks: null,
-        skills: null
+        skills: null,
+        auth: null
     };
 
     sources.status = getStatusPayload();
@@ -606,6 +669,14 @@ async function buildDoctorReport(params = {}, deps = {}) {
         }
     }
 
+    if (listAuthProfiles) {
+        try {
+            sources.auth = { summary: summarizeAuthExpiry(listAuthProfiles()) };
+        } catch (e) {
+            sources.auth = { error: e && e.message ? e.message : 'auth profiles probe failed' };
+        }
+    }
+
     const status = sources.status && typeof sources.status === 'object' ? sources.status : {};
     const baseActions = buildDefaultActions();
     const context = {
@@ -851,11 +922,59 @@ async function buildDoctorReport(params = {}, deps = {}) {
                 );
             }
             return null;
+        },
+        (ctx) => {
+            const summary = ctx.sources.auth && ctx.sources.auth.summary ? ctx.sources.auth.summary : null;
+            if (!summary) return null;
+            const refreshActions = () => ensureBaseActions([
+                buildNavigateAction('dashboard', 'doctor.action.refreshAuth', ctx.i18n.action.refreshAuth)
+            ].concat(ctx.baseActions));
+            const issues = [];
+            if (summary.expired.length) {
+                // 当前认证过期会直接阻断 Codex，其它过期认证只需提醒
+                const blocking = summary.expired.some((item) => item.current);
+                issues.push(buildIssue(
+                    'auth-profile-expired',
+                    blocking ? 'error' : 'warn',
+                    `${ctx.i18n.issue.authProfileExpired.problem}: ${summary.expired.map((item) => item.name).join(', ')}`,
+                    ctx.i18n.issue.authProfileExpired.impact,
+                    refreshActions(),
+                    { profiles: summary.expired },
+                    {
+                        areaKey: 'Config',
+                        problemKey: ISSUE_KEYS.authProfileExpired.problemKey,
+                        impactKey: ISSUE_KEYS.authProfileExpired.impactKey,
+                        impactTags: blocking ? ['blocked'] : ['degraded'],
+                        impactScope: 'auth'
+                    }
+                ));
+            }
+            if (summary.expiring.length) {
+                issues.push(buildIssue(
+                    'auth-profile-expiring',
+                    'warn',
+                    `${ctx.i18n.issue.authProfileExpiring.problem}: ${summary.expiring.map((item) => item.name).join(', ')}`,
+                    ctx.i18n.issue.authProfileExpiring.impact,
+                    refreshActions(),
+                    { profiles: summary.expiring },
+                    {
+                        areaKey: 'Config',
+                        problemKey: ISSUE_KEYS.authProfileExpiring.problemKey,
+                        impactKey: ISSUE_KEYS.authProfileExpiring.impactKey,
+                        impactTags: ['degraded'],
+                        impactScope: 'auth'
+                    }
+                ));
+            }
+            return issues;
         }
     ]);
 
     const sortedIssues = sortIssues(issues);
-    sortedIssues.forEach((issue) => decorateIssue(issue, resolvedLang));
+    sortedIssues.forEach((issue) => {
+        decorateIssue(issue, resolvedLang);
+        attachFixAction(issue, i18n);
+    });
     const hasError = sortedIssues.some((item) => item && item.severity === 'error');
     const report = {
         schema: 1,
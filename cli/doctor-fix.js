@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+
+// issue id -> fixer id；doctor 报告据此为可修复的问题附加 fix 动作
+const DOCTOR_FIXABLE_ISSUES = Object.freeze({
+    'config-not-ready': 'regenerate-config',
+    'provider-unreachable': 'switch-healthy-provider',
+    'skills-root-missing': 'create-skills-root',
+    'skills-missing-files': 'prune-broken-skills'
+});
+
+const MAX_PROVIDER_CANDIDATES = 5;
+
+function formatSnapshotStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// 计划摘要只覆盖会被执行的内容，供执行时确认与用户确认过的计划一致
+function computeDoctorFixPlanDigest(steps) {
+    const normalized = (Array.isArray(steps) ? steps : []).map(step => ({
+        issueId: step.issueId,
+        fixer: step.fixer,
+        snapshots: step.snapshots,
+        changes: step.changes
+    }));
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+}
+
+function createDoctorFixController(deps = {}) {
+    const {
+        fs,
+        path,
+        DOCTOR_FIX_BACKUP_DIR,
+        readConfig,
+        readRecentConfigs,
+        probeProvider,
+        switchProvider,
+        resetConfigToDefault,
+        listSkills,
+        now = () => Date.now()
+    } = deps;
+
+    if (!fs) throw new Error('createDoctorFixController 缺少 fs');
+    if (!path) throw new Error('createDoctorFixController 缺少 path');
+    if (typeof DOCTOR_FIX_BACKUP_DIR !== 'string' || !DOCTOR_FIX_BACKUP_DIR) throw new Error('createDoctorFixController 缺少 DOCTOR_FIX_BACKUP_DIR');
+    if (typeof readConfig !== 'function') throw new Error('createDoctorFixController 缺少 readConfig');
+    if (typeof readRecentConfigs !== 'function') throw new Error('createDoctorFixController 缺少 readRecentConfigs');
+    if (typeof probeProvider !== 'function') throw new Error('createDoctorFixController 缺少 probeProvider');
+    if (typeof switchProvider !== 'function') throw new Error('createDoctorFixController 缺少 switchProvider');
+    if (typeof resetConfigToDefault !== 'function') throw new Error('createDoctorFixController 缺少 resetConfigToDefault');
+    if (typeof listSkills !== 'function') throw new Error('createDoctorFixController 缺少 listSkills');
+
+    function readCurrentProviderConfig() {
+        try {
+            const config = readConfig();
+            return {
+                current: typeof config.model_provider === 'string' ? config.model_provider : '',
+                providers: config.model_providers && typeof config.model_providers === 'object' ? config.model_providers : {}
+            };
+        } catch (_) {
+            return { current: '', providers: {} };
+        }
+    }
+
+    function resolveSkillsTargetApp(report) {
+        const skills = report && report.sources && report.sources.skills;
+        return skills && typeof skills.targetApp === 'string' && skills.targetApp ? skills.targetApp : 'codex';
+    }
+
+    // 每个 fixer: plan 只读地生成步骤（skipped 表示无法修复），apply 执行步骤
+    const FIXERS = {
+        'regenerate-config': {
+            async plan() {
+                return {
+                    summary: '备份并重建默认 config.toml',
+                    snapshots: ['config'],
+                    changes: [{ type: 'reset-config' }]
+                };
+            },
+            async apply() {
+                const result = resetConfigToDefault();
+                return { backupFile: result && result.backupFile ? result.backupFile : '' };
+            }
+        },
+        'switch-healthy-provider': {
+            async plan() {
+                const { current, providers } = readCurrentProviderConfig();
+                const tried = [];
+                const candidates = [];
+                for (const item of readRecentConfigs()) {
+                    if (item.provider === current || !providers[item.provider]) continue;
+                    if (candidates.some(candidate => candidate.provider === item.provider)) continue;
+                    candidates.push(item);
+                    if (candidates.length >= MAX_PROVIDER_CANDIDATES) break;
+                }
+                for (const candidate of candidates) {
+                    const probe = await probeProvider(candidate.provider, providers[candidate.provider]);
+                    tried.push({ provider: candidate.provider, ok: !!(probe && probe.ok), error: probe && probe.error ? probe.error : '' });
+                    if (probe && probe.ok) {
+                        return {
+                            summary: `切换到最近可用的提供商 ${candidate.provider} / ${candidate.model}`,
+                            snapshots: ['config', 'auth'],
+                            changes: [{ type: 'switch-provider', from: current, provider: candidate.provider, model: candidate.model }],
+                            tried
+                        };
+                    }
+                }
+                return { skipped: true, summary: '最近使用记录中没有可用的提供商', tried };
+            },
+            async apply(step) {
+                const change = step.changes[0];
+                switchProvider(change.provider, change.model);
+                return { provider: change.provider, model: change.model };
+            }
+        },
+        'create-skills-root': {
+            async plan(report) {
+                const targetApp = resolveSkillsTargetApp(report);
+                const listed = listSkills({ targetApp });
+                if (!listed || listed.error || !listed.root) {
+                    return { skipped: true, summary: listed && listed.error ? listed.error : '无法解析 skills 目录' };
+                }
+                if (listed.exists) {
+                    return { skipped: true, summary: `skills 目录已存在: ${listed.root}` };
+                }
+                return {
+                    summary: `创建 skills 目录 ${listed.root}`,
+                    snapshots: [],
+                    changes: [{ type: 'create-dir', path: listed.root }]
+                };
+            },
+            async apply(step) {
+                fs.mkdirSync(step.changes[0].path, { recursive: true });
+                return { created: step.changes[0].path };
+            }
+        },
+        'prune-broken-skills': {
+            async plan(report) {
+                const targetApp = resolveSkillsTargetApp(report);
+                const listed = listSkills({ targetApp });
+                const broken = listed && Array.isArray(listed.items)
+                    ? listed.items.filter(item => item && item.hasSkillFile === false && item.path)
+                    : [];
+                if (!broken.length) {
+                    return { skipped: true, summary: '没有缺少 SKILL.md 的 skill 目录' };
+                }
+                return {
+                    summary: `移走 ${broken.length} 个缺少 SKILL.md 的 skill 目录（${targetApp}）`,
+                    snapshots: [],
+                    changes: broken.map(item => ({ type: 'move-dir', path: item.path, name: item.name, targetApp }))
+                };
+            },
+            async apply(step, context) {
+                const moved = [];
+                for (const change of step.changes) {
+                    const dest = path.join(context.backupDir, `skills-${change.targetApp}`, change.name);
+                    moveEntry(change.path, dest);
+                    moved.push({ from: change.path, to: dest });
+                }
+                return { moved };
+            }
+        }
+    };
+
+    function moveEntry(source, dest) {
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        try {
+            fs.renameSync(source, dest);
+        } catch (e) {
+            if (!e || e.code !== 'EXDEV') throw e;
+            fs.cpSync(source, dest, { recursive: true, verbatimSymlinks: true });
+            fs.rmSync(source, { recursive: true, force: true });
+        }
+    }
+
+    function normalizeIssueFilter(issueIds) {
+        const list = Array.isArray(issueIds) ? issueIds : (typeof issueIds === 'string' && issueIds ? [issueIds] : []);
+        return new Set(list.map(item => String(item || '').trim()).filter(Boolean));
+    }
+
+    async function planDoctorFixes(report, options = {}) {
+        const issues = report && Array.isArray(report.issues) ? report.issues : [];
+        const filter = normalizeIssueFilter(options.issueIds);
+        const steps = [];
+        const skipped = [];
+        for (const issue of issues) {
+            if (!issue || (filter.size && !filter.has(issue.id))) continue;
+            const fixerId = DOCTOR_FIXABLE_ISSUES[issue.id];
+            if (!fixerId) continue;
+            let planned;
+            try {
+                planned = await FIXERS[fixerId].plan(report, issue);
+            } catch (e) {
+                planned = { skipped: true, summary: e && e.message ? e.message : String(e) };
+            }
+            const base = { issueId: issue.id, fixer: fixerId, summary: planned.summary || '' };
+            if (planned.tried) base.tried = planned.tried;
+            if (planned.skipped) {
+                skipped.push(base);
+                continue;
+            }
+            steps.push({ ...base, snapshots: planned.snapshots || [], changes: planned.changes || [] });
+        }
+        return { dryRun: true, steps, skipped, planDigest: computeDoctorFixPlanDigest(steps) };
+    }
+
+    function snapshotFiles(step, context) {
+        const copied = [];
+        for (const key of step.snapshots) {
+            const filePath = context.snapshotFiles[key];
+            if (!filePath || !fs.existsSync(filePath)) continue;
+            const dest = path.join(context.backupDir, 'files', path.basename(filePath));
+            if (!fs.existsSync(dest)) {
+                fs.mkdirSync(path.dirname(dest), { recursive: true });
+                fs.copyFileSync(filePath, dest);
+            }
+            copied.push(dest);
+        }
+        return copied;
+    }
+
+    // 先生成计划，再逐步执行；每次执行都在独立的备份目录里保留原文件与清单。
+    // 传入 planDigest 时，重新生成的计划必须与预览时一致，否则拒绝执行。
+    async function applyDoctorFixes(report, options = {}) {
+        const plan = await planDoctorFixes(report, options);
+        const expectedDigest = typeof options.planDigest === 'string' ? options.planDigest.trim() : '';
+        if (expectedDigest && expectedDigest !== plan.planDigest) {
+            return {
+                ...plan,
+                dryRun: false,
+                applied: [],
+                backupDir: '',
+                planChanged: true,
+                error: '修复计划与预览时不一致，请重新预览后再执行'
+            };
+        }
+        if (!plan.steps.length) {
+            return { ...plan, dryRun: false, applied: [], backupDir: '' };
+        }
+        const backupDir = path.join(DOCTOR_FIX_BACKUP_DIR, formatSnapshotStamp(new Date(now())));
+        fs.mkdirSync(backupDir, { recursive: true });
+        const context = {
+            backupDir,
+            snapshotFiles: options.snapshotFiles && typeof options.snapshotFiles === 'object' ? options.snapshotFiles : {}
+        };
+        const applied = [];
+        for (const step of plan.steps) {
+            const entry = { issueId: step.issueId, fixer: step.fixer, summary: step.summary };
+            try {
+                entry.snapshots = snapshotFiles(step, context);
+                entry.result = await FIXERS[step.fixer].apply(step, context);
+                entry.ok = true;
+            } catch (e) {
+                entry.ok = false;
+                entry.error = e && e.message ? e.message : String(e);
+            }
+            applied.push(entry);
+        }
+        fs.writeFileSync(path.join(backupDir, 'manifest.json'), JSON.stringify({
+            createdAt: new Date(now()).toISOString(),
+            planDigest: plan.planDigest,
+            steps: plan.steps,
+            applied
+        }, null, 2), 'utf-8');
+        return { ...plan, dryRun: false, applied, backupDir };
+    }
+
+    return {
+        planDoctorFixes,
+        applyDoctorFixes
+    };
+}
+
+module.exports = {
+    DOCTOR_FIXABLE_ISSUES,
+    createDoctorFixController
+};
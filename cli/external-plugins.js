@@ -0,0 +1,542 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ensureDir, readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { isPathInside } = require('../lib/cli-path-utils');
+
+// 第三方插件契约版本；清单格式、UI 上下文或服务端动作签名出现不兼容改动时递增
+const PLUGIN_API_VERSION = 1;
+const PLUGIN_MANIFEST_FILE = 'codexmate-plugin.json';
+const PLUGIN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const PLUGIN_ACTION_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const PLUGIN_I18N_LANGS = Object.freeze(['zh', 'en']);
+const PLUGIN_PERMISSIONS = Object.freeze({
+    server: '在 codexmate 进程内运行插件的服务端代码',
+    storage: '服务端动作可读写插件自己的数据文件',
+    'api:read': '界面可调用 codexmate 的只读接口',
+    'api:write': '界面可调用 codexmate 的全部接口（包括修改配置）'
+});
+const PLUGIN_ASSET_MIME = Object.freeze({
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.woff2': 'font/woff2'
+});
+const MAX_PLUGIN_ZIP_ENTRY_COUNT = 500;
+const MAX_PLUGIN_ZIP_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function hasOwn(target, key) {
+    return Object.prototype.hasOwnProperty.call(target, key);
+}
+
+// 清单中的文件路径一律相对插件目录，且不能越出插件目录
+function readPluginFilePath(value, pluginDir, field, extensions, errors) {
+    const relative = readString(value).replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!relative) {
+        errors.push(`${field} 不能为空`);
+        return '';
+    }
+    if (path.isAbsolute(relative) || relative.split('/').includes('..')) {
+        errors.push(`${field} 必须是插件目录内的相对路径`);
+        return '';
+    }
+    if (!extensions.includes(path.extname(relative).toLowerCase())) {
+        errors.push(`${field} 只支持 ${extensions.join('/')} 文件`);
+        return '';
+    }
+    const filePath = path.join(pluginDir, relative);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile() || !isPathInside(filePath, pluginDir)) {
+        errors.push(`${field} 指向的文件不存在: ${relative}`);
+        return '';
+    }
+    return relative;
+}
+
+function readPluginStrings(value, pluginDir, field, errors) {
+    let source = value;
+    if (typeof value === 'string') {
+        const relative = readPluginFilePath(value, pluginDir, field, ['.json'], errors);
+        if (!relative) return {};
+        source = readJsonFile(path.join(pluginDir, relative), null);
+    }
+    if (!isPlainObject(source)) {
+        errors.push(`${field} 必须是字符串字典或指向 JSON 文件的路径`);
+        return {};
+    }
+    const strings = {};
+    for (const [key, text] of Object.entries(source)) {
+        if (typeof text !== 'string') {
+            errors.push(`${field}.${key} 必须是字符串`);
+            continue;
+        }
+        strings[key] = text;
+    }
+    return strings;
+}
+
+function validatePluginManifest(raw, pluginDir) {
+    if (!isPlainObject(raw)) {
+        return { manifest: null, errors: [`${PLUGIN_MANIFEST_FILE} 不是有效的 JSON 对象`] };
+    }
+    const errors = [];
+    if (raw.apiVersion !== PLUGIN_API_VERSION) {
+        const requested = raw.apiVersion === undefined ? '(未声明)' : JSON.stringify(raw.apiVersion);
+        errors.push(`插件 API 版本 ${requested} 不受支持（当前为 ${PLUGIN_API_VERSION}）`);
+    }
+    const id = readString(raw.id);
+    if (!PLUGIN_ID_PATTERN.test(id)) errors.push('id 只能包含小写字母、数字和短横线，长度 2-64');
+    const name = readString(raw.name);
+    if (!name) errors.push('name 不能为空');
+    const version = readString(raw.version);
+    if (!version) errors.push('version 不能为空');
+
+    if (raw.permissions !== undefined && !Array.isArray(raw.permissions)) errors.push('permissions 必须是数组');
+    const permissions = Array.isArray(raw.permissions) ? [...new Set(raw.permissions.map(readString))] : [];
+    for (const permission of permissions) {
+        if (!hasOwn(PLUGIN_PERMISSIONS, permission)) errors.push(`未知权限: ${permission || '(空)'}`);
+    }
+
+    let ui = null;
+    if (raw.ui !== undefined) {
+        if (!isPlainObject(raw.ui)) {
+            errors.push('ui 必须是对象');
+        } else {
+            const modulePath = readPluginFilePath(raw.ui.module, pluginDir, 'ui.module', ['.mjs', '.js'], errors);
+            const styles = Array.isArray(raw.ui.styles)
+                ? raw.ui.styles.map((item, index) => readPluginFilePath(item, pluginDir, `ui.styles[${index}]`, ['.css'], errors))
+                : [];
+            if (raw.ui.styles !== undefined && !Array.isArray(raw.ui.styles)) errors.push('ui.styles 必须是数组');
+            ui = { module: modulePath, styles: styles.filter(Boolean) };
+        }
+    }
+
+    const i18n = {};
+    if (raw.i18n !== undefined) {
+        if (!isPlainObject(raw.i18n)) {
+            errors.push('i18n 必须是对象');
+        } else {
+            for (const [lang, value] of Object.entries(raw.i18n)) {
+                if (!PLUGIN_I18N_LANGS.includes(lang)) {
+                    errors.push(`不支持的语言: ${lang}（可选 ${PLUGIN_I18N_LANGS.join('/')}）`);
+                    continue;
+                }
+                i18n[lang] = readPluginStrings(value, pluginDir, `i18n.${lang}`, errors);
+            }
+        }
+    }
+
+    let server = null;
+    if (raw.server !== undefined) {
+        if (!isPlainObject(raw.server)) {
+            errors.push('server 必须是对象');
+        } else {
+            const modulePath = readPluginFilePath(raw.server.module, pluginDir, 'server.module', ['.js', '.cjs'], errors);
+            const actions = Array.isArray(raw.server.actions) ? [...new Set(raw.server.actions.map(readString))] : [];
+            if (!actions.length) errors.push('server.actions 至少需要声明一个动作');
+            for (const action of actions) {
+                if (!PLUGIN_ACTION_PATTERN.test(action)) errors.push(`动作名无效: ${action || '(空)'}`);
+            }
+            if (!permissions.includes('server')) errors.push('声明 server 时必须在 permissions 中申请 server 权限');
+            server = { module: modulePath, actions };
+        }
+    }
+    if (raw.ui === undefined && raw.server === undefined) {
+        errors.push('插件至少需要声明 ui 或 server');
+    }
+
+    if (errors.length) return { manifest: null, errors };
+    return {
+        manifest: {
+            apiVersion: PLUGIN_API_VERSION,
+            id,
+            name,
+            version,
+            description: readString(raw.description),
+            author: readString(raw.author),
+            homepage: readString(raw.homepage),
+            permissions,
+            ui,
+            i18n,
+            server
+        },
+        errors
+    };
+}
+
+function encodeAssetPath(relative) {
+    return relative.split('/').map(encodeURIComponent).join('/');
+}
+
+function assertNoSymlinks(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isSymbolicLink()) throw new Error(`插件包不能包含符号链接: ${entry.name}`);
+        if (entry.isDirectory()) assertNoSymlinks(entryPath);
+    }
+}
+
+// 清单可以在压缩包根目录，也可以在唯一的顶层目录中
+function findManifestRoot(extractRoot) {
+    if (fs.existsSync(path.join(extractRoot, PLUGIN_MANIFEST_FILE))) return extractRoot;
+    const candidates = fs.readdirSync(extractRoot, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== '__MACOSX')
+        .map(entry => path.join(extractRoot, entry.name))
+        .filter(dir => fs.existsSync(path.join(dir, PLUGIN_MANIFEST_FILE)));
+    return candidates.length === 1 ? candidates[0] : '';
+}
+
+function createExternalPluginsController(deps = {}) {
+    const {
+        PLUGINS_DIR,
+        PLUGINS_STATE_FILE,
+        reservedIds,
+        inspectZipArchiveLimits,
+        extractUploadZip,
+        now
+    } = deps;
+
+    if (!PLUGINS_DIR) throw new Error('createExternalPluginsController 缺少 PLUGINS_DIR');
+    if (!PLUGINS_STATE_FILE) throw new Error('createExternalPluginsController 缺少 PLUGINS_STATE_FILE');
+    if (typeof inspectZipArchiveLimits !== 'function') throw new Error('createExternalPluginsController 缺少 inspectZipArchiveLimits');
+    if (typeof extractUploadZip !== 'function') throw new Error('createExternalPluginsController 缺少 extractUploadZip');
+    const reserved = new Set(Array.isArray(reservedIds) ? reservedIds : []);
+    const getNow = typeof now === 'function' ? now : () => Date.now();
+    const DATA_DIR = path.join(PLUGINS_DIR, '.data');
+    // 服务端模块按需加载；加载失败只影响对应插件
+    const loadedModules = new Map();
+    const runtimeErrors = new Map();
+
+    function readState() {
+        const data = readJsonFile(PLUGINS_STATE_FILE, null);
+        const source = isPlainObject(data) && isPlainObject(data.plugins) ? data.plugins : {};
+        const plugins = {};
+        for (const [id, entry] of Object.entries(source)) {
+            if (!isPlainObject(entry)) continue;
+            plugins[id] = {
+                enabled: entry.enabled === true,
+                granted: Array.isArray(entry.granted) ? entry.granted.filter(item => typeof item === 'string') : [],
+                enabledAt: readString(entry.enabledAt)
+            };
+        }
+        return { version: 1, plugins };
+    }
+
+    function writeState(state) {
+        writeJsonAtomic(PLUGINS_STATE_FILE, state);
+    }
+
+    function readPluginRecord(dirName) {
+        const pluginDir = path.join(PLUGINS_DIR, dirName);
+        const manifestPath = path.join(pluginDir, PLUGIN_MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) {
+            return { id: dirName, pluginDir, manifest: null, errors: [`缺少 ${PLUGIN_MANIFEST_FILE}`] };
+        }
+        const { manifest, errors } = validatePluginManifest(readJsonFile(manifestPath, null), pluginDir);
+        if (manifest && manifest.id !== dirName) {
+            return { id: dirName, pluginDir, manifest: null, errors: [`目录名 ${dirName} 与插件 id ${manifest.id} 不一致`] };
+        }
+        if (reserved.has(dirName)) {
+            return { id: dirName, pluginDir, manifest: null, errors: [`插件 id ${dirName} 与内置插件冲突`] };
+        }
+        return { id: dirName, pluginDir, manifest, errors };
+    }
+
+    function findPluginRecord(params = {}) {
+        const id = readString(params.id);
+        if (!PLUGIN_ID_PATTERN.test(id)) return { error: id ? `插件 id 无效: ${id}` : '缺少插件 id' };
+        if (!fs.existsSync(path.join(PLUGINS_DIR, id))) return { error: `插件不存在: ${id}` };
+        return readPluginRecord(id);
+    }
+
+    function resolveStatus(record, entry) {
+        if (!record.manifest) return 'error';
+        if (!entry || !entry.enabled) return 'disabled';
+        // 升级后申请了新权限的插件需要重新确认
+        const pending = record.manifest.permissions.filter(permission => !entry.granted.includes(permission));
+        return pending.length ? 'needs-approval' : 'enabled';
+    }
+
+    function describePlugin(record, state) {
+        const entry = state.plugins[record.id] || null;
+        const status = resolveStatus(record, entry);
+        const base = {
+            id: record.id,
+            dir: record.pluginDir,
+            status,
+            enabled: status === 'enabled',
+            errors: record.errors,
+            runtimeError: runtimeErrors.get(record.id) || ''
+        };
+        const manifest = record.manifest;
+        if (!manifest) {
+            return { ...base, name: record.id, version: '', description: '', author: '', homepage: '', permissions: [], ui: null, i18n: {}, actions: [] };
+        }
+        const assetBase = `/plugin-assets/${encodeURIComponent(manifest.id)}/`;
+        return {
+            ...base,
+            name: manifest.name,
+            version: manifest.version,
+            description: manifest.description,
+            author: manifest.author,
+            homepage: manifest.homepage,
+            permissions: manifest.permissions.map(permission => ({
+                id: permission,
+                description: PLUGIN_PERMISSIONS[permission],
+                granted: !!entry && entry.granted.includes(permission)
+            })),
+            ui: manifest.ui
+                ? {
+                    module: `${assetBase}${encodeAssetPath(manifest.ui.module)}?v=${encodeURIComponent(manifest.version)}`,
+                    styles: manifest.ui.styles.map(item => `${assetBase}${encodeAssetPath(item)}?v=${encodeURIComponent(manifest.version)}`)
+                }
+                : null,
+            i18n: manifest.i18n,
+            actions: manifest.server ? manifest.server.actions : []
+        };
+    }
+
+    function listPlugins() {
+        const state = readState();
+        const records = fs.existsSync(PLUGINS_DIR)
+            ? fs.readdirSync(PLUGINS_DIR, { withFileTypes: true })
+                .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+                .map(entry => entry.name)
+                .sort((a, b) => a.localeCompare(b, 'en-US'))
+                .map(readPluginRecord)
+            : [];
+        return {
+            apiVersion: PLUGIN_API_VERSION,
+            dir: PLUGINS_DIR,
+            plugins: records.map(record => describePlugin(record, state))
+        };
+    }
+
+    // 入口模块 require 的子模块同样留在缓存里，按插件目录整体清掉，升级后才会加载新代码
+    function evictPluginModules(pluginDir) {
+        const roots = [path.resolve(pluginDir)];
+        try {
+            roots.push(fs.realpathSync(pluginDir));
+        } catch (_) {}
+        for (const cacheKey of Object.keys(require.cache)) {
+            if (roots.some(root => isPathInside(cacheKey, root))) {
+                delete require.cache[cacheKey];
+            }
+        }
+    }
+
+    function unloadServerModule(id) {
+        const loaded = loadedModules.get(id);
+        if (loaded) {
+            evictPluginModules(loaded.pluginDir);
+            loadedModules.delete(id);
+        }
+        runtimeErrors.delete(id);
+    }
+
+    function loadServerActions(record) {
+        const cached = loadedModules.get(record.id);
+        if (cached) return cached.actions;
+        const cacheKey = require.resolve(path.join(record.pluginDir, record.manifest.server.module));
+        let exported;
+        try {
+            exported = require(cacheKey);
+        } catch (e) {
+            evictPluginModules(record.pluginDir);
+            throw new Error(`服务端模块加载失败: ${e && e.message ? e.message : e}`);
+        }
+        const actions = exported && isPlainObject(exported.actions) ? exported.actions : null;
+        if (!actions) throw new Error('服务端模块需要导出 actions 对象');
+        const missing = record.manifest.server.actions.filter(name => typeof actions[name] !== 'function');
+        if (missing.length) throw new Error(`服务端模块缺少动作: ${missing.join(', ')}`);
+        loadedModules.set(record.id, { actions, pluginDir: record.pluginDir });
+        return actions;
+    }
+
+    // 上下文只提供插件已获授权的能力
+    function createActionContext(record) {
+        const manifest = record.manifest;
+        const context = {
+            apiVersion: PLUGIN_API_VERSION,
+            pluginId: manifest.id,
+            pluginVersion: manifest.version,
+            pluginDir: record.pluginDir
+        };
+        if (manifest.permissions.includes('storage')) {
+            const dataFile = path.join(DATA_DIR, `${manifest.id}.json`);
+            context.storage = Object.freeze({
+                read() {
+                    const data = readJsonFile(dataFile, {});
+                    return isPlainObject(data) ? data : {};
+                },
+                write(value) {
+                    if (!isPlainObject(value)) throw new Error('storage.write 只接受对象');
+                    writeJsonAtomic(dataFile, value);
+                }
+            });
+        }
+        return Object.freeze(context);
+    }
+
+    function setPluginEnabled(params, enabled) {
+        const record = findPluginRecord(params);
+        if (record.error) return record;
+        if (enabled && !record.manifest) return { error: `插件 ${record.id} 无效: ${record.errors.join('; ')}` };
+        const state = readState();
+        const previous = state.plugins[record.id];
+        state.plugins[record.id] = enabled
+            ? { enabled: true, granted: [...record.manifest.permissions], enabledAt: new Date(getNow()).toISOString() }
+            : { enabled: false, granted: previous ? previous.granted : [], enabledAt: '' };
+        writeState(state);
+        unloadServerModule(record.id);
+        return { success: true, plugin: describePlugin(record, state) };
+    }
+
+    function enablePlugin(params = {}) {
+        return setPluginEnabled(params, true);
+    }
+
+    function disablePlugin(params = {}) {
+        return setPluginEnabled(params, false);
+    }
+
+    function uninstallPlugin(params = {}) {
+        const record = findPluginRecord(params);
+        if (record.error) return record;
+        if (!isPathInside(record.pluginDir, PLUGINS_DIR) || path.resolve(record.pluginDir) === path.resolve(PLUGINS_DIR)) {
+            return { error: `插件目录非法: ${record.pluginDir}` };
+        }
+        unloadServerModule(record.id);
+        fs.rmSync(record.pluginDir, { recursive: true, force: true });
+        fs.rmSync(path.join(DATA_DIR, `${record.id}.json`), { force: true });
+        const state = readState();
+        if (state.plugins[record.id]) {
+            delete state.plugins[record.id];
+            writeState(state);
+        }
+        return { success: true, id: record.id, path: record.pluginDir };
+    }
+
+    function installPluginFromDirectory(sourceDir, options = {}) {
+        const { manifest, errors } = validatePluginManifest(readJsonFile(path.join(sourceDir, PLUGIN_MANIFEST_FILE), null), sourceDir);
+        if (!manifest) return { error: `插件清单无效: ${errors.join('; ')}`, errors };
+        if (reserved.has(manifest.id)) return { error: `插件 id ${manifest.id} 与内置插件冲突` };
+        assertNoSymlinks(sourceDir);
+        const targetDir = path.join(PLUGINS_DIR, manifest.id);
+        const upgraded = fs.existsSync(targetDir);
+        if (upgraded && options.overwrite !== true) {
+            return { error: `插件 ${manifest.id} 已安装，升级请选择覆盖安装`, conflict: true };
+        }
+        // 先复制到暂存目录，旧版本移到一旁；新版本就位失败时把旧版本挪回原处
+        ensureDir(PLUGINS_DIR);
+        const stagingDir = path.join(PLUGINS_DIR, `.staging-${manifest.id}-${getNow()}`);
+        const previousDir = path.join(PLUGINS_DIR, `.previous-${manifest.id}-${getNow()}`);
+        let installed = false;
+        try {
+            fs.cpSync(sourceDir, stagingDir, { recursive: true });
+            unloadServerModule(manifest.id);
+            if (upgraded) fs.renameSync(targetDir, previousDir);
+            try {
+                fs.renameSync(stagingDir, targetDir);
+                installed = true;
+            } catch (e) {
+                if (upgraded && !fs.existsSync(targetDir)) fs.renameSync(previousDir, targetDir);
+                throw e;
+            }
+        } finally {
+            fs.rmSync(stagingDir, { recursive: true, force: true });
+            if (installed) fs.rmSync(previousDir, { recursive: true, force: true });
+        }
+        const state = readState();
+        return { success: true, upgraded, plugin: describePlugin(readPluginRecord(manifest.id), state) };
+    }
+
+    async function installPluginFromZip(zipPath, options = {}) {
+        const tempDir = readString(options.tempDir) || fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-plugin-'));
+        try {
+            await inspectZipArchiveLimits(zipPath, {
+                maxEntryCount: MAX_PLUGIN_ZIP_ENTRY_COUNT,
+                maxUncompressedBytes: MAX_PLUGIN_ZIP_UNCOMPRESSED_BYTES
+            });
+            const extractRoot = path.join(tempDir, 'extract');
+            await extractUploadZip(zipPath, extractRoot);
+            const sourceDir = findManifestRoot(extractRoot);
+            if (!sourceDir) return { error: `压缩包中未找到 ${PLUGIN_MANIFEST_FILE}` };
+            return installPluginFromDirectory(sourceDir, options);
+        } catch (e) {
+            return { error: `安装插件失败：${e && e.message ? e.message : '未知错误'}` };
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    async function runPluginAction(params = {}) {
+        const record = findPluginRecord(params);
+        if (record.error) return record;
+        const action = readString(params.action);
+        if (!record.manifest) return { error: `插件 ${record.id} 无效: ${record.errors.join('; ')}` };
+        const status = resolveStatus(record, readState().plugins[record.id]);
+        if (status === 'needs-approval') return { error: `插件 ${record.id} 申请了新的权限，需要重新启用` };
+        if (status !== 'enabled') return { error: `插件 ${record.id} 未启用` };
+        if (!record.manifest.server || !record.manifest.server.actions.includes(action)) {
+            return { error: `插件 ${record.id} 未声明动作: ${action || '(空)'}` };
+        }
+        let actions;
+        try {
+            actions = loadServerActions(record);
+        } catch (e) {
+            runtimeErrors.set(record.id, e.message);
+            return { error: `插件 ${record.id} ${e.message}` };
+        }
+        try {
+            const result = await actions[action](isPlainObject(params.params) ? params.params : {}, createActionContext(record));
+            return { success: true, result: result === undefined ? null : result };
+        } catch (e) {
+            return { error: `插件 ${record.id} 的动作 ${action} 执行失败: ${e && e.message ? e.message : e}` };
+        }
+    }
+
+    // 只对外提供已启用插件 UI 模块所在目录下的静态资源
+    function resolvePluginAsset(id, relativePath) {
+        if (!PLUGIN_ID_PATTERN.test(id) || !fs.existsSync(path.join(PLUGINS_DIR, id))) return null;
+        const record = readPluginRecord(id);
+        if (!record.manifest || !record.manifest.ui) return null;
+        if (resolveStatus(record, readState().plugins[id]) !== 'enabled') return null;
+        const mime = PLUGIN_ASSET_MIME[path.extname(relativePath).toLowerCase()];
+        if (!mime) return null;
+        const uiRoot = path.join(record.pluginDir, path.dirname(record.manifest.ui.module));
+        const filePath = path.resolve(record.pluginDir, relativePath);
+        if (!isPathInside(filePath, uiRoot) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+        if (record.manifest.server && filePath === path.resolve(record.pluginDir, record.manifest.server.module)) return null;
+        return { filePath, mime };
+    }
+
+    return {
+        listPlugins,
+        enablePlugin,
+        disablePlugin,
+        uninstallPlugin,
+        installPluginFromDirectory,
+        installPluginFromZip,
+        runPluginAction,
+        resolvePluginAsset
+    };
+}
+
+module.exports = {
+    PLUGIN_API_VERSION,
+    PLUGIN_MANIFEST_FILE,
+    PLUGIN_PERMISSIONS,
+    validatePluginManifest,
+    createExternalPluginsController
+};
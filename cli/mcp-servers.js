@@ -0,0 +1,531 @@
+const fs = require('fs');
+const toml = require('@iarna/toml');
+const JSON5 = require('json5');
+const { readJsonFile, writeJsonAtomic, backupFileIfNeededOnce } = require('../lib/cli-file-utils');
+const { untrackedConfigWrite } = require('./config-history');
+
+const MCP_SERVER_TOOLS = Object.freeze(['codex', 'claude', 'openclaw']);
+const MCP_SERVER_TRANSPORTS = Object.freeze(['stdio', 'http', 'sse']);
+const MCP_SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// OpenClaw 与 Claude 一样在配置根节点的 mcpServers 下声明
+const OPENCLAW_MCP_KEY = 'mcpServers';
+const MCP_REDACTED_VALUE = '******';
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function readStringMap(value) {
+    const result = {};
+    if (!isPlainObject(value)) return result;
+    for (const key of Object.keys(value).sort()) {
+        if (!key || value[key] === undefined || value[key] === null) continue;
+        result[key] = String(value[key]);
+    }
+    return result;
+}
+
+function parseToolList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const tools = list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+    if (tools.includes('all')) return [...MCP_SERVER_TOOLS];
+    const unknown = tools.filter(tool => !MCP_SERVER_TOOLS.includes(tool));
+    if (unknown.length) {
+        throw new Error(`未知工具: ${unknown.join(', ')}（可选 ${MCP_SERVER_TOOLS.join('/')}）`);
+    }
+    return [...new Set(tools)];
+}
+
+// 只比较真正写进各工具配置的字段
+function toServerSpec(raw) {
+    const url = readString(raw.url);
+    const transport = MCP_SERVER_TRANSPORTS.includes(raw.transport)
+        ? raw.transport
+        : (url ? (raw.type === 'sse' ? 'sse' : 'http') : 'stdio');
+    if (transport === 'stdio') {
+        return {
+            transport,
+            command: readString(raw.command),
+            args: Array.isArray(raw.args) ? raw.args.map(item => String(item)) : [],
+            env: readStringMap(raw.env)
+        };
+    }
+    return { transport, url, headers: readStringMap(raw.headers || raw.http_headers) };
+}
+
+function sameSpec(left, right) {
+    return JSON.stringify(toServerSpec(left)) === JSON.stringify(toServerSpec(right));
+}
+
+function validateServerSpec(name, spec) {
+    if (!MCP_SERVER_NAME_PATTERN.test(name)) {
+        return '名称只能包含字母、数字、- 和 _';
+    }
+    if (spec.transport === 'stdio' && !spec.command) {
+        return 'stdio 服务需要 command';
+    }
+    if (spec.transport !== 'stdio' && !/^https?:\/\//i.test(spec.url)) {
+        return 'URL 必须以 http:// 或 https:// 开头';
+    }
+    return '';
+}
+
+function toClaudeEntry(spec) {
+    if (spec.transport === 'stdio') {
+        const entry = { type: 'stdio', command: spec.command, args: spec.args };
+        if (Object.keys(spec.env).length) entry.env = spec.env;
+        return entry;
+    }
+    const entry = { type: spec.transport, url: spec.url };
+    if (Object.keys(spec.headers).length) entry.headers = spec.headers;
+    return entry;
+}
+
+function formatTomlValue(value) {
+    if (Array.isArray(value)) return `[${value.map(item => JSON.stringify(String(item))).join(', ')}]`;
+    if (isPlainObject(value)) {
+        return `{ ${Object.keys(value).map(key => `${JSON.stringify(key)} = ${JSON.stringify(String(value[key]))}`).join(', ')} }`;
+    }
+    return JSON.stringify(String(value));
+}
+
+function buildCodexServerBlock(name, spec) {
+    const lines = [`[mcp_servers.${name}]`];
+    if (spec.transport === 'stdio') {
+        lines.push(`command = ${formatTomlValue(spec.command)}`);
+        if (spec.args.length) lines.push(`args = ${formatTomlValue(spec.args)}`);
+        if (Object.keys(spec.env).length) lines.push(`env = ${formatTomlValue(spec.env)}`);
+    } else {
+        lines.push(`url = ${formatTomlValue(spec.url)}`);
+        if (Object.keys(spec.headers).length) lines.push(`http_headers = ${formatTomlValue(spec.headers)}`);
+    }
+    return lines.join('\n');
+}
+
+function parseTomlHeaderPath(expression) {
+    const segments = [];
+    const pattern = /\s*("(?:[^"\\]|\\.)*"|'[^']*'|[A-Za-z0-9_-]+)\s*(?:\.|$)/gy;
+    let match;
+    while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+        const token = match[1];
+        if (token.startsWith('"')) {
+            try { segments.push(JSON.parse(token)); } catch (_) { return []; }
+        } else {
+            segments.push(token.startsWith("'") ? token.slice(1, -1) : token);
+        }
+    }
+    return segments;
+}
+
+// 找出 [mcp_servers.<name>] 及其子表（如 [mcp_servers.<name>.env]）所占的文本区间
+function findCodexServerRanges(content, names) {
+    const ranges = [];
+    const headerPattern = /^[ \t]*\[\[?([^\]\n]+)\]\]?[ \t]*(?:#.*)?$/gm;
+    const headers = [];
+    let match;
+    while ((match = headerPattern.exec(content))) {
+        headers.push({ start: match.index, path: parseTomlHeaderPath(match[1].trim()) });
+    }
+    headers.forEach((header, index) => {
+        const [root, name] = header.path;
+        if (root !== 'mcp_servers' || !names.has(name)) return;
+        const end = index + 1 < headers.length ? headers[index + 1].start : content.length;
+        ranges.push({ start: header.start, end });
+    });
+    return ranges;
+}
+
+function readCodexServers(content) {
+    const parsed = toml.parse(content);
+    return isPlainObject(parsed.mcp_servers) ? parsed.mcp_servers : {};
+}
+
+function createMcpServersController(deps = {}) {
+    const {
+        MCP_SERVERS_FILE,
+        CODEX_CONFIG_FILE,
+        CLAUDE_JSON_FILE,
+        CLAUDE_SETTINGS_FILE,
+        OPENCLAW_CONFIG_FILE,
+        trackConfigWrite = untrackedConfigWrite,
+        probeServer,
+        now
+    } = deps;
+
+    if (!MCP_SERVERS_FILE) throw new Error('createMcpServersController 缺少 MCP_SERVERS_FILE');
+    if (!CODEX_CONFIG_FILE) throw new Error('createMcpServersController 缺少 CODEX_CONFIG_FILE');
+    if (!CLAUDE_JSON_FILE) throw new Error('createMcpServersController 缺少 CLAUDE_JSON_FILE');
+    if (!OPENCLAW_CONFIG_FILE) throw new Error('createMcpServersController 缺少 OPENCLAW_CONFIG_FILE');
+    const getNow = typeof now === 'function' ? now : () => Date.now();
+
+    function readCatalog() {
+        const data = readJsonFile(MCP_SERVERS_FILE, null);
+        const servers = {};
+        if (isPlainObject(data) && isPlainObject(data.servers)) {
+            for (const [name, raw] of Object.entries(data.servers)) {
+                if (!isPlainObject(raw) || !MCP_SERVER_NAME_PATTERN.test(name)) continue;
+                const enabled = isPlainObject(raw.enabled) ? raw.enabled : {};
+                servers[name] = {
+                    name,
+                    ...toServerSpec(raw),
+                    description: readString(raw.description),
+                    enabled: Object.fromEntries(MCP_SERVER_TOOLS.map(tool => [tool, enabled[tool] === true])),
+                    updatedAt: readString(raw.updatedAt)
+                };
+            }
+        }
+        return { version: 1, servers };
+    }
+
+    function writeCatalog(catalog) {
+        const servers = {};
+        for (const name of Object.keys(catalog.servers).sort()) {
+            servers[name] = catalog.servers[name];
+        }
+        writeJsonAtomic(MCP_SERVERS_FILE, { version: 1, servers });
+    }
+
+    // 各工具的读写适配：read 返回 { exists, servers }，write 接收完整的 name -> spec|null 变更表
+    const adapters = {
+        codex: {
+            path: CODEX_CONFIG_FILE,
+            // Codex 只支持 stdio 和 streamable HTTP
+            supports: spec => spec.transport !== 'sse',
+            read() {
+                if (!fs.existsSync(CODEX_CONFIG_FILE)) return { exists: false, servers: {} };
+                return { exists: true, servers: readCodexServers(fs.readFileSync(CODEX_CONFIG_FILE, 'utf-8')) };
+            },
+            write(changes) {
+                const original = fs.existsSync(CODEX_CONFIG_FILE) ? fs.readFileSync(CODEX_CONFIG_FILE, 'utf-8') : '';
+                const lineEnding = original.includes('\r\n') ? '\r\n' : '\n';
+                let content = original.replace(/\r\n/g, '\n');
+                const ranges = findCodexServerRanges(content, new Set(Object.keys(changes)))
+                    .sort((a, b) => b.start - a.start);
+                for (const range of ranges) {
+                    content = content.slice(0, range.start) + content.slice(range.end);
+                }
+                const blocks = Object.keys(changes)
+                    .filter(name => changes[name])
+                    .map(name => buildCodexServerBlock(name, changes[name]));
+                content = content.replace(/\n{3,}/g, '\n\n').trimEnd();
+                if (blocks.length) content = `${content}${content ? '\n\n' : ''}${blocks.join('\n\n')}`;
+                content = `${content}\n`;
+                try {
+                    const servers = readCodexServers(content);
+                    const conflict = Object.keys(changes).find(name => changes[name] && !sameSpec(servers[name] || {}, changes[name]));
+                    if (conflict) throw new Error(`mcp_servers.${conflict} 还有其它写法（如内联表）`);
+                } catch (e) {
+                    throw new Error(`config.toml 无法自动合并 MCP 配置: ${e.message}`);
+                }
+                const backupPath = backupFileIfNeededOnce(CODEX_CONFIG_FILE);
+                trackConfigWrite(CODEX_CONFIG_FILE, 'sync-mcp-servers', () => fs.writeFileSync(CODEX_CONFIG_FILE, content.replace(/\n/g, lineEnding), 'utf-8'));
+                return backupPath;
+            }
+        },
+        claude: {
+            path: CLAUDE_JSON_FILE,
+            read() {
+                const data = readJsonFile(CLAUDE_JSON_FILE, null);
+                const settings = CLAUDE_SETTINGS_FILE ? readJsonFile(CLAUDE_SETTINGS_FILE, null) : null;
+                const ownServers = isPlainObject(data) && isPlainObject(data.mcpServers) ? data.mcpServers : {};
+                // settings.json 里的 mcpServers 只导入，不回写
+                const servers = {
+                    ...(isPlainObject(settings) && isPlainObject(settings.mcpServers) ? settings.mcpServers : {}),
+                    ...ownServers
+                };
+                return { exists: isPlainObject(data), servers, ownServers };
+            },
+            write(changes) {
+                const data = readJsonFile(CLAUDE_JSON_FILE, {});
+                if (!isPlainObject(data)) throw new Error(`${CLAUDE_JSON_FILE} 不是有效的 JSON 对象`);
+                const servers = isPlainObject(data.mcpServers) ? { ...data.mcpServers } : {};
+                for (const [name, spec] of Object.entries(changes)) {
+                    if (spec) servers[name] = toClaudeEntry(spec);
+                    else delete servers[name];
+                }
+                const backupPath = backupFileIfNeededOnce(CLAUDE_JSON_FILE);
+                trackConfigWrite(CLAUDE_JSON_FILE, 'sync-mcp-servers', () => writeJsonAtomic(CLAUDE_JSON_FILE, { ...data, mcpServers: servers }));
+                return backupPath;
+            }
+        },
+        openclaw: {
+            path: OPENCLAW_CONFIG_FILE,
+            read() {
+                if (!fs.existsSync(OPENCLAW_CONFIG_FILE)) return { exists: false, servers: {} };
+                const raw = fs.readFileSync(OPENCLAW_CONFIG_FILE, 'utf-8').replace(/^\uFEFF/, '');
+                const data = raw.trim() ? JSON5.parse(raw) : {};
+                return { exists: true, servers: isPlainObject(data) && isPlainObject(data[OPENCLAW_MCP_KEY]) ? data[OPENCLAW_MCP_KEY] : {} };
+            },
+            write(changes) {
+                const raw = fs.existsSync(OPENCLAW_CONFIG_FILE) ? fs.readFileSync(OPENCLAW_CONFIG_FILE, 'utf-8').replace(/^\uFEFF/, '') : '';
+                const data = raw.trim() ? JSON5.parse(raw) : {};
+                if (!isPlainObject(data)) throw new Error('OpenClaw 配置根节点必须是对象');
+                const servers = isPlainObject(data[OPENCLAW_MCP_KEY]) ? { ...data[OPENCLAW_MCP_KEY] } : {};
+                for (const [name, spec] of Object.entries(changes)) {
+                    if (spec) servers[name] = toClaudeEntry(spec);
+                    else delete servers[name];
+                }
+                const backupPath = backupFileIfNeededOnce(OPENCLAW_CONFIG_FILE);
+                trackConfigWrite(OPENCLAW_CONFIG_FILE, 'sync-mcp-servers', () => writeJsonAtomic(OPENCLAW_CONFIG_FILE, { ...data, [OPENCLAW_MCP_KEY]: servers }));
+                return backupPath;
+            }
+        }
+    };
+
+    function readToolState(tool) {
+        try {
+            return { tool, path: adapters[tool].path, ...adapters[tool].read(), error: '' };
+        } catch (e) {
+            return { tool, path: adapters[tool].path, exists: true, servers: {}, error: `读取失败: ${e.message}` };
+        }
+    }
+
+    function resolveStatus(server, tool, state) {
+        if (state.error) return 'error';
+        const current = state.servers[server.name];
+        if (!server.enabled[tool]) return (state.ownServers || state.servers)[server.name] ? 'stale' : 'off';
+        const supports = adapters[tool].supports;
+        if (supports && !supports(toServerSpec(server))) return 'unsupported';
+        if (!current) return 'missing';
+        return sameSpec(current, server) ? 'synced' : 'changed';
+    }
+
+    // env / headers 常带令牌：redact 时只保留名称，值统一替换
+    function redactServer(server) {
+        const redacted = { ...server };
+        for (const field of ['env', 'headers']) {
+            if (server[field]) {
+                redacted[field] = Object.fromEntries(Object.keys(server[field]).map(key => [key, MCP_REDACTED_VALUE]));
+            }
+        }
+        return redacted;
+    }
+
+    function listMcpServers(options = {}) {
+        const catalog = readCatalog();
+        const states = MCP_SERVER_TOOLS.map(readToolState);
+        const servers = Object.values(catalog.servers)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(server => ({
+                ...(options.redact ? redactServer(server) : server),
+                status: Object.fromEntries(states.map(state => [state.tool, resolveStatus(server, state.tool, state)]))
+            }));
+        const tools = states.map(state => ({
+            tool: state.tool,
+            path: state.path,
+            exists: state.exists,
+            error: state.error,
+            unmanaged: Object.keys(state.servers).filter(name => !catalog.servers[name]).sort()
+        }));
+        return { file: MCP_SERVERS_FILE, servers, tools };
+    }
+
+    function upsertMcpServer(params = {}) {
+        const name = readString(params.name);
+        const catalog = readCatalog();
+        const existing = catalog.servers[name];
+        if (params.create && existing) {
+            return { error: `MCP 服务已存在: ${name}` };
+        }
+        const spec = toServerSpec(params);
+        const error = validateServerSpec(name, spec);
+        if (error) return { error };
+        const enabled = existing ? { ...existing.enabled } : Object.fromEntries(MCP_SERVER_TOOLS.map(tool => [tool, false]));
+        if (params.tools !== undefined) {
+            let tools;
+            try {
+                tools = parseToolList(params.tools);
+            } catch (e) {
+                return { error: e.message };
+            }
+            for (const tool of MCP_SERVER_TOOLS) enabled[tool] = tools.includes(tool);
+        }
+        catalog.servers[name] = {
+            name,
+            ...spec,
+            description: params.description !== undefined ? readString(params.description) : (existing ? existing.description : ''),
+            enabled,
+            updatedAt: new Date(getNow()).toISOString()
+        };
+        writeCatalog(catalog);
+        return { success: true, server: catalog.servers[name], created: !existing };
+    }
+
+    function setMcpServerEnabled(params = {}) {
+        const catalog = readCatalog();
+        const names = (Array.isArray(params.names) ? params.names : [params.name]).map(readString).filter(Boolean);
+        const missing = names.filter(name => !catalog.servers[name]);
+        if (!names.length) return { error: '请指定 MCP 服务名称' };
+        if (missing.length) return { error: `MCP 服务不存在: ${missing.join(', ')}` };
+        let tools;
+        try {
+            tools = params.tools === undefined || params.tools === '' ? [...MCP_SERVER_TOOLS] : parseToolList(params.tools);
+        } catch (e) {
+            return { error: e.message };
+        }
+        const enabled = params.enabled !== false;
+        for (const name of names) {
+            for (const tool of tools) catalog.servers[name].enabled[tool] = enabled;
+            catalog.servers[name].updatedAt = new Date(getNow()).toISOString();
+        }
+        writeCatalog(catalog);
+        return { success: true, names, tools, enabled };
+    }
+
+    function applyChanges(tool, changes, dryRun) {
+        const names = Object.keys(changes);
+        const report = { tool, path: adapters[tool].path, written: [], removed: [], changed: names.length > 0, error: '' };
+        for (const name of names) (changes[name] ? report.written : report.removed).push(name);
+        if (!names.length || dryRun) return report;
+        try {
+            const backupPath = adapters[tool].write(changes);
+            if (backupPath) report.backupPath = backupPath;
+        } catch (e) {
+            report.error = e.message;
+        }
+        return report;
+    }
+
+    // 把目录中的服务写入各工具：启用的写入/更新，停用的移除；目录外的条目保持不动
+    function syncMcpServers(params = {}) {
+        let tools;
+        try {
+            tools = params.tools === undefined || params.tools === '' ? [...MCP_SERVER_TOOLS] : parseToolList(params.tools);
+        } catch (e) {
+            return { error: e.message };
+        }
+        const catalog = readCatalog();
+        const results = tools.map((tool) => {
+            const state = readToolState(tool);
+            if (state.error) return { tool, path: state.path, written: [], removed: [], changed: false, error: state.error };
+            const changes = {};
+            for (const server of Object.values(catalog.servers)) {
+                const status = resolveStatus(server, tool, state);
+                if (status === 'missing' || status === 'changed') changes[server.name] = toServerSpec(server);
+                else if (status === 'stale') changes[server.name] = null;
+            }
+            return applyChanges(tool, changes, params.dryRun === true);
+        });
+        return { success: results.every(item => !item.error), dryRun: params.dryRun === true, results };
+    }
+
+    function removeMcpServer(params = {}) {
+        const name = readString(params.name);
+        const catalog = readCatalog();
+        if (!catalog.servers[name]) return { error: `MCP 服务不存在: ${name}` };
+        const results = [];
+        if (params.keepInTools !== true) {
+            for (const tool of MCP_SERVER_TOOLS) {
+                const state = readToolState(tool);
+                if (state.error || !(state.ownServers || state.servers)[name]) continue;
+                results.push(applyChanges(tool, { [name]: null }, false));
+            }
+        }
+        const failed = results.find(item => item.error);
+        if (failed) return { error: `${failed.tool}: ${failed.error}`, results };
+        delete catalog.servers[name];
+        writeCatalog(catalog);
+        return { success: true, name, results };
+    }
+
+    // 从各工具现有配置导入；同名但内容不同的条目默认跳过并报告冲突
+    function importMcpServers(params = {}) {
+        let tools;
+        try {
+            tools = params.tools === undefined || params.tools === '' ? [...MCP_SERVER_TOOLS] : parseToolList(params.tools);
+        } catch (e) {
+            return { error: e.message };
+        }
+        const catalog = readCatalog();
+        const added = [];
+        const linked = [];
+        const conflicts = [];
+        const skipped = [];
+        const errors = [];
+        const stamp = new Date(getNow()).toISOString();
+        for (const tool of tools) {
+            const state = readToolState(tool);
+            if (state.error) {
+                errors.push({ tool, error: state.error });
+                continue;
+            }
+            for (const [name, raw] of Object.entries(state.servers)) {
+                const spec = toServerSpec(isPlainObject(raw) ? raw : {});
+                if (validateServerSpec(name, spec)) {
+                    skipped.push({ tool, name, reason: validateServerSpec(name, spec) });
+                    continue;
+                }
+                const existing = catalog.servers[name];
+                // Codex 的 enabled = false 视为未启用
+                const enabledInTool = !(isPlainObject(raw) && raw.enabled === false);
+                if (existing && !sameSpec(existing, spec) && params.overwrite !== true) {
+                    // 冲突时保留目录内定义，但仍关联到该工具，避免同步时被当作多余条目删掉
+                    if (enabledInTool) existing.enabled[tool] = true;
+                    conflicts.push({ tool, name });
+                    continue;
+                }
+                if (!existing) {
+                    catalog.servers[name] = {
+                        name,
+                        ...spec,
+                        description: '',
+                        enabled: Object.fromEntries(MCP_SERVER_TOOLS.map(item => [item, false])),
+                        updatedAt: stamp
+                    };
+                    added.push(name);
+                } else if (!sameSpec(existing, spec)) {
+                    Object.assign(existing, spec, { updatedAt: stamp });
+                }
+                if (enabledInTool && !catalog.servers[name].enabled[tool]) {
+                    catalog.servers[name].enabled[tool] = true;
+                    if (existing) linked.push({ tool, name });
+                }
+            }
+        }
+        writeCatalog(catalog);
+        return { success: true, added: [...new Set(added)], linked, conflicts, skipped, errors };
+    }
+
+    // 只启动目录里已登记的服务，不接受请求里直接给出的 command
+    async function testMcpServer(params = {}) {
+        const name = readString(params.name);
+        if (!name) return { error: '测试启动需要目录中的服务名称' };
+        const server = readCatalog().servers[name];
+        if (!server) return { error: `MCP 服务不存在: ${name}` };
+        if (server.transport !== 'stdio') {
+            return { error: '测试启动仅支持 stdio 服务' };
+        }
+        if (!server.command) return { error: 'stdio 服务需要 command' };
+        if (typeof probeServer !== 'function') return { error: '当前环境不支持测试启动' };
+        const timeoutMs = Number(params.timeoutMs);
+        const result = await probeServer({
+            command: server.command,
+            args: server.args,
+            env: server.env,
+            timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? Math.min(timeoutMs, 60000) : undefined
+        });
+        return { name: server.name, ...result };
+    }
+
+    return {
+        readCatalog,
+        listMcpServers,
+        upsertMcpServer,
+        setMcpServerEnabled,
+        removeMcpServer,
+        syncMcpServers,
+        importMcpServers,
+        testMcpServer
+    };
+}
+
+module.exports = {
+    MCP_SERVER_TOOLS,
+    MCP_SERVER_TRANSPORTS,
+    parseToolList,
+    createMcpServersController
+};
@@ -0,0 +1,300 @@
+const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { toIsoTime } = require('../lib/cli-session-utils');
+
+// 内置模型元数据：字段与 OpenClaw models[] 一致，价格单位为 USD / 1M tokens
+// 用户可在 codexmate-model-pricing.json 中按模型覆盖或追加
+const BUNDLED_MODEL_METADATA = Object.freeze({
+    'gpt-5.4': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 2.5, output: 15, cacheRead: 0.25, cacheWrite: 0 } },
+    'gpt-5.4-mini': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 0.75, output: 4.5, cacheRead: 0.075, cacheWrite: 0 } },
+    'gpt-5.3-codex': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.75, output: 14, cacheRead: 0.175, cacheWrite: 0 } },
+    'gpt-5.2-codex': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.75, output: 14, cacheRead: 0.175, cacheWrite: 0 } },
+    'gpt-5.2': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.75, output: 14, cacheRead: 0.175, cacheWrite: 0 } },
+    'gpt-5.1-codex': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 0 } },
+    'gpt-5.1': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 0 } },
+    'gpt-5-codex': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 0 } },
+    'gpt-5': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 0 } },
+    'gpt-5-mini': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 0.25, output: 2, cacheRead: 0.025, cacheWrite: 0 } },
+    'gpt-5-nano': { contextWindow: 400000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 0.05, output: 0.4, cacheRead: 0.005, cacheWrite: 0 } },
+    'gpt-4.1': { contextWindow: 1047576, maxTokens: 32768, reasoning: false, tools: true, cost: { input: 2, output: 8, cacheRead: 0.5, cacheWrite: 0 } },
+    'gpt-4.1-mini': { contextWindow: 1047576, maxTokens: 32768, reasoning: false, tools: true, cost: { input: 0.4, output: 1.6, cacheRead: 0.1, cacheWrite: 0 } },
+    'gpt-4o': { contextWindow: 128000, maxTokens: 16384, reasoning: false, tools: true, cost: { input: 2.5, output: 10, cacheRead: 1.25, cacheWrite: 0 } },
+    'gpt-4o-mini': { contextWindow: 128000, maxTokens: 16384, reasoning: false, tools: true, cost: { input: 0.15, output: 0.6, cacheRead: 0.075, cacheWrite: 0 } },
+    'o3': { contextWindow: 200000, maxTokens: 100000, reasoning: true, tools: true, cost: { input: 2, output: 8, cacheRead: 0.5, cacheWrite: 0 } },
+    'o4-mini': { contextWindow: 200000, maxTokens: 100000, reasoning: true, tools: true, cost: { input: 1.1, output: 4.4, cacheRead: 0.275, cacheWrite: 0 } },
+    'claude-opus-4-6': { contextWindow: 200000, maxTokens: 128000, reasoning: true, tools: true, cost: { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 } },
+    'claude-opus-4-5': { contextWindow: 200000, maxTokens: 64000, reasoning: true, tools: true, cost: { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 } },
+    'claude-opus-4-1': { contextWindow: 200000, maxTokens: 32000, reasoning: true, tools: true, cost: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 } },
+    'claude-opus-4': { contextWindow: 200000, maxTokens: 32000, reasoning: true, tools: true, cost: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 } },
+    'claude-sonnet-4-6': { contextWindow: 200000, maxTokens: 64000, reasoning: true, tools: true, cost: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } },
+    'claude-sonnet-4-5': { contextWindow: 200000, maxTokens: 64000, reasoning: true, tools: true, cost: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } },
+    'claude-sonnet-4': { contextWindow: 200000, maxTokens: 64000, reasoning: true, tools: true, cost: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } },
+    'claude-haiku-4-5': { contextWindow: 200000, maxTokens: 64000, reasoning: true, tools: true, cost: { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 } },
+    'claude-3-7-sonnet': { contextWindow: 200000, maxTokens: 64000, reasoning: true, tools: true, cost: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } },
+    'claude-3-5-haiku': { contextWindow: 200000, maxTokens: 8192, reasoning: false, tools: true, cost: { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 } },
+    'deepseek-chat': { contextWindow: 128000, maxTokens: 8192, reasoning: false, tools: true, cost: { input: 0.28, output: 0.42, cacheRead: 0.028, cacheWrite: 0 } },
+    'deepseek-reasoner': { contextWindow: 128000, maxTokens: 65536, reasoning: true, tools: true, cost: { input: 0.28, output: 0.42, cacheRead: 0.028, cacheWrite: 0 } }
+});
+
+const COST_FIELDS = Object.freeze(['input', 'output', 'cacheRead', 'cacheWrite']);
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readTrimmedString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function readNonNegativeNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+}
+
+// 目录匹配用的模型标识：忽略大小写、provider/ 前缀、-latest 与日期后缀
+function normalizeCatalogModelId(value) {
+    let id = readTrimmedString(value).toLowerCase();
+    if (!id) return '';
+    if (id.includes('/')) {
+        id = id.slice(id.lastIndexOf('/') + 1);
+    }
+    return id
+        .replace(/-latest$/, '')
+        .replace(/-(\d{8}|\d{4}-\d{2}-\d{2})$/, '');
+}
+
+function normalizeModelMetadata(raw) {
+    if (!isPlainObject(raw)) return null;
+    const entry = {};
+    const contextWindow = readNonNegativeNumber(raw.contextWindow);
+    const maxTokens = readNonNegativeNumber(raw.maxTokens);
+    if (contextWindow) entry.contextWindow = Math.floor(contextWindow);
+    if (maxTokens) entry.maxTokens = Math.floor(maxTokens);
+    if (typeof raw.reasoning === 'boolean') entry.reasoning = raw.reasoning;
+    if (typeof raw.tools === 'boolean') entry.tools = raw.tools;
+    const costSource = isPlainObject(raw.cost) ? raw.cost : raw;
+    const cost = {};
+    for (const field of COST_FIELDS) {
+        const value = readNonNegativeNumber(costSource[field]);
+        if (value !== null) cost[field] = value;
+    }
+    if (Object.keys(cost).length) entry.cost = cost;
+    return Object.keys(entry).length ? entry : null;
+}
+
+function mergeModelMetadata(base, override) {
+    if (!base && !override) return null;
+    const merged = { ...(base || {}), ...(override || {}) };
+    if ((base && base.cost) || (override && override.cost)) {
+        merged.cost = { ...((base && base.cost) || {}), ...((override && override.cost) || {}) };
+    }
+    return merged;
+}
+
+function scoreModelSimilarity(left, right) {
+    let prefix = 0;
+    while (prefix < left.length && prefix < right.length && left[prefix] === right[prefix]) {
+        prefix += 1;
+    }
+    if (right.includes(left) || left.includes(right)) prefix += 2;
+    return prefix;
+}
+
+// 模型目录：同步各 provider 的 /models 到本地缓存，并合并内置与用户覆盖的能力/价格表
+function createModelCatalogController(deps = {}) {
+    const {
+        MODEL_CATALOG_FILE,
+        MODEL_PRICING_FILE,
+        listProviders,
+        fetchModels,
+        now: nowFn
+    } = deps;
+
+    if (!MODEL_CATALOG_FILE) throw new Error('createModelCatalogController 缺少 MODEL_CATALOG_FILE');
+    if (!MODEL_PRICING_FILE) throw new Error('createModelCatalogController 缺少 MODEL_PRICING_FILE');
+    if (typeof listProviders !== 'function') throw new Error('createModelCatalogController 缺少 listProviders');
+    if (typeof fetchModels !== 'function') throw new Error('createModelCatalogController 缺少 fetchModels');
+    const now = typeof nowFn === 'function' ? nowFn : () => Date.now();
+
+    let syncing = false;
+
+    function readUserModelMetadata() {
+        const raw = readJsonFile(MODEL_PRICING_FILE, {});
+        const models = isPlainObject(raw) && isPlainObject(raw.models) ? raw.models : {};
+        const result = {};
+        for (const [key, value] of Object.entries(models)) {
+            const id = readTrimmedString(key).toLowerCase();
+            const entry = normalizeModelMetadata(value);
+            if (id && entry) result[id] = entry;
+        }
+        return result;
+    }
+
+    // 返回 { id: { ...metadata, source: bundled|user } }，用户条目按字段覆盖内置条目
+    function readModelMetadataTable() {
+        const table = {};
+        for (const [id, entry] of Object.entries(BUNDLED_MODEL_METADATA)) {
+            table[id] = { ...mergeModelMetadata(null, entry), source: 'bundled' };
+        }
+        for (const [id, entry] of Object.entries(readUserModelMetadata())) {
+            table[id] = { ...mergeModelMetadata(table[id] || null, entry), source: 'user' };
+        }
+        return table;
+    }
+
+    // providerModel 为 provider 配置里 models[] 中的同名条目，其 cost/contextWindow 优先级最高
+    function lookupModelMetadata(modelId, options = {}) {
+        const raw = readTrimmedString(modelId);
+        if (!raw) return null;
+        const table = options.table || readModelMetadataTable();
+        const candidates = [raw.toLowerCase(), normalizeCatalogModelId(raw)];
+        let matchedId = '';
+        for (const candidate of candidates) {
+            if (candidate && table[candidate]) {
+                matchedId = candidate;
+                break;
+            }
+        }
+        const providerEntry = normalizeModelMetadata(options.providerModel);
+        if (!matchedId && !providerEntry) return null;
+        const base = matchedId ? table[matchedId] : null;
+        const merged = mergeModelMetadata(base, providerEntry);
+        return {
+            ...merged,
+            id: raw,
+            matchedId,
+            source: providerEntry && providerEntry.cost ? 'provider-config' : (base ? base.source : 'provider-config')
+        };
+    }
+
+    function readCatalogCache() {
+        const raw = readJsonFile(MODEL_CATALOG_FILE, {});
+        return {
+            updatedAt: isPlainObject(raw) ? readTrimmedString(raw.updatedAt) : '',
+            providers: isPlainObject(raw) && isPlainObject(raw.providers) ? raw.providers : {}
+        };
+    }
+
+    async function syncModelCatalog(options = {}) {
+        if (syncing) return { error: '模型目录正在同步' };
+        const only = readTrimmedString(options.provider);
+        let targets = listProviders().filter(item => item && readTrimmedString(item.name));
+        if (only) {
+            targets = targets.filter(item => item.name === only);
+            if (!targets.length) return { error: `提供商不存在: ${only}` };
+        }
+        syncing = true;
+        try {
+            const cache = readCatalogCache();
+            const results = [];
+            for (const target of targets) {
+                const syncedAt = toIsoTime(now());
+                let res;
+                try {
+                    res = await fetchModels(target.baseUrl || '', target.apiKey || '');
+                } catch (e) {
+                    res = { error: e && e.message ? e.message : String(e) };
+                }
+                const previous = isPlainObject(cache.providers[target.name]) ? cache.providers[target.name] : {};
+                let entry;
+                if (res && Array.isArray(res.models)) {
+                    entry = { baseUrl: target.baseUrl || '', status: 'ok', syncedAt, models: res.models.map(readTrimmedString).filter(Boolean) };
+                } else if (res && res.unlimited) {
+                    entry = { baseUrl: target.baseUrl || '', status: 'unlimited', syncedAt, models: [] };
+                } else {
+                    // 同步失败时保留上一次成功的模型列表
+                    entry = {
+                        baseUrl: target.baseUrl || '',
+                        status: 'error',
+                        syncedAt,
+                        error: readTrimmedString(res && res.error) || 'Request failed',
+                        models: previous.baseUrl === (target.baseUrl || '') && Array.isArray(previous.models) ? previous.models : [],
+                        lastSuccessAt: previous.status === 'ok' ? previous.syncedAt : (previous.lastSuccessAt || '')
+                    };
+                }
+                cache.providers[target.name] = entry;
+                results.push({ provider: target.name, status: entry.status, count: entry.models.length, error: entry.error || '' });
+            }
+            if (!only) {
+                const names = new Set(targets.map(item => item.name));
+                for (const name of Object.keys(cache.providers)) {
+                    if (!names.has(name)) delete cache.providers[name];
+                }
+            }
+            const updatedAt = toIsoTime(now());
+            writeJsonAtomic(MODEL_CATALOG_FILE, { version: 1, updatedAt, providers: cache.providers });
+            return { success: true, updatedAt, results };
+        } catch (e) {
+            return { error: `同步模型目录失败: ${e.message}` };
+        } finally {
+            syncing = false;
+        }
+    }
+
+    function buildModelCatalog(options = {}) {
+        const only = readTrimmedString(options.provider);
+        const cache = readCatalogCache();
+        const table = readModelMetadataTable();
+        const providers = Object.entries(cache.providers)
+            .filter(([name, entry]) => isPlainObject(entry) && (!only || name === only))
+            .map(([name, entry]) => ({
+                name,
+                baseUrl: readTrimmedString(entry.baseUrl),
+                status: readTrimmedString(entry.status) || 'ok',
+                syncedAt: readTrimmedString(entry.syncedAt),
+                error: readTrimmedString(entry.error),
+                models: (Array.isArray(entry.models) ? entry.models : []).map((id) => {
+                    const meta = lookupModelMetadata(id, { table });
+                    return meta ? { ...meta } : { id };
+                })
+            }));
+        return {
+            updatedAt: cache.updatedAt,
+            syncing,
+            providers,
+            models: table
+        };
+    }
+
+    // use 命令的模型校验：仅当该 provider 已成功同步过模型列表时才判断是否在列表中
+    function validateModelForProvider(providerName, modelId) {
+        const model = readTrimmedString(modelId);
+        const entry = readCatalogCache().providers[readTrimmedString(providerName)];
+        const metadata = lookupModelMetadata(model);
+        const syncedModels = isPlainObject(entry) && Array.isArray(entry.models) ? entry.models : [];
+        if (!syncedModels.length) {
+            return { status: 'unknown', metadata, suggestions: [] };
+        }
+        const wanted = model.toLowerCase();
+        const normalized = normalizeCatalogModelId(model);
+        const listed = syncedModels.some((item) => {
+            const id = readTrimmedString(item).toLowerCase();
+            return id === wanted || normalizeCatalogModelId(id) === normalized;
+        });
+        if (listed) {
+            return { status: 'listed', metadata, syncedAt: entry.syncedAt || '', suggestions: [] };
+        }
+        const suggestions = syncedModels
+            .map(item => ({ id: item, score: scoreModelSimilarity(wanted, readTrimmedString(item).toLowerCase()) }))
+            .filter(item => item.score >= 3)
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+            .slice(0, 3)
+            .map(item => item.id);
+        return { status: 'unlisted', metadata, syncedAt: entry.syncedAt || '', suggestions };
+    }
+
+    return {
+        readModelMetadataTable,
+        lookupModelMetadata,
+        readCatalogCache,
+        syncModelCatalog,
+        buildModelCatalog,
+        validateModelForProvider
+    };
+}
+
+module.exports = {
+    BUNDLED_MODEL_METADATA,
+    normalizeCatalogModelId,
+    createModelCatalogController
+};
@@ -3,6 +3,14 @@ const https = require('https');
 const crypto = require('crypto');
 const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
 const { isValidHttpUrl, normalizeBaseUrl, joinApiUrl } = require('../lib/cli-utils');
+const {
+    buildChatCompletionsStreamBody,
+    openUpstreamStreamRequest,
+    readUpstreamResponseText,
+    isChatCompletionsEventStream,
+    pipeChatCompletionsStreamAsResponses,
+    shouldRetryChatCompletionsBuffered
+} = require('./chat-completions-stream');
 
 const DEFAULT_BRIDGE_TOKEN = 'codexmate';
 const SETTINGS_VERSION = 1;
@@ -926,17 +934,45 @@ function createOpenaiBridgeHttpHandler(options = {}) {
             }
 
             const upstreamUrl = joinApiUrl(upstream.baseUrl, 'chat/completions');
-            const upstreamResult = await proxyRequestJson(upstreamUrl, {
+            const chatHeaders = {
+                ...(authHeader ? { Authorization: authHeader } : {}),
+                ...upstreamHeaders
+            };
+            const requestChatBuffered = () => proxyRequestJson(upstreamUrl, {
                 method: 'POST',
                 body: converted.chat,
-                headers: {
-                    ...(authHeader ? { Authorization: authHeader } : {}),
-                    ...upstreamHeaders
-                },
+                headers: chatHeaders,
                 maxBytes: maxUpstreamBytes,
                 httpAgent,
                 httpsAgent
             });
+            let upstreamResult;
+            if (converted.streamRequested && wantsSse) {
+                // 流式请求上游 chat/completions，边收边转成 Responses SSE；上游忽略 stream 时退回整包转换。
+                const opened = await openUpstreamStreamRequest(upstreamUrl, {
+                    method: 'POST',
+                    body: buildChatCompletionsStreamBody(converted.chat),
+                    headers: chatHeaders,
+                    httpAgent,
+                    httpsAgent
+                });
+                if (opened.ok && isChatCompletionsEventStream(opened.upstreamRes)) {
+                    await pipeChatCompletionsStreamAsResponses(res, opened.upstreamReq, opened.upstreamRes, {
+                        model: converted.chat.model
+                    });
+                    return;
+                }
+                if (opened.ok && shouldRetryChatCompletionsBuffered(opened.upstreamRes.statusCode)) {
+                    opened.upstreamRes.resume();
+                    upstreamResult = await requestChatBuffered();
+                } else {
+                    upstreamResult = opened.ok
+                        ? await readUpstreamResponseText(opened.upstreamReq, opened.upstreamRes, maxUpstreamBytes)
+                        : opened;
+                }
+            } else {
+                upstreamResult = await requestChatBuffered();
+            }
             if (!upstreamResult.ok) {
                 res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
                 res.end(JSON.stringify({ error: `Upstream request failed: ${upstreamResult.error}` }));
@@ -1,4 +1,5 @@
 const JSON5 = require('json5');
+const { untrackedConfigWrite } = require('./config-history');
 
 function createOpenclawConfigController(deps = {}) {
     const {
@@ -23,7 +24,8 @@ function createOpenclawConfigController(deps = {}) {
         OPENCLAW_DEFAULT_AGENT_ID,
         OPENCLAW_AUTH_PROFILES_FILE_NAME,
         OPENCLAW_AUTH_STATE_FILE_NAME,
-        AGENTS_FILE_NAME
+        AGENTS_FILE_NAME,
+        trackConfigWrite = untrackedConfigWrite
     } = deps;
 
     if (!fs) throw new Error('createOpenclawConfigController 缺少 fs');
@@ -560,7 +562,7 @@ function createOpenclawConfigController(deps = {}) {
         const filePath = path.join(baseDir, nameResult.name);
 
         try {
-            fs.writeFileSync(filePath, finalContent, 'utf-8');
+            trackConfigWrite(filePath, 'apply-openclaw-workspace-file', () => fs.writeFileSync(filePath, finalContent, 'utf-8'));
             return {
                 success: true,
                 path: filePath,
@@ -591,7 +593,7 @@ function createOpenclawConfigController(deps = {}) {
             }
             ensureDir(OPENCLAW_DIR);
             const backupPath = backupFileIfNeededOnce(OPENCLAW_CONFIG_FILE);
-            fs.writeFileSync(OPENCLAW_CONFIG_FILE, normalized, 'utf-8');
+            trackConfigWrite(OPENCLAW_CONFIG_FILE, 'apply-openclaw-config', () => fs.writeFileSync(OPENCLAW_CONFIG_FILE, normalized, 'utf-8'));
             const result = {
                 success: true,
                 targetPath: OPENCLAW_CONFIG_FILE
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDir, readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+
+// 与 Web UI 插件保持一致的变量语法: {{name}}
+const PROMPT_TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+const PROMPT_TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,96}$/;
+const BUILTIN_TEMPLATE_ID_PREFIX = 'builtin_';
+const MCP_PROMPT_NAME_PREFIX = 'codexmate.template.';
+const PROMPT_COMMAND_TOOLS = Object.freeze(['codex', 'claude']);
+const PROMPT_COMMAND_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Codex 自定义 prompt 与 Claude Code 命令都只识别 $1-$9 位置参数
+const MAX_POSITIONAL_ARGUMENTS = 9;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function parsePromptTemplateVariables(text) {
+    const names = new Set();
+    const source = typeof text === 'string' ? text : '';
+    for (const match of source.matchAll(PROMPT_TEMPLATE_VARIABLE_PATTERN)) {
+        names.add(match[1]);
+    }
+    return Array.from(names).sort();
+}
+
+function listVariablesInOrder(text) {
+    const names = [];
+    const source = typeof text === 'string' ? text : '';
+    for (const match of source.matchAll(PROMPT_TEMPLATE_VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+// 缺失的变量按空串渲染，同时在 missing 中列出
+function renderPromptTemplate(text, values = {}) {
+    const source = typeof text === 'string' ? text : '';
+    const map = isPlainObject(values) ? values : {};
+    const missing = new Set();
+    const rendered = source.replace(PROMPT_TEMPLATE_VARIABLE_PATTERN, (_, name) => {
+        const value = map[name];
+        if (value === undefined || value === null || value === '') {
+            missing.add(name);
+            return '';
+        }
+        return String(value);
+    });
+    return { text: rendered, missing: Array.from(missing).sort() };
+}
+
+function normalizeMaintainers(value) {
+    if (!Array.isArray(value)) return [];
+    return [...new Set(value.map(readString).filter(Boolean))];
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+// installs 记录每个工具下由 codexmate 写入的命令文件及其内容摘要，只改动摘要一致的文件
+function normalizeInstalls(value) {
+    const result = {};
+    if (!isPlainObject(value)) return result;
+    for (const tool of PROMPT_COMMAND_TOOLS) {
+        const item = value[tool];
+        if (!isPlainObject(item)) continue;
+        const name = readString(item.name);
+        if (!PROMPT_COMMAND_NAME_PATTERN.test(name)) continue;
+        result[tool] = { name, hash: readString(item.hash), installedAt: readString(item.installedAt) };
+    }
+    return result;
+}
+
+function toCommandName(entry) {
+    const slug = entry.name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+    return slug || entry.id.replace(/\./g, '-').slice(0, 64);
+}
+
+// 单个变量映射为整段 $ARGUMENTS，多个变量按首次出现顺序映射为 $1..$9
+function buildPromptCommandFile(entry) {
+    const variables = listVariablesInOrder(entry.template);
+    if (variables.length > MAX_POSITIONAL_ARGUMENTS) {
+        throw new Error(`命令最多支持 ${MAX_POSITIONAL_ARGUMENTS} 个变量，该模板有 ${variables.length} 个`);
+    }
+    const placeholders = {};
+    variables.forEach((name, index) => {
+        placeholders[name] = variables.length === 1 ? '$ARGUMENTS' : `$${index + 1}`;
+    });
+    const body = entry.template.replace(PROMPT_TEMPLATE_VARIABLE_PATTERN, (_, name) => placeholders[name]);
+    const summary = (entry.description.trim().split(/\r?\n/)[0] || entry.name)
+        .replace(PROMPT_TEMPLATE_VARIABLE_PATTERN, (_, name) => `[${name}]`);
+    const lines = ['---', `description: ${JSON.stringify(summary)}`];
+    if (variables.length) {
+        lines.push(`argument-hint: ${JSON.stringify(variables.map(name => `[${name}]`).join(' '))}`);
+    }
+    lines.push('---', '', body.replace(/\s+$/, ''), '');
+    return lines.join('\n');
+}
+
+function toTemplateEntry(raw) {
+    if (!isPlainObject(raw)) return null;
+    const id = readString(raw.id);
+    if (!PROMPT_TEMPLATE_ID_PATTERN.test(id) || id.startsWith(BUILTIN_TEMPLATE_ID_PREFIX)) return null;
+    return {
+        id,
+        name: readString(raw.name),
+        description: typeof raw.description === 'string' ? raw.description : '',
+        template: typeof raw.template === 'string' ? raw.template : '',
+        createdAt: readString(raw.createdAt),
+        updatedAt: readString(raw.updatedAt),
+        createdBy: readString(raw.createdBy),
+        maintainers: normalizeMaintainers(raw.maintainers),
+        installs: normalizeInstalls(raw.installs)
+    };
+}
+
+function createPromptTemplateId(now) {
+    const rand = Math.random().toString(16).slice(2, 10);
+    return `prompt_${now.toString(16)}_${rand}`;
+}
+
+function createPromptTemplatesController(deps = {}) {
+    const { PROMPT_TEMPLATES_FILE, CODEX_PROMPTS_DIR, CLAUDE_COMMANDS_DIR, now } = deps;
+
+    if (!PROMPT_TEMPLATES_FILE) throw new Error('createPromptTemplatesController 缺少 PROMPT_TEMPLATES_FILE');
+    if (!CODEX_PROMPTS_DIR) throw new Error('createPromptTemplatesController 缺少 CODEX_PROMPTS_DIR');
+    if (!CLAUDE_COMMANDS_DIR) throw new Error('createPromptTemplatesController 缺少 CLAUDE_COMMANDS_DIR');
+    const getNow = typeof now === 'function' ? now : () => Date.now();
+
+    // 内置模板由 Web UI 按语言生成，不落盘
+    function readStore() {
+        const data = readJsonFile(PROMPT_TEMPLATES_FILE, null);
+        const templates = [];
+        const seen = new Set();
+        const list = isPlainObject(data) && Array.isArray(data.templates) ? data.templates : [];
+        for (const raw of list) {
+            const entry = toTemplateEntry(raw);
+            if (!entry || !entry.name || seen.has(entry.id)) continue;
+            seen.add(entry.id);
+            templates.push(entry);
+        }
+        return {
+            version: 1,
+            templates,
+            migratedAt: isPlainObject(data) ? readString(data.migratedAt) : ''
+        };
+    }
+
+    function writeStore(store) {
+        writeJsonAtomic(PROMPT_TEMPLATES_FILE, {
+            version: 1,
+            ...(store.migratedAt ? { migratedAt: store.migratedAt } : {}),
+            templates: store.templates.map(({ installs, ...entry }) => (
+                Object.keys(installs).length ? { ...entry, installs } : entry
+            ))
+        });
+    }
+
+    function resolveCommandPath(tool, name) {
+        return path.join(tool === 'codex' ? CODEX_PROMPTS_DIR : CLAUDE_COMMANDS_DIR, `${name}.md`);
+    }
+
+    function readInstallStatus(filePath, install) {
+        if (!fs.existsSync(filePath)) return 'missing';
+        return hashContent(fs.readFileSync(filePath, 'utf-8')) === install.hash ? 'installed' : 'modified';
+    }
+
+    function describeInstall(tool, install) {
+        const filePath = resolveCommandPath(tool, install.name);
+        return {
+            tool,
+            name: install.name,
+            invoke: tool === 'codex' ? `/prompts:${install.name}` : `/${install.name}`,
+            path: filePath,
+            status: readInstallStatus(filePath, install),
+            installedAt: install.installedAt
+        };
+    }
+
+    function describeTemplate(entry) {
+        const { installs, ...rest } = entry;
+        return {
+            ...rest,
+            isBuiltin: false,
+            variables: parsePromptTemplateVariables(entry.template),
+            commands: PROMPT_COMMAND_TOOLS.filter(tool => installs[tool]).map(tool => describeInstall(tool, installs[tool]))
+        };
+    }
+
+    function writeCommandFile(filePath, content) {
+        ensureDir(path.dirname(filePath));
+        fs.writeFileSync(filePath, content, 'utf-8');
+    }
+
+    // 模板内容变化后重写已安装的命令文件；被手动修改或删除的文件保持不动
+    function syncInstalledCommands(entry) {
+        const results = [];
+        for (const tool of PROMPT_COMMAND_TOOLS) {
+            const install = entry.installs[tool];
+            if (!install) continue;
+            const filePath = resolveCommandPath(tool, install.name);
+            const base = { tool, name: install.name, path: filePath };
+            const status = readInstallStatus(filePath, install);
+            if (status !== 'installed') {
+                results.push({ ...base, action: 'skipped', reason: status === 'modified' ? '命令文件已被手动修改' : '命令文件已被删除' });
+                continue;
+            }
+            try {
+                const content = buildPromptCommandFile(entry);
+                const hash = hashContent(content);
+                if (hash === install.hash) continue;
+                writeCommandFile(filePath, content);
+                entry.installs[tool] = { ...install, hash };
+                results.push({ ...base, action: 'updated' });
+            } catch (e) {
+                results.push({ ...base, action: 'skipped', reason: e.message });
+            }
+        }
+        return results;
+    }
+
+    function removeInstalledCommands(entry) {
+        const results = [];
+        for (const tool of PROMPT_COMMAND_TOOLS) {
+            const install = entry.installs[tool];
+            if (!install) continue;
+            const filePath = resolveCommandPath(tool, install.name);
+            const status = readInstallStatus(filePath, install);
+            if (status === 'modified') {
+                results.push({ tool, name: install.name, path: filePath, action: 'skipped', reason: '命令文件已被手动修改' });
+            } else if (status === 'installed') {
+                fs.unlinkSync(filePath);
+                results.push({ tool, name: install.name, path: filePath, action: 'removed' });
+            }
+        }
+        return results;
+    }
+
+    function validateTemplate(entry) {
+        if (!entry) return '模板 ID 只能包含字母、数字、下划线、点和短横线，且不能以 builtin_ 开头';
+        if (!entry.name) return '模板名称不能为空';
+        if (!entry.template.trim()) return '模板内容不能为空';
+        return '';
+    }
+
+    function listPromptTemplates() {
+        const store = readStore();
+        return {
+            file: PROMPT_TEMPLATES_FILE,
+            migratedAt: store.migratedAt,
+            templates: store.templates.map(describeTemplate)
+        };
+    }
+
+    function getPromptTemplate(params = {}) {
+        const id = readString(params.id);
+        if (!id) return { error: '缺少模板 ID' };
+        const entry = readStore().templates.find(item => item.id === id);
+        if (!entry) return { error: `模板不存在: ${id}` };
+        return { template: describeTemplate(entry) };
+    }
+
+    function savePromptTemplate(params = {}) {
+        const timestamp = new Date(getNow()).toISOString();
+        const id = readString(params.id) || createPromptTemplateId(getNow());
+        const entry = toTemplateEntry({ ...params, id });
+        const error = validateTemplate(entry);
+        if (error) return { error };
+        const store = readStore();
+        const index = store.templates.findIndex(item => item.id === id);
+        const previous = index >= 0 ? store.templates[index] : null;
+        const next = {
+            ...entry,
+            createdAt: previous ? previous.createdAt || timestamp : entry.createdAt || timestamp,
+            updatedAt: timestamp,
+            installs: previous ? previous.installs : {}
+        };
+        if (previous) {
+            store.templates[index] = next;
+        } else {
+            store.templates.unshift(next);
+        }
+        const commands = syncInstalledCommands(next);
+        writeStore(store);
+        return { success: true, created: !previous, template: describeTemplate(next), commands };
+    }
+
+    function deletePromptTemplate(params = {}) {
+        const id = readString(params.id);
+        if (!id) return { error: '缺少模板 ID' };
+        const store = readStore();
+        const removed = store.templates.find(item => item.id === id);
+        if (!removed) return { error: `模板不存在: ${id}` };
+        const commands = removeInstalledCommands(removed);
+        writeStore({ ...store, templates: store.templates.filter(item => item.id !== id) });
+        return { success: true, id, commands };
+    }
+
+    // 默认跳过已存在的 ID；source=localStorage 表示浏览器旧数据的一次性迁移，会记录迁移时间
+    function importPromptTemplates(params = {}) {
+        const list = Array.isArray(params.templates) ? params.templates : [];
+        const overwrite = params.overwrite === true;
+        const store = readStore();
+        const timestamp = new Date(getNow()).toISOString();
+        const result = { added: [], updated: [], skipped: [], commands: [] };
+        for (const raw of list) {
+            if (isPlainObject(raw) && raw.isBuiltin === true) continue;
+            const id = isPlainObject(raw) && readString(raw.id) ? readString(raw.id) : createPromptTemplateId(getNow());
+            const entry = toTemplateEntry({ ...raw, id });
+            const error = validateTemplate(entry);
+            if (error) {
+                result.skipped.push({ id, reason: error });
+                continue;
+            }
+            const index = store.templates.findIndex(item => item.id === id);
+            if (index >= 0 && !overwrite) {
+                result.skipped.push({ id, reason: '模板已存在' });
+                continue;
+            }
+            const next = {
+                ...entry,
+                createdAt: entry.createdAt || timestamp,
+                updatedAt: entry.updatedAt || timestamp,
+                installs: index >= 0 ? store.templates[index].installs : {}
+            };
+            if (index >= 0) {
+                store.templates[index] = next;
+                result.commands.push(...syncInstalledCommands(next));
+                result.updated.push(id);
+            } else {
+                store.templates.push(next);
+                result.added.push(id);
+            }
+        }
+        const migrating = params.source === 'localStorage' && !store.migratedAt;
+        if (migrating) {
+            store.migratedAt = timestamp;
+        }
+        if (migrating || result.added.length || result.updated.length) {
+            writeStore(store);
+        }
+        return { success: true, ...result, migratedAt: store.migratedAt };
+    }
+
+    function renderPromptTemplateById(params = {}) {
+        const found = getPromptTemplate(params);
+        if (found.error) return found;
+        const rendered = renderPromptTemplate(found.template.template, params.values);
+        return {
+            id: found.template.id,
+            name: found.template.name,
+            variables: found.template.variables,
+            missing: rendered.missing,
+            text: rendered.text
+        };
+    }
+
+    function installPromptTemplateCommand(params = {}) {
+        const tool = readString(params.tool).toLowerCase();
+        if (!PROMPT_COMMAND_TOOLS.includes(tool)) {
+            return { error: `未知工具: ${tool || '(空)'}（可选 ${PROMPT_COMMAND_TOOLS.join('/')}）` };
+        }
+        const id = readString(params.id);
+        if (!id) return { error: '缺少模板 ID' };
+        const store = readStore();
+        const entry = store.templates.find(item => item.id === id);
+        if (!entry) return { error: `模板不存在: ${id}` };
+        const previous = entry.installs[tool] || null;
+        const name = readString(params.name) || (previous ? previous.name : toCommandName(entry));
+        if (!PROMPT_COMMAND_NAME_PATTERN.test(name)) {
+            return { error: '命令名只能包含字母、数字、下划线和短横线，最长 64 个字符' };
+        }
+        const owner = store.templates.find(item => item.id !== id && item.installs[tool] && item.installs[tool].name === name);
+        if (owner) return { error: `命令 ${name} 已被模板「${owner.name}」占用` };
+        let content;
+        try {
+            content = buildPromptCommandFile(entry);
+        } catch (e) {
+            return { error: e.message };
+        }
+        const filePath = resolveCommandPath(tool, name);
+        const owned = !!previous && previous.name === name;
+        if (fs.existsSync(filePath) && params.force !== true) {
+            if (!owned) return { error: `${filePath} 已存在且不是由 codexmate 安装，可使用 --force 覆盖`, conflict: true };
+            if (readInstallStatus(filePath, previous) === 'modified') {
+                return { error: `${filePath} 已被手动修改，可使用 --force 覆盖`, conflict: true };
+            }
+        }
+        writeCommandFile(filePath, content);
+        // 改名时清理旧命令文件
+        let removedPath = '';
+        if (previous && !owned) {
+            const oldPath = resolveCommandPath(tool, previous.name);
+            if (readInstallStatus(oldPath, previous) === 'installed') {
+                fs.unlinkSync(oldPath);
+                removedPath = oldPath;
+            }
+        }
+        entry.installs[tool] = { name, hash: hashContent(content), installedAt: new Date(getNow()).toISOString() };
+        writeStore(store);
+        return { success: true, id, command: describeInstall(tool, entry.installs[tool]), removedPath, template: describeTemplate(entry) };
+    }
+
+    function uninstallPromptTemplateCommand(params = {}) {
+        const tool = readString(params.tool).toLowerCase();
+        const id = readString(params.id);
+        const store = readStore();
+        const entry = store.templates.find(item => item.id === id);
+        if (!entry) return { error: id ? `模板不存在: ${id}` : '缺少模板 ID' };
+        const install = PROMPT_COMMAND_TOOLS.includes(tool) ? entry.installs[tool] : null;
+        if (!install) return { error: `模板未安装到 ${tool || '(空)'}` };
+        const filePath = resolveCommandPath(tool, install.name);
+        const status = readInstallStatus(filePath, install);
+        if (status === 'modified' && params.force !== true) {
+            return { error: `${filePath} 已被手动修改，可使用 --force 删除`, conflict: true };
+        }
+        if (status !== 'missing') fs.unlinkSync(filePath);
+        delete entry.installs[tool];
+        writeStore(store);
+        return { success: true, id, tool, name: install.name, path: filePath, removed: status !== 'missing', template: describeTemplate(entry) };
+    }
+
+    // 每个模板对应一个 MCP prompt，模板变量映射为必填参数
+    function buildMcpPrompts() {
+        return readStore().templates.map(entry => ({
+            name: `${MCP_PROMPT_NAME_PREFIX}${entry.id}`,
+            description: entry.description.trim() ? `${entry.name}: ${entry.description.trim()}` : entry.name,
+            arguments: parsePromptTemplateVariables(entry.template).map(name => ({
+                name,
+                description: `Template variable {{${name}}}`,
+                required: true
+            })),
+            get: async (args = {}) => {
+                const rendered = renderPromptTemplateById({ id: entry.id, values: args });
+                if (rendered.error) throw new Error(rendered.error);
+                if (rendered.missing.length) throw new Error(`缺少模板变量: ${rendered.missing.join(', ')}`);
+                return {
+                    messages: [{ role: 'user', content: { type: 'text', text: rendered.text } }]
+                };
+            }
+        }));
+    }
+
+    return {
+        readStore,
+        listPromptTemplates,
+        getPromptTemplate,
+        savePromptTemplate,
+        deletePromptTemplate,
+        importPromptTemplates,
+        renderPromptTemplateById,
+        installPromptTemplateCommand,
+        uninstallPromptTemplateCommand,
+        buildMcpPrompts
+    };
+}
+
+module.exports = {
+    PROMPT_TEMPLATE_ID_PATTERN,
+    PROMPT_COMMAND_TOOLS,
+    buildPromptCommandFile,
+    parsePromptTemplateVariables,
+    renderPromptTemplate,
+    createPromptTemplatesController
+};
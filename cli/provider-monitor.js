@@ -0,0 +1,386 @@
+const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { toIsoTime } = require('../lib/cli-session-utils');
+
+const MAX_SAMPLES_PER_TARGET = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readTrimmedString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function clampInteger(value, min, max, fallback) {
+    const num = Math.floor(Number(value));
+    if (!Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, num));
+}
+
+function buildTargetKey(provider, model) {
+    return `${provider}/${model || '*'}`;
+}
+
+// 把 runRemoteHealthCheck 的结果压缩为一个采样点：状态码、耗时与错误分类
+// 错误分类：timeout / network / auth / not-found / rate-limit / server / http / payload / config
+function classifyHealthReport(report) {
+    const remote = report && isPlainObject(report.remote) ? report.remote : {};
+    const probe = isPlainObject(remote.checks) && isPlainObject(remote.checks.modelProbe) ? remote.checks.modelProbe : null;
+    const issue = report && Array.isArray(report.issues) && report.issues[0] ? report.issues[0] : null;
+    const status = probe && Number.isFinite(probe.status) ? probe.status : 0;
+    const sample = {
+        ok: !issue,
+        status,
+        ms: probe && Number.isFinite(probe.durationMs) ? Math.round(probe.durationMs) : 0,
+        error: ''
+    };
+    if (!issue) return { sample, message: '' };
+    const code = readTrimmedString(issue.code);
+    const message = readTrimmedString(issue.message);
+    if (code === 'remote-model-probe-unreachable') {
+        sample.error = /timeout|timed out|ETIMEDOUT/i.test(message) ? 'timeout' : 'network';
+    } else if (code === 'remote-model-probe-auth-failed') {
+        sample.error = 'auth';
+    } else if (code === 'remote-model-probe-not-found') {
+        sample.error = 'not-found';
+    } else if (code === 'remote-model-probe-error') {
+        sample.error = 'payload';
+    } else if (code.startsWith('remote-skip-')) {
+        sample.error = 'config';
+    } else if (status === 429) {
+        sample.error = 'rate-limit';
+    } else if (status >= 500) {
+        sample.error = 'server';
+    } else {
+        sample.error = 'http';
+    }
+    return { sample, message };
+}
+
+function percentile(sorted, ratio) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * ratio) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function computeUptime(samples) {
+    if (!samples.length) return null;
+    const ok = samples.filter(item => item.ok).length;
+    return Math.round((ok / samples.length) * 10000) / 100;
+}
+
+// 供应商健康监控：run 期间按间隔探测每个 provider 的当前模型，采样写入滚动时间序列；
+// 连续失败（或超过 slowMs）达到 degradeAfter 次时触发 provider.degraded，恢复后触发 provider.recovered。
+function createProviderMonitorController(deps = {}) {
+    const {
+        MONITOR_SETTINGS_FILE,
+        MONITOR_HISTORY_FILE,
+        DEFAULT_MONITOR_SETTINGS,
+        listTargets,
+        probe,
+        notify,
+        now: nowFn
+    } = deps;
+
+    if (!MONITOR_SETTINGS_FILE) throw new Error('createProviderMonitorController 缺少 MONITOR_SETTINGS_FILE');
+    if (!MONITOR_HISTORY_FILE) throw new Error('createProviderMonitorController 缺少 MONITOR_HISTORY_FILE');
+    if (!isPlainObject(DEFAULT_MONITOR_SETTINGS)) {
+        throw new Error('createProviderMonitorController 缺少 DEFAULT_MONITOR_SETTINGS');
+    }
+    if (typeof listTargets !== 'function') throw new Error('createProviderMonitorController 缺少 listTargets');
+    if (typeof probe !== 'function') throw new Error('createProviderMonitorController 缺少 probe');
+    if (notify !== undefined && typeof notify !== 'function') {
+        throw new Error('createProviderMonitorController notify 无效');
+    }
+    const now = typeof nowFn === 'function' ? nowFn : () => Date.now();
+
+    let cachedHistory = null;
+    let running = false;
+    let lastRunAt = 0;
+
+    function normalizeMonitorSettings(raw) {
+        const merged = {
+            ...DEFAULT_MONITOR_SETTINGS,
+            ...(isPlainObject(raw) ? raw : {})
+        };
+        const providers = Array.isArray(merged.providers)
+            ? Array.from(new Set(merged.providers.map(readTrimmedString).filter(Boolean)))
+            : [];
+        return {
+            enabled: merged.enabled === true,
+            intervalSec: clampInteger(merged.intervalSec, 30, 24 * 60 * 60, DEFAULT_MONITOR_SETTINGS.intervalSec),
+            timeoutMs: clampInteger(merged.timeoutMs, 1000, 120000, DEFAULT_MONITOR_SETTINGS.timeoutMs),
+            retentionHours: clampInteger(merged.retentionHours, 1, 24 * 90, DEFAULT_MONITOR_SETTINGS.retentionHours),
+            degradeAfter: clampInteger(merged.degradeAfter, 1, 100, DEFAULT_MONITOR_SETTINGS.degradeAfter),
+            slowMs: clampInteger(merged.slowMs, 0, 600000, DEFAULT_MONITOR_SETTINGS.slowMs),
+            providers
+        };
+    }
+
+    function readMonitorSettings() {
+        return normalizeMonitorSettings(readJsonFile(MONITOR_SETTINGS_FILE, {}));
+    }
+
+    function saveMonitorSettings(payload = {}) {
+        const next = normalizeMonitorSettings({
+            ...readMonitorSettings(),
+            ...(isPlainObject(payload) ? payload : {})
+        });
+        try {
+            writeJsonAtomic(MONITOR_SETTINGS_FILE, next);
+        } catch (e) {
+            return { error: `保存健康监控设置失败: ${e.message}` };
+        }
+        return { success: true, settings: next };
+    }
+
+    function readHistory() {
+        if (!cachedHistory) {
+            const raw = readJsonFile(MONITOR_HISTORY_FILE, {});
+            cachedHistory = {
+                series: isPlainObject(raw) && isPlainObject(raw.series) ? raw.series : {},
+                states: isPlainObject(raw) && isPlainObject(raw.states) ? raw.states : {}
+            };
+        }
+        return cachedHistory;
+    }
+
+    function persistHistory() {
+        const history = readHistory();
+        try {
+            writeJsonAtomic(MONITOR_HISTORY_FILE, {
+                version: 1,
+                updatedAt: toIsoTime(now()),
+                series: history.series,
+                states: history.states
+            });
+        } catch (e) {
+            console.warn(`! 写入供应商健康记录失败: ${e.message}`);
+        }
+    }
+
+    function pruneHistory(settings, at) {
+        const history = readHistory();
+        const cutoff = at - settings.retentionHours * 60 * 60 * 1000;
+        for (const key of Object.keys(history.series)) {
+            const entry = isPlainObject(history.series[key]) ? history.series[key] : null;
+            const samples = entry && Array.isArray(entry.samples)
+                ? entry.samples.filter(item => isPlainObject(item) && Number(item.t) >= cutoff)
+                : [];
+            if (!samples.length) {
+                delete history.series[key];
+                delete history.states[key];
+                continue;
+            }
+            entry.samples = samples.slice(-MAX_SAMPLES_PER_TARGET);
+        }
+    }
+
+    function emitHealthEvent(eventType, payload) {
+        if (!notify) return;
+        const warn = (e) => console.warn(`! 供应商健康通知发送失败: ${e && e.message ? e.message : e}`);
+        try {
+            const pending = notify(eventType, payload);
+            if (pending && typeof pending.catch === 'function') {
+                pending.catch(warn);
+            }
+        } catch (e) {
+            warn(e);
+        }
+    }
+
+    function recordSample(target, sample, message = '', settings = readMonitorSettings()) {
+        const provider = readTrimmedString(target && target.provider);
+        const model = readTrimmedString(target && target.model);
+        if (!provider) return null;
+        const key = buildTargetKey(provider, model);
+        const history = readHistory();
+        const entry = isPlainObject(history.series[key]) ? history.series[key] : { provider, model, samples: [] };
+        if (!Array.isArray(entry.samples)) entry.samples = [];
+        const point = {
+            t: Number.isFinite(sample.t) ? sample.t : now(),
+            ok: sample.ok === true,
+            status: Number(sample.status) || 0,
+            ms: Number(sample.ms) || 0,
+            error: readTrimmedString(sample.error)
+        };
+        entry.samples.push(point);
+        history.series[key] = entry;
+
+        const previous = isPlainObject(history.states[key]) ? history.states[key] : { state: 'healthy', failures: 0 };
+        const slow = point.ok && settings.slowMs > 0 && point.ms > settings.slowMs;
+        const state = {
+            state: previous.state === 'degraded' ? 'degraded' : 'healthy',
+            failures: point.ok && !slow ? 0 : (Number(previous.failures) || 0) + 1,
+            since: previous.since || toIsoTime(point.t),
+            lastError: point.ok ? (slow ? 'slow' : '') : point.error,
+            lastMessage: point.ok ? '' : message
+        };
+        let eventType = '';
+        if (state.state === 'healthy' && state.failures >= settings.degradeAfter) {
+            state.state = 'degraded';
+            state.since = toIsoTime(point.t);
+            eventType = 'provider.degraded';
+        } else if (state.state === 'degraded' && state.failures === 0) {
+            state.state = 'healthy';
+            state.since = toIsoTime(point.t);
+            eventType = 'provider.recovered';
+        }
+        history.states[key] = state;
+        if (eventType) {
+            const recent = entry.samples.filter(item => item.t >= point.t - DAY_MS);
+            emitHealthEvent(eventType, {
+                kind: 'provider-health',
+                event: eventType,
+                provider,
+                model,
+                state: state.state,
+                errorClass: state.lastError,
+                status: point.status,
+                latencyMs: point.ms,
+                consecutiveFailures: state.failures,
+                uptime24h: computeUptime(recent),
+                message: state.lastMessage,
+                at: toIsoTime(point.t)
+            });
+        }
+        return { key, sample: point, state };
+    }
+
+    async function runMonitorRound(options = {}) {
+        if (running) return { error: '健康探测正在进行中' };
+        running = true;
+        try {
+            const settings = readMonitorSettings();
+            let targets = listTargets();
+            if (settings.providers.length) {
+                targets = targets.filter(item => settings.providers.includes(item.provider));
+            }
+            if (options.provider) {
+                targets = targets.filter(item => item.provider === options.provider);
+            }
+            const results = [];
+            // 单核环境下逐个探测，避免同时发出大量请求
+            for (const target of targets) {
+                let report;
+                const startedAt = now();
+                try {
+                    report = await probe(target, { timeoutMs: settings.timeoutMs });
+                } catch (e) {
+                    report = {
+                        issues: [{ code: 'remote-model-probe-unreachable', message: e && e.message ? e.message : String(e) }],
+                        remote: null
+                    };
+                }
+                const { sample, message } = classifyHealthReport(report);
+                sample.t = startedAt;
+                results.push(recordSample(target, sample, message, settings));
+            }
+            lastRunAt = now();
+            pruneHistory(settings, lastRunAt);
+            persistHistory();
+            return { success: true, results: results.filter(Boolean) };
+        } finally {
+            running = false;
+        }
+    }
+
+    function summarizeSeries(key, entry, state, at, points) {
+        const samples = Array.isArray(entry.samples) ? entry.samples : [];
+        const recent = samples.filter(item => item.t >= at - DAY_MS);
+        const latencies = recent.filter(item => item.ok).map(item => item.ms).sort((a, b) => a - b);
+        const errors = {};
+        for (const item of recent) {
+            if (!item.ok && item.error) errors[item.error] = (errors[item.error] || 0) + 1;
+        }
+        const last = samples[samples.length - 1] || null;
+        return {
+            key,
+            provider: entry.provider || '',
+            model: entry.model || '',
+            state: state && state.state === 'degraded' ? 'degraded' : 'healthy',
+            since: state && state.since ? state.since : '',
+            consecutiveFailures: state ? Number(state.failures) || 0 : 0,
+            lastError: state ? state.lastError || '' : '',
+            lastMessage: state ? state.lastMessage || '' : '',
+            lastSample: last ? { ...last, at: toIsoTime(last.t) } : null,
+            sampleCount: samples.length,
+            uptime24h: computeUptime(recent),
+            uptimeAll: computeUptime(samples),
+            avgMs24h: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+            p95Ms24h: percentile(latencies, 0.95),
+            errors24h: errors,
+            points: samples.slice(-points).map(item => ({ t: item.t, ok: item.ok, ms: item.ms, status: item.status, error: item.error }))
+        };
+    }
+
+    function getHealthStatus(options = {}) {
+        const settings = readMonitorSettings();
+        const history = readHistory();
+        const at = now();
+        const points = clampInteger(options.points, 1, 500, 48);
+        const provider = readTrimmedString(options.provider);
+        const targets = Object.keys(history.series)
+            .map(key => summarizeSeries(key, history.series[key], history.states[key], at, points))
+            .filter(item => !provider || item.provider === provider)
+            .sort((a, b) => a.key.localeCompare(b.key));
+        return {
+            settings,
+            running,
+            lastRunAt: lastRunAt ? toIsoTime(lastRunAt) : '',
+            targets
+        };
+    }
+
+    function clearHealthHistory() {
+        cachedHistory = { series: {}, states: {} };
+        persistHistory();
+        return { success: true };
+    }
+
+    // 每轮结束后按最新设置安排下一轮，设置修改无需重启 run
+    function startProviderMonitor(options = {}) {
+        let timer = null;
+        let stopped = false;
+        const schedule = (delayMs) => {
+            if (stopped) return;
+            timer = setTimeout(tick, delayMs);
+            if (timer && typeof timer.unref === 'function') {
+                timer.unref();
+            }
+        };
+        const tick = async () => {
+            const settings = readMonitorSettings();
+            if (settings.enabled) {
+                try {
+                    await runMonitorRound();
+                } catch (e) {
+                    console.warn(`! 供应商健康探测失败: ${e.message}`);
+                }
+            }
+            schedule(readMonitorSettings().intervalSec * 1000);
+        };
+        schedule(Number.isFinite(options.initialDelayMs) ? options.initialDelayMs : 5000);
+        return () => {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+        };
+    }
+
+    return {
+        readMonitorSettings,
+        saveMonitorSettings,
+        recordSample,
+        runMonitorRound,
+        getHealthStatus,
+        clearHealthHistory,
+        startProviderMonitor
+    };
+}
+
+module.exports = {
+    classifyHealthReport,
+    createProviderMonitorController
+};
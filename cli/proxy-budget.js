@@ -0,0 +1,394 @@
+// 代理预算：按 provider / model 维度统计每日或每月的 token 与费用，超额后由代理直接返回 429。
+// 计数持久化到本地状态文件，越过 warnRatio 与 100% 时各通知一次（每个周期）。
+const fs = require('fs');
+const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { toIsoTime } = require('../lib/cli-session-utils');
+const { observeResponseUsage } = require('./proxy-usage');
+
+const PROXY_BUDGET_PERIODS = Object.freeze(['daily', 'monthly']);
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readTrimmedString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function readPositiveNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+function readPrice(value) {
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : 0;
+}
+
+function roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function padDatePart(value) {
+    return String(value).padStart(2, '0');
+}
+
+// 统计窗口按本地时间划分：daily 以自然日、monthly 以自然月为周期，跨周期时计数自动归零
+function resolveBudgetWindow(period, at) {
+    const date = new Date(at);
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    if (period === 'monthly') {
+        return {
+            key: `${year}-${padDatePart(month + 1)}`,
+            resetsAt: new Date(year, month + 1, 1).getTime()
+        };
+    }
+    return {
+        key: `${year}-${padDatePart(month + 1)}-${padDatePart(date.getDate())}`,
+        resetsAt: new Date(year, month, date.getDate() + 1).getTime()
+    };
+}
+
+function normalizeBudgetEntry(raw) {
+    if (!isPlainObject(raw)) return null;
+    const provider = readTrimmedString(raw.provider);
+    const model = readTrimmedString(raw.model);
+    const period = PROXY_BUDGET_PERIODS.includes(readTrimmedString(raw.period).toLowerCase())
+        ? readTrimmedString(raw.period).toLowerCase()
+        : 'daily';
+    const maxTokens = readPositiveNumber(raw.maxTokens);
+    const maxUsd = readPositiveNumber(raw.maxUsd);
+    if (maxTokens === null && maxUsd === null) return null;
+    return {
+        id: readTrimmedString(raw.id) || `${provider || '*'}:${model || '*'}:${period}`,
+        provider,
+        model,
+        period,
+        maxTokens: maxTokens === null ? null : Math.floor(maxTokens),
+        maxUsd
+    };
+}
+
+// 价格单位与 provider models[].cost 一致：USD / 1M tokens
+function normalizeBudgetPricing(raw) {
+    const result = {};
+    if (!isPlainObject(raw)) return result;
+    for (const [key, value] of Object.entries(raw)) {
+        const name = readTrimmedString(key);
+        if (!name || !isPlainObject(value)) continue;
+        result[name] = {
+            input: readPrice(value.input),
+            output: readPrice(value.output)
+        };
+    }
+    return result;
+}
+
+function matchesBudget(budget, provider, model) {
+    if (budget.provider && budget.provider !== provider) return false;
+    if (budget.model && budget.model !== model) return false;
+    return true;
+}
+
+function readBudgetRatio(budget, counter) {
+    const ratios = [];
+    if (budget.maxTokens) ratios.push(counter.tokens / budget.maxTokens);
+    if (budget.maxUsd) ratios.push(counter.usd / budget.maxUsd);
+    return ratios.length ? Math.max(...ratios) : 0;
+}
+
+// 以 size + mtime 标识文件版本，文件不存在时为空串
+function readFileStamp(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return `${stat.size}:${stat.mtimeMs}`;
+    } catch (_) {
+        return '';
+    }
+}
+
+function createProxyBudgetController(deps = {}) {
+    const {
+        BUDGET_SETTINGS_FILE,
+        BUDGET_STATE_FILE,
+        DEFAULT_BUDGET_SETTINGS,
+        notify,
+        now: nowFn
+    } = deps;
+
+    if (!BUDGET_SETTINGS_FILE) throw new Error('createProxyBudgetController 缺少 BUDGET_SETTINGS_FILE');
+    if (!BUDGET_STATE_FILE) throw new Error('createProxyBudgetController 缺少 BUDGET_STATE_FILE');
+    if (!DEFAULT_BUDGET_SETTINGS || typeof DEFAULT_BUDGET_SETTINGS !== 'object') {
+        throw new Error('createProxyBudgetController 缺少 DEFAULT_BUDGET_SETTINGS');
+    }
+    if (notify !== undefined && typeof notify !== 'function') {
+        throw new Error('createProxyBudgetController notify 无效');
+    }
+    const now = typeof nowFn === 'function' ? nowFn : () => Date.now();
+
+    // CLI 或其它进程可能直接改写文件，文件版本变化时重新读取
+    let cachedSettings = null;
+    let cachedSettingsStamp = '';
+    let cachedState = null;
+    let cachedStateStamp = '';
+
+    function normalizeBudgetSettings(raw) {
+        const merged = {
+            ...DEFAULT_BUDGET_SETTINGS,
+            ...(isPlainObject(raw) ? raw : {})
+        };
+        const warnRatio = Number(merged.warnRatio);
+        const budgets = [];
+        const seen = new Set();
+        for (const item of Array.isArray(merged.budgets) ? merged.budgets : []) {
+            const budget = normalizeBudgetEntry(item);
+            if (!budget || seen.has(budget.id)) continue;
+            seen.add(budget.id);
+            budgets.push(budget);
+        }
+        return {
+            enabled: merged.enabled === true,
+            warnRatio: Number.isFinite(warnRatio) && warnRatio > 0 && warnRatio <= 1
+                ? warnRatio
+                : DEFAULT_BUDGET_SETTINGS.warnRatio,
+            budgets,
+            pricing: normalizeBudgetPricing(merged.pricing)
+        };
+    }
+
+    function readBudgetSettings() {
+        const stamp = readFileStamp(BUDGET_SETTINGS_FILE);
+        if (!cachedSettings || stamp !== cachedSettingsStamp) {
+            cachedSettings = normalizeBudgetSettings(readJsonFile(BUDGET_SETTINGS_FILE, {}));
+            cachedSettingsStamp = stamp;
+        }
+        return cachedSettings;
+    }
+
+    function saveBudgetSettings(payload = {}) {
+        const next = normalizeBudgetSettings({
+            ...readBudgetSettings(),
+            ...(isPlainObject(payload) ? payload : {})
+        });
+        try {
+            writeJsonAtomic(BUDGET_SETTINGS_FILE, next);
+        } catch (e) {
+            return { error: `保存预算设置失败: ${e.message}` };
+        }
+        cachedSettings = next;
+        cachedSettingsStamp = readFileStamp(BUDGET_SETTINGS_FILE);
+        return { success: true, settings: next };
+    }
+
+    function readBudgetState() {
+        const stamp = readFileStamp(BUDGET_STATE_FILE);
+        if (!cachedState || stamp !== cachedStateStamp) {
+            const raw = readJsonFile(BUDGET_STATE_FILE, {});
+            cachedState = { counters: isPlainObject(raw) && isPlainObject(raw.counters) ? raw.counters : {} };
+            cachedStateStamp = stamp;
+        }
+        return cachedState;
+    }
+
+    function persistBudgetState() {
+        try {
+            writeJsonAtomic(BUDGET_STATE_FILE, { counters: readBudgetState().counters, updatedAt: toIsoTime(now()) });
+            cachedStateStamp = readFileStamp(BUDGET_STATE_FILE);
+        } catch (e) {
+            console.warn(`! 写入预算计数失败: ${e.message}`);
+        }
+    }
+
+    // 读取当前周期的计数；周期已切换时返回空计数（写入时才会覆盖旧周期）
+    function readCounter(budget, at) {
+        const window = resolveBudgetWindow(budget.period, at);
+        const stored = readBudgetState().counters[budget.id];
+        if (isPlainObject(stored) && stored.period === window.key) {
+            return {
+                period: window.key,
+                tokens: Number(stored.tokens) || 0,
+                usd: Number(stored.usd) || 0,
+                requests: Number(stored.requests) || 0,
+                warned: stored.warned === true,
+                exceeded: stored.exceeded === true,
+                resetsAt: window.resetsAt
+            };
+        }
+        return { period: window.key, tokens: 0, usd: 0, requests: 0, warned: false, exceeded: false, resetsAt: window.resetsAt };
+    }
+
+    function buildBudgetStatusEntry(budget, counter, settings) {
+        const ratio = readBudgetRatio(budget, counter);
+        return {
+            ...budget,
+            periodKey: counter.period,
+            usedTokens: counter.tokens,
+            usedUsd: roundUsd(counter.usd),
+            requests: counter.requests,
+            remainingTokens: budget.maxTokens ? Math.max(0, budget.maxTokens - counter.tokens) : null,
+            remainingUsd: budget.maxUsd ? roundUsd(Math.max(0, budget.maxUsd - counter.usd)) : null,
+            ratio: Math.round(ratio * 10000) / 10000,
+            state: ratio >= 1 ? 'exceeded' : (ratio >= settings.warnRatio ? 'warning' : 'ok'),
+            resetsAt: toIsoTime(counter.resetsAt)
+        };
+    }
+
+    function isBudgetActive() {
+        const settings = readBudgetSettings();
+        return settings.enabled && settings.budgets.length > 0;
+    }
+
+    // 返回 null 表示放行；否则给出第一个已超额的预算与 Retry-After 秒数
+    function checkBudget(params = {}) {
+        const settings = readBudgetSettings();
+        if (!settings.enabled) return null;
+        const provider = readTrimmedString(params.provider);
+        const model = readTrimmedString(params.model);
+        const at = now();
+        for (const budget of settings.budgets) {
+            if (!matchesBudget(budget, provider, model)) continue;
+            const counter = readCounter(budget, at);
+            if (readBudgetRatio(budget, counter) < 1) continue;
+            const scope = [budget.provider || '*', budget.model || '*'].join('/');
+            return {
+                budget: buildBudgetStatusEntry(budget, counter, settings),
+                retryAfterSec: Math.max(1, Math.ceil((counter.resetsAt - at) / 1000)),
+                message: `Budget exceeded for ${scope} (${budget.period}); resets at ${toIsoTime(counter.resetsAt)}`
+            };
+        }
+        return null;
+    }
+
+    function estimateUsageCost(settings, provider, model, usage) {
+        const price = settings.pricing[`${provider}/${model}`] || settings.pricing[model];
+        if (!price) return 0;
+        return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    }
+
+    function emitBudgetEvent(eventType, entry, provider, model) {
+        if (!notify) return;
+        const payload = {
+            kind: 'budget',
+            event: eventType,
+            budgetId: entry.id,
+            provider,
+            model,
+            period: entry.period,
+            periodKey: entry.periodKey,
+            usedTokens: entry.usedTokens,
+            maxTokens: entry.maxTokens,
+            usedUsd: entry.usedUsd,
+            maxUsd: entry.maxUsd,
+            ratio: entry.ratio,
+            resetsAt: entry.resetsAt
+        };
+        const warn = (e) => console.warn(`! 预算通知发送失败: ${e && e.message ? e.message : e}`);
+        try {
+            const pending = notify(eventType, payload);
+            if (pending && typeof pending.catch === 'function') {
+                pending.catch(warn);
+            }
+        } catch (e) {
+            warn(e);
+        }
+    }
+
+    function recordBudgetUsage(params = {}) {
+        const settings = readBudgetSettings();
+        const usage = params.usage;
+        if (!settings.enabled || !usage || !(usage.totalTokens > 0)) return;
+        const provider = readTrimmedString(params.provider);
+        const model = readTrimmedString(params.model);
+        const at = now();
+        const usd = estimateUsageCost(settings, provider, model, usage);
+        const counters = readBudgetState().counters;
+        let changed = false;
+        for (const budget of settings.budgets) {
+            if (!matchesBudget(budget, provider, model)) continue;
+            const counter = readCounter(budget, at);
+            counter.tokens += usage.totalTokens;
+            counter.usd += usd;
+            counter.requests += 1;
+            const entry = buildBudgetStatusEntry(budget, counter, settings);
+            if (entry.ratio >= settings.warnRatio && !counter.warned) {
+                counter.warned = true;
+                emitBudgetEvent('budget.warning', entry, provider, model);
+            }
+            if (entry.ratio >= 1 && !counter.exceeded) {
+                counter.exceeded = true;
+                emitBudgetEvent('budget.exceeded', entry, provider, model);
+            }
+            counters[budget.id] = {
+                period: counter.period,
+                tokens: counter.tokens,
+                usd: roundUsd(counter.usd),
+                requests: counter.requests,
+                warned: counter.warned,
+                exceeded: counter.exceeded
+            };
+            changed = true;
+        }
+        if (changed) {
+            persistBudgetState();
+        }
+    }
+
+    // 在响应结束后按实际返回的 usage 计数；故障转移时调用方通过 setProvider 更新实际服务的上游。
+    function trackBudgetUsage(res, meta = {}) {
+        if (!isBudgetActive()) return null;
+        let provider = readTrimmedString(meta.provider);
+        const model = readTrimmedString(meta.model);
+        observeResponseUsage(res, (usage) => {
+            recordBudgetUsage({ provider, model, usage });
+        });
+        return {
+            setProvider(name) {
+                provider = readTrimmedString(name);
+            }
+        };
+    }
+
+    function getBudgetStatus() {
+        const settings = readBudgetSettings();
+        const at = now();
+        return {
+            enabled: settings.enabled,
+            warnRatio: settings.warnRatio,
+            budgets: settings.budgets.map((budget) => buildBudgetStatusEntry(budget, readCounter(budget, at), settings))
+        };
+    }
+
+    function resetBudgetUsage(id) {
+        const targetId = readTrimmedString(id);
+        const counters = readBudgetState().counters;
+        if (targetId) {
+            if (!counters[targetId]) {
+                return { error: `预算不存在或尚无计数: ${targetId}` };
+            }
+            delete counters[targetId];
+        } else {
+            for (const key of Object.keys(counters)) {
+                delete counters[key];
+            }
+        }
+        persistBudgetState();
+        return { success: true, status: getBudgetStatus() };
+    }
+
+    return {
+        normalizeBudgetSettings,
+        readBudgetSettings,
+        saveBudgetSettings,
+        isBudgetActive,
+        checkBudget,
+        recordBudgetUsage,
+        trackBudgetUsage,
+        getBudgetStatus,
+        resetBudgetUsage
+    };
+}
+
+module.exports = {
+    createProxyBudgetController
+};
@@ -0,0 +1,154 @@
+const { createSseParser, isEventStreamContentType } = require('../lib/cli-sse-utils');
+
+// 非流式响应只在体积可控时解析 usage，避免为超大响应缓存整包
+const MAX_USAGE_JSON_BYTES = 4 * 1024 * 1024;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readTokenCount(value) {
+    return Number.isFinite(value) && value >= 0 ? Number(value) : null;
+}
+
+// 兼容 Responses / Chat Completions / Anthropic 三种 usage 结构
+function normalizeProxyUsage(usage) {
+    if (!isPlainObject(usage)) return null;
+    const input = readTokenCount(usage.input_tokens) ?? readTokenCount(usage.prompt_tokens);
+    const output = readTokenCount(usage.output_tokens) ?? readTokenCount(usage.completion_tokens);
+    let total = readTokenCount(usage.total_tokens);
+    if (input === null && output === null && total === null) return null;
+    if (total === null) {
+        total = (input || 0) + (output || 0);
+    }
+    return {
+        inputTokens: input || 0,
+        outputTokens: output || 0,
+        totalTokens: total
+    };
+}
+
+// Anthropic 流式响应把 input/output 分别放在 message_start 与 message_delta 中，需要逐项合并
+function mergeProxyUsage(current, next) {
+    if (!next) return current;
+    if (!current) return next;
+    const inputTokens = next.inputTokens || current.inputTokens;
+    const outputTokens = next.outputTokens || current.outputTokens;
+    return {
+        inputTokens,
+        outputTokens,
+        totalTokens: Math.max(next.totalTokens, inputTokens + outputTokens)
+    };
+}
+
+function extractProxyUsageFromPayload(payload) {
+    if (!isPlainObject(payload)) return null;
+    if (isPlainObject(payload.response)) {
+        return normalizeProxyUsage(payload.response.usage);
+    }
+    if (isPlainObject(payload.message)) {
+        return normalizeProxyUsage(payload.message.usage);
+    }
+    return normalizeProxyUsage(payload.usage);
+}
+
+function extractProxyUsageFromText(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    try {
+        return extractProxyUsageFromPayload(JSON.parse(text));
+    } catch (_) {
+        return null;
+    }
+}
+
+function toBodyBuffer(value, encoding) {
+    if (value === undefined || value === null) return null;
+    if (Buffer.isBuffer(value)) return value;
+    if (value instanceof Uint8Array) return Buffer.from(value);
+    if (typeof value === 'string') {
+        return Buffer.from(value, typeof encoding === 'string' && Buffer.isEncoding(encoding) ? encoding : 'utf-8');
+    }
+    return Buffer.from(JSON.stringify(value), 'utf-8');
+}
+
+function readContentTypeHeader(headers) {
+    if (!isPlainObject(headers)) return '';
+    const key = Object.keys(headers).find((name) => name.toLowerCase() === 'content-type');
+    return key ? headers[key] : '';
+}
+
+// 旁路观察代理写回客户端的响应并提取 usage：SSE 逐事件解析，JSON 在结束时整体解析。
+// 通过包装 res.writeHead/write/end 实现，不改变写出的内容；连接结束（finish/close）时回调 onUsage(usage|null)。
+function observeResponseUsage(res, onUsage) {
+    const chunks = [];
+    let size = 0;
+    let overflow = false;
+    let usage = null;
+    let done = false;
+    // writeHead(status, headers) 传入的头不会出现在 getHeader() 中，需要单独记下
+    let writeHeadContentType = '';
+    const isStream = () => isEventStreamContentType(res.getHeader('content-type'))
+        || isEventStreamContentType(writeHeadContentType);
+    const sseParser = createSseParser((sseEvent) => {
+        usage = mergeProxyUsage(usage, extractProxyUsageFromPayload(sseEvent.data));
+    });
+
+    const observe = (chunk, encoding) => {
+        if (done) return;
+        const buffer = toBodyBuffer(typeof chunk === 'function' ? null : chunk, encoding);
+        if (!buffer || !buffer.length) return;
+        if (isStream()) {
+            sseParser.push(buffer);
+            return;
+        }
+        if (overflow) return;
+        if (size + buffer.length > MAX_USAGE_JSON_BYTES) {
+            overflow = true;
+            chunks.length = 0;
+            return;
+        }
+        chunks.push(buffer);
+        size += buffer.length;
+    };
+
+    const originalWriteHead = res.writeHead;
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    res.writeHead = function writeHead(statusCode, ...rest) {
+        const contentType = readContentTypeHeader(rest.find((item) => isPlainObject(item)));
+        if (contentType) {
+            writeHeadContentType = contentType;
+        }
+        return originalWriteHead.call(this, statusCode, ...rest);
+    };
+    res.write = function write(chunk, encoding, ...rest) {
+        observe(chunk, encoding);
+        return originalWrite.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function end(chunk, encoding, ...rest) {
+        observe(chunk, encoding);
+        return originalEnd.call(this, chunk, encoding, ...rest);
+    };
+
+    const finish = () => {
+        if (done) return;
+        done = true;
+        if (isStream()) {
+            sseParser.flush();
+        } else if (!overflow && chunks.length) {
+            usage = extractProxyUsageFromText(Buffer.concat(chunks).toString('utf-8'));
+        }
+        onUsage(usage, res.statusCode || 0);
+    };
+    res.once('finish', finish);
+    res.once('close', finish);
+}
+
+module.exports = {
+    normalizeProxyUsage,
+    mergeProxyUsage,
+    extractProxyUsageFromPayload,
+    extractProxyUsageFromText,
+    toBodyBuffer,
+    observeResponseUsage
+};
@@ -0,0 +1,484 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile } = require('../lib/cli-file-utils');
+const { readJsonlFrom } = require('./usage-ledger');
+const { resolveSessionSearchTimeRange } = require('./session-search-index');
+
+const ANALYTICS_SOURCES = Object.freeze(['codex', 'claude', 'gemini', 'codebuddy']);
+const ANALYTICS_TOP_LIMIT = 30;
+const ANALYTICS_RECENT_COMMANDS = 10;
+// 距最后一次提问超过该时长仍无回复才视为放弃，避免把正在进行的会话算进去
+const ABANDONED_IDLE_MS = 30 * 60 * 1000;
+// 超过该间隔的回复多为隔天续聊，不计入响应延迟
+const MAX_REPLY_LATENCY_MS = 60 * 60 * 1000;
+const LATENCY_BUCKETS = Object.freeze([
+    { key: 'lt5s', maxMs: 5000 },
+    { key: '5to15s', maxMs: 15000 },
+    { key: '15to60s', maxMs: 60000 },
+    { key: '1to5m', maxMs: 300000 },
+    { key: 'gt5m', maxMs: Infinity }
+]);
+const SHELL_TOOL_NAMES = new Set(['shell', 'shell_command', 'exec_command', 'local_shell', 'bash', 'run_shell_command', 'execute_command', 'run_command']);
+const SHELL_WRAPPERS = new Set(['bash', 'sh', 'zsh', 'pwsh', 'powershell', 'cmd']);
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function parseTime(value) {
+    const parsed = Date.parse(readString(value));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseArguments(value) {
+    if (isPlainObject(value)) return value;
+    try {
+        const parsed = JSON.parse(readString(value) || '{}');
+        return isPlainObject(parsed) ? parsed : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function readContentText(content) {
+    if (typeof content === 'string') return content.trim();
+    return (Array.isArray(content) ? content : [])
+        .map(item => (isPlainObject(item) && typeof item.text === 'string' ? item.text : ''))
+        .join('\n')
+        .trim();
+}
+
+// 命令可能是 ["bash", "-lc", "脚本"] 数组或字符串
+function readShellCommand(name, input) {
+    if (!SHELL_TOOL_NAMES.has(readString(name).toLowerCase())) return '';
+    let command = input.command !== undefined ? input.command : input.cmd;
+    if (Array.isArray(command)) {
+        const parts = command.map(item => String(item));
+        const wrapper = parts.length >= 3 && SHELL_WRAPPERS.has(path.basename(parts[0]).toLowerCase()) && /^(-\w*c|\/c)$/i.test(parts[1]);
+        command = wrapper ? parts.slice(2).join(' ') : parts.join(' ');
+    }
+    return readString(command);
+}
+
+// 取第一个不是 cd / 环境变量赋值的可执行程序名
+function readShellProgram(command) {
+    for (const segment of command.split(/&&|\|\||;|\n/)) {
+        const words = segment.trim().split(/\s+/).filter(Boolean);
+        while (words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) words.shift();
+        if (words[0] === 'sudo' || words[0] === 'env') words.shift();
+        const program = words.length ? path.basename(words[0].replace(/^["']|["']$/g, '')) : '';
+        if (program && program !== 'cd') return program;
+    }
+    return '';
+}
+
+// Codex 的工具输出可能是 {"metadata":{"exit_code":1}} JSON，或以 "Exit code: 1" 开头的文本
+function isCodexOutputFailure(output) {
+    if (isPlainObject(output)) return output.success === false;
+    const text = readString(output);
+    if (!text) return false;
+    if (text.startsWith('{')) {
+        const parsed = parseArguments(text);
+        const exitCode = isPlainObject(parsed.metadata) ? parsed.metadata.exit_code : parsed.exit_code;
+        if (exitCode !== undefined) return Number(exitCode) !== 0;
+    }
+    const match = /^(?:Exit code|Process exited with code):?\s*(-?\d+)/im.exec(text);
+    return match ? Number(match[1]) !== 0 : false;
+}
+
+function createSessionScan() {
+    return {
+        sessionId: '',
+        cwd: '',
+        calls: new Map(),
+        pendingPromptAt: null,
+        pendingPromptText: '',
+        lastPromptAt: null,
+        latencies: []
+    };
+}
+
+function noteCall(scan, id, name, input, timeMs) {
+    const key = id || `#${scan.calls.size}`;
+    const command = readShellCommand(name, input);
+    scan.calls.set(key, {
+        name: readString(name) || 'unknown',
+        command,
+        program: command ? readShellProgram(command) : '',
+        t: timeMs,
+        failed: false
+    });
+}
+
+function noteCallResult(scan, id, failed) {
+    const call = scan.calls.get(id);
+    if (call && failed) call.failed = true;
+}
+
+function notePrompt(scan, timeMs, text) {
+    if (timeMs === null) return;
+    if (scan.pendingPromptAt === null) {
+        scan.pendingPromptAt = timeMs;
+    }
+    scan.pendingPromptText = text.slice(0, 200);
+    scan.lastPromptAt = timeMs;
+}
+
+function noteReply(scan, timeMs) {
+    if (scan.pendingPromptAt === null || timeMs === null) return;
+    const latency = timeMs - scan.pendingPromptAt;
+    if (latency >= 0 && latency <= MAX_REPLY_LATENCY_MS) scan.latencies.push(latency);
+    scan.pendingPromptAt = null;
+    scan.pendingPromptText = '';
+}
+
+function applyCodexRecord(scan, record) {
+    const payload = isPlainObject(record.payload) ? record.payload : null;
+    if (!payload) return;
+    const timeMs = parseTime(record.timestamp);
+    if (record.type === 'session_meta') {
+        if (payload.id) scan.sessionId = String(payload.id);
+        if (payload.cwd) scan.cwd = String(payload.cwd);
+        return;
+    }
+    if (record.type === 'event_msg') {
+        if (payload.type === 'user_message') {
+            notePrompt(scan, timeMs, readString(payload.message));
+        } else if (payload.type === 'agent_message') {
+            noteReply(scan, timeMs);
+        } else if (payload.type === 'exec_command_end' && payload.exit_code !== undefined) {
+            noteCallResult(scan, readString(payload.call_id), Number(payload.exit_code) !== 0);
+        }
+        return;
+    }
+    if (record.type !== 'response_item') return;
+    const type = readString(payload.type);
+    if (type === 'message') {
+        const text = readContentText(payload.content);
+        // environment_context / AGENTS.md 等注入内容以标签开头，不算用户提问
+        if (payload.role === 'user' && text && !text.startsWith('<') && !text.startsWith('# AGENTS.md')) {
+            notePrompt(scan, timeMs, text);
+        } else if (payload.role === 'assistant') {
+            noteReply(scan, timeMs);
+        }
+        return;
+    }
+    if (type === 'reasoning') {
+        noteReply(scan, timeMs);
+        return;
+    }
+    if (type === 'function_call' || type === 'custom_tool_call' || type === 'local_shell_call') {
+        noteReply(scan, timeMs);
+        const id = readString(payload.call_id) || readString(payload.id);
+        if (type === 'local_shell_call') {
+            noteCall(scan, id, 'local_shell', isPlainObject(payload.action) ? payload.action : {}, timeMs);
+        } else {
+            noteCall(scan, id, payload.name, type === 'function_call' ? parseArguments(payload.arguments) : { input: payload.input }, timeMs);
+        }
+        return;
+    }
+    if (type === 'function_call_output' || type === 'custom_tool_call_output') {
+        noteCallResult(scan, readString(payload.call_id), isCodexOutputFailure(payload.output));
+    }
+}
+
+function applyClaudeRecord(scan, record) {
+    if (!scan.sessionId && record.sessionId) scan.sessionId = String(record.sessionId);
+    if (!scan.cwd && record.cwd) scan.cwd = String(record.cwd);
+    const message = isPlainObject(record.message) ? record.message : null;
+    if (!message) return;
+    const timeMs = parseTime(record.timestamp);
+    const content = Array.isArray(message.content) ? message.content : [];
+    if (record.type === 'user') {
+        for (const block of content) {
+            if (isPlainObject(block) && block.type === 'tool_result') {
+                noteCallResult(scan, readString(block.tool_use_id), block.is_error === true);
+            }
+        }
+        const text = readContentText(message.content);
+        if (!record.isMeta && text && !text.startsWith('<')) notePrompt(scan, timeMs, text);
+        return;
+    }
+    if (record.type !== 'assistant' || readString(message.model) === '<synthetic>') return;
+    noteReply(scan, timeMs);
+    for (const block of content) {
+        if (isPlainObject(block) && block.type === 'tool_use') {
+            noteCall(scan, readString(block.id), block.name, isPlainObject(block.input) ? block.input : {}, timeMs);
+        }
+    }
+}
+
+function applyCodeBuddyRecord(scan, record) {
+    if (record.sessionId) scan.sessionId = String(record.sessionId);
+    if (!scan.cwd && record.cwd) scan.cwd = String(record.cwd);
+    const timeMs = parseTime(record.timestamp);
+    const type = readString(record.type);
+    if (type === 'message') {
+        const role = readString(record.role).toLowerCase();
+        const message = isPlainObject(record.message) ? record.message : {};
+        const text = readContentText(message.content !== undefined ? message.content : record.content);
+        if (role === 'user' && text && !text.startsWith('<')) notePrompt(scan, timeMs, text);
+        if (role === 'assistant') noteReply(scan, timeMs);
+        return;
+    }
+    if (type === 'reasoning') {
+        noteReply(scan, timeMs);
+        return;
+    }
+    if (type === 'function_call') {
+        noteReply(scan, timeMs);
+        noteCall(scan, readString(record.callId) || readString(record.call_id), record.name, parseArguments(record.arguments), timeMs);
+        return;
+    }
+    if (type === 'function_call_result') {
+        noteCallResult(scan, readString(record.callId) || readString(record.call_id), record.status === 'incomplete');
+    }
+}
+
+function applyGeminiConversation(scan, conversation) {
+    if (!isPlainObject(conversation)) return;
+    if (conversation.sessionId) scan.sessionId = String(conversation.sessionId);
+    scan.cwd = readString(conversation.projectRoot) || readString(conversation.cwd);
+    for (const entry of Array.isArray(conversation.messages) ? conversation.messages : []) {
+        if (!isPlainObject(entry)) continue;
+        const type = readString(entry.type).toLowerCase();
+        const timeMs = parseTime(entry.timestamp);
+        if (type === 'user') {
+            const text = readContentText(entry.content);
+            if (text) notePrompt(scan, timeMs, text);
+            continue;
+        }
+        if (type !== 'gemini' && type !== 'model' && type !== 'assistant') continue;
+        noteReply(scan, timeMs);
+        for (const call of Array.isArray(entry.toolCalls) ? entry.toolCalls : []) {
+            if (!isPlainObject(call)) continue;
+            const id = readString(call.id);
+            noteCall(scan, id, call.name, isPlainObject(call.args) ? call.args : {}, timeMs);
+            noteCallResult(scan, id, call.status === 'error');
+        }
+    }
+}
+
+const RECORD_APPLIERS = Object.freeze({
+    codex: applyCodexRecord,
+    claude: applyClaudeRecord,
+    codebuddy: applyCodeBuddyRecord
+});
+
+function scanSessionFile(source, filePath, size) {
+    const scan = createSessionScan();
+    if (source === 'gemini') {
+        applyGeminiConversation(scan, readJsonFile(filePath, null));
+        return scan;
+    }
+    const apply = RECORD_APPLIERS[source] || applyCodexRecord;
+    const offset = readJsonlFrom(filePath, 0, size, record => apply(scan, record));
+    // 最后一行可能没有换行符
+    if (offset < size) {
+        const tail = Buffer.alloc(size - offset);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, tail, 0, tail.length, offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        try {
+            const record = JSON.parse(tail.toString('utf-8'));
+            if (isPlainObject(record)) apply(scan, record);
+        } catch (_) {}
+    }
+    return scan;
+}
+
+function summarizeScan(scan) {
+    const tools = {};
+    const programs = {};
+    const commands = [];
+    for (const call of scan.calls.values()) {
+        const tool = tools[call.name] || (tools[call.name] = { calls: 0, failures: 0 });
+        tool.calls += 1;
+        if (call.failed) tool.failures += 1;
+        if (!call.command) continue;
+        const key = call.program || 'unknown';
+        const program = programs[key] || (programs[key] = { calls: 0, failures: 0 });
+        program.calls += 1;
+        if (call.failed) program.failures += 1;
+        commands.push({ command: call.command.slice(0, 300), t: call.t, failed: call.failed });
+    }
+    return {
+        sessionId: scan.sessionId,
+        cwd: scan.cwd,
+        tools,
+        programs,
+        recentCommands: commands.slice(-ANALYTICS_RECENT_COMMANDS),
+        latencies: scan.latencies,
+        pendingPromptAt: scan.pendingPromptAt,
+        pendingPromptText: scan.pendingPromptText,
+        lastPromptAt: scan.lastPromptAt
+    };
+}
+
+function percentile(sorted, ratio) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(sorted.length * ratio) - 1));
+    return sorted[index];
+}
+
+function mergeCounts(target, counts) {
+    for (const [name, item] of Object.entries(counts)) {
+        const entry = target.get(name) || { name, calls: 0, failures: 0, sessions: 0 };
+        entry.calls += item.calls;
+        entry.failures += item.failures;
+        entry.sessions += 1;
+        target.set(name, entry);
+    }
+}
+
+function rankCounts(counts) {
+    return [...counts.values()]
+        .sort((a, b) => b.calls - a.calls || a.name.localeCompare(b.name))
+        .slice(0, ANALYTICS_TOP_LIMIT)
+        .map(item => ({ ...item, failureRate: item.calls ? Math.round((item.failures / item.calls) * 1000) / 10 : 0 }));
+}
+
+function createSessionAnalyticsController(deps = {}) {
+    const { listSessions, now = () => Date.now() } = deps;
+    if (typeof listSessions !== 'function') throw new Error('createSessionAnalyticsController 缺少 listSessions');
+
+    // 按文件大小与修改时间缓存单个会话的扫描结果
+    const scanCache = new Map();
+
+    function analyzeSessionFile(session) {
+        const filePath = readString(session && session.filePath);
+        if (!filePath) return null;
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (_) {
+            scanCache.delete(filePath);
+            return null;
+        }
+        const cached = scanCache.get(filePath);
+        if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+            return cached.summary;
+        }
+        let summary;
+        try {
+            summary = summarizeScan(scanSessionFile(session.source, filePath, stat.size));
+        } catch (_) {
+            return null;
+        }
+        summary.updatedAtMs = stat.mtimeMs;
+        scanCache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, summary });
+        return summary;
+    }
+
+    async function buildSessionAnalytics(params = {}) {
+        const source = ANALYTICS_SOURCES.includes(params.source) ? params.source : 'all';
+        const pathFilter = readString(params.path).toLowerCase();
+        const range = resolveSessionSearchTimeRange({
+            since: params.since,
+            until: params.until,
+            timeRangePreset: params.timeRangePreset
+        }, now());
+        const sessions = await listSessions({ source, limit: params.limit });
+        const inRange = (Array.isArray(sessions) ? sessions : []).filter((session) => {
+            if (!session || !session.filePath) return false;
+            const updatedMs = parseTime(session.updatedAt);
+            if (range.sinceMs !== null && !(updatedMs >= range.sinceMs)) return false;
+            if (range.untilMs !== null && !(updatedMs <= range.untilMs)) return false;
+            return true;
+        });
+
+        const projects = new Map();
+        const tools = new Map();
+        const programs = new Map();
+        const commands = [];
+        const latencies = [];
+        const abandoned = [];
+        let analyzed = 0;
+        let withTools = 0;
+        const currentMs = now();
+
+        for (const session of inRange) {
+            const summary = analyzeSessionFile(session);
+            if (!summary) continue;
+            const cwd = readString(session.cwd) || summary.cwd;
+            if (cwd) projects.set(cwd, (projects.get(cwd) || 0) + 1);
+            if (pathFilter && !cwd.toLowerCase().includes(pathFilter)) continue;
+            analyzed += 1;
+            if (Object.keys(summary.tools).length) withTools += 1;
+            mergeCounts(tools, summary.tools);
+            mergeCounts(programs, summary.programs);
+            latencies.push(...summary.latencies);
+            for (const item of summary.recentCommands) {
+                commands.push({ ...item, source: session.source, sessionId: summary.sessionId || session.sessionId || '' });
+            }
+            if (summary.pendingPromptAt !== null && currentMs - summary.updatedAtMs >= ABANDONED_IDLE_MS) {
+                abandoned.push({
+                    source: session.source,
+                    sessionId: summary.sessionId || session.sessionId || '',
+                    title: readString(session.title),
+                    cwd,
+                    filePath: session.filePath,
+                    lastPromptAt: new Date(summary.pendingPromptAt).toISOString(),
+                    lastPrompt: summary.pendingPromptText
+                });
+            }
+        }
+
+        const sortedLatencies = latencies.slice().sort((a, b) => a - b);
+        const bucketCounts = LATENCY_BUCKETS.map(bucket => ({ key: bucket.key, count: 0 }));
+        for (const value of sortedLatencies) {
+            bucketCounts[LATENCY_BUCKETS.findIndex(bucket => value < bucket.maxMs)].count += 1;
+        }
+        const totalCalls = [...tools.values()].reduce((sum, item) => sum + item.calls, 0);
+        const failedCalls = [...tools.values()].reduce((sum, item) => sum + item.failures, 0);
+        abandoned.sort((a, b) => (a.lastPromptAt < b.lastPromptAt ? 1 : -1));
+        commands.sort((a, b) => (b.t || 0) - (a.t || 0));
+
+        return {
+            filters: {
+                source,
+                path: readString(params.path),
+                since: range.sinceMs === null ? '' : new Date(range.sinceMs).toISOString(),
+                until: range.untilMs === null ? '' : new Date(range.untilMs).toISOString()
+            },
+            generatedAt: new Date(currentMs).toISOString(),
+            sessions: { total: analyzed, withTools, abandoned: abandoned.length },
+            calls: { total: totalCalls, failures: failedCalls },
+            tools: rankCounts(tools),
+            programs: rankCounts(programs),
+            recentCommands: commands.slice(0, 20).map(item => ({ ...item, t: item.t === null ? '' : new Date(item.t).toISOString() })),
+            latency: {
+                count: sortedLatencies.length,
+                avgMs: sortedLatencies.length ? Math.round(sortedLatencies.reduce((sum, value) => sum + value, 0) / sortedLatencies.length) : null,
+                p50Ms: percentile(sortedLatencies, 0.5),
+                p95Ms: percentile(sortedLatencies, 0.95),
+                maxMs: sortedLatencies.length ? sortedLatencies[sortedLatencies.length - 1] : null,
+                buckets: bucketCounts
+            },
+            abandonedSessions: abandoned.slice(0, 20),
+            projects: [...projects.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, 50)
+                .map(([projectPath, count]) => ({ path: projectPath, sessions: count }))
+        };
+    }
+
+    return {
+        analyzeSessionFile,
+        buildSessionAnalytics
+    };
+}
+
+module.exports = {
+    readShellCommand,
+    readShellProgram,
+    isCodexOutputFailure,
+    createSessionAnalyticsController
+};
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 
 const { parseMaxMessagesValue } = require('../lib/cli-session-utils');
+const { SESSION_CONVERT_FORMATS } = require('./session-convert-io');
 
 function ensureDir(dirPath) {
     if (!dirPath) return;
@@ -47,8 +48,9 @@ function parseArgs(args = []) {
     }
     options.from = String(options.from || '').trim().toLowerCase();
     options.to = String(options.to || '').trim().toLowerCase();
-    if (options.from !== 'codex' && options.from !== 'claude') errors.push('参数 --from 仅支持 codex 或 claude');
-    if (options.to !== 'codex' && options.to !== 'claude') errors.push('参数 --to 仅支持 codex 或 claude');
+    const formatsLabel = SESSION_CONVERT_FORMATS.join(' / ');
+    if (!SESSION_CONVERT_FORMATS.includes(options.from)) errors.push(`参数 --from 仅支持 ${formatsLabel}`);
+    if (!SESSION_CONVERT_FORMATS.includes(options.to)) errors.push(`参数 --to 仅支持 ${formatsLabel}`);
     if (options.from && options.to && options.from === options.to) errors.push('--from 与 --to 不能相同');
     if (!options.from) errors.push('缺少 --from');
     if (!options.to) errors.push('缺少 --to');
@@ -2,11 +2,17 @@ const fs = require('fs');
 const path = require('path');
 
 const { parseArgs, ensureDir, resolveOutputPath } = require('./session-convert-args');
-const { readSessionMessages, buildTargetRecords } = require('./session-convert-io');
+const {
+    getSessionFileExtension,
+    readSessionModel,
+    buildTargetRecords,
+    serializeSessionRecords
+} = require('./session-convert-io');
+const { formatSessionConvertReport } = require('./session-model');
 
 function printUsage() {
     console.log('\n用法:');
-    console.log('  codexmate convert-session --from <codex|claude> --to <codex|claude> (--session-id <ID>|--file <PATH>) [--output <PATH>] [--max-messages <N|all|Infinity>]');
+    console.log('  codexmate convert-session --from <codex|claude|gemini|codebuddy> --to <codex|claude|gemini|codebuddy> (--session-id <ID>|--file <PATH>) [--output <PATH>] [--max-messages <N|all|Infinity>]');
 }
 
 async function cmdConvertSession(args = [], deps = {}) {
@@ -26,15 +32,15 @@ async function cmdConvertSession(args = [], deps = {}) {
         console.error('转换失败: Session file not found');
         process.exit(1);
     }
-    const extracted = await readSessionMessages(filePath, opt.from, opt.maxMessages);
-    const sessionId = extracted.sessionId || opt.sessionId || path.basename(filePath, '.jsonl');
+    const extracted = await readSessionModel(filePath, opt.from, { maxMessages: opt.maxMessages });
+    const sessionId = extracted.sessionId || opt.sessionId || path.basename(filePath, path.extname(filePath));
     const safeSessionId = String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_');
-    const records = buildTargetRecords(opt.to, { sessionId, cwd: extracted.cwd || '', messages: extracted.messages });
-    const jsonl = `${records.map(r => JSON.stringify(r)).join('\n')}\n`;
-    const outputPath = resolveOutputPath(opt.output, `${opt.to}-session-${safeSessionId}.jsonl`);
+    const { records, report } = buildTargetRecords(opt.to, extracted, { sessionId });
+    const outputPath = resolveOutputPath(opt.output, `${opt.to}-session-${safeSessionId}${getSessionFileExtension(opt.to)}`);
     ensureDir(path.dirname(outputPath));
-    fs.writeFileSync(outputPath, jsonl, 'utf-8');
+    fs.writeFileSync(outputPath, serializeSessionRecords(opt.to, records), 'utf-8');
     console.log('\n✓ 会话已转换:', outputPath);
+    for (const line of formatSessionConvertReport(report)) console.log(`  ${line}`);
     if (extracted.truncated) console.log('! 已截断: 可使用 --max-messages=all');
     console.log();
 }
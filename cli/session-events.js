@@ -0,0 +1,262 @@
+const { buildLineDiff } = require('../lib/text-diff');
+const { readShellCommand, isCodexOutputFailure } = require('./session-analytics');
+
+const SESSION_EVENT_TYPES = Object.freeze(['message', 'reasoning', 'tool_call', 'tool_result', 'image']);
+const MAX_EVENT_TEXT_LENGTH = 20000;
+const MAX_PATCH_FILES = 50;
+const MAX_PATCH_DIFF_LINES = 600;
+const PATCH_FILE_ACTIONS = Object.freeze({ Add: 'add', Update: 'update', Delete: 'delete' });
+const WRITE_TOOL_NAMES = new Set(['write', 'write_file', 'create_file', 'write_to_file']);
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value : '';
+}
+
+function clipText(value) {
+    const text = readString(value);
+    if (text.length <= MAX_EVENT_TEXT_LENGTH) return { text, truncated: false };
+    return { text: text.slice(0, MAX_EVENT_TEXT_LENGTH), truncated: true };
+}
+
+function parseTime(value) {
+    const time = Date.parse(readString(value));
+    return Number.isFinite(time) ? time : null;
+}
+
+// 解析 Codex apply_patch 格式：*** Begin Patch / *** Update File: / @@ / -old / +new / *** End Patch
+function parseApplyPatch(text) {
+    const raw = readString(text);
+    const begin = raw.indexOf('*** Begin Patch');
+    if (begin < 0) return [];
+    const files = [];
+    let current = null;
+    for (const line of raw.slice(begin).split(/\r?\n/).slice(1)) {
+        const header = /^\*\*\* (Add|Update|Delete) File: (.+)$/.exec(line);
+        if (header) {
+            current = { path: header[2].trim(), action: PATCH_FILE_ACTIONS[header[1]], moveTo: '', before: [], after: [] };
+            files.push(current);
+            continue;
+        }
+        if (line.startsWith('*** End Patch')) break;
+        if (!current) continue;
+        const move = /^\*\*\* Move to: (.+)$/.exec(line);
+        if (move) {
+            current.moveTo = move[1].trim();
+            continue;
+        }
+        if (line.startsWith('*** ')) continue;
+        if (current.action === 'add') {
+            if (line.startsWith('+')) current.after.push(line.slice(1));
+        } else if (current.action === 'update') {
+            // 各 hunk 的 @@ 行当作上下文保留，渲染时能看出分段
+            if (line.startsWith('@@')) {
+                current.before.push(line);
+                current.after.push(line);
+            } else if (line.startsWith('-')) {
+                current.before.push(line.slice(1));
+            } else if (line.startsWith('+')) {
+                current.after.push(line.slice(1));
+            } else {
+                const value = line.startsWith(' ') ? line.slice(1) : line;
+                current.before.push(value);
+                current.after.push(value);
+            }
+        }
+    }
+    return files.map(file => ({
+        path: file.path,
+        action: file.action,
+        moveTo: file.moveTo,
+        before: file.before.join('\n'),
+        after: file.after.join('\n')
+    }));
+}
+
+function readEditPatch(name, input) {
+    const filePath = readString(input.file_path) || readString(input.path) || readString(input.filePath);
+    if (!filePath) return [];
+    if (Array.isArray(input.edits)) {
+        const edits = input.edits.filter(isPlainObject);
+        if (!edits.length) return [];
+        return [{
+            path: filePath,
+            action: 'update',
+            moveTo: '',
+            before: edits.map(edit => readString(edit.old_string)).join('\n@@\n'),
+            after: edits.map(edit => readString(edit.new_string)).join('\n@@\n')
+        }];
+    }
+    if (typeof input.old_string === 'string' && typeof input.new_string === 'string') {
+        return [{ path: filePath, action: 'update', moveTo: '', before: input.old_string, after: input.new_string }];
+    }
+    if (WRITE_TOOL_NAMES.has(name.toLowerCase()) && typeof input.content === 'string') {
+        return [{ path: filePath, action: 'add', moveTo: '', before: '', after: input.content }];
+    }
+    return [];
+}
+
+function extractToolPatchFiles(name, input, command) {
+    if (/^apply_patch$/i.test(name)) {
+        return parseApplyPatch(readString(input.input) || readString(input.patch) || readString(input.content));
+    }
+    if (command && command.includes('*** Begin Patch')) {
+        return parseApplyPatch(command);
+    }
+    return readEditPatch(name, input);
+}
+
+function buildPatch(files) {
+    if (!files.length) return null;
+    const stats = { files: 0, added: 0, removed: 0 };
+    const list = files.slice(0, MAX_PATCH_FILES).map((file) => {
+        const diff = file.action === 'delete' ? null : buildLineDiff(file.before, file.after);
+        stats.files += 1;
+        if (diff) {
+            stats.added += diff.stats.added;
+            stats.removed += diff.stats.removed;
+        }
+        return {
+            path: file.path,
+            action: file.action,
+            moveTo: file.moveTo,
+            stats: diff ? { added: diff.stats.added, removed: diff.stats.removed } : { added: 0, removed: 0 },
+            lines: diff ? diff.lines.slice(0, MAX_PATCH_DIFF_LINES).map(line => ({ type: line.type, value: line.value })) : [],
+            truncated: !!diff && diff.lines.length > MAX_PATCH_DIFF_LINES
+        };
+    });
+    return { files: list, stats, truncated: files.length > MAX_PATCH_FILES };
+}
+
+// Codex 的 function_call_output 常是 {"output":"...","metadata":{"exit_code":1}}，拆出正文和退出码
+function readToolOutput(output) {
+    const raw = readString(output);
+    if (raw.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(raw);
+            if (isPlainObject(parsed) && typeof parsed.output === 'string') {
+                const exitCode = isPlainObject(parsed.metadata) ? parsed.metadata.exit_code : parsed.exit_code;
+                return { text: parsed.output, exitCode: Number.isInteger(exitCode) ? exitCode : null };
+            }
+        } catch (_) {}
+    }
+    const match = /^(?:Exit code|Process exited with code):?\s*(-?\d+)/im.exec(raw);
+    return { text: raw, exitCode: match ? Number(match[1]) : null };
+}
+
+function formatToolArguments(block) {
+    if (block.custom) return readString(block.arguments);
+    const input = isPlainObject(block.input) ? block.input : {};
+    if (Object.keys(input).length) return JSON.stringify(input, null, 2);
+    return readString(block.arguments);
+}
+
+function buildToolCallEvent(block, base) {
+    const name = readString(block.name) || 'unknown';
+    const input = isPlainObject(block.input) ? block.input : {};
+    const command = readShellCommand(name, input);
+    const args = clipText(formatToolArguments(block));
+    return {
+        ...base,
+        type: 'tool_call',
+        callId: readString(block.id),
+        name,
+        command,
+        arguments: args.text,
+        argumentsTruncated: args.truncated,
+        patch: buildPatch(extractToolPatchFiles(name, input, command)),
+        status: 'pending',
+        result: null
+    };
+}
+
+function buildToolResult(block, timestamp) {
+    const parsed = readToolOutput(block.output);
+    const output = clipText(parsed.text);
+    return {
+        timestamp,
+        output: output.text,
+        truncated: output.truncated,
+        exitCode: parsed.exitCode,
+        isError: block.isError === true || isCodexOutputFailure(block.output)
+    };
+}
+
+// 把 readSessionModel 的 turns 展开成按时间排列的类型化事件；tool_result 按 callId 挂到对应的 tool_call 上
+function buildSessionEvents(model) {
+    const events = [];
+    const pendingCalls = new Map();
+    const turns = model && Array.isArray(model.turns) ? model.turns : [];
+    turns.forEach((turn, turnIndex) => {
+        const timestamp = readString(turn.timestamp);
+        const role = readString(turn.role) || 'assistant';
+        const base = () => ({ index: events.length, turnIndex, role, timestamp });
+        let textParts = [];
+        const flushText = () => {
+            if (!textParts.length) return;
+            const text = clipText(textParts.join('\n\n'));
+            events.push({ ...base(), type: 'message', text: text.text, truncated: text.truncated, model: readString(turn.model) });
+            textParts = [];
+        };
+        for (const block of Array.isArray(turn.blocks) ? turn.blocks : []) {
+            if (!isPlainObject(block)) continue;
+            if (block.type === 'text') {
+                if (readString(block.text).trim()) textParts.push(block.text);
+                continue;
+            }
+            flushText();
+            if (block.type === 'reasoning') {
+                const text = clipText(block.text);
+                if (!text.text && !block.encrypted && !block.redacted) continue;
+                events.push({ ...base(), type: 'reasoning', text: text.text, truncated: text.truncated, subject: readString(block.subject), hidden: !text.text });
+            } else if (block.type === 'tool_use') {
+                const event = buildToolCallEvent(block, base());
+                if (event.callId) pendingCalls.set(event.callId, event);
+                events.push(event);
+            } else if (block.type === 'tool_result') {
+                const result = buildToolResult(block, timestamp);
+                const call = pendingCalls.get(readString(block.toolUseId));
+                if (call && !call.result) {
+                    const start = parseTime(call.timestamp);
+                    const end = parseTime(timestamp);
+                    call.result = { ...result, durationMs: start !== null && end !== null && end >= start ? end - start : null };
+                    call.status = result.isError ? 'error' : 'ok';
+                    continue;
+                }
+                events.push({ ...base(), type: 'tool_result', callId: readString(block.toolUseId), ...result });
+            } else if (block.type === 'image') {
+                events.push({ ...base(), type: 'image', mediaType: readString(block.mediaType), url: block.data ? '' : readString(block.url) });
+            }
+        }
+        flushText();
+    });
+    return events;
+}
+
+function summarizeSessionEvents(events) {
+    const summary = { messages: 0, reasoning: 0, toolCalls: 0, toolErrors: 0, patches: 0, startedAt: '', endedAt: '' };
+    for (const event of events) {
+        if (event.type === 'message') summary.messages += 1;
+        else if (event.type === 'reasoning') summary.reasoning += 1;
+        else if (event.type === 'tool_call') {
+            summary.toolCalls += 1;
+            if (event.status === 'error') summary.toolErrors += 1;
+            if (event.patch) summary.patches += 1;
+        }
+        if (event.timestamp) {
+            if (!summary.startedAt) summary.startedAt = event.timestamp;
+            summary.endedAt = event.timestamp;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    SESSION_EVENT_TYPES,
+    parseApplyPatch,
+    buildSessionEvents,
+    summarizeSessionEvents
+};
@@ -0,0 +1,1016 @@
+const crypto = require('crypto');
+
+const { toIsoTime, extractMessageText, normalizeRole } = require('../lib/cli-session-utils');
+const { isBootstrapLikeText } = require('../lib/cli-sessions');
+
+// 会话中间模型：turns[].blocks 为 text / image / tool_use / tool_result / reasoning，
+// 读写两端无法对应的内容统一记入 unmapped，转换后作为报告返回
+const UNMAPPED_REASONS = Object.freeze({
+    'codex.developer-message': 'developer 指令由 CLI 每轮重新注入，不写入目标会话',
+    'codex.compacted': '压缩摘要没有对应格式',
+    'gemini.notice': 'Gemini CLI 的 info / warning / error 提示不属于对话内容',
+    'claude.server-tool': '服务端工具（如 web_search）没有对应格式',
+    'claude.document': '文档附件没有对应格式',
+    'claude.tool-result-image': '工具结果中的图片无法写入，仅保留文本',
+    'reasoning.unsigned': 'Claude thinking 块需要签名，其他来源的推理摘要无法写入',
+    'reasoning.encrypted': '加密推理内容只能由原服务端解密，已丢弃',
+    'reasoning.redacted': '已脱敏的 thinking 块只能由 Claude 解读，已丢弃',
+    'image.assistant': '助手消息中的图片无法写入',
+    'tool_result.orphan': '找不到对应工具调用的工具结果（可能因截断），已丢弃'
+});
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value : '';
+}
+
+function readTokenCount(value) {
+    const num = Number(value);
+    return Number.isFinite(num) && num > 0 ? Math.floor(num) : 0;
+}
+
+function createSessionModel(source) {
+    return {
+        source: readString(source),
+        sessionId: '',
+        cwd: '',
+        updatedAt: '',
+        model: '',
+        provider: '',
+        turns: [],
+        usage: null,
+        truncated: false,
+        unmapped: {}
+    };
+}
+
+function noteUnmapped(model, kind, count = 1) {
+    if (!model || !kind) return;
+    model.unmapped[kind] = (model.unmapped[kind] || 0) + count;
+}
+
+function normalizeUsage(usage) {
+    if (!isPlainObject(usage)) return null;
+    const normalized = {
+        inputTokens: readTokenCount(usage.inputTokens),
+        cachedInputTokens: readTokenCount(usage.cachedInputTokens),
+        cacheCreationInputTokens: readTokenCount(usage.cacheCreationInputTokens),
+        outputTokens: readTokenCount(usage.outputTokens),
+        reasoningTokens: readTokenCount(usage.reasoningTokens)
+    };
+    return Object.values(normalized).some(Boolean) ? normalized : null;
+}
+
+function addUsage(target, usage) {
+    const base = target || {
+        inputTokens: 0,
+        cachedInputTokens: 0,
+        cacheCreationInputTokens: 0,
+        outputTokens: 0,
+        reasoningTokens: 0
+    };
+    if (!usage) return base;
+    for (const key of Object.keys(base)) {
+        base[key] += readTokenCount(usage[key]);
+    }
+    return base;
+}
+
+// Codex 的 input_tokens 包含缓存命中部分；Claude 则分开记录
+function readCodexUsage(usage) {
+    if (!isPlainObject(usage)) return null;
+    const input = readTokenCount(usage.input_tokens);
+    const cached = Math.min(readTokenCount(usage.cached_input_tokens), input);
+    return normalizeUsage({
+        inputTokens: input - cached,
+        cachedInputTokens: cached,
+        outputTokens: usage.output_tokens,
+        reasoningTokens: usage.reasoning_output_tokens
+    });
+}
+
+function readClaudeUsage(usage) {
+    if (!isPlainObject(usage)) return null;
+    return normalizeUsage({
+        inputTokens: usage.input_tokens,
+        cachedInputTokens: usage.cache_read_input_tokens,
+        cacheCreationInputTokens: usage.cache_creation_input_tokens,
+        outputTokens: usage.output_tokens
+    });
+}
+
+function toCodexUsage(usage) {
+    const input = usage.inputTokens + usage.cachedInputTokens + usage.cacheCreationInputTokens;
+    return {
+        input_tokens: input,
+        cached_input_tokens: usage.cachedInputTokens,
+        output_tokens: usage.outputTokens,
+        reasoning_output_tokens: usage.reasoningTokens,
+        total_tokens: input + usage.outputTokens
+    };
+}
+
+function toClaudeUsage(usage) {
+    return {
+        input_tokens: usage.inputTokens,
+        cache_creation_input_tokens: usage.cacheCreationInputTokens,
+        cache_read_input_tokens: usage.cachedInputTokens,
+        output_tokens: usage.outputTokens
+    };
+}
+
+function parseDataUrl(url) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(readString(url));
+    return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+function createImageBlockFromUrl(url) {
+    const parsed = parseDataUrl(url);
+    if (parsed) return { type: 'image', ...parsed };
+    return url ? { type: 'image', url } : null;
+}
+
+function parseToolArguments(raw) {
+    if (isPlainObject(raw)) return raw;
+    try {
+        const parsed = JSON.parse(readString(raw));
+        if (isPlainObject(parsed)) return parsed;
+    } catch (_) {}
+    return { input: readString(raw) };
+}
+
+function readToolOutputText(output) {
+    if (typeof output === 'string') return output;
+    if (isPlainObject(output) && typeof output.content === 'string') return output.content;
+    return extractMessageText(output);
+}
+
+function countBlocks(turn, types) {
+    return turn.blocks.filter(block => types.includes(block.type)).length;
+}
+
+function appendTurn(model, role, timestamp, extra = {}) {
+    const turn = { role, timestamp: timestamp || '', blocks: [], model: '', usage: null, ...extra };
+    model.turns.push(turn);
+    return turn;
+}
+
+function lastTurn(model) {
+    return model.turns.length ? model.turns[model.turns.length - 1] : null;
+}
+
+// 同一轮助手输出（推理 → 文本 → 工具调用）合并为一个 turn，对应 Claude 的一条 assistant message
+function resolveAssistantTurn(model, timestamp, blockType) {
+    const current = lastTurn(model);
+    if (current && current.role === 'assistant') {
+        if (blockType === 'tool_use') return current;
+        const answered = countBlocks(current, ['text', 'tool_use']) > 0;
+        if (!answered) return current;
+    }
+    return appendTurn(model, 'assistant', timestamp);
+}
+
+function resolveToolResultTurn(model, timestamp) {
+    const current = lastTurn(model);
+    if (current && current.role === 'user' && current.blocks.length && current.blocks.every(block => block.type === 'tool_result')) {
+        return current;
+    }
+    return appendTurn(model, 'user', timestamp);
+}
+
+function readCodexContentBlocks(content) {
+    if (typeof content === 'string') {
+        return content.trim() ? [{ type: 'text', text: content }] : [];
+    }
+    const blocks = [];
+    for (const item of Array.isArray(content) ? content : []) {
+        if (!isPlainObject(item)) continue;
+        if (item.type === 'input_image') {
+            const block = createImageBlockFromUrl(readString(item.image_url));
+            if (block) blocks.push(block);
+            continue;
+        }
+        const text = typeof item.text === 'string' ? item.text : readString(item.refusal);
+        if (text.trim()) blocks.push({ type: 'text', text });
+    }
+    return blocks;
+}
+
+function applyCodexRecord(model, record) {
+    const payload = isPlainObject(record.payload) ? record.payload : null;
+    if (!payload) return;
+    const timestamp = toIsoTime(record.timestamp, '');
+
+    if (record.type === 'session_meta') {
+        if (!model.sessionId && payload.id) model.sessionId = String(payload.id);
+        if (!model.cwd && payload.cwd) model.cwd = String(payload.cwd);
+        if (payload.model_provider) model.provider = String(payload.model_provider);
+        if (payload.model) model.model = String(payload.model);
+        return;
+    }
+    if (record.type === 'turn_context') {
+        if (payload.model) model.model = String(payload.model);
+        if (!model.cwd && payload.cwd) model.cwd = String(payload.cwd);
+        return;
+    }
+    if (record.type === 'compacted') {
+        noteUnmapped(model, 'codex.compacted');
+        return;
+    }
+    if (record.type === 'event_msg') {
+        if (payload.type !== 'token_count' || !isPlainObject(payload.info)) return;
+        const turnUsage = readCodexUsage(payload.info.last_token_usage);
+        const target = [...model.turns].reverse().find(turn => turn.role === 'assistant');
+        if (turnUsage && target) {
+            target.usage = addUsage(target.usage, turnUsage);
+        }
+        const total = readCodexUsage(payload.info.total_token_usage);
+        if (total) model.usage = total;
+        return;
+    }
+    if (record.type !== 'response_item') return;
+
+    const type = readString(payload.type);
+    if (type === 'message') {
+        const rawRole = readString(payload.role).trim().toLowerCase();
+        if (rawRole === 'developer') {
+            noteUnmapped(model, 'codex.developer-message');
+            return;
+        }
+        const role = normalizeRole(rawRole);
+        const blocks = readCodexContentBlocks(payload.content);
+        if (!role || !blocks.length) return;
+        const turn = role === 'assistant'
+            ? resolveAssistantTurn(model, timestamp, 'text')
+            : appendTurn(model, role, timestamp);
+        turn.blocks.push(...blocks);
+        return;
+    }
+    if (type === 'reasoning') {
+        const summary = (Array.isArray(payload.summary) ? payload.summary : [])
+            .map(item => (isPlainObject(item) ? readString(item.text) : ''))
+            .filter(Boolean)
+            .join('\n\n');
+        const encrypted = readString(payload.encrypted_content);
+        if (!summary && !encrypted) return;
+        const block = { type: 'reasoning', text: summary };
+        if (encrypted) block.encrypted = encrypted;
+        resolveAssistantTurn(model, timestamp, 'reasoning').blocks.push(block);
+        return;
+    }
+    if (type === 'function_call' || type === 'custom_tool_call' || type === 'local_shell_call') {
+        const id = readString(payload.call_id) || readString(payload.id);
+        let block;
+        if (type === 'function_call') {
+            block = { type: 'tool_use', id, name: readString(payload.name), input: parseToolArguments(payload.arguments), arguments: readString(payload.arguments) };
+        } else if (type === 'custom_tool_call') {
+            block = { type: 'tool_use', id, name: readString(payload.name), input: { input: readString(payload.input) }, arguments: readString(payload.input), custom: true };
+        } else {
+            block = { type: 'tool_use', id, name: 'local_shell', input: isPlainObject(payload.action) ? payload.action : {} };
+        }
+        resolveAssistantTurn(model, timestamp, 'tool_use').blocks.push(block);
+        return;
+    }
+    if (type === 'function_call_output' || type === 'custom_tool_call_output') {
+        const output = payload.output;
+        resolveToolResultTurn(model, timestamp).blocks.push({
+            type: 'tool_result',
+            toolUseId: readString(payload.call_id),
+            output: readToolOutputText(output),
+            isError: isPlainObject(output) && output.success === false
+        });
+        return;
+    }
+    if (type) {
+        noteUnmapped(model, `codex.${type}`);
+    }
+}
+
+function readClaudeContentBlocks(model, content, role) {
+    if (typeof content === 'string') {
+        return content.trim() ? [{ type: 'text', text: content }] : [];
+    }
+    const blocks = [];
+    for (const item of Array.isArray(content) ? content : []) {
+        if (!isPlainObject(item)) continue;
+        const type = readString(item.type);
+        if (type === 'text') {
+            if (readString(item.text).trim()) blocks.push({ type: 'text', text: item.text });
+        } else if (type === 'thinking') {
+            if (!readString(item.thinking)) continue;
+            const block = { type: 'reasoning', text: item.thinking };
+            if (item.signature) block.signature = String(item.signature);
+            blocks.push(block);
+        } else if (type === 'redacted_thinking') {
+            blocks.push({ type: 'reasoning', text: '', redacted: readString(item.data) });
+        } else if (type === 'tool_use') {
+            blocks.push({ type: 'tool_use', id: readString(item.id), name: readString(item.name), input: isPlainObject(item.input) ? item.input : {} });
+        } else if (type === 'tool_result') {
+            const parts = Array.isArray(item.content) ? item.content : [];
+            const images = parts.filter(part => isPlainObject(part) && part.type === 'image').length;
+            if (images) noteUnmapped(model, 'claude.tool-result-image', images);
+            blocks.push({
+                type: 'tool_result',
+                toolUseId: readString(item.tool_use_id),
+                output: typeof item.content === 'string' ? item.content : extractMessageText(parts.filter(part => !isPlainObject(part) || part.type !== 'image')),
+                isError: item.is_error === true
+            });
+        } else if (type === 'image') {
+            const source = isPlainObject(item.source) ? item.source : {};
+            if (source.type === 'base64' && source.data) {
+                blocks.push({ type: 'image', mediaType: readString(source.media_type) || 'image/png', data: readString(source.data) });
+            } else if (source.url) {
+                blocks.push({ type: 'image', url: readString(source.url) });
+            }
+        } else if (type === 'document') {
+            noteUnmapped(model, 'claude.document');
+        } else if (type === 'server_tool_use' || /_tool_result$/.test(type)) {
+            noteUnmapped(model, 'claude.server-tool');
+        } else if (type) {
+            noteUnmapped(model, `claude.${type}`);
+        }
+    }
+    if (role !== 'assistant') {
+        return blocks.filter(block => block.type !== 'reasoning');
+    }
+    return blocks;
+}
+
+function applyClaudeRecord(model, record) {
+    if (!model.sessionId && record.sessionId) model.sessionId = String(record.sessionId);
+    if (!model.cwd && record.cwd) model.cwd = String(record.cwd);
+    const role = normalizeRole(record.type);
+    if (!role) return;
+    const message = isPlainObject(record.message) ? record.message : {};
+    const timestamp = toIsoTime(record.timestamp, '');
+    const blocks = readClaudeContentBlocks(model, message.content, role);
+    const modelName = readString(message.model);
+    if (modelName && modelName !== '<synthetic>') model.model = modelName;
+    if (!blocks.length) return;
+
+    let turn;
+    const messageId = readString(message.id);
+    const current = lastTurn(model);
+    // Claude Code 会把同一条 assistant message 的内容块拆成多条记录（message.id 相同）
+    if (role === 'assistant' && messageId && current && current.role === 'assistant' && current.messageId === messageId) {
+        turn = current;
+    } else if (role === 'user' && blocks.every(block => block.type === 'tool_result')) {
+        turn = resolveToolResultTurn(model, timestamp);
+    } else {
+        turn = appendTurn(model, role, timestamp, role === 'assistant' ? { messageId } : {});
+    }
+    turn.blocks.push(...blocks);
+    if (role === 'assistant') {
+        if (modelName && modelName !== '<synthetic>') turn.model = modelName;
+        const usage = readClaudeUsage(message.usage);
+        if (usage) turn.usage = usage;
+    }
+}
+
+function readGeminiParts(content) {
+    if (typeof content === 'string') {
+        return content.trim() ? [{ type: 'text', text: content }] : [];
+    }
+    const parts = Array.isArray(content) ? content : (isPlainObject(content) ? [content] : []);
+    const blocks = [];
+    for (const part of parts) {
+        if (typeof part === 'string') {
+            if (part.trim()) blocks.push({ type: 'text', text: part });
+        } else if (isPlainObject(part) && typeof part.text === 'string') {
+            if (part.text.trim() && !part.thought) blocks.push({ type: 'text', text: part.text });
+        } else if (isPlainObject(part) && isPlainObject(part.inlineData) && /^image\//.test(readString(part.inlineData.mimeType))) {
+            blocks.push({ type: 'image', mediaType: part.inlineData.mimeType, data: readString(part.inlineData.data) });
+        } else if (isPlainObject(part) && isPlainObject(part.fileData) && /^image\//.test(readString(part.fileData.mimeType))) {
+            blocks.push({ type: 'image', url: readString(part.fileData.fileUri) });
+        }
+    }
+    return blocks;
+}
+
+function readGeminiToolResult(call) {
+    const parts = Array.isArray(call.result) ? call.result : (call.result ? [call.result] : []);
+    const outputs = [];
+    for (const part of parts) {
+        const response = isPlainObject(part) && isPlainObject(part.functionResponse) ? part.functionResponse.response : null;
+        if (isPlainObject(response)) {
+            const value = response.output !== undefined ? response.output : response.error;
+            outputs.push(typeof value === 'string' ? value : JSON.stringify(value !== undefined ? value : response));
+        } else if (isPlainObject(part) && typeof part.text === 'string') {
+            outputs.push(part.text);
+        }
+    }
+    if (!outputs.length && typeof call.resultDisplay === 'string') {
+        outputs.push(call.resultDisplay);
+    }
+    return outputs.join('\n');
+}
+
+// Gemini CLI 把整段会话存成一个 JSON：工具调用及其结果都挂在 gemini 消息的 toolCalls 上
+function applyGeminiConversation(model, conversation) {
+    if (!isPlainObject(conversation)) return;
+    if (conversation.sessionId) model.sessionId = String(conversation.sessionId);
+    model.cwd = readString(conversation.projectRoot) || readString(conversation.cwd);
+    model.updatedAt = toIsoTime(conversation.lastUpdated, model.updatedAt);
+    for (const entry of Array.isArray(conversation.messages) ? conversation.messages : []) {
+        if (!isPlainObject(entry)) continue;
+        const type = readString(entry.type).toLowerCase();
+        const timestamp = toIsoTime(entry.timestamp, '');
+        if (type === 'user') {
+            const blocks = readGeminiParts(entry.content);
+            if (blocks.length) appendTurn(model, 'user', timestamp).blocks.push(...blocks);
+            continue;
+        }
+        if (type !== 'gemini' && type !== 'model' && type !== 'assistant') {
+            if (type) noteUnmapped(model, 'gemini.notice');
+            continue;
+        }
+        const turn = appendTurn(model, 'assistant', timestamp);
+        for (const thought of Array.isArray(entry.thoughts) ? entry.thoughts : []) {
+            if (!isPlainObject(thought)) continue;
+            const subject = readString(thought.subject);
+            const text = [subject, readString(thought.description)].filter(Boolean).join('\n');
+            if (text) turn.blocks.push({ type: 'reasoning', text, subject });
+        }
+        turn.blocks.push(...readGeminiParts(entry.content).filter(block => block.type === 'text'));
+        const calls = (Array.isArray(entry.toolCalls) ? entry.toolCalls : []).filter(isPlainObject);
+        for (const call of calls) {
+            turn.blocks.push({ type: 'tool_use', id: readString(call.id), name: readString(call.name), input: isPlainObject(call.args) ? call.args : {} });
+        }
+        const modelName = readString(entry.model);
+        if (modelName) {
+            turn.model = modelName;
+            model.model = modelName;
+        }
+        if (isPlainObject(entry.tokens)) {
+            turn.usage = readCodexUsage({
+                input_tokens: entry.tokens.input,
+                cached_input_tokens: entry.tokens.cached,
+                output_tokens: entry.tokens.output,
+                reasoning_output_tokens: entry.tokens.thoughts
+            });
+        }
+        if (!turn.blocks.length) {
+            model.turns.pop();
+            continue;
+        }
+        const answered = calls.filter(call => (call.result !== undefined && call.result !== null) || call.status === 'error');
+        if (answered.length) {
+            const resultTurn = appendTurn(model, 'user', timestamp);
+            for (const call of answered) {
+                resultTurn.blocks.push({ type: 'tool_result', toolUseId: readString(call.id), output: readGeminiToolResult(call), isError: call.status === 'error' });
+            }
+        }
+    }
+}
+
+function readCodeBuddyContentBlocks(content) {
+    if (typeof content === 'string') {
+        return content.trim() ? [{ type: 'text', text: content }] : [];
+    }
+    const blocks = [];
+    for (const item of Array.isArray(content) ? content : []) {
+        if (!isPlainObject(item)) continue;
+        if (item.type === 'input_image' || item.type === 'image') {
+            const url = readString(item.image) || readString(item.image_url) || readString(item.url);
+            const block = createImageBlockFromUrl(url);
+            if (block) blocks.push(block);
+            continue;
+        }
+        const text = typeof item.text === 'string' ? item.text : readString(item.refusal);
+        if (text.trim()) blocks.push({ type: 'text', text });
+    }
+    return blocks;
+}
+
+// CodeBuddy Code 的项目 JSONL 使用 Agents SDK 的条目格式：message / function_call / function_call_result / reasoning
+function applyCodeBuddyRecord(model, record) {
+    if (record.sessionId) model.sessionId = String(record.sessionId);
+    if (!model.cwd && record.cwd) model.cwd = String(record.cwd);
+    const timestamp = toIsoTime(record.timestamp, '');
+    const providerData = isPlainObject(record.providerData) ? record.providerData : {};
+    const type = readString(record.type);
+    if (type === 'message') {
+        const role = normalizeRole(record.role);
+        const message = isPlainObject(record.message) ? record.message : {};
+        const blocks = readCodeBuddyContentBlocks(message.content !== undefined ? message.content : record.content);
+        if (!role || !blocks.length) return;
+        const turn = role === 'assistant'
+            ? resolveAssistantTurn(model, timestamp, 'text')
+            : appendTurn(model, role, timestamp);
+        turn.blocks.push(...blocks);
+        if (role === 'assistant') {
+            const modelName = readString(record.model) || readString(providerData.model);
+            if (modelName) {
+                turn.model = modelName;
+                model.model = modelName;
+            }
+            const usage = readCodexUsage(record.usage || providerData.usage);
+            if (usage) turn.usage = addUsage(turn.usage, usage);
+        }
+        return;
+    }
+    if (type === 'reasoning') {
+        const parts = [].concat(record.content || [], record.rawContent || []);
+        const text = parts.map(part => (isPlainObject(part) ? readString(part.text) : '')).filter(Boolean).join('\n\n');
+        if (text) resolveAssistantTurn(model, timestamp, 'reasoning').blocks.push({ type: 'reasoning', text });
+        return;
+    }
+    if (type === 'function_call') {
+        const raw = readString(record.arguments);
+        resolveAssistantTurn(model, timestamp, 'tool_use').blocks.push({
+            type: 'tool_use',
+            id: readString(record.callId) || readString(record.call_id),
+            name: readString(record.name),
+            input: parseToolArguments(raw),
+            arguments: raw
+        });
+        return;
+    }
+    if (type === 'function_call_result') {
+        const output = record.output;
+        resolveToolResultTurn(model, timestamp).blocks.push({
+            type: 'tool_result',
+            toolUseId: readString(record.callId) || readString(record.call_id),
+            output: typeof output === 'string' ? output : (isPlainObject(output) && typeof output.text === 'string' ? output.text : extractMessageText(output)),
+            isError: record.status === 'incomplete'
+        });
+        return;
+    }
+    if (/_call(_result|_output)?$/.test(type)) {
+        noteUnmapped(model, `codebuddy.${type}`);
+    }
+}
+
+function applySessionRecord(model, record) {
+    if (!isPlainObject(record)) return;
+    const timestamp = toIsoTime(record.timestamp, '');
+    if (timestamp) model.updatedAt = timestamp;
+    if (model.source === 'codex') {
+        applyCodexRecord(model, record);
+    } else if (model.source === 'codebuddy') {
+        applyCodeBuddyRecord(model, record);
+    } else {
+        applyClaudeRecord(model, record);
+    }
+}
+
+function getTurnText(turn) {
+    return turn.blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n')
+        .trim();
+}
+
+// 与 removeLeadingSystemMessage 一致：跳过开头的 system / 引导注入文本
+function finalizeSessionModel(model, options = {}) {
+    let start = 0;
+    while (start < model.turns.length) {
+        const turn = model.turns[start];
+        const isToolOnly = countBlocks(turn, ['tool_use', 'tool_result']) > 0;
+        if (turn.role === 'system' || (!isToolOnly && isBootstrapLikeText(getTurnText(turn)))) {
+            start += 1;
+            continue;
+        }
+        break;
+    }
+    let turns = model.turns.slice(start);
+    const limit = options.maxMessages;
+    if (Number.isFinite(limit) && limit > 0 && turns.length > limit) {
+        turns = options.keep === 'first' ? turns.slice(0, limit) : turns.slice(turns.length - limit);
+        model.truncated = true;
+    }
+    model.turns = turns;
+    if (!model.usage) {
+        const total = turns.reduce((acc, turn) => (turn.usage ? addUsage(acc, turn.usage) : acc), null);
+        model.usage = total;
+    }
+    return model;
+}
+
+// 兼容旧调用：{ role, text } 消息数组转换为纯文本 turns
+function createSessionModelFromMessages(payload = {}) {
+    const model = createSessionModel(payload.source || '');
+    model.sessionId = readString(payload.sessionId);
+    model.cwd = readString(payload.cwd);
+    for (const message of Array.isArray(payload.messages) ? payload.messages : []) {
+        const role = normalizeRole(message && message.role);
+        const text = message && typeof message.text === 'string' ? message.text : '';
+        if (!role || !text) continue;
+        appendTurn(model, role, readString(message.timestamp)).blocks.push({ type: 'text', text });
+    }
+    return model;
+}
+
+function collectToolUseIds(turns) {
+    const ids = new Set();
+    for (const turn of turns) {
+        for (const block of turn.blocks) {
+            if (block.type === 'tool_use' && block.id) ids.add(block.id);
+        }
+    }
+    return ids;
+}
+
+function isCustomToolCall(turns, id) {
+    return turns.some(turn => turn.blocks.some(block => block.type === 'tool_use' && block.id === id && block.custom));
+}
+
+function buildCodexRecords(model, context) {
+    const { sessionId, cwd, stamp, unmapped } = context;
+    const toolUseIds = collectToolUseIds(model.turns);
+    const meta = { id: sessionId, timestamp: stamp(0), cwd, originator: 'codexmate' };
+    if (model.provider) meta.model_provider = model.provider;
+    if (model.model) meta.model = model.model;
+    const records = [{ type: 'session_meta', timestamp: stamp(0), payload: meta }];
+    const push = (timestamp, payload) => records.push({ type: 'response_item', timestamp, payload });
+    let running = null;
+
+    model.turns.forEach((turn, index) => {
+        const timestamp = turn.timestamp || stamp(index + 1);
+        if (turn.role === 'assistant') {
+            let textParts = [];
+            const flushText = () => {
+                if (!textParts.length) return;
+                push(timestamp, { type: 'message', role: 'assistant', content: textParts });
+                textParts = [];
+            };
+            for (const block of turn.blocks) {
+                if (block.type === 'text') {
+                    textParts.push({ type: 'output_text', text: block.text });
+                    continue;
+                }
+                flushText();
+                if (block.type === 'reasoning') {
+                    if (block.redacted !== undefined) {
+                        unmapped('reasoning.redacted');
+                        continue;
+                    }
+                    const item = { type: 'reasoning', summary: block.text ? [{ type: 'summary_text', text: block.text }] : [] };
+                    if (block.encrypted) item.encrypted_content = block.encrypted;
+                    push(timestamp, item);
+                } else if (block.type === 'tool_use') {
+                    if (block.custom) {
+                        push(timestamp, { type: 'custom_tool_call', status: 'completed', call_id: block.id, name: block.name, input: block.arguments || '' });
+                    } else {
+                        push(timestamp, { type: 'function_call', name: block.name, arguments: block.arguments || JSON.stringify(block.input || {}), call_id: block.id });
+                    }
+                } else if (block.type === 'image') {
+                    unmapped('image.assistant');
+                }
+            }
+            flushText();
+            if (turn.usage) {
+                running = addUsage(running, turn.usage);
+                records.push({
+                    type: 'event_msg',
+                    timestamp,
+                    payload: { type: 'token_count', info: { total_token_usage: toCodexUsage(running), last_token_usage: toCodexUsage(turn.usage) } }
+                });
+            }
+            return;
+        }
+        const content = [];
+        for (const block of turn.blocks) {
+            if (block.type === 'tool_result') {
+                if (!toolUseIds.has(block.toolUseId)) {
+                    unmapped('tool_result.orphan');
+                    continue;
+                }
+                const type = isCustomToolCall(model.turns, block.toolUseId) ? 'custom_tool_call_output' : 'function_call_output';
+                push(timestamp, { type, call_id: block.toolUseId, output: block.output });
+            } else if (block.type === 'text') {
+                content.push({ type: 'input_text', text: block.text });
+            } else if (block.type === 'image') {
+                content.push({ type: 'input_image', image_url: block.url || `data:${block.mediaType};base64,${block.data}` });
+            }
+        }
+        if (content.length) {
+            push(timestamp, { type: 'message', role: turn.role, content });
+        }
+    });
+    return records;
+}
+
+function buildClaudeRecords(model, context) {
+    const { sessionId, cwd, stamp, unmapped } = context;
+    const toolUseIds = collectToolUseIds(model.turns);
+    const records = [];
+    let parentUuid = null;
+
+    model.turns.forEach((turn, index) => {
+        const content = [];
+        for (const block of turn.blocks) {
+            if (block.type === 'text') {
+                content.push({ type: 'text', text: block.text });
+            } else if (block.type === 'image') {
+                if (turn.role === 'assistant') {
+                    unmapped('image.assistant');
+                    continue;
+                }
+                content.push({
+                    type: 'image',
+                    source: block.url ? { type: 'url', url: block.url } : { type: 'base64', media_type: block.mediaType, data: block.data }
+                });
+            } else if (block.type === 'reasoning') {
+                if (block.signature) {
+                    content.push({ type: 'thinking', thinking: block.text, signature: block.signature });
+                } else if (block.redacted) {
+                    content.push({ type: 'redacted_thinking', data: block.redacted });
+                } else {
+                    unmapped(block.text ? 'reasoning.unsigned' : 'reasoning.encrypted');
+                }
+            } else if (block.type === 'tool_use') {
+                content.push({ type: 'tool_use', id: block.id, name: block.name, input: block.input || {} });
+            } else if (block.type === 'tool_result') {
+                if (!toolUseIds.has(block.toolUseId)) {
+                    unmapped('tool_result.orphan');
+                    continue;
+                }
+                const item = { type: 'tool_result', tool_use_id: block.toolUseId, content: block.output };
+                if (block.isError) item.is_error = true;
+                content.push(item);
+            }
+        }
+        if (!content.length) return;
+        const simpleText = content.length === 1 && content[0].type === 'text';
+        const message = { role: turn.role, content: simpleText ? content[0].text : content };
+        if (turn.role === 'assistant') {
+            const turnModel = turn.model || model.model;
+            if (turnModel) message.model = turnModel;
+            if (turn.usage) message.usage = toClaudeUsage(turn.usage);
+        }
+        const uuid = crypto.randomUUID();
+        records.push({
+            parentUuid,
+            type: turn.role,
+            uuid,
+            timestamp: turn.timestamp || stamp(index + 1),
+            sessionId,
+            cwd,
+            message
+        });
+        parentUuid = uuid;
+    });
+    return records;
+}
+
+function collectToolResults(turns) {
+    const results = new Map();
+    for (const turn of turns) {
+        for (const block of turn.blocks) {
+            if (block.type === 'tool_result' && block.toolUseId) results.set(block.toolUseId, block);
+        }
+    }
+    return results;
+}
+
+function buildGeminiTokens(usage) {
+    const input = usage.inputTokens + usage.cachedInputTokens + usage.cacheCreationInputTokens;
+    return {
+        input,
+        output: usage.outputTokens,
+        cached: usage.cachedInputTokens,
+        thoughts: usage.reasoningTokens,
+        tool: 0,
+        total: input + usage.outputTokens + usage.reasoningTokens
+    };
+}
+
+function buildGeminiRecords(model, context) {
+    const { sessionId, cwd, stamp, unmapped } = context;
+    const toolUseIds = collectToolUseIds(model.turns);
+    const results = collectToolResults(model.turns);
+    const messages = [];
+
+    model.turns.forEach((turn, index) => {
+        const timestamp = turn.timestamp || stamp(index + 1);
+        if (turn.role !== 'assistant') {
+            const parts = [];
+            for (const block of turn.blocks) {
+                if (block.type === 'text') {
+                    parts.push({ text: block.text });
+                } else if (block.type === 'image') {
+                    parts.push(block.url
+                        ? { fileData: { mimeType: 'image/*', fileUri: block.url } }
+                        : { inlineData: { mimeType: block.mediaType, data: block.data } });
+                } else if (block.type === 'tool_result' && !toolUseIds.has(block.toolUseId)) {
+                    unmapped('tool_result.orphan');
+                }
+            }
+            if (!parts.length) return;
+            const content = parts.length === 1 && parts[0].text !== undefined ? parts[0].text : parts;
+            messages.push({ id: crypto.randomUUID(), timestamp, type: turn.role === 'system' ? 'info' : 'user', content });
+            return;
+        }
+        const texts = [];
+        const thoughts = [];
+        const toolCalls = [];
+        for (const block of turn.blocks) {
+            if (block.type === 'text') {
+                texts.push(block.text);
+            } else if (block.type === 'reasoning') {
+                if (block.redacted !== undefined) {
+                    unmapped('reasoning.redacted');
+                } else if (!block.text) {
+                    unmapped('reasoning.encrypted');
+                } else {
+                    const subject = block.subject && block.text.startsWith(`${block.subject}\n`) ? block.subject : '';
+                    thoughts.push({ subject, description: subject ? block.text.slice(subject.length + 1) : block.text, timestamp });
+                }
+            } else if (block.type === 'tool_use') {
+                const result = results.get(block.id);
+                toolCalls.push({
+                    id: block.id,
+                    name: block.name,
+                    args: block.input || {},
+                    result: result
+                        ? [{ functionResponse: { id: block.id, name: block.name, response: result.isError ? { error: result.output } : { output: result.output } } }]
+                        : null,
+                    status: result ? (result.isError ? 'error' : 'success') : 'cancelled',
+                    timestamp
+                });
+            } else if (block.type === 'image') {
+                unmapped('image.assistant');
+            }
+        }
+        if (!texts.length && !thoughts.length && !toolCalls.length) return;
+        const message = { id: crypto.randomUUID(), timestamp, type: 'gemini', content: texts.join('\n\n') };
+        if (thoughts.length) message.thoughts = thoughts;
+        if (toolCalls.length) message.toolCalls = toolCalls;
+        if (turn.usage) message.tokens = buildGeminiTokens(turn.usage);
+        if (turn.model || model.model) message.model = turn.model || model.model;
+        messages.push(message);
+    });
+
+    const conversation = {
+        sessionId,
+        projectHash: cwd ? crypto.createHash('sha256').update(cwd).digest('hex') : '',
+        projectRoot: cwd,
+        startTime: messages.length ? messages[0].timestamp : stamp(0),
+        lastUpdated: messages.length ? messages[messages.length - 1].timestamp : stamp(0),
+        messages
+    };
+    return [conversation];
+}
+
+function buildCodeBuddyRecords(model, context) {
+    const { sessionId, cwd, stamp, unmapped } = context;
+    const toolUseIds = collectToolUseIds(model.turns);
+    const toolNames = new Map();
+    const records = [];
+    const push = (timestamp, item) => {
+        records.push({ id: crypto.randomUUID(), timestamp, sessionId, cwd, ...item });
+        return records[records.length - 1];
+    };
+
+    model.turns.forEach((turn, index) => {
+        const timestamp = turn.timestamp || stamp(index + 1);
+        if (turn.role !== 'assistant') {
+            const content = [];
+            for (const block of turn.blocks) {
+                if (block.type === 'tool_result') {
+                    if (!toolUseIds.has(block.toolUseId)) {
+                        unmapped('tool_result.orphan');
+                        continue;
+                    }
+                    push(timestamp, {
+                        type: 'function_call_result',
+                        name: toolNames.get(block.toolUseId) || '',
+                        callId: block.toolUseId,
+                        status: block.isError ? 'incomplete' : 'completed',
+                        output: { type: 'text', text: block.output }
+                    });
+                } else if (block.type === 'text') {
+                    content.push({ type: 'input_text', text: block.text });
+                } else if (block.type === 'image') {
+                    content.push({ type: 'input_image', image: block.url || `data:${block.mediaType};base64,${block.data}` });
+                }
+            }
+            if (content.length) {
+                push(timestamp, { type: 'message', role: turn.role, content: turn.role === 'system' ? content.map(item => item.text || '').join('\n') : content });
+            }
+            return;
+        }
+        let last = null;
+        let textParts = [];
+        const flushText = () => {
+            if (!textParts.length) return;
+            last = push(timestamp, { type: 'message', role: 'assistant', status: 'completed', content: textParts });
+            textParts = [];
+        };
+        for (const block of turn.blocks) {
+            if (block.type === 'text') {
+                textParts.push({ type: 'output_text', text: block.text });
+                continue;
+            }
+            flushText();
+            if (block.type === 'reasoning') {
+                if (block.redacted !== undefined) {
+                    unmapped('reasoning.redacted');
+                } else if (!block.text) {
+                    unmapped('reasoning.encrypted');
+                } else {
+                    last = push(timestamp, { type: 'reasoning', content: [{ type: 'input_text', text: block.text }] });
+                }
+            } else if (block.type === 'tool_use') {
+                toolNames.set(block.id, block.name);
+                last = push(timestamp, {
+                    type: 'function_call',
+                    callId: block.id,
+                    name: block.name,
+                    arguments: block.arguments || JSON.stringify(block.input || {}),
+                    status: 'completed'
+                });
+            } else if (block.type === 'image') {
+                unmapped('image.assistant');
+            }
+        }
+        flushText();
+        if (last && (turn.model || model.model)) last.model = turn.model || model.model;
+        if (last && turn.usage) last.usage = toCodexUsage(turn.usage);
+    });
+    return records;
+}
+
+function summarizeSessionModel(model, unmapped) {
+    const counts = { turns: model.turns.length, toolCalls: 0, toolResults: 0, reasoning: 0, images: 0 };
+    for (const turn of model.turns) {
+        counts.toolCalls += countBlocks(turn, ['tool_use']);
+        counts.toolResults += countBlocks(turn, ['tool_result']);
+        counts.reasoning += countBlocks(turn, ['reasoning']);
+        counts.images += countBlocks(turn, ['image']);
+    }
+    const merged = { ...model.unmapped };
+    for (const [kind, count] of Object.entries(unmapped)) {
+        merged[kind] = (merged[kind] || 0) + count;
+    }
+    return {
+        ...counts,
+        model: model.model,
+        provider: model.provider,
+        usage: model.usage,
+        unmapped: Object.entries(merged).map(([kind, count]) => ({
+            kind,
+            count,
+            reason: UNMAPPED_REASONS[kind] || '目标格式没有对应的记录类型'
+        }))
+    };
+}
+
+const SESSION_RECORD_BUILDERS = {
+    codex: buildCodexRecords,
+    claude: buildClaudeRecords,
+    gemini: buildGeminiRecords,
+    codebuddy: buildCodeBuddyRecords
+};
+
+// 把中间模型写成目标格式的记录（Gemini 为单个会话对象），并返回映射报告
+function buildSessionRecords(target, model, options = {}) {
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    const unmappedCounts = {};
+    const context = {
+        sessionId: readString(options.sessionId) || model.sessionId,
+        cwd: readString(options.cwd) || model.cwd,
+        stamp: offset => new Date(now + offset).toISOString(),
+        unmapped: (kind) => {
+            unmappedCounts[kind] = (unmappedCounts[kind] || 0) + 1;
+        }
+    };
+    const builder = SESSION_RECORD_BUILDERS[target];
+    if (!builder) {
+        throw new Error(`不支持的会话格式: ${target}`);
+    }
+    const records = builder(model, context);
+    return { records, report: summarizeSessionModel(model, unmappedCounts) };
+}
+
+function serializeSessionRecords(target, records) {
+    if (target === 'gemini') {
+        return `${JSON.stringify(records[0] || {}, null, 2)}\n`;
+    }
+    return `${records.map(record => JSON.stringify(record)).join('\n')}\n`;
+}
+
+function formatSessionConvertReport(report) {
+    if (!report) return [];
+    const lines = [`映射: ${report.turns} 轮 / 工具调用 ${report.toolCalls} / 工具结果 ${report.toolResults} / 推理 ${report.reasoning} / 图片 ${report.images}`];
+    for (const item of report.unmapped || []) {
+        lines.push(`未映射 ${item.kind} ×${item.count}: ${item.reason}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    createSessionModel,
+    createSessionModelFromMessages,
+    applySessionRecord,
+    applyGeminiConversation,
+    finalizeSessionModel,
+    buildSessionRecords,
+    serializeSessionRecords,
+    formatSessionConvertReport
+};
@@ -0,0 +1,611 @@
+const crypto = require('crypto');
+const path = require('path');
+const {
+    expandSessionQueryTokens,
+    extractMessageFromRecord,
+    isBootstrapLikeText
+} = require('../lib/cli-sessions');
+
+const SESSION_SEARCH_INDEX_VERSION = 1;
+const SESSION_SEARCH_MAX_DOC_CHARS = 8 * 1024;
+const SESSION_SEARCH_READ_CHUNK_BYTES = 1024 * 1024;
+const SESSION_SEARCH_HEAD_BYTES = 1024;
+const SESSION_SEARCH_SNIPPET_BEFORE = 60;
+const SESSION_SEARCH_SNIPPET_LENGTH = 180;
+const SESSION_SEARCH_MAX_SNIPPETS = 2;
+const SESSION_SEARCH_COMPACT_MIN_REMOVED = 2000;
+const SESSION_SEARCH_SAVE_DELAY_MS = 2000;
+const SESSION_SEARCH_TIME_PRESETS = Object.freeze({ '7d': 7, '30d': 30, '90d': 90 });
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 中日文没有空格分词，按单字切分；其余按字母/数字串切分
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const SEARCH_TOKEN_PATTERN = new RegExp(`[${CJK_CHARS}]|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}_])+`, 'gu');
+
+function tokenizeSearchText(text) {
+    const source = typeof text === 'string' ? text : '';
+    const tokens = [];
+    for (const match of source.matchAll(SEARCH_TOKEN_PATTERN)) {
+        tokens.push({
+            token: match[0].toLowerCase(),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+// 查询语法："exact phrase" 为短语，foo* 为前缀，其余按词匹配；
+// 一个词被切成多个 token（如 claude-code、中文词）时按短语处理
+function parseSessionSearchQuery(query) {
+    const clauses = [];
+    const words = [];
+    const text = typeof query === 'string' ? query : '';
+    for (const match of text.matchAll(/"([^"]*)"?|(\S+)/g)) {
+        if (match[2] === undefined) {
+            const tokens = tokenizeSearchText(match[1]).map(item => item.token);
+            if (tokens.length > 0) {
+                clauses.push({ tokens, prefix: false, raw: `"${match[1].trim()}"` });
+            }
+            continue;
+        }
+        words.push(match[2]);
+    }
+    for (const word of expandSessionQueryTokens(words)) {
+        const prefix = word.length > 1 && word.endsWith('*');
+        const tokens = tokenizeSearchText(prefix ? word.replace(/\*+$/, '') : word).map(item => item.token);
+        if (tokens.length > 0) {
+            clauses.push({ tokens, prefix, raw: word });
+        }
+    }
+    return clauses;
+}
+
+function parseSearchTime(value, endOfDay = false) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const text = String(value).trim();
+    const parsed = Date.parse(text);
+    if (!Number.isFinite(parsed)) return null;
+    // 仅日期（YYYY-MM-DD）作为截止时间时包含当天
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? parsed + DAY_MS - 1 : parsed;
+}
+
+function resolveSessionSearchTimeRange(options = {}, now = Date.now()) {
+    let sinceMs = parseSearchTime(options.since);
+    const untilMs = parseSearchTime(options.until, true);
+    const preset = typeof options.timeRangePreset === 'string' ? options.timeRangePreset.trim().toLowerCase() : '';
+    if (sinceMs === null && SESSION_SEARCH_TIME_PRESETS[preset]) {
+        sinceMs = now - SESSION_SEARCH_TIME_PRESETS[preset] * DAY_MS;
+    }
+    return { sinceMs, untilMs };
+}
+
+function isWithinTimeRange(timeMs, range) {
+    if (!range) return true;
+    if (range.sinceMs !== null && range.sinceMs !== undefined && !(timeMs >= range.sinceMs)) return false;
+    if (range.untilMs !== null && range.untilMs !== undefined && !(timeMs <= range.untilMs)) return false;
+    return true;
+}
+
+function matchesClauseToken(clause, index, token) {
+    const expected = clause.tokens[index];
+    return clause.prefix && index === clause.tokens.length - 1
+        ? token.startsWith(expected)
+        : token === expected;
+}
+
+// 在已切分的文本中查找子句的连续出现位置，返回字符区间
+function findClauseRanges(textTokens, clause) {
+    const ranges = [];
+    const size = clause.tokens.length;
+    for (let i = 0; i + size <= textTokens.length; i++) {
+        let matched = true;
+        for (let j = 0; j < size; j++) {
+            if (!matchesClauseToken(clause, j, textTokens[i + j].token)) {
+                matched = false;
+                break;
+            }
+        }
+        if (matched) {
+            ranges.push([textTokens[i].start, textTokens[i + size - 1].end]);
+            i += size - 1;
+        }
+    }
+    return ranges;
+}
+
+function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    }
+    return merged;
+}
+
+function buildSearchSnippet(text, ranges) {
+    const flat = String(text || '').replace(/\s/g, ' ');
+    const first = ranges.length > 0 ? ranges[0] : [0, 0];
+    const start = Math.max(0, first[0] - SESSION_SEARCH_SNIPPET_BEFORE);
+    const end = Math.min(flat.length, Math.max(first[1], start + SESSION_SEARCH_SNIPPET_LENGTH));
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < flat.length ? '…' : '';
+    const snippetRanges = [];
+    for (const range of ranges) {
+        if (range[1] <= start || range[0] >= end) continue;
+        snippetRanges.push([
+            Math.max(range[0], start) - start + prefix.length,
+            Math.min(range[1], end) - start + prefix.length
+        ]);
+    }
+    return { text: `${prefix}${flat.slice(start, end)}${suffix}`, ranges: snippetRanges };
+}
+
+// 待写盘的索引在进程退出前统一落盘，所有实例共用一个 exit 监听
+const pendingIndexFlushes = new Set();
+let exitFlushRegistered = false;
+
+function registerPendingIndexFlush(flush) {
+    pendingIndexFlushes.add(flush);
+    if (exitFlushRegistered) return;
+    exitFlushRegistered = true;
+    process.once('exit', () => {
+        for (const pending of Array.from(pendingIndexFlushes)) {
+            pending();
+        }
+    });
+}
+
+function createEmptyIndexState() {
+    return { version: SESSION_SEARCH_INDEX_VERSION, files: {}, docs: [], postings: {}, removed: 0 };
+}
+
+// 会话全文检索索引：以消息为文档建立倒排表（token -> [docId, tf, ...]），持久化到本地 JSON。
+// 每个文件记录 size/mtime/已读偏移与头部摘要作为检查点，追加写入时只索引新增行，改写时整体重建。
+// 索引常驻内存，连续检索产生的改动合并后延迟写盘，避免每次检索都重写整个文件。
+function createSessionSearchIndexController(deps = {}) {
+    const {
+        fs,
+        SESSION_SEARCH_INDEX_FILE,
+        readGeminiMessages,
+        saveDelayMs = SESSION_SEARCH_SAVE_DELAY_MS
+    } = deps;
+
+    if (!fs) throw new Error('createSessionSearchIndexController 缺少 fs');
+    if (!SESSION_SEARCH_INDEX_FILE) throw new Error('createSessionSearchIndexController 缺少 SESSION_SEARCH_INDEX_FILE');
+    if (typeof readGeminiMessages !== 'function') {
+        throw new Error('createSessionSearchIndexController 缺少 readGeminiMessages');
+    }
+
+    let state = null;
+    let dirty = false;
+    let saveTimer = null;
+
+    function loadIndex() {
+        if (state) return state;
+        let parsed = null;
+        try {
+            parsed = JSON.parse(fs.readFileSync(SESSION_SEARCH_INDEX_FILE, 'utf-8'));
+        } catch (_) {
+            parsed = null;
+        }
+        if (parsed && parsed.version === SESSION_SEARCH_INDEX_VERSION
+            && parsed.files && typeof parsed.files === 'object'
+            && Array.isArray(parsed.docs)
+            && parsed.postings && typeof parsed.postings === 'object') {
+            state = {
+                ...createEmptyIndexState(),
+                files: parsed.files,
+                docs: parsed.docs,
+                postings: parsed.postings,
+                removed: Number(parsed.removed) || 0
+            };
+        } else {
+            state = createEmptyIndexState();
+        }
+        // 已删除或移入回收站的会话文件不再保留在索引中
+        for (const filePath of Object.keys(state.files)) {
+            if (!fs.existsSync(filePath)) {
+                removeFileDocs(filePath);
+            }
+        }
+        return state;
+    }
+
+    function removeFileDocs(filePath) {
+        const entry = state.files[filePath];
+        if (!entry) return;
+        for (const docId of entry.docs) {
+            if (state.docs[docId]) {
+                state.docs[docId] = null;
+                state.removed += 1;
+            }
+        }
+        delete state.files[filePath];
+        dirty = true;
+    }
+
+    function compactIndex() {
+        const remap = new Map();
+        const docs = [];
+        for (let docId = 0; docId < state.docs.length; docId++) {
+            if (!state.docs[docId]) continue;
+            remap.set(docId, docs.length);
+            docs.push(state.docs[docId]);
+        }
+        const postings = {};
+        for (const [token, list] of Object.entries(state.postings)) {
+            const next = [];
+            for (let i = 0; i < list.length; i += 2) {
+                if (remap.has(list[i])) {
+                    next.push(remap.get(list[i]), list[i + 1]);
+                }
+            }
+            if (next.length > 0) {
+                postings[token] = next;
+            }
+        }
+        for (const entry of Object.values(state.files)) {
+            entry.docs = entry.docs.filter(docId => remap.has(docId)).map(docId => remap.get(docId));
+        }
+        state.docs = docs;
+        state.postings = postings;
+        state.removed = 0;
+    }
+
+    function saveIndex() {
+        if (!dirty) return;
+        if (state.removed >= SESSION_SEARCH_COMPACT_MIN_REMOVED && state.removed * 2 >= state.docs.length) {
+            compactIndex();
+        }
+        const dirPath = path.dirname(SESSION_SEARCH_INDEX_FILE);
+        const tmpPath = `${SESSION_SEARCH_INDEX_FILE}.tmp-${process.pid}-${Date.now()}`;
+        try {
+            fs.mkdirSync(dirPath, { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify(state), { encoding: 'utf-8', mode: 0o600 });
+            fs.renameSync(tmpPath, SESSION_SEARCH_INDEX_FILE);
+            dirty = false;
+        } catch (_) {
+            try { fs.unlinkSync(tmpPath); } catch (_) {}
+        }
+    }
+
+    function flushIndex() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        pendingIndexFlushes.delete(flushIndex);
+        if (state) saveIndex();
+    }
+
+    // 同一批次内的改动只写一次；定时器不阻止进程退出，退出时由 exit 监听补写
+    function scheduleSave() {
+        if (!dirty || saveTimer) return;
+        registerPendingIndexFlush(flushIndex);
+        saveTimer = setTimeout(flushIndex, saveDelayMs);
+        if (typeof saveTimer.unref === 'function') {
+            saveTimer.unref();
+        }
+    }
+
+    function hashFileHead(filePath, bytes) {
+        if (bytes <= 0) return '';
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(bytes);
+            const read = fs.readSync(fd, buffer, 0, bytes, 0);
+            return crypto.createHash('sha1').update(buffer.subarray(0, read)).digest('hex');
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // 按行读取 [start, end) 区间，返回已完整消费到的偏移；末尾未以换行结束的半行留待下次
+    function readAppendedLines(filePath, start, end, onLine) {
+        const fd = fs.openSync(filePath, 'r');
+        const chunk = Buffer.alloc(SESSION_SEARCH_READ_CHUNK_BYTES);
+        let position = start;
+        let consumed = start;
+        let pending = Buffer.alloc(0);
+        try {
+            while (position < end) {
+                const read = fs.readSync(fd, chunk, 0, Math.min(chunk.length, end - position), position);
+                if (read <= 0) break;
+                position += read;
+                const data = pending.length > 0 ? Buffer.concat([pending, chunk.subarray(0, read)]) : chunk.subarray(0, read);
+                let lineStart = 0;
+                let newline = data.indexOf(0x0a, lineStart);
+                while (newline !== -1) {
+                    onLine(data.toString('utf-8', lineStart, newline));
+                    lineStart = newline + 1;
+                    newline = data.indexOf(0x0a, lineStart);
+                }
+                consumed = position - (data.length - lineStart);
+                pending = Buffer.from(data.subarray(lineStart));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        const tail = pending.toString('utf-8').trim();
+        if (tail && position >= end) {
+            try {
+                JSON.parse(tail);
+                onLine(tail);
+                consumed = position;
+            } catch (_) {}
+        }
+        return consumed;
+    }
+
+    function addMessageDoc(filePath, entry, message) {
+        const text = typeof message.text === 'string' ? message.text : '';
+        if (!message.role || !text) return;
+        const leading = entry.leading && (message.role === 'system' || isBootstrapLikeText(text));
+        entry.leading = leading;
+        const counts = new Map();
+        const tokens = tokenizeSearchText(text);
+        for (const item of tokens) {
+            counts.set(item.token, (counts.get(item.token) || 0) + 1);
+        }
+        const docId = state.docs.length;
+        const timestamp = Date.parse(message.timestamp || '');
+        state.docs.push({
+            f: filePath,
+            r: message.role,
+            t: Number.isFinite(timestamp) ? timestamp : 0,
+            x: text.length > SESSION_SEARCH_MAX_DOC_CHARS ? text.slice(0, SESSION_SEARCH_MAX_DOC_CHARS) : text,
+            n: tokens.length,
+            l: leading ? 1 : 0
+        });
+        for (const [token, count] of counts) {
+            if (!Object.prototype.hasOwnProperty.call(state.postings, token)) {
+                state.postings[token] = [];
+            }
+            state.postings[token].push(docId, count);
+        }
+        entry.docs.push(docId);
+        entry.tokens += tokens.length;
+    }
+
+    function syncFile(session) {
+        const filePath = session.filePath;
+        const source = session.source;
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (_) {
+            removeFileDocs(filePath);
+            return null;
+        }
+        let entry = state.files[filePath];
+        if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+            return entry;
+        }
+        try {
+            const canAppend = !!entry
+                && source !== 'gemini'
+                && entry.source === source
+                && stat.size >= entry.offset
+                && entry.head === hashFileHead(filePath, entry.headBytes);
+            if (!canAppend) {
+                removeFileDocs(filePath);
+                entry = {
+                    source,
+                    size: 0,
+                    mtimeMs: 0,
+                    offset: 0,
+                    head: '',
+                    headBytes: 0,
+                    leading: true,
+                    docs: [],
+                    tokens: 0
+                };
+                state.files[filePath] = entry;
+            }
+            if (source === 'gemini') {
+                for (const message of readGeminiMessages(filePath)) {
+                    addMessageDoc(filePath, entry, message);
+                }
+                entry.offset = stat.size;
+            } else {
+                entry.offset = readAppendedLines(filePath, entry.offset, stat.size, (line) => {
+                    const trimmed = line.trim();
+                    if (!trimmed) return;
+                    let record;
+                    try {
+                        record = JSON.parse(trimmed);
+                    } catch (_) {
+                        return;
+                    }
+                    const message = extractMessageFromRecord(record, source);
+                    if (message) {
+                        addMessageDoc(filePath, entry, { ...message, timestamp: record.timestamp });
+                    }
+                });
+            }
+            entry.size = stat.size;
+            entry.mtimeMs = stat.mtimeMs;
+            if (entry.headBytes < SESSION_SEARCH_HEAD_BYTES && entry.offset > entry.headBytes) {
+                entry.headBytes = Math.min(entry.offset, SESSION_SEARCH_HEAD_BYTES);
+                entry.head = hashFileHead(filePath, entry.headBytes);
+            }
+            dirty = true;
+            return entry;
+        } catch (_) {
+            removeFileDocs(filePath);
+            return null;
+        }
+    }
+
+    function collectTokenPostings(token, prefix) {
+        if (!prefix) {
+            return Object.prototype.hasOwnProperty.call(state.postings, token) ? [state.postings[token]] : [];
+        }
+        const lists = [];
+        for (const key of Object.keys(state.postings)) {
+            if (key.startsWith(token)) {
+                lists.push(state.postings[key]);
+            }
+        }
+        return lists;
+    }
+
+    // 返回 docId -> 词频；多 token 子句先求交集，再在原文上校验相邻
+    function collectClauseDocs(clause, acceptDoc) {
+        let candidates = null;
+        for (let i = 0; i < clause.tokens.length; i++) {
+            const lists = collectTokenPostings(clause.tokens[i], clause.prefix && i === clause.tokens.length - 1);
+            const current = new Map();
+            for (const list of lists) {
+                for (let j = 0; j < list.length; j += 2) {
+                    const docId = list[j];
+                    if (candidates && !candidates.has(docId)) continue;
+                    if (!candidates && !acceptDoc(docId)) continue;
+                    current.set(docId, (current.get(docId) || 0) + list[j + 1]);
+                }
+            }
+            candidates = current;
+            if (candidates.size === 0) break;
+        }
+        if (!candidates || clause.tokens.length === 1) {
+            return candidates || new Map();
+        }
+        const verified = new Map();
+        for (const docId of candidates.keys()) {
+            const count = findClauseRanges(tokenizeSearchText(state.docs[docId].x), clause).length;
+            if (count > 0) {
+                verified.set(docId, count);
+            }
+        }
+        return verified;
+    }
+
+    function buildDocHighlight(docId, clauses) {
+        const doc = state.docs[docId];
+        const textTokens = tokenizeSearchText(doc.x);
+        const ranges = [];
+        for (const clause of clauses) {
+            ranges.push(...findClauseRanges(textTokens, clause));
+        }
+        const snippet = buildSearchSnippet(doc.x, mergeRanges(ranges));
+        return { role: doc.r, text: snippet.text, ranges: snippet.ranges };
+    }
+
+    // 在给定会话范围内检索，返回 filePath -> match（含 BM25 分数与高亮片段）
+    function searchSessions(sessions, options = {}) {
+        const clauses = Array.isArray(options.clauses) ? options.clauses : parseSessionSearchQuery(options.query);
+        const results = new Map();
+        if (clauses.length === 0 || !Array.isArray(sessions)) {
+            return results;
+        }
+        loadIndex();
+        const entries = new Map();
+        for (const session of sessions) {
+            if (!session || !session.filePath || entries.has(session.filePath)) continue;
+            const entry = syncFile(session);
+            if (entry) {
+                entries.set(session.filePath, entry);
+            }
+        }
+        scheduleSave();
+        if (entries.size === 0) {
+            return results;
+        }
+
+        const mode = options.mode === 'or' ? 'or' : 'and';
+        const roleFilter = typeof options.roleFilter === 'string' && options.roleFilter !== 'all' ? options.roleFilter : '';
+        const acceptDoc = (docId) => {
+            const doc = state.docs[docId];
+            if (!doc) return false;
+            const entry = entries.get(doc.f);
+            if (!entry) return false;
+            if (roleFilter && doc.r !== roleFilter) return false;
+            // 与会话详情一致：开头的系统/引导消息只在筛选 system 角色时参与检索
+            if (doc.l && roleFilter !== 'system') return false;
+            return isWithinTimeRange(doc.t || entry.mtimeMs, options.timeRange);
+        };
+
+        // filePath -> 每个子句的 { tf, docIds }
+        const hitsByFile = new Map();
+        clauses.forEach((clause, clauseIndex) => {
+            for (const [docId, tf] of collectClauseDocs(clause, acceptDoc)) {
+                const filePath = state.docs[docId].f;
+                if (!hitsByFile.has(filePath)) {
+                    hitsByFile.set(filePath, clauses.map(() => ({ tf: 0, docIds: [] })));
+                }
+                const hit = hitsByFile.get(filePath)[clauseIndex];
+                hit.tf += tf;
+                hit.docIds.push(docId);
+            }
+        });
+
+        const totalFiles = entries.size;
+        let totalTokens = 0;
+        for (const entry of entries.values()) {
+            totalTokens += entry.tokens;
+        }
+        const avgTokens = Math.max(1, totalTokens / totalFiles);
+        const docFrequency = clauses.map((_, clauseIndex) => {
+            let count = 0;
+            for (const hits of hitsByFile.values()) {
+                if (hits[clauseIndex].tf > 0) count += 1;
+            }
+            return count;
+        });
+
+        for (const [filePath, hits] of hitsByFile) {
+            const matchedClauses = hits.filter(hit => hit.tf > 0).length;
+            if (mode === 'and' ? matchedClauses < clauses.length : matchedClauses === 0) {
+                continue;
+            }
+            const lengthNorm = 1 - BM25_B + BM25_B * (entries.get(filePath).tokens / avgTokens);
+            let score = 0;
+            const docClauseCounts = new Map();
+            hits.forEach((hit, clauseIndex) => {
+                if (hit.tf <= 0) return;
+                const df = docFrequency[clauseIndex];
+                const idf = Math.log(1 + (totalFiles - df + 0.5) / (df + 0.5));
+                score += idf * (hit.tf * (BM25_K1 + 1)) / (hit.tf + BM25_K1 * lengthNorm);
+                for (const docId of hit.docIds) {
+                    docClauseCounts.set(docId, (docClauseCounts.get(docId) || 0) + 1);
+                }
+            });
+            const highlights = Array.from(docClauseCounts.entries())
+                .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+                .slice(0, SESSION_SEARCH_MAX_SNIPPETS)
+                .map(([docId]) => buildDocHighlight(docId, clauses));
+            results.set(filePath, {
+                hit: true,
+                count: docClauseCounts.size,
+                score: Math.round(score * 10000) / 10000,
+                snippets: highlights.map(item => item.text),
+                highlights
+            });
+        }
+        return results;
+    }
+
+    return {
+        searchSessions,
+        flushIndex
+    };
+}
+
+module.exports = {
+    SESSION_SEARCH_TIME_PRESETS,
+    tokenizeSearchText,
+    parseSessionSearchQuery,
+    resolveSessionSearchTimeRange,
+    createSessionSearchIndexController
+};
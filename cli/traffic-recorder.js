@@ -0,0 +1,652 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { joinApiUrl } = require('../lib/cli-utils');
+const { toIsoTime } = require('../lib/cli-session-utils');
+const { createSseParser, isEventStreamContentType } = require('../lib/cli-sse-utils');
+const { openUpstreamStreamRequest, readUpstreamResponseText } = require('./chat-completions-stream');
+const {
+    mergeProxyUsage,
+    extractProxyUsageFromPayload,
+    extractProxyUsageFromText,
+    toBodyBuffer
+} = require('./proxy-usage');
+
+const TRAFFIC_PROXY_KINDS = Object.freeze(['codex', 'claude']);
+const TRAFFIC_SECRET_HEADERS = Object.freeze([
+    'authorization',
+    'proxy-authorization',
+    'x-api-key',
+    'api-key',
+    'x-goog-api-key',
+    'x-codexmate-token',
+    'cookie',
+    'set-cookie'
+]);
+const DEFAULT_TRAFFIC_LIST_LIMIT = 100;
+const MAX_TRAFFIC_LIST_LIMIT = 500;
+const MAX_TRAFFIC_REPLAY_BODY_BYTES = 4 * 1024 * 1024;
+const TRAFFIC_INDEX_HEAD_BYTES = 64;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clampInteger(value, min, max, fallback) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, Math.floor(num)));
+}
+
+// 仅保留首尾少量字符，便于区分不同 key 又不泄露完整凭据；Bearer 等认证前缀原样保留。
+function maskSecretValue(value) {
+    const text = Array.isArray(value) ? value.join(', ') : String(value == null ? '' : value);
+    const match = text.match(/^(bearer|basic|token)\s+(.+)$/i);
+    const scheme = match ? `${match[1]} ` : '';
+    const secret = match ? match[2] : text;
+    if (secret.length <= 12) {
+        return `${scheme}****`;
+    }
+    return `${scheme}${secret.slice(0, 4)}****${secret.slice(-4)}`;
+}
+
+function maskTrafficHeaders(headers) {
+    const result = {};
+    if (!isPlainObject(headers)) return result;
+    for (const [name, value] of Object.entries(headers)) {
+        if (value === undefined) continue;
+        const key = String(name).toLowerCase();
+        result[key] = TRAFFIC_SECRET_HEADERS.includes(key)
+            ? maskSecretValue(value)
+            : (Array.isArray(value) ? value.join(', ') : String(value));
+    }
+    return result;
+}
+
+function readRequestModel(bodyText) {
+    if (typeof bodyText !== 'string' || !bodyText.trim()) return '';
+    try {
+        const parsed = JSON.parse(bodyText);
+        return isPlainObject(parsed) && typeof parsed.model === 'string' ? parsed.model : '';
+    } catch (_) {
+        return '';
+    }
+}
+
+function createBodyCollector(limit) {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    return {
+        push(buffer) {
+            if (!buffer || !buffer.length) return;
+            if (size >= limit) {
+                truncated = true;
+                return;
+            }
+            const room = limit - size;
+            if (buffer.length > room) {
+                chunks.push(buffer.subarray(0, room));
+                size = limit;
+                truncated = true;
+                return;
+            }
+            chunks.push(buffer);
+            size += buffer.length;
+        },
+        read() {
+            return { body: Buffer.concat(chunks).toString('utf-8'), truncated };
+        }
+    };
+}
+
+function buildTrafficSummary(entry) {
+    return {
+        id: entry.id,
+        ts: entry.ts,
+        proxy: entry.proxy,
+        provider: entry.provider,
+        model: entry.model,
+        method: entry.method,
+        path: entry.path,
+        status: entry.status,
+        latencyMs: entry.latencyMs,
+        usage: entry.usage || null,
+        error: entry.error || ''
+    };
+}
+
+function matchesTrafficFilters(entry, filters) {
+    if (filters.proxy && entry.proxy !== filters.proxy) return false;
+    if (filters.provider && entry.provider !== filters.provider) return false;
+    if (filters.status === 'ok' && !(entry.status >= 200 && entry.status < 400 && !entry.error)) return false;
+    if (filters.status === 'error' && entry.status >= 200 && entry.status < 400 && !entry.error) return false;
+    if (/^\d{3}$/.test(filters.status) && String(entry.status) !== filters.status) return false;
+    if (filters.keyword) {
+        const haystack = [
+            entry.path,
+            entry.model,
+            entry.provider,
+            entry.error,
+            entry.request && entry.request.body,
+            entry.response && entry.response.body
+        ].join('\n').toLowerCase();
+        if (!haystack.includes(filters.keyword)) return false;
+    }
+    return true;
+}
+
+// 代理流量录制：按设置开关把脱敏后的请求/响应对追加到 JSONL，超出 maxFileBytes 后轮转为 .1/.2/... 文件。
+function createTrafficRecorder(deps = {}) {
+    const {
+        fs,
+        TRAFFIC_SETTINGS_FILE,
+        TRAFFIC_LOG_FILE,
+        DEFAULT_TRAFFIC_SETTINGS,
+        HTTP_KEEP_ALIVE_AGENT,
+        HTTPS_KEEP_ALIVE_AGENT,
+        resolveReplayUpstream
+    } = deps;
+
+    if (!fs) throw new Error('createTrafficRecorder 缺少 fs');
+    if (!TRAFFIC_SETTINGS_FILE) throw new Error('createTrafficRecorder 缺少 TRAFFIC_SETTINGS_FILE');
+    if (!TRAFFIC_LOG_FILE) throw new Error('createTrafficRecorder 缺少 TRAFFIC_LOG_FILE');
+    if (!DEFAULT_TRAFFIC_SETTINGS || typeof DEFAULT_TRAFFIC_SETTINGS !== 'object') {
+        throw new Error('createTrafficRecorder 缺少 DEFAULT_TRAFFIC_SETTINGS');
+    }
+    if (typeof resolveReplayUpstream !== 'function') throw new Error('createTrafficRecorder 缺少 resolveReplayUpstream');
+
+    let cachedSettings = null;
+
+    function normalizeTrafficSettings(raw) {
+        const merged = {
+            ...DEFAULT_TRAFFIC_SETTINGS,
+            ...(isPlainObject(raw) ? raw : {})
+        };
+        return {
+            enabled: merged.enabled === true,
+            maxBodyBytes: clampInteger(merged.maxBodyBytes, 1024, 4 * 1024 * 1024, DEFAULT_TRAFFIC_SETTINGS.maxBodyBytes),
+            maxFileBytes: clampInteger(merged.maxFileBytes, 64 * 1024, 512 * 1024 * 1024, DEFAULT_TRAFFIC_SETTINGS.maxFileBytes),
+            maxFiles: clampInteger(merged.maxFiles, 1, 20, DEFAULT_TRAFFIC_SETTINGS.maxFiles)
+        };
+    }
+
+    function readTrafficSettings() {
+        if (!cachedSettings) {
+            cachedSettings = normalizeTrafficSettings(readJsonFile(TRAFFIC_SETTINGS_FILE, {}));
+        }
+        return { ...cachedSettings };
+    }
+
+    function saveTrafficSettings(payload = {}) {
+        const current = readTrafficSettings();
+        const next = normalizeTrafficSettings({
+            ...current,
+            ...(isPlainObject(payload) ? payload : {})
+        });
+        try {
+            writeJsonAtomic(TRAFFIC_SETTINGS_FILE, next);
+        } catch (e) {
+            return { error: `保存流量录制设置失败: ${e.message}` };
+        }
+        cachedSettings = next;
+        return { success: true, settings: { ...next } };
+    }
+
+    function buildRotatedLogFile(index) {
+        if (!index) return TRAFFIC_LOG_FILE;
+        const ext = path.extname(TRAFFIC_LOG_FILE);
+        const base = ext ? TRAFFIC_LOG_FILE.slice(0, -ext.length) : TRAFFIC_LOG_FILE;
+        return `${base}.${index}${ext}`;
+    }
+
+    // 从新到旧：当前文件、.1、.2 ...
+    function listTrafficLogFiles(maxFiles) {
+        const files = [];
+        for (let index = 0; index < maxFiles; index += 1) {
+            const filePath = buildRotatedLogFile(index);
+            if (fs.existsSync(filePath)) {
+                files.push(filePath);
+            }
+        }
+        return files;
+    }
+
+    function rotateTrafficLog(settings) {
+        const oldest = buildRotatedLogFile(settings.maxFiles - 1);
+        if (fs.existsSync(oldest)) {
+            fs.unlinkSync(oldest);
+        }
+        for (let index = settings.maxFiles - 2; index >= 0; index -= 1) {
+            const source = buildRotatedLogFile(index);
+            if (fs.existsSync(source)) {
+                fs.renameSync(source, buildRotatedLogFile(index + 1));
+            }
+        }
+    }
+
+    function appendTrafficEntry(entry, settings) {
+        const line = `${JSON.stringify(entry)}\n`;
+        try {
+            fs.mkdirSync(path.dirname(TRAFFIC_LOG_FILE), { recursive: true });
+            let size = 0;
+            try {
+                size = fs.statSync(TRAFFIC_LOG_FILE).size;
+            } catch (_) {}
+            if (size > 0 && size + Buffer.byteLength(line, 'utf-8') > settings.maxFileBytes) {
+                rotateTrafficLog(settings);
+            }
+            fs.appendFileSync(TRAFFIC_LOG_FILE, line, 'utf-8');
+        } catch (e) {
+            console.warn(`! 写入流量录制失败: ${e.message}`);
+        }
+    }
+
+    // 开始录制一次代理请求；未启用时返回 null，调用方据此跳过所有录制逻辑。
+    // 响应通过包装 res.writeHead/write/end 捕获，在连接结束时落盘。
+    function begin(req, res, meta = {}) {
+        const settings = readTrafficSettings();
+        if (!settings.enabled) {
+            return null;
+        }
+        const startedAt = Date.now();
+        const responseBody = createBodyCollector(settings.maxBodyBytes);
+        let requestBody = { body: '', truncated: false };
+        let upstream = null;
+        let provider = typeof meta.provider === 'string' ? meta.provider : '';
+        let responseHeaders = {};
+        let usage = null;
+        let errorMessage = '';
+        let finished = false;
+
+        const isStreamResponse = () => isEventStreamContentType(res.getHeader('content-type'))
+            || isEventStreamContentType(responseHeaders['content-type']);
+        // SSE 的 usage 通常出现在流末尾，即使正文已截断也要完整解析事件
+        const sseParser = createSseParser((sseEvent) => {
+            usage = mergeProxyUsage(usage, extractProxyUsageFromPayload(sseEvent.data));
+        });
+
+        const collectResponse = (chunk, encoding) => {
+            const buffer = toBodyBuffer(typeof chunk === 'function' ? null : chunk, encoding);
+            if (!buffer) return;
+            responseBody.push(buffer);
+            if (isStreamResponse()) {
+                sseParser.push(buffer);
+            }
+        };
+
+        const originalWriteHead = res.writeHead;
+        const originalWrite = res.write;
+        const originalEnd = res.end;
+        res.writeHead = function writeHead(statusCode, ...rest) {
+            const headers = rest.find((item) => isPlainObject(item));
+            if (headers) {
+                responseHeaders = maskTrafficHeaders(headers);
+            }
+            return originalWriteHead.call(this, statusCode, ...rest);
+        };
+        res.write = function write(chunk, encoding, ...rest) {
+            collectResponse(chunk, encoding);
+            return originalWrite.call(this, chunk, encoding, ...rest);
+        };
+        res.end = function end(chunk, encoding, ...rest) {
+            collectResponse(chunk, encoding);
+            return originalEnd.call(this, chunk, encoding, ...rest);
+        };
+
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            res.writeHead = originalWriteHead;
+            res.write = originalWrite;
+            res.end = originalEnd;
+
+            const response = responseBody.read();
+            if (isStreamResponse()) {
+                sseParser.flush();
+            } else if (!response.truncated) {
+                usage = extractProxyUsageFromText(response.body);
+            }
+            if (!res.writableFinished && !errorMessage) {
+                errorMessage = 'client disconnected';
+            }
+            const entry = {
+                id: `${startedAt.toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+                ts: toIsoTime(startedAt),
+                proxy: TRAFFIC_PROXY_KINDS.includes(meta.proxy) ? meta.proxy : 'codex',
+                provider,
+                model: readRequestModel(requestBody.body),
+                method: (req.method || 'GET').toUpperCase(),
+                path: req.url || '/',
+                status: res.statusCode || 0,
+                latencyMs: Date.now() - startedAt,
+                request: {
+                    headers: maskTrafficHeaders(req.headers),
+                    body: requestBody.body,
+                    truncated: requestBody.truncated
+                },
+                upstream,
+                response: {
+                    headers: { ...maskTrafficHeaders(res.getHeaders()), ...responseHeaders },
+                    body: response.body,
+                    truncated: response.truncated
+                },
+                usage,
+                error: errorMessage
+            };
+            appendTrafficEntry(entry, settings);
+        };
+        res.once('finish', finish);
+        res.once('close', finish);
+
+        return {
+            setRequestBody(body) {
+                const collector = createBodyCollector(settings.maxBodyBytes);
+                collector.push(toBodyBuffer(body));
+                requestBody = collector.read();
+            },
+            // 记录实际转发的上游；故障转移时以最后一次尝试为准。body 仅在与客户端请求体不同时记录（如 Claude 代理转换后的请求）。
+            setUpstream(target, options = {}) {
+                if (target && typeof target.providerName === 'string') {
+                    provider = target.providerName;
+                }
+                let body = null;
+                let truncated = false;
+                if (options.body !== undefined) {
+                    const collector = createBodyCollector(settings.maxBodyBytes);
+                    collector.push(toBodyBuffer(options.body));
+                    ({ body, truncated } = collector.read());
+                }
+                upstream = {
+                    baseUrl: target && typeof target.baseUrl === 'string' ? target.baseUrl : '',
+                    path: typeof options.path === 'string' ? options.path : '',
+                    body,
+                    truncated
+                };
+            },
+            fail(message) {
+                errorMessage = typeof message === 'string' ? message : String(message || 'request failed');
+            }
+        };
+    }
+
+    // 列表与详情走内存索引：每个日志文件只保留摘要与每行的字节区间。
+    // 文件只追加时只解析新增部分；轮转是重命名，按 inode 复用已有索引。
+    let logIndex = new Map();
+
+    function readTrafficLogBytes(filePath, start, length) {
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const bytesRead = fs.readSync(fd, buffer, 0, length, start);
+            return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    function parseTrafficLogRange(filePath, start, end) {
+        const records = [];
+        const buffer = readTrafficLogBytes(filePath, start, end - start);
+        let lineStart = 0;
+        let newline = buffer.indexOf(10, lineStart);
+        while (newline !== -1) {
+            if (newline > lineStart) {
+                try {
+                    const entry = JSON.parse(buffer.toString('utf-8', lineStart, newline));
+                    if (isPlainObject(entry) && entry.id) {
+                        records.push({ summary: buildTrafficSummary(entry), offset: start + lineStart, length: newline - lineStart });
+                    }
+                } catch (_) {}
+            }
+            lineStart = newline + 1;
+            newline = buffer.indexOf(10, lineStart);
+        }
+        // 末尾尚未写完的行留到下次再解析
+        return { records, indexedBytes: start + lineStart };
+    }
+
+    function refreshTrafficLogIndex(settings) {
+        const previous = logIndex;
+        const byInode = new Map();
+        for (const item of previous.values()) {
+            if (item.ino) byInode.set(item.ino, item);
+        }
+        const next = new Map();
+        for (const filePath of listTrafficLogFiles(settings.maxFiles)) {
+            let stat;
+            try {
+                stat = fs.statSync(filePath);
+            } catch (_) {
+                continue;
+            }
+            try {
+                let cached = stat.ino ? byInode.get(stat.ino) : previous.get(filePath);
+                // 轮转删除的旧文件 inode 可能被新文件复用，再用文件开头的字节（含记录 ID）核对一次
+                const head = readTrafficLogBytes(filePath, 0, Math.min(stat.size, TRAFFIC_INDEX_HEAD_BYTES));
+                if (cached && (stat.size < cached.indexedBytes || !head.subarray(0, cached.head.length).equals(cached.head))) {
+                    cached = null;
+                }
+                if (!cached) {
+                    const parsed = parseTrafficLogRange(filePath, 0, stat.size);
+                    next.set(filePath, { ino: stat.ino, head, ...parsed });
+                } else if (stat.size > cached.indexedBytes) {
+                    const parsed = parseTrafficLogRange(filePath, cached.indexedBytes, stat.size);
+                    next.set(filePath, {
+                        ino: stat.ino,
+                        head,
+                        records: cached.records.concat(parsed.records),
+                        indexedBytes: parsed.indexedBytes
+                    });
+                } else {
+                    next.set(filePath, cached);
+                }
+            } catch (_) {}
+        }
+        logIndex = next;
+        return next;
+    }
+
+    // 从新到旧排列：文件按 listTrafficLogFiles 顺序，文件内倒序
+    function collectTrafficRecords(settings) {
+        const items = [];
+        for (const [filePath, item] of refreshTrafficLogIndex(settings)) {
+            for (let index = item.records.length - 1; index >= 0; index -= 1) {
+                items.push({ filePath, record: item.records[index] });
+            }
+        }
+        return items;
+    }
+
+    // fileBuffers 用于关键字搜索：同一文件只整体读取一次
+    function readIndexedTrafficEntry(item, fileBuffers = null) {
+        const { filePath, record } = item;
+        try {
+            let text;
+            if (fileBuffers) {
+                if (!fileBuffers.has(filePath)) {
+                    fileBuffers.set(filePath, fs.readFileSync(filePath));
+                }
+                text = fileBuffers.get(filePath).toString('utf-8', record.offset, record.offset + record.length);
+            } else {
+                text = readTrafficLogBytes(filePath, record.offset, record.length).toString('utf-8');
+            }
+            const entry = JSON.parse(text);
+            return isPlainObject(entry) && entry.id === record.summary.id ? entry : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function listTrafficEntries(params = {}) {
+        const settings = readTrafficSettings();
+        const filters = {
+            proxy: typeof params.proxy === 'string' ? params.proxy.trim() : '',
+            provider: typeof params.provider === 'string' ? params.provider.trim() : '',
+            status: typeof params.status === 'string' ? params.status.trim().toLowerCase() : '',
+            keyword: typeof params.keyword === 'string' ? params.keyword.trim().toLowerCase() : ''
+        };
+        const limit = clampInteger(params.limit, 1, MAX_TRAFFIC_LIST_LIMIT, DEFAULT_TRAFFIC_LIST_LIMIT);
+        const all = collectTrafficRecords(settings);
+        const providers = Array.from(new Set(all.map((item) => item.record.summary.provider).filter(Boolean))).sort();
+        let matched = all.filter((item) => matchesTrafficFilters(item.record.summary, { ...filters, keyword: '' }));
+        if (filters.keyword) {
+            // 关键字需要匹配请求/响应正文，只有这种查询才回读日志内容
+            const fileBuffers = new Map();
+            matched = matched.filter((item) => {
+                const entry = readIndexedTrafficEntry(item, fileBuffers);
+                return !!entry && matchesTrafficFilters(entry, filters);
+            });
+        }
+        return {
+            entries: matched.slice(0, limit).map((item) => item.record.summary),
+            total: matched.length,
+            providers
+        };
+    }
+
+    function getTrafficEntry(id) {
+        const targetId = typeof id === 'string' ? id.trim() : '';
+        if (!targetId) {
+            return { error: '记录 ID 不能为空' };
+        }
+        const item = collectTrafficRecords(readTrafficSettings()).find((candidate) => candidate.record.summary.id === targetId);
+        const entry = item ? readIndexedTrafficEntry(item) : null;
+        if (!entry) {
+            return { error: `流量记录不存在: ${targetId}` };
+        }
+        return { entry };
+    }
+
+    function clearTrafficLog() {
+        const settings = readTrafficSettings();
+        let removed = 0;
+        for (const filePath of listTrafficLogFiles(Math.max(settings.maxFiles, 20))) {
+            try {
+                fs.unlinkSync(filePath);
+                removed += 1;
+            } catch (e) {
+                return { error: `清空流量记录失败: ${e.message}` };
+            }
+        }
+        logIndex = new Map();
+        return { success: true, removed };
+    }
+
+    function getTrafficStatus() {
+        const settings = readTrafficSettings();
+        const files = listTrafficLogFiles(settings.maxFiles).map((filePath) => {
+            let size = 0;
+            try {
+                size = fs.statSync(filePath).size;
+            } catch (_) {}
+            return { name: path.basename(filePath), size };
+        });
+        return {
+            settings,
+            logFile: TRAFFIC_LOG_FILE,
+            files,
+            totalBytes: files.reduce((sum, file) => sum + file.size, 0)
+        };
+    }
+
+    // 把录制到的上游请求重新发送到指定 provider（强制非流式），用于对比不同上游的返回。
+    async function replayTrafficEntry(params = {}) {
+        const found = getTrafficEntry(params.id);
+        if (found.error) {
+            return { error: found.error };
+        }
+        const entry = found.entry;
+        const providerName = typeof params.provider === 'string' && params.provider.trim()
+            ? params.provider.trim()
+            : entry.provider;
+        if (!providerName) {
+            return { error: '请指定重放的 provider' };
+        }
+        const upstream = await resolveReplayUpstream(providerName);
+        if (!upstream || upstream.error) {
+            return { error: upstream && upstream.error ? upstream.error : `无法解析 provider: ${providerName}` };
+        }
+
+        const recordedUpstream = isPlainObject(entry.upstream) ? entry.upstream : null;
+        const bodySource = recordedUpstream && typeof recordedUpstream.body === 'string'
+            ? { body: recordedUpstream.body, truncated: recordedUpstream.truncated }
+            : { body: entry.request ? entry.request.body : '', truncated: entry.request ? entry.request.truncated : false };
+        if (bodySource.truncated) {
+            return { error: '录制的请求体已截断，无法重放' };
+        }
+        let body;
+        if (bodySource.body && bodySource.body.trim()) {
+            try {
+                body = JSON.parse(bodySource.body);
+            } catch (e) {
+                return { error: `录制的请求体不是 JSON，无法重放: ${e.message}` };
+            }
+        }
+        if (isPlainObject(body)) {
+            body = { ...body, stream: false };
+            const model = typeof params.model === 'string' ? params.model.trim() : '';
+            if (model) {
+                body.model = model;
+            }
+        }
+
+        let pathSuffix = recordedUpstream && recordedUpstream.path ? recordedUpstream.path : '';
+        if (!pathSuffix) {
+            const recordedPath = String(entry.path || '').split('?')[0];
+            pathSuffix = recordedPath.replace(/^\/v1\/?/, '');
+        }
+        const targetUrl = joinApiUrl(upstream.baseUrl, pathSuffix);
+        if (!targetUrl) {
+            return { error: 'failed to build upstream URL' };
+        }
+
+        const startedAt = Date.now();
+        const opened = await openUpstreamStreamRequest(targetUrl, {
+            method: entry.method || 'POST',
+            headers: {
+                'Accept': 'application/json',
+                ...(upstream.authHeader ? { 'Authorization': upstream.authHeader } : {}),
+                'X-Codexmate-Replay': '1'
+            },
+            body,
+            timeoutMs: Number.isFinite(params.timeoutMs) ? params.timeoutMs : 60000,
+            httpAgent: HTTP_KEEP_ALIVE_AGENT,
+            httpsAgent: HTTPS_KEEP_ALIVE_AGENT
+        });
+        const result = opened.ok
+            ? await readUpstreamResponseText(opened.upstreamReq, opened.upstreamRes, MAX_TRAFFIC_REPLAY_BODY_BYTES)
+            : opened;
+        if (!result.ok) {
+            return { error: `重放请求失败: ${result.error || 'request failed'}` };
+        }
+        return {
+            success: true,
+            id: entry.id,
+            provider: upstream.providerName || providerName,
+            url: targetUrl,
+            status: result.status,
+            latencyMs: Date.now() - startedAt,
+            headers: maskTrafficHeaders(result.headers),
+            body: result.bodyText,
+            usage: extractProxyUsageFromText(result.bodyText)
+        };
+    }
+
+    return {
+        normalizeTrafficSettings,
+        readTrafficSettings,
+        saveTrafficSettings,
+        begin,
+        listTrafficEntries,
+        getTrafficEntry,
+        clearTrafficLog,
+        getTrafficStatus,
+        replayTrafficEntry
+    };
+}
+
+module.exports = {
+    maskTrafficHeaders,
+    createTrafficRecorder
+};
@@ -0,0 +1,151 @@
+const { toIsoTime } = require('../lib/cli-session-utils');
+
+const UPSTREAM_POOL_STRATEGIES = Object.freeze(['failover', 'round-robin', 'least-latency']);
+const DEFAULT_UPSTREAM_COOLDOWN_MS = 30000;
+const DEFAULT_UPSTREAM_FAILURE_THRESHOLD = 3;
+const LATENCY_EWMA_WEIGHT = 0.3;
+
+function normalizeUpstreamPoolStrategy(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (raw === 'roundrobin' || raw === 'round_robin') return 'round-robin';
+    if (raw === 'latency' || raw === 'least_latency') return 'least-latency';
+    return UPSTREAM_POOL_STRATEGIES.includes(raw) ? raw : 'failover';
+}
+
+// 429 / 5xx 视为上游自身故障（限流、过载、网关错误），可切换到下一个上游重试；其余 4xx 属于请求本身的问题。
+function isRetryableUpstreamStatus(status) {
+    const code = Number(status);
+    return code === 429 || (code >= 500 && code <= 599);
+}
+
+// 上游池：按策略给出本次请求的尝试顺序，并为每个上游维护熔断状态。
+// 连续失败达到 failureThreshold 后熔断 cooldownMs；冷却结束进入 half-open，下一次成功即恢复，失败则再次熔断。
+// 全部上游都处于熔断时仍按最早恢复的顺序返回，避免请求直接失败。
+function createUpstreamPool(upstreams, options = {}) {
+    const list = Array.isArray(upstreams) ? upstreams.filter(Boolean) : [];
+    if (!list.length) {
+        throw new Error('createUpstreamPool 缺少 upstreams');
+    }
+    const strategy = normalizeUpstreamPoolStrategy(options.strategy);
+    const cooldownMs = Number.isFinite(options.cooldownMs) && options.cooldownMs >= 0
+        ? options.cooldownMs
+        : DEFAULT_UPSTREAM_COOLDOWN_MS;
+    const failureThreshold = Number.isFinite(options.failureThreshold) && options.failureThreshold >= 1
+        ? Math.floor(options.failureThreshold)
+        : DEFAULT_UPSTREAM_FAILURE_THRESHOLD;
+    const now = typeof options.now === 'function' ? options.now : () => Date.now();
+
+    const entries = list.map((upstream, index) => ({
+        id: typeof upstream.id === 'string' && upstream.id ? upstream.id : `${upstream.providerName || 'upstream'}#${index}`,
+        upstream,
+        consecutiveFailures: 0,
+        openUntil: 0,
+        totalRequests: 0,
+        totalFailures: 0,
+        latencyMs: null,
+        lastError: '',
+        lastFailureAt: 0,
+        lastSuccessAt: 0
+    }));
+    let cursor = 0;
+
+    function readState(entry, at) {
+        if (!entry.openUntil) return 'closed';
+        return at >= entry.openUntil ? 'half-open' : 'open';
+    }
+
+    function findEntry(target) {
+        return entries.find((entry) => entry.upstream === target || entry.id === target) || null;
+    }
+
+    function order() {
+        const at = now();
+        const available = entries.filter((entry) => readState(entry, at) !== 'open');
+        const cooling = entries
+            .filter((entry) => readState(entry, at) === 'open')
+            .sort((a, b) => a.openUntil - b.openUntil);
+
+        let ordered = available;
+        if (strategy === 'round-robin' && available.length > 1) {
+            const start = cursor % available.length;
+            ordered = available.slice(start).concat(available.slice(0, start));
+            cursor = (cursor + 1) % entries.length;
+        } else if (strategy === 'least-latency') {
+            // 尚无延迟数据的上游排在最前，保证每个上游都能被测量到
+            ordered = available.slice().sort((a, b) => {
+                const left = a.latencyMs === null ? -1 : a.latencyMs;
+                const right = b.latencyMs === null ? -1 : b.latencyMs;
+                return left - right;
+            });
+        }
+        return ordered.concat(cooling).map((entry) => entry.upstream);
+    }
+
+    function reportSuccess(target, latencyMs) {
+        const entry = findEntry(target);
+        if (!entry) return;
+        entry.totalRequests += 1;
+        entry.consecutiveFailures = 0;
+        entry.openUntil = 0;
+        entry.lastSuccessAt = now();
+        if (Number.isFinite(latencyMs) && latencyMs >= 0) {
+            entry.latencyMs = entry.latencyMs === null
+                ? Math.round(latencyMs)
+                : Math.round(entry.latencyMs * (1 - LATENCY_EWMA_WEIGHT) + latencyMs * LATENCY_EWMA_WEIGHT);
+        }
+    }
+
+    function reportFailure(target, reason) {
+        const entry = findEntry(target);
+        if (!entry) return;
+        const at = now();
+        const wasHalfOpen = readState(entry, at) === 'half-open';
+        entry.totalRequests += 1;
+        entry.totalFailures += 1;
+        entry.consecutiveFailures += 1;
+        entry.lastFailureAt = at;
+        entry.lastError = typeof reason === 'string' ? reason : '';
+        if (wasHalfOpen || entry.consecutiveFailures >= failureThreshold) {
+            entry.openUntil = at + cooldownMs;
+        }
+    }
+
+    function getStatus() {
+        const at = now();
+        return entries.map((entry) => ({
+            id: entry.id,
+            providerName: entry.upstream.providerName || '',
+            baseUrl: entry.upstream.baseUrl || '',
+            state: readState(entry, at),
+            healthy: readState(entry, at) !== 'open',
+            consecutiveFailures: entry.consecutiveFailures,
+            totalRequests: entry.totalRequests,
+            totalFailures: entry.totalFailures,
+            latencyMs: entry.latencyMs,
+            lastError: entry.lastError,
+            lastFailureAt: entry.lastFailureAt ? toIsoTime(entry.lastFailureAt) : '',
+            lastSuccessAt: entry.lastSuccessAt ? toIsoTime(entry.lastSuccessAt) : '',
+            cooldownUntil: readState(entry, at) === 'open' ? toIsoTime(entry.openUntil) : ''
+        }));
+    }
+
+    return {
+        strategy,
+        cooldownMs,
+        failureThreshold,
+        upstreams: entries.map((entry) => entry.upstream),
+        order,
+        reportSuccess,
+        reportFailure,
+        getStatus
+    };
+}
+
+module.exports = {
+    UPSTREAM_POOL_STRATEGIES,
+    DEFAULT_UPSTREAM_COOLDOWN_MS,
+    DEFAULT_UPSTREAM_FAILURE_THRESHOLD,
+    normalizeUpstreamPoolStrategy,
+    isRetryableUpstreamStatus,
+    createUpstreamPool
+};
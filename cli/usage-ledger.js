@@ -0,0 +1,501 @@
+const fs = require('fs');
+const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { toIsoTime } = require('../lib/cli-session-utils');
+const { resolveSessionSearchTimeRange } = require('./session-search-index');
+
+const USAGE_LEDGER_VERSION = 1;
+const USAGE_LEDGER_READ_CHUNK = 1024 * 1024;
+const USAGE_REPORT_GROUPS = Object.freeze(['day', 'model', 'project', 'session', 'source']);
+const USAGE_TOKEN_FIELDS = Object.freeze(['input', 'cached', 'cacheWrite', 'output', 'reasoning']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function readTokenCount(value) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric > 0 ? Math.floor(numeric) : 0;
+}
+
+function createParseState() {
+    return { model: '', provider: '', cwd: '', sessionId: '', lastTotal: null, lastTotalUsage: null, lastMessageId: '' };
+}
+
+// 统一口径：input 含 cached 与 cacheWrite，output 含 reasoning
+function buildTurn(timestamp, model, usage) {
+    const turn = { t: toIsoTime(timestamp, ''), model: model || '' };
+    for (const field of USAGE_TOKEN_FIELDS) {
+        turn[field] = readTokenCount(usage[field]);
+    }
+    turn.cached = Math.min(turn.cached, turn.input);
+    turn.cacheWrite = Math.min(turn.cacheWrite, turn.input - turn.cached);
+    turn.reasoning = Math.min(turn.reasoning, turn.output);
+    return turn.input + turn.output > 0 ? turn : null;
+}
+
+function readOpenAiUsage(usage) {
+    if (!isPlainObject(usage)) return null;
+    const inputDetails = isPlainObject(usage.input_tokens_details)
+        ? usage.input_tokens_details
+        : (isPlainObject(usage.prompt_tokens_details) ? usage.prompt_tokens_details : {});
+    const outputDetails = isPlainObject(usage.output_tokens_details)
+        ? usage.output_tokens_details
+        : (isPlainObject(usage.completion_tokens_details) ? usage.completion_tokens_details : {});
+    return {
+        input: usage.input_tokens !== undefined ? usage.input_tokens : usage.prompt_tokens,
+        cached: usage.cached_input_tokens !== undefined ? usage.cached_input_tokens : inputDetails.cached_tokens,
+        output: usage.output_tokens !== undefined ? usage.output_tokens : usage.completion_tokens,
+        reasoning: usage.reasoning_output_tokens !== undefined ? usage.reasoning_output_tokens : outputDetails.reasoning_tokens
+    };
+}
+
+function diffOpenAiUsage(current, previous) {
+    const result = {};
+    for (const field of ['input', 'cached', 'output', 'reasoning']) {
+        result[field] = Math.max(0, readTokenCount(current[field]) - readTokenCount(previous && previous[field]));
+    }
+    return result;
+}
+
+// token_count 会随 rate limit 刷新重复出现，total 不变的事件不计入
+function applyCodexUsageRecord(state, turns, record) {
+    const payload = isPlainObject(record.payload) ? record.payload : null;
+    if (!payload) return;
+    if (record.type === 'session_meta') {
+        if (payload.id) state.sessionId = String(payload.id);
+        if (payload.cwd) state.cwd = String(payload.cwd);
+        if (payload.model_provider) state.provider = String(payload.model_provider);
+        if (payload.model) state.model = String(payload.model);
+        return;
+    }
+    if (record.type === 'turn_context') {
+        if (payload.model) state.model = String(payload.model);
+        if (!state.cwd && payload.cwd) state.cwd = String(payload.cwd);
+        return;
+    }
+    if (record.type !== 'event_msg' || payload.type !== 'token_count' || !isPlainObject(payload.info)) return;
+    const total = readOpenAiUsage(payload.info.total_token_usage);
+    const totalTokens = total ? readTokenCount(total.input) + readTokenCount(total.output) : null;
+    if (totalTokens !== null && totalTokens === state.lastTotal) return;
+    const last = readOpenAiUsage(payload.info.last_token_usage);
+    const usage = last || (total ? diffOpenAiUsage(total, state.lastTotalUsage) : null);
+    if (total) {
+        state.lastTotal = totalTokens;
+        state.lastTotalUsage = total;
+    }
+    const turn = usage ? buildTurn(record.timestamp, state.model, usage) : null;
+    if (turn) turns.push(turn);
+}
+
+// Claude Code 会把同一条 assistant message 拆成多条记录，usage 以最后一条为准
+function applyClaudeUsageRecord(state, turns, record) {
+    if (!state.sessionId && record.sessionId) state.sessionId = String(record.sessionId);
+    if (!state.cwd && record.cwd) state.cwd = String(record.cwd);
+    if (record.type !== 'assistant' || !isPlainObject(record.message)) return;
+    const message = record.message;
+    const modelName = readString(message.model);
+    if (modelName === '<synthetic>') return;
+    if (modelName) state.model = modelName;
+    const usage = message.usage;
+    if (!isPlainObject(usage)) return;
+    const cached = readTokenCount(usage.cache_read_input_tokens);
+    const cacheWrite = readTokenCount(usage.cache_creation_input_tokens);
+    const turn = buildTurn(record.timestamp, state.model, {
+        input: readTokenCount(usage.input_tokens) + cached + cacheWrite,
+        cached,
+        cacheWrite,
+        output: usage.output_tokens
+    });
+    const messageId = readString(message.id);
+    if (messageId && messageId === state.lastMessageId && turns.length) {
+        turns.pop();
+    }
+    state.lastMessageId = turn ? messageId : '';
+    if (turn) turns.push(turn);
+}
+
+function applyCodeBuddyUsageRecord(state, turns, record) {
+    if (record.sessionId) state.sessionId = String(record.sessionId);
+    if (!state.cwd && record.cwd) state.cwd = String(record.cwd);
+    if (record.type !== 'message' || readString(record.role).toLowerCase() !== 'assistant') return;
+    const providerData = isPlainObject(record.providerData) ? record.providerData : {};
+    const modelName = readString(record.model) || readString(providerData.model);
+    if (modelName) state.model = modelName;
+    const usage = readOpenAiUsage(record.usage || providerData.usage);
+    const turn = usage ? buildTurn(record.timestamp, state.model, usage) : null;
+    if (turn) turns.push(turn);
+}
+
+const USAGE_RECORD_PARSERS = Object.freeze({
+    codex: applyCodexUsageRecord,
+    claude: applyClaudeUsageRecord,
+    codebuddy: applyCodeBuddyUsageRecord
+});
+
+// Gemini 的 tokens.output 不含 thoughts，这里并入 output 以保持口径一致
+function parseGeminiUsage(conversation) {
+    const state = createParseState();
+    const turns = [];
+    if (!isPlainObject(conversation)) return { state, turns };
+    if (conversation.sessionId) state.sessionId = String(conversation.sessionId);
+    state.cwd = readString(conversation.projectRoot) || readString(conversation.cwd);
+    for (const entry of Array.isArray(conversation.messages) ? conversation.messages : []) {
+        if (!isPlainObject(entry)) continue;
+        const modelName = readString(entry.model);
+        if (modelName) state.model = modelName;
+        if (!isPlainObject(entry.tokens)) continue;
+        const thoughts = readTokenCount(entry.tokens.thoughts);
+        const turn = buildTurn(entry.timestamp, state.model, {
+            input: entry.tokens.input,
+            cached: entry.tokens.cached,
+            output: readTokenCount(entry.tokens.output) + thoughts,
+            reasoning: thoughts
+        });
+        if (turn) turns.push(turn);
+    }
+    return { state, turns };
+}
+
+// 从 offset 起读取完整行，末尾未写完的半行留到下次
+function readJsonlFrom(filePath, offset, size, onRecord) {
+    const fd = fs.openSync(filePath, 'r');
+    let position = offset;
+    let pending = Buffer.alloc(0);
+    try {
+        while (position < size) {
+            const length = Math.min(USAGE_LEDGER_READ_CHUNK, size - position);
+            const chunk = Buffer.alloc(length);
+            const bytesRead = fs.readSync(fd, chunk, 0, length, position);
+            if (bytesRead <= 0) break;
+            position += bytesRead;
+            const buffer = pending.length ? Buffer.concat([pending, chunk.subarray(0, bytesRead)]) : chunk.subarray(0, bytesRead);
+            const lastNewline = buffer.lastIndexOf(0x0a);
+            if (lastNewline < 0) {
+                pending = buffer;
+                continue;
+            }
+            for (const line of buffer.subarray(0, lastNewline).toString('utf-8').split('\n')) {
+                const text = line.trim();
+                if (!text) continue;
+                let record;
+                try {
+                    record = JSON.parse(text);
+                } catch (_) {
+                    continue;
+                }
+                if (isPlainObject(record)) onRecord(record);
+            }
+            pending = buffer.subarray(lastNewline + 1);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return position - pending.length;
+}
+
+function createLedgerEntry(session) {
+    return {
+        source: session.source,
+        sessionId: readString(session.sessionId),
+        title: readString(session.title),
+        provider: readString(session.provider),
+        model: '',
+        cwd: readString(session.cwd),
+        size: 0,
+        mtimeMs: 0,
+        offset: 0,
+        state: createParseState(),
+        turns: []
+    };
+}
+
+function syncLedgerEntry(previous, session, stat) {
+    const source = session.source;
+    const unchanged = previous && previous.source === source && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs;
+    if (unchanged) return previous;
+    let entry = previous && previous.source === source ? previous : null;
+    if (source === 'gemini' || !entry || stat.size < entry.offset) {
+        entry = createLedgerEntry(session);
+    }
+    if (source === 'gemini') {
+        const parsed = parseGeminiUsage(readJsonFile(session.filePath, null));
+        entry.state = parsed.state;
+        entry.turns = parsed.turns;
+        entry.offset = stat.size;
+    } else {
+        const apply = USAGE_RECORD_PARSERS[source] || applyCodexUsageRecord;
+        entry.offset = readJsonlFrom(session.filePath, entry.offset, stat.size, record => apply(entry.state, entry.turns, record));
+    }
+    entry.size = stat.size;
+    entry.mtimeMs = stat.mtimeMs;
+    entry.sessionId = entry.state.sessionId || entry.sessionId || readString(session.sessionId);
+    entry.provider = entry.state.provider || readString(session.provider) || entry.provider;
+    entry.model = entry.state.model || entry.model;
+    entry.cwd = entry.state.cwd || readString(session.cwd) || entry.cwd;
+    if (readString(session.title)) entry.title = readString(session.title);
+    return entry;
+}
+
+function createEmptyTotals() {
+    return { turns: 0, input: 0, cached: 0, cacheWrite: 0, output: 0, reasoning: 0, total: 0, costUsd: 0, unpricedTokens: 0 };
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// 价格单位 USD / 1M tokens；未配置 cacheRead/cacheWrite 时按 input 单价计
+function computeTurnCost(turn, pricing) {
+    if (!pricing) return null;
+    const input = Number(pricing.input);
+    const output = Number(pricing.output);
+    if (!Number.isFinite(input) || !Number.isFinite(output)) return null;
+    const cacheRead = Number.isFinite(Number(pricing.cacheRead)) && pricing.cacheRead !== null ? Number(pricing.cacheRead) : input;
+    const cacheWrite = Number.isFinite(Number(pricing.cacheWrite)) && pricing.cacheWrite !== null ? Number(pricing.cacheWrite) : input;
+    const uncached = Math.max(0, turn.input - turn.cached - turn.cacheWrite);
+    return (uncached * input + turn.cached * cacheRead + turn.cacheWrite * cacheWrite + turn.output * output) / 1e6;
+}
+
+function resolveUsageTimeRange(options = {}, now = Date.now()) {
+    const since = readString(typeof options.since === 'number' ? String(options.since) : options.since);
+    const match = /^(\d+)d$/i.exec(since);
+    const range = resolveSessionSearchTimeRange({
+        since: match ? undefined : options.since,
+        until: options.until
+    }, now);
+    if (match) range.sinceMs = now - Number(match[1]) * DAY_MS;
+    return range;
+}
+
+function formatLocalDay(timeMs) {
+    const date = new Date(timeMs);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatUsageReportCsv(report) {
+    const columns = ['key', 'sessions', 'turns', 'input', 'cached', 'cacheWrite', 'output', 'reasoning', 'total', 'costUsd', 'unpricedTokens'];
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [[report.groupBy || 'key', ...columns.slice(1)].join(',')];
+    for (const row of Array.isArray(report.rows) ? report.rows : []) {
+        lines.push(columns.map(column => escape(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function createUsageLedgerController(deps = {}) {
+    const {
+        USAGE_LEDGER_FILE,
+        listSessions,
+        lookupPricing,
+        now = () => Date.now()
+    } = deps;
+    if (!USAGE_LEDGER_FILE) throw new Error('createUsageLedgerController 缺少 USAGE_LEDGER_FILE');
+    if (typeof listSessions !== 'function') throw new Error('createUsageLedgerController 缺少 listSessions');
+
+    let ledgerCache = null;
+
+    function readUsageLedger() {
+        if (ledgerCache) return ledgerCache;
+        const raw = readJsonFile(USAGE_LEDGER_FILE, null);
+        ledgerCache = isPlainObject(raw) && raw.version === USAGE_LEDGER_VERSION && isPlainObject(raw.sessions)
+            ? raw
+            : { version: USAGE_LEDGER_VERSION, updatedAt: '', sessions: {} };
+        return ledgerCache;
+    }
+
+    function updateLedgerForSessions(sessions = []) {
+        const ledger = readUsageLedger();
+        let changed = false;
+        for (const session of Array.isArray(sessions) ? sessions : []) {
+            const filePath = session && readString(session.filePath);
+            if (!filePath) continue;
+            let stat;
+            try {
+                stat = fs.statSync(filePath);
+            } catch (_) {
+                continue;
+            }
+            const previous = ledger.sessions[filePath];
+            const previousSignature = previous ? `${previous.source}:${previous.size}:${previous.mtimeMs}` : '';
+            let entry;
+            try {
+                entry = syncLedgerEntry(previous, session, stat);
+            } catch (_) {
+                continue;
+            }
+            if (`${entry.source}:${entry.size}:${entry.mtimeMs}` !== previousSignature) changed = true;
+            ledger.sessions[filePath] = entry;
+        }
+        for (const filePath of Object.keys(ledger.sessions)) {
+            if (!fs.existsSync(filePath)) {
+                delete ledger.sessions[filePath];
+                changed = true;
+            }
+        }
+        if (changed) {
+            ledger.updatedAt = new Date(now()).toISOString();
+            writeJsonAtomic(USAGE_LEDGER_FILE, ledger);
+        }
+        return ledger;
+    }
+
+    async function refreshUsageLedger(params = {}) {
+        const sessions = await listSessions({ source: params.source || 'all', limit: params.limit });
+        return updateLedgerForSessions(sessions);
+    }
+
+    function createPricingResolver() {
+        const cache = new Map();
+        return (provider, model) => {
+            const key = `${provider}\u0000${model}`;
+            if (!cache.has(key)) {
+                let pricing = null;
+                try {
+                    pricing = typeof lookupPricing === 'function' && model ? lookupPricing(provider, model) : null;
+                } catch (_) {
+                    pricing = null;
+                }
+                cache.set(key, pricing || null);
+            }
+            return cache.get(key);
+        };
+    }
+
+    function addTurnToTotals(totals, turn, cost) {
+        totals.turns += 1;
+        for (const field of USAGE_TOKEN_FIELDS) {
+            totals[field] += turn[field];
+        }
+        totals.total += turn.input + turn.output;
+        if (cost === null) {
+            totals.unpricedTokens += turn.input + turn.output;
+        } else {
+            totals.costUsd += cost;
+        }
+    }
+
+    function summarizeEntry(entry, resolvePricing = createPricingResolver()) {
+        const totals = createEmptyTotals();
+        const costSources = new Set();
+        for (const turn of entry && Array.isArray(entry.turns) ? entry.turns : []) {
+            const pricing = resolvePricing(entry.provider, turn.model || entry.model);
+            addTurnToTotals(totals, turn, computeTurnCost(turn, pricing));
+            if (pricing && pricing.source) costSources.add(pricing.source);
+        }
+        totals.costUsd = roundCost(totals.costUsd);
+        totals.costSource = totals.turns === 0 || totals.unpricedTokens === totals.total
+            ? ''
+            : (costSources.size === 1 ? [...costSources][0] : 'mixed');
+        return totals;
+    }
+
+    // 为会话列表补齐账本中的精确 token 与费用；未入账的会话保持原字段
+    function applyLedgerTotals(sessions = []) {
+        const ledger = updateLedgerForSessions(sessions);
+        const resolvePricing = createPricingResolver();
+        return sessions.map((session) => {
+            const entry = session && session.filePath ? ledger.sessions[session.filePath] : null;
+            if (!entry || !entry.turns.length) return session;
+            const totals = summarizeEntry(entry, resolvePricing);
+            return {
+                ...session,
+                inputTokens: totals.input,
+                cachedInputTokens: totals.cached,
+                cacheWriteTokens: totals.cacheWrite,
+                outputTokens: totals.output,
+                reasoningOutputTokens: totals.reasoning,
+                totalTokens: totals.total,
+                usageTurns: totals.turns,
+                costUsd: totals.costSource ? totals.costUsd : null,
+                costSource: totals.costSource,
+                unpricedTokens: totals.unpricedTokens
+            };
+        });
+    }
+
+    async function buildUsageReport(params = {}) {
+        const groupBy = USAGE_REPORT_GROUPS.includes(params.groupBy) ? params.groupBy : 'day';
+        const source = ['codex', 'claude', 'gemini', 'codebuddy'].includes(params.source) ? params.source : 'all';
+        const range = resolveUsageTimeRange(params, now());
+        const ledger = await refreshUsageLedger({ source, limit: params.limit });
+        const resolvePricing = createPricingResolver();
+        const groups = new Map();
+        const totals = createEmptyTotals();
+        const allSessions = new Set();
+
+        for (const [filePath, entry] of Object.entries(ledger.sessions)) {
+            if (source !== 'all' && entry.source !== source) continue;
+            for (const turn of entry.turns) {
+                const timeMs = Date.parse(turn.t);
+                if (range.sinceMs !== null && !(timeMs >= range.sinceMs)) continue;
+                if (range.untilMs !== null && !(timeMs <= range.untilMs)) continue;
+                const model = turn.model || entry.model || 'unknown';
+                const key = groupBy === 'day'
+                    ? (Number.isFinite(timeMs) ? formatLocalDay(timeMs) : 'unknown')
+                    : (groupBy === 'model'
+                        ? model
+                        : (groupBy === 'project'
+                            ? (entry.cwd || 'unknown')
+                            : (groupBy === 'session' ? (entry.sessionId || filePath) : entry.source)));
+                if (!groups.has(key)) {
+                    groups.set(key, { key, sessionSet: new Set(), ...createEmptyTotals() });
+                }
+                const row = groups.get(key);
+                const cost = computeTurnCost(turn, resolvePricing(entry.provider, model));
+                addTurnToTotals(row, turn, cost);
+                addTurnToTotals(totals, turn, cost);
+                row.sessionSet.add(filePath);
+                allSessions.add(filePath);
+                if (groupBy === 'session' && !row.title) {
+                    row.title = entry.title || '';
+                    row.source = entry.source;
+                    row.cwd = entry.cwd;
+                }
+            }
+        }
+
+        const rows = [...groups.values()].map(({ sessionSet, ...row }) => ({
+            ...row,
+            sessions: sessionSet.size,
+            costUsd: roundCost(row.costUsd)
+        }));
+        rows.sort(groupBy === 'day'
+            ? (a, b) => (a.key < b.key ? 1 : (a.key > b.key ? -1 : 0))
+            : (a, b) => b.total - a.total);
+        return {
+            groupBy,
+            source,
+            since: range.sinceMs === null ? '' : new Date(range.sinceMs).toISOString(),
+            until: range.untilMs === null ? '' : new Date(range.untilMs).toISOString(),
+            generatedAt: new Date(now()).toISOString(),
+            rows,
+            totals: { ...totals, sessions: allSessions.size, costUsd: roundCost(totals.costUsd) }
+        };
+    }
+
+    return {
+        readUsageLedger,
+        updateLedgerForSessions,
+        refreshUsageLedger,
+        summarizeEntry,
+        applyLedgerTotals,
+        buildUsageReport
+    };
+}
+
+module.exports = {
+    USAGE_REPORT_GROUPS,
+    computeTurnCost,
+    readJsonlFrom,
+    formatUsageReportCsv,
+    createUsageLedgerController
+};
@@ -0,0 +1,646 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { listLanIpv4Addresses } = require('../lib/cli-network-utils');
+
+const WEB_AUTH_ROLES = Object.freeze(['admin', 'read-only']);
+const WEB_AUTH_SESSION_COOKIE = 'codexmate_session';
+const WEB_AUTH_CSRF_HEADER = 'x-codexmate-csrf';
+const MAX_WEB_AUTH_SESSIONS = 500;
+const MAX_LOGIN_BODY_BYTES = 16 * 1024;
+const LOGIN_FAILURE_WINDOW_MS = 10 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 10;
+const MIN_SESSION_TTL_MS = 5 * 60 * 1000;
+const MAX_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LOOPBACK_HOST_NAMES = Object.freeze(['localhost', '127.0.0.1', '::1']);
+const FORWARDED_HEADERS = Object.freeze(['forwarded', 'x-forwarded-for', 'x-forwarded-host', 'x-real-ip']);
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readTrimmedString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// 手动转成 URL 安全的 base64，旧版 Node 不支持 'base64url' 编码
+function generateSecret(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function safeSecretEqual(actual, expected) {
+    if (!actual || !expected) return false;
+    const a = crypto.createHash('sha256').update(String(actual), 'utf-8').digest();
+    const b = crypto.createHash('sha256').update(String(expected), 'utf-8').digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// 密码以 scrypt 派生后保存：scrypt:<salt>:<hash>，文件泄露也拿不到明文
+function hashWebAuthPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 32);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyWebAuthPassword(password, stored) {
+    const parts = readTrimmedString(stored).split(':');
+    if (parts.length !== 3 || parts[0] !== 'scrypt' || !password) return false;
+    try {
+        const expected = Buffer.from(parts[2], 'hex');
+        const actual = crypto.scryptSync(String(password), Buffer.from(parts[1], 'hex'), expected.length);
+        return expected.length > 0 && crypto.timingSafeEqual(actual, expected);
+    } catch (_) {
+        return false;
+    }
+}
+
+function readHeader(req, name) {
+    const headers = req && isPlainObject(req.headers) ? req.headers : {};
+    const value = headers[name];
+    return Array.isArray(value) ? readTrimmedString(value[0]) : readTrimmedString(value);
+}
+
+function readRemoteAddress(req) {
+    return req && req.socket ? readTrimmedString(req.socket.remoteAddress) : '';
+}
+
+// 与原有判定保持一致：无 socket（进程内调用）视为本机
+function isLoopbackRequest(req) {
+    const addr = readRemoteAddress(req);
+    return !addr || addr === '127.0.0.1' || addr === '::1' || addr === '::ffff:127.0.0.1';
+}
+
+function normalizeHostName(value) {
+    return readTrimmedString(value).toLowerCase().replace(/^\[|\]$/g, '').replace(/^::ffff:/, '');
+}
+
+function readRequestHostName(req) {
+    const host = readHeader(req, 'host');
+    if (!host) return '';
+    try {
+        return normalizeHostName(new URL(`http://${host}`).hostname);
+    } catch (_) {
+        return '';
+    }
+}
+
+// 经反向代理转发的请求 socket 同样来自本机，不能据此免登录
+function isForwardedRequest(req) {
+    return FORWARDED_HEADERS.some((name) => !!readHeader(req, name));
+}
+
+function isSecureRequest(req) {
+    return !!(req && req.socket && req.socket.encrypted);
+}
+
+function isSafeMethod(req) {
+    const method = readTrimmedString(req && req.method).toUpperCase() || 'GET';
+    return method === 'GET' || method === 'HEAD';
+}
+
+function parseCookies(req) {
+    const result = {};
+    const raw = readHeader(req, 'cookie');
+    if (!raw) return result;
+    for (const part of raw.split(';')) {
+        const index = part.indexOf('=');
+        if (index <= 0) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        if (!name || Object.prototype.hasOwnProperty.call(result, name)) continue;
+        try {
+            result[name] = decodeURIComponent(value);
+        } catch (_) {
+            result[name] = value;
+        }
+    }
+    return result;
+}
+
+function extractBearerToken(req) {
+    const rawAuth = readHeader(req, 'authorization');
+    if (rawAuth) {
+        const match = rawAuth.match(/^bearer\s+(.+)$/i);
+        return match && match[1] ? match[1].trim() : rawAuth;
+    }
+    return readHeader(req, 'x-codexmate-token');
+}
+
+// 浏览器跨站 POST 一定带 Origin；与 Host 不一致即视为 CSRF（含本机回环访问）
+function isCrossOriginRequest(req) {
+    const origin = readHeader(req, 'origin');
+    if (!origin) return false;
+    const host = readHeader(req, 'host');
+    try {
+        return !host || new URL(origin).host.toLowerCase() !== host.toLowerCase();
+    } catch (_) {
+        return true;
+    }
+}
+
+function buildSessionCookie(req, value, maxAgeSec) {
+    const parts = [
+        `${WEB_AUTH_SESSION_COOKIE}=${encodeURIComponent(value)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.max(0, Math.floor(maxAgeSec))}`
+    ];
+    if (isSecureRequest(req)) {
+        parts.push('Secure');
+    }
+    return parts.join('; ');
+}
+
+function writeJson(res, statusCode, payload, headers = {}) {
+    const body = JSON.stringify(payload, null, 2);
+    res.writeHead(statusCode, {
+        ...headers,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body, 'utf-8'),
+        'Cache-Control': 'no-store'
+    });
+    res.end(body, 'utf-8');
+}
+
+function readLoginBody(req) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', (chunk) => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > MAX_LOGIN_BODY_BYTES) {
+                tooLarge = true;
+                chunks.length = 0;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) {
+                resolve(null);
+                return;
+            }
+            try {
+                const parsed = JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}');
+                resolve(isPlainObject(parsed) ? parsed : null);
+            } catch (_) {
+                resolve(null);
+            }
+        });
+        req.on('error', () => resolve(null));
+    });
+}
+
+function createWebAuthController(deps = {}) {
+    const {
+        WEB_AUTH_FILE,
+        DEFAULT_WEB_AUTH_SETTINGS,
+        READ_ONLY_API_ACTIONS,
+        env = process.env,
+        now = () => Date.now()
+    } = deps;
+
+    if (!WEB_AUTH_FILE) {
+        throw new Error('createWebAuthController 缺少 WEB_AUTH_FILE');
+    }
+    if (!isPlainObject(DEFAULT_WEB_AUTH_SETTINGS)) {
+        throw new Error('createWebAuthController 缺少 DEFAULT_WEB_AUTH_SETTINGS');
+    }
+    const readOnlyActions = new Set(READ_ONLY_API_ACTIONS || []);
+
+    const sessions = new Map();
+    const loginFailures = new Map();
+    let cachedSettings = null;
+
+    function readSettingsMtime() {
+        try {
+            return fs.statSync(WEB_AUTH_FILE).mtimeMs;
+        } catch (_) {
+            return 0;
+        }
+    }
+
+    function normalizeWebAuthSettings(raw) {
+        const source = isPlainObject(raw) ? raw : {};
+        const ttl = Number(source.sessionTtlMs);
+        return {
+            trustLoopback: source.trustLoopback === undefined
+                ? DEFAULT_WEB_AUTH_SETTINGS.trustLoopback !== false
+                : source.trustLoopback !== false,
+            sessionTtlMs: Number.isFinite(ttl)
+                ? Math.min(MAX_SESSION_TTL_MS, Math.max(MIN_SESSION_TTL_MS, Math.floor(ttl)))
+                : DEFAULT_WEB_AUTH_SETTINGS.sessionTtlMs,
+            adminToken: readTrimmedString(source.adminToken),
+            readOnlyToken: readTrimmedString(source.readOnlyToken),
+            adminPassword: readTrimmedString(source.adminPassword),
+            readOnlyPassword: readTrimmedString(source.readOnlyPassword),
+            // 轮换令牌时递增，旧会话随之失效
+            epoch: Number.isInteger(source.epoch) && source.epoch > 0 ? source.epoch : 1,
+            allowedHosts: Array.from(new Set((Array.isArray(source.allowedHosts) ? source.allowedHosts : [])
+                .map(normalizeHostName)
+                .filter(Boolean)))
+        };
+    }
+
+    // 首次读取时生成并落盘访问令牌；其它进程（codexmate web-auth）修改后按 mtime 重新加载
+    function readWebAuthSettings() {
+        const mtimeMs = readSettingsMtime();
+        if (cachedSettings && mtimeMs && cachedSettings.mtimeMs === mtimeMs) {
+            return cachedSettings.settings;
+        }
+        const settings = normalizeWebAuthSettings(readJsonFile(WEB_AUTH_FILE, null));
+        if (!settings.adminToken || !settings.readOnlyToken) {
+            settings.adminToken = settings.adminToken || generateSecret();
+            settings.readOnlyToken = settings.readOnlyToken || generateSecret();
+            return saveWebAuthSettings(settings);
+        }
+        cachedSettings = { mtimeMs, settings };
+        return settings;
+    }
+
+    function saveWebAuthSettings(next) {
+        const settings = normalizeWebAuthSettings(next);
+        writeJsonAtomic(WEB_AUTH_FILE, settings);
+        cachedSettings = { mtimeMs: readSettingsMtime(), settings };
+        return settings;
+    }
+
+    function rotateWebAuthTokens() {
+        const current = readWebAuthSettings();
+        sessions.clear();
+        return saveWebAuthSettings({
+            ...current,
+            adminToken: generateSecret(),
+            readOnlyToken: generateSecret(),
+            epoch: current.epoch + 1
+        });
+    }
+
+    function setWebAuthPassword(role, password) {
+        if (!WEB_AUTH_ROLES.includes(role)) {
+            return { error: `未知角色: ${role}` };
+        }
+        const text = typeof password === 'string' ? password : '';
+        if (text && text.length < 8) {
+            return { error: '密码至少需要 8 个字符' };
+        }
+        const key = role === 'admin' ? 'adminPassword' : 'readOnlyPassword';
+        const current = readWebAuthSettings();
+        sessions.clear();
+        saveWebAuthSettings({
+            ...current,
+            [key]: text ? hashWebAuthPassword(text) : '',
+            epoch: current.epoch + 1
+        });
+        return { success: true, role, passwordSet: !!text };
+    }
+
+    function setWebAuthTrustLoopback(enabled) {
+        const current = readWebAuthSettings();
+        return saveWebAuthSettings({ ...current, trustLoopback: !!enabled });
+    }
+
+    function setWebAuthAllowedHosts(hosts) {
+        const current = readWebAuthSettings();
+        return saveWebAuthSettings({ ...current, allowedHosts: Array.isArray(hosts) ? hosts : [] });
+    }
+
+    // Host 必须是回环名、本次连接的本地地址或配置的名字，挡住 DNS 重绑定（Host 为攻击者域名）
+    function isAllowedLoopbackHost(req, settings) {
+        const hostName = readRequestHostName(req);
+        if (!hostName) return !req || !req.socket;
+        if (LOOPBACK_HOST_NAMES.includes(hostName) || hostName.endsWith('.localhost')) return true;
+        if (req && req.socket && hostName === normalizeHostName(req.socket.localAddress)) return true;
+        return settings.allowedHosts.includes(hostName);
+    }
+
+    function isTrustedLoopbackRequest(req, settings) {
+        return settings.trustLoopback
+            && isLoopbackRequest(req)
+            && !isForwardedRequest(req)
+            && isAllowedLoopbackHost(req, settings);
+    }
+
+    function readEnvAdminToken() {
+        return readTrimmedString(env && env.CODEXMATE_HTTP_TOKEN);
+    }
+
+    function resolveTokenRole(token, settings) {
+        if (!token) return '';
+        if (safeSecretEqual(token, settings.adminToken) || safeSecretEqual(token, readEnvAdminToken())) {
+            return 'admin';
+        }
+        if (safeSecretEqual(token, settings.readOnlyToken)) {
+            return 'read-only';
+        }
+        return '';
+    }
+
+    function resolvePasswordRole(password, settings) {
+        if (!password) return '';
+        if (settings.adminPassword && verifyWebAuthPassword(password, settings.adminPassword)) {
+            return 'admin';
+        }
+        if (settings.readOnlyPassword && verifyWebAuthPassword(password, settings.readOnlyPassword)) {
+            return 'read-only';
+        }
+        return '';
+    }
+
+    function pruneSessions() {
+        const current = now();
+        for (const [id, session] of sessions.entries()) {
+            if (session.expiresAt <= current) {
+                sessions.delete(id);
+            }
+        }
+        while (sessions.size > MAX_WEB_AUTH_SESSIONS) {
+            sessions.delete(sessions.keys().next().value);
+        }
+    }
+
+    function createSession(role, settings) {
+        pruneSessions();
+        const id = generateSecret(32);
+        const session = {
+            role,
+            csrfToken: generateSecret(),
+            epoch: settings.epoch,
+            expiresAt: now() + settings.sessionTtlMs
+        };
+        sessions.set(id, session);
+        return { id, session };
+    }
+
+    function readSession(req, settings) {
+        const id = parseCookies(req)[WEB_AUTH_SESSION_COOKIE];
+        if (!id) return null;
+        const session = sessions.get(id);
+        if (!session) return null;
+        if (session.expiresAt <= now() || session.epoch !== settings.epoch) {
+            sessions.delete(id);
+            return null;
+        }
+        return { id, session };
+    }
+
+    // 只识别身份，不写响应；/auth/session 与 authorizeRequest 共用
+    function identifyRequest(req) {
+        const settings = readWebAuthSettings();
+        // 显式携带的令牌优先，脚本从本机调用时按令牌角色处理、无需 CSRF
+        const token = extractBearerToken(req);
+        if (token) {
+            const role = resolveTokenRole(token, settings);
+            return role ? { role, via: 'token' } : { role: '', via: 'token', invalid: true };
+        }
+        if (isTrustedLoopbackRequest(req, settings)) {
+            const current = readSession(req, settings);
+            return { role: 'admin', via: 'loopback', session: current ? current.session : null };
+        }
+        const current = readSession(req, settings);
+        if (current) {
+            return { role: current.session.role, via: 'session', session: current.session };
+        }
+        return { role: '', via: '' };
+    }
+
+    // 通过时返回 { role, via }，否则写出 401/403 并返回 null；
+    // options.csrf === false 仅用于自带签名校验的 webhook 入口
+    function authorizeRequest(req, res, options = {}) {
+        if (!isSafeMethod(req) && isCrossOriginRequest(req)) {
+            writeJson(res, 403, { error: 'Cross-origin request rejected' });
+            return null;
+        }
+        const identity = identifyRequest(req);
+        if (!identity.role) {
+            writeJson(res, 401, { error: 'Unauthorized', authRequired: true });
+            return null;
+        }
+        // 本机免登录同样走会话 + CSRF：写请求须带上 /auth/session 下发的令牌
+        if ((identity.via === 'session' || identity.via === 'loopback') && !isSafeMethod(req) && options.csrf !== false) {
+            const csrf = readHeader(req, WEB_AUTH_CSRF_HEADER);
+            if (!identity.session || !safeSecretEqual(csrf, identity.session.csrfToken)) {
+                writeJson(res, 403, { error: 'CSRF token missing or invalid' }, { 'X-Codexmate-CSRF-Required': '1' });
+                return null;
+            }
+        }
+        return { role: identity.role, via: identity.via };
+    }
+
+    function isApiActionAllowed(auth, action) {
+        if (!auth) return false;
+        if (auth.role === 'admin') return true;
+        return readOnlyActions.has(readTrimmedString(action));
+    }
+
+    // 只读角色仅能调用 /api 中的只读 action；导入、下载与 webhook 均视为写操作
+    function isPathAllowed(auth, requestPath) {
+        if (!auth) return false;
+        if (auth.role === 'admin') return true;
+        return requestPath === '/api';
+    }
+
+    function readClientKey(req) {
+        return readRemoteAddress(req) || 'local';
+    }
+
+    function isLoginThrottled(req) {
+        const entry = loginFailures.get(readClientKey(req));
+        if (!entry) return false;
+        if (now() - entry.firstAt > LOGIN_FAILURE_WINDOW_MS) {
+            loginFailures.delete(readClientKey(req));
+            return false;
+        }
+        return entry.count >= MAX_LOGIN_FAILURES;
+    }
+
+    function recordLoginFailure(req) {
+        const key = readClientKey(req);
+        const entry = loginFailures.get(key);
+        if (!entry || now() - entry.firstAt > LOGIN_FAILURE_WINDOW_MS) {
+            loginFailures.set(key, { count: 1, firstAt: now() });
+        } else {
+            entry.count += 1;
+        }
+        while (loginFailures.size > 2000) {
+            loginFailures.delete(loginFailures.keys().next().value);
+        }
+    }
+
+    // 本机免登录时也下发会话 Cookie，供写请求的 CSRF 校验使用
+    function handleSessionRoute(req, res) {
+        const settings = readWebAuthSettings();
+        const identity = identifyRequest(req);
+        const headers = {};
+        let session = identity.session || null;
+        if (identity.via === 'loopback' && !session) {
+            const created = createSession('admin', settings);
+            session = created.session;
+            headers['Set-Cookie'] = buildSessionCookie(req, created.id, settings.sessionTtlMs / 1000);
+        }
+        writeJson(res, 200, {
+            required: identity.via !== 'loopback',
+            authenticated: !!identity.role,
+            role: identity.role || '',
+            via: identity.via || '',
+            csrfToken: session ? session.csrfToken : '',
+            passwordLogin: !!(settings.adminPassword || settings.readOnlyPassword)
+        }, headers);
+    }
+
+    async function handleLogin(req, res) {
+        if (isCrossOriginRequest(req)) {
+            writeJson(res, 403, { error: 'Cross-origin request rejected' });
+            return;
+        }
+        if (isLoginThrottled(req)) {
+            writeJson(res, 429, { error: '登录失败次数过多，请稍后再试' }, {
+                'Retry-After': String(Math.ceil(LOGIN_FAILURE_WINDOW_MS / 1000))
+            });
+            return;
+        }
+        const body = await readLoginBody(req);
+        if (!body) {
+            writeJson(res, 400, { error: '登录请求格式无效' });
+            return;
+        }
+        const settings = readWebAuthSettings();
+        const role = resolveTokenRole(readTrimmedString(body.token), settings)
+            || resolvePasswordRole(typeof body.password === 'string' ? body.password : '', settings);
+        if (!role) {
+            recordLoginFailure(req);
+            writeJson(res, 401, { error: '令牌或密码错误' });
+            return;
+        }
+        loginFailures.delete(readClientKey(req));
+        const created = createSession(role, settings);
+        writeJson(res, 200, { ok: true, role, csrfToken: created.session.csrfToken }, {
+            'Set-Cookie': buildSessionCookie(req, created.id, settings.sessionTtlMs / 1000)
+        });
+    }
+
+    function handleLogout(req, res) {
+        if (isCrossOriginRequest(req)) {
+            writeJson(res, 403, { error: 'Cross-origin request rejected' });
+            return;
+        }
+        const id = parseCookies(req)[WEB_AUTH_SESSION_COOKIE];
+        if (id) {
+            sessions.delete(id);
+        }
+        writeJson(res, 200, { ok: true }, {
+            'Set-Cookie': buildSessionCookie(req, '', 0)
+        });
+    }
+
+    // 处理 /auth/* 路由；返回 true 表示已响应
+    function handleAuthRoute(req, res, requestPath) {
+        const method = readTrimmedString(req && req.method).toUpperCase() || 'GET';
+        if (requestPath === '/auth/session') {
+            if (method !== 'GET') {
+                writeJson(res, 405, { error: 'Method Not Allowed' });
+                return true;
+            }
+            handleSessionRoute(req, res);
+            return true;
+        }
+        if (requestPath === '/auth/login' || requestPath === '/auth/logout') {
+            if (method !== 'POST') {
+                writeJson(res, 405, { error: 'Method Not Allowed' });
+                return true;
+            }
+            if (requestPath === '/auth/login') {
+                void handleLogin(req, res);
+            } else {
+                handleLogout(req, res);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // 启动时打印的 ?token= 链接：换成会话 Cookie 后 302 去掉地址栏里的令牌
+    function handleTokenBootstrap(req, res) {
+        if (!isSafeMethod(req)) return false;
+        let url;
+        try {
+            url = new URL(req.url || '/', 'http://localhost');
+        } catch (_) {
+            return false;
+        }
+        const token = readTrimmedString(url.searchParams.get('token'));
+        if (!token) return false;
+        url.searchParams.delete('token');
+        const location = `${url.pathname}${url.search}${url.hash}`;
+        const settings = readWebAuthSettings();
+        const role = resolveTokenRole(token, settings);
+        const headers = { Location: location, 'Cache-Control': 'no-store' };
+        if (role) {
+            const created = createSession(role, settings);
+            headers['Set-Cookie'] = buildSessionCookie(req, created.id, settings.sessionTtlMs / 1000);
+        } else {
+            recordLoginFailure(req);
+        }
+        res.writeHead(302, headers);
+        res.end();
+        return true;
+    }
+
+    function buildBootstrapUrls({ protocol = 'http', host, openHost, port, formatHost = (value) => value } = {}) {
+        const settings = readWebAuthSettings();
+        const hosts = [openHost];
+        if (host === '0.0.0.0' || host === '::') {
+            hosts.push(...listLanIpv4Addresses());
+        }
+        const query = `?token=${encodeURIComponent(settings.adminToken)}`;
+        return Array.from(new Set(hosts.filter(Boolean)))
+            .map((item) => `${protocol}://${formatHost(item)}:${port}/${query}`);
+    }
+
+    function getWebAuthSummary() {
+        const settings = readWebAuthSettings();
+        return {
+            file: WEB_AUTH_FILE,
+            trustLoopback: settings.trustLoopback,
+            allowedHosts: settings.allowedHosts,
+            sessionTtlMs: settings.sessionTtlMs,
+            adminToken: settings.adminToken,
+            readOnlyToken: settings.readOnlyToken,
+            adminPasswordSet: !!settings.adminPassword,
+            readOnlyPasswordSet: !!settings.readOnlyPassword,
+            envTokenSet: !!readEnvAdminToken(),
+            activeSessions: sessions.size
+        };
+    }
+
+    return {
+        normalizeWebAuthSettings,
+        readWebAuthSettings,
+        rotateWebAuthTokens,
+        setWebAuthPassword,
+        setWebAuthTrustLoopback,
+        setWebAuthAllowedHosts,
+        authorizeRequest,
+        isApiActionAllowed,
+        isPathAllowed,
+        handleAuthRoute,
+        handleTokenBootstrap,
+        buildBootstrapUrls,
+        getWebAuthSummary
+    };
+}
+
+module.exports = {
+    WEB_AUTH_ROLES,
+    WEB_AUTH_SESSION_COOKIE,
+    WEB_AUTH_CSRF_HEADER,
+    hashWebAuthPassword,
+    verifyWebAuthPassword,
+    createWebAuthController
+};
@@ -0,0 +1,374 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDir, readJsonFile, writeJsonAtomic } = require('../lib/cli-file-utils');
+const { listLanIpv4Addresses } = require('../lib/cli-network-utils');
+
+const SELF_SIGNED_CA_DAYS = 3650;
+// 浏览器对服务端证书有效期有上限（825 天），到期前 30 天自动续签
+const SELF_SIGNED_CERT_DAYS = 825;
+const SELF_SIGNED_RENEW_BEFORE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function readTrimmedString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function isIpAddress(value) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(value) || value.includes(':');
+}
+
+// 证书直接在进程内用 DER 拼装并由 node:crypto 签名，不依赖外部 openssl
+function derNode(tag, content) {
+    const length = content.length;
+    let header;
+    if (length < 0x80) {
+        header = Buffer.from([tag, length]);
+    } else {
+        const bytes = [];
+        for (let rest = length; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+        header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([header, content]);
+}
+
+function derSequence(...items) {
+    return derNode(0x30, Buffer.concat(items));
+}
+
+function derInteger(value) {
+    let bytes = Buffer.isBuffer(value) ? value : Buffer.from([value]);
+    while (bytes.length > 1 && bytes[0] === 0 && bytes[1] < 0x80) bytes = bytes.subarray(1);
+    return derNode(0x02, bytes[0] >= 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function derOid(oid) {
+    const parts = oid.split('.').map(Number);
+    const bytes = [parts[0] * 40 + parts[1]];
+    for (const part of parts.slice(2)) {
+        const encoded = [part & 0x7f];
+        for (let rest = Math.floor(part / 128); rest > 0; rest = Math.floor(rest / 128)) {
+            encoded.unshift((rest & 0x7f) | 0x80);
+        }
+        bytes.push(...encoded);
+    }
+    return derNode(0x06, Buffer.from(bytes));
+}
+
+// BIT STRING 的首字节记录末尾未使用的位数
+function derBitString(bytes, unusedBits = 0) {
+    return derNode(0x03, Buffer.concat([Buffer.from([unusedBits]), bytes]));
+}
+
+function derTime(ms) {
+    const iso = new Date(ms).toISOString();
+    const digits = iso.slice(0, 19).replace(/[-T:]/g, '');
+    const year = new Date(ms).getUTCFullYear();
+    return year < 2050
+        ? derNode(0x17, Buffer.from(`${digits.slice(2)}Z`, 'ascii'))
+        : derNode(0x18, Buffer.from(`${digits}Z`, 'ascii'));
+}
+
+function derName(commonName) {
+    const attribute = derSequence(derOid('2.5.4.3'), derNode(0x0c, Buffer.from(commonName, 'utf-8')));
+    return derSequence(derNode(0x31, attribute));
+}
+
+function encodeIpAddress(value) {
+    const address = value.replace(/%.*$/, '');
+    if (!address.includes(':')) {
+        return Buffer.from(address.split('.').map(Number));
+    }
+    const [head, tail = ''] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = address.includes('::') && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const groups = [...headParts, ...new Array(address.includes('::') ? missing : 0).fill('0'), ...tailParts];
+    return Buffer.concat(groups.map((group) => {
+        const number = parseInt(group, 16) || 0;
+        return Buffer.from([number >> 8, number & 0xff]);
+    }));
+}
+
+function derExtension(oid, critical, value) {
+    return derSequence(
+        derOid(oid),
+        ...(critical ? [derNode(0x01, Buffer.from([0xff]))] : []),
+        derNode(0x04, value)
+    );
+}
+
+// 按 RFC 5280 的方法一取密钥标识：RSA 公钥（PKCS#1 DER）的 SHA-1
+function publicKeyIdentifier(key) {
+    const publicKey = key.type === 'public' ? key : crypto.createPublicKey(key);
+    const der = publicKey.export({ type: 'pkcs1', format: 'der' });
+    return crypto.createHash('sha1').update(der).digest();
+}
+
+// 读取 DER 元素的直接子元素（原始字节），只用于从已有 CA 证书中取出 subject
+function readDerChildren(buffer) {
+    const children = [];
+    const headerLength = (offset) => (buffer[offset + 1] & 0x80 ? 2 + (buffer[offset + 1] & 0x7f) : 2);
+    const contentLength = (offset) => {
+        const first = buffer[offset + 1];
+        if (!(first & 0x80)) return first;
+        let length = 0;
+        for (let i = 0; i < (first & 0x7f); i++) length = length * 256 + buffer[offset + 2 + i];
+        return length;
+    };
+    const end = headerLength(0) + contentLength(0);
+    let offset = headerLength(0);
+    while (offset < end) {
+        const size = headerLength(offset) + contentLength(offset);
+        children.push(buffer.subarray(offset, offset + size));
+        offset += size;
+    }
+    return children;
+}
+
+function readCertificateSubject(certPem) {
+    const der = Buffer.from(certPem.replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''), 'base64');
+    const tbsFields = readDerChildren(readDerChildren(der)[0]);
+    // tbsCertificate: [0] version, serial, signature, issuer, validity, subject, ...
+    return tbsFields[tbsFields[0][0] === 0xa0 ? 5 : 4];
+}
+
+const SHA256_WITH_RSA = derSequence(derOid('1.2.840.113549.1.1.11'), derNode(0x05, Buffer.alloc(0)));
+
+// 生成 RSA 密钥并签发证书；未提供 issuer 时自签（用于本地 CA）
+function createSignedCertificate(options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const subject = derName(options.commonName);
+    const keyId = publicKeyIdentifier(publicKey);
+    const issuer = options.issuer || { subject, privateKey, keyId };
+    const extensions = [
+        derExtension('2.5.29.19', true, derSequence(...(options.isCa ? [derNode(0x01, Buffer.from([0xff]))] : []))),
+        // keyUsage：CA 为 keyCertSign + cRLSign，服务端证书为 digitalSignature + keyEncipherment
+        derExtension('2.5.29.15', true, options.isCa
+            ? derBitString(Buffer.from([0x06]), 1)
+            : derBitString(Buffer.from([0xa0]), 5)),
+        derExtension('2.5.29.14', false, derNode(0x04, keyId)),
+        derExtension('2.5.29.35', false, derSequence(derNode(0x80, issuer.keyId)))
+    ];
+    if (!options.isCa) {
+        extensions.push(derExtension('2.5.29.37', false, derSequence(derOid('1.3.6.1.5.5.7.3.1'))));
+        const names = options.hosts.map((host) => (isIpAddress(host)
+            ? derNode(0x87, encodeIpAddress(host))
+            : derNode(0x82, Buffer.from(host, 'ascii'))));
+        extensions.push(derExtension('2.5.29.17', false, derSequence(...names)));
+    }
+    const serial = crypto.randomBytes(12);
+    serial[0] &= 0x7f;
+    const tbs = derSequence(
+        derNode(0xa0, derInteger(2)),
+        derInteger(serial),
+        SHA256_WITH_RSA,
+        issuer.subject,
+        derSequence(derTime(options.notBefore), derTime(options.notAfter)),
+        subject,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        derNode(0xa3, derSequence(...extensions))
+    );
+    const signature = crypto.sign('sha256', tbs, issuer.privateKey);
+    const der = derSequence(tbs, SHA256_WITH_RSA, derBitString(signature));
+    const body = der.toString('base64').replace(/(.{64})/g, '$1\n').replace(/\n$/, '');
+    return {
+        cert: `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`,
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+function createWebTlsController(deps = {}) {
+    const {
+        fs,
+        WEB_TLS_DIR,
+        now = () => Date.now()
+    } = deps;
+
+    if (!fs) {
+        throw new Error('createWebTlsController 缺少 fs');
+    }
+    if (!WEB_TLS_DIR) {
+        throw new Error('createWebTlsController 缺少 WEB_TLS_DIR');
+    }
+
+    const files = {
+        caKey: path.join(WEB_TLS_DIR, 'ca-key.pem'),
+        caCert: path.join(WEB_TLS_DIR, 'ca-cert.pem'),
+        key: path.join(WEB_TLS_DIR, 'server-key.pem'),
+        cert: path.join(WEB_TLS_DIR, 'server-cert.pem'),
+        meta: path.join(WEB_TLS_DIR, 'server-meta.json')
+    };
+
+    function restrictKeyFile(filePath) {
+        try {
+            fs.chmodSync(filePath, 0o600);
+        } catch (_) {}
+    }
+
+    // 校验证书与私钥可被 TLS 加载且互相匹配；Node 15.6 以下没有 X509Certificate，仅校验私钥
+    function validateKeyPair(cert, key) {
+        const privateKey = crypto.createPrivateKey(key);
+        if (typeof crypto.X509Certificate !== 'function') {
+            return null;
+        }
+        const x509 = new crypto.X509Certificate(cert);
+        if (!x509.checkPrivateKey(privateKey)) {
+            throw new Error('证书与私钥不匹配');
+        }
+        return x509;
+    }
+
+    function loadCertificateFiles(certPath, keyPath) {
+        const resolvedCert = path.resolve(certPath);
+        const resolvedKey = path.resolve(keyPath);
+        let cert;
+        let key;
+        try {
+            cert = fs.readFileSync(resolvedCert, 'utf-8');
+            key = fs.readFileSync(resolvedKey, 'utf-8');
+        } catch (e) {
+            return { error: `读取 TLS 证书失败: ${e.message}` };
+        }
+        try {
+            const x509 = validateKeyPair(cert, key);
+            return {
+                mode: 'file',
+                cert,
+                key,
+                certPath: resolvedCert,
+                keyPath: resolvedKey,
+                expiresAt: x509 ? new Date(x509.validTo).toISOString() : ''
+            };
+        } catch (e) {
+            return { error: `TLS 证书无效: ${e.message}` };
+        }
+    }
+
+    function resolveSelfSignedHosts(host) {
+        const hosts = ['localhost', '127.0.0.1', '::1'];
+        const hostname = readTrimmedString(os.hostname());
+        if (hostname) {
+            hosts.push(hostname);
+        }
+        const listenHost = readTrimmedString(host).replace(/^\[|\]$/g, '');
+        if (listenHost && listenHost !== '0.0.0.0' && listenHost !== '::') {
+            hosts.push(listenHost);
+        } else {
+            hosts.push(...listLanIpv4Addresses());
+        }
+        return Array.from(new Set(hosts)).sort();
+    }
+
+    function writeKeyFile(filePath, key) {
+        fs.writeFileSync(filePath, key, { encoding: 'utf-8', mode: 0o600 });
+        restrictKeyFile(filePath);
+    }
+
+    // 证书起始时间往前留一小时，避免客户端时钟略慢时判定为尚未生效
+    function resolveValidity(days) {
+        const start = now();
+        return { notBefore: start - 60 * 60 * 1000, notAfter: start + days * 24 * 60 * 60 * 1000 };
+    }
+
+    function ensureLocalCa() {
+        if (fs.existsSync(files.caKey) && fs.existsSync(files.caCert)) {
+            return;
+        }
+        const ca = createSignedCertificate({
+            commonName: 'Codex Mate Local CA',
+            isCa: true,
+            ...resolveValidity(SELF_SIGNED_CA_DAYS)
+        });
+        writeKeyFile(files.caKey, ca.key);
+        fs.writeFileSync(files.caCert, ca.cert, 'utf-8');
+    }
+
+    function readLocalCaIssuer() {
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(files.caKey, 'utf-8'));
+        return {
+            subject: readCertificateSubject(fs.readFileSync(files.caCert, 'utf-8')),
+            privateKey,
+            keyId: publicKeyIdentifier(privateKey)
+        };
+    }
+
+    function isCachedCertificateUsable(hosts) {
+        if (!fs.existsSync(files.key) || !fs.existsSync(files.cert)) {
+            return false;
+        }
+        const meta = readJsonFile(files.meta, null);
+        if (!meta || !Array.isArray(meta.hosts) || meta.hosts.join(',') !== hosts.join(',')) {
+            return false;
+        }
+        const expiresAt = Date.parse(meta.expiresAt || '');
+        return Number.isFinite(expiresAt) && expiresAt - now() > SELF_SIGNED_RENEW_BEFORE_MS;
+    }
+
+    // 本地 CA 只生成一次，用户信任它之后，主机名 / IP 变化时重签服务端证书无需再次信任
+    function ensureSelfSignedCertificate(options = {}) {
+        const hosts = resolveSelfSignedHosts(options.host);
+        ensureDir(WEB_TLS_DIR);
+        ensureLocalCa();
+        let renewed = false;
+        if (!isCachedCertificateUsable(hosts)) {
+            const server = createSignedCertificate({
+                commonName: 'codexmate',
+                hosts,
+                issuer: readLocalCaIssuer(),
+                ...resolveValidity(SELF_SIGNED_CERT_DAYS)
+            });
+            writeKeyFile(files.key, server.key);
+            fs.writeFileSync(files.cert, server.cert, 'utf-8');
+            writeJsonAtomic(files.meta, {
+                hosts,
+                expiresAt: new Date(now() + SELF_SIGNED_CERT_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            });
+            renewed = true;
+        }
+        const loaded = loadCertificateFiles(files.cert, files.key);
+        if (loaded.error) {
+            return loaded;
+        }
+        return {
+            ...loaded,
+            mode: 'self-signed',
+            ca: fs.readFileSync(files.caCert, 'utf-8'),
+            caPath: files.caCert,
+            hosts,
+            renewed
+        };
+    }
+
+    // 解析 codexmate run 的 TLS 参数：未启用返回 null，参数错误返回 { error }
+    function resolveWebTlsOptions(options = {}) {
+        const certPath = readTrimmedString(options.tlsCert);
+        const keyPath = readTrimmedString(options.tlsKey);
+        if (options.tlsSelfSigned) {
+            if (certPath || keyPath) {
+                return { error: '--tls-self-signed 不能与 --tls-cert/--tls-key 同时使用' };
+            }
+            try {
+                return ensureSelfSignedCertificate({ host: options.host });
+            } catch (e) {
+                return { error: e.message };
+            }
+        }
+        if (!certPath && !keyPath) {
+            return null;
+        }
+        if (!certPath || !keyPath) {
+            return { error: '--tls-cert 与 --tls-key 需要同时提供' };
+        }
+        return loadCertificateFiles(certPath, keyPath);
+    }
+
+    return {
+        resolveSelfSignedHosts,
+        ensureSelfSignedCertificate,
+        resolveWebTlsOptions
+    };
+}
+
+module.exports = {
+    createWebTlsController
+};
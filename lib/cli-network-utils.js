@@ -1,3 +1,4 @@
+const os = require('os');
 const http = require('http');
 const https = require('https');
 
@@ -184,7 +185,28 @@ async function probeJsonPost(targetUrl, body, options = {}) {
     return secondResult.ok ? secondResult : firstResult;
 }
 
+// 本机对外的 IPv4 地址（跳过回环），用于打印局域网访问地址与证书 SAN
+function listLanIpv4Addresses() {
+    const result = [];
+    let interfaces = {};
+    try {
+        interfaces = os.networkInterfaces() || {};
+    } catch (_) {
+        interfaces = {};
+    }
+    for (const entries of Object.values(interfaces)) {
+        for (const entry of entries || []) {
+            const isIpv4 = entry && (entry.family === 'IPv4' || entry.family === 4);
+            if (isIpv4 && !entry.internal && entry.address && !result.includes(entry.address)) {
+                result.push(entry.address);
+            }
+        }
+    }
+    return result;
+}
+
 module.exports = {
     probeUrl,
-    probeJsonPost
+    probeJsonPost,
+    listLanIpv4Addresses
 };
@@ -0,0 +1,112 @@
+const { StringDecoder } = require('string_decoder');
+
+function parseSseDataValue(rawData) {
+    if (typeof rawData !== 'string' || !rawData) {
+        return null;
+    }
+    if (rawData.trim() === '[DONE]') {
+        return '[DONE]';
+    }
+    try {
+        return JSON.parse(rawData);
+    } catch (_) {
+        return null;
+    }
+}
+
+// 增量解析 text/event-stream：上游 chunk 可能在任意字节处切断（含多字节字符），
+// 因此用 StringDecoder 拼接后按空行分帧，每帧回调一次 { event, data, rawData }。
+function createSseParser(onEvent) {
+    if (typeof onEvent !== 'function') {
+        throw new Error('createSseParser 缺少 onEvent');
+    }
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (!eventName && dataLines.length === 0) {
+            return;
+        }
+        const rawData = dataLines.join('\n');
+        const name = eventName;
+        eventName = '';
+        dataLines = [];
+        onEvent({
+            event: name,
+            data: parseSseDataValue(rawData),
+            rawData
+        });
+    };
+
+    const consumeLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.charCodeAt(0) === 58) {
+            // ":" 开头为注释/心跳
+            return;
+        }
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex >= 0 ? line.slice(0, colonIndex) : line;
+        let value = colonIndex >= 0 ? line.slice(colonIndex + 1) : '';
+        if (value.charCodeAt(0) === 32) {
+            value = value.slice(1);
+        }
+        if (field === 'event') {
+            eventName = value.trim();
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    };
+
+    const drain = () => {
+        let newlineIndex = buffer.indexOf('\n');
+        while (newlineIndex >= 0) {
+            let line = buffer.slice(0, newlineIndex);
+            buffer = buffer.slice(newlineIndex + 1);
+            if (line.endsWith('\r')) {
+                line = line.slice(0, -1);
+            }
+            consumeLine(line);
+            newlineIndex = buffer.indexOf('\n');
+        }
+    };
+
+    return {
+        push(chunk) {
+            if (chunk === undefined || chunk === null) return;
+            buffer += Buffer.isBuffer(chunk) ? decoder.write(chunk) : String(chunk);
+            drain();
+        },
+        flush() {
+            buffer += decoder.end();
+            drain();
+            if (buffer) {
+                consumeLine(buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer);
+                buffer = '';
+            }
+            dispatch();
+        }
+    };
+}
+
+function formatSseEvent(eventName, data) {
+    const head = eventName ? `event: ${eventName}\n` : '';
+    if (data === '[DONE]') {
+        return `${head}data: [DONE]\n\n`;
+    }
+    return `${head}data: ${JSON.stringify(data === undefined ? {} : data)}\n\n`;
+}
+
+function isEventStreamContentType(value) {
+    return /text\/event-stream/i.test(String(value || ''));
+}
+
+module.exports = {
+    createSseParser,
+    formatSseEvent,
+    isEventStreamContentType
+};
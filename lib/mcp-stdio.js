@@ -1,4 +1,8 @@
+const { spawn } = require('child_process');
+
 const DEFAULT_PROTOCOL_VERSION = '2025-11-25';
+const PROBE_DEFAULT_TIMEOUT_MS = 15000;
+const PROBE_MAX_TOOL_PAGES = 10;
 
 function jsonRpcError(code, message, data) {
     const error = {
@@ -78,7 +82,9 @@ function createMcpRequestRouter(options = {}) {
 
     const tools = createToolMap(options.tools);
     const resources = createResourceMap(options.resources);
-    const prompts = createPromptMap(options.prompts);
+    // prompts 传入函数时每次请求重新生成，用于随时增删的用户模板
+    const staticPrompts = typeof options.prompts === 'function' ? null : createPromptMap(options.prompts);
+    const resolvePrompts = () => staticPrompts || createPromptMap(options.prompts());
 
     const listTools = () => Array.from(tools.values()).map((tool) => ({
         name: tool.name,
@@ -94,7 +100,7 @@ function createMcpRequestRouter(options = {}) {
         mimeType: resource.mimeType
     }));
 
-    const listPrompts = () => Array.from(prompts.values()).map((prompt) => ({
+    const listPrompts = () => Array.from(resolvePrompts().values()).map((prompt) => ({
         name: prompt.name,
         description: prompt.description,
         arguments: prompt.arguments
@@ -107,7 +113,7 @@ function createMcpRequestRouter(options = {}) {
     if (resources.size > 0) {
         capabilities.resources = { listChanged: false, subscribe: false };
     }
-    if (prompts.size > 0) {
+    if (!staticPrompts || staticPrompts.size > 0) {
         capabilities.prompts = { listChanged: false };
     }
 
@@ -244,7 +250,7 @@ function createMcpRequestRouter(options = {}) {
             if (!name) {
                 throw jsonRpcError(-32602, 'Missing prompt name');
             }
-            const prompt = prompts.get(name);
+            const prompt = resolvePrompts().get(name);
             if (!prompt) {
                 throw jsonRpcError(-32602, `Unknown prompt: ${name}`);
             }
@@ -445,9 +451,164 @@ function createMcpStdioServer(options = {}) {
     };
 }
 
+// 作为客户端拉起 stdio MCP 服务做一次握手：initialize → notifications/initialized → tools/list
+// 请求按规范逐行发送 JSON；响应兼容逐行 JSON 与 Content-Length 帧
+function probeMcpStdioServer(options = {}) {
+    const command = typeof options.command === 'string' ? options.command.trim() : '';
+    if (!command) {
+        return Promise.resolve({ ok: false, error: '缺少启动命令', tools: [] });
+    }
+    const args = Array.isArray(options.args) ? options.args.map(item => String(item)) : [];
+    const env = options.env && typeof options.env === 'object' ? options.env : {};
+    const timeoutMs = Number.isFinite(options.timeoutMs) && options.timeoutMs > 0
+        ? Math.floor(options.timeoutMs)
+        : PROBE_DEFAULT_TIMEOUT_MS;
+    const clientInfo = options.clientInfo && typeof options.clientInfo === 'object'
+        ? options.clientInfo
+        : { name: 'codexmate', version: '0.0.0' };
+    const startedAt = Date.now();
+
+    return new Promise((resolve) => {
+        let child;
+        let settled = false;
+        let stderr = '';
+        let buffer = Buffer.alloc(0);
+        let nextId = 1;
+        const pending = new Map();
+        let timer = null;
+
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            for (const entry of pending.values()) entry.reject(new Error('probe finished'));
+            pending.clear();
+            if (child && child.exitCode === null && !child.killed) {
+                try { child.kill(); } catch (_) {}
+            }
+            resolve({
+                tools: [],
+                ...result,
+                durationMs: Date.now() - startedAt,
+                stderr: stderr.trim().slice(-2000)
+            });
+        };
+
+        try {
+            child = spawn(command, args, {
+                cwd: options.cwd || undefined,
+                env: { ...process.env, ...env },
+                stdio: ['pipe', 'pipe', 'pipe'],
+                windowsHide: true,
+                shell: process.platform === 'win32'
+            });
+        } catch (e) {
+            finish({ ok: false, error: `启动失败: ${e.message}` });
+            return;
+        }
+        timer = setTimeout(() => finish({ ok: false, error: `等待响应超时（${timeoutMs}ms）` }), timeoutMs);
+
+        const send = (payload) => {
+            if (settled) return;
+            child.stdin.write(`${JSON.stringify(payload)}\n`);
+        };
+        const request = (method, params) => new Promise((resolveRequest, rejectRequest) => {
+            const id = nextId++;
+            pending.set(id, { resolve: resolveRequest, reject: rejectRequest });
+            send({ jsonrpc: '2.0', id, method, params });
+        });
+        const handleMessage = (message) => {
+            if (!message || typeof message !== 'object') return;
+            if (Object.prototype.hasOwnProperty.call(message, 'id') && pending.has(message.id) && !message.method) {
+                const entry = pending.get(message.id);
+                pending.delete(message.id);
+                if (message.error) {
+                    entry.reject(new Error(message.error.message || `JSON-RPC 错误 ${message.error.code}`));
+                } else {
+                    entry.resolve(message.result || {});
+                }
+                return;
+            }
+            // 服务端反向请求（ping / roots/list 等）：ping 正常应答，其余返回未实现
+            if (typeof message.method === 'string' && Object.prototype.hasOwnProperty.call(message, 'id')) {
+                if (message.method === 'ping') {
+                    send({ jsonrpc: '2.0', id: message.id, result: {} });
+                } else {
+                    send({ jsonrpc: '2.0', id: message.id, error: jsonRpcError(-32601, `Method not found: ${message.method}`) });
+                }
+            }
+        };
+        const parseOutput = () => {
+            while (buffer.length) {
+                const text = buffer.toString('utf-8', 0, Math.min(buffer.length, 16));
+                if (/^content-length:/i.test(text)) {
+                    const headerEnd = buffer.indexOf('\r\n\r\n');
+                    if (headerEnd < 0) return;
+                    const match = /content-length:\s*(\d+)/i.exec(buffer.slice(0, headerEnd).toString('utf-8'));
+                    const length = match ? Number(match[1]) : 0;
+                    if (buffer.length < headerEnd + 4 + length) return;
+                    const body = buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf-8');
+                    buffer = buffer.slice(headerEnd + 4 + length);
+                    try { handleMessage(JSON.parse(body)); } catch (_) {}
+                    continue;
+                }
+                const newline = buffer.indexOf('\n');
+                if (newline < 0) return;
+                const line = buffer.slice(0, newline).toString('utf-8').trim();
+                buffer = buffer.slice(newline + 1);
+                if (!line) continue;
+                // 部分服务会往 stdout 打日志，非 JSON 行直接忽略
+                try { handleMessage(JSON.parse(line)); } catch (_) {}
+            }
+        };
+
+        child.stdout.on('data', (chunk) => {
+            buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+            parseOutput();
+        });
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk.toString('utf-8')).slice(-8000);
+        });
+        child.stdin.on('error', () => {});
+        child.on('error', (error) => finish({ ok: false, error: `启动失败: ${error.message}` }));
+        child.on('exit', (code, signal) => finish({ ok: false, error: `进程提前退出（${code !== null ? `code ${code}` : signal}）` }));
+
+        (async () => {
+            const init = await request('initialize', {
+                protocolVersion: DEFAULT_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo
+            });
+            send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+            const capabilities = init.capabilities && typeof init.capabilities === 'object' ? init.capabilities : {};
+            const tools = [];
+            if (capabilities.tools) {
+                let cursor = '';
+                for (let page = 0; page < PROBE_MAX_TOOL_PAGES; page += 1) {
+                    const listed = await request('tools/list', cursor ? { cursor } : {});
+                    for (const tool of Array.isArray(listed.tools) ? listed.tools : []) {
+                        if (!tool || typeof tool.name !== 'string') continue;
+                        tools.push({ name: tool.name, description: typeof tool.description === 'string' ? tool.description : '' });
+                    }
+                    cursor = typeof listed.nextCursor === 'string' ? listed.nextCursor : '';
+                    if (!cursor) break;
+                }
+            }
+            finish({
+                ok: true,
+                protocolVersion: typeof init.protocolVersion === 'string' ? init.protocolVersion : '',
+                serverInfo: init.serverInfo && typeof init.serverInfo === 'object' ? init.serverInfo : {},
+                capabilities: Object.keys(capabilities),
+                tools
+            });
+        })().catch((error) => finish({ ok: false, error: error.message }));
+    });
+}
+
 module.exports = {
     DEFAULT_PROTOCOL_VERSION,
     jsonRpcError,
     createMcpRequestRouter,
-    createMcpStdioServer
+    createMcpStdioServer,
+    probeMcpStdioServer
 };
@@ -0,0 +1,72 @@
+// 第三方插件宿主：插件从用户插件目录加载，UI 模块通过 mount(container, context) 挂载
+export const EXTERNAL_PLUGIN_API_VERSION = 1;
+
+function normalizeExternalPluginLang(lang) {
+    return lang === 'en' ? 'en' : 'zh';
+}
+
+function interpolateExternalPluginText(template, params) {
+    if (!params || typeof params !== 'object') return template;
+    return String(template).replace(/\{(\w+)\}/g, (_, key) => {
+        const value = params[key];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+export function translateExternalPluginText(plugin, lang, key, params = null) {
+    const i18n = plugin && plugin.i18n && typeof plugin.i18n === 'object' ? plugin.i18n : {};
+    const current = i18n[normalizeExternalPluginLang(lang)] || {};
+    const raw = current[key] || (i18n.en && i18n.en[key]) || (i18n.zh && i18n.zh[key]) || '';
+    return raw ? interpolateExternalPluginText(raw, params) : '';
+}
+
+export function describeExternalPluginMeta(plugin, lang) {
+    return {
+        id: plugin.id,
+        title: translateExternalPluginText(plugin, lang, 'plugin.name') || plugin.name,
+        description: translateExternalPluginText(plugin, lang, 'plugin.description') || plugin.description,
+        statusLabel: plugin.version ? `v${plugin.version}` : '',
+        tone: 'source',
+        createdBy: plugin.author || '',
+        maintainers: [],
+        external: true
+    };
+}
+
+export function isExternalPluginMountable(plugin) {
+    return !!(plugin && plugin.status === 'enabled' && plugin.ui && plugin.ui.module);
+}
+
+// 插件只能通过上下文使用宿主能力；权限检查在这里完成，但这不是沙箱
+export function createExternalPluginContext(app, plugin, options = {}) {
+    const { api, readOnlyActions } = options;
+    const granted = new Set((plugin.permissions || []).filter((item) => item && item.granted).map((item) => item.id));
+    const readOnly = new Set(Array.isArray(readOnlyActions) ? readOnlyActions : []);
+    return Object.freeze({
+        apiVersion: EXTERNAL_PLUGIN_API_VERSION,
+        plugin: Object.freeze({ id: plugin.id, name: plugin.name, version: plugin.version }),
+        get lang() {
+            return normalizeExternalPluginLang(app.lang);
+        },
+        t(key, params = null) {
+            return translateExternalPluginText(plugin, app.lang, key, params) || String(key);
+        },
+        showMessage(text, type = 'info') {
+            app.showMessage(String(text), type === 'success' || type === 'error' ? type : 'info');
+        },
+        async callAction(action, params = {}) {
+            const res = await api('plugins-action', { id: plugin.id, action, params });
+            if (!res || res.error) {
+                throw new Error(res && res.error ? res.error : `Plugin action failed: ${action}`);
+            }
+            return res.result;
+        },
+        async api(action, params = {}) {
+            const allowed = granted.has('api:write') || (granted.has('api:read') && readOnly.has(action));
+            if (!allowed) {
+                throw new Error(`Plugin ${plugin.id} is not allowed to call ${action}`);
+            }
+            return api(action, params);
+        }
+    });
+}
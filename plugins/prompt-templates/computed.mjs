@@ -24,6 +24,8 @@ function normalizePromptTemplateEntry(item) {
     };
 }
 
+const PROMPT_COMMAND_TOOLS = ['codex', 'claude'];
+
 const TEMPLATE_PARTS_CACHE = new Map();
 
 function parseTemplateVariables(templateText) {
@@ -103,17 +105,30 @@ function renderTemplate(templateText, values = {}) {
 }
 
 import { pluginsRegistry } from '../registry.mjs';
+import {
+    describeExternalPluginMeta,
+    isExternalPluginMountable
+} from '../external.mjs';
 
 export function createPluginsComputed() {
     return {
         pluginsCatalog() {
-            return pluginsRegistry.map((entry) => entry && entry.meta).filter(Boolean);
+            const builtin = pluginsRegistry.map((entry) => entry && entry.meta).filter(Boolean);
+            const external = this.externalPlugins && Array.isArray(this.externalPlugins.list)
+                ? this.externalPlugins.list.filter(isExternalPluginMountable).map((plugin) => describeExternalPluginMeta(plugin, this.lang))
+                : [];
+            return [...builtin, ...external];
         },
 
         pluginsActiveMeta() {
             const id = typeof this.pluginsActiveId === 'string' ? this.pluginsActiveId.trim() : '';
-            const entry = pluginsRegistry.find((item) => item && item.id === id) || null;
-            return entry && entry.meta ? entry.meta : null;
+            return this.pluginsCatalog.find((meta) => meta && meta.id === id) || null;
+        },
+
+        pluginsActiveExternal() {
+            const meta = this.pluginsActiveMeta;
+            if (!meta || !meta.external) return null;
+            return this.externalPlugins.list.find((plugin) => plugin && plugin.id === meta.id) || null;
         },
 
         pluginsActiveAttribution() {
@@ -181,6 +196,20 @@ export function createPluginsComputed() {
             return normalizePromptTemplateEntry(draft);
         },
 
+        promptTemplateCommandTargets() {
+            const draft = this.promptTemplateDraft;
+            if (!draft || draft.isBuiltin) return [];
+            const list = Array.isArray(this.promptTemplatesListRaw) ? this.promptTemplatesListRaw : [];
+            // 只有已保存到服务端的模板才能安装为命令
+            const saved = list.find((item) => item && item.id === draft.id);
+            if (!saved) return [];
+            const commands = Array.isArray(saved.commands) ? saved.commands : [];
+            return PROMPT_COMMAND_TOOLS.map((tool) => ({
+                tool,
+                command: commands.find((item) => item && item.tool === tool) || null
+            }));
+        },
+
         promptTemplateVars() {
             const draft = this.promptTemplateDraft;
             if (!draft) return [];
@@ -1,7 +1,4 @@
-import {
-    persistPromptTemplatesToStorage,
-    persistPromptTemplateSelectedIdToStorage
-} from './storage.mjs';
+import { persistPromptTemplateSelectedIdToStorage } from './storage.mjs';
 import {
     getFirstPluginId,
     getPluginEntry
@@ -27,6 +24,25 @@ function readComposerValuesFromStorage(storage = localStorage) {
     }
 }
 
+function readInstalledCommandNames(list, id) {
+    const saved = Array.isArray(list) ? list.find((item) => item && item.id === id) : null;
+    const commands = saved && Array.isArray(saved.commands) ? saved.commands : [];
+    const names = { codex: '', claude: '' };
+    for (const command of commands) {
+        if (command && Object.prototype.hasOwnProperty.call(names, command.tool)) {
+            names[command.tool] = command.name || '';
+        }
+    }
+    return names;
+}
+
+function describeSkippedCommands(commands) {
+    return (Array.isArray(commands) ? commands : [])
+        .filter((item) => item && item.action === 'skipped')
+        .map((item) => `${item.path}: ${item.reason}`)
+        .join('\n');
+}
+
 function persistComposerValuesToStorage(map, storage = localStorage) {
     if (!storage) return false;
     try {
@@ -79,7 +95,9 @@ function normalizePromptTemplateDraft(draft) {
     };
 }
 
-export function createPluginsMethods() {
+export function createPluginsMethods(options = {}) {
+    const { api } = options;
+
     return {
         resetPromptComposerVarValues() {
             this.promptComposerVarValuesRaw = {};
@@ -280,8 +298,11 @@ export function createPluginsMethods() {
         selectPlugin(pluginId) {
             const id = typeof pluginId === 'string' ? pluginId.trim() : '';
             if (!id) return;
-            if (!getPluginEntry(id)) return;
+            const external = !getPluginEntry(id);
+            if (external && !this.isExternalPluginAvailable(id)) return;
+            this.resetExternalPluginView();
             this.pluginsActiveId = id;
+            if (external) void this.mountExternalPlugin(id);
         },
 
         async loadPluginsOverview(options = {}) {
@@ -289,11 +310,20 @@ export function createPluginsMethods() {
             const forceRefresh = !!(options && options.forceRefresh);
             if (this.pluginsLoading) return false;
 
+            // 加载期间插件区域会重新渲染，第三方插件需要重新挂载
+            this.unmountExternalPlugin();
             this.pluginsLoading = true;
             this.pluginsError = '';
             try {
+                await this.loadExternalPlugins({ silent: true });
                 const fallbackId = getFirstPluginId();
                 const currentId = typeof this.pluginsActiveId === 'string' ? this.pluginsActiveId.trim() : '';
+                if (!getPluginEntry(currentId) && this.isExternalPluginAvailable(currentId)) {
+                    this.$nextTick(() => {
+                        if (!this.pluginsLoading && this.pluginsActiveId === currentId) void this.mountExternalPlugin(currentId);
+                    });
+                    return true;
+                }
                 const resolved = getPluginEntry(currentId) ? currentId : fallbackId;
                 if (resolved && resolved !== currentId) {
                     this.pluginsActiveId = resolved;
@@ -301,7 +331,7 @@ export function createPluginsMethods() {
 
                 const entry = getPluginEntry(resolved);
                 if (!entry || typeof entry.loadOverview !== 'function') return true;
-                return await entry.loadOverview(this, { silent, forceRefresh });
+                return await entry.loadOverview(this, { silent, forceRefresh, api });
             } catch (e) {
                 this.pluginsError = e && e.message ? String(e.message) : 'Failed to load plugins';
                 if (!silent) {
@@ -333,6 +363,7 @@ export function createPluginsMethods() {
                 maintainers: Array.isArray(entry.maintainers) ? entry.maintainers : []
             };
             this.promptTemplateVarValuesRaw = {};
+            this.promptTemplateCommands.names = readInstalledCommandNames(this.promptTemplatesListRaw, next);
         },
 
         createPromptTemplate() {
@@ -352,6 +383,7 @@ export function createPluginsMethods() {
             this.promptTemplateDraftRaw = draft;
             this.promptTemplateSelectedId = id;
             this.promptTemplateVarValuesRaw = {};
+            this.promptTemplateCommands.names = readInstalledCommandNames([], id);
         },
 
         resetPromptVariableValues() {
@@ -464,27 +496,34 @@ export function createPluginsMethods() {
                 this.showMessage(typeof this.t === 'function' ? this.t('toast.templates.nameRequired') : 'Template name is required', 'error');
                 return false;
             }
-            const nextId = draft.id ? draft.id : createId('prompt');
-            const list = Array.isArray(this.promptTemplatesListRaw) ? [...this.promptTemplatesListRaw] : [];
-            const now = nowIso();
-            const entry = {
-                ...draft,
-                id: nextId,
-                name,
-                updatedAt: now,
-                createdAt: draft.createdAt || now,
-                isBuiltin: draft.isBuiltin === true
-            };
-            const index = list.findIndex((item) => item && item.id === nextId);
-            if (index >= 0) {
-                list[index] = entry;
-            } else {
-                list.unshift(entry);
+            let res;
+            try {
+                res = await api('prompt-templates-save', {
+                    id: draft.id || createId('prompt'),
+                    name,
+                    description: draft.description,
+                    template: draft.template,
+                    createdBy: draft.createdBy,
+                    maintainers: draft.maintainers
+                });
+            } catch (_) {
+                res = { error: typeof this.t === 'function' ? this.t('toast.save.fail') : 'Save failed' };
             }
-            this.promptTemplatesListRaw = list;
-            persistPromptTemplatesToStorage(list, localStorage);
+            if (!res || res.error) {
+                this.showMessage(res && res.error ? res.error : 'Save failed', 'error');
+                return false;
+            }
+            const entry = res.template;
+            const nextId = entry.id;
+            this.replacePromptTemplateEntry(entry);
             this.promptTemplateDraftRaw = entry;
             this.promptTemplateSelectedId = nextId;
+            // 已安装的命令会随模板同步，被手动改过的文件保持不动
+            const skipped = describeSkippedCommands(res.commands);
+            if (skipped) {
+                this.showMessage(typeof this.t === 'function' ? this.t('plugins.promptTemplates.commands.syncSkipped', { detail: skipped }) : `Saved; some commands were not updated:\n${skipped}`, 'info');
+                return true;
+            }
             this.showMessage(typeof this.t === 'function' ? this.t('toast.save.ok') : 'Saved', 'success');
             return true;
         },
@@ -507,6 +546,7 @@ export function createPluginsMethods() {
             };
             this.promptTemplateSelectedId = nextId;
             this.promptTemplateVarValuesRaw = {};
+            this.promptTemplateCommands.names = readInstalledCommandNames([], nextId);
         },
 
         async deletePromptTemplate() {
@@ -527,9 +567,24 @@ export function createPluginsMethods() {
             if (!confirmed) return;
 
             const list = Array.isArray(this.promptTemplatesListRaw) ? this.promptTemplatesListRaw : [];
-            const next = list.filter((item) => !(item && item.id === draft.id));
-            this.promptTemplatesListRaw = next;
-            persistPromptTemplatesToStorage(next, localStorage);
+            // 新建后尚未保存的草稿只需在本地丢弃
+            if (list.some((item) => item && item.id === draft.id)) {
+                let res;
+                try {
+                    res = await api('prompt-templates-delete', { id: draft.id });
+                } catch (_) {
+                    res = { error: t ? t('toast.delete.fail') : 'Delete failed' };
+                }
+                if (!res || res.error) {
+                    this.showMessage(res && res.error ? res.error : 'Delete failed', 'error');
+                    return;
+                }
+                const skipped = describeSkippedCommands(res.commands);
+                if (skipped) {
+                    this.showMessage(t ? t('plugins.promptTemplates.commands.removeSkipped', { detail: skipped }) : `Some command files were kept:\n${skipped}`, 'info');
+                }
+            }
+            this.promptTemplatesListRaw = list.filter((item) => !(item && item.id === draft.id));
             this.promptTemplateDraftRaw = null;
             this.promptTemplateSelectedId = '';
             const first = this.promptTemplatesList && this.promptTemplatesList.length ? this.promptTemplatesList[0] : null;
@@ -537,6 +592,88 @@ export function createPluginsMethods() {
             this.showMessage(typeof this.t === 'function' ? this.t('toast.delete.ok') : 'Deleted', 'success');
         },
 
+        replacePromptTemplateEntry(entry) {
+            if (!entry || !entry.id) return;
+            const list = Array.isArray(this.promptTemplatesListRaw) ? [...this.promptTemplatesListRaw] : [];
+            const index = list.findIndex((item) => item && item.id === entry.id);
+            if (index >= 0) {
+                list[index] = entry;
+            } else {
+                list.unshift(entry);
+            }
+            this.promptTemplatesListRaw = list;
+        },
+
+        async installPromptTemplateCommand(tool, options = {}) {
+            const draft = normalizePromptTemplateDraft(this.promptTemplateDraftRaw);
+            const state = this.promptTemplateCommands;
+            if (!draft.id || draft.isBuiltin || state.busy) return false;
+            const t = typeof this.t === 'function' ? this.t : null;
+            const force = options.force === true;
+            state.busy = tool;
+            let res;
+            try {
+                res = await api('prompt-templates-install', { id: draft.id, tool, name: state.names[tool] || '', force });
+            } catch (_) {
+                res = { error: t ? t('plugins.promptTemplates.commands.installFailed') : 'Install failed' };
+            } finally {
+                state.busy = '';
+            }
+            if (res && res.conflict && !force) {
+                const confirmed = await this.requestConfirmDialog({
+                    title: t ? t('plugins.promptTemplates.commands.overwriteTitle') : 'Overwrite command',
+                    message: res.error,
+                    confirmText: t ? t('plugins.promptTemplates.commands.overwriteConfirm') : 'Overwrite',
+                    cancelText: t ? t('common.cancel') : 'Cancel',
+                    danger: true
+                });
+                return confirmed ? this.installPromptTemplateCommand(tool, { force: true }) : false;
+            }
+            if (!res || res.error) {
+                this.showMessage(res && res.error ? res.error : 'Install failed', 'error');
+                return false;
+            }
+            state.names[tool] = res.command.name;
+            this.showMessage(t ? t('plugins.promptTemplates.commands.installed', { invoke: res.command.invoke }) : `Installed as ${res.command.invoke}`, 'success');
+            this.replacePromptTemplateEntry(res.template);
+            return true;
+        },
+
+        async uninstallPromptTemplateCommand(tool, options = {}) {
+            const draft = normalizePromptTemplateDraft(this.promptTemplateDraftRaw);
+            const state = this.promptTemplateCommands;
+            if (!draft.id || state.busy) return false;
+            const t = typeof this.t === 'function' ? this.t : null;
+            const force = options.force === true;
+            state.busy = tool;
+            let res;
+            try {
+                res = await api('prompt-templates-uninstall', { id: draft.id, tool, force });
+            } catch (_) {
+                res = { error: t ? t('plugins.promptTemplates.commands.uninstallFailed') : 'Remove failed' };
+            } finally {
+                state.busy = '';
+            }
+            if (res && res.conflict && !force) {
+                const confirmed = await this.requestConfirmDialog({
+                    title: t ? t('plugins.promptTemplates.commands.removeModifiedTitle') : 'Remove modified command',
+                    message: res.error,
+                    confirmText: t ? t('plugins.promptTemplates.commands.uninstall') : 'Remove',
+                    cancelText: t ? t('common.cancel') : 'Cancel',
+                    danger: true
+                });
+                return confirmed ? this.uninstallPromptTemplateCommand(tool, { force: true }) : false;
+            }
+            if (!res || res.error) {
+                this.showMessage(res && res.error ? res.error : 'Remove failed', 'error');
+                return false;
+            }
+            state.names[tool] = '';
+            this.showMessage(t ? t('plugins.promptTemplates.commands.uninstalled') : 'Command removed', 'success');
+            this.replacePromptTemplateEntry(res.template);
+            return true;
+        },
+
         exportPromptTemplates() {
             const list = this.promptTemplatesList;
             if (!Array.isArray(list) || !list.length) {
@@ -594,25 +731,24 @@ export function createPluginsMethods() {
                 this.showMessage(typeof this.t === 'function' ? this.t('toast.import.expectedArray') : 'Expected an array', 'error');
                 return;
             }
-            const list = Array.isArray(this.promptTemplatesListRaw) ? [...this.promptTemplatesListRaw] : [];
+            const now = nowIso();
+            const templates = [];
             for (const item of parsed) {
                 const draft = normalizePromptTemplateDraft(item);
-                if (!draft.name || !draft.template) continue;
-                const id = draft.id ? draft.id : createId('prompt');
-                const now = nowIso();
-                const entry = {
-                    ...draft,
-                    id,
-                    createdAt: draft.createdAt || now,
-                    updatedAt: now,
-                    isBuiltin: false
-                };
-                const index = list.findIndex((existing) => existing && existing.id === id);
-                if (index >= 0) list[index] = entry;
-                else list.unshift(entry);
+                if (!draft.name || !draft.template || draft.isBuiltin) continue;
+                templates.push({ ...draft, id: draft.id || createId('prompt'), updatedAt: now });
             }
-            this.promptTemplatesListRaw = list;
-            persistPromptTemplatesToStorage(list, localStorage);
+            let res;
+            try {
+                res = await api('prompt-templates-import', { templates, overwrite: true });
+            } catch (_) {
+                res = { error: typeof this.t === 'function' ? this.t('toast.import.fail') : 'Import failed' };
+            }
+            if (!res || res.error) {
+                this.showMessage(res && res.error ? res.error : 'Import failed', 'error');
+                return;
+            }
+            await this.loadPluginsOverview({ silent: true, forceRefresh: true });
             this.showMessage(typeof this.t === 'function' ? this.t('toast.import.ok') : 'Imported', 'success');
         }
     };
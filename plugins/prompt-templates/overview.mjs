@@ -1,6 +1,8 @@
 import {
-    persistPromptTemplatesToStorage,
     readPromptTemplatesFromStorage,
+    clearPromptTemplatesStorage,
+    readPromptTemplatesMigrated,
+    markPromptTemplatesMigrated,
     readPromptTemplateSelectedIdFromStorage,
     persistPromptTemplateSelectedIdToStorage
 } from './storage.mjs';
@@ -20,6 +22,18 @@ function ensureBuiltinTemplates(rawList, builtins) {
     return [...resolvedBuiltins, ...rest];
 }
 
+// 旧版本模板只存在浏览器 localStorage 中，首次加载时导入服务端存储
+async function migrateLocalPromptTemplates(api) {
+    if (readPromptTemplatesMigrated(localStorage)) return;
+    const local = readPromptTemplatesFromStorage(localStorage).filter((item) => item && item.isBuiltin !== true);
+    if (local.length) {
+        const res = await api('prompt-templates-import', { templates: local, source: 'localStorage' });
+        if (!res || res.error) return;
+    }
+    clearPromptTemplatesStorage(localStorage);
+    markPromptTemplatesMigrated(localStorage);
+}
+
 export async function loadPromptTemplatesOverview(ctx, options = {}) {
     const app = ctx && typeof ctx === 'object' ? ctx : {};
     const silent = !!(options && options.silent);
@@ -28,14 +42,20 @@ export async function loadPromptTemplatesOverview(ctx, options = {}) {
     const shouldReload = forceRefresh || app.promptTemplatesLoadedOnce !== true;
     if (!shouldReload) return true;
 
+    const api = options && typeof options.api === 'function' ? options.api : null;
+    if (!api) throw new Error('Prompt templates API is not available');
+    await migrateLocalPromptTemplates(api);
+    const res = await api('prompt-templates-list');
+    if (!res || res.error) {
+        throw new Error(res && res.error ? res.error : 'Failed to load prompt templates');
+    }
+
     const t = typeof app.t === 'function' ? app.t : null;
-    const rawList = readPromptTemplatesFromStorage(localStorage);
-    const normalized = ensureBuiltinTemplates(rawList, [
+    const normalized = ensureBuiltinTemplates(res.templates, [
         buildBuiltinCommentPolishTemplate(t),
         buildBuiltinRuleAckTemplate(t)
     ]);
     app.promptTemplatesListRaw = normalized;
-    persistPromptTemplatesToStorage(normalized, localStorage);
 
     app.promptTemplatesLoadedOnce = true;
 
@@ -1,5 +1,6 @@
 const STORAGE_KEY = 'codexmate.plugins.promptTemplates.v1';
 const SELECTED_TEMPLATE_STORAGE_KEY = 'codexmate.plugins.promptTemplates.selectedTemplateId.v1';
+const MIGRATED_STORAGE_KEY = 'codexmate.plugins.promptTemplates.migrated.v1';
 
 export function readPromptTemplatesFromStorage(storage = localStorage) {
     if (!storage) return [];
@@ -62,3 +63,22 @@ export function persistPromptTemplateSelectedIdToStorage(templateId, storage = l
         return false;
     }
 }
+
+export function readPromptTemplatesMigrated(storage = localStorage) {
+    if (!storage) return false;
+    try {
+        return storage.getItem(MIGRATED_STORAGE_KEY) === '1';
+    } catch (_) {
+        return false;
+    }
+}
+
+export function markPromptTemplatesMigrated(storage = localStorage) {
+    if (!storage) return false;
+    try {
+        storage.setItem(MIGRATED_STORAGE_KEY, '1');
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const os = require('os');
+const crypto = require('crypto');
 const { spawnSync, spawn } = require('child_process');
 const { writeJsonAtomic } = require('../../lib/cli-file-utils');
 const {
@@ -16,6 +17,13 @@ const debug = (...args) => {
     }
 };
 
+// 测试服务以 CODEXMATE_HTTP_TOKEN 启动；脚本式调用带管理员令牌，免去本机写请求的 CSRF 流程
+const E2E_HTTP_TOKEN = crypto.randomBytes(16).toString('hex');
+
+function buildApiAuthHeaders() {
+    return { Authorization: `Bearer ${E2E_HTTP_TOKEN}` };
+}
+
 function assert(condition, message) {
     if (!condition) {
         throw new Error(message);
@@ -109,6 +117,7 @@ function postJson(port, payload, timeoutMs = 2000) {
             path: '/api',
             method: 'POST',
             headers: {
+                ...buildApiAuthHeaders(),
                 'Content-Type': 'application/json',
                 'Content-Length': Buffer.byteLength(data)
             }
@@ -240,6 +249,8 @@ module.exports = {
     assertFileUnchanged,
     runSync,
     runWithInput,
+    E2E_HTTP_TOKEN,
+    buildApiAuthHeaders,
     postJson,
     waitForServer,
     startLocalServer,
@@ -2,9 +2,11 @@ const http = require('http');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
 
 let g_port = 3737;
+const g_token = crypto.randomBytes(16).toString('hex');
 
 function getApiUrl() {
     return `http://localhost:${g_port}/api`;
@@ -20,6 +22,7 @@ function request(action, params = {}) {
     const req = http.request(getApiUrl(), {
             method: 'POST',
             headers: {
+                Authorization: `Bearer ${g_token}`,
                 'Content-Type': 'application/json',
                 'Content-Length': Buffer.byteLength(payload)
             }
@@ -84,7 +87,8 @@ async function run() {
         USERPROFILE: tempHome,
         HOME: tempHome,
         CODEXMATE_NO_BROWSER: '1',
-        CODEXMATE_PORT: String(g_port)
+        CODEXMATE_PORT: String(g_port),
+        CODEXMATE_HTTP_TOKEN: g_token
     };
 
     const cliPath = path.join(__dirname, '..', '..', 'cli.js');
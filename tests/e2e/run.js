@@ -9,7 +9,8 @@ const {
     startLocalServer,
     closeServer,
     waitForServer,
-    postJson
+    postJson,
+    E2E_HTTP_TOKEN
 } = require('./helpers');
 
 const testSetup = require('./test-setup');
@@ -50,6 +51,7 @@ async function main() {
         CLAUDE_CONFIG_DIR: '',
         XDG_CONFIG_HOME: '',
         CODEXMATE_FORCE_RESET_EXISTING_CONFIG: '1',
+        CODEXMATE_HTTP_TOKEN: E2E_HTTP_TOKEN,
         CODEXMATE_NO_BROWSER: '1'
     };
     const cliPath = path.resolve(__dirname, '../../cli.js');
@@ -70,6 +70,33 @@ function startClaudeProxyUpstreamServer() {
                     return;
                 }
 
+                if (req.method === 'POST' && requestPath === '/v1/responses'
+                    && parsedBody && parsedBody.stream === true && parsedBody.model !== 'gpt-json-only') {
+                    const events = [
+                        { type: 'response.created', response: { id: 'resp_e2e_stream', model: parsedBody.model, usage: null } },
+                        { type: 'response.output_item.added', output_index: 0, item: { type: 'message', content: [] } },
+                        { type: 'response.output_text.delta', output_index: 0, content_index: 0, delta: 'tool ready' },
+                        { type: 'response.output_text.delta', output_index: 0, content_index: 0, delta: '.' },
+                        { type: 'response.output_text.done', output_index: 0, content_index: 0, text: 'tool ready.' },
+                        { type: 'response.output_item.done', output_index: 0, item: { type: 'message', content: [{ type: 'output_text', text: 'tool ready.' }] } },
+                        { type: 'response.output_item.added', output_index: 1, item: { type: 'function_call', call_id: 'toolu_lookup', name: 'lookup', arguments: '' } },
+                        { type: 'response.function_call_arguments.delta', output_index: 1, delta: '{"city":' },
+                        { type: 'response.function_call_arguments.delta', output_index: 1, delta: '"tokyo"}' },
+                        { type: 'response.function_call_arguments.done', output_index: 1, arguments: '{"city":"tokyo"}' },
+                        { type: 'response.output_item.done', output_index: 1, item: { type: 'function_call', call_id: 'toolu_lookup', name: 'lookup', arguments: '{"city":"tokyo"}' } },
+                        { type: 'response.completed', response: { id: 'resp_e2e_stream', status: 'completed', usage: { input_tokens: 23, output_tokens: 11 } } }
+                    ];
+                    res.writeHead(200, {
+                        'Content-Type': 'text/event-stream; charset=utf-8',
+                        'Cache-Control': 'no-cache'
+                    });
+                    for (const event of events) {
+                        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                    }
+                    res.end();
+                    return;
+                }
+
                 if (req.method === 'POST' && requestPath === '/v1/responses') {
                     const isToolResponse = parsedBody
                         && Array.isArray(parsedBody.tools)
@@ -201,9 +228,33 @@ module.exports = async function testClaudeProxy(ctx) {
         assert(streamResponse.body.includes('event: content_block_delta'), 'claude proxy stream should emit content_block_delta');
         assert(streamResponse.body.includes('tool ready'), 'claude proxy stream should include assistant text delta');
         assert(streamResponse.body.includes('input_json_delta'), 'claude proxy stream should include tool json delta');
+        assert(streamResponse.body.includes('"delta":{"type":"text_delta","text":"."}'), 'claude proxy stream should forward upstream text deltas incrementally');
+        assert(streamResponse.body.includes('"stop_reason":"tool_use"'), 'claude proxy stream should report tool_use stop reason');
+        assert(streamResponse.body.trim().endsWith('data: {"type":"message_stop"}'), 'claude proxy stream should end with message_stop');
+
+        const fallbackStreamResponse = await requestRaw(proxyPort, '/v1/messages', {
+            headers: {
+                'x-api-key': 'sk-anthropic-client',
+                'anthropic-version': '2023-06-01'
+            },
+            body: {
+                model: 'gpt-json-only',
+                max_tokens: 64,
+                stream: true,
+                messages: [
+                    { role: 'user', content: 'hello fallback' }
+                ]
+            }
+        });
+        assert(fallbackStreamResponse.statusCode === 200, 'claude proxy stream fallback should succeed');
+        assert(String(fallbackStreamResponse.headers['content-type'] || '').includes('text/event-stream'), 'claude proxy stream fallback should return SSE content type');
+        assert(fallbackStreamResponse.body.includes('proxy ok'), 'claude proxy stream fallback should replay buffered upstream text');
+        assert(fallbackStreamResponse.body.includes('event: message_stop'), 'claude proxy stream fallback should emit message_stop');
 
         const upstreamMessages = upstream.requests.filter((item) => item.path === '/v1/responses');
-        assert(upstreamMessages.length >= 2, 'claude proxy should hit upstream /v1/responses');
+        assert(upstreamMessages.length >= 3, 'claude proxy should hit upstream /v1/responses');
+        assert(upstreamMessages[0].body.stream === undefined, 'claude proxy should not request upstream streaming for non-stream messages');
+        assert(upstreamMessages[1].body.stream === true, 'claude proxy should request upstream streaming for stream messages');
         assert(upstreamMessages[0].headers.authorization === 'Bearer sk-claude-upstream', 'claude proxy should use provider auth for upstream');
         assert(upstreamMessages[0].body.instructions === 'system prompt', 'claude proxy should map system prompt to responses instructions');
         assert(upstreamMessages[0].body.max_output_tokens === 128, 'claude proxy should map max_tokens to max_output_tokens');
@@ -302,6 +302,66 @@ preferred_auth_method = "shadow-key"
     assert(addedProvider, 'add-provider not reflected in list');
     assert(addedProvider.url === mockProviderUrl, 'add-provider should persist normalized provider url');
 
+    // ========== Config History Tests ==========
+    const historyList = await api('config-history-list', { file: 'codex-config', limit: 5 });
+    const addEntry = historyList.entries && historyList.entries[0];
+    assert(addEntry && addEntry.action === 'add-provider', 'config history should record add-provider write');
+    assert(addEntry.origin === 'web' && addEntry.latest === true, 'config history should record web origin');
+    const historyShow = await api('config-history-show', { id: addEntry.id });
+    assert(historyShow.diff.lines.some(line => line.type === 'add' && line.value.includes('e2e-api')), 'config history diff missing added provider');
+    const previousEntry = historyList.entries[1];
+    assert(previousEntry, 'config history should keep the version before add-provider');
+    const historyRestore = await api('config-history-restore', { id: previousEntry.id });
+    assert(historyRestore.success === true && historyRestore.restoredFrom === previousEntry.id, 'config history restore failed');
+    const listAfterRestore = await api('list');
+    assert(!listAfterRestore.providers.some(p => p.name === 'e2e-api'), 'config history restore should roll back provider');
+    const historyRedo = await api('config-history-restore', { id: addEntry.id });
+    assert(historyRedo.success === true, 'config history restore to newer version failed');
+    const historyCli = runSync(node, [cliPath, 'history', 'list', '--file', 'codex-config', '--limit', '3'], { env });
+    assert(historyCli.status === 0, 'history list command failed');
+    assert(historyCli.stdout.includes(`restore#${addEntry.id}`), 'history list should show restore entry');
+
+    // ========== Config Bundle Tests ==========
+    const bundleExport = await api('bundle-export', {
+        passphrase: 'e2e-bundle-pass',
+        sections: ['providers', 'claudeProfiles'],
+        clientSections: { claudeProfiles: { e2e: { baseUrl: 'https://claude.example.com', apiKey: 'ck' } } }
+    });
+    assert(bundleExport.content && !bundleExport.content.includes('e2e-api'), 'bundle-export should return encrypted content');
+    assert(bundleExport.summary.claudeProfiles === 1, 'bundle-export should include browser sections');
+    const bundleWrongPass = await api('bundle-preview', { bundle: bundleExport.content, passphrase: 'wrong-pass-123' });
+    assert(bundleWrongPass.error, 'bundle-preview should reject wrong passphrase');
+    const bundlePreview = await api('bundle-preview', { bundle: bundleExport.content, passphrase: 'e2e-bundle-pass', clientSections: {} });
+    const bundleProvider = bundlePreview.items.find(item => item.key === 'providers:e2e-api');
+    assert(bundleProvider && bundleProvider.status === 'identical', 'bundle-preview should match local provider');
+    assert(bundlePreview.items.some(item => item.key === 'claudeProfiles:e2e' && item.status === 'new'), 'bundle-preview should list browser profiles');
+    const bundleImport = await api('bundle-import', { bundle: bundleExport.content, passphrase: 'e2e-bundle-pass', clientSections: {} });
+    assert(bundleImport.success === true && bundleImport.clientSections.claudeProfiles.e2e, 'bundle-import should return merged browser profiles');
+
+    // ========== Directory Binding Tests ==========
+    const bindingMissing = await api('bindings-save', { binding: { pattern: '/e2e/client', provider: 'missing-provider' } });
+    assert(bindingMissing.error, 'bindings-save should reject unknown provider');
+    const bindingSave = await api('bindings-save', {
+        binding: {
+            pattern: '/e2e/client',
+            provider: 'e2e-api',
+            model: 'e2e-model',
+            claudeProfile: 'e2e',
+            claude: { baseUrl: 'https://claude.example.com', apiKey: 'ck-e2e' }
+        }
+    });
+    assert(bindingSave.success === true && bindingSave.binding.id, 'bindings-save failed');
+    assert(bindingSave.binding.claude.hasApiKey === true && !JSON.stringify(bindingSave.binding).includes('ck-e2e'), 'bindings-save should redact claude key');
+    const bindingResolve = await api('bindings-resolve', { cwd: '/e2e/client/app' });
+    assert(bindingResolve.binding && bindingResolve.binding.pattern === '/e2e/client', 'bindings-resolve should match nested directory');
+    assert(bindingResolve.args.includes('model_provider="e2e-api"'), 'bindings-resolve should return codex overrides');
+    const bindingCli = runSync(node, [cliPath, 'bind', 'show', '/e2e/client/app'], { env });
+    assert(bindingCli.status === 0 && bindingCli.stdout.includes('/e2e/client'), 'bind show command failed');
+    const bindingDelete = await api('bindings-delete', { id: bindingSave.binding.id });
+    assert(bindingDelete.success === true, 'bindings-delete failed');
+    const bindingListAfter = await api('bindings-list');
+    assert(Array.isArray(bindingListAfter.bindings) && bindingListAfter.bindings.length === 0, 'bindings-list should be empty after delete');
+
     const addProviderEmptyName = await api('add-provider', { name: '', url: mockProviderUrl });
     assert(addProviderEmptyName.error, 'add-provider should reject empty name');
 
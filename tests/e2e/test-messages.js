@@ -1,4 +1,4 @@
-﻿const { assert, fs, path } = require('./helpers');
+﻿const { assert, buildApiAuthHeaders, fs, path } = require('./helpers');
 const zipLib = require('zip-lib');
 const http = require('http');
 
@@ -11,6 +11,7 @@ function postBinaryJson(port, requestPath, bodyBuffer, headers = {}, timeoutMs =
             path: requestPath,
             method: 'POST',
             headers: {
+                ...buildApiAuthHeaders(),
                 'Content-Type': 'application/octet-stream',
                 'Content-Length': payload.length,
                 ...headers
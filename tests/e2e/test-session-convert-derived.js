@@ -9,7 +9,18 @@ function sha256File(filePath) {
 }
 
 function derivedMetaPath(filePath) {
-    return filePath.endsWith('.jsonl') ? filePath.replace(/\.jsonl$/, '.meta.json') : `${filePath}.meta.json`;
+    return /\.jsonl?$/.test(filePath) ? filePath.replace(/\.jsonl?$/, '.meta.json') : `${filePath}.meta.json`;
+}
+
+function isGeminiChatPath(tmpHome, filePath) {
+    const normalized = String(filePath || '');
+    return (normalized.startsWith(path.join(tmpHome, '.gemini', 'tmp') + path.sep)
+        || normalized.startsWith(path.join(tmpHome, '.config', 'gemini', 'tmp') + path.sep))
+        && path.basename(path.dirname(normalized)) === 'chats';
+}
+
+function isCodeBuddyProjectPath(tmpHome, filePath) {
+    return String(filePath || '').startsWith(path.join(tmpHome, '.codebuddy', 'projects') + path.sep);
 }
 
 function isCodexSessionPath(tmpHome, filePath) {
@@ -64,6 +75,10 @@ async function convertAndAssertListed(api, tmpHome, source, target, params = {},
         assert(isCodexSessionPath(tmpHome, outPath), 'derived codex session path should stay inside ~/.codex or ~/.config/codex');
     } else if (target === 'claude') {
         assert(isClaudeProjectPath(tmpHome, outPath), 'derived claude session path should stay inside ~/.claude/projects or ~/.config/claude/projects');
+    } else if (target === 'gemini') {
+        assert(isGeminiChatPath(tmpHome, outPath), 'derived gemini session should be written to a Gemini CLI chats directory');
+    } else if (target === 'codebuddy') {
+        assert(isCodeBuddyProjectPath(tmpHome, outPath), 'derived codebuddy session should be written to ~/.codebuddy/projects');
     } else {
         assert(
             outPath.startsWith(path.join(tmpHome, '.codexmate', 'sessions', 'derived', target) + path.sep),
@@ -86,7 +101,8 @@ module.exports = async function testSessionConvertDerived(ctx) {
         sessionPath,
         daudeSessionPath,
         claudeSessionId,
-        claudeSessionPath
+        claudeSessionPath,
+        geminiSessionPath
     } = ctx;
 
     const beforeHash = sha256File(sessionPath);
@@ -153,9 +169,49 @@ module.exports = async function testSessionConvertDerived(ctx) {
 
     const invalidSame = await api('convert-session', { source: 'codex', target: 'codex', sessionId, maxMessages: 'all' });
     assert(invalidSame.error, 'convert-session should reject same source/target');
-    const invalidTarget = await api('convert-session', { source: 'codex', target: 'gemini', sessionId, maxMessages: 'all' });
+    const invalidTarget = await api('convert-session', { source: 'codex', target: 'cursor', sessionId, maxMessages: 'all' });
     assert(invalidTarget.error, 'convert-session should reject invalid target');
 
+    {
+        const { res, outPath: derivedGeminiPath } = await convertAndAssertListed(api, tmpHome, 'codex', 'gemini', {
+            sessionId,
+            maxMessages: 'all'
+        });
+        assert(res.report && Array.isArray(res.report.unmapped), 'convert-session should return a mapping report');
+        assert(fs.existsSync(derivedMetaPath(derivedGeminiPath)), 'derived gemini meta should sit next to the chat file');
+        const geminiList = await api('list-sessions', { source: 'gemini', limit: 300, forceRefresh: true });
+        assert(!(geminiList.sessions || []).some((item) => item && /\.meta\.json$/.test(item.filePath || '')), 'gemini meta files should not be listed as sessions');
+        const detailGemini = await api('session-detail', { source: 'gemini', filePath: derivedGeminiPath, maxMessages: 50 });
+        const geminiTexts = (detailGemini.messages || []).map((m) => m.text);
+        assert(geminiTexts.join('|') === 'hello|world', 'session-detail(derived gemini) text mismatch');
+
+        const { outPath: derivedCodeBuddyPath } = await convertAndAssertListed(api, tmpHome, 'gemini', 'codebuddy', {
+            filePath: derivedGeminiPath,
+            maxMessages: 'all'
+        });
+        const detailCodeBuddy = await api('session-detail', { source: 'codebuddy', filePath: derivedCodeBuddyPath, maxMessages: 50 });
+        const codeBuddyTexts = (detailCodeBuddy.messages || []).map((m) => m.text);
+        assert(codeBuddyTexts.join('|') === 'hello|world', 'session-detail(derived codebuddy) text mismatch');
+
+        // 后续 MCP 用例按 codex/claude 会话数比对 all 列表，清理这里生成的 gemini/codebuddy 派生会话
+        for (const filePath of [derivedGeminiPath, derivedCodeBuddyPath]) {
+            fs.rmSync(filePath, { force: true });
+            fs.rmSync(derivedMetaPath(filePath), { force: true });
+        }
+    }
+
+    if (geminiSessionPath) {
+        const beforeGeminiHash = sha256File(geminiSessionPath);
+        const { outPath } = await convertAndAssertListed(api, tmpHome, 'gemini', 'claude', {
+            filePath: geminiSessionPath,
+            maxMessages: 'all'
+        });
+        const detail = await api('session-detail', { source: 'claude', filePath: outPath, maxMessages: 50 });
+        const texts = (detail.messages || []).map((m) => m.text);
+        assert(texts.join('|') === 'hello from gemini cli session|hello from codexmate', 'gemini derived claude text mismatch');
+        assert(sha256File(geminiSessionPath) === beforeGeminiHash, 'gemini source session should remain unchanged after conversion');
+    }
+
     const sessionsDir = path.join(tmpHome, '.codex', 'sessions');
     fs.mkdirSync(sessionsDir, { recursive: true });
 
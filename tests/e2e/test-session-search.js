@@ -102,6 +102,39 @@ module.exports = async function testSessionSearch(ctx) {
         snippet => typeof snippet === 'string' && snippet.includes('222')
     ), '222 snippets missing numeric token');
 
+    // ========== Full-text Index Tests ==========
+    const phrase = await api('list-sessions', {
+        source: 'claude',
+        query: '"claude code session"',
+        queryScope: 'content',
+        limit: 5,
+        forceRefresh: true
+    });
+    const phraseHit = phrase.sessions.find(item => item.sessionId === claudeSessionId);
+    assert(phraseHit && phraseHit.match && phraseHit.match.score > 0, 'phrase query missing ranked Claude session');
+    const phraseHighlight = phraseHit.match.highlights && phraseHit.match.highlights[0];
+    assert(phraseHighlight && phraseHighlight.ranges.some(
+        ([start, end]) => phraseHighlight.text.slice(start, end).toLowerCase() === 'claude code session'
+    ), 'phrase query should highlight the whole phrase');
+
+    const reversedPhrase = await api('list-sessions', {
+        source: 'claude',
+        query: '"session code claude"',
+        queryScope: 'content',
+        limit: 5,
+        forceRefresh: true
+    });
+    assert(!reversedPhrase.sessions.some(item => item.sessionId === claudeSessionId), 'phrase query should respect word order');
+
+    const prefixSearch = await api('list-sessions', {
+        source: 'codex',
+        query: 'bootstr*',
+        queryScope: 'content',
+        limit: 20,
+        forceRefresh: true
+    });
+    assert(prefixSearch.sessions.some(item => item.sessionId === daudeSessionId), 'prefix query missing daude session');
+
     // ========== Late Content Query Tests ==========
     const lateKeywordDetail = await api('session-detail', {
         source: 'codex',
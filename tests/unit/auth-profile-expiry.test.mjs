@@ -0,0 +1,149 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { createAuthProfileController, describeAuthExpiry, resolveTokenExpiry } = require('../../cli/auth-profiles');
+const { probeJsonPost } = require('../../lib/cli-network-utils');
+
+const NOW = Date.parse('2026-05-01T00:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+function buildJwt(claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none' })}.${encode(claims)}.sig`;
+}
+
+function withAuthStore(run, overrides = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-auth-'));
+    const profilesDir = path.join(root, 'auth-profiles');
+    const authFile = path.join(root, 'auth.json');
+    const writeJson = (target, data) => fs.writeFileSync(target, JSON.stringify(data, null, 2));
+    const readJson = (target, fallback) => {
+        try {
+            return JSON.parse(fs.readFileSync(target, 'utf-8'));
+        } catch (e) {
+            return fallback;
+        }
+    };
+    const controller = createAuthProfileController({
+        fs,
+        path,
+        ensureDir: dir => fs.mkdirSync(dir, { recursive: true }),
+        readJsonFile: readJson,
+        writeJsonAtomic: writeJson,
+        stripUtf8Bom: text => text.replace(/^\uFEFF/, ''),
+        toIsoTime: value => new Date(value).toISOString(),
+        isPlainObject: value => !!value && typeof value === 'object' && !Array.isArray(value),
+        AUTH_PROFILES_DIR: profilesDir,
+        AUTH_REGISTRY_FILE: path.join(profilesDir, 'registry.json'),
+        AUTH_FILE: authFile,
+        postJson: probeJsonPost,
+        now: () => NOW,
+        ...overrides
+    });
+    return Promise.resolve()
+        .then(() => run({ controller, profilesDir, authFile, readJson }))
+        .finally(() => fs.rmSync(root, { recursive: true, force: true }));
+}
+
+function startTokenStub(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const parsed = JSON.parse(body || '{}');
+            requests.push({ url: req.url, body: parsed });
+            const { status, payload } = handler(parsed);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/oauth/token`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+test('auth profile expiry is derived from the access token and classified against a warning window', () => withAuthStore(({ controller }) => {
+    assert.strictEqual(resolveTokenExpiry({ access_token: buildJwt({ exp: NOW / 1000 + 3600 }) }), '2026-05-01T01:00:00.000Z');
+    assert.strictEqual(resolveTokenExpiry({ expired: '2026-06-01T00:00:00Z', access_token: buildJwt({ exp: 1 }) }), '2026-06-01T00:00:00Z');
+    assert.deepStrictEqual(describeAuthExpiry('', NOW), { expiryStatus: 'unknown', expiresInMs: null });
+
+    controller.upsertAuthProfile({ email: 'old@example.com', access_token: 'a', refresh_token: 'r', expired: new Date(NOW - HOUR).toISOString() }, { name: 'old' });
+    controller.upsertAuthProfile({ access_token: buildJwt({ exp: (NOW + 5 * HOUR) / 1000 }), refresh_token: 'r' }, { name: 'soon', activate: false });
+    controller.upsertAuthProfile({ OPENAI_API_KEY: 'sk-x' }, { name: 'key', activate: false });
+
+    const byName = Object.fromEntries(controller.listAuthProfilesInfo().map(item => [item.name, item]));
+    assert.strictEqual(byName.old.expiryStatus, 'expired');
+    assert.strictEqual(byName.old.current, true);
+    assert.strictEqual(byName.soon.expiryStatus, 'expiring');
+    assert.strictEqual(byName.soon.expiresInMs, 5 * HOUR);
+    assert.strictEqual(byName.soon.refreshable, true);
+    assert.strictEqual(byName.key.expiryStatus, 'unknown');
+    assert.strictEqual(byName.key.refreshable, false);
+
+    assert.deepStrictEqual(controller.collectAuthExpiryAlerts().map(item => item.name), ['old', 'soon']);
+    assert.deepStrictEqual(controller.collectAuthExpiryAlerts({ warnWithinMs: HOUR }).map(item => item.name), ['old']);
+}));
+
+test('refreshAuthProfile exchanges the refresh token at the configured endpoint and rewrites the profile', async () => {
+    const newAccess = buildJwt({ exp: (NOW + 240 * HOUR) / 1000 });
+    const stub = await startTokenStub((body) => (body.refresh_token === 'rt-1'
+        ? { status: 200, payload: { access_token: newAccess, refresh_token: 'rt-2', id_token: 'id-2', expires_in: 3600 } }
+        : { status: 400, payload: { error: 'invalid_grant', error_description: 'Refresh token reused' } }));
+    try {
+        await withAuthStore(async ({ controller, profilesDir, authFile, readJson }) => {
+            controller.upsertAuthProfile({
+                type: 'codex',
+                email: 'dev@example.com',
+                tokens: { access_token: 'at-1', refresh_token: 'rt-1', account_id: 'acct-1' },
+                expired: new Date(NOW - HOUR).toISOString()
+            }, { name: 'dev' });
+
+            const result = await controller.refreshAuthProfile('', { clientId: 'client-test' });
+            assert.deepStrictEqual(stub.requests[0], {
+                url: '/oauth/token',
+                body: { client_id: 'client-test', grant_type: 'refresh_token', refresh_token: 'rt-1', scope: 'openid profile email' }
+            });
+            assert.strictEqual(result.profile.name, 'dev');
+            assert.strictEqual(result.profile.expiryStatus, 'expiring');
+            assert.strictEqual(result.profile.expired, '2026-05-01T01:00:00.000Z');
+
+            const stored = readJson(path.join(profilesDir, 'dev.json'));
+            assert.strictEqual(stored.access_token, undefined);
+            assert.strictEqual(stored.refresh_token, undefined);
+            assert.deepStrictEqual(stored.tokens, { access_token: newAccess, refresh_token: 'rt-2', id_token: 'id-2', account_id: 'acct-1' });
+            assert.strictEqual(stored.last_refresh, new Date(NOW).toISOString());
+            assert.strictEqual(stored.email, 'dev@example.com');
+            assert.deepStrictEqual(readJson(authFile), stored);
+            assert.strictEqual(controller.readAuthRegistry().items[0].lastRefresh, stored.last_refresh);
+
+            await assert.rejects(() => controller.refreshAuthProfile('dev'), /HTTP 400\): Refresh token reused/);
+            assert.strictEqual(readJson(path.join(profilesDir, 'dev.json')).tokens.refresh_token, 'rt-2');
+
+            controller.upsertAuthProfile({ access_token: 'at-flat', refresh_token: 'rt-1' }, { name: 'flat', activate: false });
+            await controller.refreshAuthProfile('flat');
+            const flat = readJson(path.join(profilesDir, 'flat.json'));
+            assert.strictEqual(flat.access_token, newAccess);
+            assert.strictEqual(flat.refresh_token, 'rt-2');
+            assert.strictEqual(flat.tokens, undefined);
+            assert.deepStrictEqual(readJson(authFile), stored);
+
+            controller.upsertAuthProfile({ OPENAI_API_KEY: 'sk-x' }, { name: 'key', activate: false });
+            await assert.rejects(() => controller.refreshAuthProfile('key'), /不含 refresh_token/);
+            await assert.rejects(() => controller.refreshAuthProfile('ghost'), /认证不存在: ghost/);
+        }, { AUTH_TOKEN_URL: stub.url });
+    } finally {
+        await stub.close();
+    }
+});
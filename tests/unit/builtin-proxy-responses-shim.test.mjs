@@ -102,13 +102,17 @@ test('builtin-proxy /v1/responses falls back to chat-only upstream and returns R
 });
 
 test('builtin-proxy /v1/responses stream=true returns SSE wrapper with done sentinel', async () => {
-    const upstream = http.createServer((req, res) => {
+    const chatBodies = [];
+    const upstream = http.createServer(async (req, res) => {
         if (req.url === '/v1/responses' && req.method === 'POST') {
             res.writeHead(405, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Method Not Allowed' }));
             return;
         }
         if (req.url === '/v1/chat/completions' && req.method === 'POST') {
+            let body = '';
+            for await (const chunk of req) body += chunk;
+            chatBodies.push(JSON.parse(body));
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
                 id: 'chatcmpl_test',
@@ -150,6 +154,7 @@ test('builtin-proxy /v1/responses stream=true returns SSE wrapper with done sent
     assert.match(sse.text, /event: response\.output_text\.delta/);
     assert.match(sse.text, /event: response\.completed/);
     assert.match(sse.text, /data: \[DONE\]/);
+    assert.deepStrictEqual(chatBodies[0].stream_options, { include_usage: true });
 
     await proxy.close();
     await upstream.close();
@@ -0,0 +1,320 @@
+import assert from 'assert';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import https from 'https';
+import { mkdtemp, rm } from 'fs/promises';
+import { createRequire } from 'module';
+import { close, listen, post } from './helpers/http-helpers.mjs';
+
+const require = createRequire(import.meta.url);
+const { createResponsesStreamFromChatCompletions } = require('../../cli/chat-completions-stream');
+const { createOpenaiBridgeHttpHandler, upsertOpenaiBridgeProvider } = require('../../cli/openai-bridge');
+const { createBuiltinProxyRuntimeController } = require('../../cli/builtin-proxy');
+
+test('createResponsesStreamFromChatCompletions maps text and incremental tool_calls', () => {
+    const converter = createResponsesStreamFromChatCompletions({ model: 'gpt-chat' });
+    const names = (events) => events.map((item) => item.event);
+
+    const first = converter.push({ choices: [{ index: 0, delta: { role: 'assistant', content: 'Hel' } }] });
+    assert.deepStrictEqual(names(first), ['response.created', 'response.output_item.added', 'response.output_text.delta']);
+    assert.strictEqual(first[2].data.delta, 'Hel');
+    assert.strictEqual(first[2].data.output_index, 0);
+
+    assert.deepStrictEqual(
+        names(converter.push({ choices: [{ index: 0, delta: { content: 'lo' } }] })),
+        ['response.output_text.delta']
+    );
+
+    const toolStart = converter.push({
+        choices: [{
+            index: 0,
+            delta: { tool_calls: [{ index: 0, id: 'call_a', type: 'function', function: { name: 'lookup', arguments: '' } }] }
+        }]
+    });
+    assert.deepStrictEqual(
+        names(toolStart),
+        ['response.output_text.done', 'response.output_item.done', 'response.output_item.added']
+    );
+    assert.strictEqual(toolStart[0].data.text, 'Hello');
+    assert.strictEqual(toolStart[2].data.output_index, 1);
+    assert.strictEqual(toolStart[2].data.item.call_id, 'call_a');
+
+    const argsDelta = converter.push({
+        choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"q":1}' } }] } }]
+    });
+    assert.deepStrictEqual(names(argsDelta), ['response.function_call_arguments.delta']);
+    assert.strictEqual(argsDelta[0].data.delta, '{"q":1}');
+
+    converter.push({
+        choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }],
+        usage: { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 }
+    });
+    const tail = converter.finish();
+    assert.deepStrictEqual(
+        names(tail),
+        ['response.function_call_arguments.done', 'response.output_item.done', 'response.completed', 'done']
+    );
+    const response = tail[2].data.response;
+    assert.strictEqual(response.status, 'completed');
+    assert.strictEqual(response.model, 'gpt-chat');
+    assert.strictEqual(response.output_text, 'Hello');
+    assert.deepStrictEqual(response.output.map((item) => item.type), ['message', 'function_call']);
+    assert.strictEqual(response.output[1].arguments, '{"q":1}');
+    assert.deepStrictEqual(response.usage, { input_tokens: 7, output_tokens: 3, total_tokens: 10 });
+    assert.strictEqual(tail[3].data, '[DONE]');
+    assert.deepStrictEqual(converter.finish(), []);
+});
+
+test('createResponsesStreamFromChatCompletions buffers arguments until tool name arrives', () => {
+    const converter = createResponsesStreamFromChatCompletions({ model: 'gpt-chat' });
+    const early = converter.push({
+        choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_b', function: { arguments: '{"a"' } }] } }]
+    });
+    assert.deepStrictEqual(early.map((item) => item.event), ['response.created']);
+    const named = converter.push({
+        choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { name: 'run', arguments: ':2}' } }] } }]
+    });
+    assert.deepStrictEqual(
+        named.map((item) => item.event),
+        ['response.output_item.added', 'response.function_call_arguments.delta']
+    );
+    assert.strictEqual(named[1].data.delta, '{"a":2}');
+
+    const failed = converter.fail('socket hang up');
+    assert.deepStrictEqual(failed.map((item) => item.event), ['response.failed']);
+    assert.strictEqual(failed[0].data.response.error.message, 'socket hang up');
+    assert.deepStrictEqual(converter.finish(), []);
+});
+
+test('openai bridge streams chat/completions fallback as live responses events', async () => {
+    const upstreamBodies = [];
+    const upstream = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            if (req.url === '/v1/responses') {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'not found' } }));
+                return;
+            }
+            upstreamBodies.push(JSON.parse(body));
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            const chunks = [
+                { choices: [{ index: 0, delta: { role: 'assistant', content: 'stream ' } }] },
+                { choices: [{ index: 0, delta: { content: 'ok' } }] },
+                { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }
+            ];
+            // 与 OpenAI 一致：只有请求 include_usage 时才在末尾追加 choices 为空的 usage 块
+            const streamOptions = upstreamBodies[0].stream_options;
+            if (streamOptions && streamOptions.include_usage) {
+                chunks.push({ choices: [], usage: { prompt_tokens: 11, completion_tokens: 4, total_tokens: 15 } });
+            }
+            for (const chunk of chunks) {
+                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            }
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    const upstreamPort = await listen(upstream);
+    const tmpDir = await mkdtemp(path.join(os.tmpdir(), 'codexmate-bridge-stream-'));
+    const settingsFile = path.join(tmpDir, 'bridge.json');
+    upsertOpenaiBridgeProvider(settingsFile, 'chatonly', `http://127.0.0.1:${upstreamPort}/v1`, 'sk-test');
+    const handler = createOpenaiBridgeHttpHandler({ settingsFile, maxBodySize: 1024 * 1024 });
+    const bridge = http.createServer((req, res) => {
+        if (!handler(req, res)) {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    const bridgePort = await listen(bridge);
+
+    try {
+        const result = await new Promise((resolve, reject) => {
+            const body = JSON.stringify({ model: 'gpt-chat', stream: true, input: 'hi' });
+            const req = http.request({
+                hostname: '127.0.0.1',
+                port: bridgePort,
+                path: '/bridge/openai/chatonly/v1/responses',
+                method: 'POST',
+                headers: {
+                    Accept: 'text/event-stream',
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                }
+            }, (res) => {
+                let text = '';
+                res.setEncoding('utf-8');
+                res.on('data', (chunk) => text += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+
+        assert.strictEqual(result.status, 200);
+        assert.match(String(result.headers['content-type']), /text\/event-stream/);
+        assert.strictEqual(upstreamBodies[0].stream, true);
+        assert.ok(result.text.includes('"delta":"stream "'));
+        assert.ok(result.text.includes('"delta":"ok"'));
+        assert.ok(result.text.includes('event: response.completed'));
+        assert.ok(result.text.includes('"output_text":"stream ok"'));
+        const completed = result.text.split('\n\n').find((block) => block.startsWith('event: response.completed'));
+        const completedData = JSON.parse(completed.split('\n').find((line) => line.startsWith('data: ')).slice(6));
+        assert.deepStrictEqual(completedData.response.usage, { input_tokens: 11, output_tokens: 4, total_tokens: 15 });
+    } finally {
+        await close(bridge);
+        await close(upstream);
+        await rm(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('openai bridge retries the chat/completions fallback without streaming when the stream request is rejected', async () => {
+    const upstreamBodies = [];
+    const upstream = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            if (req.url === '/v1/responses') {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'not found' } }));
+                return;
+            }
+            const parsed = JSON.parse(body);
+            upstreamBodies.push(parsed);
+            if (parsed.stream) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'stream_options is not supported' } }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl_buffered',
+                model: 'gpt-chat',
+                choices: [{ index: 0, message: { role: 'assistant', content: 'buffered ok' }, finish_reason: 'stop' }]
+            }));
+        });
+    });
+    const upstreamPort = await listen(upstream);
+    const tmpDir = await mkdtemp(path.join(os.tmpdir(), 'codexmate-bridge-stream-retry-'));
+    const settingsFile = path.join(tmpDir, 'bridge.json');
+    upsertOpenaiBridgeProvider(settingsFile, 'strict', `http://127.0.0.1:${upstreamPort}/v1`, 'sk-test');
+    const handler = createOpenaiBridgeHttpHandler({ settingsFile, maxBodySize: 1024 * 1024 });
+    const bridge = http.createServer((req, res) => {
+        if (!handler(req, res)) {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    const bridgePort = await listen(bridge);
+
+    try {
+        const result = await new Promise((resolve, reject) => {
+            const body = JSON.stringify({ model: 'gpt-chat', stream: true, input: 'hi' });
+            const req = http.request({
+                hostname: '127.0.0.1',
+                port: bridgePort,
+                path: '/bridge/openai/strict/v1/responses',
+                method: 'POST',
+                headers: {
+                    Accept: 'text/event-stream',
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                }
+            }, (res) => {
+                let text = '';
+                res.setEncoding('utf-8');
+                res.on('data', (chunk) => text += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, text }));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+
+        assert.strictEqual(result.status, 200);
+        assert.deepStrictEqual(upstreamBodies.map((body) => body.stream), [true, false]);
+        assert.ok(result.text.includes('"output_text":"buffered ok"'));
+    } finally {
+        await close(bridge);
+        await close(upstream);
+        await rm(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('builtin proxy chat fallback retries without streaming after a 4xx and passes chat errors through', async () => {
+    const chatBodies = [];
+    const upstream = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            if (req.url === '/v1/responses') {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'not found' } }));
+                return;
+            }
+            const parsed = JSON.parse(body);
+            chatBodies.push(parsed);
+            if (parsed.stream) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'unknown field stream_options' } }));
+                return;
+            }
+            if (parsed.messages.some((message) => message.content === 'bad')) {
+                res.writeHead(422, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'invalid messages' } }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl_buffered',
+                model: 'gpt-chat',
+                choices: [{ index: 0, message: { role: 'assistant', content: 'buffered ok' }, finish_reason: 'stop' }]
+            }));
+        });
+    });
+    const upstreamPort = await listen(upstream);
+    const controller = createBuiltinProxyRuntimeController({
+        fs,
+        https,
+        CONFIG_FILE: '/tmp/codexmate-chat-stream-config.toml',
+        BUILTIN_PROXY_SETTINGS_FILE: '/tmp/codexmate-chat-stream-proxy.json',
+        DEFAULT_BUILTIN_PROXY_SETTINGS: { host: '127.0.0.1', port: 8318, authSource: 'provider', timeoutMs: 5000 },
+        BUILTIN_PROXY_PROVIDER_NAME: 'codexmate-proxy',
+        CODEXMATE_MANAGED_MARKER: 'codexmate-managed',
+        HTTP_KEEP_ALIVE_AGENT: new http.Agent({ keepAlive: false }),
+        HTTPS_KEEP_ALIVE_AGENT: new https.Agent({ keepAlive: false }),
+        readConfig: () => ({}),
+        writeConfig: () => {},
+        readConfigOrVirtualDefault: () => ({ config: {}, isVirtual: false }),
+        resolveAuthTokenFromCurrentProfile: () => '',
+        isPlainObject: (value) => !!value && typeof value === 'object' && !Array.isArray(value),
+        isBuiltinManagedProvider: (name) => name === 'codexmate-proxy',
+        findProviderSectionRanges: () => [],
+        findProviderDescendantSectionRanges: () => [],
+        normalizeLegacySegments: (value) => value,
+        buildLegacySegmentsKey: (value) => String(value),
+        formatHostForUrl: (host) => host
+    });
+    const settings = controller.normalizeBuiltinProxySettings({ host: '127.0.0.1', port: 8318 });
+    const runtime = await controller.createBuiltinProxyServer(
+        { ...settings, port: 0 },
+        { id: 'chatonly#0', providerName: 'chatonly', baseUrl: `http://127.0.0.1:${upstreamPort}/v1`, authHeader: '' }
+    );
+    const proxyPort = runtime.server.address().port;
+    try {
+        const streamed = await post(proxyPort, '/v1/responses', { model: 'gpt-chat', input: 'ping', stream: true });
+        assert.strictEqual(streamed.status, 200);
+        assert.ok(streamed.body.includes('buffered ok'));
+        assert.deepStrictEqual(chatBodies.map((body) => body.stream), [true, false]);
+        assert.deepStrictEqual(chatBodies[0].stream_options, { include_usage: true });
+        assert.strictEqual(chatBodies[1].stream_options, undefined);
+
+        const failed = await post(proxyPort, '/v1/responses', { model: 'gpt-chat', input: 'bad' });
+        assert.strictEqual(failed.status, 422);
+        assert.strictEqual(JSON.parse(failed.body).error.message, 'invalid messages');
+    } finally {
+        await close(runtime.server);
+        await close(upstream);
+    }
+});
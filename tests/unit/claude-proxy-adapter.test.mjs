@@ -6,6 +6,7 @@ const {
     buildBuiltinClaudeResponsesRequest,
     buildAnthropicMessageFromResponses,
     buildAnthropicStreamEvents,
+    createAnthropicStreamTranslator,
     buildAnthropicModelsPayload
 } = require('../../cli/claude-proxy');
 
@@ -135,6 +136,87 @@ test('buildAnthropicStreamEvents emits anthropic-style SSE events', () => {
     assert.strictEqual(events[7].data.usage.output_tokens, 4);
 });
 
+test('createAnthropicStreamTranslator maps responses SSE events incrementally', () => {
+    const translator = createAnthropicStreamTranslator({ model: 'gpt-4.1' });
+    const push = (data) => translator.push({ event: data.type, data });
+
+    const started = push({ type: 'response.created', response: { id: 'resp_1', model: 'gpt-4.1' } });
+    assert.deepStrictEqual(started.map((item) => item.event), ['message_start']);
+    assert.strictEqual(started[0].data.message.id, 'resp_1');
+
+    const firstText = push({ type: 'response.output_text.delta', output_index: 0, content_index: 0, delta: 'hel' });
+    assert.deepStrictEqual(firstText.map((item) => item.event), ['content_block_start', 'content_block_delta']);
+    assert.strictEqual(firstText[1].data.delta.text, 'hel');
+    const secondText = push({ type: 'response.output_text.delta', output_index: 0, content_index: 0, delta: 'lo' });
+    assert.deepStrictEqual(secondText.map((item) => item.event), ['content_block_delta']);
+    assert.deepStrictEqual(
+        push({ type: 'response.output_text.done', output_index: 0, content_index: 0, text: 'hello' }).map((item) => item.event),
+        ['content_block_stop']
+    );
+
+    const earlyArgs = push({ type: 'response.function_call_arguments.delta', output_index: 1, delta: '{"q":' });
+    assert.deepStrictEqual(earlyArgs, []);
+    const toolStart = push({
+        type: 'response.output_item.added',
+        output_index: 1,
+        item: { type: 'function_call', call_id: 'call_1', name: 'lookup', arguments: '' }
+    });
+    assert.deepStrictEqual(toolStart.map((item) => item.event), ['content_block_start', 'content_block_delta']);
+    assert.strictEqual(toolStart[0].data.index, 1);
+    assert.strictEqual(toolStart[0].data.content_block.id, 'call_1');
+    assert.strictEqual(toolStart[1].data.delta.partial_json, '{"q":');
+    const moreArgs = push({ type: 'response.function_call_arguments.delta', output_index: 1, delta: '"hi"}' });
+    assert.strictEqual(moreArgs[0].data.delta.partial_json, '"hi"}');
+    assert.deepStrictEqual(
+        push({ type: 'response.function_call_arguments.done', output_index: 1, arguments: '{"q":"hi"}' }),
+        []
+    );
+    assert.deepStrictEqual(
+        push({ type: 'response.output_item.done', output_index: 1, item: { type: 'function_call', call_id: 'call_1' } }).map((item) => item.event),
+        ['content_block_stop']
+    );
+
+    const completed = push({
+        type: 'response.completed',
+        response: { status: 'completed', usage: { input_tokens: 9, output_tokens: 4 } }
+    });
+    assert.deepStrictEqual(completed.map((item) => item.event), ['message_delta', 'message_stop']);
+    assert.strictEqual(completed[0].data.delta.stop_reason, 'tool_use');
+    assert.strictEqual(completed[0].data.usage.output_tokens, 4);
+    assert.strictEqual(translator.isFinished(), true);
+    assert.deepStrictEqual(translator.finish(), []);
+});
+
+test('createAnthropicStreamTranslator emits done-only text and reports failures', () => {
+    const translator = createAnthropicStreamTranslator({ model: 'gpt-4.1' });
+    const events = translator.push({
+        event: 'response.output_item.done',
+        data: {
+            type: 'response.output_item.done',
+            output_index: 0,
+            item: { type: 'message', content: [{ type: 'output_text', text: 'whole text' }] }
+        }
+    });
+    assert.deepStrictEqual(
+        events.map((item) => item.event),
+        ['message_start', 'content_block_start', 'content_block_delta', 'content_block_stop']
+    );
+    assert.strictEqual(events[0].data.message.model, 'gpt-4.1');
+    assert.strictEqual(events[2].data.delta.text, 'whole text');
+
+    const failed = translator.fail('socket hang up');
+    assert.deepStrictEqual(failed.map((item) => item.event), ['error']);
+    assert.strictEqual(failed[0].data.error.message, 'socket hang up');
+    assert.deepStrictEqual(translator.finish(), []);
+
+    const upstreamFailed = createAnthropicStreamTranslator({ model: 'gpt-4.1' }).push({
+        event: 'response.failed',
+        data: { type: 'response.failed', response: { error: { message: 'rate limited' } } }
+    });
+    assert.deepStrictEqual(upstreamFailed.map((item) => item.event), ['message_start', 'error']);
+    assert.strictEqual(upstreamFailed[1].data.error.message, 'rate limited');
+});
+
 test('buildAnthropicModelsPayload reshapes upstream models list', () => {
     const payload = buildAnthropicModelsPayload({
         data: [{ id: 'gpt-4.1' }, { id: 'gpt-4o-mini' }]
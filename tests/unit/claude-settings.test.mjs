@@ -0,0 +1,154 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    toStructuredSettings,
+    validateStructuredSettings,
+    applyStructuredSettings,
+    createClaudeSettingsController
+} = require('../../cli/claude-settings');
+const { buildLineDiff } = require('../../lib/text-diff');
+
+const SETTINGS = {
+    model: 'sonnet',
+    env: { ANTHROPIC_API_KEY: 'sk-1', ANTHROPIC_DEFAULT_HAIKU_MODEL: 'glm-4.5-air', DISABLE_TELEMETRY: 1 },
+    permissions: { allow: ['Bash(npm run test:*)'], deny: ['Read(./.env)'], additionalDirectories: ['../shared'] },
+    hooks: {
+        PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: 'guard.sh', timeout: 30 }, { type: 'prompt', prompt: 'check' }] }],
+        Stop: [{ hooks: [{ type: 'command', command: 'notify-send done' }] }],
+        Notification: [{ hooks: [{ type: 'command', command: 'beep' }] }]
+    },
+    statusLine: { type: 'command', command: 'status.sh' }
+};
+
+test('toStructuredSettings flattens hooks and splits model tiers out of env', () => {
+    assert.deepStrictEqual(toStructuredSettings(SETTINGS), {
+        model: { default: 'sonnet', opus: '', sonnet: '', haiku: 'glm-4.5-air' },
+        permissions: { defaultMode: '', allow: ['Bash(npm run test:*)'], deny: ['Read(./.env)'], ask: [] },
+        hooks: [
+            { event: 'PreToolUse', matcher: 'Bash', command: 'guard.sh', timeout: 30 },
+            { event: 'Stop', matcher: '', command: 'notify-send done', timeout: null }
+        ],
+        env: [{ key: 'ANTHROPIC_API_KEY', value: 'sk-1' }, { key: 'DISABLE_TELEMETRY', value: '1' }],
+        preservedHooks: 1,
+        otherHookEvents: ['Notification']
+    });
+});
+
+test('validateStructuredSettings reports each invalid field with its path', () => {
+    const errors = validateStructuredSettings({
+        model: { default: 'claude sonnet' },
+        permissions: { defaultMode: 'yolo', allow: ['Bash(ls)', 'not a rule'], deny: ['Bash(ls)'] },
+        hooks: [
+            { event: 'Stop', matcher: 'Bash', command: 'x' },
+            { event: 'PreToolUse', matcher: '(', command: '', timeout: -1 },
+            { event: 'SessionStart', command: 'y' }
+        ],
+        env: [{ key: 'A', value: '1' }, { key: 'A', value: '2' }, { key: '1BAD', value: '' }, { key: 'ANTHROPIC_DEFAULT_OPUS_MODEL', value: 'x' }]
+    });
+    assert.deepStrictEqual(errors.map(error => error.path), [
+        'model.default',
+        'permissions.defaultMode',
+        'permissions.allow[1]',
+        'permissions.deny[0]',
+        'hooks[0].matcher',
+        'hooks[1].command',
+        'hooks[1].matcher',
+        'hooks[1].timeout',
+        'hooks[2].event',
+        'env[1].key',
+        'env[2].key',
+        'env[3].key'
+    ]);
+    assert.match(errors[3].message, /同时出现在 allow 和 deny/);
+    assert.deepStrictEqual(validateStructuredSettings(toStructuredSettings(SETTINGS)), []);
+});
+
+test('applyStructuredSettings only rewrites managed keys and keeps everything else', () => {
+    const edit = toStructuredSettings(SETTINGS);
+    edit.model.default = '';
+    edit.model.opus = 'glm-5';
+    edit.permissions.allow = ['Bash(npm run test:*)', 'WebFetch(domain:docs.example.com)'];
+    edit.permissions.deny = [];
+    edit.permissions.defaultMode = 'acceptEdits';
+    edit.hooks = [
+        { event: 'PreToolUse', matcher: 'Bash', command: 'guard.sh', timeout: 30 },
+        { event: 'PostToolUse', matcher: 'Edit|Write', command: 'prettier --write', timeout: null },
+        { event: 'PostToolUse', matcher: 'Edit|Write', command: 'eslint --fix', timeout: '' }
+    ];
+    edit.env = [{ key: 'ANTHROPIC_API_KEY', value: 'sk-2' }];
+
+    assert.deepStrictEqual(applyStructuredSettings(SETTINGS, edit), {
+        env: { ANTHROPIC_API_KEY: 'sk-2', ANTHROPIC_DEFAULT_OPUS_MODEL: 'glm-5', ANTHROPIC_DEFAULT_HAIKU_MODEL: 'glm-4.5-air' },
+        permissions: {
+            allow: ['Bash(npm run test:*)', 'WebFetch(domain:docs.example.com)'],
+            additionalDirectories: ['../shared'],
+            defaultMode: 'acceptEdits'
+        },
+        hooks: {
+            PreToolUse: [
+                { matcher: 'Bash', hooks: [{ type: 'command', command: 'guard.sh', timeout: 30 }] },
+                { matcher: 'Bash', hooks: [{ type: 'prompt', prompt: 'check' }] }
+            ],
+            Notification: [{ hooks: [{ type: 'command', command: 'beep' }] }],
+            PostToolUse: [{ matcher: 'Edit|Write', hooks: [{ type: 'command', command: 'prettier --write' }, { type: 'command', command: 'eslint --fix' }] }]
+        },
+        statusLine: { type: 'command', command: 'status.sh' }
+    });
+});
+
+test('controller previews and saves user and project-local scopes with diffs', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-claude-settings-'));
+    try {
+        const userFile = path.join(root, 'home', '.claude', 'settings.json');
+        const projectDir = path.join(root, 'app');
+        fs.mkdirSync(path.dirname(userFile), { recursive: true });
+        fs.mkdirSync(projectDir);
+        fs.writeFileSync(userFile, JSON.stringify({ model: 'opus', env: { A: '1' } }, null, 4));
+        const writes = [];
+        const controller = createClaudeSettingsController({
+            CLAUDE_SETTINGS_FILE: userFile,
+            buildLineDiff,
+            trackConfigWrite: (filePath, action, write) => {
+                writes.push([path.relative(root, filePath), action]);
+                return write();
+            }
+        });
+
+        const user = controller.readClaudeSettingsScope();
+        assert.strictEqual(user.path, userFile);
+        assert.deepStrictEqual(user.scopes.map(item => [item.scope, item.exists]), [['user', true], ['project', false], ['local', false]]);
+
+        const unchanged = controller.saveClaudeSettings({ settings: user.settings });
+        assert.deepStrictEqual([unchanged.success, unchanged.changed], [true, false]);
+        assert.deepStrictEqual(writes, []);
+
+        assert.strictEqual(controller.readClaudeSettingsScope({ scope: 'local' }).error, '项目级设置需要指定项目目录');
+        assert.match(controller.readClaudeSettingsScope({ scope: 'project', projectDir: 'relative/app' }).error, /绝对路径/);
+        assert.match(controller.readClaudeSettingsScope({ scope: 'team' }).error, /未知作用域/);
+
+        const local = controller.readClaudeSettingsScope({ scope: 'local', projectDir });
+        assert.strictEqual(local.path, path.join(projectDir, '.claude', 'settings.local.json'));
+        assert.strictEqual(local.exists, false);
+        const settings = { ...local.settings, permissions: { ...local.settings.permissions, allow: ['Bash(git status)'] } };
+
+        const invalid = controller.previewClaudeSettings({ scope: 'local', projectDir, settings: { ...settings, env: [{ key: 'BAD KEY', value: '' }] } });
+        assert.deepStrictEqual(invalid.errors.map(error => error.path), ['env[0].key']);
+
+        const preview = controller.previewClaudeSettings({ scope: 'local', projectDir, settings });
+        assert.strictEqual(preview.diff.hasChanges, true);
+        assert.deepStrictEqual(preview.diff.stats, { added: 7, removed: 0, unchanged: 0 });
+        assert.strictEqual(fs.existsSync(local.path), false);
+
+        const saved = controller.saveClaudeSettings({ scope: 'local', projectDir, settings });
+        assert.strictEqual(saved.changed, true);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(local.path, 'utf-8')), { permissions: { allow: ['Bash(git status)'] } });
+        assert.deepStrictEqual(writes, [[path.join('app', '.claude', 'settings.local.json'), 'save-claude-settings']]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,45 @@
+import assert from 'assert';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    createSseParser,
+    formatSseEvent,
+    isEventStreamContentType
+} = require('../../lib/cli-sse-utils');
+
+test('createSseParser reassembles events split across chunks', () => {
+    const events = [];
+    const parser = createSseParser((event) => events.push(event));
+    const text = 'event: response.output_text.delta\r\ndata: {"delta":"你好"}\r\n\r\n: ping\n\ndata: [DONE]\n\n';
+    const bytes = Buffer.from(text, 'utf-8');
+    for (let i = 0; i < bytes.length; i += 5) {
+        parser.push(bytes.subarray(i, i + 5));
+    }
+    parser.flush();
+
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[0].event, 'response.output_text.delta');
+    assert.deepStrictEqual(events[0].data, { delta: '你好' });
+    assert.strictEqual(events[1].event, '');
+    assert.strictEqual(events[1].data, '[DONE]');
+});
+
+test('createSseParser flushes trailing event without blank line and joins multi-line data', () => {
+    const events = [];
+    const parser = createSseParser((event) => events.push(event));
+    parser.push('data: {"a":\ndata: 1}');
+    assert.strictEqual(events.length, 0);
+    parser.flush();
+    assert.strictEqual(events.length, 1);
+    assert.deepStrictEqual(events[0].data, { a: 1 });
+    assert.strictEqual(events[0].rawData, '{"a":\n1}');
+});
+
+test('formatSseEvent and isEventStreamContentType', () => {
+    assert.strictEqual(formatSseEvent('ping', { type: 'ping' }), 'event: ping\ndata: {"type":"ping"}\n\n');
+    assert.strictEqual(formatSseEvent('', '[DONE]'), 'data: [DONE]\n\n');
+    assert.strictEqual(isEventStreamContentType('text/event-stream; charset=utf-8'), true);
+    assert.strictEqual(isEventStreamContentType('application/json'), false);
+    assert.strictEqual(isEventStreamContentType(undefined), false);
+});
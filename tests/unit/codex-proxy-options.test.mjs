@@ -111,6 +111,7 @@ test('cmdCodex should only launch codex and must not auto-enable builtin proxy',
                 runtime: { listenUrl: 'http://127.0.0.1:8323' }
             };
         },
+        resolveProxyBindingOverrides: () => ({ binding: null, args: [], env: {} }),
         runProxyCommand: (...args) => {
             runProxyCall = args;
             return 0;
@@ -128,11 +129,40 @@ test('cmdCodex should only launch codex and must not auto-enable builtin proxy',
         'codex',
         ['--model', 'gpt-5.3-codex'],
         '',
-        { queuedFollowUps: [] }
+        { queuedFollowUps: [], env: {} }
     ]);
     assert.strictEqual(logs.length, 0, 'cmdCodex should not print builtin proxy banner');
 });
 
+test('parseCodexProxyOptions consumes --no-bind', () => {
+    const result = parseCodexProxyOptions(['--no-bind', '--model', 'gpt-5']);
+    assert.strictEqual(result.noBind, true);
+    assertArrayEquals(result.passthroughArgs, ['--model', 'gpt-5']);
+});
+
+test('cmdCodex prepends directory binding overrides unless --no-bind is given', async () => {
+    const calls = [];
+    const cmdCodex = instantiateFunction(cmdCodexSrc, 'cmdCodex', {
+        parseCodexProxyOptions,
+        resolveProxyBindingOverrides: (target) => ({
+            binding: { pattern: '/work/acme' },
+            args: ['-c', `model_provider="${target}-relay"`],
+            env: { OPENAI_API_KEY: 'sk-bound' }
+        }),
+        runProxyCommand: (...args) => {
+            calls.push(args);
+            return 0;
+        }
+    });
+
+    await cmdCodex(['--model', 'gpt-5']);
+    await cmdCodex(['--no-bind', '--model', 'gpt-5']);
+    assert.deepStrictEqual(calls[0][2], ['-c', 'model_provider="codex-relay"', '--model', 'gpt-5']);
+    assert.deepStrictEqual(calls[0][4].env, { OPENAI_API_KEY: 'sk-bound' });
+    assert.deepStrictEqual(calls[1][2], ['--model', 'gpt-5']);
+    assert.deepStrictEqual(calls[1][4].env, {});
+});
+
 function runBuildScriptArgs(platform, commandLine) {
     const buildScriptCommandArgs = instantiateFunction(buildScriptCommandArgsSrc, 'buildScriptCommandArgs', {
         process: { platform }
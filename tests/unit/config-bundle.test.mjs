@@ -0,0 +1,149 @@
+import assert from 'assert';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    normalizeBundleSections,
+    encryptBundle,
+    decryptBundle,
+    createConfigBundleController
+} = require('../../cli/config-bundle');
+
+const PASSPHRASE = 'correct horse battery';
+
+function createMemoryAdapter(initial = {}) {
+    const store = { ...initial };
+    const writes = [];
+    return {
+        store,
+        writes,
+        read: () => ({ ...store }),
+        write(name, value, options) {
+            if (value && value.fail) throw new Error(`cannot write ${name}`);
+            writes.push([name, options.overwrite]);
+            store[name] = value;
+        }
+    };
+}
+
+function createAdapters(overrides = {}) {
+    return {
+        providers: createMemoryAdapter(),
+        models: createMemoryAdapter(),
+        authProfiles: createMemoryAdapter(),
+        workflows: createMemoryAdapter(),
+        automation: createMemoryAdapter(),
+        promptTemplates: createMemoryAdapter(),
+        ...overrides
+    };
+}
+
+test('encryptBundle round-trips and rejects wrong passphrases or tampering', () => {
+    assert.throws(() => encryptBundle({ sections: {} }, 'short'), /至少需要 8 个字符/);
+    const envelope = encryptBundle({ version: 1, sections: { models: { 'gpt-x': true } } }, PASSPHRASE);
+    assert.strictEqual(envelope.format, 'codexmate-bundle');
+    assert.ok(!JSON.stringify(envelope).includes('gpt-x'));
+
+    const decoded = decryptBundle(JSON.stringify(envelope), PASSPHRASE);
+    assert.deepStrictEqual(decoded.sections, { models: { 'gpt-x': true } });
+    assert.throws(() => decryptBundle(envelope, 'wrong passphrase'), /口令错误或配置包已损坏/);
+
+    const tampered = { ...envelope, data: Buffer.from('{"sections":{}}').toString('base64') };
+    assert.throws(() => decryptBundle(tampered, PASSPHRASE), /口令错误或配置包已损坏/);
+    const truncatedTag = { ...envelope, tag: Buffer.from(envelope.tag, 'base64').subarray(0, 4).toString('base64') };
+    assert.throws(() => decryptBundle(truncatedTag, PASSPHRASE), /口令错误或配置包已损坏/);
+    assert.throws(() => decryptBundle({ ...envelope, tag: undefined }, PASSPHRASE), /口令错误或配置包已损坏/);
+    assert.throws(() => decryptBundle('{"format":"zip"}', PASSPHRASE), /不是有效的 codexmate 配置包/);
+    assert.deepStrictEqual(normalizeBundleSections('models, bogus,providers'), ['providers', 'models']);
+});
+
+test('decryptBundle rejects tampered kdf parameters before deriving a key', () => {
+    const envelope = encryptBundle({ version: 1, sections: {} }, PASSPHRASE);
+    for (const kdf of [{ p: 1024 }, { N: 1 << 20 }, { r: 64 }, { N: '32768' }, { p: undefined }]) {
+        const tampered = { ...envelope, kdf: { ...envelope.kdf, ...kdf } };
+        const startedAt = Date.now();
+        assert.throws(() => decryptBundle(tampered, PASSPHRASE), /不支持的配置包密钥参数/);
+        assert.ok(Date.now() - startedAt < 1000);
+    }
+    assert.deepStrictEqual(decryptBundle(envelope, PASSPHRASE).sections, {});
+});
+
+test('config bundle preview marks new, identical, conflicting and browser-only items', () => {
+    assert.throws(() => createConfigBundleController({ adapters: {} }), /缺少 providers 适配器/);
+    const source = createConfigBundleController({
+        adapters: createAdapters({
+            providers: createMemoryAdapter({ alpha: { baseUrl: 'https://a', apiKey: 'k1' }, beta: { baseUrl: 'https://b' } }),
+            models: createMemoryAdapter({ 'gpt-x': true })
+        })
+    });
+    const { envelope, summary } = source.exportBundle({
+        passphrase: PASSPHRASE,
+        sections: ['providers', 'models', 'claudeProfiles'],
+        clientSections: { claudeProfiles: { work: { baseUrl: 'https://c', apiKey: 'ck' } } }
+    });
+    assert.deepStrictEqual(summary, { providers: 2, models: 1, claudeProfiles: 1 });
+
+    const target = createConfigBundleController({
+        adapters: createAdapters({
+            providers: createMemoryAdapter({ alpha: { apiKey: 'k1', baseUrl: 'https://a' }, beta: { baseUrl: 'https://other' } })
+        })
+    });
+    const preview = target.previewBundle({ bundle: envelope, passphrase: PASSPHRASE });
+    assert.deepStrictEqual(preview.items.map(item => [item.key, item.status]), [
+        ['providers:alpha', 'identical'],
+        ['providers:beta', 'conflict'],
+        ['models:gpt-x', 'new'],
+        ['claudeProfiles:work', 'client-only']
+    ]);
+    assert.deepStrictEqual(preview.summary, { new: 1, identical: 1, conflict: 1, 'client-only': 1 });
+    assert.ok(!('value' in preview.items[0]));
+
+    const withClient = target.previewBundle({ bundle: envelope, passphrase: PASSPHRASE, clientSections: {} });
+    assert.strictEqual(withClient.items[3].status, 'new');
+});
+
+test('config bundle import applies per-item choices and returns merged browser sections', () => {
+    const providers = createMemoryAdapter({ beta: { baseUrl: 'https://other' }, gamma: { baseUrl: 'https://g' } });
+    const adapters = createAdapters({ providers });
+    const payloadEnvelope = encryptBundle({
+        version: 1,
+        sections: {
+            providers: {
+                beta: { baseUrl: 'https://b' },
+                gamma: { baseUrl: 'https://g2' },
+                delta: { baseUrl: 'https://d' },
+                broken: { fail: true }
+            },
+            openclawProfiles: { tpl: { id: 'tpl', name: 'Shared', body: 'v2' } }
+        }
+    }, PASSPHRASE);
+    const controller = createConfigBundleController({ adapters });
+    const result = controller.importBundle({
+        bundle: payloadEnvelope,
+        passphrase: PASSPHRASE,
+        choices: { 'providers:beta': 'overwrite', 'openclawProfiles:tpl': 'rename' },
+        onConflict: 'skip',
+        clientSections: { openclawProfiles: { tpl: { id: 'tpl', name: 'Shared', body: 'v1' } } }
+    });
+
+    assert.deepStrictEqual(result.results.map(item => [item.key, item.choice, item.ok]), [
+        ['providers:beta', 'overwrite', true],
+        ['providers:gamma', 'skip', undefined],
+        ['providers:delta', 'import', true],
+        ['providers:broken', 'import', false],
+        ['openclawProfiles:tpl', 'rename', true]
+    ]);
+    assert.deepStrictEqual(providers.writes, [['beta', true], ['delta', false]]);
+    assert.strictEqual(providers.store.gamma.baseUrl, 'https://g');
+    assert.match(result.results[3].error, /cannot write broken/);
+    assert.deepStrictEqual(result.summary, { imported: 3, skipped: 1, failed: 1 });
+    assert.strictEqual(result.success, false);
+
+    assert.strictEqual(result.results[4].importedAs, 'tpl-imported');
+    assert.deepStrictEqual(result.clientSections, {
+        openclawProfiles: {
+            tpl: { id: 'tpl', name: 'Shared', body: 'v1' },
+            'tpl-imported': { id: 'tpl-imported', name: 'Shared', body: 'v2' }
+        }
+    });
+});
@@ -0,0 +1,114 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { createConfigHistoryController } = require('../../cli/config-history');
+const { buildLineDiff } = require('../../lib/text-diff');
+
+async function withTempHistory(run, options = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-config-history-'));
+    const historyDir = path.join(root, 'history');
+    let clock = Date.parse('2026-01-01T00:00:00.000Z');
+    const history = createConfigHistoryController({
+        fs,
+        buildLineDiff,
+        CONFIG_HISTORY_DIR: historyDir,
+        resolveFileKind: (filePath) => (path.basename(filePath) === 'config.toml' ? 'codex-config' : ''),
+        now: () => (clock += 1000),
+        ...options
+    });
+    try {
+        return await run({ root, historyDir, history });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('config history records baseline, origins and diff stats for each write', () => withTempHistory(({ root, history }) => {
+    assert.throws(() => createConfigHistoryController({ fs, buildLineDiff }), /缺少 CONFIG_HISTORY_DIR/);
+    const filePath = path.join(root, 'config.toml');
+    fs.writeFileSync(filePath, 'model = "a"\n');
+
+    history.trackConfigWrite(filePath, 'switch-provider', () => fs.writeFileSync(filePath, 'model = "b"\n'));
+    history.runWithConfigWriteOrigin('web', () => {
+        history.trackConfigWrite(filePath, 'use-model', () => fs.writeFileSync(filePath, 'model = "b"\nextra = 1\n'));
+    });
+    // 内容没变化时不产生新版本
+    history.trackConfigWrite(filePath, 'noop', () => fs.writeFileSync(filePath, 'model = "b"\nextra = 1\n'));
+
+    const listed = history.listConfigHistory({ file: 'codex-config' });
+    assert.strictEqual(listed.total, 3);
+    assert.deepStrictEqual(listed.entries.map(entry => [entry.id, entry.origin, entry.action]), [
+        [3, 'web', 'use-model'],
+        [2, 'cli', 'switch-provider'],
+        [1, 'external', 'baseline']
+    ]);
+    assert.deepStrictEqual([listed.entries[0].added, listed.entries[0].removed], [1, 0]);
+    assert.strictEqual(listed.entries[0].latest, true);
+    assert.strictEqual(listed.entries[1].latest, false);
+    assert.deepStrictEqual(listed.files, [{ file: filePath, kind: 'codex-config' }]);
+
+    const detail = history.getConfigHistoryEntry(2);
+    assert.strictEqual(detail.content, 'model = "b"\n');
+    assert.strictEqual(detail.baseId, 1);
+    assert.deepStrictEqual(detail.diff.lines.map(line => line.type), ['del', 'add']);
+    assert.match(history.getConfigHistoryEntry(99).error, /历史版本不存在/);
+}));
+
+test('config history detects external edits and restores any version', async () => withTempHistory(async ({ root, history }) => {
+    const filePath = path.join(root, 'AGENTS.md');
+    await history.trackConfigWrite(filePath, 'apply-agents-file', async () => {
+        fs.writeFileSync(filePath, 'v1\n');
+    });
+    fs.writeFileSync(filePath, 'edited by hand\n');
+    history.trackConfigWrite(filePath, 'apply-agents-file', () => fs.writeFileSync(filePath, 'v2\n'));
+
+    const entries = history.listConfigHistory({ file: filePath }).entries;
+    assert.deepStrictEqual(entries.map(entry => [entry.origin, entry.action, entry.exists]), [
+        ['cli', 'apply-agents-file', true],
+        ['external', 'external-change', true],
+        ['cli', 'apply-agents-file', true],
+        ['external', 'baseline', false]
+    ]);
+    assert.strictEqual(entries[0].kind, 'file');
+
+    const versionOne = entries[2];
+    const preview = history.getConfigHistoryEntry(versionOne.id, { compare: 'current' });
+    assert.strictEqual(preview.compare, 'current');
+    assert.deepStrictEqual(preview.diff.lines.map(line => [line.type, line.value]), [['del', 'v2'], ['add', 'v1']]);
+
+    const restored = history.runWithConfigWriteOrigin('mcp', () => history.restoreConfigHistory(versionOne.id));
+    assert.strictEqual(restored.success, true);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), 'v1\n');
+    const latest = history.listConfigHistory({ file: filePath, limit: 1 }).entries[0];
+    assert.strictEqual(latest.id, restored.entryId);
+    assert.deepStrictEqual([latest.origin, latest.action, latest.restoredFrom], ['mcp', `restore#${versionOne.id}`, versionOne.id]);
+    assert.strictEqual(history.restoreConfigHistory(versionOne.id).unchanged, true);
+
+    // 回滚到“文件不存在”的基线会删除文件
+    assert.strictEqual(history.restoreConfigHistory(entries[3].id).success, true);
+    assert.strictEqual(fs.existsSync(filePath), false);
+}));
+
+test('config history keeps a bounded number of versions and prunes unused blobs', () => withTempHistory(({ root, historyDir, history }) => {
+    const filePath = path.join(root, 'settings.json');
+    for (let i = 0; i < 6; i += 1) {
+        history.trackConfigWrite(filePath, 'write', () => fs.writeFileSync(filePath, `{"v":${i}}`));
+    }
+    const entries = history.listConfigHistory({}).entries;
+    assert.deepStrictEqual(entries.map(entry => entry.id), [7, 6, 5]);
+    assert.strictEqual(fs.readdirSync(path.join(historyDir, 'blobs')).length, 3);
+    const mode = fs.statSync(path.join(historyDir, 'index.json')).mode & 0o777;
+    if (process.platform !== 'win32') {
+        assert.strictEqual(mode, 0o600);
+    }
+
+    // 写入失败时不记录，也不吞掉写入错误
+    assert.throws(() => history.trackConfigWrite(filePath, 'broken', () => {
+        throw new Error('disk full');
+    }), /disk full/);
+    assert.strictEqual(history.listConfigHistory({}).total, 3);
+}, { maxVersionsPerFile: 3 }));
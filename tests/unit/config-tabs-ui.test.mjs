@@ -133,6 +133,13 @@ test('config template keeps expected config tabs in top and side navigation', ()
     assert.match(html, /:aria-selected="mainTab === 'usage'"/);
     assert.match(html, /id="panel-usage"/);
     assert.match(html, /v-show="mainTab === 'usage'"/);
+    assert.match(html, /id="side-tab-traffic"/);
+    assert.match(html, /id="tab-traffic"/);
+    assert.match(html, /onMainTabClick\('traffic', \$event\)/);
+    assert.match(html, /aria-controls="panel-traffic"/);
+    assert.match(html, /id="panel-traffic"/);
+    assert.match(html, /v-show="mainTab === 'traffic'"/);
+    assert.match(html, /replaySelectedTrafficEntry/);
     assert.match(usagePanel, /sessionsUsageLoading && !sessionsUsageList\.length" class="session-empty">\{\{\s*t\('usage\.loading'\)\s*\}\}</);
     assert.match(usagePanel, /sessionsUsageError && !sessionsUsageList\.length" class="usage-empty">/);
     assert.match(usagePanel, /v-else-if="!sessionsUsageList\.length" class="usage-empty">\{\{\s*t\('usage\.empty'\)\s*\}\}/);
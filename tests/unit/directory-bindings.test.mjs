@@ -0,0 +1,121 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { compileBindingPattern, createDirectoryBindingController } = require('../../cli/directory-bindings');
+
+function withTempBindings(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-bindings-'));
+    const file = path.join(root, 'codexmate-bindings.json');
+    let seq = 0;
+    const controller = createDirectoryBindingController({
+        fs,
+        path: path.posix,
+        DIRECTORY_BINDINGS_FILE: file,
+        writeJsonAtomic: (target, data) => fs.writeFileSync(target, JSON.stringify(data, null, 2)),
+        homeDir: '/home/dev',
+        caseInsensitive: false,
+        resolveProvider: (name) => ({
+            relay: { baseUrl: 'https://relay.example/v1', apiKey: 'sk-relay' },
+            direct: { baseUrl: 'https://api.example/v1', apiKey: '' }
+        })[name] || null,
+        readAuthProfilePayload: (name) => ({
+            keyed: { OPENAI_API_KEY: 'sk-profile' },
+            oauth: { tokens: { access_token: 'at' } }
+        })[name] || null,
+        now: () => Date.parse('2026-03-04T05:06:07.000Z'),
+        createId: () => `bind-${++seq}`
+    });
+    try {
+        return run({ root, file, controller });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('compileBindingPattern treats plain paths as directory prefixes and expands ~', () => {
+    const plain = compileBindingPattern('/work/client-a/');
+    assert.ok(plain.test('/work/client-a'));
+    assert.ok(plain.test('/work/client-a/src/lib'));
+    assert.ok(!plain.test('/work/client-ab'));
+
+    const home = compileBindingPattern('~/src/acme-*', { homeDir: '/home/dev' });
+    assert.ok(home.test('/home/dev/src/acme-web'));
+    assert.ok(!home.test('/home/dev/src/acme-web/packages'));
+
+    const deep = compileBindingPattern('**/relay-?/**');
+    assert.ok(deep.test('/any/where/relay-1'));
+    assert.ok(deep.test('/any/where/relay-1/nested'));
+    assert.ok(compileBindingPattern('C:\\Work\\Client', { caseInsensitive: true }).test('c:/work/client/app'));
+});
+
+test('directory bindings validate targets, upsert by pattern and pick the most specific match', () => withTempBindings(({ file, controller }) => {
+    assert.throws(() => createDirectoryBindingController({ fs, path }), /缺少 DIRECTORY_BINDINGS_FILE/);
+    assert.throws(() => controller.upsertBinding({ pattern: '/work' }), /至少需要指定/);
+    assert.throws(() => controller.upsertBinding({ pattern: '/work', provider: 'missing' }), /提供商不存在: missing/);
+    assert.throws(() => controller.upsertBinding({ pattern: '/work', authProfile: 'nobody' }), /认证不存在: nobody/);
+
+    controller.upsertBinding({ pattern: '/work', provider: 'direct' });
+    controller.upsertBinding({ pattern: '/work/client-*', provider: 'relay', model: 'gpt-5' });
+    const updated = controller.upsertBinding({ pattern: '/work', provider: 'direct', model: 'gpt-4.1' });
+    assert.strictEqual(updated.binding.id, 'bind-1');
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf-8')).bindings.length, 2);
+
+    assert.strictEqual(controller.resolveBinding('/work/client-a').pattern, '/work/client-*');
+    assert.strictEqual(controller.resolveBinding('/work/client-a/src').pattern, '/work');
+    assert.strictEqual(controller.resolveBinding('/elsewhere'), null);
+
+    controller.upsertBinding({ id: 'bind-2', pattern: '/work/client-*', provider: 'relay', enabled: false });
+    assert.strictEqual(controller.resolveBinding('/work/client-a').pattern, '/work');
+    assert.throws(() => controller.upsertBinding({ id: 'bind-2', pattern: '/work', model: 'x' }), /已存在相同路径的绑定/);
+
+    controller.removeBinding('/work');
+    assert.deepStrictEqual(controller.listBindings().bindings.map(item => item.id), ['bind-2']);
+    assert.throws(() => controller.removeBinding('/work'), /目录绑定不存在/);
+}));
+
+test('binding overrides stay per-launch and keep secrets out of summaries', () => withTempBindings(({ controller }) => {
+    const { binding } = controller.upsertBinding({
+        pattern: '~/clients/acme',
+        provider: 'relay',
+        model: 'gpt-5',
+        authProfile: 'keyed',
+        claudeProfile: 'acme',
+        claude: { baseUrl: 'https://claude.example', model: 'sonnet', apiKey: 'sk-ant' }
+    });
+    const resolved = controller.resolveBinding('/home/dev/clients/acme/api');
+    assert.strictEqual(resolved.id, binding.id);
+
+    const codex = controller.buildBindingOverrides(resolved, 'codex');
+    assert.deepStrictEqual(codex.args, ['-c', 'model_provider="relay"', '-c', 'model="gpt-5"']);
+    assert.deepStrictEqual(codex.env, { OPENAI_API_KEY: 'sk-profile' });
+    assert.deepStrictEqual(codex.applied, ['provider', 'model', 'authProfile']);
+
+    assert.deepStrictEqual(controller.buildBindingOverrides(resolved, 'qwen').env, {
+        OPENAI_BASE_URL: 'https://relay.example/v1',
+        OPENAI_API_KEY: 'sk-profile',
+        OPENAI_MODEL: 'gpt-5'
+    });
+    assert.deepStrictEqual(controller.buildBindingOverrides(resolved, 'claude').env, {
+        ANTHROPIC_BASE_URL: 'https://claude.example',
+        ANTHROPIC_API_KEY: 'sk-ant',
+        ANTHROPIC_MODEL: 'sonnet'
+    });
+
+    // CLI 编辑未带 Claude 详情时保留已同步的快照
+    controller.upsertBinding({ pattern: '~/clients/acme', provider: 'relay', authProfile: 'oauth', claudeProfile: 'acme' });
+    const edited = controller.resolveBinding('/home/dev/clients/acme');
+    assert.strictEqual(edited.claude.apiKey, 'sk-ant');
+    assert.match(controller.buildBindingOverrides(edited, 'codex').warnings[0], /不含 API Key/);
+    assert.deepStrictEqual(controller.redactBinding(edited).claude, { baseUrl: 'https://claude.example', model: 'sonnet', hasApiKey: true });
+    assert.deepStrictEqual(controller.summarizeBinding(edited), {
+        id: binding.id,
+        pattern: '~/clients/acme',
+        provider: 'relay',
+        authProfile: 'oauth',
+        claudeProfile: 'acme'
+    });
+}));
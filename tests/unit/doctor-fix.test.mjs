@@ -0,0 +1,147 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { createDoctorFixController } = require('../../cli/doctor-fix');
+const { buildDoctorReport, renderDoctorMarkdown } = require('../../cli/doctor-core');
+
+async function withTempFix(run, overrides = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-doctor-fix-'));
+    const calls = [];
+    const state = { skills: { root: path.join(root, 'skills'), exists: false, items: [] } };
+    const controller = createDoctorFixController({
+        fs,
+        path,
+        DOCTOR_FIX_BACKUP_DIR: path.join(root, 'backups'),
+        readConfig: () => ({ model_provider: 'broken', model_providers: { broken: {}, stale: {}, good: {} } }),
+        readRecentConfigs: () => [
+            { provider: 'broken', model: 'm0' },
+            { provider: 'removed', model: 'm1' },
+            { provider: 'stale', model: 'm2' },
+            { provider: 'good', model: 'm3' }
+        ],
+        probeProvider: async (name) => (name === 'good' ? { ok: true } : { ok: false, error: 'timeout' }),
+        switchProvider: (name, model) => calls.push(['switch', name, model]),
+        resetConfigToDefault: () => {
+            calls.push(['reset']);
+            return { success: true, backupFile: 'config.toml.bak' };
+        },
+        listSkills: ({ targetApp }) => ({ ...state.skills, targetApp }),
+        now: () => Date.parse('2026-01-02T03:04:05.000Z'),
+        ...overrides
+    });
+    try {
+        return await run({ root, calls, state, controller });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+function reportWith(ids, targetApp = 'codex') {
+    return {
+        issues: ids.map(id => ({ id })),
+        sources: { skills: { targetApp } }
+    };
+}
+
+test('doctor report attaches fix actions to issues with a registered fixer', async () => {
+    const report = await buildDoctorReport({ lang: 'en', remote: false, includeUsage: false, includeTasks: false, includeInstall: false }, {
+        getStatusPayload: () => ({ configReady: false, configErrorType: 'missing' }),
+        buildConfigHealthReport: async () => ({ ok: true, issues: [] }),
+        listSkills: () => ({ root: '/tmp/skills', exists: false, items: [] })
+    });
+    const byId = Object.fromEntries(report.issues.map(issue => [issue.id, issue]));
+    assert.deepStrictEqual(byId['config-not-ready'].actions.slice(0, 2).map(action => action.type), ['navigate', 'fix']);
+    assert.strictEqual(byId['config-not-ready'].actions[1].fixer, 'regenerate-config');
+    assert.strictEqual(byId['skills-root-missing'].actions.filter(action => action.type === 'fix').length, 1);
+    assert.match(renderDoctorMarkdown(report), /Fix: run `codexmate doctor --fix`/);
+});
+
+test('doctor fix plans without touching files, then snapshots and applies', () => withTempFix(async ({ root, calls, state, controller }) => {
+    assert.throws(() => createDoctorFixController({ fs, path }), /缺少 DOCTOR_FIX_BACKUP_DIR/);
+    const configFile = path.join(root, 'config.toml');
+    fs.writeFileSync(configFile, 'model = "old"\n');
+    const report = reportWith(['config-not-ready', 'skills-root-missing', 'usage-error']);
+
+    const plan = await controller.planDoctorFixes(report);
+    assert.deepStrictEqual(plan.steps.map(step => [step.issueId, step.fixer]), [
+        ['config-not-ready', 'regenerate-config'],
+        ['skills-root-missing', 'create-skills-root']
+    ]);
+    assert.strictEqual(plan.dryRun, true);
+    assert.strictEqual(fs.existsSync(state.skills.root), false);
+    assert.deepStrictEqual(calls, []);
+
+    const filtered = await controller.planDoctorFixes(report, { issueIds: ['skills-root-missing'] });
+    assert.deepStrictEqual(filtered.steps.map(step => step.issueId), ['skills-root-missing']);
+
+    const result = await controller.applyDoctorFixes(report, { snapshotFiles: { config: configFile } });
+    assert.deepStrictEqual(result.applied.map(item => item.ok), [true, true]);
+    assert.deepStrictEqual(calls, [['reset']]);
+    assert.strictEqual(fs.statSync(state.skills.root).isDirectory(), true);
+    assert.strictEqual(result.backupDir, path.join(root, 'backups', '20260102T030405Z'));
+    assert.strictEqual(fs.readFileSync(path.join(result.backupDir, 'files', 'config.toml'), 'utf-8'), 'model = "old"\n');
+    const manifest = JSON.parse(fs.readFileSync(path.join(result.backupDir, 'manifest.json'), 'utf-8'));
+    assert.strictEqual(manifest.applied.length, 2);
+}));
+
+test('doctor fix switches to the latest healthy provider and moves broken skills aside', () => withTempFix(async ({ root, calls, state, controller }) => {
+    const brokenDir = path.join(root, 'skills', 'broken-skill');
+    fs.mkdirSync(brokenDir, { recursive: true });
+    fs.writeFileSync(path.join(brokenDir, 'notes.txt'), 'keep me');
+    state.skills = {
+        root: path.join(root, 'skills'),
+        exists: true,
+        items: [
+            { name: 'broken-skill', path: brokenDir, hasSkillFile: false },
+            { name: 'ok-skill', path: path.join(root, 'skills', 'ok-skill'), hasSkillFile: true }
+        ]
+    };
+    const report = reportWith(['provider-unreachable', 'skills-missing-files', 'skills-root-missing'], 'claude');
+
+    const plan = await controller.planDoctorFixes(report);
+    const providerStep = plan.steps.find(step => step.issueId === 'provider-unreachable');
+    assert.deepStrictEqual(providerStep.tried.map(item => [item.provider, item.ok]), [['stale', false], ['good', true]]);
+    assert.deepStrictEqual(plan.skipped.map(step => step.issueId), ['skills-root-missing']);
+
+    const result = await controller.applyDoctorFixes(report);
+    assert.deepStrictEqual(calls, [['switch', 'good', 'm3']]);
+    assert.strictEqual(fs.existsSync(brokenDir), false);
+    const moved = path.join(result.backupDir, 'skills-claude', 'broken-skill', 'notes.txt');
+    assert.strictEqual(fs.readFileSync(moved, 'utf-8'), 'keep me');
+}));
+
+test('doctor fix skips provider switching when no recent provider is healthy', () => withTempFix(async ({ calls, controller }) => {
+    const result = await controller.applyDoctorFixes(reportWith(['provider-unreachable']));
+    assert.deepStrictEqual(result.steps, []);
+    assert.strictEqual(result.backupDir, '');
+    assert.strictEqual(result.skipped[0].tried.length, 2);
+    assert.deepStrictEqual(calls, []);
+}, { probeProvider: async () => ({ ok: false, error: 'down' }) }));
+
+test('doctor fix only applies the previewed plan and refuses when the steps changed', () => {
+    const probeState = { healthy: 'good' };
+    return withTempFix(async ({ calls, controller }) => {
+        const report = reportWith(['provider-unreachable']);
+        const plan = await controller.planDoctorFixes(report);
+        assert.match(plan.planDigest, /^[0-9a-f]{16}$/);
+        assert.strictEqual((await controller.planDoctorFixes(report)).planDigest, plan.planDigest);
+
+        probeState.healthy = 'stale';
+        const refused = await controller.applyDoctorFixes(report, { planDigest: plan.planDigest });
+        assert.strictEqual(refused.planChanged, true);
+        assert.match(refused.error, /不一致/);
+        assert.deepStrictEqual(refused.applied, []);
+        assert.strictEqual(refused.backupDir, '');
+        assert.deepStrictEqual(calls, []);
+
+        const replanned = await controller.planDoctorFixes(report);
+        assert.notStrictEqual(replanned.planDigest, plan.planDigest);
+        const result = await controller.applyDoctorFixes(report, { planDigest: replanned.planDigest });
+        assert.deepStrictEqual(result.applied.map(item => item.ok), [true]);
+        assert.deepStrictEqual(calls, [['switch', 'stale', 'm2']]);
+    }, { probeProvider: async (name) => (name === probeState.healthy ? { ok: true } : { ok: false, error: 'down' }) });
+});
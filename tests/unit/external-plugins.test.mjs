@@ -0,0 +1,211 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const zipLib = require('zip-lib');
+const {
+    PLUGIN_API_VERSION,
+    PLUGIN_MANIFEST_FILE,
+    validatePluginManifest,
+    createExternalPluginsController
+} = require('../../cli/external-plugins');
+
+const SERVER_SOURCE = `module.exports = {
+    actions: {
+        count(params, ctx) {
+            const data = ctx.storage.read();
+            const next = (data.count || 0) + (params.step || 1);
+            ctx.storage.write({ count: next });
+            return { count: next, apiVersion: ctx.apiVersion };
+        },
+        explode() {
+            throw new Error('boom');
+        }
+    }
+};
+`;
+
+function writePlugin(dir, manifest, files = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const all = {
+        'ui/index.mjs': 'export function mount(el) { el.textContent = "hi"; }\n',
+        'ui/style.css': '.x { color: red; }\n',
+        'server/index.js': SERVER_SOURCE,
+        'i18n/en.json': JSON.stringify({ 'plugin.name': 'Team stats' }),
+        ...files
+    };
+    for (const [relative, content] of Object.entries(all)) {
+        fs.mkdirSync(path.dirname(path.join(dir, relative)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relative), content);
+    }
+    fs.writeFileSync(path.join(dir, PLUGIN_MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+function buildManifest(overrides = {}) {
+    return {
+        apiVersion: PLUGIN_API_VERSION,
+        id: 'team-stats',
+        name: 'Team Stats',
+        version: '1.0.0',
+        description: 'Internal dashboard',
+        permissions: ['server', 'storage'],
+        ui: { module: 'ui/index.mjs', styles: ['ui/style.css'] },
+        i18n: { en: 'i18n/en.json', zh: { 'plugin.name': '团队统计' } },
+        server: { module: 'server/index.js', actions: ['count', 'explode'] },
+        ...overrides
+    };
+}
+
+function withPlugins(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-external-plugins-'));
+    const pluginsDir = path.join(root, 'plugins');
+    const controller = createExternalPluginsController({
+        PLUGINS_DIR: pluginsDir,
+        PLUGINS_STATE_FILE: path.join(root, 'plugins.json'),
+        reservedIds: ['prompt-templates'],
+        inspectZipArchiveLimits: async () => {},
+        extractUploadZip: (zipPath, dir) => zipLib.extract(zipPath, dir),
+        now: () => Date.parse('2026-09-01T08:00:00.000Z')
+    });
+    return Promise.resolve(run({ controller, root, pluginsDir })).finally(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+}
+
+test('manifest validation reports contract, permission and file errors', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-plugin-manifest-'));
+    try {
+        writePlugin(root, {});
+        const valid = validatePluginManifest(buildManifest(), root);
+        assert.deepStrictEqual(valid.errors, []);
+        assert.deepStrictEqual(valid.manifest.i18n, { en: { 'plugin.name': 'Team stats' }, zh: { 'plugin.name': '团队统计' } });
+
+        const invalid = validatePluginManifest(buildManifest({
+            apiVersion: 2,
+            id: 'Team Stats',
+            permissions: ['storage', 'network'],
+            ui: { module: '../outside.mjs' },
+            i18n: { fr: {} }
+        }), root);
+        assert.strictEqual(invalid.manifest, null);
+        assert.deepStrictEqual(invalid.errors, [
+            '插件 API 版本 2 不受支持（当前为 1）',
+            'id 只能包含小写字母、数字和短横线，长度 2-64',
+            '未知权限: network',
+            'ui.module 必须是插件目录内的相对路径',
+            '不支持的语言: fr（可选 zh/en）',
+            '声明 server 时必须在 permissions 中申请 server 权限'
+        ]);
+        assert.deepStrictEqual(validatePluginManifest(buildManifest({ ui: undefined, server: undefined }), root).errors, ['插件至少需要声明 ui 或 server']);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('plugins stay disabled until enabled, and broken plugins do not affect others', () => withPlugins(async ({ controller, pluginsDir }) => {
+    writePlugin(path.join(pluginsDir, 'team-stats'), buildManifest());
+    writePlugin(path.join(pluginsDir, 'broken'), buildManifest({ id: 'broken', apiVersion: 9 }));
+    writePlugin(path.join(pluginsDir, 'prompt-templates'), buildManifest({ id: 'prompt-templates' }));
+
+    const listed = controller.listPlugins();
+    assert.strictEqual(listed.apiVersion, 1);
+    assert.deepStrictEqual(listed.plugins.map(item => [item.id, item.status]), [['broken', 'error'], ['prompt-templates', 'error'], ['team-stats', 'disabled']]);
+    assert.match(listed.plugins[1].errors[0], /与内置插件冲突/);
+    const stats = listed.plugins[2];
+    assert.strictEqual(stats.ui.module, '/plugin-assets/team-stats/ui/index.mjs?v=1.0.0');
+    assert.deepStrictEqual(stats.actions, ['count', 'explode']);
+    assert.strictEqual(controller.resolvePluginAsset('team-stats', 'ui/index.mjs'), null);
+    assert.strictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'count' })).error, '插件 team-stats 未启用');
+    assert.match(controller.enablePlugin({ id: 'broken' }).error, /插件 API 版本 9 不受支持/);
+
+    const enabled = controller.enablePlugin({ id: 'team-stats' });
+    assert.deepStrictEqual(enabled.plugin.permissions.map(item => [item.id, item.granted]), [['server', true], ['storage', true]]);
+    assert.strictEqual(controller.resolvePluginAsset('team-stats', 'ui/index.mjs').mime, 'application/javascript; charset=utf-8');
+    assert.strictEqual(controller.resolvePluginAsset('team-stats', 'server/index.js'), null);
+    assert.strictEqual(controller.resolvePluginAsset('team-stats', 'ui/../codexmate-plugin.json'), null);
+
+    assert.deepStrictEqual(await controller.runPluginAction({ id: 'team-stats', action: 'count', params: { step: 2 } }), { success: true, result: { count: 2, apiVersion: 1 } });
+    assert.deepStrictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'count' })).result.count, 3);
+    assert.strictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'explode' })).error, '插件 team-stats 的动作 explode 执行失败: boom');
+    assert.strictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'rm' })).error, '插件 team-stats 未声明动作: rm');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(pluginsDir, '.data', 'team-stats.json'), 'utf-8')), { count: 3 });
+
+    // 升级后新申请的权限需要重新确认
+    writePlugin(path.join(pluginsDir, 'team-stats'), buildManifest({ version: '1.1.0', permissions: ['server', 'storage', 'api:write'] }));
+    assert.strictEqual(controller.listPlugins().plugins[2].status, 'needs-approval');
+    assert.match((await controller.runPluginAction({ id: 'team-stats', action: 'count' })).error, /需要重新启用/);
+    assert.strictEqual(controller.resolvePluginAsset('team-stats', 'ui/index.mjs'), null);
+
+    assert.strictEqual(controller.disablePlugin({ id: 'team-stats' }).plugin.status, 'disabled');
+    assert.deepStrictEqual(controller.uninstallPlugin({ id: 'team-stats' }), { success: true, id: 'team-stats', path: path.join(pluginsDir, 'team-stats') });
+    assert.ok(!fs.existsSync(path.join(pluginsDir, '.data', 'team-stats.json')));
+    assert.strictEqual(controller.uninstallPlugin({ id: '../x' }).error, '插件 id 无效: ../x');
+}));
+
+test('server module load failures are reported on the plugin only', () => withPlugins(async ({ controller, pluginsDir }) => {
+    writePlugin(path.join(pluginsDir, 'team-stats'), buildManifest(), { 'server/index.js': 'module.exports = { actions: { count() {} } };\n' });
+    controller.enablePlugin({ id: 'team-stats' });
+    assert.strictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'count' })).error, '插件 team-stats 服务端模块缺少动作: explode');
+    assert.strictEqual(controller.listPlugins().plugins[0].runtimeError, '服务端模块缺少动作: explode');
+}));
+
+test('plugins install from a ZIP with a nested folder and upgrade only when asked', () => withPlugins(async ({ controller, root, pluginsDir }) => {
+    const source = path.join(root, 'src', 'team-stats-1.0.0');
+    writePlugin(source, buildManifest());
+    const zipPath = path.join(root, 'team-stats.zip');
+    await zipLib.archiveFolder(path.join(root, 'src'), zipPath);
+
+    const installed = await controller.installPluginFromZip(zipPath);
+    assert.deepStrictEqual([installed.success, installed.upgraded, installed.plugin.status], [true, false, 'disabled']);
+    assert.ok(fs.existsSync(path.join(pluginsDir, 'team-stats', 'server', 'index.js')));
+    controller.enablePlugin({ id: 'team-stats' });
+
+    const conflict = await controller.installPluginFromZip(zipPath);
+    assert.deepStrictEqual([conflict.conflict, conflict.error], [true, '插件 team-stats 已安装，升级请选择覆盖安装']);
+    const upgraded = await controller.installPluginFromZip(zipPath, { overwrite: true });
+    assert.deepStrictEqual([upgraded.upgraded, upgraded.plugin.status], [true, 'enabled']);
+
+    const emptyZip = path.join(root, 'empty.zip');
+    fs.mkdirSync(path.join(root, 'empty'));
+    fs.writeFileSync(path.join(root, 'empty', 'README.md'), 'x');
+    await zipLib.archiveFolder(path.join(root, 'empty'), emptyZip);
+    assert.strictEqual((await controller.installPluginFromZip(emptyZip)).error, `压缩包中未找到 ${PLUGIN_MANIFEST_FILE}`);
+    assert.deepStrictEqual(fs.readdirSync(pluginsDir).filter(name => name.startsWith('.staging')), []);
+}));
+
+test('overwrite installs reload plugin sub-modules and keep the old version when the swap fails', () => withPlugins(async ({ controller, root, pluginsDir }) => {
+    const writeVersion = (dir, label) => writePlugin(dir, buildManifest({ server: { module: 'server/index.js', actions: ['label'] } }), {
+        'server/index.js': 'const { label } = require("./lib/label");\nmodule.exports = { actions: { label: () => ({ label }) } };\n',
+        'server/lib/label.js': `module.exports = { label: ${JSON.stringify(label)} };\n`
+    });
+    const v1 = path.join(root, 'v1');
+    const v2 = path.join(root, 'v2');
+    const v3 = path.join(root, 'v3');
+    writeVersion(v1, 'one');
+    writeVersion(v2, 'two');
+    writeVersion(v3, 'three');
+    controller.installPluginFromDirectory(v1);
+    controller.enablePlugin({ id: 'team-stats' });
+    assert.deepStrictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'label' })).result, { label: 'one' });
+
+    controller.installPluginFromDirectory(v2, { overwrite: true });
+    assert.deepStrictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'label' })).result, { label: 'two' });
+
+    const originalRename = fs.renameSync;
+    fs.renameSync = (from, to) => {
+        if (path.basename(from).startsWith('.staging-')) throw new Error('rename failed');
+        return originalRename(from, to);
+    };
+    try {
+        assert.throws(() => controller.installPluginFromDirectory(v3, { overwrite: true }), /rename failed/);
+    } finally {
+        fs.renameSync = originalRename;
+    }
+    const label = fs.readFileSync(path.join(pluginsDir, 'team-stats', 'server', 'lib', 'label.js'), 'utf-8');
+    assert.match(label, /"two"/);
+    assert.deepStrictEqual(fs.readdirSync(pluginsDir).filter(name => name.startsWith('.')), []);
+    assert.deepStrictEqual((await controller.runPluginAction({ id: 'team-stats', action: 'label' })).result, { label: 'two' });
+}));
@@ -0,0 +1,57 @@
+import http from 'http';
+import net from 'net';
+
+export function listen(server, port = 0) {
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+    });
+}
+
+export function close(server) {
+    return new Promise((resolve) => server.close(() => resolve()));
+}
+
+export async function findFreePort() {
+    const probe = net.createServer();
+    const port = await listen(probe);
+    await close(probe);
+    return port;
+}
+
+export function post(port, pathname, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const text = JSON.stringify(body);
+        const req = http.request({
+            hostname: '127.0.0.1',
+            port,
+            path: pathname,
+            method: 'POST',
+            agent: false,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text), ...headers }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        req.end(text);
+    });
+}
+
+export function waitFor(check, timeoutMs = 2000) {
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+        const tick = () => {
+            if (check()) {
+                resolve();
+                return;
+            }
+            if (Date.now() - startedAt > timeoutMs) {
+                reject(new Error('waitFor timeout'));
+                return;
+            }
+            setTimeout(tick, 10);
+        };
+        tick();
+    });
+}
@@ -0,0 +1,170 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { parseToolList, createMcpServersController } = require('../../cli/mcp-servers');
+const { probeMcpStdioServer } = require('../../lib/mcp-stdio');
+
+const CODEX_CONFIG = [
+    'model = "gpt-5"',
+    '',
+    '[mcp_servers.docs]',
+    'command = "npx"',
+    'args = ["-y", "docs-mcp"]',
+    '',
+    '[mcp_servers.docs.env]',
+    'TOKEN = "abc"',
+    '',
+    '[mcp_servers.legacy]',
+    'command = "legacy-mcp"',
+    'enabled = false',
+    '',
+    '[model_providers.openai]',
+    'name = "openai"',
+    ''
+].join('\n');
+
+const FAKE_SERVER = `
+const rl = require('readline').createInterface({ input: process.stdin });
+process.stdout.write('starting up\\n');
+rl.on('line', (line) => {
+    const msg = JSON.parse(line);
+    const reply = result => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result }) + '\\n');
+    if (msg.method === 'initialize') reply({ protocolVersion: msg.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1.2.0' } });
+    if (msg.method === 'tools/list' && !msg.params.cursor) reply({ tools: [{ name: 'search', description: 'Search docs' }], nextCursor: 'p2' });
+    if (msg.method === 'tools/list' && msg.params.cursor === 'p2') reply({ tools: [{ name: 'fetch' }] });
+});
+`;
+
+async function withRegistry(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-mcp-servers-'));
+    const files = {
+        MCP_SERVERS_FILE: path.join(root, 'codexmate-mcp-servers.json'),
+        CODEX_CONFIG_FILE: path.join(root, 'config.toml'),
+        CLAUDE_JSON_FILE: path.join(root, '.claude.json'),
+        CLAUDE_SETTINGS_FILE: path.join(root, 'settings.json'),
+        OPENCLAW_CONFIG_FILE: path.join(root, 'openclaw.json')
+    };
+    fs.writeFileSync(files.CODEX_CONFIG_FILE, CODEX_CONFIG);
+    fs.writeFileSync(files.CLAUDE_JSON_FILE, JSON.stringify({
+        numStartups: 2,
+        mcpServers: {
+            web: { type: 'http', url: 'https://mcp.example.com/mcp', headers: { Authorization: 'Bearer x' } },
+            docs: { type: 'stdio', command: 'npx', args: ['-y', 'docs-mcp', '--beta'] }
+        }
+    }));
+    fs.writeFileSync(files.CLAUDE_SETTINGS_FILE, JSON.stringify({ mcpServers: { local: { command: 'local-mcp' } } }));
+    fs.writeFileSync(files.OPENCLAW_CONFIG_FILE, '{\n  // workspace\n  agents: {},\n}\n');
+    const controller = createMcpServersController({
+        ...files,
+        probeServer: probeMcpStdioServer,
+        now: () => Date.parse('2026-07-10T12:00:00.000Z')
+    });
+    try {
+        await run({ controller, files, root });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('parseToolList accepts comma lists and all, rejects unknown tools', () => {
+    assert.deepStrictEqual(parseToolList('codex, Claude,codex'), ['codex', 'claude']);
+    assert.deepStrictEqual(parseToolList('all'), ['codex', 'claude', 'openclaw']);
+    assert.throws(() => parseToolList('codex,cursor'), /未知工具: cursor/);
+});
+
+test('import collects servers from every tool and reports conflicting definitions', () => withRegistry(async ({ controller }) => {
+    const result = controller.importMcpServers();
+    assert.deepStrictEqual(result.added, ['docs', 'legacy', 'local', 'web']);
+    assert.deepStrictEqual(result.conflicts, [{ tool: 'claude', name: 'docs' }]);
+
+    const listed = controller.listMcpServers();
+    assert.deepStrictEqual(listed.servers.map(server => [server.name, server.status.codex, server.status.claude, server.status.openclaw]), [
+        ['docs', 'synced', 'changed', 'off'],
+        ['legacy', 'stale', 'off', 'off'],
+        ['local', 'off', 'synced', 'off'],
+        ['web', 'off', 'synced', 'off']
+    ]);
+    assert.deepStrictEqual(listed.servers[0].env, { TOKEN: 'abc' });
+    assert.deepStrictEqual(listed.servers[3].headers, { Authorization: 'Bearer x' });
+    const redacted = controller.listMcpServers({ redact: true });
+    assert.deepStrictEqual(redacted.servers[0].env, { TOKEN: '******' });
+    assert.deepStrictEqual(redacted.servers[3].headers, { Authorization: '******' });
+    assert.strictEqual(redacted.servers[3].env, undefined);
+    assert.ok(!JSON.stringify(redacted).includes('Bearer x'));
+
+    const overwritten = controller.importMcpServers({ tools: 'claude', overwrite: true });
+    assert.deepStrictEqual(overwritten.conflicts, []);
+    assert.deepStrictEqual(controller.readCatalog().servers.docs.args, ['-y', 'docs-mcp', '--beta']);
+}));
+
+test('sync rewrites managed entries in each tool and leaves unmanaged ones alone', () => withRegistry(async ({ controller, files }) => {
+    controller.importMcpServers({ tools: 'codex' });
+    assert.strictEqual(controller.upsertMcpServer({ name: 'docs', create: true, command: 'x' }).error, 'MCP 服务已存在: docs');
+    assert.match(controller.upsertMcpServer({ name: 'bad name', command: 'x' }).error, /名称只能包含/);
+    assert.ok(controller.upsertMcpServer({ name: 'search', url: 'https://search.example.com/mcp', transport: 'sse', tools: 'codex,claude,openclaw' }).success);
+    assert.ok(controller.upsertMcpServer({ name: 'docs', command: 'npx', args: ['-y', 'docs-mcp@2'], env: { TOKEN: 'abc' } }).success);
+    assert.ok(controller.setMcpServerEnabled({ names: ['docs'], tools: 'openclaw' }).success);
+
+    const preview = controller.syncMcpServers({ dryRun: true });
+    assert.deepStrictEqual(preview.results.map(item => [item.tool, item.written, item.removed]), [
+        ['codex', ['docs'], ['legacy']],
+        ['claude', ['search'], ['docs']],
+        ['openclaw', ['docs', 'search'], []]
+    ]);
+    assert.strictEqual(fs.readFileSync(files.CODEX_CONFIG_FILE, 'utf-8'), CODEX_CONFIG);
+
+    assert.strictEqual(controller.syncMcpServers().success, true);
+    const codex = fs.readFileSync(files.CODEX_CONFIG_FILE, 'utf-8');
+    assert.strictEqual(codex, [
+        'model = "gpt-5"',
+        '',
+        '[model_providers.openai]',
+        'name = "openai"',
+        '',
+        '[mcp_servers.docs]',
+        'command = "npx"',
+        'args = ["-y", "docs-mcp@2"]',
+        'env = { "TOKEN" = "abc" }',
+        ''
+    ].join('\n'));
+    const claude = JSON.parse(fs.readFileSync(files.CLAUDE_JSON_FILE, 'utf-8'));
+    assert.strictEqual(claude.numStartups, 2);
+    assert.deepStrictEqual(Object.keys(claude.mcpServers), ['web', 'search']);
+    assert.deepStrictEqual(claude.mcpServers.search, { type: 'sse', url: 'https://search.example.com/mcp' });
+    const openclaw = JSON.parse(fs.readFileSync(files.OPENCLAW_CONFIG_FILE, 'utf-8'));
+    assert.deepStrictEqual(openclaw.mcpServers.docs, { type: 'stdio', command: 'npx', args: ['-y', 'docs-mcp@2'], env: { TOKEN: 'abc' } });
+
+    assert.ok(controller.syncMcpServers().results.every(item => !item.changed));
+    assert.deepStrictEqual(controller.listMcpServers().servers.find(server => server.name === 'search').status, {
+        codex: 'unsupported', claude: 'synced', openclaw: 'synced'
+    });
+    const removed = controller.removeMcpServer({ name: 'search' });
+    assert.deepStrictEqual(removed.results.map(item => [item.tool, item.removed]), [['claude', ['search']], ['openclaw', ['search']]]);
+    assert.deepStrictEqual(controller.listMcpServers().tools.find(item => item.tool === 'claude').unmanaged, ['local', 'web']);
+}));
+
+test('test launch runs the stdio initialize handshake and lists tools', () => withRegistry(async ({ controller, root }) => {
+    const script = path.join(root, 'fake-mcp.js');
+    fs.writeFileSync(script, FAKE_SERVER);
+    controller.upsertMcpServer({ name: 'fake', command: process.execPath, args: [script] });
+    const result = await controller.testMcpServer({ name: 'fake' });
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.serverInfo, { name: 'fake', version: '1.2.0' });
+    assert.deepStrictEqual(result.tools.map(tool => tool.name), ['search', 'fetch']);
+
+    controller.upsertMcpServer({ name: 'broken', command: process.execPath, args: ['-e', 'console.error("boom"); process.exit(3)'] });
+    const broken = await controller.testMcpServer({ name: 'broken' });
+    assert.strictEqual(broken.ok, false);
+    assert.match(broken.error, /code 3/);
+    assert.strictEqual(broken.stderr, 'boom');
+    assert.strictEqual((await controller.testMcpServer({ name: 'missing' })).error, 'MCP 服务不存在: missing');
+
+    const marker = path.join(root, 'ad-hoc-ran');
+    const adHoc = await controller.testMcpServer({ command: process.execPath, args: ['-e', `require('fs').writeFileSync(${JSON.stringify(marker)}, '')`] });
+    assert.strictEqual(adHoc.error, '测试启动需要目录中的服务名称');
+    assert.strictEqual(fs.existsSync(marker), false);
+}));
@@ -0,0 +1,99 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { normalizeCatalogModelId, createModelCatalogController } = require('../../cli/model-catalog');
+
+async function withCatalog(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-catalog-'));
+    const pricingFile = path.join(root, 'codexmate-model-pricing.json');
+    const catalogFile = path.join(root, 'codexmate-model-catalog.json');
+    const responses = {};
+    const providers = [
+        { name: 'relay', baseUrl: 'https://relay.example/v1', apiKey: 'sk-relay' },
+        { name: 'direct', baseUrl: 'https://api.example/v1', apiKey: '' }
+    ];
+    const controller = createModelCatalogController({
+        MODEL_CATALOG_FILE: catalogFile,
+        MODEL_PRICING_FILE: pricingFile,
+        listProviders: () => providers,
+        fetchModels: async (baseUrl) => {
+            const next = responses[baseUrl];
+            if (next instanceof Error) throw next;
+            return next || { unlimited: true };
+        },
+        now: () => Date.parse('2026-07-01T00:00:00.000Z')
+    });
+    try {
+        await run({ controller, pricingFile, catalogFile, responses, providers });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('model metadata merges the bundled table, user overrides and provider config pricing', () => withCatalog(({ controller, pricingFile }) => {
+    assert.strictEqual(normalizeCatalogModelId('Anthropic/Claude-Sonnet-4-5-20250929'), 'claude-sonnet-4-5');
+    assert.strictEqual(normalizeCatalogModelId('gpt-4o-2024-08-06'), 'gpt-4o');
+
+    const bundled = controller.lookupModelMetadata('openai/GPT-5');
+    assert.strictEqual(bundled.matchedId, 'gpt-5');
+    assert.strictEqual(bundled.source, 'bundled');
+    assert.strictEqual(bundled.contextWindow, 400000);
+    assert.deepStrictEqual(bundled.cost, { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 0 });
+    assert.strictEqual(controller.lookupModelMetadata('totally-unknown'), null);
+
+    fs.writeFileSync(pricingFile, JSON.stringify({
+        models: {
+            'gpt-5': { cost: { input: 1 } },
+            'house-model': { contextWindow: 64000, tools: false, input: 0.5, output: 1 }
+        }
+    }));
+    const overridden = controller.lookupModelMetadata('gpt-5');
+    assert.strictEqual(overridden.source, 'user');
+    assert.deepStrictEqual(overridden.cost, { input: 1, output: 10, cacheRead: 0.125, cacheWrite: 0 });
+    assert.deepStrictEqual(controller.lookupModelMetadata('house-model').cost, { input: 0.5, output: 1 });
+
+    const fromProvider = controller.lookupModelMetadata('gpt-5', { providerModel: { id: 'gpt-5', cost: { output: 8 } } });
+    assert.strictEqual(fromProvider.source, 'provider-config');
+    assert.deepStrictEqual(fromProvider.cost, { input: 1, output: 8, cacheRead: 0.125, cacheWrite: 0 });
+    assert.strictEqual(controller.readModelMetadataTable()['house-model'].tools, false);
+}));
+
+test('syncModelCatalog caches /models per provider and keeps the last good list on failure', () => withCatalog(async ({ controller, catalogFile, responses, providers }) => {
+    assert.throws(() => createModelCatalogController({ MODEL_CATALOG_FILE: catalogFile }), /缺少 MODEL_PRICING_FILE/);
+    responses['https://relay.example/v1'] = { models: ['gpt-5', 'gpt-5-mini', 'relay-special'] };
+    const first = await controller.syncModelCatalog();
+    assert.deepStrictEqual(first.results.map(item => [item.provider, item.status, item.count]), [
+        ['relay', 'ok', 3],
+        ['direct', 'unlimited', 0]
+    ]);
+
+    assert.strictEqual(controller.validateModelForProvider('relay', 'gpt-5').status, 'listed');
+    assert.strictEqual(controller.validateModelForProvider('direct', 'gpt-5').status, 'unknown');
+    const unlisted = controller.validateModelForProvider('relay', 'gpt-5-nano');
+    assert.strictEqual(unlisted.status, 'unlisted');
+    assert.deepStrictEqual(unlisted.suggestions, ['gpt-5', 'gpt-5-mini']);
+    assert.strictEqual(unlisted.metadata.matchedId, 'gpt-5-nano');
+
+    responses['https://relay.example/v1'] = new Error('socket hang up');
+    const second = await controller.syncModelCatalog({ provider: 'relay' });
+    assert.deepStrictEqual(second.results, [{ provider: 'relay', status: 'error', count: 3, error: 'socket hang up' }]);
+    const stored = JSON.parse(fs.readFileSync(catalogFile, 'utf-8'));
+    assert.strictEqual(stored.providers.relay.lastSuccessAt, '2026-07-01T00:00:00.000Z');
+    assert.deepStrictEqual(stored.providers.relay.models, ['gpt-5', 'gpt-5-mini', 'relay-special']);
+    assert.deepStrictEqual(await controller.syncModelCatalog({ provider: 'ghost' }), { error: '提供商不存在: ghost' });
+
+    const catalog = controller.buildModelCatalog({ provider: 'relay' });
+    assert.strictEqual(catalog.providers.length, 1);
+    assert.deepStrictEqual(catalog.providers[0].models.map(item => item.id), ['gpt-5', 'gpt-5-mini', 'relay-special']);
+    assert.strictEqual(catalog.providers[0].models[1].cost.output, 2);
+    assert.strictEqual(catalog.providers[0].models[2].cost, undefined);
+    assert.strictEqual(catalog.models['claude-haiku-4-5'].source, 'bundled');
+
+    providers.splice(1, 1);
+    await controller.syncModelCatalog();
+    assert.deepStrictEqual(Object.keys(controller.readCatalogCache().providers), ['relay']);
+}));
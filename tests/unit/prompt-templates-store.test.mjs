@@ -0,0 +1,180 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    parsePromptTemplateVariables,
+    renderPromptTemplate,
+    buildPromptCommandFile,
+    createPromptTemplatesController
+} = require('../../cli/prompt-templates');
+const { createMcpRequestRouter } = require('../../lib/mcp-stdio');
+
+function withStore(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-prompt-templates-'));
+    const file = path.join(root, 'codexmate-prompt-templates.json');
+    const dirs = { codex: path.join(root, 'codex-prompts'), claude: path.join(root, 'claude-commands') };
+    const controller = createPromptTemplatesController({
+        PROMPT_TEMPLATES_FILE: file,
+        CODEX_PROMPTS_DIR: dirs.codex,
+        CLAUDE_COMMANDS_DIR: dirs.claude,
+        now: () => Date.parse('2026-08-01T09:00:00.000Z')
+    });
+    return Promise.resolve(run({ controller, file, dirs })).finally(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+}
+
+test('template variables are parsed once and missing values are reported', () => {
+    assert.deepStrictEqual(parsePromptTemplateVariables('{{ lang }} {{code}}\n{{lang}} {{bad name}}'), ['code', 'lang']);
+    assert.deepStrictEqual(renderPromptTemplate('Review {{lang}}:\n{{ code }}', { lang: 'Go', code: '' }), {
+        text: 'Review Go:\n',
+        missing: ['code']
+    });
+});
+
+test('store saves, lists and deletes templates in the config file', () => withStore(({ controller, file }) => {
+    assert.deepStrictEqual(controller.listPromptTemplates().templates, []);
+    assert.match(controller.savePromptTemplate({ id: 'builtin_comment_polish', name: 'x', template: 'y' }).error, /builtin_/);
+    assert.strictEqual(controller.savePromptTemplate({ id: 'review', name: ' ', template: 'y' }).error, '模板名称不能为空');
+
+    const saved = controller.savePromptTemplate({ id: 'review', name: 'Review', template: 'Review {{lang}}: {{code}}', isBuiltin: true });
+    assert.deepStrictEqual([saved.created, saved.template.variables, saved.template.isBuiltin], [true, ['code', 'lang'], false]);
+    const generated = controller.savePromptTemplate({ name: 'Generated', template: 'hi' });
+    assert.match(generated.template.id, /^prompt_[0-9a-f]+_[0-9a-f]+$/);
+
+    const onDisk = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.deepStrictEqual(onDisk.templates.map(item => item.id), [generated.template.id, 'review']);
+    assert.strictEqual(onDisk.templates[1].createdAt, '2026-08-01T09:00:00.000Z');
+    assert.ok(!('variables' in onDisk.templates[1]));
+
+    assert.deepStrictEqual(controller.deletePromptTemplate({ id: generated.template.id }), { success: true, id: generated.template.id, commands: [] });
+    assert.strictEqual(controller.deletePromptTemplate({ id: 'nope' }).error, '模板不存在: nope');
+    assert.deepStrictEqual(controller.renderPromptTemplateById({ id: 'review', values: { lang: 'JS', code: 'x()' } }), {
+        id: 'review',
+        name: 'Review',
+        variables: ['code', 'lang'],
+        missing: [],
+        text: 'Review JS: x()'
+    });
+}));
+
+test('localStorage migration skips builtins and existing ids and records the migration', () => withStore(({ controller }) => {
+    controller.savePromptTemplate({ id: 'review', name: 'Review', template: 'server copy' });
+    const result = controller.importPromptTemplates({
+        source: 'localStorage',
+        templates: [
+            { id: 'builtin_rule_ack', name: 'Rule ack', template: 'x', isBuiltin: true },
+            { id: 'review', name: 'Review', template: 'browser copy' },
+            { id: 'prompt_1_a', name: 'Polish', template: 'Polish {{code}}', createdAt: '2026-01-01T00:00:00.000Z' },
+            { id: 'empty', name: 'Empty', template: '   ' }
+        ]
+    });
+    assert.deepStrictEqual(result.added, ['prompt_1_a']);
+    assert.deepStrictEqual(result.skipped, [{ id: 'review', reason: '模板已存在' }, { id: 'empty', reason: '模板内容不能为空' }]);
+    assert.strictEqual(result.migratedAt, '2026-08-01T09:00:00.000Z');
+
+    const listed = controller.listPromptTemplates();
+    assert.strictEqual(listed.migratedAt, '2026-08-01T09:00:00.000Z');
+    assert.deepStrictEqual(listed.templates.map(item => [item.id, item.template]), [['review', 'server copy'], ['prompt_1_a', 'Polish {{code}}']]);
+    assert.strictEqual(listed.templates[1].createdAt, '2026-01-01T00:00:00.000Z');
+
+    const overwritten = controller.importPromptTemplates({ templates: [{ id: 'review', name: 'Review', template: 'file copy' }], overwrite: true });
+    assert.deepStrictEqual(overwritten.updated, ['review']);
+    assert.strictEqual(controller.getPromptTemplate({ id: 'review' }).template.template, 'file copy');
+}));
+
+test('templates are served as MCP prompts with variables as required arguments', () => withStore(async ({ controller }) => {
+    const router = createMcpRequestRouter({ prompts: () => controller.buildMcpPrompts() });
+    const init = await router.handleRequest({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    assert.ok(init.capabilities.prompts);
+    assert.deepStrictEqual((await router.handleRequest({ jsonrpc: '2.0', id: 2, method: 'prompts/list', params: {} })).prompts, []);
+
+    controller.savePromptTemplate({ id: 'review', name: 'Review', description: 'Code review', template: 'Review {{lang}}: {{code}}' });
+    const listed = await router.handleRequest({ jsonrpc: '2.0', id: 3, method: 'prompts/list', params: {} });
+    assert.deepStrictEqual(listed.prompts, [{
+        name: 'codexmate.template.review',
+        description: 'Review: Code review',
+        arguments: [
+            { name: 'code', description: 'Template variable {{code}}', required: true },
+            { name: 'lang', description: 'Template variable {{lang}}', required: true }
+        ]
+    }]);
+
+    const got = await router.handleRequest({
+        jsonrpc: '2.0',
+        id: 4,
+        method: 'prompts/get',
+        params: { name: 'codexmate.template.review', arguments: { lang: 'Rust', code: 'fn main() {}' } }
+    });
+    assert.deepStrictEqual(got.messages, [{ role: 'user', content: { type: 'text', text: 'Review Rust: fn main() {}' } }]);
+
+    await assert.rejects(router.handleRequest({
+        jsonrpc: '2.0',
+        id: 5,
+        method: 'prompts/get',
+        params: { name: 'codexmate.template.review', arguments: { lang: 'Rust' } }
+    }), error => error.code === -32000 && /缺少模板变量: code/.test(error.message));
+}));
+
+test('command files map variables to $ARGUMENTS or positional args in order of appearance', () => {
+    const entry = { id: 'x', name: 'Review', description: '', template: 'Review {{code}}\nas {{lang}}, {{code}} again\n\n' };
+    assert.strictEqual(buildPromptCommandFile(entry), [
+        '---',
+        'description: "Review"',
+        'argument-hint: "[code] [lang]"',
+        '---',
+        '',
+        'Review $1',
+        'as $2, $1 again',
+        ''
+    ].join('\n'));
+    assert.strictEqual(
+        buildPromptCommandFile({ ...entry, description: 'Polish {{code}}', template: 'Polish:\n{{ code }}' }),
+        '---\ndescription: "Polish [code]"\nargument-hint: "[code]"\n---\n\nPolish:\n$ARGUMENTS\n'
+    );
+    const tooMany = Array.from({ length: 10 }, (_, index) => `{{v${index}}}`).join(' ');
+    assert.throws(() => buildPromptCommandFile({ ...entry, template: tooMany }), /最多支持 9 个变量/);
+});
+
+test('installed commands follow template edits and deletions but never clobber foreign files', () => withStore(({ controller, file, dirs }) => {
+    controller.savePromptTemplate({ id: 'review', name: 'Code Review', template: 'Review {{code}}' });
+    controller.savePromptTemplate({ id: 'other', name: 'Other', template: 'Other' });
+    fs.mkdirSync(dirs.claude, { recursive: true });
+    fs.writeFileSync(path.join(dirs.claude, 'code-review.md'), 'mine');
+
+    assert.match(controller.installPromptTemplateCommand({ id: 'review', tool: 'cursor' }).error, /未知工具: cursor/);
+    assert.match(controller.installPromptTemplateCommand({ id: 'review', tool: 'claude' }).error, /不是由 codexmate 安装/);
+    const codex = controller.installPromptTemplateCommand({ id: 'review', tool: 'codex' });
+    assert.deepStrictEqual([codex.command.name, codex.command.invoke, codex.command.status], ['code-review', '/prompts:code-review', 'installed']);
+    assert.ok(controller.installPromptTemplateCommand({ id: 'review', tool: 'claude', name: 'review' }).success);
+    assert.match(controller.installPromptTemplateCommand({ id: 'other', tool: 'claude', name: 'review' }).error, /已被模板「Code Review」占用/);
+
+    const codexFile = path.join(dirs.codex, 'code-review.md');
+    const claudeFile = path.join(dirs.claude, 'review.md');
+    assert.match(fs.readFileSync(codexFile, 'utf-8'), /\nReview \$ARGUMENTS\n$/);
+    fs.appendFileSync(claudeFile, '\nlocal tweak\n');
+
+    const saved = controller.savePromptTemplate({ id: 'review', name: 'Code Review', template: 'Review {{code}} in {{lang}}', installs: {} });
+    assert.deepStrictEqual(saved.commands.map(item => [item.tool, item.action, item.reason]), [
+        ['codex', 'updated', undefined],
+        ['claude', 'skipped', '命令文件已被手动修改']
+    ]);
+    assert.match(fs.readFileSync(codexFile, 'utf-8'), /\nReview \$1 in \$2\n$/);
+    assert.deepStrictEqual(saved.template.commands.map(item => [item.tool, item.status]), [['codex', 'installed'], ['claude', 'modified']]);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf-8')).templates[1].installs), ['codex', 'claude']);
+
+    const renamed = controller.installPromptTemplateCommand({ id: 'review', tool: 'codex', name: 'cr' });
+    assert.strictEqual(renamed.removedPath, codexFile);
+    assert.ok(!fs.existsSync(codexFile));
+
+    assert.match(controller.uninstallPromptTemplateCommand({ id: 'review', tool: 'claude' }).error, /已被手动修改/);
+    const deleted = controller.deletePromptTemplate({ id: 'review' });
+    assert.deepStrictEqual(deleted.commands.map(item => [item.tool, item.action]), [['codex', 'removed'], ['claude', 'skipped']]);
+    assert.ok(!fs.existsSync(path.join(dirs.codex, 'cr.md')));
+    assert.ok(fs.existsSync(claudeFile));
+    assert.strictEqual(fs.readFileSync(path.join(dirs.claude, 'code-review.md'), 'utf-8'), 'mine');
+}));
@@ -0,0 +1,122 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { classifyHealthReport, createProviderMonitorController } = require('../../cli/provider-monitor');
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULTS = { enabled: false, intervalSec: 300, timeoutMs: 8000, retentionHours: 168, degradeAfter: 2, slowMs: 0, providers: [] };
+
+function probeReport(status, durationMs, issue) {
+    return {
+        issues: issue ? [issue] : [],
+        remote: { checks: { modelProbe: { url: 'https://api.example/v1/responses', ok: !issue, status, durationMs } } }
+    };
+}
+
+async function withMonitor(run, options = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-monitor-'));
+    const clock = { value: Date.parse('2026-06-01T00:00:00.000Z') };
+    const events = [];
+    const outcomes = {};
+    const controller = createProviderMonitorController({
+        MONITOR_SETTINGS_FILE: path.join(root, 'codexmate-provider-monitor.json'),
+        MONITOR_HISTORY_FILE: path.join(root, 'codexmate-provider-health.json'),
+        DEFAULT_MONITOR_SETTINGS: DEFAULTS,
+        listTargets: () => [
+            { provider: 'relay', model: 'gpt-5' },
+            { provider: 'direct', model: 'gpt-4.1' }
+        ],
+        probe: async (target) => {
+            const next = outcomes[target.provider] || probeReport(200, 100);
+            if (next instanceof Error) throw next;
+            return next;
+        },
+        notify: (eventType, payload) => events.push({ eventType, payload }),
+        now: () => clock.value,
+        ...options
+    });
+    try {
+        await run({ root, clock, events, outcomes, controller });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('classifyHealthReport maps probe issues to error classes', () => {
+    assert.deepStrictEqual(classifyHealthReport(probeReport(200, 123.4)).sample, { ok: true, status: 200, ms: 123, error: '' });
+    const timeout = classifyHealthReport(probeReport(0, 8000, { code: 'remote-model-probe-unreachable', message: '模型探测失败: timeout' }));
+    assert.strictEqual(timeout.sample.error, 'timeout');
+    assert.strictEqual(timeout.message, '模型探测失败: timeout');
+    assert.strictEqual(classifyHealthReport(probeReport(0, 5, { code: 'remote-model-probe-unreachable', message: 'ECONNREFUSED' })).sample.error, 'network');
+    assert.strictEqual(classifyHealthReport(probeReport(401, 50, { code: 'remote-model-probe-auth-failed' })).sample.error, 'auth');
+    assert.strictEqual(classifyHealthReport(probeReport(429, 50, { code: 'remote-model-probe-http-error' })).sample.error, 'rate-limit');
+    assert.strictEqual(classifyHealthReport(probeReport(502, 50, { code: 'remote-model-probe-http-error' })).sample.error, 'server');
+    assert.strictEqual(classifyHealthReport({ issues: [{ code: 'remote-skip-base-url' }], remote: null }).sample.error, 'config');
+});
+
+test('monitor rounds record samples, fire degraded/recovered once and summarize uptime', () => withMonitor(async ({ root, clock, events, outcomes, controller }) => {
+    assert.throws(() => createProviderMonitorController({}), /缺少 MONITOR_SETTINGS_FILE/);
+    assert.strictEqual(controller.saveMonitorSettings({ enabled: true, intervalSec: 5 }).settings.intervalSec, 30);
+
+    const failure = probeReport(503, 40, { code: 'remote-model-probe-http-error', message: 'HTTP 503' });
+    const latencies = [100, 300, 200];
+    for (const ms of latencies) {
+        outcomes.relay = probeReport(200, ms);
+        await controller.runMonitorRound();
+        clock.value += HOUR;
+    }
+    outcomes.relay = failure;
+    await controller.runMonitorRound();
+    assert.strictEqual(events.length, 0);
+    clock.value += HOUR;
+    await controller.runMonitorRound();
+    clock.value += HOUR;
+    await controller.runMonitorRound();
+    assert.deepStrictEqual(events.map(item => item.eventType), ['provider.degraded']);
+    assert.strictEqual(events[0].payload.provider, 'relay');
+    assert.strictEqual(events[0].payload.errorClass, 'server');
+    assert.strictEqual(events[0].payload.consecutiveFailures, 2);
+
+    outcomes.relay = probeReport(200, 400);
+    clock.value += HOUR;
+    await controller.runMonitorRound({ provider: 'relay' });
+    assert.deepStrictEqual(events.map(item => item.eventType), ['provider.degraded', 'provider.recovered']);
+
+    const status = controller.getHealthStatus({ points: 4 });
+    assert.deepStrictEqual(status.targets.map(item => item.key), ['direct/gpt-4.1', 'relay/gpt-5']);
+    const relay = status.targets[1];
+    assert.strictEqual(relay.state, 'healthy');
+    assert.strictEqual(relay.sampleCount, 7);
+    assert.strictEqual(relay.uptime24h, 57.14);
+    assert.strictEqual(relay.avgMs24h, 250);
+    assert.strictEqual(relay.p95Ms24h, 400);
+    assert.deepStrictEqual(relay.errors24h, { server: 3 });
+    assert.deepStrictEqual(relay.points.map(item => item.ok), [false, false, false, true]);
+    assert.strictEqual(status.targets[0].sampleCount, 6);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(root, 'codexmate-provider-health.json'), 'utf-8'));
+    assert.strictEqual(stored.states['relay/gpt-5'].state, 'healthy');
+}));
+
+test('monitor honours provider filters, slow thresholds and retention', () => withMonitor(async ({ clock, events, outcomes, controller }) => {
+    controller.saveMonitorSettings({ providers: ['relay'], slowMs: 1000, degradeAfter: 1, retentionHours: 2 });
+    outcomes.relay = probeReport(200, 1500);
+    const round = await controller.runMonitorRound();
+    assert.deepStrictEqual(round.results.map(item => item.key), ['relay/gpt-5']);
+    assert.strictEqual(events[0].payload.errorClass, 'slow');
+
+    outcomes.relay = new Error('socket hang up');
+    clock.value += 3 * HOUR;
+    await controller.runMonitorRound();
+    const [relay] = controller.getHealthStatus().targets;
+    assert.strictEqual(relay.sampleCount, 1);
+    assert.strictEqual(relay.lastSample.error, 'network');
+    assert.strictEqual(relay.lastMessage, 'socket hang up');
+
+    controller.clearHealthHistory();
+    assert.deepStrictEqual(controller.getHealthStatus().targets, []);
+}));
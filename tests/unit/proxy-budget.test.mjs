@@ -0,0 +1,301 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { close, findFreePort, listen, post, waitFor } from './helpers/http-helpers.mjs';
+
+const require = createRequire(import.meta.url);
+const { createProxyBudgetController } = require('../../cli/proxy-budget');
+const { createBuiltinProxyRuntimeController } = require('../../cli/builtin-proxy');
+const { createBuiltinClaudeProxyRuntimeController } = require('../../cli/claude-proxy');
+const { createUpstreamPool } = require('../../cli/upstream-pool');
+
+const DEFAULT_BUDGET_SETTINGS = { enabled: false, warnRatio: 0.8, budgets: [], pricing: {} };
+
+function createBudget(tmpDir, extra = {}) {
+    return createProxyBudgetController({
+        BUDGET_SETTINGS_FILE: path.join(tmpDir, 'codexmate-budgets.json'),
+        BUDGET_STATE_FILE: path.join(tmpDir, 'codexmate-budget-state.json'),
+        DEFAULT_BUDGET_SETTINGS,
+        ...extra
+    });
+}
+
+function createResponsesUpstream(usage, seen) {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            seen.push(req.url);
+            const response = {
+                id: 'resp_budget',
+                model: 'gpt-test',
+                output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'ok' }] }],
+                usage
+            };
+            if (JSON.parse(body).stream === true) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write(`event: response.created\ndata: ${JSON.stringify({ type: 'response.created', response: { id: response.id } })}\n\n`);
+                res.write(`event: response.output_text.delta\ndata: ${JSON.stringify({ type: 'response.output_text.delta', delta: 'ok' })}\n\n`);
+                res.end(`event: response.completed\ndata: ${JSON.stringify({ type: 'response.completed', response })}\n\n`);
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    });
+}
+
+async function startBudgetedBuiltinProxy(tmpDir, config, budget, upstreams) {
+    const controller = createBuiltinProxyRuntimeController({
+        fs,
+        https,
+        CONFIG_FILE: path.join(tmpDir, 'config.toml'),
+        BUILTIN_PROXY_SETTINGS_FILE: path.join(tmpDir, 'codexmate-proxy.json'),
+        DEFAULT_BUILTIN_PROXY_SETTINGS: { host: '127.0.0.1', port: 8318, authSource: 'provider', timeoutMs: 5000 },
+        BUILTIN_PROXY_PROVIDER_NAME: 'codexmate-proxy',
+        CODEXMATE_MANAGED_MARKER: 'codexmate-managed',
+        HTTP_KEEP_ALIVE_AGENT: new http.Agent({ keepAlive: false }),
+        HTTPS_KEEP_ALIVE_AGENT: new https.Agent({ keepAlive: false }),
+        readConfig: () => config,
+        writeConfig: () => {},
+        readConfigOrVirtualDefault: () => ({ config, isVirtual: false }),
+        resolveAuthTokenFromCurrentProfile: () => '',
+        isPlainObject: (value) => !!value && typeof value === 'object' && !Array.isArray(value),
+        isBuiltinManagedProvider: (name) => name === 'codexmate-proxy',
+        findProviderSectionRanges: () => [],
+        findProviderDescendantSectionRanges: () => [],
+        normalizeLegacySegments: (value) => value,
+        buildLegacySegmentsKey: (value) => String(value),
+        formatHostForUrl: (host) => host,
+        proxyBudget: budget
+    });
+    const settings = controller.normalizeBuiltinProxySettings({
+        host: '127.0.0.1',
+        port: 8318,
+        upstreams: upstreams.map((provider) => ({ provider }))
+    });
+    const resolved = controller.resolveBuiltinProxyUpstreams(settings);
+    const runtime = await controller.createBuiltinProxyServer(
+        { ...settings, port: 0 },
+        createUpstreamPool(resolved.upstreams, { strategy: 'failover' })
+    );
+    return { controller, runtime, port: runtime.server.address().port };
+}
+
+test('proxy budget counts usage per period, warns once and persists counters', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-budget-'));
+    let current = new Date(2026, 0, 15, 10, 0, 0).getTime();
+    const events = [];
+    try {
+        assert.throws(() => createProxyBudgetController({}), /缺少 BUDGET_SETTINGS_FILE/);
+        const budget = createBudget(tmpDir, {
+            now: () => current,
+            notify: (eventType, payload) => events.push({ eventType, payload })
+        });
+        const saved = budget.saveBudgetSettings({
+            enabled: true,
+            warnRatio: 0.5,
+            budgets: [
+                { provider: 'openai', period: 'daily', maxTokens: 100 },
+                { provider: 'openai', model: 'gpt-priced', period: 'monthly', maxUsd: 1 },
+                { provider: 'openai', period: 'daily' }
+            ],
+            pricing: { 'gpt-priced': { input: 10000, output: 20000 } }
+        });
+        assert.deepStrictEqual(saved.settings.budgets.map((item) => item.id), ['openai:*:daily', 'openai:gpt-priced:monthly']);
+
+        budget.recordBudgetUsage({ provider: 'openai', model: 'gpt-test', usage: { inputTokens: 40, outputTokens: 20, totalTokens: 60 } });
+        assert.strictEqual(budget.checkBudget({ provider: 'openai', model: 'gpt-test' }), null);
+        assert.deepStrictEqual(events.map((item) => item.eventType), ['budget.warning']);
+        assert.strictEqual(events[0].payload.budgetId, 'openai:*:daily');
+
+        budget.recordBudgetUsage({ provider: 'openai', model: 'gpt-priced', usage: { inputTokens: 30, outputTokens: 20, totalTokens: 50 } });
+        const blocked = budget.checkBudget({ provider: 'openai', model: 'gpt-test' });
+        assert.strictEqual(blocked.budget.id, 'openai:*:daily');
+        assert.strictEqual(blocked.retryAfterSec, 14 * 3600);
+        assert.strictEqual(budget.checkBudget({ provider: 'other', model: 'gpt-test' }), null);
+        assert.deepStrictEqual(events.map((item) => item.eventType), ['budget.warning', 'budget.exceeded', 'budget.warning']);
+
+        const status = budget.getBudgetStatus();
+        const daily = status.budgets.find((item) => item.id === 'openai:*:daily');
+        assert.strictEqual(daily.usedTokens, 110);
+        assert.strictEqual(daily.remainingTokens, 0);
+        assert.strictEqual(daily.state, 'exceeded');
+        const monthly = status.budgets.find((item) => item.id === 'openai:gpt-priced:monthly');
+        assert.strictEqual(monthly.usedUsd, 0.7);
+        assert.strictEqual(monthly.remainingUsd, 0.3);
+
+        const reloaded = createBudget(tmpDir, { now: () => current });
+        assert.strictEqual(reloaded.getBudgetStatus().budgets[0].usedTokens, 110);
+
+        current = new Date(2026, 0, 16, 0, 0, 1).getTime();
+        assert.strictEqual(reloaded.checkBudget({ provider: 'openai', model: 'gpt-test' }), null);
+        assert.strictEqual(reloaded.getBudgetStatus().budgets[1].usedUsd, 0.7);
+        assert.strictEqual(reloaded.resetBudgetUsage('openai:gpt-priced:monthly').success, true);
+        assert.strictEqual(reloaded.getBudgetStatus().budgets[1].usedUsd, 0);
+        assert.match(reloaded.resetBudgetUsage('missing').error, /missing/);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('proxy budget picks up settings and counters changed by another process', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-budget-reload-'));
+    const current = new Date(2026, 0, 15, 10, 0, 0).getTime();
+    try {
+        const running = createBudget(tmpDir, { now: () => current });
+        const cli = createBudget(tmpDir, { now: () => current });
+        cli.saveBudgetSettings({ enabled: true, budgets: [{ provider: 'openai', period: 'daily', maxTokens: 1000 }] });
+        running.recordBudgetUsage({ provider: 'openai', model: 'gpt-test', usage: { inputTokens: 60, outputTokens: 40, totalTokens: 100 } });
+        assert.strictEqual(running.checkBudget({ provider: 'openai', model: 'gpt-test' }), null);
+
+        // 运行中的代理无需重启即可看到 CLI 收紧的额度
+        cli.saveBudgetSettings({ budgets: [{ provider: 'openai', period: 'daily', maxTokens: 50 }] });
+        assert.strictEqual(running.checkBudget({ provider: 'openai', model: 'gpt-test' }).budget.id, 'openai:*:daily');
+
+        assert.strictEqual(cli.resetBudgetUsage('openai:*:daily').success, true);
+        assert.strictEqual(running.checkBudget({ provider: 'openai', model: 'gpt-test' }), null);
+        running.recordBudgetUsage({ provider: 'openai', model: 'gpt-test', usage: { inputTokens: 5, outputTokens: 5, totalTokens: 10 } });
+        assert.strictEqual(cli.getBudgetStatus().budgets[0].usedTokens, 10);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('builtin proxy skips upstreams over budget and answers 429 when all are exhausted', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-budget-proxy-'));
+    const seen = [];
+    const primary = createResponsesUpstream({ input_tokens: 8, output_tokens: 4, total_tokens: 12 }, seen);
+    const alternate = createResponsesUpstream({ input_tokens: 1, output_tokens: 1, total_tokens: 2 }, seen);
+    const primaryPort = await listen(primary);
+    const alternatePort = await listen(alternate);
+    const config = {
+        model_provider: 'primary',
+        model_providers: {
+            primary: { base_url: `http://127.0.0.1:${primaryPort}/v1`, preferred_auth_method: 'sk-primary' },
+            alternate: { base_url: `http://127.0.0.1:${alternatePort}/v1`, preferred_auth_method: 'sk-alternate' }
+        }
+    };
+    const budget = createBudget(tmpDir);
+    budget.saveBudgetSettings({
+        enabled: true,
+        budgets: [
+            { provider: 'primary', period: 'daily', maxTokens: 10 },
+            { provider: 'alternate', model: 'gpt-test', period: 'monthly', maxTokens: 2 }
+        ]
+    });
+    const { controller, runtime, port: proxyPort } = await startBudgetedBuiltinProxy(tmpDir, config, budget, ['primary', 'alternate']);
+    const usedTokens = (id) => budget.getBudgetStatus().budgets.find((item) => item.id === id).usedTokens;
+
+    try {
+        const first = await post(proxyPort, '/v1/responses', { model: 'gpt-test', input: 'hello' });
+        assert.strictEqual(first.status, 200);
+        await waitFor(() => usedTokens('primary:*:daily') === 12);
+
+        const second = await post(proxyPort, '/v1/responses', { model: 'gpt-test', input: 'hello' });
+        assert.strictEqual(second.status, 200);
+        await waitFor(() => usedTokens('alternate:gpt-test:monthly') === 2);
+        assert.deepStrictEqual(seen, ['/v1/responses', '/v1/responses']);
+
+        const third = await post(proxyPort, '/v1/responses', { model: 'gpt-test', input: 'hello' });
+        assert.strictEqual(third.status, 429);
+        assert.ok(Number(third.headers['retry-after']) > 0);
+        const body = JSON.parse(third.body);
+        assert.strictEqual(body.error.code, 'budget_exceeded');
+        assert.match(body.error.message, /primary/);
+        assert.strictEqual(seen.length, 2);
+        assert.strictEqual(controller.getBuiltinProxyStatus().budgets.budgets.length, 2);
+    } finally {
+        await close(runtime.server);
+        await close(primary);
+        await close(alternate);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('builtin proxy counts usage from streamed responses against the budget', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-budget-stream-'));
+    const seen = [];
+    const upstream = createResponsesUpstream({ input_tokens: 8, output_tokens: 4, total_tokens: 12 }, seen);
+    const upstreamPort = await listen(upstream);
+    const config = {
+        model_provider: 'primary',
+        model_providers: {
+            primary: { base_url: `http://127.0.0.1:${upstreamPort}/v1`, preferred_auth_method: 'sk-primary' }
+        }
+    };
+    const budget = createBudget(tmpDir);
+    budget.saveBudgetSettings({ enabled: true, budgets: [{ provider: 'primary', period: 'daily', maxTokens: 10 }] });
+    const { runtime, port } = await startBudgetedBuiltinProxy(tmpDir, config, budget, ['primary']);
+
+    try {
+        const first = await post(port, '/v1/responses', { model: 'gpt-test', input: 'hello', stream: true });
+        assert.strictEqual(first.status, 200);
+        assert.match(first.headers['content-type'], /text\/event-stream/);
+        assert.match(first.body, /response\.completed/);
+        await waitFor(() => budget.getBudgetStatus().budgets[0].usedTokens === 12);
+
+        const second = await post(port, '/v1/responses', { model: 'gpt-test', input: 'hello', stream: true });
+        assert.strictEqual(second.status, 429);
+        assert.strictEqual(JSON.parse(second.body).error.code, 'budget_exceeded');
+        assert.strictEqual(seen.length, 1);
+    } finally {
+        await close(runtime.server);
+        await close(upstream);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('claude proxy answers rate_limit_error once its provider budget is used up', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-budget-claude-'));
+    const seen = [];
+    const upstream = createResponsesUpstream({ input_tokens: 6, output_tokens: 5, total_tokens: 11 }, seen);
+    const upstreamPort = await listen(upstream);
+    const config = {
+        model_provider: 'responses-demo',
+        model_providers: {
+            'responses-demo': { base_url: `http://127.0.0.1:${upstreamPort}/v1`, wire_api: 'responses', preferred_auth_method: 'sk-demo' }
+        }
+    };
+    const budget = createBudget(tmpDir);
+    budget.saveBudgetSettings({ enabled: true, budgets: [{ provider: 'responses-demo', maxTokens: 10 }] });
+    const controller = createBuiltinClaudeProxyRuntimeController({
+        BUILTIN_CLAUDE_PROXY_SETTINGS_FILE: path.join(tmpDir, 'codexmate-claude-proxy.json'),
+        DEFAULT_BUILTIN_CLAUDE_PROXY_SETTINGS: { host: '127.0.0.1', port: 8328, provider: '', authSource: 'provider', timeoutMs: 5000 },
+        BUILTIN_PROXY_PROVIDER_NAME: 'codexmate-proxy',
+        MAX_API_BODY_SIZE: 1024 * 1024,
+        HTTP_KEEP_ALIVE_AGENT: new http.Agent({ keepAlive: false }),
+        HTTPS_KEEP_ALIVE_AGENT: new https.Agent({ keepAlive: false }),
+        readConfigOrVirtualDefault: () => ({ config, isVirtual: false }),
+        resolveBuiltinProxyProviderName: (name, providers, preferred) => name || preferred,
+        resolveAuthTokenFromCurrentProfile: () => '',
+        proxyBudget: budget
+    });
+    const port = await findFreePort();
+    const started = await controller.startBuiltinClaudeProxyRuntime({ port });
+    assert.strictEqual(started.success, true);
+
+    try {
+        const message = { model: 'claude-test', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+        const first = await post(port, '/v1/messages', message);
+        assert.strictEqual(first.status, 200);
+        await waitFor(() => budget.getBudgetStatus().budgets[0].usedTokens === 11);
+
+        const second = await post(port, '/v1/messages', message);
+        assert.strictEqual(second.status, 429);
+        assert.ok(Number(second.headers['retry-after']) > 0);
+        const body = JSON.parse(second.body);
+        assert.strictEqual(body.type, 'error');
+        assert.strictEqual(body.error.type, 'rate_limit_error');
+        assert.strictEqual(seen.length, 1);
+        assert.strictEqual(controller.getBuiltinClaudeProxyStatus().budgets.budgets[0].state, 'exceeded');
+    } finally {
+        await controller.stopBuiltinClaudeProxyRuntime();
+        await close(upstream);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
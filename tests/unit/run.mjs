@@ -39,6 +39,22 @@ await import(pathToFileURL(path.join(__dirname, 'session-browser-timeline-regres
 await import(pathToFileURL(path.join(__dirname, 'session-detail-preview-fast.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'session-usage.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'session-usage-backend.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'session-model.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'session-search-index.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'config-history.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'doctor-fix.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'config-bundle.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'directory-bindings.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'auth-profile-expiry.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'provider-monitor.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'model-catalog.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'usage-ledger.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'session-analytics.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'session-events.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'mcp-servers.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'claude-settings.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'prompt-templates-store.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'external-plugins.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'agents-diff-ui.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'text-diff.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'claude-settings-sync.test.mjs')));
@@ -48,6 +64,14 @@ await import(pathToFileURL(path.join(__dirname, 'providers-validation.test.mjs')
 await import(pathToFileURL(path.join(__dirname, 'provider-switch-regression.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'codex-proxy-options.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'claude-proxy-adapter.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'chat-completions-stream.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'upstream-pool.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'traffic-recorder.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'proxy-budget.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'web-auth.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'web-read-only-secrets.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'web-tls.test.mjs')));
+await import(pathToFileURL(path.join(__dirname, 'cli-sse-utils.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'coderabbit-workflows.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'ci-workflow-contract.test.mjs')));
 await import(pathToFileURL(path.join(__dirname, 'lint-contract.test.mjs')));
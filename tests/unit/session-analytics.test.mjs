@@ -0,0 +1,105 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { readShellProgram, createSessionAnalyticsController } = require('../../cli/session-analytics');
+
+const NOW = Date.parse('2026-07-10T12:00:00.000Z');
+
+function jsonl(records) {
+    return records.map(item => JSON.stringify(item)).join('\n') + '\n';
+}
+
+async function withAnalytics(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-analytics-'));
+    const sessions = [];
+    const controller = createSessionAnalyticsController({
+        listSessions: async ({ source }) => sessions.filter(item => source === 'all' || item.source === source),
+        now: () => NOW
+    });
+    const addSession = (source, name, content, extra = {}) => {
+        const filePath = path.join(root, name);
+        fs.writeFileSync(filePath, content);
+        const mtime = new Date(extra.updatedAt || '2026-07-10T08:00:00Z');
+        fs.utimesSync(filePath, mtime, mtime);
+        sessions.push({ source, filePath, title: name, updatedAt: mtime.toISOString(), ...extra });
+        return filePath;
+    };
+    try {
+        await run({ controller, addSession });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('readShellProgram skips cd, env assignments and sudo', () => {
+    assert.strictEqual(readShellProgram('cd /repo && npm test'), 'npm');
+    assert.strictEqual(readShellProgram('NODE_ENV=test sudo ./node_modules/.bin/jest --ci'), 'jest');
+    assert.strictEqual(readShellProgram('"/usr/bin/git" status'), 'git');
+});
+
+test('session analytics aggregates tools, shell commands, reply latency and abandoned sessions', () => withAnalytics(async ({ controller, addSession }) => {
+    addSession('codex', 'codex.jsonl', jsonl([
+        { timestamp: '2026-07-10T08:00:00Z', type: 'session_meta', payload: { id: 'cx-1', cwd: '/work/app' } },
+        { timestamp: '2026-07-10T08:00:00Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: '<environment_context>...</environment_context>' }] } },
+        { timestamp: '2026-07-10T08:00:10Z', type: 'event_msg', payload: { type: 'user_message', message: 'run the tests' } },
+        { timestamp: '2026-07-10T08:00:10Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'run the tests' }] } },
+        { timestamp: '2026-07-10T08:00:13Z', type: 'response_item', payload: { type: 'function_call', name: 'shell', call_id: 'c1', arguments: JSON.stringify({ command: ['bash', '-lc', 'cd /work/app && npm test'] }) } },
+        { timestamp: '2026-07-10T08:00:20Z', type: 'response_item', payload: { type: 'function_call_output', call_id: 'c1', output: JSON.stringify({ output: 'fail', metadata: { exit_code: 1 } }) } },
+        { timestamp: '2026-07-10T08:00:21Z', type: 'response_item', payload: { type: 'function_call', name: 'exec_command', call_id: 'c2', arguments: JSON.stringify({ cmd: 'git status' }) } },
+        { timestamp: '2026-07-10T08:00:22Z', type: 'response_item', payload: { type: 'function_call_output', call_id: 'c2', output: 'Exit code: 0\nWall time: 0.1s' } },
+        { timestamp: '2026-07-10T08:00:23Z', type: 'response_item', payload: { type: 'custom_tool_call', name: 'apply_patch', call_id: 'c3', input: '*** Begin Patch' } }
+    ]));
+    addSession('claude', 'claude.jsonl', jsonl([
+        { type: 'user', sessionId: 'cl-1', cwd: '/work/api', timestamp: '2026-07-10T07:00:00Z', message: { role: 'user', content: 'list files' } },
+        { type: 'assistant', timestamp: '2026-07-10T07:00:30Z', message: { model: 'claude-sonnet-4-5', content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'ls -la' } }] } },
+        { type: 'user', timestamp: '2026-07-10T07:00:31Z', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', is_error: true, content: 'denied' }] } },
+        { type: 'assistant', timestamp: '2026-07-10T07:00:32Z', message: { model: 'claude-sonnet-4-5', content: [{ type: 'tool_use', id: 't2', name: 'Read', input: { file_path: 'a' } }] } },
+        { type: 'user', timestamp: '2026-07-10T07:05:00Z', message: { role: 'user', content: 'are you there?' } }
+    ]), { updatedAt: '2026-07-10T07:05:00Z' });
+    addSession('gemini', 'gemini.json', JSON.stringify({
+        sessionId: 'gm-1',
+        projectRoot: '/work/app',
+        messages: [
+            { type: 'user', content: 'check', timestamp: '2026-07-10T09:00:00Z' },
+            { type: 'gemini', timestamp: '2026-07-10T09:02:00Z', toolCalls: [{ id: 'g1', name: 'run_shell_command', args: { command: 'npm run lint' }, status: 'error' }] }
+        ]
+    }), { updatedAt: '2026-07-10T09:02:00Z' });
+    addSession('codebuddy', 'old.jsonl', jsonl([
+        { type: 'message', role: 'user', sessionId: 'cb-1', cwd: '/work/web', timestamp: '2026-06-01T10:00:00Z', content: 'hi' },
+        { type: 'function_call', callId: 'b1', name: 'Read', arguments: '{}', timestamp: '2026-06-01T10:00:01Z' },
+        { type: 'function_call_result', callId: 'b1', status: 'incomplete', timestamp: '2026-06-01T10:00:02Z' }
+    ]), { updatedAt: '2026-06-01T10:00:02Z' });
+
+    const report = await controller.buildSessionAnalytics({ timeRangePreset: '7d' });
+    assert.deepStrictEqual(report.sessions, { total: 3, withTools: 3, abandoned: 1 });
+    assert.deepStrictEqual(report.calls, { total: 6, failures: 3 });
+    assert.deepStrictEqual(report.tools.map(item => [item.name, item.calls, item.failures]), [
+        ['apply_patch', 1, 0], ['Bash', 1, 1], ['exec_command', 1, 0], ['Read', 1, 0], ['run_shell_command', 1, 1], ['shell', 1, 1]
+    ]);
+    assert.deepStrictEqual(report.programs.map(item => [item.name, item.calls, item.failures, item.sessions]), [
+        ['npm', 2, 2, 2], ['git', 1, 0, 1], ['ls', 1, 1, 1]
+    ]);
+    assert.strictEqual(report.programs[0].failureRate, 100);
+    assert.deepStrictEqual(report.recentCommands.map(item => [item.command, item.failed]), [
+        ['npm run lint', true], ['git status', false], ['cd /work/app && npm test', true], ['ls -la', true]
+    ]);
+    assert.deepStrictEqual(
+        { count: report.latency.count, avgMs: report.latency.avgMs, p95Ms: report.latency.p95Ms },
+        { count: 3, avgMs: 51000, p95Ms: 120000 }
+    );
+    assert.deepStrictEqual(report.latency.buckets.map(item => item.count), [1, 0, 1, 1, 0]);
+    assert.deepStrictEqual(report.abandonedSessions.map(item => [item.sessionId, item.lastPrompt]), [['cl-1', 'are you there?']]);
+    assert.deepStrictEqual(report.projects, [{ path: '/work/app', sessions: 2 }, { path: '/work/api', sessions: 1 }]);
+
+    const filtered = await controller.buildSessionAnalytics({ path: '/WORK/APP', source: 'codex' });
+    assert.strictEqual(filtered.sessions.total, 1);
+    assert.deepStrictEqual(filtered.tools.map(item => item.name), ['apply_patch', 'exec_command', 'shell']);
+    assert.strictEqual(filtered.latency.count, 1);
+
+    const all = await controller.buildSessionAnalytics({ source: 'codebuddy' });
+    assert.deepStrictEqual(all.calls, { total: 1, failures: 1 });
+}));
@@ -1,5 +1,9 @@
 import assert from 'assert';
-import { buildConvertedSessionJsonl } from '../../web-ui/logic.session-convert.mjs';
+import {
+    buildConvertedSessionJsonl,
+    getConvertTargetSource,
+    listConvertTargetSources
+} from '../../web-ui/logic.session-convert.mjs';
 
 test('buildConvertedSessionJsonl emits codex jsonl', () => {
     const text = buildConvertedSessionJsonl('codex', {
@@ -41,3 +45,12 @@ test('buildConvertedSessionJsonl emits claude jsonl', () => {
     assert.strictEqual(lines[1].message.content, 'hello');
 });
 
+
+test('session convert targets cover every other supported cli', () => {
+    assert.deepStrictEqual(listConvertTargetSources('gemini'), ['codex', 'claude', 'codebuddy']);
+    assert.deepStrictEqual(listConvertTargetSources('unknown'), []);
+    assert.strictEqual(getConvertTargetSource('codex'), 'claude');
+    assert.strictEqual(getConvertTargetSource('codebuddy'), 'codex');
+    assert.strictEqual(getConvertTargetSource('claude', 'gemini'), 'gemini');
+    assert.strictEqual(getConvertTargetSource('claude', 'claude'), 'codex');
+});
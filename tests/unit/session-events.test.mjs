@@ -0,0 +1,114 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { parseApplyPatch, buildSessionEvents, summarizeSessionEvents } = require('../../cli/session-events');
+const { readSessionModel } = require('../../cli/session-convert-io');
+
+function jsonl(records) {
+    return records.map(item => JSON.stringify(item)).join('\n') + '\n';
+}
+
+async function readEvents(source, content) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-events-'));
+    const filePath = path.join(root, 'session.jsonl');
+    try {
+        fs.writeFileSync(filePath, content);
+        return buildSessionEvents(await readSessionModel(filePath, source));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+const PATCH = [
+    '*** Begin Patch',
+    '*** Update File: src/app.js',
+    '*** Move to: src/main.js',
+    '@@ function start()',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '*** Add File: docs/new.md',
+    '+# Title',
+    '+body',
+    '*** Delete File: old.txt',
+    '*** End Patch'
+].join('\n');
+
+test('parseApplyPatch rebuilds before/after text for each file in an apply_patch body', () => {
+    assert.deepStrictEqual(parseApplyPatch(`apply_patch <<'EOF'\n${PATCH}\nEOF`), [
+        { path: 'src/app.js', action: 'update', moveTo: 'src/main.js', before: '@@ function start()\nconst a = 1;\nconst b = 2;', after: '@@ function start()\nconst a = 1;\nconst b = 3;' },
+        { path: 'docs/new.md', action: 'add', moveTo: '', before: '', after: '# Title\nbody' },
+        { path: 'old.txt', action: 'delete', moveTo: '', before: '', after: '' }
+    ]);
+    assert.deepStrictEqual(parseApplyPatch('no patch here'), []);
+});
+
+test('codex sessions expand into typed events with paired tool output and patch diffs', async () => {
+    const events = await readEvents('codex', jsonl([
+        { timestamp: '2026-07-10T08:00:00Z', type: 'session_meta', payload: { id: 'cx-1', cwd: '/work/app' } },
+        { timestamp: '2026-07-10T08:00:10Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'bump b' }] } },
+        { timestamp: '2026-07-10T08:00:12Z', type: 'response_item', payload: { type: 'reasoning', summary: [{ type: 'summary_text', text: 'Need to edit app.js' }] } },
+        { timestamp: '2026-07-10T08:00:13Z', type: 'response_item', payload: { type: 'function_call', name: 'shell', call_id: 'c1', arguments: JSON.stringify({ command: ['bash', '-lc', 'npm test'] }) } },
+        { timestamp: '2026-07-10T08:00:20Z', type: 'response_item', payload: { type: 'function_call_output', call_id: 'c1', output: JSON.stringify({ output: '1 failing', metadata: { exit_code: 1 } }) } },
+        { timestamp: '2026-07-10T08:00:21Z', type: 'response_item', payload: { type: 'custom_tool_call', name: 'apply_patch', call_id: 'c2', input: PATCH } },
+        { timestamp: '2026-07-10T08:00:22Z', type: 'response_item', payload: { type: 'custom_tool_call_output', call_id: 'c2', output: 'Success.' } },
+        { timestamp: '2026-07-10T08:00:23Z', type: 'response_item', payload: { type: 'function_call_output', call_id: 'missing', output: 'stray' } },
+        { timestamp: '2026-07-10T08:00:25Z', type: 'response_item', payload: { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Done.' }] } }
+    ]));
+
+    assert.deepStrictEqual(events.map(event => [event.index, event.type, event.role]), [
+        [0, 'message', 'user'], [1, 'reasoning', 'assistant'], [2, 'tool_call', 'assistant'],
+        [3, 'tool_call', 'assistant'], [4, 'tool_result', 'user'], [5, 'message', 'assistant']
+    ]);
+    const shell = events[2];
+    assert.strictEqual(shell.command, 'npm test');
+    assert.strictEqual(shell.status, 'error');
+    assert.deepStrictEqual(
+        { output: shell.result.output, exitCode: shell.result.exitCode, durationMs: shell.result.durationMs },
+        { output: '1 failing', exitCode: 1, durationMs: 8000 }
+    );
+
+    const patch = events[3];
+    assert.strictEqual(patch.status, 'ok');
+    assert.strictEqual(patch.arguments, PATCH);
+    assert.deepStrictEqual(patch.patch.stats, { files: 3, added: 3, removed: 1 });
+    assert.deepStrictEqual(patch.patch.files[0].lines, [
+        { type: 'context', value: '@@ function start()' },
+        { type: 'context', value: 'const a = 1;' },
+        { type: 'del', value: 'const b = 2;' },
+        { type: 'add', value: 'const b = 3;' }
+    ]);
+    assert.deepStrictEqual(patch.patch.files.map(file => [file.path, file.action, file.lines.length]), [
+        ['src/app.js', 'update', 4], ['docs/new.md', 'add', 2], ['old.txt', 'delete', 0]
+    ]);
+    assert.strictEqual(events[4].callId, 'missing');
+
+    assert.deepStrictEqual(summarizeSessionEvents(events), {
+        messages: 2, reasoning: 1, toolCalls: 2, toolErrors: 1, patches: 1,
+        startedAt: '2026-07-10T08:00:10.000Z', endedAt: '2026-07-10T08:00:25.000Z'
+    });
+});
+
+test('claude Edit and Write tool calls render as file diffs', async () => {
+    const events = await readEvents('claude', jsonl([
+        { type: 'user', sessionId: 'cl-1', cwd: '/work/api', timestamp: '2026-07-10T07:00:00Z', message: { role: 'user', content: 'fix it' } },
+        { type: 'assistant', timestamp: '2026-07-10T07:00:05Z', message: { content: [
+            { type: 'text', text: 'Editing.' },
+            { type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: '/work/api/a.js', old_string: 'x = 1\ny = 2', new_string: 'x = 1\ny = 3' } },
+            { type: 'tool_use', id: 't2', name: 'Write', input: { file_path: '/work/api/b.js', content: 'ok\n' } }
+        ] } },
+        { type: 'user', timestamp: '2026-07-10T07:00:06Z', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', is_error: true, content: 'old_string not found' }] } }
+    ]));
+
+    assert.deepStrictEqual(events.map(event => event.type), ['message', 'message', 'tool_call', 'tool_call']);
+    assert.strictEqual(events[2].status, 'error');
+    assert.strictEqual(events[2].result.output, 'old_string not found');
+    assert.deepStrictEqual(events[2].patch.files[0].stats, { added: 1, removed: 1 });
+    assert.deepStrictEqual(events[3].patch.files.map(file => [file.action, file.lines]), [['add', [{ type: 'add', value: 'ok' }]]]);
+    assert.strictEqual(events[3].status, 'pending');
+    assert.strictEqual(events[3].result, null);
+});
@@ -0,0 +1,228 @@
+import assert from 'assert';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    createSessionModel,
+    applySessionRecord,
+    applyGeminiConversation,
+    finalizeSessionModel,
+    buildSessionRecords,
+    serializeSessionRecords
+} = require('../../cli/session-model');
+
+function readModel(source, records, options = {}) {
+    const model = createSessionModel(source);
+    for (const record of records) {
+        applySessionRecord(model, record);
+    }
+    return finalizeSessionModel(model, options);
+}
+
+const codexRecords = [
+    { type: 'session_meta', timestamp: '2026-05-01T00:00:00.000Z', payload: { id: 'codex-1', cwd: '/repo', model_provider: 'openai' } },
+    { type: 'turn_context', timestamp: '2026-05-01T00:00:00.000Z', payload: { cwd: '/repo', model: 'gpt-5-codex' } },
+    { type: 'response_item', timestamp: '2026-05-01T00:00:00.500Z', payload: { type: 'message', role: 'developer', content: [{ type: 'input_text', text: 'sandbox rules' }] } },
+    {
+        type: 'response_item',
+        timestamp: '2026-05-01T00:00:01.000Z',
+        payload: {
+            type: 'message',
+            role: 'user',
+            content: [
+                { type: 'input_text', text: 'list files' },
+                { type: 'input_image', image_url: 'data:image/png;base64,iVBORw0KGgo=' }
+            ]
+        }
+    },
+    { type: 'response_item', timestamp: '2026-05-01T00:00:02.000Z', payload: { type: 'reasoning', summary: [{ type: 'summary_text', text: 'Need ls' }], encrypted_content: 'gAAAA' } },
+    { type: 'response_item', timestamp: '2026-05-01T00:00:02.000Z', payload: { type: 'function_call', name: 'shell', arguments: '{"command":["ls"]}', call_id: 'call_1' } },
+    { type: 'response_item', timestamp: '2026-05-01T00:00:03.000Z', payload: { type: 'function_call_output', call_id: 'call_1', output: 'a.txt\nb.txt' } },
+    { type: 'response_item', timestamp: '2026-05-01T00:00:04.000Z', payload: { type: 'web_search_call', status: 'completed' } },
+    { type: 'response_item', timestamp: '2026-05-01T00:00:05.000Z', payload: { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'two files' }] } },
+    {
+        type: 'event_msg',
+        timestamp: '2026-05-01T00:00:05.000Z',
+        payload: {
+            type: 'token_count',
+            info: {
+                total_token_usage: { input_tokens: 120, cached_input_tokens: 20, output_tokens: 30, reasoning_output_tokens: 10, total_tokens: 150 },
+                last_token_usage: { input_tokens: 120, cached_input_tokens: 20, output_tokens: 30, reasoning_output_tokens: 10, total_tokens: 150 }
+            }
+        }
+    }
+];
+
+test('session model maps codex tool calls, images and usage into claude content blocks', () => {
+    const model = readModel('codex', codexRecords);
+    assert.strictEqual(model.sessionId, 'codex-1');
+    assert.strictEqual(model.model, 'gpt-5-codex');
+    assert.strictEqual(model.provider, 'openai');
+    assert.deepStrictEqual(model.turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+
+    const { records, report } = buildSessionRecords('claude', model, { sessionId: 'out-1', now: Date.parse('2026-05-02T00:00:00.000Z') });
+    assert.strictEqual(records.length, 4);
+    assert.strictEqual(records[0].parentUuid, null);
+    assert.strictEqual(records[1].parentUuid, records[0].uuid);
+    assert.deepStrictEqual(records[0].message.content, [
+        { type: 'text', text: 'list files' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } }
+    ]);
+    assert.deepStrictEqual(records[1].message.content, [
+        { type: 'tool_use', id: 'call_1', name: 'shell', input: { command: ['ls'] } }
+    ]);
+    assert.strictEqual(records[1].message.model, 'gpt-5-codex');
+    assert.deepStrictEqual(records[2].message.content, [
+        { type: 'tool_result', tool_use_id: 'call_1', content: 'a.txt\nb.txt' }
+    ]);
+    assert.strictEqual(records[3].message.content, 'two files');
+    assert.deepStrictEqual(records[3].message.usage, {
+        input_tokens: 100,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 20,
+        output_tokens: 30
+    });
+    assert.ok(records.every(record => record.sessionId === 'out-1' && record.cwd === '/repo'));
+
+    assert.strictEqual(report.toolCalls, 1);
+    assert.strictEqual(report.toolResults, 1);
+    assert.strictEqual(report.images, 1);
+    const unmapped = Object.fromEntries(report.unmapped.map(item => [item.kind, item.count]));
+    assert.deepStrictEqual(unmapped, {
+        'codex.developer-message': 1,
+        'codex.web_search_call': 1,
+        'reasoning.unsigned': 1
+    });
+    assert.ok(report.unmapped.every(item => item.reason));
+});
+
+test('session model merges split claude assistant records and writes codex response items', () => {
+    const claudeRecords = [
+        { type: 'user', timestamp: '2026-05-01T00:00:01.000Z', sessionId: 'claude-1', cwd: '/repo', message: { role: 'user', content: 'read a.txt' } },
+        {
+            type: 'assistant',
+            timestamp: '2026-05-01T00:00:02.000Z',
+            sessionId: 'claude-1',
+            message: {
+                id: 'msg_1',
+                role: 'assistant',
+                model: 'claude-sonnet-4-5',
+                content: [{ type: 'thinking', thinking: 'Use Read', signature: 'sig' }],
+                usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 7 }
+            }
+        },
+        {
+            type: 'assistant',
+            timestamp: '2026-05-01T00:00:02.100Z',
+            sessionId: 'claude-1',
+            message: {
+                id: 'msg_1',
+                role: 'assistant',
+                model: 'claude-sonnet-4-5',
+                content: [{ type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: 'a.txt' } }],
+                usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 7 }
+            }
+        },
+        {
+            type: 'user',
+            timestamp: '2026-05-01T00:00:03.000Z',
+            sessionId: 'claude-1',
+            message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'hello' }], is_error: true }] }
+        },
+        { type: 'assistant', timestamp: '2026-05-01T00:00:04.000Z', sessionId: 'claude-1', message: { id: 'msg_2', role: 'assistant', content: [{ type: 'text', text: 'done' }] } }
+    ];
+    const model = readModel('claude', claudeRecords);
+    assert.strictEqual(model.turns.length, 4);
+    assert.deepStrictEqual(model.turns[1].blocks.map(block => block.type), ['reasoning', 'tool_use']);
+
+    const { records, report } = buildSessionRecords('codex', model, { now: Date.parse('2026-05-02T00:00:00.000Z') });
+    assert.strictEqual(records[0].type, 'session_meta');
+    assert.strictEqual(records[0].payload.id, 'claude-1');
+    assert.strictEqual(records[0].payload.model, 'claude-sonnet-4-5');
+    const payloads = records.slice(1).map(record => record.payload);
+    assert.deepStrictEqual(payloads.map(payload => payload.type), [
+        'message', 'reasoning', 'function_call', 'token_count', 'function_call_output', 'message'
+    ]);
+    assert.deepStrictEqual(payloads[0].content, [{ type: 'input_text', text: 'read a.txt' }]);
+    assert.deepStrictEqual(payloads[1].summary, [{ type: 'summary_text', text: 'Use Read' }]);
+    assert.deepStrictEqual(payloads[2], { type: 'function_call', name: 'Read', arguments: '{"file_path":"a.txt"}', call_id: 'toolu_1' });
+    assert.deepStrictEqual(payloads[3].info.last_token_usage, {
+        input_tokens: 15,
+        cached_input_tokens: 5,
+        output_tokens: 7,
+        reasoning_output_tokens: 0,
+        total_tokens: 22
+    });
+    assert.deepStrictEqual(payloads[4], { type: 'function_call_output', call_id: 'toolu_1', output: 'hello' });
+    assert.deepStrictEqual(payloads[5].content, [{ type: 'output_text', text: 'done' }]);
+    assert.deepStrictEqual(report.unmapped, []);
+    assert.strictEqual(report.reasoning, 1);
+});
+
+test('session model drops tool results orphaned by truncation and reports them', () => {
+    const model = readModel('codex', codexRecords, { maxMessages: 2 });
+    assert.strictEqual(model.truncated, true);
+    assert.deepStrictEqual(model.turns.map(turn => turn.role), ['user', 'assistant']);
+
+    const { records, report } = buildSessionRecords('claude', model, {});
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].message.content, 'two files');
+    assert.ok(report.unmapped.some(item => item.kind === 'tool_result.orphan' && item.count === 1));
+});
+
+test('session model writes gemini chat files with tool results attached to tool calls', () => {
+    const model = readModel('codex', codexRecords);
+    const { records, report } = buildSessionRecords('gemini', model, { sessionId: 'gem-1', now: Date.parse('2026-05-02T00:00:00.000Z') });
+    assert.strictEqual(records.length, 1);
+    const conversation = records[0];
+    assert.strictEqual(conversation.sessionId, 'gem-1');
+    assert.strictEqual(conversation.projectRoot, '/repo');
+    assert.match(conversation.projectHash, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(conversation.messages.map(message => message.type), ['user', 'gemini', 'gemini']);
+    assert.deepStrictEqual(conversation.messages[0].content, [
+        { text: 'list files' },
+        { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } }
+    ]);
+    const call = conversation.messages[1].toolCalls[0];
+    assert.strictEqual(call.name, 'shell');
+    assert.deepStrictEqual(call.args, { command: ['ls'] });
+    assert.strictEqual(call.status, 'success');
+    assert.deepStrictEqual(call.result, [{ functionResponse: { id: 'call_1', name: 'shell', response: { output: 'a.txt\nb.txt' } } }]);
+    assert.deepStrictEqual(conversation.messages[1].thoughts.map(thought => thought.description), ['Need ls']);
+    assert.strictEqual(conversation.messages[2].content, 'two files');
+    assert.deepStrictEqual(conversation.messages[2].tokens, { input: 120, output: 30, cached: 20, thoughts: 10, tool: 0, total: 160 });
+    assert.ok(!report.unmapped.some(item => item.kind.startsWith('reasoning.')));
+
+    const roundTrip = createSessionModel('gemini');
+    applyGeminiConversation(roundTrip, JSON.parse(serializeSessionRecords('gemini', records)));
+    finalizeSessionModel(roundTrip);
+    assert.strictEqual(roundTrip.cwd, '/repo');
+    assert.deepStrictEqual(roundTrip.turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+    assert.deepStrictEqual(roundTrip.turns[2].blocks, [{ type: 'tool_result', toolUseId: 'call_1', output: 'a.txt\nb.txt', isError: false }]);
+    assert.strictEqual(roundTrip.turns[3].usage.cachedInputTokens, 20);
+});
+
+test('session model reads and writes codebuddy agent items', () => {
+    const model = readModel('codebuddy', [
+        { id: '1', type: 'message', role: 'user', sessionId: 'cb-1', cwd: '/repo', timestamp: '2026-05-01T00:00:01.000Z', content: [{ type: 'input_text', text: 'run tests' }] },
+        { id: '2', type: 'function_call', callId: 'call_9', name: 'Bash', arguments: '{"command":"npm test"}', status: 'completed' },
+        { id: '3', type: 'function_call_result', callId: 'call_9', name: 'Bash', status: 'completed', output: { type: 'text', text: 'ok' } },
+        { id: '4', type: 'message', role: 'assistant', status: 'completed', model: 'hunyuan', content: [{ type: 'output_text', text: 'tests pass' }], usage: { input_tokens: 50, output_tokens: 5 } },
+        { id: '5', type: 'hosted_tool_call', name: 'web_search' }
+    ]);
+    assert.strictEqual(model.sessionId, 'cb-1');
+    assert.strictEqual(model.model, 'hunyuan');
+    assert.deepStrictEqual(model.turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+
+    const { records: claudeRecords, report } = buildSessionRecords('claude', model, {});
+    assert.deepStrictEqual(claudeRecords[1].message.content, [{ type: 'tool_use', id: 'call_9', name: 'Bash', input: { command: 'npm test' } }]);
+    assert.deepStrictEqual(report.unmapped.map(item => item.kind), ['codebuddy.hosted_tool_call']);
+
+    const { records } = buildSessionRecords('codebuddy', model, { sessionId: 'cb-2' });
+    assert.deepStrictEqual(records.map(record => record.type), ['message', 'function_call', 'function_call_result', 'message']);
+    assert.ok(records.every(record => record.sessionId === 'cb-2' && record.cwd === '/repo' && record.id));
+    assert.deepStrictEqual(records[2].output, { type: 'text', text: 'ok' });
+    assert.strictEqual(records[2].name, 'Bash');
+    assert.strictEqual(records[3].model, 'hunyuan');
+    assert.strictEqual(records[3].usage.input_tokens, 50);
+});
@@ -0,0 +1,179 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    parseSessionSearchQuery,
+    resolveSessionSearchTimeRange,
+    createSessionSearchIndexController
+} = require('../../cli/session-search-index');
+
+function codexLine(role, text, timestamp = '2026-01-02T00:00:00.000Z') {
+    return JSON.stringify({
+        type: 'response_item',
+        timestamp,
+        payload: { type: 'message', role, content: text }
+    }) + '\n';
+}
+
+function withTempIndex(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-search-index-'));
+    const indexFile = path.join(root, 'index.json');
+    const created = [];
+    const createIndex = (options = {}) => {
+        const index = createSessionSearchIndexController({
+            fs,
+            SESSION_SEARCH_INDEX_FILE: indexFile,
+            readGeminiMessages: (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf-8')).messages,
+            ...options
+        });
+        created.push(index);
+        return index;
+    };
+    const finish = () => {
+        created.forEach(index => index.flushIndex());
+        fs.rmSync(root, { recursive: true, force: true });
+    };
+    let result;
+    try {
+        result = run({ root, indexFile, createIndex });
+    } catch (e) {
+        finish();
+        throw e;
+    }
+    if (result && typeof result.then === 'function') {
+        return result.finally(finish);
+    }
+    finish();
+    return result;
+}
+
+test('parseSessionSearchQuery supports phrases, prefixes, aliases and CJK words', () => {
+    const clauses = parseSessionSearchQuery('"Fix the bug" deploy* claude-code 提示');
+    assert.deepStrictEqual(clauses.map(item => [item.tokens, item.prefix]), [
+        [['fix', 'the', 'bug'], false],
+        [['deploy'], true],
+        [['提', '示'], false],
+        [['claude'], false],
+        [['code'], false]
+    ]);
+    assert.deepStrictEqual(parseSessionSearchQuery('  "" * '), []);
+});
+
+test('resolveSessionSearchTimeRange maps presets and explicit dates', () => {
+    const now = Date.parse('2026-03-31T00:00:00.000Z');
+    assert.strictEqual(resolveSessionSearchTimeRange({ timeRangePreset: '7d' }, now).sinceMs, now - 7 * 86400000);
+    assert.deepStrictEqual(resolveSessionSearchTimeRange({ timeRangePreset: 'week' }, now), { sinceMs: null, untilMs: null });
+    const explicit = resolveSessionSearchTimeRange({ since: '2026-01-01', until: '2026-01-31', timeRangePreset: '7d' }, now);
+    assert.strictEqual(explicit.sinceMs, Date.parse('2026-01-01'));
+    assert.strictEqual(explicit.untilMs, Date.parse('2026-02-01') - 1);
+});
+
+test('session search index ranks sessions, filters roles and highlights matches', () => withTempIndex(({ root, createIndex }) => {
+    assert.throws(() => createSessionSearchIndexController({ fs }), /缺少 SESSION_SEARCH_INDEX_FILE/);
+    const first = path.join(root, 'first.jsonl');
+    const second = path.join(root, 'second.jsonl');
+    fs.writeFileSync(first, codexLine('user', 'please deploy the service') + codexLine('assistant', 'deployment finished, deploy again later'));
+    fs.writeFileSync(second, codexLine('user', 'unrelated question') + codexLine('assistant', 'we could deploy tomorrow'));
+    const sessions = [
+        { source: 'codex', filePath: first },
+        { source: 'codex', filePath: second }
+    ];
+    const index = createIndex();
+
+    const ranked = index.searchSessions(sessions, { query: 'deploy' });
+    assert.deepStrictEqual(Array.from(ranked.keys()).sort(), [first, second].sort());
+    assert.ok(ranked.get(first).score > ranked.get(second).score);
+    const highlight = ranked.get(second).highlights[0];
+    assert.strictEqual(highlight.role, 'assistant');
+    assert.deepStrictEqual(highlight.ranges.map(([start, end]) => highlight.text.slice(start, end)), ['deploy']);
+    assert.deepStrictEqual(ranked.get(second).snippets, ['we could deploy tomorrow']);
+
+    const prefix = index.searchSessions(sessions, { query: 'deploym*' });
+    assert.deepStrictEqual(Array.from(prefix.keys()), [first]);
+    assert.deepStrictEqual(Array.from(index.searchSessions(sessions, { query: '"deploy the service"' }).keys()), [first]);
+    assert.strictEqual(index.searchSessions(sessions, { query: '"the deploy service"' }).size, 0);
+    assert.deepStrictEqual(Array.from(index.searchSessions(sessions, { query: 'deploy', roleFilter: 'user' }).keys()), [first]);
+    assert.deepStrictEqual(Array.from(index.searchSessions(sessions, { query: 'unrelated finished', mode: 'or' }).keys()).sort(), [first, second].sort());
+    assert.strictEqual(index.searchSessions(sessions, { query: 'unrelated finished' }).size, 0);
+    assert.strictEqual(index.searchSessions(sessions, {
+        query: 'deploy',
+        timeRange: { sinceMs: Date.parse('2026-02-01'), untilMs: null }
+    }).size, 0);
+}));
+
+test('session search index persists checkpoints and only reads appended lines', () => withTempIndex(({ root, indexFile, createIndex }) => {
+    const filePath = path.join(root, 'session.jsonl');
+    const session = { source: 'codex', filePath };
+    fs.writeFileSync(filePath, codexLine('user', 'alpha request') + '{"type":"response_item","payload":{"type":"mess');
+    const first = createIndex();
+    assert.strictEqual(first.searchSessions([session], { query: 'alpha' }).size, 1);
+    first.flushIndex();
+    const saved = JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+    const checkpoint = saved.files[filePath];
+    assert.strictEqual(checkpoint.offset, Buffer.byteLength(codexLine('user', 'alpha request')));
+    assert.strictEqual(saved.docs.length, 1);
+
+    // 补全半行并追加新消息：只索引偏移之后的内容，已有文档不重复
+    const full = codexLine('user', 'alpha request') + codexLine('assistant', 'beta answer') + codexLine('user', 'gamma follow up');
+    fs.writeFileSync(filePath, full);
+    const reloaded = createIndex();
+    assert.strictEqual(reloaded.searchSessions([session], { query: 'gamma' }).size, 1);
+    assert.strictEqual(reloaded.searchSessions([session], { query: 'beta' }).size, 1);
+    reloaded.flushIndex();
+    assert.strictEqual(JSON.parse(fs.readFileSync(indexFile, 'utf-8')).docs.length, 3);
+
+    // 改写文件头部时整体重建
+    fs.writeFileSync(filePath, codexLine('user', 'rewritten delta content that is longer than before') + codexLine('assistant', 'epsilon'));
+    const rebuilt = createIndex();
+    assert.strictEqual(rebuilt.searchSessions([session], { query: 'alpha' }).size, 0);
+    assert.strictEqual(rebuilt.searchSessions([session], { query: 'delta' }).size, 1);
+    rebuilt.flushIndex();
+
+    fs.rmSync(filePath);
+    const removed = createIndex();
+    assert.strictEqual(removed.searchSessions([session], { query: 'delta' }).size, 0);
+    removed.flushIndex();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(indexFile, 'utf-8')).files, {});
+}));
+
+test('session search index batches writes from consecutive searches into one delayed save', () => withTempIndex(async ({ root, indexFile, createIndex }) => {
+    const filePath = path.join(root, 'session.jsonl');
+    const session = { source: 'codex', filePath };
+    fs.writeFileSync(filePath, codexLine('user', 'alpha request'));
+    const index = createIndex({ saveDelayMs: 30 });
+    assert.strictEqual(index.searchSessions([session], { query: 'alpha' }).size, 1);
+    fs.appendFileSync(filePath, codexLine('assistant', 'beta answer'));
+    assert.strictEqual(index.searchSessions([session], { query: 'beta' }).size, 1);
+    assert.strictEqual(fs.existsSync(indexFile), false);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.strictEqual(JSON.parse(fs.readFileSync(indexFile, 'utf-8')).docs.length, 2);
+    const savedAt = fs.statSync(indexFile).mtimeMs;
+    assert.strictEqual(index.searchSessions([session], { query: 'alpha' }).size, 1);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.strictEqual(fs.statSync(indexFile).mtimeMs, savedAt);
+}));
+
+test('session search index skips leading bootstrap messages and reads gemini files whole', () => withTempIndex(({ root, createIndex }) => {
+    const codexPath = path.join(root, 'boot.jsonl');
+    const bootstrap = '<environment_context><cwd>/tmp/project</cwd><sandbox_mode>workspace-write</sandbox_mode> zebra</environment_context>';
+    fs.writeFileSync(codexPath, codexLine('user', bootstrap) + codexLine('user', 'real zebra question'));
+    const geminiPath = path.join(root, 'chat.json');
+    fs.writeFileSync(geminiPath, JSON.stringify({
+        messages: [{ role: 'user', text: '会话检索提示已经通过', timestamp: '2026-01-02T00:00:00.000Z' }]
+    }));
+    const index = createIndex();
+    const codexHit = index.searchSessions([{ source: 'codex', filePath: codexPath }], { query: 'zebra' }).get(codexPath);
+    assert.strictEqual(codexHit.count, 1);
+    assert.deepStrictEqual(codexHit.snippets, ['real zebra question']);
+    assert.strictEqual(index.searchSessions([{ source: 'codex', filePath: codexPath }], { query: 'workspace' }).size, 0);
+
+    const geminiHit = index.searchSessions([{ source: 'gemini', filePath: geminiPath }], { query: '提示 通过' }).get(geminiPath);
+    assert.ok(geminiHit);
+    const ranges = geminiHit.highlights[0].ranges.map(([start, end]) => geminiHit.highlights[0].text.slice(start, end));
+    assert.deepStrictEqual(ranges, ['提示', '通过']);
+}));
@@ -0,0 +1,227 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { close, listen } from './helpers/http-helpers.mjs';
+
+const require = createRequire(import.meta.url);
+const {
+    createUpstreamPool,
+    isRetryableUpstreamStatus,
+    normalizeUpstreamPoolStrategy
+} = require('../../cli/upstream-pool');
+const { createBuiltinProxyRuntimeController } = require('../../cli/builtin-proxy');
+
+const upstreamA = { id: 'a#0', providerName: 'a', baseUrl: 'http://a.example/v1' };
+const upstreamB = { id: 'b#1', providerName: 'b', baseUrl: 'http://b.example/v1' };
+const upstreamC = { id: 'c#2', providerName: 'c', baseUrl: 'http://c.example/v1' };
+
+function createClock(start = 1700000000000) {
+    let current = start;
+    return {
+        now: () => current,
+        advance: (ms) => {
+            current += ms;
+        }
+    };
+}
+
+test('upstream pool failover opens circuit after threshold and half-opens after cooldown', () => {
+    const clock = createClock();
+    const pool = createUpstreamPool([upstreamA, upstreamB], {
+        strategy: 'failover',
+        cooldownMs: 1000,
+        failureThreshold: 2,
+        now: clock.now
+    });
+    assert.deepStrictEqual(pool.order().map((item) => item.id), ['a#0', 'b#1']);
+
+    pool.reportFailure(upstreamA, 'HTTP 503');
+    assert.deepStrictEqual(pool.order().map((item) => item.id), ['a#0', 'b#1']);
+    pool.reportFailure(upstreamA, 'HTTP 503');
+    assert.deepStrictEqual(pool.order().map((item) => item.id), ['b#1', 'a#0']);
+    const opened = pool.getStatus()[0];
+    assert.strictEqual(opened.state, 'open');
+    assert.strictEqual(opened.healthy, false);
+    assert.strictEqual(opened.lastError, 'HTTP 503');
+    assert.strictEqual(opened.totalFailures, 2);
+    assert.ok(opened.cooldownUntil);
+
+    clock.advance(1000);
+    assert.strictEqual(pool.getStatus()[0].state, 'half-open');
+    assert.deepStrictEqual(pool.order().map((item) => item.id), ['a#0', 'b#1']);
+    pool.reportFailure(upstreamA, 'timeout');
+    assert.strictEqual(pool.getStatus()[0].state, 'open');
+
+    clock.advance(1000);
+    pool.reportSuccess(upstreamA, 120);
+    const recovered = pool.getStatus()[0];
+    assert.strictEqual(recovered.state, 'closed');
+    assert.strictEqual(recovered.consecutiveFailures, 0);
+    assert.strictEqual(recovered.latencyMs, 120);
+});
+
+test('upstream pool round-robin rotates and least-latency prefers unmeasured then fastest', () => {
+    const rr = createUpstreamPool([upstreamA, upstreamB, upstreamC], { strategy: 'round-robin' });
+    assert.deepStrictEqual(rr.order().map((item) => item.id), ['a#0', 'b#1', 'c#2']);
+    assert.deepStrictEqual(rr.order().map((item) => item.id), ['b#1', 'c#2', 'a#0']);
+    assert.deepStrictEqual(rr.order().map((item) => item.id), ['c#2', 'a#0', 'b#1']);
+
+    const fastest = createUpstreamPool([upstreamA, upstreamB, upstreamC], { strategy: 'least-latency' });
+    fastest.reportSuccess(upstreamA, 300);
+    fastest.reportSuccess(upstreamB, 50);
+    assert.deepStrictEqual(fastest.order().map((item) => item.id), ['c#2', 'b#1', 'a#0']);
+    fastest.reportSuccess(upstreamC, 500);
+    assert.deepStrictEqual(fastest.order().map((item) => item.id), ['b#1', 'a#0', 'c#2']);
+
+    assert.strictEqual(normalizeUpstreamPoolStrategy('ROUND_ROBIN'), 'round-robin');
+    assert.strictEqual(normalizeUpstreamPoolStrategy('unknown'), 'failover');
+    assert.strictEqual(isRetryableUpstreamStatus(429), true);
+    assert.strictEqual(isRetryableUpstreamStatus(502), true);
+    assert.strictEqual(isRetryableUpstreamStatus(400), false);
+    assert.throws(() => createUpstreamPool([]), /缺少 upstreams/);
+});
+
+function createController(config, settingsFile = '/tmp/codexmate-upstream-pool-proxy.json') {
+    const httpAgent = new http.Agent({ keepAlive: false });
+    const httpsAgent = new https.Agent({ keepAlive: false });
+    return createBuiltinProxyRuntimeController({
+        fs,
+        https,
+        CONFIG_FILE: '/tmp/codexmate-upstream-pool-config.toml',
+        BUILTIN_PROXY_SETTINGS_FILE: settingsFile,
+        DEFAULT_BUILTIN_PROXY_SETTINGS: { host: '127.0.0.1', port: 8318, authSource: 'provider', timeoutMs: 5000 },
+        BUILTIN_PROXY_PROVIDER_NAME: 'codexmate-proxy',
+        CODEXMATE_MANAGED_MARKER: 'codexmate-managed',
+        HTTP_KEEP_ALIVE_AGENT: httpAgent,
+        HTTPS_KEEP_ALIVE_AGENT: httpsAgent,
+        readConfig: () => config,
+        writeConfig: () => {},
+        readConfigOrVirtualDefault: () => ({ config, isVirtual: false }),
+        resolveAuthTokenFromCurrentProfile: () => '',
+        isPlainObject: (value) => !!value && typeof value === 'object' && !Array.isArray(value),
+        isBuiltinManagedProvider: (name) => name === 'codexmate-proxy',
+        findProviderSectionRanges: () => [],
+        findProviderDescendantSectionRanges: () => [],
+        normalizeLegacySegments: (value) => value,
+        buildLegacySegmentsKey: (value) => String(value),
+        formatHostForUrl: (host) => host
+    });
+}
+
+test('builtin proxy fails over to the next upstream on 503 and reports per-upstream health', async () => {
+    const seen = [];
+    const flaky = http.createServer((req, res) => {
+        seen.push(`flaky ${req.url} ${req.headers.authorization || ''}`);
+        req.resume();
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'overloaded' } }));
+    });
+    const healthy = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            seen.push(`healthy ${req.url} ${req.headers.authorization || ''} ${body}`);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ id: 'resp_ok', model: 'gpt-test', output: [], echo: body }));
+        });
+    });
+    const flakyPort = await listen(flaky);
+    const healthyPort = await listen(healthy);
+    const config = {
+        model_provider: 'flaky',
+        model_providers: {
+            flaky: { base_url: `http://127.0.0.1:${flakyPort}/v1`, preferred_auth_method: 'sk-flaky' },
+            healthy: { base_url: `http://127.0.0.1:${healthyPort}/v1`, preferred_auth_method: 'sk-healthy' }
+        }
+    };
+    const controller = createController(config);
+    const settings = controller.normalizeBuiltinProxySettings({
+        host: '127.0.0.1',
+        port: 8318,
+        upstreams: ['flaky', { provider: 'healthy', key: 'sk-pool-key' }, 'healthy', 'flaky'],
+        strategy: 'failover',
+        failureThreshold: 1,
+        cooldownMs: 60000
+    });
+    assert.deepStrictEqual(settings.upstreams, [
+        { provider: 'flaky' },
+        { provider: 'healthy', key: 'sk-pool-key' },
+        { provider: 'healthy' }
+    ]);
+    const resolved = controller.resolveBuiltinProxyUpstreams(settings);
+    assert.strictEqual(resolved.error, undefined);
+    assert.deepStrictEqual(resolved.upstreams.map((item) => item.id), ['flaky#0', 'healthy#1', 'healthy#2']);
+    assert.strictEqual(resolved.upstreams[1].authHeader, 'Bearer sk-pool-key');
+    assert.strictEqual(resolved.upstreams[2].authHeader, 'Bearer sk-healthy');
+    assert.match(controller.resolveBuiltinProxyUpstreams({ ...settings, upstreams: [{ provider: 'missing' }] }).error, /missing/);
+
+    const runtime = await controller.createBuiltinProxyServer(
+        { ...settings, port: 0 },
+        createUpstreamPool(resolved.upstreams, { strategy: 'failover', failureThreshold: 1, cooldownMs: 60000 })
+    );
+    const proxyPort = runtime.server.address().port;
+    const request = (pathname, body) => new Promise((resolve, reject) => {
+        const text = JSON.stringify(body);
+        const req = http.request({
+            hostname: '127.0.0.1',
+            port: proxyPort,
+            path: pathname,
+            method: 'POST',
+            agent: false,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: data }));
+        });
+        req.on('error', reject);
+        req.end(text);
+    });
+
+    try {
+        const first = await request('/v1/responses', { model: 'gpt-test', input: 'hi' });
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(JSON.parse(first.body).id, 'resp_ok');
+        assert.ok(seen[0].startsWith('flaky /v1/responses Bearer sk-flaky'));
+        assert.ok(seen[1].startsWith('healthy /v1/responses Bearer sk-pool-key'));
+
+        const second = await request('/v1/embeddings', { input: 'replayed body' });
+        assert.strictEqual(second.status, 200);
+        assert.strictEqual(JSON.parse(JSON.parse(second.body).echo).input, 'replayed body');
+        assert.strictEqual(seen.filter((line) => line.startsWith('flaky')).length, 1);
+
+        const status = runtime.pool.getStatus();
+        assert.strictEqual(status[0].state, 'open');
+        assert.strictEqual(status[0].lastError, 'HTTP 503');
+        assert.strictEqual(status[1].state, 'closed');
+        assert.strictEqual(status[1].totalRequests, 2);
+    } finally {
+        await close(runtime.server);
+        await close(flaky);
+        await close(healthy);
+    }
+});
+
+test('builtin proxy status reports whether upstream keys are set without returning them', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-upstream-status-'));
+    try {
+        const settingsFile = path.join(dir, 'proxy.json');
+        fs.writeFileSync(settingsFile, JSON.stringify({
+            upstreams: ['primary', { provider: 'primary', key: 'sk-secret-pool-key' }]
+        }));
+        const controller = createController({ model_provider: 'primary', model_providers: {} }, settingsFile);
+        const status = controller.getBuiltinProxyStatus();
+        assert.deepStrictEqual(status.settings.upstreams, [
+            { provider: 'primary', hasKey: false },
+            { provider: 'primary', hasKey: true }
+        ]);
+        assert.ok(!JSON.stringify(status).includes('sk-secret-pool-key'));
+        assert.strictEqual(controller.readBuiltinProxySettings().upstreams[1].key, 'sk-secret-pool-key');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
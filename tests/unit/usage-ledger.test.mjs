@@ -0,0 +1,137 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { computeTurnCost, formatUsageReportCsv, createUsageLedgerController } = require('../../cli/usage-ledger');
+
+const NOW = Date.parse('2026-07-10T12:00:00.000Z');
+const PRICING = {
+    'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125, source: 'bundled' },
+    'claude-sonnet-4-5': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75, source: 'user' }
+};
+
+function jsonl(records) {
+    return records.map(item => JSON.stringify(item)).join('\n') + '\n';
+}
+
+async function withLedger(run) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-usage-'));
+    const sessions = [];
+    const controller = createUsageLedgerController({
+        USAGE_LEDGER_FILE: path.join(root, 'codexmate-usage-ledger.json'),
+        listSessions: async ({ source }) => sessions.filter(item => source === 'all' || item.source === source),
+        lookupPricing: (provider, model) => PRICING[model] || null,
+        now: () => NOW
+    });
+    const addSession = (source, name, content, extra = {}) => {
+        const filePath = path.join(root, name);
+        fs.writeFileSync(filePath, content);
+        sessions.push({ source, filePath, title: name, ...extra });
+        return filePath;
+    };
+    try {
+        await run({ controller, addSession, root });
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+const codexUsage = (input, cached, output, reasoning) => ({
+    input_tokens: input,
+    cached_input_tokens: cached,
+    output_tokens: output,
+    reasoning_output_tokens: reasoning,
+    total_tokens: input + output
+});
+
+test('ledger extracts per-turn usage from codex, claude, gemini and codebuddy sessions', () => withLedger(async ({ controller, addSession }) => {
+    const codexFile = addSession('codex', 'codex.jsonl', jsonl([
+        { timestamp: '2026-07-09T10:00:00Z', type: 'session_meta', payload: { id: 'cx-1', cwd: '/work/app', model_provider: 'openai' } },
+        { timestamp: '2026-07-09T10:00:01Z', type: 'turn_context', payload: { model: 'gpt-5' } },
+        { timestamp: '2026-07-09T10:00:05Z', type: 'event_msg', payload: { type: 'token_count', info: { last_token_usage: codexUsage(1000, 400, 200, 50), total_token_usage: codexUsage(1000, 400, 200, 50) } } },
+        { timestamp: '2026-07-09T10:00:06Z', type: 'event_msg', payload: { type: 'token_count', info: { last_token_usage: codexUsage(1000, 400, 200, 50), total_token_usage: codexUsage(1000, 400, 200, 50) } } },
+        { timestamp: '2026-07-09T10:01:00Z', type: 'event_msg', payload: { type: 'token_count', info: { total_token_usage: codexUsage(3000, 1400, 500, 50) } } }
+    ]));
+    const claudeFile = addSession('claude', 'claude.jsonl', jsonl([
+        { type: 'user', sessionId: 'cl-1', cwd: '/work/api', timestamp: '2026-07-10T08:00:00Z', message: { role: 'user', content: 'hi' } },
+        { type: 'assistant', timestamp: '2026-07-10T08:00:02Z', message: { id: 'msg_1', model: 'claude-sonnet-4-5', usage: { input_tokens: 10, cache_read_input_tokens: 0, cache_creation_input_tokens: 1000, output_tokens: 5 } } },
+        { type: 'assistant', timestamp: '2026-07-10T08:00:03Z', message: { id: 'msg_1', model: 'claude-sonnet-4-5', usage: { input_tokens: 10, cache_read_input_tokens: 0, cache_creation_input_tokens: 1000, output_tokens: 90 } } },
+        { type: 'assistant', timestamp: '2026-07-10T08:00:04Z', message: { id: 'msg_2', model: '<synthetic>', usage: { input_tokens: 0, output_tokens: 0 } } }
+    ]));
+    addSession('gemini', 'gemini.json', JSON.stringify({
+        sessionId: 'gm-1',
+        projectRoot: '/work/app',
+        messages: [
+            { type: 'user', content: 'q', timestamp: '2026-07-10T09:00:00Z' },
+            { type: 'gemini', model: 'gemini-2.5-pro', timestamp: '2026-07-10T09:00:02Z', tokens: { input: 800, cached: 200, output: 100, thoughts: 40 } }
+        ]
+    }));
+    addSession('codebuddy', 'codebuddy.jsonl', jsonl([
+        { type: 'message', role: 'assistant', sessionId: 'cb-1', cwd: '/work/web', timestamp: '2026-07-10T10:00:00Z', providerData: { model: 'gpt-5', usage: { prompt_tokens: 600, completion_tokens: 60, prompt_tokens_details: { cached_tokens: 100 } } }, content: 'ok' }
+    ]));
+
+    const ledger = await controller.refreshUsageLedger();
+    const codex = ledger.sessions[codexFile];
+    assert.strictEqual(codex.sessionId, 'cx-1');
+    assert.strictEqual(codex.provider, 'openai');
+    assert.deepStrictEqual(codex.turns.map(turn => [turn.input, turn.cached, turn.output, turn.reasoning]), [[1000, 400, 200, 50], [2000, 1000, 300, 0]]);
+    assert.deepStrictEqual(ledger.sessions[claudeFile].turns, [
+        { t: '2026-07-10T08:00:03.000Z', model: 'claude-sonnet-4-5', input: 1010, cached: 0, cacheWrite: 1000, output: 90, reasoning: 0 }
+    ]);
+
+    const [enriched] = controller.applyLedgerTotals([{ source: 'claude', filePath: claudeFile, totalTokens: 3 }]);
+    assert.strictEqual(enriched.totalTokens, 1100);
+    assert.strictEqual(enriched.cacheWriteTokens, 1000);
+    assert.strictEqual(enriched.costSource, 'user');
+    assert.strictEqual(enriched.costUsd, computeTurnCost(ledger.sessions[claudeFile].turns[0], PRICING['claude-sonnet-4-5']));
+    assert.strictEqual(Math.round(enriched.costUsd * 1e6), 5130);
+
+    const byModel = await controller.buildUsageReport({ groupBy: 'model' });
+    assert.deepStrictEqual(byModel.rows.map(row => [row.key, row.sessions, row.turns, row.total]), [
+        ['gpt-5', 2, 3, 4160],
+        ['claude-sonnet-4-5', 1, 1, 1100],
+        ['gemini-2.5-pro', 1, 1, 940]
+    ]);
+    assert.strictEqual(byModel.rows[2].reasoning, 40);
+    assert.strictEqual(byModel.rows[2].unpricedTokens, 940);
+    assert.strictEqual(byModel.totals.total, 6200);
+    assert.strictEqual(byModel.totals.sessions, 4);
+
+    const byProject = await controller.buildUsageReport({ groupBy: 'project', since: '2026-07-10' });
+    assert.deepStrictEqual(byProject.rows.map(row => [row.key, row.total]), [['/work/api', 1100], ['/work/app', 940], ['/work/web', 660]]);
+
+    const csv = formatUsageReportCsv(await controller.buildUsageReport({ groupBy: 'source', source: 'codex', since: '30d' }));
+    assert.strictEqual(csv, 'source,sessions,turns,input,cached,cacheWrite,output,reasoning,total,costUsd,unpricedTokens\ncodex,1,2,3000,1400,0,500,50,3500,0.007175,0\n');
+}));
+
+test('ledger reads appended lines incrementally and rebuilds when a file shrinks', () => withLedger(async ({ controller, addSession, root }) => {
+    const head = { timestamp: '2026-07-10T10:00:00Z', type: 'turn_context', payload: { model: 'gpt-5' } };
+    const count = (total, t) => ({ timestamp: t, type: 'event_msg', payload: { type: 'token_count', info: { total_token_usage: codexUsage(total, 0, 10, 0) } } });
+    const filePath = addSession('codex', 'live.jsonl', jsonl([head, count(100, '2026-07-10T10:00:01Z')]) + '{"timestamp":"2026-07-10T10:00:02Z","type":"event_');
+
+    let entry = (await controller.refreshUsageLedger()).sessions[filePath];
+    assert.strictEqual(entry.turns.length, 1);
+    const partialOffset = entry.offset;
+    assert.strictEqual(partialOffset, Buffer.byteLength(jsonl([head, count(100, '2026-07-10T10:00:01Z')])));
+
+    fs.writeFileSync(filePath, jsonl([head, count(100, '2026-07-10T10:00:01Z'), count(250, '2026-07-10T10:00:02Z')]));
+    entry = (await controller.refreshUsageLedger()).sessions[filePath];
+    assert.deepStrictEqual(entry.turns.map(turn => turn.input), [100, 150]);
+    assert.ok(entry.offset > partialOffset);
+
+    const persisted = createUsageLedgerController({
+        USAGE_LEDGER_FILE: path.join(root, 'codexmate-usage-ledger.json'),
+        listSessions: async () => []
+    }).readUsageLedger();
+    assert.strictEqual(persisted.sessions[filePath].turns.length, 2);
+
+    fs.writeFileSync(filePath, jsonl([head, count(40, '2026-07-10T11:00:00Z')]));
+    entry = (await controller.refreshUsageLedger()).sessions[filePath];
+    assert.deepStrictEqual(entry.turns.map(turn => turn.input), [40]);
+
+    fs.rmSync(filePath);
+    assert.deepStrictEqual(Object.keys((await controller.refreshUsageLedger()).sessions), []);
+}));
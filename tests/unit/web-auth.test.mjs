@@ -0,0 +1,303 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+    createWebAuthController,
+    hashWebAuthPassword,
+    verifyWebAuthPassword
+} = require('../../cli/web-auth');
+
+const DEFAULT_WEB_AUTH_SETTINGS = { trustLoopback: true, sessionTtlMs: 12 * 60 * 60 * 1000 };
+
+function createTempAuthFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-web-auth-'));
+    return { dir, file: path.join(dir, 'codexmate-web-auth.json') };
+}
+
+function request(port, { method = 'GET', pathname = '/', headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const text = body === null ? '' : JSON.stringify(body);
+        const req = http.request({
+            hostname: '127.0.0.1',
+            port,
+            path: pathname,
+            method,
+            agent: false,
+            headers: {
+                ...(text ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) } : {}),
+                ...headers
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+        });
+        req.on('error', reject);
+        req.end(text);
+    });
+}
+
+// 与 createWebServer 中的接入顺序一致：/auth/*、?token= 引导、鉴权、按角色过滤 action
+function startGuardedServer(webAuth) {
+    const server = http.createServer((req, res) => {
+        const requestPath = (req.url || '/').split('?')[0];
+        if (webAuth.handleAuthRoute(req, res, requestPath) || webAuth.handleTokenBootstrap(req, res)) {
+            return;
+        }
+        const auth = webAuth.authorizeRequest(req, res);
+        if (!auth) return;
+        if (!webAuth.isPathAllowed(auth, requestPath)) {
+            res.writeHead(403);
+            res.end(JSON.stringify({ error: 'read-only' }));
+            return;
+        }
+        let raw = '';
+        req.on('data', (chunk) => raw += chunk);
+        req.on('end', () => {
+            const { action } = JSON.parse(raw || '{}');
+            const allowed = webAuth.isApiActionAllowed(auth, action);
+            res.writeHead(allowed ? 200 : 403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: allowed, role: auth.role, via: auth.via }));
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port }));
+    });
+}
+
+function readSessionCookie(response) {
+    const raw = [].concat(response.headers['set-cookie'] || [])[0] || '';
+    return raw.split(';')[0];
+}
+
+test('web auth controller generates tokens, hashes passwords and rotates credentials', () => {
+    const { dir, file } = createTempAuthFile();
+    try {
+        assert.throws(() => createWebAuthController({ DEFAULT_WEB_AUTH_SETTINGS }), /WEB_AUTH_FILE/);
+        const webAuth = createWebAuthController({ WEB_AUTH_FILE: file, DEFAULT_WEB_AUTH_SETTINGS, env: {} });
+        const first = webAuth.getWebAuthSummary();
+        assert.ok(first.adminToken.length >= 32);
+        assert.ok(first.readOnlyToken.length >= 32);
+        assert.notStrictEqual(first.adminToken, first.readOnlyToken);
+        assert.strictEqual(first.trustLoopback, true);
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        }
+
+        const reloaded = createWebAuthController({ WEB_AUTH_FILE: file, DEFAULT_WEB_AUTH_SETTINGS, env: {} });
+        assert.strictEqual(reloaded.getWebAuthSummary().adminToken, first.adminToken);
+
+        assert.match(webAuth.setWebAuthPassword('admin', 'short').error, /8/);
+        assert.match(webAuth.setWebAuthPassword('owner', 'long-enough-pw').error, /owner/);
+        assert.deepStrictEqual(webAuth.setWebAuthPassword('admin', 'long-enough-pw'), {
+            success: true,
+            role: 'admin',
+            passwordSet: true
+        });
+        const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        assert.match(saved.adminPassword, /^scrypt:[0-9a-f]+:[0-9a-f]+$/);
+        assert.ok(!fs.readFileSync(file, 'utf-8').includes('long-enough-pw'));
+        assert.strictEqual(verifyWebAuthPassword('long-enough-pw', saved.adminPassword), true);
+        assert.strictEqual(verifyWebAuthPassword('wrong-password', saved.adminPassword), false);
+        assert.strictEqual(verifyWebAuthPassword('x', hashWebAuthPassword('y')), false);
+
+        webAuth.rotateWebAuthTokens();
+        const rotated = webAuth.getWebAuthSummary();
+        assert.notStrictEqual(rotated.adminToken, first.adminToken);
+        assert.strictEqual(rotated.adminPasswordSet, true);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('web auth guards requests with tokens, session cookies, csrf and read-only role', async () => {
+    const { dir, file } = createTempAuthFile();
+    fs.writeFileSync(file, JSON.stringify({ trustLoopback: false }), 'utf-8');
+    const webAuth = createWebAuthController({
+        WEB_AUTH_FILE: file,
+        DEFAULT_WEB_AUTH_SETTINGS,
+        READ_ONLY_API_ACTIONS: ['status', 'list'],
+        env: { CODEXMATE_HTTP_TOKEN: 'env-admin-token' }
+    });
+    webAuth.setWebAuthPassword('read-only', 'viewer-password');
+    const { adminToken, readOnlyToken } = webAuth.getWebAuthSummary();
+    const { server, port } = await startGuardedServer(webAuth);
+    try {
+        const session = await request(port, { pathname: '/auth/session' });
+        assert.strictEqual(session.body.required, true);
+        assert.strictEqual(session.body.authenticated, false);
+        assert.strictEqual(session.body.passwordLogin, true);
+
+        const anonymous = await request(port, { method: 'POST', pathname: '/api', body: { action: 'status' } });
+        assert.strictEqual(anonymous.status, 401);
+        assert.strictEqual(anonymous.body.authRequired, true);
+
+        const badBearer = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Authorization: 'Bearer nope' },
+            body: { action: 'status' }
+        });
+        assert.strictEqual(badBearer.status, 401);
+
+        const envBearer = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Authorization: 'Bearer env-admin-token' },
+            body: { action: 'delete-session' }
+        });
+        assert.deepStrictEqual(envBearer.body, { ok: true, role: 'admin', via: 'token' });
+
+        const readOnlyBearer = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { 'X-Codexmate-Token': readOnlyToken },
+            body: { action: 'delete-session' }
+        });
+        assert.strictEqual(readOnlyBearer.status, 403);
+        const readOnlyImport = await request(port, {
+            method: 'POST',
+            pathname: '/api/import-skills-zip',
+            headers: { 'X-Codexmate-Token': readOnlyToken },
+            body: {}
+        });
+        assert.strictEqual(readOnlyImport.status, 403);
+
+        const crossOrigin = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Authorization: `Bearer ${adminToken}`, Origin: 'http://evil.example' },
+            body: { action: 'status' }
+        });
+        assert.strictEqual(crossOrigin.status, 403);
+
+        // ?token= 引导：换成 HttpOnly 会话 Cookie 并从地址中移除令牌
+        const bootstrap = await request(port, { pathname: `/?tab=sessions&token=${encodeURIComponent(adminToken)}` });
+        assert.strictEqual(bootstrap.status, 302);
+        assert.strictEqual(bootstrap.headers.location, '/?tab=sessions');
+        const setCookie = [].concat(bootstrap.headers['set-cookie'])[0];
+        assert.match(setCookie, /^codexmate_session=[^;]+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=43200$/);
+        const adminCookie = readSessionCookie(bootstrap);
+
+        const adminSession = await request(port, { pathname: '/auth/session', headers: { Cookie: adminCookie } });
+        assert.strictEqual(adminSession.body.authenticated, true);
+        assert.strictEqual(adminSession.body.role, 'admin');
+        assert.ok(adminSession.body.csrfToken);
+
+        const missingCsrf = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Cookie: adminCookie },
+            body: { action: 'status' }
+        });
+        assert.strictEqual(missingCsrf.status, 403);
+        const withCsrf = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Cookie: adminCookie, 'X-Codexmate-CSRF': adminSession.body.csrfToken },
+            body: { action: 'delete-session' }
+        });
+        assert.deepStrictEqual(withCsrf.body, { ok: true, role: 'admin', via: 'session' });
+
+        const wrongPassword = await request(port, { method: 'POST', pathname: '/auth/login', body: { password: 'nope' } });
+        assert.strictEqual(wrongPassword.status, 401);
+        const viewerLogin = await request(port, { method: 'POST', pathname: '/auth/login', body: { password: 'viewer-password' } });
+        assert.strictEqual(viewerLogin.status, 200);
+        assert.strictEqual(viewerLogin.body.role, 'read-only');
+        const viewerCookie = readSessionCookie(viewerLogin);
+        const viewerHeaders = { Cookie: viewerCookie, 'X-Codexmate-CSRF': viewerLogin.body.csrfToken };
+        const viewerRead = await request(port, { method: 'POST', pathname: '/api', headers: viewerHeaders, body: { action: 'list' } });
+        assert.strictEqual(viewerRead.status, 200);
+        const viewerWrite = await request(port, { method: 'POST', pathname: '/api', headers: viewerHeaders, body: { action: 'apply-claude-config' } });
+        assert.strictEqual(viewerWrite.status, 403);
+
+        const logout = await request(port, { method: 'POST', pathname: '/auth/logout', headers: viewerHeaders, body: {} });
+        assert.match([].concat(logout.headers['set-cookie'])[0], /Max-Age=0/);
+        const afterLogout = await request(port, { method: 'POST', pathname: '/api', headers: viewerHeaders, body: { action: 'list' } });
+        assert.strictEqual(afterLogout.status, 401);
+
+        // 轮换令牌后旧会话失效
+        webAuth.rotateWebAuthTokens();
+        const staleSession = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Cookie: adminCookie, 'X-Codexmate-CSRF': adminSession.body.csrfToken },
+            body: { action: 'status' }
+        });
+        assert.strictEqual(staleSession.status, 401);
+    } finally {
+        await new Promise((resolve) => server.close(() => resolve()));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('web auth trusts loopback by default and throttles repeated login failures', async () => {
+    const { dir, file } = createTempAuthFile();
+    const webAuth = createWebAuthController({ WEB_AUTH_FILE: file, DEFAULT_WEB_AUTH_SETTINGS, env: {} });
+    const { server, port } = await startGuardedServer(webAuth);
+    try {
+        // 本机免登录的写请求也要先从 /auth/session 拿到会话与 CSRF 令牌
+        const noCsrf = await request(port, { method: 'POST', pathname: '/api', body: { action: 'anything' } });
+        assert.strictEqual(noCsrf.status, 403);
+        assert.strictEqual(noCsrf.headers['x-codexmate-csrf-required'], '1');
+        const session = await request(port, { pathname: '/auth/session' });
+        assert.strictEqual(session.body.required, false);
+        assert.strictEqual(session.body.via, 'loopback');
+        assert.ok(session.body.csrfToken);
+        const cookie = readSessionCookie(session);
+        const local = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Cookie: cookie, 'X-Codexmate-CSRF': session.body.csrfToken },
+            body: { action: 'anything' }
+        });
+        assert.deepStrictEqual(local.body, { ok: true, role: 'admin', via: 'loopback' });
+        const reused = await request(port, { pathname: '/auth/session', headers: { Cookie: cookie } });
+        assert.strictEqual(reused.body.csrfToken, session.body.csrfToken);
+        assert.strictEqual(reused.headers['set-cookie'], undefined);
+
+        // DNS 重绑定（Host 为外部域名）与本机反向代理转发的请求都不再免登录
+        const rebound = await request(port, { pathname: '/auth/session', headers: { Host: `evil.example:${port}` } });
+        assert.strictEqual(rebound.body.required, true);
+        assert.strictEqual(rebound.body.authenticated, false);
+        const reboundWrite = await request(port, {
+            method: 'POST',
+            pathname: '/api',
+            headers: { Host: `evil.example:${port}`, Origin: `http://evil.example:${port}` },
+            body: { action: 'anything' }
+        });
+        assert.strictEqual(reboundWrite.status, 401);
+        const forwarded = await request(port, { pathname: '/api', headers: { 'X-Forwarded-For': '203.0.113.9' } });
+        assert.strictEqual(forwarded.status, 401);
+        const named = await request(port, { pathname: '/auth/session', headers: { Host: `devbox.lan:${port}` } });
+        assert.strictEqual(named.body.required, true);
+        assert.deepStrictEqual(webAuth.setWebAuthAllowedHosts(['DevBox.lan']).allowedHosts, ['devbox.lan']);
+        const allowed = await request(port, { pathname: '/auth/session', headers: { Host: `devbox.lan:${port}` } });
+        assert.strictEqual(allowed.body.required, false);
+        const ipv6 = await request(port, { pathname: '/auth/session', headers: { Host: `[::1]:${port}` } });
+        assert.strictEqual(ipv6.body.via, 'loopback');
+
+        for (let i = 0; i < 10; i += 1) {
+            const failed = await request(port, { method: 'POST', pathname: '/auth/login', body: { token: 'wrong' } });
+            assert.strictEqual(failed.status, 401);
+        }
+        const throttled = await request(port, {
+            method: 'POST',
+            pathname: '/auth/login',
+            body: { token: webAuth.getWebAuthSummary().adminToken }
+        });
+        assert.strictEqual(throttled.status, 429);
+        assert.ok(Number(throttled.headers['retry-after']) > 0);
+
+        const urls = webAuth.buildBootstrapUrls({ host: '127.0.0.1', openHost: '127.0.0.1', port: 3737 });
+        assert.deepStrictEqual(urls, [`http://127.0.0.1:3737/?token=${encodeURIComponent(webAuth.getWebAuthSummary().adminToken)}`]);
+    } finally {
+        await new Promise((resolve) => server.close(() => resolve()));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,208 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { findFreePort } from './helpers/http-helpers.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const cliPath = path.join(__dirname, '..', '..', 'cli.js');
+
+// 每处落盘位置各放一个可识别的密钥，只读接口的任何响应都不应包含它们
+const SECRETS = Object.freeze({
+    provider: 'sk-readonly-leak-provider',
+    addedProvider: 'sk-readonly-leak-added-provider',
+    authJson: 'sk-readonly-leak-auth-json',
+    accessToken: 'readonly-leak-access-token',
+    refreshToken: 'readonly-leak-refresh-token',
+    claude: 'sk-readonly-leak-claude',
+    openclaw: 'sk-readonly-leak-openclaw',
+    proxyPool: 'sk-readonly-leak-proxy-pool',
+    bridge: 'sk-readonly-leak-bridge',
+    bridgeHeader: 'readonly-leak-bridge-header',
+    mcpEnv: 'readonly-leak-mcp-env',
+    mcpHeader: 'readonly-leak-mcp-header',
+    binding: 'sk-readonly-leak-binding'
+});
+
+const UNREACHABLE_URL = 'http://127.0.0.1:9/v1';
+const ENV_ADMIN_TOKEN = 'readonly-leak-env-admin-token';
+
+// 需要参数才会读取数据的 action，按 Web UI 的典型调用传参
+const ACTION_PARAMS = Object.freeze({
+    models: { provider: 'leaky' },
+    'models-by-url': { baseUrl: UNREACHABLE_URL },
+    'speed-test': { name: 'leaky' },
+    'openai-bridge-get-provider': { name: 'leaky' },
+    'get-openclaw-workspace-file': { fileName: 'AGENTS.md' },
+    'bindings-resolve': { cwd: '/srv/leaky/app' }
+});
+
+function readReadOnlyActions() {
+    const source = fs.readFileSync(cliPath, 'utf-8');
+    const match = source.match(/const WEB_READ_ONLY_API_ACTIONS = Object\.freeze\(\[([\s\S]*?)\]\);/);
+    assert.ok(match, 'WEB_READ_ONLY_API_ACTIONS not found in cli.js');
+    return [...match[1].matchAll(/'([^']+)'/g)].map(item => item[1]);
+}
+
+function writeFixture(home, relativePath, content) {
+    const filePath = path.join(home, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+}
+
+function seedSecrets(home) {
+    writeFixture(home, '.codex/config.toml', [
+        'model_provider = "leaky"',
+        'model = "gpt-test"',
+        '',
+        '[model_providers.leaky]',
+        'name = "leaky"',
+        `base_url = "${UNREACHABLE_URL}"`,
+        'wire_api = "responses"',
+        `preferred_auth_method = "${SECRETS.provider}"`,
+        ''
+    ].join('\n'));
+    writeFixture(home, '.codex/auth.json', { OPENAI_API_KEY: SECRETS.authJson });
+    writeFixture(home, '.claude/settings.json', {
+        env: { ANTHROPIC_AUTH_TOKEN: SECRETS.claude, ANTHROPIC_BASE_URL: 'http://127.0.0.1:9' }
+    });
+    writeFixture(home, '.openclaw/openclaw.json', {
+        models: { providers: { leaky: { baseUrl: UNREACHABLE_URL, apiKey: SECRETS.openclaw } } }
+    });
+    writeFixture(home, '.codex/codexmate-proxy.json', {
+        upstreams: ['leaky', { provider: 'leaky', key: SECRETS.proxyPool }]
+    });
+    writeFixture(home, '.codex/codexmate-openai-bridge.json', {
+        version: 1,
+        providers: { leaky: { baseUrl: UNREACHABLE_URL, apiKey: SECRETS.bridge, headers: { 'X-Api-Key': SECRETS.bridgeHeader } } }
+    });
+    writeFixture(home, '.codex/codexmate-mcp-servers.json', {
+        version: 1,
+        servers: {
+            local: { command: 'node', args: ['server.js'], env: { TOKEN: SECRETS.mcpEnv } },
+            remote: { url: 'http://127.0.0.1:9/mcp', headers: { Authorization: `Bearer ${SECRETS.mcpHeader}` } }
+        }
+    });
+    writeFixture(home, '.codex/codexmate-bindings.json', {
+        bindings: [{
+            id: 'leaky',
+            pattern: '/srv/leaky/**',
+            provider: 'leaky',
+            claudeProfile: 'leaky',
+            claude: { baseUrl: 'http://127.0.0.1:9', apiKey: SECRETS.binding }
+        }]
+    });
+}
+
+function callApi(port, action, params = {}, token = ENV_ADMIN_TOKEN) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify({ action, params });
+        const req = http.request({
+            hostname: '127.0.0.1',
+            port,
+            path: '/api',
+            method: 'POST',
+            agent: false,
+            timeout: 15000,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf-8');
+            res.on('data', (chunk) => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, text }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`${action} timed out`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function waitForServer(port, child) {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+        if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}`);
+        try {
+            const res = await callApi(port, 'health-check');
+            if (res.status === 200) return;
+        } catch (_) {}
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error('server did not start');
+}
+
+test('read-only Web API actions never return stored secrets', async () => {
+    const actions = readReadOnlyActions();
+    assert.ok(actions.includes('proxy-status'));
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-readonly-secrets-'));
+    seedSecrets(home);
+    const port = await findFreePort();
+    const child = spawn(process.execPath, [cliPath, 'run', '--no-browser'], {
+        env: {
+            ...process.env,
+            HOME: home,
+            USERPROFILE: home,
+            CODEX_HOME: '',
+            CLAUDE_HOME: '',
+            CLAUDE_CONFIG_DIR: '',
+            XDG_CONFIG_HOME: '',
+            CODEXMATE_HOST: '127.0.0.1',
+            CODEXMATE_PORT: String(port),
+            CODEXMATE_HTTP_TOKEN: ENV_ADMIN_TOKEN,
+            CODEXMATE_NO_BROWSER: '1'
+        },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => stderr += chunk);
+
+    try {
+        await waitForServer(port, child);
+        // 通过管理接口写入，使配置历史与认证档案中也带上密钥
+        const added = JSON.parse((await callApi(port, 'add-provider', {
+            name: 'added',
+            url: UNREACHABLE_URL,
+            key: SECRETS.addedProvider
+        })).text);
+        assert.strictEqual(added.error, undefined);
+        const imported = JSON.parse((await callApi(port, 'import-auth-profile', {
+            name: 'leaky',
+            fileName: 'auth.json',
+            fileBase64: Buffer.from(JSON.stringify({
+                type: 'codex',
+                access_token: SECRETS.accessToken,
+                refresh_token: SECRETS.refreshToken,
+                account_id: 'acct'
+            })).toString('base64')
+        })).text);
+        assert.strictEqual(imported.error, undefined);
+
+        const webAuth = JSON.parse(fs.readFileSync(path.join(home, '.codex', 'codexmate-web-auth.json'), 'utf-8'));
+        const secrets = {
+            ...SECRETS,
+            adminToken: webAuth.adminToken,
+            readOnlyToken: webAuth.readOnlyToken,
+            envAdminToken: ENV_ADMIN_TOKEN
+        };
+        const leaks = [];
+        for (const action of actions) {
+            // 以只读令牌调用，同时验证这些 action 确实对只读角色开放
+            const res = await callApi(port, action, ACTION_PARAMS[action] || {}, webAuth.readOnlyToken);
+            assert.notStrictEqual(res.status, 403, `${action} should be allowed for read-only tokens`);
+            for (const [name, value] of Object.entries(secrets)) {
+                if (value && res.text.includes(value)) leaks.push(`${action}: ${name}`);
+            }
+        }
+        assert.deepStrictEqual(leaks, [], stderr);
+    } finally {
+        child.kill();
+        await new Promise((resolve) => child.exitCode !== null ? resolve() : child.once('exit', resolve));
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+});
@@ -609,7 +609,7 @@ const handleImportSkillsZipUploadSource = extractFunctionBySignature(
 );
 const createWebServerSource = extractFunctionBySignature(
     cliContent,
-    'function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser }) {',
+    'function createWebServer({ htmlPath, assetsDir, webDir, host, port, openBrowser, webAuth = null, tls = null }) {',
     'createWebServer'
 );
 
@@ -959,6 +959,129 @@ test('createWebServer waits for api readiness probe before auto-opening the brow
     }]);
 });
 
+test('createWebServer serves https and probes over tls when a certificate is configured', () => {
+    let listenCallback = null;
+    let httpsServerOptions = null;
+    const probeRequests = [];
+    const logs = [];
+    const spawnCalls = [];
+    const createServerStub = () => ({
+        listening: false,
+        on() {},
+        once() {},
+        listen(_port, _host, callback) {
+            this.listening = true;
+            listenCallback = callback;
+        },
+        close(callback) {
+            this.listening = false;
+            if (typeof callback === 'function') {
+                callback();
+            }
+        }
+    });
+    const createWebServer = instantiateFunction(createWebServerSource, 'createWebServer', {
+        http: {
+            createServer() {
+                throw new Error('plain http server should not be created when tls is configured');
+            },
+            request() {
+                throw new Error('readiness probe should use https when tls is configured');
+            }
+        },
+        https: {
+            createServer(options, handler) {
+                httpsServerOptions = { options, handler };
+                return createServerStub();
+            },
+            request(options, callback) {
+                probeRequests.push({ options, callback });
+                return {
+                    on() {},
+                    setTimeout() {},
+                    destroy() {},
+                    end() {}
+                };
+            }
+        },
+        path,
+        __dirname: '/repo',
+        readBundledWebUiHtml() {
+            return '<!doctype html>';
+        },
+        PUBLIC_WEB_UI_DYNAMIC_ASSETS: new Map(),
+        PUBLIC_WEB_UI_STATIC_ASSETS: new Set(),
+        isPathInside() {
+            return true;
+        },
+        fs: {
+            existsSync() {
+                return false;
+            }
+        },
+        formatHostForUrl(value) {
+            return value;
+        },
+        DEFAULT_WEB_OPEN_HOST: '127.0.0.1',
+        isAnyAddressHost() {
+            return false;
+        },
+        process: { env: {}, platform: 'linux' },
+        spawn(command, args) {
+            spawnCalls.push({ command, args });
+            return { on() {}, unref() {} };
+        },
+        console: {
+            log(...args) {
+                logs.push(args.join(' '));
+            },
+            warn() {},
+            error() {}
+        },
+        setTimeout() {
+            throw new Error('unexpected retry');
+        },
+        Buffer
+    });
+
+    createWebServer({
+        htmlPath: '/repo/web-ui/index.html',
+        assetsDir: '/repo/res',
+        webDir: '/repo/web-ui',
+        host: '127.0.0.1',
+        port: 3737,
+        openBrowser: true,
+        tls: { mode: 'self-signed', cert: 'CERT', key: 'KEY', caPath: '/home/.codex/codexmate-tls/ca-cert.pem' }
+    });
+
+    assert.deepStrictEqual(httpsServerOptions.options, { cert: 'CERT', key: 'KEY' });
+    assert.strictEqual(typeof httpsServerOptions.handler, 'function');
+    listenCallback();
+    assert.ok(logs.some((line) => line.includes('https://127.0.0.1:3737')));
+    assert.ok(logs.some((line) => line.includes('/home/.codex/codexmate-tls/ca-cert.pem')));
+
+    const respond = (request) => {
+        let endHandler = null;
+        request.callback({
+            statusCode: 200,
+            resume() {},
+            on(event, handler) {
+                if (event === 'end') endHandler = handler;
+            }
+        });
+        endHandler();
+    };
+    assert.strictEqual(probeRequests.length, 1);
+    assert.strictEqual(probeRequests[0].options.rejectUnauthorized, false);
+    assert.strictEqual(probeRequests[0].options.path, '/api');
+    respond(probeRequests[0]);
+    assert.strictEqual(probeRequests.length, 2);
+    assert.strictEqual(probeRequests[1].options.rejectUnauthorized, false);
+    assert.strictEqual(probeRequests[1].options.path, '/web-ui/app.js');
+    respond(probeRequests[1]);
+    assert.deepStrictEqual(spawnCalls, [{ command: 'xdg-open', args: ['https://127.0.0.1:3737'] }]);
+});
+
 test('createWebServer health-check does not consume init notice before the first status poll', async () => {
     let requestHandler = null;
     let consumed = 0;
@@ -1041,7 +1164,8 @@ test('createWebServer health-check does not consume init notice before the first
         consumeInitNotice() {
             consumed += 1;
             return 'startup notice';
-        }
+        },
+        enterConfigWriteOrigin() {}
     });
 
     createWebServer({
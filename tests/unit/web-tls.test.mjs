@@ -0,0 +1,111 @@
+import assert from 'assert';
+import fs from 'fs';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { createWebTlsController } = require('../../cli/web-tls');
+
+function createTempTlsDir() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'codexmate-web-tls-'));
+    return { root, dir: path.join(root, 'codexmate-tls') };
+}
+
+test('web tls options validate flag combinations', () => {
+    const { root, dir } = createTempTlsDir();
+    try {
+        assert.throws(() => createWebTlsController({ WEB_TLS_DIR: dir }), /缺少 fs/);
+        const webTls = createWebTlsController({ fs, WEB_TLS_DIR: dir });
+        assert.strictEqual(webTls.resolveWebTlsOptions({}), null);
+        assert.match(webTls.resolveWebTlsOptions({ tlsCert: 'cert.pem' }).error, /同时提供/);
+        assert.match(webTls.resolveWebTlsOptions({ tlsSelfSigned: true, tlsKey: 'key.pem' }).error, /不能与/);
+        assert.match(
+            webTls.resolveWebTlsOptions({ tlsCert: path.join(root, 'missing.pem'), tlsKey: path.join(root, 'missing.key') }).error,
+            /读取 TLS 证书失败/
+        );
+
+        const hosts = webTls.resolveSelfSignedHosts('192.168.1.20');
+        assert.ok(hosts.includes('localhost'));
+        assert.ok(hosts.includes('127.0.0.1'));
+        assert.ok(hosts.includes('192.168.1.20'));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('web tls self-signed mode caches a local CA and serves https with it', async () => {
+    const { root, dir } = createTempTlsDir();
+    let server = null;
+    try {
+        const webTls = createWebTlsController({ fs, WEB_TLS_DIR: dir });
+        const first = webTls.resolveWebTlsOptions({ tlsSelfSigned: true, host: '127.0.0.1' });
+        assert.ifError(first.error);
+        assert.strictEqual(first.mode, 'self-signed');
+        assert.strictEqual(first.renewed, true);
+        assert.ok(first.hosts.includes('127.0.0.1'));
+        const { X509Certificate } = require('crypto');
+        if (typeof X509Certificate === 'function') {
+            const leaf = new X509Certificate(first.cert);
+            const ca = new X509Certificate(first.ca);
+            assert.ok(ca.ca);
+            assert.ok(!leaf.ca);
+            assert.ok(leaf.checkIssued(ca));
+            assert.ok(leaf.verify(ca.publicKey));
+            assert.match(leaf.subjectAltName, /DNS:localhost/);
+            assert.match(leaf.subjectAltName, /IP Address:127\.0\.0\.1/);
+        }
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['ca-cert.pem', 'ca-key.pem', 'server-cert.pem', 'server-key.pem', 'server-meta.json']);
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(path.join(dir, 'ca-key.pem')).mode & 0o777, 0o600);
+            assert.strictEqual(fs.statSync(path.join(dir, 'server-key.pem')).mode & 0o777, 0o600);
+        }
+
+        const cached = webTls.resolveWebTlsOptions({ tlsSelfSigned: true, host: '127.0.0.1' });
+        assert.strictEqual(cached.renewed, false);
+        assert.strictEqual(cached.cert, first.cert);
+
+        // 监听地址变化时重签服务端证书，但沿用同一个本地 CA
+        const resigned = webTls.resolveWebTlsOptions({ tlsSelfSigned: true, host: '10.1.2.3' });
+        assert.strictEqual(resigned.renewed, true);
+        assert.strictEqual(resigned.ca, first.ca);
+        assert.notStrictEqual(resigned.cert, first.cert);
+
+        const provided = webTls.resolveWebTlsOptions({
+            tlsCert: path.join(dir, 'server-cert.pem'),
+            tlsKey: path.join(dir, 'server-key.pem')
+        });
+        assert.strictEqual(provided.mode, 'file');
+        assert.strictEqual(provided.cert, resigned.cert);
+        const mismatched = webTls.resolveWebTlsOptions({
+            tlsCert: path.join(dir, 'server-cert.pem'),
+            tlsKey: path.join(dir, 'ca-key.pem')
+        });
+        if (typeof require('crypto').X509Certificate === 'function') {
+            assert.match(mismatched.error, /不匹配/);
+        }
+
+        server = https.createServer({ cert: resigned.cert, key: resigned.key }, (req, res) => {
+            res.end('secure');
+        });
+        const port = await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+        });
+        const body = await new Promise((resolve, reject) => {
+            const req = https.request({ hostname: '127.0.0.1', port, path: '/', ca: resigned.ca, agent: false }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => data += chunk);
+                res.on('end', () => resolve(data));
+            });
+            req.on('error', reject);
+            req.end();
+        });
+        assert.strictEqual(body, 'secure');
+    } finally {
+        if (server) {
+            await new Promise((resolve) => server.close(() => resolve()));
+        }
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -403,7 +403,25 @@ test('captured bundled app skeleton only exposes expected data key drift versus
         'showPromptTemplateVarModal',
         'promptTemplateVarDraftName',
         'promptTemplateVarDraftError',
-        'sessionConverting'
+        'promptTemplateCommands',
+        'externalPlugins',
+        'sessionConverting',
+        'sessionConvertTarget',
+        'traffic',
+        'proxyBudget',
+        'configHistory',
+        'doctorFixRunning',
+        'configBundle',
+        'directoryBindings',
+        'webAuth',
+        'codexAuthRefreshing',
+        'providerHealth',
+        'modelCatalog',
+        'sessionAnalytics',
+        'sessionReplay',
+        '_sessionReplayTimer',
+        'mcpServers',
+        'claudeSettingsEditor'
     );
     if (parityAgainstHead) {
         const allowedExtraKeySet = new Set(allowedExtraCurrentKeys);
@@ -440,6 +458,8 @@ test('captured bundled app skeleton only exposes expected data key drift versus
         'getProviderValidation',
         'getShareCommandPrefixInvocation',
         'convertSession',
+        'getSessionConvertTargets',
+        'getSessionMatchSegments',
         'invalidateSessionsUsageData',
         'isReservedProviderCreationName',
         'isSessionLoadNativeDialogEnabled',
@@ -510,12 +530,28 @@ test('captured bundled app skeleton only exposes expected data key drift versus
         'confirmAddPromptTemplateVariable',
         'setPromptVariableValue',
         'copyRenderedPrompt',
+        'replacePromptTemplateEntry',
+        'installPromptTemplateCommand',
+        'uninstallPromptTemplateCommand',
         'savePromptTemplate',
         'duplicatePromptTemplate',
         'deletePromptTemplate',
         'exportPromptTemplates',
         'triggerPromptTemplatesImport',
         'handlePromptTemplatesImportChange',
+        'loadExternalPlugins',
+        'isExternalPluginAvailable',
+        'openExternalPluginsManager',
+        'resetExternalPluginView',
+        'mountExternalPlugin',
+        'releaseExternalPluginHandle',
+        'unmountExternalPlugin',
+        'setExternalPluginEnabled',
+        'uninstallExternalPlugin',
+        'triggerExternalPluginZipImport',
+        'handleExternalPluginZipImportChange',
+        'uploadExternalPluginZip',
+        'importExternalPluginZip',
         'onPromptComposerInput',
         'resetPromptComposerVarValues',
         'focusPromptComposerFirstMissingVar',
@@ -531,7 +567,98 @@ test('captured bundled app skeleton only exposes expected data key drift versus
         'copySessionsFilterShareUrl',
         'getInstallStatusTarget',
         'isInstallTargetInstalled',
-        'shouldShowCliInstallPlaceholder'
+        'shouldShowCliInstallPlaceholder',
+        'loadTrafficOverview',
+        'resetTrafficFilters',
+        'setTrafficRecording',
+        'selectTrafficEntry',
+        'replaySelectedTrafficEntry',
+        'clearTrafficLog',
+        'formatTrafficBody',
+        'formatTrafficHeaders',
+        'formatTrafficUsage',
+        'formatTrafficTime',
+        'trafficStatusTone',
+        'loadProxyBudgetStatus',
+        'formatBudgetScope',
+        'formatBudgetRemaining',
+        'loadConfigHistory',
+        'setConfigHistoryFileFilter',
+        'selectConfigHistoryEntry',
+        'restoreConfigHistoryEntry',
+        'formatConfigHistoryKind',
+        'formatConfigHistoryOrigin',
+        'runDoctorFix',
+        'collectConfigBundleClientSections',
+        'toggleConfigBundleSection',
+        'exportConfigBundle',
+        'triggerConfigBundleImport',
+        'handleConfigBundleFileChange',
+        'previewConfigBundle',
+        'setConfigBundleChoice',
+        'applyConfigBundleClientSections',
+        'applyConfigBundleImport',
+        'loadDirectoryBindings',
+        'startDirectoryBindingEdit',
+        'cancelDirectoryBindingEdit',
+        'saveDirectoryBinding',
+        'deleteDirectoryBinding',
+        'testDirectoryBinding',
+        'formatDirectoryBindingTargets',
+        'ensureWebAuthSession',
+        'submitWebAuthLogin',
+        'logoutWebAuthSession',
+        'dashboardAuthProfiles',
+        'formatAuthProfileExpiry',
+        'refreshCodexAuthProfile',
+        'loadProviderHealth',
+        'saveProviderHealthSettings',
+        'runProviderHealthNow',
+        'providerHealthFor',
+        'providerHealthSparkline',
+        'formatProviderHealthUptime',
+        'providerHealthTitle',
+        'loadModelCatalog',
+        'syncModelCatalog',
+        'modelCatalogInfo',
+        'formatModelCatalogHint',
+        'loadSessionAnalytics',
+        'setSessionAnalyticsFilter',
+        'formatAnalyticsDuration',
+        'sessionAnalyticsPercent',
+        'isSessionReplayVisible',
+        'toggleSessionReplay',
+        'closeSessionReplay',
+        'loadSessionReplay',
+        'sessionReplayEvents',
+        'seekSessionReplay',
+        'stepSessionReplay',
+        'toggleSessionReplayPlayback',
+        'stopSessionReplayPlayback',
+        'scheduleSessionReplayStep',
+        'formatSessionReplayOffset',
+        'loadMcpServers',
+        'startMcpServerEdit',
+        'cancelMcpServerEdit',
+        'saveMcpServer',
+        'toggleMcpServerTool',
+        'removeMcpServer',
+        'importMcpServers',
+        'syncMcpServers',
+        'testMcpServer',
+        'mcpServerPendingCount',
+        'formatMcpServerTarget',
+        'toggleClaudeSettingsEditor',
+        'loadClaudeSettingsEditor',
+        'setClaudeSettingsScope',
+        'addClaudeSettingsHook',
+        'removeClaudeSettingsHook',
+        'addClaudeSettingsEnv',
+        'removeClaudeSettingsEnv',
+        'buildClaudeSettingsPayload',
+        'previewClaudeSettingsEditor',
+        'saveClaudeSettingsEditor',
+        'claudeSettingsFieldError'
     );
     const allowedMissingCurrentMethodKeys = [
         'closeInstallModal',
@@ -587,9 +714,11 @@ test('captured bundled app skeleton only exposes expected data key drift versus
         'pluginsCatalog',
         'pluginsActiveMeta',
         'pluginsActiveAttribution',
+        'pluginsActiveExternal',
         'promptTemplatesList',
         'filteredPromptTemplates',
         'promptTemplateDraft',
+        'promptTemplateCommandTargets',
         'promptTemplateVars',
         'promptTemplateVarValues',
         'renderedPrompt',
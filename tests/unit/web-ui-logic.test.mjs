@@ -36,6 +36,7 @@ const {
     normalizeSessionPathFilter,
     buildSessionFilterCacheState,
     buildSessionListParams,
+    buildSessionMatchSegments,
     buildUsageChartGroups,
     formatSessionTimelineTimestamp,
     buildSessionTimelineNodes,
@@ -652,6 +653,16 @@ test('buildSessionListParams normalizes unsupported sources to all and preserves
     assert.strictEqual(params.contentScanLimit, 50);
 });
 
+test('buildSessionMatchSegments splits snippet text by highlight ranges', () => {
+    assert.deepStrictEqual(buildSessionMatchSegments({ text: '…we deploy now', ranges: [[4, 10], [20, 30]] }), [
+        { text: '…we ', hit: false },
+        { text: 'deploy', hit: true },
+        { text: ' now', hit: false }
+    ]);
+    assert.deepStrictEqual(buildSessionMatchSegments({ text: 'abc', ranges: [[0, 3]] }), [{ text: 'abc', hit: true }]);
+    assert.deepStrictEqual(buildSessionMatchSegments(null), []);
+});
+
 test('buildSessionListParams preserves explicit forceRefresh requests', () => {
     const params = buildSessionListParams({
         source: 'codex',
@@ -1100,6 +1111,48 @@ test('sessionUsageSummaryCards falls back to public catalog pricing when provide
     assert.match(costCard.title, /覆盖 1\/1 个会话/);
 });
 
+test('sessionUsageSummaryCards prices sessions from the synced model catalog including user overrides', () => {
+    const computed = createSessionComputed();
+    const cards = computed.sessionUsageSummaryCards.call({
+        sessionUsageCharts: {
+            summary: {
+                totalSessions: 1,
+                totalMessages: 4,
+                totalTokens: 400000,
+                totalContextWindow: 0,
+                activeDurationMs: 0,
+                totalDurationMs: 0,
+                activeDays: 1,
+                avgMessagesPerSession: 4,
+                busiestDay: null,
+                busiestHour: null
+            }
+        },
+        sessionsUsageList: [
+            {
+                provider: 'maxx',
+                model: 'openai/gpt-5-2025-08-07',
+                totalTokens: 400000,
+                inputTokens: 300000,
+                cachedInputTokens: 100000,
+                outputTokens: 100000,
+                reasoningOutputTokens: 0
+            }
+        ],
+        providersList: [],
+        currentProvider: 'maxx',
+        modelCatalog: {
+            models: {
+                'gpt-5': { source: 'user', cost: { input: 2, output: 10, cacheRead: 0.5 } }
+            }
+        }
+    });
+
+    const costCard = cards.find((card) => card.key === 'estimated-cost');
+    assert.strictEqual(costCard.value, '$1.45');
+    assert.match(costCard.title, /按已配置单价估算/);
+});
+
 test('sessionUsageSummaryCards excludes Claude sessions from estimated cost coverage', () => {
     const computed = createSessionComputed();
     const cards = computed.sessionUsageSummaryCards.call({
@@ -1,4 +1,5 @@
 import {
+    CONFIG_BUNDLE_SECTIONS,
     DEFAULT_MODEL_AUTO_COMPACT_TOKEN_LIMIT,
     DEFAULT_MODEL_CONTEXT_WINDOW,
     DEFAULT_OPENCLAW_TEMPLATE,
@@ -84,6 +85,19 @@ document.addEventListener('DOMContentLoaded', () => {
                 showPromptTemplateVarModal: false,
                 promptTemplateVarDraftName: '',
                 promptTemplateVarDraftError: '',
+                promptTemplateCommands: { names: { codex: '', claude: '' }, busy: '' },
+                externalPlugins: {
+                    loading: false,
+                    loadedOnce: false,
+                    list: [],
+                    dir: '',
+                    readOnlyActions: [],
+                    managerOpen: false,
+                    importing: false,
+                    busy: '',
+                    activeError: '',
+                    lastError: ''
+                },
                 showConfirmDialog: false,
                 confirmDialogTitle: '',
                 confirmDialogMessage: '',
@@ -195,6 +209,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 },
                 sessionExporting: {},
                 sessionConverting: {},
+                sessionConvertTarget: '',
                 sessionCloning: {},
                 sessionDeleting: {},
                 activeSession: null,
@@ -335,6 +350,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 openclawMissingProviders: [],
                 healthCheckLoading: false,
                 healthCheckResult: null,
+                doctorFixRunning: false,
                 healthCheckRemote: false,
                 claudeDownloadLoading: false,
                 claudeDownloadProgress: 0,
@@ -362,6 +378,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 claudeImportLoading: false,
                 codexImportLoading: false,
                 codexAuthProfiles: [],
+                codexAuthRefreshing: '',
                 forceCompactLayout: false,
                 taskOrchestrationTabEnabled: true,
                 taskOrchestration: {
@@ -397,7 +414,183 @@ document.addEventListener('DOMContentLoaded', () => {
                     lastLoadedAt: '',
                     lastError: ''
                 },
-                _taskOrchestrationPollTimer: 0
+                _taskOrchestrationPollTimer: 0,
+                traffic: {
+                    loading: false,
+                    loadedOnce: false,
+                    saving: false,
+                    settings: { enabled: false },
+                    files: [],
+                    totalBytes: 0,
+                    filters: { proxy: '', provider: '', status: '', keyword: '' },
+                    limit: 200,
+                    entries: [],
+                    total: 0,
+                    providers: [],
+                    selectedId: '',
+                    selectedEntry: null,
+                    detailLoading: false,
+                    replayProvider: '',
+                    replayModel: '',
+                    replayLoading: false,
+                    replayResult: null,
+                    lastError: ''
+                },
+                configHistory: {
+                    loading: false,
+                    loadedOnce: false,
+                    entries: [],
+                    files: [],
+                    fileFilter: '',
+                    selectedId: null,
+                    compare: 'previous',
+                    detail: null,
+                    detailLoading: false,
+                    restoring: false,
+                    lastError: ''
+                },
+                configBundle: {
+                    sectionOptions: CONFIG_BUNDLE_SECTIONS,
+                    sections: CONFIG_BUNDLE_SECTIONS.slice(),
+                    passphrase: '',
+                    exporting: false,
+                    importText: '',
+                    importFileName: '',
+                    importPassphrase: '',
+                    preview: null,
+                    choices: {},
+                    previewing: false,
+                    importing: false
+                },
+                modelCatalog: {
+                    loading: false,
+                    syncing: false,
+                    loadedOnce: false,
+                    updatedAt: '',
+                    providers: [],
+                    models: {}
+                },
+                sessionAnalytics: {
+                    loading: false,
+                    loadedOnce: false,
+                    error: '',
+                    source: 'all',
+                    path: '',
+                    data: null
+                },
+                sessionReplay: {
+                    open: false,
+                    loading: false,
+                    error: '',
+                    key: '',
+                    data: null,
+                    cursor: 0,
+                    playing: false,
+                    speed: 1
+                },
+                _sessionReplayTimer: 0,
+                providerHealth: {
+                    loading: false,
+                    loadedOnce: false,
+                    saving: false,
+                    running: false,
+                    settings: {
+                        enabled: false,
+                        intervalSec: 300
+                    },
+                    targets: [],
+                    lastRunAt: '',
+                    lastError: ''
+                },
+                directoryBindings: {
+                    loading: false,
+                    loadedOnce: false,
+                    items: [],
+                    file: '',
+                    editing: false,
+                    saving: false,
+                    form: {
+                        id: '',
+                        pattern: '',
+                        provider: '',
+                        model: '',
+                        authProfile: '',
+                        claudeProfile: '',
+                        note: '',
+                        enabled: true
+                    },
+                    testPath: '',
+                    testTarget: 'codex',
+                    testResult: null,
+                    lastError: ''
+                },
+                mcpServers: {
+                    loading: false,
+                    loadedOnce: false,
+                    items: [],
+                    tools: [],
+                    file: '',
+                    editing: false,
+                    busy: false,
+                    form: {
+                        name: '',
+                        editing: false,
+                        transport: 'stdio',
+                        command: '',
+                        args: '',
+                        env: '',
+                        url: '',
+                        headers: '',
+                        description: '',
+                        tools: { codex: true, claude: true, openclaw: false }
+                    },
+                    testing: '',
+                    testResult: null,
+                    lastError: ''
+                },
+                claudeSettingsEditor: {
+                    open: false,
+                    scope: 'user',
+                    projectDir: '',
+                    loading: false,
+                    loadedOnce: false,
+                    previewing: false,
+                    saving: false,
+                    path: '',
+                    exists: false,
+                    scopes: [],
+                    form: {
+                        model: { default: '', opus: '', sonnet: '', haiku: '' },
+                        permissions: { defaultMode: '', allow: '', deny: '', ask: '' },
+                        hooks: [],
+                        env: []
+                    },
+                    preservedHooks: 0,
+                    otherHookEvents: [],
+                    errors: [],
+                    diff: null,
+                    lastError: ''
+                },
+                proxyBudget: {
+                    loading: false,
+                    loadedOnce: false,
+                    enabled: false,
+                    warnRatio: 0.8,
+                    budgets: [],
+                    lastError: ''
+                },
+                webAuth: {
+                    required: false,
+                    authenticated: false,
+                    role: '',
+                    via: '',
+                    passwordLogin: false,
+                    showLogin: false,
+                    mode: 'token',
+                    secret: '',
+                    submitting: false,
+                    error: ''
+                }
             };
         },
 
@@ -413,7 +606,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             {
                 const NAV_STATE_STORAGE_KEY = 'codexmateNavState.v1';
-                const mainTabSet = new Set(['dashboard', 'config', 'sessions', 'usage', 'orchestration', 'market', 'plugins', 'docs', 'settings']);
+                const mainTabSet = new Set(['dashboard', 'config', 'sessions', 'usage', 'traffic', 'orchestration', 'market', 'plugins', 'docs', 'settings']);
                 let restored = null;
                 try {
                     const raw = localStorage.getItem(NAV_STATE_STORAGE_KEY) || '';
@@ -532,6 +725,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const runInitialLoad = () => {
                 const triggerLoad = async () => {
                     this._initialLoadTimer = 0;
+                    if (typeof this.ensureWebAuthSession === 'function' && !(await this.ensureWebAuthSession())) {
+                        return;
+                    }
                     const startupOk = await this.loadAll();
                     if (!startupOk) {
                         return;
@@ -542,6 +738,9 @@ document.addEventListener('DOMContentLoaded', () => {
                             if (typeof this.runHealthCheck === 'function') {
                                 void this.runHealthCheck({ doctor: true, silent: true });
                             }
+                            if (typeof this.loadProxyBudgetStatus === 'function') {
+                                void this.loadProxyBudgetStatus({ silent: true });
+                            }
                         }
                     }
                     void this.refreshClaudeSelectionFromSettings({ silent: true });
@@ -599,6 +798,7 @@ document.addEventListener('DOMContentLoaded', () => {
             window.removeEventListener('beforeunload', this.handleBeforeUnload);
             this.applyCompactLayoutClass(false);
             this.stopTaskOrchestrationPolling();
+            this.stopSessionReplayPlayback();
             this.sessionPreviewScrollEl = null;
             this.sessionPreviewContainerEl = null;
             this.sessionPreviewHeaderEl = null;
@@ -1,5 +1,6 @@
 ﻿// 逻辑纯函数兼容出口：内部按职责拆分，外部保持原有导入路径不变
 export * from './logic.agents-diff.mjs';
 export * from './logic.claude.mjs';
+export * from './logic.model-catalog.mjs';
 export * from './logic.runtime.mjs';
 export * from './logic.sessions.mjs';
@@ -0,0 +1,23 @@
+// 与 cli/model-catalog.js 的匹配规则保持一致：忽略大小写、provider/ 前缀、-latest 与日期后缀
+export function normalizeCatalogModelId(value) {
+    let id = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!id) return '';
+    if (id.includes('/')) {
+        id = id.slice(id.lastIndexOf('/') + 1);
+    }
+    return id
+        .replace(/-latest$/, '')
+        .replace(/-(\d{8}|\d{4}-\d{2}-\d{2})$/, '');
+}
+
+export function lookupModelCatalogEntry(catalog, modelId) {
+    const models = catalog && catalog.models && typeof catalog.models === 'object' && !Array.isArray(catalog.models)
+        ? catalog.models
+        : null;
+    const raw = typeof modelId === 'string' ? modelId.trim() : '';
+    if (!models || !raw) return null;
+    const exact = raw.toLowerCase();
+    if (models[exact]) return models[exact];
+    const normalized = normalizeCatalogModelId(raw);
+    return normalized && models[normalized] ? models[normalized] : null;
+}
@@ -11,14 +11,26 @@ function toIsoTimestamp(value, fallback) {
     return typeof fallback === 'string' ? fallback : '';
 }
 
+export const SESSION_CONVERT_SOURCES = Object.freeze(['codex', 'claude', 'gemini', 'codebuddy']);
+
 export function normalizeSessionConvertSource(value) {
     const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
-    if (normalized === 'codex' || normalized === 'claude') return normalized;
+    if (SESSION_CONVERT_SOURCES.includes(normalized)) return normalized;
     return '';
 }
 
-export function getConvertTargetSource(source) {
-    return source === 'codex' ? 'claude' : (source === 'claude' ? 'codex' : '');
+export function listConvertTargetSources(source) {
+    const normalized = normalizeSessionConvertSource(source);
+    if (!normalized) return [];
+    return SESSION_CONVERT_SOURCES.filter(item => item !== normalized);
+}
+
+export function getConvertTargetSource(source, preferred = '') {
+    const targets = listConvertTargetSources(source);
+    const wanted = normalizeSessionConvertSource(preferred);
+    if (wanted && targets.includes(wanted)) return wanted;
+    if (source === 'codex') return 'claude';
+    return targets.includes('codex') ? 'codex' : '';
 }
 
 export function buildConvertedSessionJsonl(target, payload) {
@@ -150,6 +150,33 @@ export function buildSessionListParams(options = {}) {
     };
 }
 
+// 检索命中片段按高亮区间切分，供会话列表用 <mark> 渲染
+export function buildSessionMatchSegments(highlight) {
+    const text = highlight && typeof highlight.text === 'string' ? highlight.text : '';
+    if (!text) {
+        return [];
+    }
+    const ranges = Array.isArray(highlight.ranges) ? highlight.ranges : [];
+    const segments = [];
+    let cursor = 0;
+    for (const range of ranges) {
+        if (!Array.isArray(range)) continue;
+        const start = Math.max(cursor, Math.min(text.length, Number(range[0]) || 0));
+        const end = Math.max(start, Math.min(text.length, Number(range[1]) || 0));
+        if (start > cursor) {
+            segments.push({ text: text.slice(cursor, start), hit: false });
+        }
+        if (end > start) {
+            segments.push({ text: text.slice(start, end), hit: true });
+        }
+        cursor = end;
+    }
+    if (cursor < text.length) {
+        segments.push({ text: text.slice(cursor), hit: false });
+    }
+    return segments;
+}
+
 export function normalizeSessionMessageRole(role) {
     const value = typeof role === 'string' ? role.trim().toLowerCase() : '';
     if (value === 'user' || value === 'assistant' || value === 'system') {
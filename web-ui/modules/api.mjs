@@ -4,14 +4,94 @@ export const API_BASE = (browserLocation && browserLocation.origin && browserLoc
     ? browserLocation.origin
     : 'http://localhost:3737';
 
+let apiCsrfToken = '';
+let apiUnauthorizedHandler = null;
+
+export function setApiCsrfToken(token) {
+    apiCsrfToken = typeof token === 'string' ? token : '';
+}
+
+export function setApiUnauthorizedHandler(handler) {
+    apiUnauthorizedHandler = typeof handler === 'function' ? handler : null;
+}
+
+// 会话 Cookie 登录时，写请求需附带 CSRF 令牌
+export function withApiAuthHeaders(headers = {}) {
+    return apiCsrfToken
+        ? { ...headers, 'X-Codexmate-CSRF': apiCsrfToken }
+        : { ...headers };
+}
+
+function notifyApiUnauthorized(res) {
+    if (res && res.status === 401 && apiUnauthorizedHandler) {
+        apiUnauthorizedHandler();
+    }
+    return res;
+}
+
+// 写请求带上鉴权头；服务重启后本机会话失效时，重新获取 CSRF 令牌并重试一次
+export async function fetchWithApiAuth(url, init = {}) {
+    const send = () => fetch(url, { ...init, headers: withApiAuthHeaders(init.headers || {}) });
+    const res = await send();
+    if (res.status !== 403 || !res.headers || res.headers.get('x-codexmate-csrf-required') !== '1') {
+        return notifyApiUnauthorized(res);
+    }
+    await fetchAuthSession();
+    return notifyApiUnauthorized(await send());
+}
+
 async function postApi(action, params = {}) {
-    return await fetch(`${API_BASE}/api`, {
+    return fetchWithApiAuth(`${API_BASE}/api`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ action, params })
     });
 }
 
+async function readAuthPayload(res) {
+    try {
+        const payload = await res.json();
+        return payload && typeof payload === 'object' ? payload : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+export async function fetchAuthSession() {
+    const res = await fetch(`${API_BASE}/auth/session`, { method: 'GET', credentials: 'same-origin' });
+    if (res.status === 404) {
+        return { required: false, authenticated: true, role: 'admin', csrfToken: '' };
+    }
+    const payload = await readAuthPayload(res);
+    setApiCsrfToken(payload.csrfToken || '');
+    return payload;
+}
+
+export async function loginWebAuth(credentials = {}) {
+    const res = await fetch(`${API_BASE}/auth/login`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
+    });
+    const payload = await readAuthPayload(res);
+    if (res.ok) {
+        setApiCsrfToken(payload.csrfToken || '');
+    }
+    return { ...payload, ok: res.ok, status: res.status };
+}
+
+export async function logoutWebAuth() {
+    const res = await fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: withApiAuthHeaders({ 'Content-Type': 'application/json' }),
+        body: '{}'
+    });
+    setApiCsrfToken('');
+    return { ...(await readAuthPayload(res)), ok: res.ok, status: res.status };
+}
+
 function buildApiResponseContext(action, res, contentType) {
     return `${action} (${res.status} ${res.statusText}, content-type: ${contentType || 'unknown'})`;
 }
@@ -140,6 +140,7 @@ export function createMainTabsComputed() {
             if (this.mainTab === 'config') return this.t('kicker.config');
             if (this.mainTab === 'sessions') return this.t('kicker.sessions');
             if (this.mainTab === 'usage') return this.t('kicker.usage');
+            if (this.mainTab === 'traffic') return this.t('kicker.traffic');
             if (this.mainTab === 'orchestration') return this.t('kicker.orchestration');
             if (this.mainTab === 'market') return this.t('kicker.market');
             if (this.mainTab === 'plugins') return this.t('kicker.plugins');
@@ -151,6 +152,7 @@ export function createMainTabsComputed() {
             if (this.mainTab === 'config') return this.t('title.config');
             if (this.mainTab === 'sessions') return this.t('title.sessions');
             if (this.mainTab === 'usage') return this.t('title.usage');
+            if (this.mainTab === 'traffic') return this.t('title.traffic');
             if (this.mainTab === 'orchestration') return this.t('title.orchestration');
             if (this.mainTab === 'market') return this.t('title.market');
             if (this.mainTab === 'plugins') return this.t('title.plugins');
@@ -162,6 +164,7 @@ export function createMainTabsComputed() {
             if (this.mainTab === 'config') return this.t('subtitle.config');
             if (this.mainTab === 'sessions') return this.t('subtitle.sessions');
             if (this.mainTab === 'usage') return this.t('subtitle.usage');
+            if (this.mainTab === 'traffic') return this.t('subtitle.traffic');
             if (this.mainTab === 'orchestration') return this.t('subtitle.orchestration');
             if (this.mainTab === 'market') return this.t('subtitle.market');
             if (this.mainTab === 'plugins') return this.t('subtitle.plugins');
@@ -2,7 +2,8 @@ import {
     buildSessionTimelineNodes,
     buildUsageChartGroups,
     buildUsageHeatmap,
-    isSessionQueryEnabled
+    isSessionQueryEnabled,
+    normalizeCatalogModelId
 } from '../logic.mjs';
 import { SESSION_TRASH_PAGE_SIZE } from './app.constants.mjs';
 
@@ -151,7 +152,7 @@ function createUsagePricingEntry(pricing, source) {
     };
 }
 
-function buildUsagePricingIndex(providersList = []) {
+function buildUsagePricingIndex(providersList = [], modelCatalog = null) {
     const byProvider = new Map();
     const byModel = new Map();
     const knownByModel = new Map();
@@ -183,9 +184,19 @@ function buildUsagePricingIndex(providersList = []) {
             byProvider.set(providerName, providerMap);
         }
     }
+    // 模型目录（内置价格表 + 用户覆盖）优先于前端内置的兜底价格
+    const catalogModels = modelCatalog && modelCatalog.models && typeof modelCatalog.models === 'object'
+        ? modelCatalog.models
+        : {};
+    for (const [modelId, entry] of Object.entries(catalogModels)) {
+        if (!modelId || byModel.has(modelId) || !entry || !entry.cost) continue;
+        const pricing = createUsagePricingEntry(entry.cost, entry.source === 'user' ? 'catalog-override' : 'public-catalog');
+        if (pricing.input === null && pricing.output === null) continue;
+        knownByModel.set(modelId, pricing);
+    }
     for (const [modelId, pricing] of Object.entries(KNOWN_USAGE_MODEL_PRICING)) {
         const normalizedModelId = typeof modelId === 'string' ? modelId.trim() : '';
-        if (!normalizedModelId || byModel.has(normalizedModelId)) {
+        if (!normalizedModelId || byModel.has(normalizedModelId) || knownByModel.has(normalizedModelId)) {
             continue;
         }
         knownByModel.set(normalizedModelId, createUsagePricingEntry(pricing, 'public-catalog'));
@@ -211,9 +222,13 @@ function resolveUsagePricingForSession(session, pricingIndex, fallbackProvider =
     if (Array.isArray(modelMatches) && modelMatches.length === 1) {
         return modelMatches[0].pricing;
     }
-    const knownPricing = pricingIndex.knownByModel instanceof Map ? pricingIndex.knownByModel.get(model) : null;
-    if (knownPricing) {
-        return knownPricing;
+    if (pricingIndex.knownByModel instanceof Map) {
+        const knownPricing = pricingIndex.knownByModel.get(model)
+            || pricingIndex.knownByModel.get(model.toLowerCase())
+            || pricingIndex.knownByModel.get(normalizeCatalogModelId(model));
+        if (knownPricing) {
+            return knownPricing;
+        }
     }
     return null;
 }
@@ -234,9 +249,9 @@ function shouldEstimateUsageCostForSession(session) {
     return true;
 }
 
-function estimateUsageCostSummary(sessions, providersList, currentProvider) {
+function estimateUsageCostSummary(sessions, providersList, currentProvider, modelCatalog = null) {
     const list = Array.isArray(sessions) ? sessions : [];
-    const pricingIndex = buildUsagePricingIndex(providersList);
+    const pricingIndex = buildUsagePricingIndex(providersList, modelCatalog);
     let totalCostUsd = 0;
     let estimatedSessions = 0;
     let totalTokens = 0;
@@ -301,9 +316,20 @@ function estimateUsageCostForSession(session, pricingIndex, currentProvider) {
     const totalSessionTokens = Number.isFinite(Number(session.totalTokens))
         ? Math.max(0, Math.floor(Number(session.totalTokens)))
         : fallbackSessionTokens;
-    const pricing = resolveUsagePricingForSession(session, pricingIndex, currentProvider);
     const hasTokenBreakdown = !(inputTokens === null && outputTokens === null && reasoningOutputTokens === 0);
-    const reasoningRate = pricing
+    // 服务端账本已按逐轮模型计价时直接采用；账本口径的 outputTokens 已包含推理 token
+    const fromLedger = Number.isFinite(Number(session.usageTurns));
+    const serverCostUsd = Number(session.costUsd);
+    if (fromLedger && session.costSource && session.costUsd !== null && Number.isFinite(serverCostUsd)) {
+        return {
+            pricing: { source: session.costSource === 'bundled' ? 'public-catalog' : session.costSource },
+            hasTokenBreakdown: true,
+            totalSessionTokens,
+            estimatedUsd: serverCostUsd
+        };
+    }
+    const pricing = resolveUsagePricingForSession(session, pricingIndex, currentProvider);
+    const reasoningRate = pricing && !fromLedger
         ? ((pricing.reasoningOutput != null ? pricing.reasoningOutput : pricing.output) || 0)
         : 0;
     const estimatedUsd = pricing && hasTokenBreakdown
@@ -555,7 +581,8 @@ export function createSessionComputed() {
             const estimatedCost = estimateUsageCostSummary(
                 filteredUsageSessions,
                 this.providersList,
-                this.currentProvider
+                this.currentProvider,
+                this.modelCatalog
             );
             const noneLabel = t ? t('common.none') : '暂无';
             const estimatedCostPrefix = estimatedCost.skippedUnsupportedSessions > 0
@@ -575,7 +602,7 @@ export function createSessionComputed() {
                     total: estimatedCost.totalSessions,
                     percent: estimatedCost.coveragePercent
                 }) : `${estimatedCostPrefix}${estimatedCostMethod}，估算 ${formatUsageEstimatedCost(estimatedCost.totalCostUsd, { precise: true })}，覆盖 ${estimatedCost.estimatedSessions}/${estimatedCost.totalSessions} 个会话，约 ${estimatedCost.coveragePercent}% token`)
-                : (t ? t('usage.estimatedCost.detail.missing', { prefix: estimatedCostPrefix }) : `${estimatedCostPrefix}缺少可匹配的模型单价或 token 拆分。请先补 models.cost，或确认会话已记录 input/output token。`);
+                : (t ? t('usage.estimatedCost.detail.missing', { prefix: estimatedCostPrefix }) : `${estimatedCostPrefix}缺少可匹配的模型单价或 token 拆分。请先补 models.cost 或 codexmate-model-pricing.json，或确认会话已记录 input/output token。`);
             return [
                 { key: 'sessions', label: t ? t('usage.summary.sessions') : '总会话数', value: formatUsageSummaryNumber(summary.totalSessions || 0) },
                 { key: 'messages', label: t ? t('usage.summary.messages') : '总消息数', value: formatUsageSummaryNumber(summary.totalMessages || 0) },
@@ -0,0 +1,48 @@
+export function createBudgetMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadProxyBudgetStatus(options = {}) {
+            const silent = !!options.silent;
+            const budget = this.proxyBudget;
+            if (budget.loading) return;
+            budget.loading = true;
+            try {
+                const res = await api('budget-status');
+                if (res && res.error) {
+                    budget.lastError = res.error;
+                    if (!silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                budget.enabled = !!res.enabled;
+                budget.warnRatio = Number(res.warnRatio) || 0;
+                budget.budgets = Array.isArray(res.budgets) ? res.budgets : [];
+                budget.lastError = '';
+                budget.loadedOnce = true;
+            } catch (e) {
+                budget.lastError = e && e.message ? e.message : this.t('budget.loadFailed');
+                if (!silent) this.showMessage(budget.lastError, 'error');
+            } finally {
+                budget.loading = false;
+            }
+        },
+
+        formatBudgetScope(entry) {
+            if (!entry) return '';
+            const scope = `${entry.provider || '*'} / ${entry.model || '*'}`;
+            return `${scope} · ${entry.period === 'monthly' ? this.t('budget.period.monthly') : this.t('budget.period.daily')}`;
+        },
+
+        formatBudgetRemaining(entry) {
+            if (!entry) return '-';
+            const parts = [];
+            if (entry.remainingTokens !== null && entry.remainingTokens !== undefined) {
+                parts.push(this.t('budget.remaining.tokens', { value: Number(entry.remainingTokens).toLocaleString() }));
+            }
+            if (entry.remainingUsd !== null && entry.remainingUsd !== undefined) {
+                parts.push(`$${Number(entry.remainingUsd).toFixed(2)}`);
+            }
+            return parts.length ? parts.join(' · ') : '-';
+        }
+    };
+}
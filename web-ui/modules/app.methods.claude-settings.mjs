@@ -0,0 +1,168 @@
+const PERMISSION_LISTS = ['allow', 'deny', 'ask'];
+
+function createEmptyClaudeSettingsForm() {
+    return {
+        model: { default: '', opus: '', sonnet: '', haiku: '' },
+        permissions: { defaultMode: '', allow: '', deny: '', ask: '' },
+        hooks: [],
+        env: []
+    };
+}
+
+function splitRuleLines(text) {
+    return String(text || '').split(/\r?\n/).map(item => item.trim()).filter(Boolean);
+}
+
+export function createClaudeSettingsMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        toggleClaudeSettingsEditor() {
+            const state = this.claudeSettingsEditor;
+            state.open = !state.open;
+            if (state.open && !state.loadedOnce) {
+                void this.loadClaudeSettingsEditor();
+            }
+        },
+
+        async loadClaudeSettingsEditor(options = {}) {
+            const state = this.claudeSettingsEditor;
+            if (state.loading) return;
+            state.loading = true;
+            state.diff = null;
+            state.errors = [];
+            try {
+                const res = await api('claude-settings-read', { scope: state.scope, projectDir: state.projectDir });
+                if (res && res.error) {
+                    state.lastError = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                const settings = res.settings;
+                const form = createEmptyClaudeSettingsForm();
+                Object.assign(form.model, settings.model);
+                form.permissions.defaultMode = settings.permissions.defaultMode;
+                for (const list of PERMISSION_LISTS) {
+                    form.permissions[list] = settings.permissions[list].join('\n');
+                }
+                form.hooks = settings.hooks.map(hook => ({ ...hook, timeout: hook.timeout === null ? '' : String(hook.timeout) }));
+                form.env = settings.env.map(entry => ({ ...entry }));
+                state.form = form;
+                state.path = res.path;
+                state.exists = res.exists;
+                state.scopes = res.scopes || [];
+                state.preservedHooks = settings.preservedHooks || 0;
+                state.otherHookEvents = settings.otherHookEvents || [];
+                state.lastError = '';
+                state.loadedOnce = true;
+            } catch (e) {
+                state.lastError = this.t('claude.settings.loadFailed');
+                if (!options.silent) this.showMessage(state.lastError, 'error');
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        setClaudeSettingsScope(scope) {
+            const state = this.claudeSettingsEditor;
+            if (state.scope === scope) return;
+            state.scope = scope;
+            if (scope === 'user' || state.projectDir.trim()) {
+                void this.loadClaudeSettingsEditor();
+            } else {
+                state.loadedOnce = false;
+                state.form = createEmptyClaudeSettingsForm();
+                state.diff = null;
+                state.path = '';
+            }
+        },
+
+        addClaudeSettingsHook() {
+            this.claudeSettingsEditor.form.hooks.push({ event: 'PreToolUse', matcher: '', command: '', timeout: '' });
+        },
+
+        removeClaudeSettingsHook(index) {
+            this.claudeSettingsEditor.form.hooks.splice(index, 1);
+        },
+
+        addClaudeSettingsEnv() {
+            this.claudeSettingsEditor.form.env.push({ key: '', value: '' });
+        },
+
+        removeClaudeSettingsEnv(index) {
+            this.claudeSettingsEditor.form.env.splice(index, 1);
+        },
+
+        buildClaudeSettingsPayload() {
+            const state = this.claudeSettingsEditor;
+            const form = state.form;
+            const permissions = { defaultMode: form.permissions.defaultMode };
+            for (const list of PERMISSION_LISTS) {
+                permissions[list] = splitRuleLines(form.permissions[list]);
+            }
+            return {
+                scope: state.scope,
+                projectDir: state.projectDir.trim(),
+                settings: {
+                    model: { ...form.model },
+                    permissions,
+                    hooks: form.hooks.map(hook => ({
+                        event: hook.event,
+                        matcher: hook.event === 'Stop' ? '' : hook.matcher,
+                        command: hook.command,
+                        timeout: String(hook.timeout).trim() === '' ? null : Number(hook.timeout)
+                    })),
+                    env: form.env.map(entry => ({ key: entry.key.trim(), value: entry.value }))
+                }
+            };
+        },
+
+        async previewClaudeSettingsEditor() {
+            const state = this.claudeSettingsEditor;
+            if (state.previewing) return;
+            state.previewing = true;
+            try {
+                const res = await api('claude-settings-preview', this.buildClaudeSettingsPayload());
+                state.errors = res && Array.isArray(res.errors) ? res.errors : [];
+                if (res && res.error) {
+                    state.diff = null;
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.diff = res.diff;
+            } catch (e) {
+                this.showMessage(this.t('claude.settings.previewFailed'), 'error');
+            } finally {
+                state.previewing = false;
+            }
+        },
+
+        async saveClaudeSettingsEditor() {
+            const state = this.claudeSettingsEditor;
+            if (state.saving) return;
+            state.saving = true;
+            try {
+                const res = await api('claude-settings-save', this.buildClaudeSettingsPayload());
+                state.errors = res && Array.isArray(res.errors) ? res.errors : [];
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.showMessage(res.changed
+                    ? this.t('claude.settings.saved', { path: res.path })
+                    : this.t('claude.settings.unchanged'), 'success');
+                state.diff = null;
+                await this.loadClaudeSettingsEditor({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('claude.settings.saveFailed'), 'error');
+            } finally {
+                state.saving = false;
+            }
+        },
+
+        claudeSettingsFieldError(field) {
+            const error = this.claudeSettingsEditor.errors.find(item => item.path === field || item.path.startsWith(`${field}[`) || item.path.startsWith(`${field}.`));
+            return error ? error.message : '';
+        }
+    };
+}
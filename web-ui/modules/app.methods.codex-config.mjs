@@ -2,6 +2,7 @@ import { runLatestOnlyQueue } from '../logic.mjs';
 import { normalizeConfigTemplateDiffConfirmEnabled } from './config-template-confirm-pref.mjs';
 import {
     getConvertTargetSource,
+    listConvertTargetSources,
     normalizeSessionConvertSource
 } from '../logic.session-convert.mjs';
 import { syncSessionsFilterUrl } from './sessions-filters-url.mjs';
@@ -80,9 +81,13 @@ export function createCodexConfigMethods(options = {}) {
             }
         },
 
-        async convertSession(session) {
+        getSessionConvertTargets(session) {
+            return listConvertTargetSources(session && session.source ? session.source : '');
+        },
+
+        async convertSession(session, targetSource = '') {
             const source = normalizeSessionConvertSource(session && session.source ? session.source : '');
-            const target = getConvertTargetSource(source);
+            const target = getConvertTargetSource(source, targetSource || this.sessionConvertTarget);
             if (!source || !target) {
                 this.showMessage('不支持此操作', 'error');
                 return;
@@ -123,6 +128,11 @@ export function createCodexConfigMethods(options = {}) {
                         this.showMessage('已生成派生会话', 'success');
                     }
                 }
+                const unmapped = res && res.report && Array.isArray(res.report.unmapped) ? res.report.unmapped : [];
+                if (unmapped.length) {
+                    const detail = unmapped.map(item => `${item.reason}（${item.count}）`).join('；');
+                    this.showMessage(`已生成派生会话，部分内容无法映射：${detail}`, 'info');
+                }
 
                 if (converted && converted.source && typeof this.sessionFilterSource === 'string') {
                     if (this.sessionFilterSource !== converted.source) {
@@ -535,6 +545,60 @@ export function createCodexConfigMethods(options = {}) {
             }
         },
 
+        // 先取修复计划给用户确认，再执行并重新诊断
+        async runDoctorFix(issue) {
+            if (!issue || this.doctorFixRunning) return;
+            this.doctorFixRunning = true;
+            try {
+                const params = {
+                    issueIds: [issue.id],
+                    lang: this.lang,
+                    remote: true,
+                    range: this.sessionsUsageTimeRange,
+                    targetApp: this.skillsTargetApp
+                };
+                const plan = await api('doctor-fix', { ...params, dryRun: true });
+                if (hasResponseError(plan)) {
+                    this.showMessage(getResponseMessage(plan, this.t('dashboard.doctor.fix.failed')), 'error');
+                    return;
+                }
+                const steps = Array.isArray(plan.steps) ? plan.steps : [];
+                if (!steps.length) {
+                    const skipped = Array.isArray(plan.skipped) && plan.skipped.length ? plan.skipped[0].summary : '';
+                    this.showMessage(skipped || this.t('dashboard.doctor.fix.nothing'), 'error');
+                    return;
+                }
+                const confirmed = await this.requestConfirmDialog({
+                    title: this.t('dashboard.doctor.fix.confirmTitle'),
+                    message: `${steps.map(step => `· ${step.summary}`).join('\n')}\n\n${this.t('dashboard.doctor.fix.confirmBackup')}`,
+                    confirmText: this.t('dashboard.doctor.fix'),
+                    cancelText: this.t('common.cancel'),
+                    danger: true
+                });
+                if (!confirmed) return;
+                // 只执行用户确认过的计划；计划在此期间变化时后端会拒绝
+                const res = await api('doctor-fix', { ...params, dryRun: false, planDigest: plan.planDigest });
+                if (hasResponseError(res)) {
+                    this.showMessage(getResponseMessage(res, this.t('dashboard.doctor.fix.failed')), 'error');
+                    return;
+                }
+                const failed = (Array.isArray(res.applied) ? res.applied : []).find(item => !item.ok);
+                if (failed) {
+                    this.showMessage(`${this.t('dashboard.doctor.fix.failed')}: ${failed.error}`, 'error');
+                } else {
+                    this.showMessage(this.t('dashboard.doctor.fix.success', { dir: res.backupDir || '' }), 'success');
+                }
+                if (typeof this.loadAll === 'function') {
+                    await this.loadAll();
+                }
+                await this.runHealthCheck({ doctor: true, forceRefresh: true, silent: true });
+            } catch (e) {
+                this.showMessage(this.t('dashboard.doctor.fix.failed'), 'error');
+            } finally {
+                this.doctorFixRunning = false;
+            }
+        },
+
         escapeTomlString(value) {
             return String(value || '')
                 .replace(/\\/g, '\\\\')
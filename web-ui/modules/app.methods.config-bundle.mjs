@@ -0,0 +1,154 @@
+import { CONFIG_BUNDLE_SECTIONS } from './app.constants.mjs';
+
+export function createConfigBundleMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        // 浏览器本地保存的配置随请求交给服务端，统一参与导出与冲突比对
+        collectConfigBundleClientSections() {
+            return {
+                claudeProfiles: { ...(this.claudeConfigs || {}) },
+                openclawProfiles: { ...(this.openclawConfigs || {}) }
+            };
+        },
+
+        toggleConfigBundleSection(section) {
+            const bundle = this.configBundle;
+            bundle.sections = bundle.sections.includes(section)
+                ? bundle.sections.filter(item => item !== section)
+                : CONFIG_BUNDLE_SECTIONS.filter(item => item === section || bundle.sections.includes(item));
+        },
+
+        async exportConfigBundle() {
+            const bundle = this.configBundle;
+            if (bundle.exporting) return;
+            if (!bundle.sections.length) {
+                this.showMessage(this.t('bundle.export.noSections'), 'error');
+                return;
+            }
+            bundle.exporting = true;
+            try {
+                const res = await api('bundle-export', {
+                    passphrase: bundle.passphrase,
+                    sections: bundle.sections,
+                    clientSections: this.collectConfigBundleClientSections()
+                });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.downloadTextFile(res.fileName, res.content || '', 'application/json;charset=utf-8');
+                bundle.passphrase = '';
+                this.showMessage(this.t('bundle.export.success'), 'success');
+            } catch (e) {
+                this.showMessage(this.t('bundle.export.failed'), 'error');
+            } finally {
+                bundle.exporting = false;
+            }
+        },
+
+        triggerConfigBundleImport() {
+            const input = this.$refs.configBundleImportInput;
+            if (input) {
+                input.value = '';
+                input.click();
+            }
+        },
+
+        async handleConfigBundleFileChange(event) {
+            const file = event && event.target && event.target.files ? event.target.files[0] : null;
+            if (!file) return;
+            const bundle = this.configBundle;
+            try {
+                bundle.importText = await file.text();
+                bundle.importFileName = file.name || '';
+                bundle.preview = null;
+                bundle.choices = {};
+            } catch (e) {
+                this.showMessage(this.t('bundle.import.readFailed'), 'error');
+            }
+        },
+
+        async previewConfigBundle() {
+            const bundle = this.configBundle;
+            if (!bundle.importText || bundle.previewing) return;
+            bundle.previewing = true;
+            try {
+                const res = await api('bundle-preview', {
+                    bundle: bundle.importText,
+                    passphrase: bundle.importPassphrase,
+                    clientSections: this.collectConfigBundleClientSections()
+                });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                const choices = {};
+                for (const item of res.items || []) {
+                    if (item.status === 'new') choices[item.key] = 'import';
+                    if (item.status === 'conflict') choices[item.key] = 'skip';
+                }
+                bundle.preview = res;
+                bundle.choices = choices;
+            } catch (e) {
+                this.showMessage(this.t('bundle.import.failed'), 'error');
+            } finally {
+                bundle.previewing = false;
+            }
+        },
+
+        setConfigBundleChoice(key, value) {
+            this.configBundle.choices = { ...this.configBundle.choices, [key]: value };
+        },
+
+        applyConfigBundleClientSections(sections) {
+            if (!sections || typeof sections !== 'object') return;
+            if (sections.claudeProfiles) {
+                this.claudeConfigs = sections.claudeProfiles;
+                this.saveClaudeConfigs();
+            }
+            if (sections.openclawProfiles) {
+                this.openclawConfigs = sections.openclawProfiles;
+                this.saveOpenclawConfigs();
+            }
+        },
+
+        async applyConfigBundleImport() {
+            const bundle = this.configBundle;
+            if (!bundle.preview || bundle.importing) return;
+            bundle.importing = true;
+            try {
+                const res = await api('bundle-import', {
+                    bundle: bundle.importText,
+                    passphrase: bundle.importPassphrase,
+                    choices: bundle.choices,
+                    clientSections: this.collectConfigBundleClientSections()
+                });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.applyConfigBundleClientSections(res.clientSections);
+                const failed = (res.results || []).find(item => item.ok === false);
+                if (failed) {
+                    this.showMessage(`${failed.key}: ${failed.error}`, 'error');
+                } else {
+                    this.showMessage(this.t('bundle.import.success', res.summary), 'success');
+                }
+                bundle.preview = null;
+                bundle.importText = '';
+                bundle.importFileName = '';
+                bundle.importPassphrase = '';
+                bundle.choices = {};
+                this.promptTemplatesLoadedOnce = false;
+                if (typeof this.loadAll === 'function') {
+                    await this.loadAll();
+                }
+            } catch (e) {
+                this.showMessage(this.t('bundle.import.failed'), 'error');
+            } finally {
+                bundle.importing = false;
+            }
+        }
+    };
+}
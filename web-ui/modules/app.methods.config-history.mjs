@@ -0,0 +1,113 @@
+export function createConfigHistoryMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadConfigHistory(options = {}) {
+            const history = this.configHistory;
+            if (history.loading) return;
+            history.loading = true;
+            try {
+                const res = await api('config-history-list', {
+                    file: history.fileFilter || '',
+                    limit: 200
+                });
+                if (res && res.error) {
+                    history.lastError = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                history.entries = Array.isArray(res.entries) ? res.entries : [];
+                history.files = Array.isArray(res.files) ? res.files : [];
+                history.lastError = '';
+                history.loadedOnce = true;
+                const selected = history.entries.find(entry => entry.id === history.selectedId);
+                if (!selected) {
+                    history.selectedId = null;
+                    history.detail = null;
+                }
+            } catch (e) {
+                history.lastError = e && e.message ? e.message : this.t('history.loadFailed');
+                if (!options.silent) this.showMessage(history.lastError, 'error');
+            } finally {
+                history.loading = false;
+            }
+        },
+
+        async setConfigHistoryFileFilter(value) {
+            this.configHistory.fileFilter = typeof value === 'string' ? value : '';
+            await this.loadConfigHistory();
+        },
+
+        async selectConfigHistoryEntry(entry, compare) {
+            const history = this.configHistory;
+            if (!entry) return;
+            history.selectedId = entry.id;
+            if (compare === 'previous' || compare === 'current') {
+                history.compare = compare;
+            }
+            history.detailLoading = true;
+            try {
+                const res = await api('config-history-show', { id: entry.id, compare: history.compare });
+                if (history.selectedId !== entry.id) return;
+                if (res && res.error) {
+                    history.detail = null;
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                history.detail = res;
+            } catch (e) {
+                this.showMessage(this.t('history.detailFailed'), 'error');
+            } finally {
+                if (history.selectedId === entry.id) {
+                    history.detailLoading = false;
+                }
+            }
+        },
+
+        async restoreConfigHistoryEntry(entry) {
+            const history = this.configHistory;
+            if (!entry || history.restoring) return;
+            const confirmed = await this.requestConfirmDialog({
+                title: this.t('history.restore.confirmTitle'),
+                message: this.t('history.restore.confirmMessage', { id: entry.id, file: entry.file }),
+                confirmText: this.t('history.restore.button'),
+                cancelText: this.t('common.cancel'),
+                danger: !entry.exists
+            });
+            if (!confirmed) return;
+            history.restoring = true;
+            try {
+                const res = await api('config-history-restore', { id: entry.id });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.showMessage(res.unchanged
+                    ? this.t('history.restore.unchanged', { id: entry.id })
+                    : this.t('history.restore.success', { id: entry.id }), 'success');
+                await this.loadConfigHistory({ silent: true });
+                if (!res.unchanged && entry.kind === 'codex-config' && typeof this.loadAll === 'function') {
+                    await this.loadAll();
+                }
+            } catch (e) {
+                this.showMessage(this.t('history.restore.failed'), 'error');
+            } finally {
+                history.restoring = false;
+            }
+        },
+
+        formatConfigHistoryKind(kind) {
+            const key = `history.kind.${kind || 'file'}`;
+            const label = this.t(key);
+            return label === key ? (kind || 'file') : label;
+        },
+
+        formatConfigHistoryOrigin(entry) {
+            if (!entry) return '';
+            const key = `history.origin.${entry.origin}`;
+            const label = this.t(key);
+            const origin = label === key ? entry.origin : label;
+            return entry.action ? `${origin} · ${entry.action}` : origin;
+        }
+    };
+}
@@ -0,0 +1,145 @@
+function createEmptyBindingForm() {
+    return {
+        id: '',
+        pattern: '',
+        provider: '',
+        model: '',
+        authProfile: '',
+        claudeProfile: '',
+        note: '',
+        enabled: true
+    };
+}
+
+export function createDirectoryBindingMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadDirectoryBindings(options = {}) {
+            const state = this.directoryBindings;
+            if (state.loading) return;
+            state.loading = true;
+            try {
+                const res = await api('bindings-list');
+                if (res && res.error) {
+                    state.lastError = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.items = Array.isArray(res.bindings) ? res.bindings : [];
+                state.file = res.file || '';
+                state.lastError = '';
+                state.loadedOnce = true;
+            } catch (e) {
+                state.lastError = this.t('bindings.loadFailed');
+                if (!options.silent) this.showMessage(state.lastError, 'error');
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        startDirectoryBindingEdit(binding) {
+            const form = createEmptyBindingForm();
+            if (binding) {
+                for (const key of Object.keys(form)) {
+                    if (binding[key] !== undefined) form[key] = binding[key];
+                }
+            }
+            this.directoryBindings.form = form;
+            this.directoryBindings.editing = true;
+            if (!this.codexAuthProfiles.length && typeof this.loadCodexAuthProfiles === 'function') {
+                this.loadCodexAuthProfiles({ silent: true });
+            }
+        },
+
+        cancelDirectoryBindingEdit() {
+            this.directoryBindings.editing = false;
+            this.directoryBindings.form = createEmptyBindingForm();
+        },
+
+        async saveDirectoryBinding() {
+            const state = this.directoryBindings;
+            if (state.saving) return;
+            const form = state.form;
+            if (!form.pattern.trim()) {
+                this.showMessage(this.t('bindings.form.patternRequired'), 'error');
+                return;
+            }
+            const binding = { ...form };
+            // Claude 配置只在浏览器里，保存绑定时带上当前详情供 CLI 导出环境变量
+            const claudeConfig = form.claudeProfile ? (this.claudeConfigs || {})[form.claudeProfile] : null;
+            if (claudeConfig) {
+                binding.claude = {
+                    baseUrl: claudeConfig.baseUrl || '',
+                    model: claudeConfig.model || '',
+                    apiKey: claudeConfig.apiKey || ''
+                };
+            }
+            state.saving = true;
+            try {
+                const res = await api('bindings-save', { binding });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.showMessage(this.t('bindings.saved', { pattern: res.binding.pattern }), 'success');
+                this.cancelDirectoryBindingEdit();
+                await this.loadDirectoryBindings({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('bindings.saveFailed'), 'error');
+            } finally {
+                state.saving = false;
+            }
+        },
+
+        async deleteDirectoryBinding(binding) {
+            if (!binding) return;
+            const confirmed = await this.requestConfirmDialog({
+                title: this.t('bindings.delete.confirmTitle'),
+                message: this.t('bindings.delete.confirmMessage', { pattern: binding.pattern }),
+                confirmText: this.t('bindings.delete.button'),
+                cancelText: this.t('common.cancel'),
+                danger: true
+            });
+            if (!confirmed) return;
+            try {
+                const res = await api('bindings-delete', { id: binding.id });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                if (this.directoryBindings.form.id === binding.id) {
+                    this.cancelDirectoryBindingEdit();
+                }
+                await this.loadDirectoryBindings({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('bindings.deleteFailed'), 'error');
+            }
+        },
+
+        async testDirectoryBinding() {
+            const state = this.directoryBindings;
+            if (!state.testPath.trim()) return;
+            try {
+                const res = await api('bindings-resolve', { cwd: state.testPath.trim(), target: state.testTarget });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.testResult = res;
+            } catch (e) {
+                this.showMessage(this.t('bindings.test.failed'), 'error');
+            }
+        },
+
+        formatDirectoryBindingTargets(binding) {
+            if (!binding) return '';
+            const parts = [];
+            if (binding.provider) parts.push(`${this.t('bindings.field.provider')}: ${binding.provider}`);
+            if (binding.model) parts.push(`${this.t('bindings.field.model')}: ${binding.model}`);
+            if (binding.authProfile) parts.push(`${this.t('bindings.field.authProfile')}: ${binding.authProfile}`);
+            if (binding.claudeProfile) parts.push(`${this.t('bindings.field.claudeProfile')}: ${binding.claudeProfile}`);
+            return parts.join(' · ');
+        }
+    };
+}
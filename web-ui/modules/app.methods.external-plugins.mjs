@@ -0,0 +1,269 @@
+import { fetchWithApiAuth } from './api.mjs';
+import {
+    EXTERNAL_PLUGIN_API_VERSION,
+    createExternalPluginContext,
+    isExternalPluginMountable
+} from '../../plugins/external.mjs';
+
+const MAX_PLUGIN_ZIP_SIZE = 20 * 1024 * 1024;
+
+// 挂载句柄不放进响应式数据，避免 Vue 代理插件返回的对象
+let mountedExternalPlugin = null;
+
+function describeExternalPluginError(error) {
+    return error && error.message ? String(error.message) : String(error);
+}
+
+export function createExternalPluginsMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadExternalPlugins(options = {}) {
+            const state = this.externalPlugins;
+            if (state.loading) return false;
+            state.loading = true;
+            try {
+                const res = await api('plugins-list');
+                if (res && res.error) {
+                    state.lastError = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return false;
+                }
+                state.list = Array.isArray(res.plugins) ? res.plugins : [];
+                state.dir = res.dir || '';
+                state.readOnlyActions = Array.isArray(res.readOnlyActions) ? res.readOnlyActions : [];
+                state.lastError = '';
+                state.loadedOnce = true;
+                return true;
+            } catch (e) {
+                state.lastError = this.t('plugins.external.loadFailed');
+                if (!options.silent) this.showMessage(state.lastError, 'error');
+                return false;
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        isExternalPluginAvailable(id) {
+            return this.externalPlugins.list.some((plugin) => plugin.id === id && isExternalPluginMountable(plugin));
+        },
+
+        openExternalPluginsManager() {
+            this.unmountExternalPlugin();
+            this.externalPlugins.managerOpen = true;
+            if (!this.externalPlugins.loadedOnce) {
+                void this.loadExternalPlugins();
+            }
+        },
+
+        resetExternalPluginView() {
+            this.unmountExternalPlugin();
+            this.externalPlugins.managerOpen = false;
+        },
+
+        async mountExternalPlugin(id) {
+            const state = this.externalPlugins;
+            const plugin = state.list.find((item) => item.id === id);
+            state.activeError = '';
+            if (!isExternalPluginMountable(plugin)) return false;
+            await this.$nextTick();
+            const container = this.$refs.externalPluginHost;
+            if (!container || this.pluginsActiveId !== id) return false;
+            const handle = { id, cleanup: null, styles: [] };
+            mountedExternalPlugin = handle;
+            // 插件异常只影响自己的面板
+            try {
+                for (const href of plugin.ui.styles) {
+                    const link = document.createElement('link');
+                    link.rel = 'stylesheet';
+                    link.href = href;
+                    link.dataset.codexmatePlugin = id;
+                    document.head.appendChild(link);
+                    handle.styles.push(link);
+                }
+                const mod = await import(plugin.ui.module);
+                if (mod.apiVersion !== undefined && mod.apiVersion !== EXTERNAL_PLUGIN_API_VERSION) {
+                    throw new Error(this.t('plugins.external.apiMismatch', { version: mod.apiVersion, current: EXTERNAL_PLUGIN_API_VERSION }));
+                }
+                if (typeof mod.mount !== 'function') {
+                    throw new Error(this.t('plugins.external.mountMissing'));
+                }
+                if (mountedExternalPlugin !== handle) return false;
+                const context = createExternalPluginContext(this, plugin, { api, readOnlyActions: state.readOnlyActions });
+                const result = await mod.mount(container, context);
+                handle.cleanup = typeof result === 'function'
+                    ? result
+                    : (result && typeof result.unmount === 'function' ? () => result.unmount() : null);
+                if (mountedExternalPlugin !== handle) this.releaseExternalPluginHandle(handle);
+                return true;
+            } catch (e) {
+                console.error(`[codexmate] 插件 ${id} 挂载失败:`, e);
+                if (mountedExternalPlugin === handle) {
+                    state.activeError = this.t('plugins.external.mountFailed', { error: describeExternalPluginError(e) });
+                }
+                return false;
+            }
+        },
+
+        releaseExternalPluginHandle(handle) {
+            try {
+                if (handle.cleanup) handle.cleanup();
+            } catch (e) {
+                console.error(`[codexmate] 插件 ${handle.id} 卸载失败:`, e);
+            }
+            for (const link of handle.styles) link.remove();
+        },
+
+        unmountExternalPlugin() {
+            const handle = mountedExternalPlugin;
+            mountedExternalPlugin = null;
+            this.externalPlugins.activeError = '';
+            if (!handle) return;
+            this.releaseExternalPluginHandle(handle);
+            const container = this.$refs.externalPluginHost;
+            if (container) container.replaceChildren();
+        },
+
+        async setExternalPluginEnabled(plugin, enabled) {
+            const state = this.externalPlugins;
+            if (state.busy) return false;
+            if (enabled) {
+                const permissions = plugin.permissions.map((item) => `• ${item.id}: ${item.description}`).join('\n');
+                const confirmed = await this.requestConfirmDialog({
+                    title: this.t('plugins.external.enableTitle', { name: plugin.name }),
+                    message: permissions
+                        ? this.t('plugins.external.enableMessage', { permissions })
+                        : this.t('plugins.external.enableMessageNoPermissions'),
+                    confirmText: this.t('plugins.external.enable'),
+                    cancelText: this.t('common.cancel')
+                });
+                if (!confirmed) return false;
+            } else if (this.pluginsActiveId === plugin.id) {
+                this.unmountExternalPlugin();
+            }
+            state.busy = plugin.id;
+            try {
+                const res = await api(enabled ? 'plugins-enable' : 'plugins-disable', { id: plugin.id });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return false;
+                }
+                this.showMessage(this.t(enabled ? 'plugins.external.enabled' : 'plugins.external.disabled', { name: plugin.name }), 'success');
+            } catch (e) {
+                this.showMessage(this.t('plugins.external.actionFailed'), 'error');
+                return false;
+            } finally {
+                state.busy = '';
+            }
+            await this.loadExternalPlugins({ silent: true });
+            if (!enabled && this.pluginsActiveId === plugin.id) {
+                this.pluginsActiveId = 'prompt-templates';
+            }
+            return true;
+        },
+
+        async uninstallExternalPlugin(plugin) {
+            const state = this.externalPlugins;
+            if (state.busy) return false;
+            const confirmed = await this.requestConfirmDialog({
+                title: this.t('plugins.external.uninstallTitle'),
+                message: this.t('plugins.external.uninstallMessage', { name: plugin.name, dir: plugin.dir }),
+                confirmText: this.t('plugins.external.uninstall'),
+                cancelText: this.t('common.cancel'),
+                danger: true
+            });
+            if (!confirmed) return false;
+            if (this.pluginsActiveId === plugin.id) {
+                this.unmountExternalPlugin();
+                this.pluginsActiveId = 'prompt-templates';
+            }
+            state.busy = plugin.id;
+            try {
+                const res = await api('plugins-uninstall', { id: plugin.id });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return false;
+                }
+                this.showMessage(this.t('plugins.external.uninstalled', { name: plugin.name }), 'success');
+            } catch (e) {
+                this.showMessage(this.t('plugins.external.actionFailed'), 'error');
+                return false;
+            } finally {
+                state.busy = '';
+            }
+            await this.loadExternalPlugins({ silent: true });
+            return true;
+        },
+
+        triggerExternalPluginZipImport() {
+            const input = this.$refs.externalPluginZipInput;
+            if (input) {
+                input.value = '';
+                input.click();
+            }
+        },
+
+        handleExternalPluginZipImportChange(event) {
+            const file = event && event.target && event.target.files ? event.target.files[0] : null;
+            if (file) {
+                void this.importExternalPluginZip(file);
+            }
+        },
+
+        async uploadExternalPluginZip(file, overwrite) {
+            const response = await fetchWithApiAuth(`/api/import-plugin-zip${overwrite ? '?overwrite=1' : ''}`, {
+                method: 'POST',
+                headers: {
+                    'x-codexmate-file-name': encodeURIComponent(file.name || 'codexmate-plugin.zip')
+                },
+                body: file
+            });
+            try {
+                return await response.json();
+            } catch (_) {
+                return { error: this.t('plugins.external.uploadFailed', { status: response.status }) };
+            }
+        },
+
+        async importExternalPluginZip(file, options = {}) {
+            const state = this.externalPlugins;
+            if (state.importing) return false;
+            if (file.size > MAX_PLUGIN_ZIP_SIZE) {
+                this.showMessage(this.t('plugins.external.zipTooLarge'), 'error');
+                return false;
+            }
+            const overwrite = options.overwrite === true;
+            state.importing = true;
+            let res;
+            try {
+                res = await this.uploadExternalPluginZip(file, overwrite);
+            } catch (e) {
+                res = { error: this.t('plugins.external.uploadFailed', { status: describeExternalPluginError(e) }) };
+            } finally {
+                state.importing = false;
+            }
+            if (res && res.conflict && !overwrite) {
+                const confirmed = await this.requestConfirmDialog({
+                    title: this.t('plugins.external.overwriteTitle'),
+                    message: res.error,
+                    confirmText: this.t('plugins.external.overwrite'),
+                    cancelText: this.t('common.cancel'),
+                    danger: true
+                });
+                return confirmed ? this.importExternalPluginZip(file, { overwrite: true }) : false;
+            }
+            if (!res || res.error) {
+                this.showMessage(res && res.error ? res.error : this.t('plugins.external.uploadFailed', { status: '' }), 'error');
+                return false;
+            }
+            const plugin = res.plugin;
+            this.showMessage(this.t(res.upgraded ? 'plugins.external.upgraded' : 'plugins.external.installed', { name: plugin.name, version: plugin.version }), 'success');
+            if (this.pluginsActiveId === plugin.id) this.unmountExternalPlugin();
+            await this.loadExternalPlugins({ silent: true });
+            if (this.pluginsActiveId === plugin.id && !this.externalPlugins.managerOpen) {
+                void this.mountExternalPlugin(plugin.id);
+            }
+            return true;
+        }
+    };
+}
@@ -1,7 +1,11 @@
 import {
     API_BASE,
     api,
-    apiWithMeta
+    apiWithMeta,
+    fetchAuthSession,
+    loginWebAuth,
+    logoutWebAuth,
+    setApiUnauthorizedHandler
 } from './api.mjs';
 import {
     DEFAULT_MODEL_AUTO_COMPACT_TOKEN_LIMIT,
@@ -11,16 +15,29 @@ import {
     SESSION_TRASH_PAGE_SIZE
 } from './app.constants.mjs';
 import { createAgentsMethods } from './app.methods.agents.mjs';
+import { createBudgetMethods } from './app.methods.budget.mjs';
 import { createClaudeConfigMethods } from './app.methods.claude-config.mjs';
+import { createClaudeSettingsMethods } from './app.methods.claude-settings.mjs';
 import { createCodexConfigMethods } from './app.methods.codex-config.mjs';
+import { createConfigBundleMethods } from './app.methods.config-bundle.mjs';
+import { createConfigHistoryMethods } from './app.methods.config-history.mjs';
+import { createExternalPluginsMethods } from './app.methods.external-plugins.mjs';
+import { createDirectoryBindingMethods } from './app.methods.directory-bindings.mjs';
 import { createInstallMethods } from './app.methods.install.mjs';
+import { createMcpServersMethods } from './app.methods.mcp-servers.mjs';
 import { createNavigationMethods } from './app.methods.navigation.mjs';
 import { createOpenclawCoreMethods } from './app.methods.openclaw-core.mjs';
 import { createOpenclawEditingMethods } from './app.methods.openclaw-editing.mjs';
 import { createOpenclawPersistMethods } from './app.methods.openclaw-persist.mjs';
+import { createModelCatalogMethods } from './app.methods.model-catalog.mjs';
+import { createProviderHealthMethods } from './app.methods.provider-health.mjs';
+import { createSessionAnalyticsMethods } from './app.methods.session-analytics.mjs';
+import { createSessionReplayMethods } from './app.methods.session-replay.mjs';
 import { createProvidersMethods } from './app.methods.providers.mjs';
 import { createRuntimeMethods } from './app.methods.runtime.mjs';
 import { createTaskOrchestrationMethods } from './app.methods.task-orchestration.mjs';
+import { createTrafficMethods } from './app.methods.traffic.mjs';
+import { createWebAuthMethods } from './app.methods.web-auth.mjs';
 import { createSessionActionMethods } from './app.methods.session-actions.mjs';
 import { createSessionBrowserMethods } from './app.methods.session-browser.mjs';
 import { createSessionTimelineMethods } from './app.methods.session-timeline.mjs';
@@ -75,7 +92,8 @@ export function createAppMethods() {
             getProviderConfigModeMeta
         }),
         ...createSkillsMethods({ api }),
-        ...createPluginsMethods(),
+        ...createPluginsMethods({ api }),
+        ...createExternalPluginsMethods({ api }),
         ...createAgentsMethods({ api, apiWithMeta }),
         ...createProvidersMethods({ api }),
         ...createClaudeConfigMethods({ api }),
@@ -87,6 +105,23 @@ export function createAppMethods() {
         }),
         ...createInstallMethods(),
         ...createRuntimeMethods({ api }),
-        ...createTaskOrchestrationMethods({ api })
+        ...createTaskOrchestrationMethods({ api }),
+        ...createTrafficMethods({ api }),
+        ...createBudgetMethods({ api }),
+        ...createProviderHealthMethods({ api }),
+        ...createModelCatalogMethods({ api }),
+        ...createSessionAnalyticsMethods({ api }),
+        ...createSessionReplayMethods({ api }),
+        ...createConfigHistoryMethods({ api }),
+        ...createConfigBundleMethods({ api }),
+        ...createDirectoryBindingMethods({ api }),
+        ...createMcpServersMethods({ api }),
+        ...createClaudeSettingsMethods({ api }),
+        ...createWebAuthMethods({
+            fetchAuthSession,
+            loginWebAuth,
+            logoutWebAuth,
+            setApiUnauthorizedHandler
+        })
     };
 }
@@ -0,0 +1,253 @@
+const MCP_TOOLS = ['codex', 'claude', 'openclaw'];
+
+function createEmptyMcpServerForm() {
+    return {
+        name: '',
+        editing: false,
+        transport: 'stdio',
+        command: '',
+        args: '',
+        env: '',
+        url: '',
+        headers: '',
+        description: '',
+        tools: { codex: true, claude: true, openclaw: false }
+    };
+}
+
+// 每行一个 KEY=VALUE
+function parseKeyValueLines(text) {
+    const map = {};
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        const index = trimmed.indexOf('=');
+        if (index <= 0) return null;
+        map[trimmed.slice(0, index).trim()] = trimmed.slice(index + 1).trim();
+    }
+    return map;
+}
+
+function formatKeyValueLines(map) {
+    return Object.entries(map || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+}
+
+export function createMcpServersMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadMcpServers(options = {}) {
+            const state = this.mcpServers;
+            if (state.loading) return;
+            state.loading = true;
+            try {
+                const res = await api('mcp-servers-list');
+                if (res && res.error) {
+                    state.lastError = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.items = Array.isArray(res.servers) ? res.servers : [];
+                state.tools = Array.isArray(res.tools) ? res.tools : [];
+                state.file = res.file || '';
+                state.lastError = '';
+                state.loadedOnce = true;
+            } catch (e) {
+                state.lastError = this.t('market.mcp.loadFailed');
+                if (!options.silent) this.showMessage(state.lastError, 'error');
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        startMcpServerEdit(server) {
+            const form = createEmptyMcpServerForm();
+            if (server) {
+                Object.assign(form, {
+                    name: server.name,
+                    editing: true,
+                    transport: server.transport,
+                    command: server.command || '',
+                    args: (server.args || []).join('\n'),
+                    env: formatKeyValueLines(server.env),
+                    url: server.url || '',
+                    headers: formatKeyValueLines(server.headers),
+                    description: server.description || '',
+                    tools: { ...server.enabled }
+                });
+            }
+            this.mcpServers.form = form;
+            this.mcpServers.editing = true;
+        },
+
+        cancelMcpServerEdit() {
+            this.mcpServers.editing = false;
+            this.mcpServers.form = createEmptyMcpServerForm();
+        },
+
+        async saveMcpServer() {
+            const state = this.mcpServers;
+            if (state.busy) return;
+            const form = state.form;
+            const env = parseKeyValueLines(form.env);
+            const headers = parseKeyValueLines(form.headers);
+            if (!env || !headers) {
+                this.showMessage(this.t('market.mcp.form.keyValueInvalid'), 'error');
+                return;
+            }
+            const stdio = form.transport === 'stdio';
+            const params = {
+                name: form.name.trim(),
+                create: !form.editing,
+                transport: form.transport,
+                description: form.description.trim(),
+                tools: MCP_TOOLS.filter(tool => form.tools[tool])
+            };
+            if (stdio) {
+                Object.assign(params, {
+                    command: form.command.trim(),
+                    args: form.args.split(/\r?\n/).map(item => item.trim()).filter(Boolean),
+                    env
+                });
+            } else {
+                Object.assign(params, { url: form.url.trim(), headers });
+            }
+            state.busy = true;
+            try {
+                const res = await api('mcp-servers-save', params);
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.showMessage(this.t('market.mcp.saved', { name: params.name }), 'success');
+                this.cancelMcpServerEdit();
+                await this.loadMcpServers({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('market.mcp.saveFailed'), 'error');
+            } finally {
+                state.busy = false;
+            }
+        },
+
+        async toggleMcpServerTool(server, tool) {
+            const state = this.mcpServers;
+            if (!server || state.busy) return;
+            state.busy = true;
+            try {
+                const res = await api('mcp-servers-enable', { name: server.name, tools: [tool], enabled: !server.enabled[tool] });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                await this.loadMcpServers({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('market.mcp.saveFailed'), 'error');
+            } finally {
+                state.busy = false;
+            }
+        },
+
+        async removeMcpServer(server) {
+            if (!server) return;
+            const confirmed = await this.requestConfirmDialog({
+                title: this.t('market.mcp.remove.confirmTitle'),
+                message: this.t('market.mcp.remove.confirmMessage', { name: server.name }),
+                confirmText: this.t('market.mcp.remove.button'),
+                cancelText: this.t('common.cancel'),
+                danger: true
+            });
+            if (!confirmed) return;
+            const state = this.mcpServers;
+            state.busy = true;
+            try {
+                const res = await api('mcp-servers-remove', { name: server.name });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                if (state.testResult && state.testResult.name === server.name) state.testResult = null;
+                await this.loadMcpServers({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('market.mcp.removeFailed'), 'error');
+            } finally {
+                state.busy = false;
+            }
+        },
+
+        async importMcpServers() {
+            const state = this.mcpServers;
+            if (state.busy) return;
+            state.busy = true;
+            try {
+                const res = await api('mcp-servers-import', {});
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                const message = this.t('market.mcp.imported', {
+                    added: res.added.length,
+                    linked: res.linked.length,
+                    conflicts: res.conflicts.length
+                });
+                this.showMessage(message, res.conflicts.length || res.errors.length ? 'info' : 'success');
+                await this.loadMcpServers({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('market.mcp.importFailed'), 'error');
+            } finally {
+                state.busy = false;
+            }
+        },
+
+        async syncMcpServers() {
+            const state = this.mcpServers;
+            if (state.busy) return;
+            state.busy = true;
+            try {
+                const res = await api('mcp-servers-sync', {});
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                const failed = res.results.filter(item => item.error);
+                if (failed.length) {
+                    this.showMessage(failed.map(item => `${item.tool}: ${item.error}`).join('\n'), 'error');
+                } else {
+                    const changed = res.results.filter(item => item.changed).map(item => item.tool);
+                    this.showMessage(changed.length
+                        ? this.t('market.mcp.synced', { tools: changed.join(', ') })
+                        : this.t('market.mcp.upToDate'), 'success');
+                }
+                await this.loadMcpServers({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('market.mcp.syncFailed'), 'error');
+            } finally {
+                state.busy = false;
+            }
+        },
+
+        async testMcpServer(server) {
+            const state = this.mcpServers;
+            if (!server || state.testing) return;
+            state.testing = server.name;
+            state.testResult = null;
+            try {
+                const res = await api('mcp-servers-test', { name: server.name });
+                state.testResult = { name: server.name, ...(res || {}) };
+            } catch (e) {
+                state.testResult = { name: server.name, ok: false, error: this.t('market.mcp.test.failed') };
+            } finally {
+                state.testing = '';
+            }
+        },
+
+        mcpServerPendingCount() {
+            return this.mcpServers.items.filter(server => MCP_TOOLS.some(tool => ['missing', 'changed', 'stale'].includes(server.status[tool]))).length;
+        },
+
+        formatMcpServerTarget(server) {
+            if (!server) return '';
+            if (server.transport !== 'stdio') return `${server.transport.toUpperCase()} ${server.url}`;
+            return [server.command, ...(server.args || [])].join(' ');
+        }
+    };
+}
@@ -0,0 +1,79 @@
+import { lookupModelCatalogEntry } from '../logic.mjs';
+
+function formatCatalogTokens(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) return '';
+    if (numeric >= 1000000) return `${Math.round(numeric / 100000) / 10}M`;
+    if (numeric >= 1000) return `${Math.round(numeric / 1000)}K`;
+    return String(numeric);
+}
+
+export function createModelCatalogMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadModelCatalog(options = {}) {
+            const state = this.modelCatalog;
+            if (state.loading) return;
+            state.loading = true;
+            try {
+                const res = await api('model-catalog');
+                if (res && res.error) {
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.updatedAt = res.updatedAt || '';
+                state.providers = Array.isArray(res.providers) ? res.providers : [];
+                state.models = res.models && typeof res.models === 'object' ? res.models : {};
+                state.loadedOnce = true;
+            } catch (e) {
+                if (!options.silent) this.showMessage(this.t('modelCatalog.loadFailed'), 'error');
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        async syncModelCatalog() {
+            const state = this.modelCatalog;
+            if (state.syncing) return;
+            state.syncing = true;
+            try {
+                const res = await api('model-catalog-sync');
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                const results = Array.isArray(res.results) ? res.results : [];
+                const failed = results.filter(item => item && item.status === 'error').length;
+                this.showMessage(this.t('modelCatalog.synced', { total: results.length, failed }), failed ? 'error' : 'success');
+            } catch (e) {
+                this.showMessage(this.t('modelCatalog.syncFailed'), 'error');
+            } finally {
+                state.syncing = false;
+            }
+            await this.loadModelCatalog({ silent: true });
+        },
+
+        modelCatalogInfo(modelId) {
+            return lookupModelCatalogEntry(this.modelCatalog, modelId);
+        },
+
+        formatModelCatalogHint(modelId) {
+            const entry = this.modelCatalogInfo(modelId);
+            if (!entry) return '';
+            const parts = [];
+            if (entry.contextWindow) parts.push(this.t('modelCatalog.hint.context', { value: formatCatalogTokens(entry.contextWindow) }));
+            if (entry.maxTokens) parts.push(this.t('modelCatalog.hint.output', { value: formatCatalogTokens(entry.maxTokens) }));
+            if (entry.reasoning) parts.push(this.t('modelCatalog.hint.reasoning'));
+            if (entry.tools) parts.push(this.t('modelCatalog.hint.tools'));
+            const cost = entry.cost || null;
+            if (cost && (cost.input !== undefined || cost.output !== undefined)) {
+                parts.push(this.t('modelCatalog.hint.price', {
+                    input: cost.input !== undefined ? cost.input : '-',
+                    output: cost.output !== undefined ? cost.output : '-'
+                }));
+            }
+            return parts.join(' · ');
+        }
+    };
+}
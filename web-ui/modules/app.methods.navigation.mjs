@@ -10,6 +10,7 @@ export function createNavigationMethods(options = {}) {
         'config',
         'sessions',
         'usage',
+        'traffic',
         'orchestration',
         'market',
         'plugins',
@@ -23,6 +24,12 @@ export function createNavigationMethods(options = {}) {
         vm.__doctorLoading = true;
         let ok = true;
         try {
+            if (typeof vm.loadProxyBudgetStatus === 'function') {
+                void vm.loadProxyBudgetStatus({ silent: true });
+            }
+            if (typeof vm.loadCodexAuthProfiles === 'function') {
+                void vm.loadCodexAuthProfiles({ silent: true });
+            }
             if (typeof vm.runHealthCheck === 'function') {
                 await vm.runHealthCheck({ doctor: true, silent: true, forceRefresh });
             }
@@ -1,3 +1,5 @@
+import { lookupModelCatalogEntry } from '../logic.mjs';
+
 export function createOpenclawEditingMethods() {
     return {
         applyOpenclawStructuredToText() {
@@ -238,23 +240,30 @@ export function createOpenclawEditingMethods() {
             }
 
             const modelName = (this.openclawQuick.modelName || '').trim() || modelId;
+            // 模型目录中有该模型时带上能力与价格，手填的上下文 / 输出长度优先
+            const catalogEntry = lookupModelCatalogEntry(this.modelCatalog, modelId);
+            const catalogCost = catalogEntry && catalogEntry.cost ? catalogEntry.cost : {};
             const modelEntry = {
                 id: modelId,
                 name: modelName,
-                reasoning: false,
+                reasoning: !!(catalogEntry && catalogEntry.reasoning),
                 input: ['text'],
                 cost: {
-                    input: 0,
-                    output: 0,
-                    cacheRead: 0,
-                    cacheWrite: 0
+                    input: catalogCost.input || 0,
+                    output: catalogCost.output || 0,
+                    cacheRead: catalogCost.cacheRead || 0,
+                    cacheWrite: catalogCost.cacheWrite || 0
                 }
             };
             if (contextWindow.value !== null) {
                 modelEntry.contextWindow = contextWindow.value;
+            } else if (catalogEntry && catalogEntry.contextWindow) {
+                modelEntry.contextWindow = catalogEntry.contextWindow;
             }
             if (maxTokens.value !== null) {
                 modelEntry.maxTokens = maxTokens.value;
+            } else if (catalogEntry && catalogEntry.maxTokens) {
+                modelEntry.maxTokens = catalogEntry.maxTokens;
             }
 
             const existingModels = Array.isArray(provider.models) ? [...provider.models] : [];
@@ -0,0 +1,129 @@
+const SPARKLINE_WIDTH = 72;
+const SPARKLINE_HEIGHT = 18;
+
+export function createProviderHealthMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadProviderHealth(options = {}) {
+            const state = this.providerHealth;
+            if (state.loading) return;
+            state.loading = true;
+            try {
+                const res = await api('provider-health-status', { points: 48 });
+                if (res && res.error) {
+                    state.lastError = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.settings = { ...state.settings, ...(res.settings || {}) };
+                state.targets = Array.isArray(res.targets) ? res.targets : [];
+                state.lastRunAt = res.lastRunAt || '';
+                state.running = !!res.running;
+                state.lastError = '';
+                state.loadedOnce = true;
+            } catch (e) {
+                state.lastError = this.t('providerHealth.loadFailed');
+                if (!options.silent) this.showMessage(state.lastError, 'error');
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        async saveProviderHealthSettings(patch = {}) {
+            const state = this.providerHealth;
+            if (state.saving) return;
+            state.saving = true;
+            try {
+                const res = await api('provider-health-save-config', patch);
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.settings = { ...state.settings, ...(res.settings || {}) };
+                this.showMessage(this.t('providerHealth.saved'), 'success');
+            } catch (e) {
+                this.showMessage(this.t('providerHealth.saveFailed'), 'error');
+            } finally {
+                state.saving = false;
+            }
+        },
+
+        async runProviderHealthNow() {
+            const state = this.providerHealth;
+            if (state.running) return;
+            state.running = true;
+            try {
+                const res = await api('provider-health-run');
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                const failed = (res.results || []).filter(item => item && item.sample && !item.sample.ok).length;
+                this.showMessage(this.t('providerHealth.runDone', { total: (res.results || []).length, failed }), failed ? 'error' : 'success');
+            } catch (e) {
+                this.showMessage(this.t('providerHealth.runFailed'), 'error');
+            } finally {
+                state.running = false;
+            }
+            await this.loadProviderHealth({ silent: true });
+        },
+
+        // 同一 provider 切换过模型时取最近有采样的那条序列
+        providerHealthFor(name) {
+            let best = null;
+            for (const target of this.providerHealth.targets) {
+                if (!target || target.provider !== name || !target.lastSample) continue;
+                if (!best || target.lastSample.t > best.lastSample.t) best = target;
+            }
+            return best;
+        },
+
+        providerHealthSparkline(name) {
+            const target = this.providerHealthFor(name);
+            const points = target && Array.isArray(target.points) ? target.points : [];
+            if (!points.length) return { line: '', failures: [] };
+            const maxMs = Math.max(1, ...points.filter(item => item.ok).map(item => item.ms));
+            const step = points.length > 1 ? SPARKLINE_WIDTH / (points.length - 1) : 0;
+            const coords = [];
+            const failures = [];
+            points.forEach((item, index) => {
+                const x = Math.round(index * step * 10) / 10;
+                if (!item.ok) {
+                    failures.push({ x, y: SPARKLINE_HEIGHT - 2 });
+                    return;
+                }
+                const y = Math.round((SPARKLINE_HEIGHT - 2 - (item.ms / maxMs) * (SPARKLINE_HEIGHT - 4)) * 10) / 10;
+                coords.push(`${x},${y}`);
+            });
+            return { line: coords.join(' '), failures };
+        },
+
+        formatProviderHealthUptime(name) {
+            const target = this.providerHealthFor(name);
+            if (!target || target.uptime24h === null || target.uptime24h === undefined) return '';
+            return `${target.uptime24h}%`;
+        },
+
+        providerHealthTitle(name) {
+            const target = this.providerHealthFor(name);
+            if (!target) return '';
+            const lines = [
+                this.t('providerHealth.tooltip.model', { model: target.model || '-' }),
+                this.t('providerHealth.tooltip.uptime', { value: target.uptime24h === null ? '-' : `${target.uptime24h}%` }),
+                this.t('providerHealth.tooltip.latency', {
+                    avg: target.avgMs24h === null ? '-' : target.avgMs24h,
+                    p95: target.p95Ms24h === null ? '-' : target.p95Ms24h
+                })
+            ];
+            if (target.state === 'degraded') {
+                lines.push(this.t('providerHealth.tooltip.degraded', { error: target.lastError || '-' }));
+            }
+            const errors = Object.entries(target.errors24h || {}).map(([key, count]) => `${key} ×${count}`);
+            if (errors.length) {
+                lines.push(this.t('providerHealth.tooltip.errors', { value: errors.join(', ') }));
+            }
+            return lines.join('\n');
+        }
+    };
+}
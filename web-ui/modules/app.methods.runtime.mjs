@@ -330,6 +330,49 @@ export function createRuntimeMethods(options = {}) {
             }
         },
 
+        // 仪表盘优先展示已过期 / 即将过期的认证
+        dashboardAuthProfiles() {
+            const rank = (profile) => (profile.expiryStatus === 'expired' ? 0 : (profile.expiryStatus === 'expiring' ? 1 : 2));
+            const list = Array.isArray(this.codexAuthProfiles) ? this.codexAuthProfiles.slice() : [];
+            return list.sort((a, b) => {
+                const diff = rank(a) - rank(b);
+                if (diff !== 0) return diff;
+                return (b.current ? 1 : 0) - (a.current ? 1 : 0);
+            }).slice(0, 4);
+        },
+
+        formatAuthProfileExpiry(profile) {
+            if (!profile || !profile.expired || profile.expiryStatus === 'unknown') {
+                return this.t('dashboard.auth.expiry.unknown');
+            }
+            const ms = Math.abs(Number(profile.expiresInMs) || 0);
+            const hours = Math.floor(ms / 3600000);
+            const value = hours >= 24
+                ? this.t('dashboard.auth.days', { count: Math.floor(hours / 24) })
+                : this.t('dashboard.auth.hours', { count: Math.max(hours, 1) });
+            if (profile.expiryStatus === 'expired') return this.t('dashboard.auth.expiry.expired', { value });
+            if (profile.expiryStatus === 'expiring') return this.t('dashboard.auth.expiry.expiring', { value });
+            return this.t('dashboard.auth.expiry.valid', { value });
+        },
+
+        async refreshCodexAuthProfile(profile) {
+            if (!profile || this.codexAuthRefreshing) return;
+            this.codexAuthRefreshing = profile.name;
+            try {
+                const res = await api('refresh-auth-profile', { name: profile.name });
+                if (res && res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.showMessage(this.t('dashboard.auth.refreshed', { name: profile.name }), 'success');
+                await this.loadCodexAuthProfiles({ silent: true });
+            } catch (e) {
+                this.showMessage(this.t('dashboard.auth.refreshFailed'), 'error');
+            } finally {
+                this.codexAuthRefreshing = '';
+            }
+        },
+
         showMessage(text, type) {
             if (this._messageTimer) {
                 clearTimeout(this._messageTimer);
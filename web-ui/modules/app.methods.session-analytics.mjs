@@ -0,0 +1,50 @@
+export function createSessionAnalyticsMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadSessionAnalytics(options = {}) {
+            const state = this.sessionAnalytics;
+            if (state.loading) return;
+            const range = this.sessionsUsageTimeRange === 'all' ? '' : this.sessionsUsageTimeRange;
+            state.loading = true;
+            try {
+                const res = await api('session-analytics', {
+                    source: state.source || 'all',
+                    path: state.path || '',
+                    timeRangePreset: range || ''
+                });
+                if (res && res.error) {
+                    state.error = res.error;
+                    if (!options.silent) this.showMessage(res.error, 'error');
+                    return;
+                }
+                state.data = res;
+                state.error = '';
+                state.loadedOnce = true;
+            } catch (e) {
+                state.error = this.t('usage.analytics.loadFailed');
+                if (!options.silent) this.showMessage(state.error, 'error');
+            } finally {
+                state.loading = false;
+            }
+        },
+
+        setSessionAnalyticsFilter(patch = {}) {
+            Object.assign(this.sessionAnalytics, patch);
+            void this.loadSessionAnalytics();
+        },
+
+        formatAnalyticsDuration(ms) {
+            if (ms === null || ms === undefined || !Number.isFinite(Number(ms))) return '-';
+            const value = Number(ms);
+            if (value < 1000) return `${Math.round(value)}ms`;
+            if (value < 60000) return `${(value / 1000).toFixed(1)}s`;
+            return `${Math.floor(value / 60000)}m ${Math.round((value % 60000) / 1000)}s`;
+        },
+
+        sessionAnalyticsPercent(value, list) {
+            const max = Math.max(1, ...(Array.isArray(list) ? list : []).map(item => item.calls ?? item.count ?? 0));
+            return Math.round((Number(value || 0) / max) * 100);
+        }
+    };
+}
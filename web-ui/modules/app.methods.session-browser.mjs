@@ -1,5 +1,6 @@
 import {
     buildSessionFilterCacheState,
+    buildSessionMatchSegments,
     isSessionQueryEnabled,
     normalizeSessionMessageRole,
     normalizeSessionPathFilter
@@ -464,6 +465,13 @@ export function createSessionBrowserMethods(options = {}) {
             return false;
         },
 
+        getSessionMatchSegments(session) {
+            const highlights = session && session.match && Array.isArray(session.match.highlights)
+                ? session.match.highlights
+                : [];
+            return highlights.length > 0 ? buildSessionMatchSegments(highlights[0]) : [];
+        },
+
         getSessionFilterChips() {
             const chips = [];
             if (this.sessionFilterSource && this.sessionFilterSource !== 'all') {
@@ -610,6 +618,9 @@ export function createSessionBrowserMethods(options = {}) {
             const range = normalized === 'all' ? 'all' : (normalized === '30d' ? '30d' : '7d');
             this.sessionsUsageTimeRange = range;
             void this.loadSessionsUsage({ range });
+            if (this.sessionAnalytics && this.sessionAnalytics.loadedOnce && typeof this.loadSessionAnalytics === 'function') {
+                void Promise.resolve(this.loadSessionAnalytics({ silent: true })).catch(() => {});
+            }
         },
 
         async loadSessionsUsage(options = {}) {
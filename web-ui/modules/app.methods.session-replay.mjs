@@ -0,0 +1,146 @@
+const REPLAY_MIN_STEP_MS = 300;
+const REPLAY_MAX_STEP_MS = 2500;
+
+function parseTime(value) {
+    const time = Date.parse(value || '');
+    return Number.isFinite(time) ? time : null;
+}
+
+export function createSessionReplayMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        isSessionReplayVisible() {
+            const state = this.sessionReplay;
+            return !!(state.open && this.activeSession && state.key === this.getSessionExportKey(this.activeSession));
+        },
+
+        toggleSessionReplay() {
+            if (this.isSessionReplayVisible()) {
+                this.closeSessionReplay();
+                return;
+            }
+            this.stopSessionReplayPlayback();
+            Object.assign(this.sessionReplay, {
+                open: true,
+                key: this.getSessionExportKey(this.activeSession),
+                data: null,
+                error: '',
+                cursor: 0
+            });
+            void this.loadSessionReplay();
+        },
+
+        closeSessionReplay() {
+            this.stopSessionReplayPlayback();
+            this.sessionReplay.open = false;
+        },
+
+        async loadSessionReplay() {
+            const state = this.sessionReplay;
+            const session = this.activeSession;
+            if (!session) return;
+            const key = this.getSessionExportKey(session);
+            state.loading = true;
+            try {
+                const res = await api('session-events', {
+                    source: session.source,
+                    sessionId: session.sessionId,
+                    filePath: session.filePath
+                });
+                if (state.key !== key) return;
+                if (res && res.error) {
+                    state.error = res.error;
+                    return;
+                }
+                state.data = res;
+                state.error = '';
+                state.cursor = 0;
+            } catch (e) {
+                if (state.key === key) state.error = this.t('sessions.replay.loadFailed');
+            } finally {
+                if (state.key === key) state.loading = false;
+            }
+        },
+
+        sessionReplayEvents() {
+            const data = this.sessionReplay.data;
+            return data && Array.isArray(data.events) ? data.events : [];
+        },
+
+        seekSessionReplay(index) {
+            const events = this.sessionReplayEvents();
+            if (!events.length) return;
+            const cursor = Math.max(0, Math.min(events.length - 1, Math.floor(Number(index) || 0)));
+            this.sessionReplay.cursor = cursor;
+            this.$nextTick(() => {
+                const scrollEl = this.sessionPreviewScrollEl;
+                const el = scrollEl && typeof scrollEl.querySelector === 'function'
+                    ? scrollEl.querySelector(`[data-replay-index="${cursor}"]`)
+                    : null;
+                if (el && typeof el.scrollIntoView === 'function') {
+                    el.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        },
+
+        stepSessionReplay(delta) {
+            this.stopSessionReplayPlayback();
+            this.seekSessionReplay(this.sessionReplay.cursor + delta);
+        },
+
+        toggleSessionReplayPlayback() {
+            if (this.sessionReplay.playing) {
+                this.stopSessionReplayPlayback();
+                return;
+            }
+            const events = this.sessionReplayEvents();
+            if (!events.length) return;
+            if (this.sessionReplay.cursor >= events.length - 1) {
+                this.seekSessionReplay(0);
+            }
+            this.sessionReplay.playing = true;
+            this.scheduleSessionReplayStep();
+        },
+
+        stopSessionReplayPlayback() {
+            if (this._sessionReplayTimer) {
+                clearTimeout(this._sessionReplayTimer);
+                this._sessionReplayTimer = 0;
+            }
+            this.sessionReplay.playing = false;
+        },
+
+        // 按真实时间间隔推进，间隔压缩到 0.3s~2.5s 之间再按倍速缩放
+        scheduleSessionReplayStep() {
+            const state = this.sessionReplay;
+            const events = this.sessionReplayEvents();
+            const current = events[state.cursor];
+            const next = events[state.cursor + 1];
+            if (!state.playing || !next || !this.isSessionReplayVisible()) {
+                this.stopSessionReplayPlayback();
+                return;
+            }
+            const start = parseTime(current && current.timestamp);
+            const end = parseTime(next.timestamp);
+            const gap = start !== null && end !== null ? end - start : REPLAY_MIN_STEP_MS;
+            const speed = Number(state.speed) > 0 ? Number(state.speed) : 1;
+            const delay = Math.min(REPLAY_MAX_STEP_MS, Math.max(REPLAY_MIN_STEP_MS, gap)) / speed;
+            this._sessionReplayTimer = setTimeout(() => {
+                this._sessionReplayTimer = 0;
+                if (!state.playing) return;
+                this.seekSessionReplay(state.cursor + 1);
+                this.scheduleSessionReplayStep();
+            }, delay);
+        },
+
+        formatSessionReplayOffset(event) {
+            const events = this.sessionReplayEvents();
+            const first = events.find(item => parseTime(item.timestamp) !== null);
+            const start = parseTime(first && first.timestamp);
+            const time = parseTime(event && event.timestamp);
+            if (start === null || time === null) return '';
+            return `+${this.formatAnalyticsDuration(Math.max(0, time - start))}`;
+        }
+    };
+}
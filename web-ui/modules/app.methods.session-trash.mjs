@@ -208,7 +208,7 @@ export function createSessionTrashMethods(options = {}) {
         },
 
         normalizeSettingsTab(tab) {
-            if (tab === 'trash' || tab === 'device') {
+            if (tab === 'trash' || tab === 'device' || tab === 'history' || tab === 'bindings') {
                 return tab;
             }
             return 'backup';
@@ -221,6 +221,18 @@ export function createSessionTrashMethods(options = {}) {
         async switchSettingsTab(tab, options = {}) {
             const nextTab = this.normalizeSettingsTab(tab);
             this.settingsTab = nextTab;
+            if (nextTab === 'history') {
+                if (options.forceRefresh === true || !this.configHistory.loadedOnce) {
+                    await this.loadConfigHistory();
+                }
+                return;
+            }
+            if (nextTab === 'bindings') {
+                if (options.forceRefresh === true || !this.directoryBindings.loadedOnce) {
+                    await this.loadDirectoryBindings();
+                }
+                return;
+            }
             if (nextTab !== 'trash') {
                 return;
             }
@@ -140,6 +140,8 @@ export function createStartupClaudeMethods(options = {}) {
             if (result) {
                 Promise.resolve(this.loadModelsForProvider(this.currentProvider)).catch(() => {});
                 Promise.resolve(this.loadCodexAuthProfiles()).catch(() => {});
+                Promise.resolve().then(() => this.loadProviderHealth({ silent: true })).catch(() => {});
+                Promise.resolve().then(() => this.loadModelCatalog({ silent: true })).catch(() => {});
             }
             const pending = this._loadAllPendingOptions;
             this._loadAllPendingOptions = null;
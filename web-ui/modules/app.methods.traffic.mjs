@@ -0,0 +1,183 @@
+function readTrafficFilters(traffic) {
+    const filters = traffic && traffic.filters ? traffic.filters : {};
+    return {
+        proxy: typeof filters.proxy === 'string' ? filters.proxy : '',
+        provider: typeof filters.provider === 'string' ? filters.provider : '',
+        status: typeof filters.status === 'string' ? filters.status : '',
+        keyword: typeof filters.keyword === 'string' ? filters.keyword.trim() : ''
+    };
+}
+
+export function createTrafficMethods(options = {}) {
+    const { api } = options;
+
+    return {
+        async loadTrafficOverview(options = {}) {
+            const silent = !!options.silent;
+            const traffic = this.traffic;
+            if (traffic.loading) return;
+            traffic.loading = true;
+            try {
+                const [status, list] = await Promise.all([
+                    api('traffic-status'),
+                    api('traffic-list', { ...readTrafficFilters(traffic), limit: traffic.limit })
+                ]);
+                if (status && !status.error) {
+                    traffic.settings = status.settings || traffic.settings;
+                    traffic.files = Array.isArray(status.files) ? status.files : [];
+                    traffic.totalBytes = Number(status.totalBytes) || 0;
+                }
+                if (list && list.error) {
+                    traffic.lastError = list.error;
+                    if (!silent) this.showMessage(list.error, 'error');
+                    return;
+                }
+                traffic.entries = Array.isArray(list.entries) ? list.entries : [];
+                traffic.total = Number(list.total) || 0;
+                traffic.providers = Array.isArray(list.providers) ? list.providers : [];
+                traffic.lastError = '';
+                traffic.loadedOnce = true;
+                if (traffic.selectedId && !traffic.entries.some((entry) => entry.id === traffic.selectedId)) {
+                    traffic.selectedId = '';
+                    traffic.selectedEntry = null;
+                }
+            } catch (e) {
+                traffic.lastError = e && e.message ? e.message : this.t('traffic.loadFailed');
+                if (!silent) this.showMessage(traffic.lastError, 'error');
+            } finally {
+                traffic.loading = false;
+            }
+        },
+
+        resetTrafficFilters() {
+            this.traffic.filters = { proxy: '', provider: '', status: '', keyword: '' };
+            return this.loadTrafficOverview();
+        },
+
+        async setTrafficRecording(enabled) {
+            const traffic = this.traffic;
+            if (traffic.saving) return;
+            traffic.saving = true;
+            try {
+                const res = await api('traffic-save-config', { enabled: !!enabled });
+                if (res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                traffic.settings = res.settings;
+                this.showMessage(enabled ? this.t('traffic.recording.enabled') : this.t('traffic.recording.disabled'), 'success');
+            } catch (e) {
+                this.showMessage(e && e.message ? e.message : this.t('traffic.saveFailed'), 'error');
+            } finally {
+                traffic.saving = false;
+            }
+        },
+
+        async selectTrafficEntry(id) {
+            const traffic = this.traffic;
+            if (!id) return;
+            traffic.selectedId = id;
+            traffic.replayResult = null;
+            traffic.detailLoading = true;
+            try {
+                const res = await api('traffic-get', { id });
+                if (traffic.selectedId !== id) return;
+                if (res.error) {
+                    traffic.selectedEntry = null;
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                traffic.selectedEntry = res.entry;
+                if (!traffic.replayProvider) {
+                    traffic.replayProvider = res.entry.provider || '';
+                }
+            } catch (e) {
+                this.showMessage(e && e.message ? e.message : this.t('traffic.loadFailed'), 'error');
+            } finally {
+                if (traffic.selectedId === id) {
+                    traffic.detailLoading = false;
+                }
+            }
+        },
+
+        async replaySelectedTrafficEntry() {
+            const traffic = this.traffic;
+            const entry = traffic.selectedEntry;
+            if (!entry || traffic.replayLoading) return;
+            traffic.replayLoading = true;
+            traffic.replayResult = null;
+            try {
+                const res = await api('traffic-replay', {
+                    id: entry.id,
+                    provider: traffic.replayProvider,
+                    model: traffic.replayModel
+                });
+                if (res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                traffic.replayResult = res;
+            } catch (e) {
+                this.showMessage(e && e.message ? e.message : this.t('traffic.replay.failed'), 'error');
+            } finally {
+                traffic.replayLoading = false;
+            }
+        },
+
+        async clearTrafficLog() {
+            const confirmed = await this.requestConfirmDialog({
+                title: this.t('traffic.clear.title'),
+                message: this.t('traffic.clear.message'),
+                confirmText: this.t('traffic.clear.confirm'),
+                danger: true
+            });
+            if (!confirmed) return;
+            try {
+                const res = await api('traffic-clear');
+                if (res.error) {
+                    this.showMessage(res.error, 'error');
+                    return;
+                }
+                this.traffic.selectedId = '';
+                this.traffic.selectedEntry = null;
+                this.traffic.replayResult = null;
+                this.showMessage(this.t('traffic.clear.done'), 'success');
+                await this.loadTrafficOverview({ silent: true });
+            } catch (e) {
+                this.showMessage(e && e.message ? e.message : this.t('traffic.clear.failed'), 'error');
+            }
+        },
+
+        formatTrafficBody(text) {
+            const raw = typeof text === 'string' ? text : '';
+            if (!raw.trim()) return '';
+            try {
+                return JSON.stringify(JSON.parse(raw), null, 2);
+            } catch (_) {
+                return raw;
+            }
+        },
+
+        formatTrafficHeaders(headers) {
+            if (!headers || typeof headers !== 'object') return '';
+            return Object.keys(headers).map((name) => `${name}: ${headers[name]}`).join('\n');
+        },
+
+        formatTrafficUsage(usage) {
+            if (!usage) return '-';
+            return `${usage.inputTokens} / ${usage.outputTokens}`;
+        },
+
+        formatTrafficTime(ts) {
+            const date = new Date(ts);
+            if (Number.isNaN(date.getTime())) return '';
+            return date.toLocaleString();
+        },
+
+        trafficStatusTone(entry) {
+            if (!entry) return '';
+            if (entry.error || !(entry.status >= 200 && entry.status < 400)) return 'error';
+            return 'ok';
+        }
+    };
+}
@@ -0,0 +1,62 @@
+export function createWebAuthMethods(options = {}) {
+    const {
+        fetchAuthSession,
+        loginWebAuth,
+        logoutWebAuth,
+        setApiUnauthorizedHandler
+    } = options;
+
+    return {
+        // 远程访问时先确认登录态；本机免登录或服务端未启用鉴权时直接放行
+        async ensureWebAuthSession() {
+            const auth = this.webAuth;
+            if (typeof setApiUnauthorizedHandler === 'function') {
+                setApiUnauthorizedHandler(() => {
+                    auth.authenticated = false;
+                    auth.showLogin = true;
+                });
+            }
+            try {
+                const res = await fetchAuthSession();
+                auth.required = !!res.required;
+                auth.authenticated = !!res.authenticated;
+                auth.role = res.role || '';
+                auth.via = res.via || '';
+                auth.passwordLogin = !!res.passwordLogin;
+            } catch (_) {
+                return true;
+            }
+            auth.showLogin = auth.required && !auth.authenticated;
+            return !auth.showLogin;
+        },
+
+        async submitWebAuthLogin() {
+            const auth = this.webAuth;
+            const secret = typeof auth.secret === 'string' ? auth.secret.trim() : '';
+            if (!secret || auth.submitting) return;
+            auth.submitting = true;
+            auth.error = '';
+            try {
+                const res = await loginWebAuth(auth.mode === 'password' ? { password: secret } : { token: secret });
+                if (!res.ok) {
+                    auth.error = res.error || this.t('webAuth.loginFailed');
+                    return;
+                }
+                auth.secret = '';
+                window.location.reload();
+            } catch (e) {
+                auth.error = e && e.message ? e.message : this.t('webAuth.loginFailed');
+            } finally {
+                auth.submitting = false;
+            }
+        },
+
+        async logoutWebAuthSession() {
+            try {
+                await logoutWebAuth();
+            } finally {
+                window.location.reload();
+            }
+        }
+    };
+}
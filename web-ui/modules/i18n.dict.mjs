@@ -125,6 +125,7 @@ const DICT = Object.freeze({
         'tab.config.openclaw': 'OpenClaw',
         'tab.sessions': '会话',
         'tab.usage': '用量',
+        'tab.traffic': '流量',
         'tab.orchestration': '任务',
         'tab.market': 'Skills',
         'tab.plugins': '插件',
@@ -163,6 +164,7 @@ const DICT = Object.freeze({
         'kicker.config': 'Configuration',
         'kicker.sessions': 'Sessions',
         'kicker.usage': 'Usage',
+        'kicker.traffic': 'Traffic',
         'kicker.orchestration': 'Tasks',
         'kicker.market': 'Skills',
         'kicker.plugins': 'Plugins',
@@ -173,6 +175,7 @@ const DICT = Object.freeze({
         'title.config': '本地配置控制台',
         'title.sessions': '会话与导出',
         'title.usage': '本地用量与趋势',
+        'title.traffic': '代理流量录制与重放',
         'title.orchestration': '任务编排',
         'title.market': 'Skills 安装与同步',
         'title.plugins': '插件与模板',
@@ -183,6 +186,7 @@ const DICT = Object.freeze({
         'subtitle.config': '管理本地配置与模型。',
         'subtitle.sessions': '浏览与导出会话。',
         'subtitle.usage': '查看近 7 / 30 天用量。',
+        'subtitle.traffic': '查看本地代理转发的请求与响应，并重放到其他 Provider。',
         'subtitle.orchestration': '规划、排队、执行与回看本地任务。',
         'subtitle.market': '管理本地 Skills。',
         'subtitle.plugins': '管理模板化 prompt 与可复用插件。',
@@ -196,6 +200,82 @@ const DICT = Object.freeze({
         'dashboard.doctor.export.json': '导出 JSON',
         'dashboard.doctor.export.md': '导出 Markdown',
         'dashboard.doctor.open': '打开',
+        'bundle.title': '加密配置包',
+        'bundle.meta': '在多台机器间迁移提供商、认证、Claude / OpenClaw 配置、工作流、自动化规则与提示词模板',
+        'bundle.section.providers': '提供商',
+        'bundle.section.models': '模型列表',
+        'bundle.section.authProfiles': '认证档案',
+        'bundle.section.claudeProfiles': 'Claude 配置',
+        'bundle.section.openclawProfiles': 'OpenClaw 配置',
+        'bundle.section.workflows': '工作流',
+        'bundle.section.automation': '自动化规则',
+        'bundle.section.promptTemplates': '提示词模板',
+        'bundle.passphrase': '口令',
+        'bundle.passphrase.placeholder': '至少 8 个字符，导入时需要同一口令',
+        'bundle.export.button': '导出配置包',
+        'bundle.export.running': '导出中...',
+        'bundle.export.noSections': '请至少选择一项内容',
+        'bundle.export.success': '配置包已导出',
+        'bundle.export.failed': '导出配置包失败',
+        'bundle.import.choose': '选择配置包导入',
+        'bundle.import.preview': '解密预览',
+        'bundle.import.previewing': '解密中...',
+        'bundle.import.summary': '新增 {new} 项，相同 {identical} 项，冲突 {conflict} 项',
+        'bundle.import.apply': '按选择导入',
+        'bundle.import.success': '已导入 {imported} 项，跳过 {skipped} 项',
+        'bundle.import.failed': '导入配置包失败',
+        'bindings.title': '目录绑定',
+        'bindings.meta': '按项目路径自动切换提供商 / 模型 / 认证；codexmate codex / qwen 启动时只注入参数与环境变量，不修改全局配置',
+        'bindings.add': '添加绑定',
+        'bindings.loading': '正在读取目录绑定...',
+        'bindings.empty': '暂无目录绑定',
+        'bindings.loadFailed': '读取目录绑定失败',
+        'bindings.field.pattern': '路径',
+        'bindings.field.pattern.placeholder': '/work/client-a 或 ~/src/acme-*',
+        'bindings.field.provider': '提供商',
+        'bindings.field.model': '模型',
+        'bindings.field.authProfile': '认证',
+        'bindings.field.claudeProfile': 'Claude 配置',
+        'bindings.field.note': '备注',
+        'bindings.field.enabled': '启用',
+        'bindings.field.unset': '不绑定',
+        'bindings.form.patternRequired': '请填写路径',
+        'bindings.save': '保存',
+        'bindings.saving': '保存中...',
+        'bindings.saved': '已保存目录绑定: {pattern}',
+        'bindings.saveFailed': '保存目录绑定失败',
+        'bindings.edit': '编辑',
+        'bindings.disabled': '已停用',
+        'bindings.delete.button': '删除',
+        'bindings.delete.confirmTitle': '删除目录绑定',
+        'bindings.delete.confirmMessage': '确定删除 {pattern} 的绑定吗？',
+        'bindings.deleteFailed': '删除目录绑定失败',
+        'bindings.test.label': '测试目录',
+        'bindings.test.placeholder': '输入目录，查看命中的绑定',
+        'bindings.test.target': '启动目标',
+        'bindings.test.button': '测试',
+        'bindings.test.failed': '测试目录绑定失败',
+        'bindings.test.matched': '命中绑定: {pattern}',
+        'bindings.test.env': '环境变量: {keys}',
+        'bindings.test.none': '{cwd} 未命中任何绑定',
+        'bindings.hint': '不含通配符的路径同时匹配其子目录；多条命中时取最具体的一条。终端中可用 eval "$(codexmate bind env)" 导出环境变量。',
+        'bundle.import.readFailed': '读取配置包文件失败',
+        'bundle.status.new': '新增',
+        'bundle.status.identical': '相同',
+        'bundle.status.conflict': '冲突',
+        'bundle.status.client-only': '仅浏览器',
+        'bundle.choice.import': '导入',
+        'bundle.choice.skip': '跳过',
+        'bundle.choice.overwrite': '覆盖本机',
+        'bundle.choice.rename': '另存为新名称',
+        'dashboard.doctor.fix': '自动修复',
+        'dashboard.doctor.fix.running': '修复中...',
+        'dashboard.doctor.fix.confirmTitle': '确认执行修复',
+        'dashboard.doctor.fix.confirmBackup': '执行前会把将被修改的文件备份到 ~/.codex/codexmate-doctor-backups/。',
+        'dashboard.doctor.fix.nothing': '该问题暂时无法自动修复',
+        'dashboard.doctor.fix.success': '修复完成，备份目录：{dir}',
+        'dashboard.doctor.fix.failed': '修复失败',
+        'doctor.action.fix': '自动修复',
         'doctor.action.openConfig': '打开 Config',
         'doctor.action.checkProvider': '检查 Provider 配置',
         'doctor.action.openUsage': '打开 Usage',
@@ -203,6 +283,7 @@ const DICT = Object.freeze({
         'doctor.action.openTasks': '打开 Tasks',
         'doctor.action.viewTaskLogs': '查看 Tasks / Logs',
         'doctor.action.openSkills': '打开 Skills',
+        'doctor.action.refreshAuth': '刷新认证',
         'doctor.issue.configNotReady.problem': '配置文件未就绪',
         'doctor.issue.configNotReady.impact': '可能导致 provider/model 无法读取，模型列表与请求将不可用。',
         'doctor.issue.providerUnreachable.problem.remote-model-probe-unreachable': 'Provider 不可达',
@@ -229,11 +310,17 @@ const DICT = Object.freeze({
         'doctor.issue.skillsRootMissing.impact': '会导致 Skills 安装/扫描为空；可在 Settings/Docs 按指引初始化目录。',
         'doctor.issue.skillsMissingFiles.problem': '存在缺失 skill.json 的技能',
         'doctor.issue.skillsMissingFiles.impact': '会导致部分技能无法被运行或同步。',
+        'doctor.issue.authProfileExpired.problem': '认证已过期',
+        'doctor.issue.authProfileExpired.impact': '使用该登录的 Codex 请求会失败，需要刷新或重新导入。',
+        'doctor.issue.authProfileExpiring.problem': '认证即将过期',
+        'doctor.issue.authProfileExpiring.impact': '请在过期前刷新，避免 Codex 运行中断。',
         'dashboard.card.config': '配置',
         'dashboard.card.sessions': '会话',
         'dashboard.card.usage': '用量',
         'dashboard.card.tasks': '任务',
         'dashboard.card.skills': 'Skills',
+        'dashboard.card.budget': '代理预算',
+        'dashboard.card.auth': '认证有效期',
         'dashboard.kv.model': '模型',
         'dashboard.kv.issue': '异常',
         'dashboard.kv.active': '当前',
@@ -277,6 +364,19 @@ const DICT = Object.freeze({
         'dashboard.state.ready': '就绪',
         'dashboard.state.idle': '未加载',
         'dashboard.none': '无',
+        'dashboard.kv.current': '当前',
+        'dashboard.auth.count': '{count} 个认证',
+        'dashboard.auth.alerts': '{count} 个需处理',
+        'dashboard.auth.days': '{count} 天',
+        'dashboard.auth.hours': '{count} 小时',
+        'dashboard.auth.expiry.unknown': '未知',
+        'dashboard.auth.expiry.expired': '已过期 {value}',
+        'dashboard.auth.expiry.expiring': '{value}后过期',
+        'dashboard.auth.expiry.valid': '剩余 {value}',
+        'dashboard.auth.refresh': '刷新',
+        'dashboard.auth.refreshing': '刷新中…',
+        'dashboard.auth.refreshed': '已刷新认证: {name}',
+        'dashboard.auth.refreshFailed': '刷新认证失败',
         'dashboard.sessions.count': '{count} 条会话',
         'dashboard.usage.range': '范围 {value}',
         'dashboard.tasks.queue': 'run {running} / queue {queued}',
@@ -340,6 +440,65 @@ const DICT = Object.freeze({
         'plugins.promptTemplates.preview.hint': '渲染结果（缺失变量会替换为空）。',
         'plugins.promptTemplates.preview.copy': '复制',
         'plugins.promptTemplates.preview.outputAria': '渲染结果（提示词）',
+        'plugins.external.manage': '管理',
+        'plugins.external.title': '第三方插件',
+        'plugins.external.hint': '插件目录：{dir}。新安装的插件默认禁用，启用前会列出它申请的权限。',
+        'plugins.external.trustWarning': '插件的前端代码运行在当前页面，服务端动作运行在本机进程中；权限只是声明与宿主能力的开关，并非沙箱。请只安装可信来源的插件。',
+        'plugins.external.installZip': '从 ZIP 安装',
+        'plugins.external.installing': '安装中...',
+        'plugins.external.empty': '尚未安装第三方插件。',
+        'plugins.external.status.enabled': '已启用',
+        'plugins.external.status.disabled': '已禁用',
+        'plugins.external.status.needs-approval': '待确认权限',
+        'plugins.external.status.error': '错误',
+        'plugins.external.newPermission': '新权限',
+        'plugins.external.open': '打开',
+        'plugins.external.approve': '确认并启用',
+        'plugins.external.enable': '启用',
+        'plugins.external.disable': '禁用',
+        'plugins.external.uninstall': '卸载',
+        'plugins.external.loadFailed': '加载插件列表失败',
+        'plugins.external.apiMismatch': '插件 API 版本 {version} 与当前版本 {current} 不兼容',
+        'plugins.external.mountMissing': '插件 UI 模块未导出 mount 函数',
+        'plugins.external.mountFailed': '插件加载失败：{error}',
+        'plugins.external.enableTitle': '启用插件「{name}」',
+        'plugins.external.enableMessage': '该插件申请以下权限：\n{permissions}\n\n确认启用？',
+        'plugins.external.enableMessageNoPermissions': '该插件未申请额外权限，确认启用？',
+        'plugins.external.enabled': '已启用插件「{name}」',
+        'plugins.external.disabled': '已禁用插件「{name}」',
+        'plugins.external.actionFailed': '插件操作失败',
+        'plugins.external.uninstallTitle': '卸载插件',
+        'plugins.external.uninstallMessage': '将删除插件「{name}」及其数据：\n{dir}',
+        'plugins.external.uninstalled': '已卸载插件「{name}」',
+        'plugins.external.uploadFailed': '插件上传失败 {status}',
+        'plugins.external.zipTooLarge': '插件压缩包不能超过 20MB',
+        'plugins.external.overwriteTitle': '覆盖安装插件',
+        'plugins.external.overwrite': '覆盖安装',
+        'plugins.external.installed': '已安装插件「{name}」v{version}，启用后可使用',
+        'plugins.external.upgraded': '已升级插件「{name}」至 v{version}',
+        'plugins.promptTemplates.commands.title': '安装为命令',
+        'plugins.promptTemplates.commands.hint': '写入 ~/.codex/prompts 或 ~/.claude/commands；单个变量映射为 $ARGUMENTS，多个变量按出现顺序映射为 $1…$9。保存或删除模板时会同步已安装的命令。',
+        'plugins.promptTemplates.commands.saveFirst': '请先保存模板，再安装为命令。',
+        'plugins.promptTemplates.commands.tool.codex': 'Codex 提示词',
+        'plugins.promptTemplates.commands.tool.claude': 'Claude 斜杠命令',
+        'plugins.promptTemplates.commands.namePlaceholder': '命令名（默认取自模板名称）',
+        'plugins.promptTemplates.commands.nameAria': '命令名',
+        'plugins.promptTemplates.commands.status.installed': '已安装',
+        'plugins.promptTemplates.commands.status.modified': '已被手动修改',
+        'plugins.promptTemplates.commands.status.missing': '文件已丢失',
+        'plugins.promptTemplates.commands.status.none': '未安装',
+        'plugins.promptTemplates.commands.install': '安装',
+        'plugins.promptTemplates.commands.reinstall': '重新安装',
+        'plugins.promptTemplates.commands.uninstall': '移除',
+        'plugins.promptTemplates.commands.installed': '已安装为 {invoke}',
+        'plugins.promptTemplates.commands.uninstalled': '命令已移除',
+        'plugins.promptTemplates.commands.installFailed': '安装命令失败',
+        'plugins.promptTemplates.commands.uninstallFailed': '移除命令失败',
+        'plugins.promptTemplates.commands.overwriteTitle': '覆盖命令文件',
+        'plugins.promptTemplates.commands.overwriteConfirm': '覆盖',
+        'plugins.promptTemplates.commands.removeModifiedTitle': '移除已修改的命令',
+        'plugins.promptTemplates.commands.syncSkipped': '已保存，但以下命令未同步：\n{detail}',
+        'plugins.promptTemplates.commands.removeSkipped': '以下命令文件已保留：\n{detail}',
         'plugins.promptTemplates.noPluginSelected': '请先从左侧选择一个插件。',
         'plugins.promptTemplates.varModal.title': '新增变量',
         'plugins.promptTemplates.varModal.nameLabel': '变量名',
@@ -540,7 +699,7 @@ const DICT = Object.freeze({
         'sessions.loadingList': '会话加载中...',
         'sessions.empty': '暂无可用会话记录',
         'sessions.unknownTime': '未知时间',
-        'sessions.query.placeholder.enabled': '关键词检索（支持 Codex/Claude/Gemini/CodeBuddy，例：claude code）',
+        'sessions.query.placeholder.enabled': '全文检索（支持 "短语"、前缀*，例：claude code）',
         'sessions.query.placeholder.disabled': '当前来源暂不支持关键词检索',
         'sessions.pin': '置顶',
         'sessions.unpin': '取消置顶',
@@ -557,7 +716,35 @@ const DICT = Object.freeze({
         'sessions.preview.convert': '生成派生会话',
         'sessions.preview.converting': '生成中...',
         'sessions.preview.convert.loadedOnly': '仅转换已加载消息',
+        'sessions.preview.convert.target': '转换为…',
         'sessions.preview.openStandalone': '新页查看',
+        'sessions.replay.open': '回放',
+        'sessions.replay.close': '退出回放',
+        'sessions.replay.prev': '上一步',
+        'sessions.replay.next': '下一步',
+        'sessions.replay.play': '播放',
+        'sessions.replay.pause': '暂停',
+        'sessions.replay.speed': '播放速度',
+        'sessions.replay.position': '回放进度',
+        'sessions.replay.summary': '{messages} 条消息 · {toolCalls} 次工具调用（失败 {toolErrors}） · {patches} 个补丁',
+        'sessions.replay.clipped': '仅包含最近 {count} 轮',
+        'sessions.replay.empty': '该会话没有可回放的事件',
+        'sessions.replay.loadFailed': '加载回放事件失败',
+        'sessions.replay.type.message': '消息',
+        'sessions.replay.type.reasoning': '推理',
+        'sessions.replay.type.tool_call': '工具调用',
+        'sessions.replay.type.tool_result': '工具输出',
+        'sessions.replay.type.image': '图片',
+        'sessions.replay.status.ok': '成功',
+        'sessions.replay.status.error': '失败',
+        'sessions.replay.status.pending': '无输出',
+        'sessions.replay.patch.add': '新增',
+        'sessions.replay.patch.update': '修改',
+        'sessions.replay.patch.delete': '删除',
+        'sessions.replay.arguments': '参数',
+        'sessions.replay.output': '输出',
+        'sessions.replay.noOutput': '（无输出）',
+        'sessions.replay.reasoningHidden': '（推理内容已加密）',
         'sessions.preview.loadingBody': '正在加载会话内容...',
         'sessions.preview.emptyMsgs': '当前会话暂无可展示消息',
         'sessions.preview.rendering': '正在渲染会话内容...',
@@ -643,7 +830,7 @@ const DICT = Object.freeze({
         'usage.estimatedCost.method.catalog': '按公开模型目录估算',
         'usage.estimatedCost.method.configuredAndCatalog': '按已配置单价 + 公开模型目录估算',
         'usage.estimatedCost.detail.estimate': '{prefix}{method}，估算 {estimate}，覆盖 {covered}/{total} 个会话，约 {percent}% token',
-        'usage.estimatedCost.detail.missing': '{prefix}缺少可匹配的模型单价或 token 拆分。请先补 models.cost，或确认会话已记录 input/output token。',
+        'usage.estimatedCost.detail.missing': '{prefix}缺少可匹配的模型单价或 token 拆分。请先补 models.cost 或 codexmate-model-pricing.json，或确认会话已记录 input/output token。',
         'usage.summary.activeDuration': '活跃时长',
         'usage.summary.activeDuration.title': '累计会话跨度 {value}',
         'usage.summary.totalDuration': '总时长',
@@ -685,7 +872,28 @@ const DICT = Object.freeze({
         'usage.recent.title': '近期活跃会话',
         'usage.sessions.empty': '暂无会话数据',
         'usage.sessions.messages': '{count} 消息',
-        'usage.sessions.topDensity': '消息密度最高'
+        'usage.sessions.topDensity': '消息密度最高',
+        'usage.analytics.title': '会话分析',
+        'usage.analytics.subtitle': '从会话 JSONL 统计工具调用、Shell 命令、回复延迟与放弃的会话',
+        'usage.analytics.allProjects': '全部项目',
+        'usage.analytics.sessions': '已分析会话',
+        'usage.analytics.calls': '工具调用 · {failures} 次失败',
+        'usage.analytics.latency': '平均回复延迟 · P50 {p50} · P95 {p95}',
+        'usage.analytics.abandoned': '放弃的会话',
+        'usage.analytics.tools': '常用工具',
+        'usage.analytics.commands': 'Shell 命令',
+        'usage.analytics.failures': '失败 {count} 次（{rate}%）· {sessions} 个会话',
+        'usage.analytics.empty': '暂无调用记录',
+        'usage.analytics.latencyTitle': '回复延迟分布（{count} 轮）',
+        'usage.analytics.bucket.lt5s': '< 5s',
+        'usage.analytics.bucket.5to15s': '5–15s',
+        'usage.analytics.bucket.15to60s': '15–60s',
+        'usage.analytics.bucket.1to5m': '1–5 分钟',
+        'usage.analytics.bucket.gt5m': '> 5 分钟',
+        'usage.analytics.abandonedTitle': '最后提问未获回复',
+        'usage.analytics.abandonedEmpty': '没有放弃的会话',
+        'usage.analytics.recentCommands': '最近执行的命令',
+        'usage.analytics.loadFailed': '加载会话分析失败'
         ,
 
         // Config panel (Codex)
@@ -736,6 +944,34 @@ const DICT = Object.freeze({
         'config.health.ok': '检查通过',
         'config.health.fail': '检查未通过',
         'config.health.issues': '{count} 项问题',
+        'modelCatalog.sync': '同步模型目录',
+        'modelCatalog.syncing': '同步中...',
+        'modelCatalog.synced': '已同步 {total} 个提供商 · 失败 {failed}',
+        'modelCatalog.syncFailed': '同步模型目录失败',
+        'modelCatalog.loadFailed': '读取模型目录失败',
+        'modelCatalog.hint.context': '上下文 {value}',
+        'modelCatalog.hint.output': '输出 {value}',
+        'modelCatalog.hint.reasoning': '推理',
+        'modelCatalog.hint.tools': '工具调用',
+        'modelCatalog.hint.price': '${input} / ${output} 每 1M token',
+        'providerHealth.title': '提供商监控',
+        'providerHealth.enabled': '在 codexmate run 中定时探测',
+        'providerHealth.interval': '探测间隔',
+        'providerHealth.every': '每 {minutes} 分钟',
+        'providerHealth.runNow': '立即探测',
+        'providerHealth.running': '探测中...',
+        'providerHealth.hint': '按当前模型向每个提供商发送最小请求，记录延迟、状态码与错误类型；连续失败时触发自动化通知。',
+        'providerHealth.lastRun': '上次探测: {time}',
+        'providerHealth.loadFailed': '读取提供商监控数据失败',
+        'providerHealth.saved': '监控设置已保存',
+        'providerHealth.saveFailed': '保存监控设置失败',
+        'providerHealth.runDone': '已探测 {total} 个提供商 · 失败 {failed}',
+        'providerHealth.runFailed': '提供商探测失败',
+        'providerHealth.tooltip.model': '模型: {model}',
+        'providerHealth.tooltip.uptime': '24h 可用率: {value}',
+        'providerHealth.tooltip.latency': '延迟: 平均 {avg}ms · P95 {p95}ms',
+        'providerHealth.tooltip.degraded': '已降级: {error}',
+        'providerHealth.tooltip.errors': '24h 错误: {value}',
         'config.shareCommand': '分享命令',
         'config.shareDisabled': '不可分享'
         ,
@@ -853,6 +1089,7 @@ const DICT = Object.freeze({
         'orchestration.detail.summary.duration': '耗时',
         'orchestration.detail.summary.nodes': '节点数',
         'orchestration.detail.summary.summary': '摘要',
+        'orchestration.detail.summary.binding': '目录绑定',
         'orchestration.detail.node.meta': '{id} · attempts {attempts} · auto-fix {autoFix}',
         'skills.localLabel': '{target} / 本地 Skills',
         'skills.counts': '已装 {installed} · 可导入 {importable}',
@@ -885,13 +1122,84 @@ const DICT = Object.freeze({
         'status.quickSwitchProvider': '快速切换提供商'
         ,
         'side.usage.meta': '本地统计 / 趋势',
+        'side.traffic.meta': '录制 / 检查 / 重放',
         'side.orchestration.meta': '计划 / 队列 / Runs'
         ,
 
+        // Traffic panel
+        'traffic.title': '代理流量',
+        'traffic.refresh': '刷新',
+        'traffic.refreshing': '刷新中...',
+        'traffic.clear': '清空记录',
+        'traffic.clear.title': '清空流量记录',
+        'traffic.clear.message': '将删除所有已录制的请求/响应记录（含轮转文件），此操作不可撤销。',
+        'traffic.clear.confirm': '清空',
+        'traffic.clear.done': '流量记录已清空',
+        'traffic.clear.failed': '清空流量记录失败',
+        'traffic.recording.toggle': '录制代理流量',
+        'traffic.recording.on': '录制中',
+        'traffic.recording.off': '未录制',
+        'traffic.recording.enabled': '已开启流量录制',
+        'traffic.recording.disabled': '已关闭流量录制',
+        'traffic.saveFailed': '保存录制设置失败',
+        'traffic.loadFailed': '加载流量记录失败',
+        'budget.loadFailed': '加载预算状态失败',
+        'budget.state.enabled': '已启用',
+        'budget.state.disabled': '未启用',
+        'budget.count': '{count} 条预算',
+        'budget.remaining': '剩余',
+        'budget.remaining.tokens': '{value} tokens',
+        'budget.period.daily': '每日',
+        'budget.period.monthly': '每月',
+        'webAuth.title': '登录 Codex Mate',
+        'webAuth.hint': '远程访问需要登录。访问令牌可在启动日志或 codexmate web-auth show 中查看。',
+        'webAuth.mode': '登录方式',
+        'webAuth.mode.token': '访问令牌',
+        'webAuth.mode.password': '密码',
+        'webAuth.placeholder.token': '粘贴访问令牌',
+        'webAuth.placeholder.password': '输入密码',
+        'webAuth.submit': '登录',
+        'webAuth.submitting': '登录中...',
+        'webAuth.loginFailed': '登录失败',
+        'webAuth.logout': '退出登录',
+        'webAuth.role.readOnly': '只读',
+        'traffic.loading': '正在加载流量记录...',
+        'traffic.empty': '暂无流量记录',
+        'traffic.hint.disabled': '录制未开启。开启后，内建代理与 Claude 兼容代理转发的请求会脱敏写入 ~/.codex/codexmate-traffic.jsonl。',
+        'traffic.filter.proxy': '代理',
+        'traffic.filter.proxy.all': '全部代理',
+        'traffic.filter.provider': 'Provider',
+        'traffic.filter.provider.all': '全部 Provider',
+        'traffic.filter.status': '状态',
+        'traffic.filter.status.all': '全部状态',
+        'traffic.filter.status.ok': '成功',
+        'traffic.filter.status.error': '失败',
+        'traffic.filter.keyword': '搜索路径 / 模型 / 请求与响应内容',
+        'traffic.list.aria': '流量记录列表',
+        'traffic.detail.empty': '选择一条记录查看详情',
+        'traffic.detail.tokens': '输入 {input} / 输出 {output} tokens',
+        'traffic.detail.requestHeaders': '请求头',
+        'traffic.detail.requestBody': '请求体',
+        'traffic.detail.upstreamBody': '上游请求体（{path}）',
+        'traffic.detail.responseHeaders': '响应头',
+        'traffic.detail.responseBody': '响应体',
+        'traffic.detail.truncated': '已截断',
+        'traffic.replay': '重放',
+        'traffic.replay.running': '重放中...',
+        'traffic.replay.provider': '选择重放 Provider',
+        'traffic.replay.model': '覆盖模型（可选）',
+        'traffic.replay.result': '重放结果：{provider} · {status} · {latency} ms',
+        'traffic.replay.failed': '重放失败',
+        'status.recording': '录制',
+        'status.captured': '记录数',
+        'status.logSize': '日志大小',
+
         // Settings panel
         'settings.tab.backup': '备份与导入',
         'settings.tab.trash': '回收站',
         'settings.tab.device': '设备',
+        'settings.tab.history': '配置历史',
+        'settings.tab.bindings': '目录绑定',
         'settings.tabs.aria': '设置标签页',
         'settings.sharePrefix.title': '分享命令前缀',
         'settings.sharePrefix.meta': '影响 Web UI 里“复制分享命令”的前缀',
@@ -939,7 +1247,45 @@ const DICT = Object.freeze({
         'settings.reset.meta': '谨慎操作',
         'settings.reset.hint': '会先备份 config.toml，再写入默认配置。',
         'settings.reset.button': '重装配置',
-        'settings.reset.loading': '重装中...'
+        'settings.reset.loading': '重装中...',
+
+        'history.title': '配置历史',
+        'history.meta': '每次写入 config.toml / auth.json / settings.json / CLAUDE.md / openclaw.json / AGENTS.md 都会留存版本',
+        'history.filter': '按文件筛选',
+        'history.filter.all': '全部文件',
+        'history.refresh': '刷新',
+        'history.refreshing': '刷新中...',
+        'history.loading': '正在加载配置历史...',
+        'history.loadFailed': '加载配置历史失败',
+        'history.empty': '暂无配置历史',
+        'history.latest': '当前',
+        'history.missing': '文件不存在',
+        'history.selectHint': '选择左侧版本查看差异',
+        'history.detailLoading': '正在加载差异...',
+        'history.detailFailed': '加载版本详情失败',
+        'history.noChanges': '无差异',
+        'history.compare.previous': '对比上一版本',
+        'history.compare.current': '对比当前文件',
+        'history.restore.button': '回滚到此版本',
+        'history.restore.loading': '回滚中...',
+        'history.restore.confirmTitle': '回滚配置',
+        'history.restore.confirmMessage': '将 {file} 恢复为版本 #{id}，当前内容会作为新版本保留。',
+        'history.restore.success': '已回滚到版本 #{id}',
+        'history.restore.unchanged': '当前内容已与版本 #{id} 一致',
+        'history.restore.failed': '回滚失败',
+        'history.kind.codex-config': 'Codex config.toml',
+        'history.kind.codex-auth': 'Codex auth.json',
+        'history.kind.claude-settings': 'Claude settings.json',
+        'history.kind.claude-md': 'CLAUDE.md',
+        'history.kind.openclaw-config': 'openclaw.json',
+        'history.kind.openclaw-workspace': 'OpenClaw 工作区文件',
+        'history.kind.agents': 'AGENTS.md',
+        'history.kind.file': '其他文件',
+        'history.origin.cli': 'CLI',
+        'history.origin.web': 'Web',
+        'history.origin.mcp': 'MCP',
+        'history.origin.automation': '自动化',
+        'history.origin.external': '外部改动'
         ,
 
         // Market (Skills)
@@ -990,7 +1336,56 @@ const DICT = Object.freeze({
         'market.help.crossImport.title': '跨应用导入',
         'market.help.crossImport.copy': '从其他宿主导入未托管 skill。',
         'market.help.zipImport.title': 'ZIP 导入',
-        'market.help.zipImport.copy': '从 ZIP 导入本地 skill。'
+        'market.help.zipImport.copy': '从 ZIP 导入本地 skill。',
+        'market.mcp.title': 'MCP 服务',
+        'market.mcp.subtitle': '统一维护 MCP 服务，并同步到 Codex、Claude Code 和 OpenClaw。',
+        'market.mcp.add': '新增服务',
+        'market.mcp.import': '从工具导入',
+        'market.mcp.sync': '同步',
+        'market.mcp.syncPending': '同步（{count} 项待更新）',
+        'market.mcp.loading': '正在读取 MCP 服务...',
+        'market.mcp.empty': '暂无 MCP 服务，可新增或从现有工具配置导入。',
+        'market.mcp.loadFailed': '读取 MCP 服务失败',
+        'market.mcp.saved': '已保存 MCP 服务: {name}',
+        'market.mcp.saveFailed': '保存 MCP 服务失败',
+        'market.mcp.removeFailed': '删除 MCP 服务失败',
+        'market.mcp.importFailed': '导入 MCP 服务失败',
+        'market.mcp.imported': '导入完成：新增 {added}，关联 {linked}，冲突 {conflicts}',
+        'market.mcp.synced': '已同步到 {tools}',
+        'market.mcp.upToDate': '各工具已是最新',
+        'market.mcp.syncFailed': '同步 MCP 服务失败',
+        'market.mcp.edit': '编辑',
+        'market.mcp.save': '保存',
+        'market.mcp.toolsAria': '{name} 的启用工具',
+        'market.mcp.tool.codex': 'Codex',
+        'market.mcp.tool.claude': 'Claude Code',
+        'market.mcp.tool.openclaw': 'OpenClaw',
+        'market.mcp.tool.unmanaged': '{count} 个未纳管',
+        'market.mcp.tool.missing': '未找到配置',
+        'market.mcp.status.synced': '已同步',
+        'market.mcp.status.changed': '内容不同',
+        'market.mcp.status.missing': '待写入',
+        'market.mcp.status.stale': '待移除',
+        'market.mcp.status.off': '未启用',
+        'market.mcp.status.unsupported': '不支持该传输',
+        'market.mcp.status.error': '读取失败',
+        'market.mcp.form.name': '名称',
+        'market.mcp.form.transport': '传输方式',
+        'market.mcp.form.command': '命令',
+        'market.mcp.form.args': '参数',
+        'market.mcp.form.args.placeholder': '每行一个参数',
+        'market.mcp.form.env': '环境变量',
+        'market.mcp.form.headers': '请求头',
+        'market.mcp.form.description': '说明',
+        'market.mcp.form.keyValueInvalid': '环境变量和请求头需为每行一个 KEY=VALUE',
+        'market.mcp.remove.confirmTitle': '删除 MCP 服务',
+        'market.mcp.remove.confirmMessage': '将从目录删除 {name}，并从已写入的工具配置中移除。',
+        'market.mcp.remove.button': '删除',
+        'market.mcp.test.button': '测试启动',
+        'market.mcp.test.running': '启动中...',
+        'market.mcp.test.ok': '握手成功：{server}（协议 {version}，{ms}ms）',
+        'market.mcp.test.noTools': '该服务未提供工具',
+        'market.mcp.test.failed': '测试启动失败'
         ,
 
         // Claude config panel
@@ -1009,6 +1404,55 @@ const DICT = Object.freeze({
         'claude.md.title': 'CLAUDE.md',
         'claude.md.open': '打开 CLAUDE.md',
         'claude.md.hint': '读写 ~/.claude/CLAUDE.md。',
+        'claude.settings.title': 'settings.json 编辑器',
+        'claude.settings.open': '编辑权限 / Hooks / 环境变量',
+        'claude.settings.close': '收起编辑器',
+        'claude.settings.hint': '结构化编辑 permissions、hooks、env 和默认模型，保存前可预览改动；其余字段保持不变。',
+        'claude.settings.scope.aria': 'settings.json 作用域',
+        'claude.settings.scope.user': '用户级',
+        'claude.settings.scope.project': '项目级',
+        'claude.settings.scope.local': '项目本地',
+        'claude.settings.projectDir': '项目目录',
+        'claude.settings.projectDir.placeholder': '项目绝对路径，如 /home/me/app',
+        'claude.settings.load': '读取',
+        'claude.settings.reload': '重新读取',
+        'claude.settings.loading': '正在读取 settings.json...',
+        'claude.settings.pickProject': '请先填写项目目录并读取。',
+        'claude.settings.willCreate': '文件不存在，保存时创建',
+        'claude.settings.loadFailed': '读取 settings.json 失败',
+        'claude.settings.unset': '未设置',
+        'claude.settings.add': '添加',
+        'claude.settings.remove': '删除',
+        'claude.settings.model.title': '默认模型',
+        'claude.settings.model.default': 'model',
+        'claude.settings.model.opus': 'Opus 档',
+        'claude.settings.model.sonnet': 'Sonnet 档',
+        'claude.settings.model.haiku': 'Haiku 档',
+        'claude.settings.permissions.title': '权限规则',
+        'claude.settings.permissions.defaultMode': '默认模式',
+        'claude.settings.permissions.allow': '允许 (allow)',
+        'claude.settings.permissions.deny': '拒绝 (deny)',
+        'claude.settings.permissions.ask': '询问 (ask)',
+        'claude.settings.permissions.hint': '每行一条规则，格式为 Tool 或 Tool(内容)，例如 Read(./.env)、mcp__github。',
+        'claude.settings.hooks.title': 'Hooks',
+        'claude.settings.hooks.empty': '暂无命令 hook。',
+        'claude.settings.hooks.event': '事件',
+        'claude.settings.hooks.matcher': 'matcher（如 Edit|Write）',
+        'claude.settings.hooks.command': '命令',
+        'claude.settings.hooks.timeout': '超时(秒)',
+        'claude.settings.hooks.preserved': '另有 {count} 个非命令 hook、其它事件（{events}）保持原样。',
+        'claude.settings.env.title': '环境变量',
+        'claude.settings.env.empty': '暂无环境变量。',
+        'claude.settings.env.key': '变量名',
+        'claude.settings.env.value': '变量值',
+        'claude.settings.preview': '预览改动',
+        'claude.settings.save': '保存',
+        'claude.settings.saving': '保存中...',
+        'claude.settings.saved': '已保存 {path}',
+        'claude.settings.unchanged': '内容未变化',
+        'claude.settings.saveFailed': '保存 settings.json 失败',
+        'claude.settings.previewFailed': '生成预览失败',
+        'claude.settings.diff.title': 'settings.json 改动',
         'claude.model.unset': '未设置模型',
         'claude.configured': '已配置',
         'claude.notConfigured': '未配置',
@@ -1164,6 +1608,7 @@ const DICT = Object.freeze({
         'tab.config.openclaw': 'OpenClaw',
         'tab.sessions': 'Sessions',
         'tab.usage': 'Usage',
+        'tab.traffic': 'Traffic',
         'tab.orchestration': 'Tasks',
         'tab.market': 'Skills',
         'tab.plugins': 'Plugins',
@@ -1202,6 +1647,7 @@ const DICT = Object.freeze({
         'kicker.config': 'Configuration',
         'kicker.sessions': 'Sessions',
         'kicker.usage': 'Usage',
+        'kicker.traffic': 'Traffic',
         'kicker.orchestration': 'Tasks',
         'kicker.market': 'Skills',
         'kicker.plugins': 'Plugins',
@@ -1212,6 +1658,7 @@ const DICT = Object.freeze({
         'title.config': 'Local Configuration Console',
         'title.sessions': 'Sessions & Export',
         'title.usage': 'Local Usage & Trends',
+        'title.traffic': 'Proxy Traffic Inspector',
         'title.orchestration': 'Task Orchestration',
         'title.market': 'Skills Install & Sync',
         'title.plugins': 'Plugins & Templates',
@@ -1222,6 +1669,7 @@ const DICT = Object.freeze({
         'subtitle.config': 'Manage local configs and models.',
         'subtitle.sessions': 'Browse and export sessions.',
         'subtitle.usage': 'View usage for the last 7/30 days.',
+        'subtitle.traffic': 'Inspect requests relayed by the local proxies and replay them against another provider.',
         'subtitle.orchestration': 'Plan, queue, run, and review local tasks.',
         'subtitle.market': 'Manage local skills.',
         'subtitle.plugins': 'Manage reusable prompt templates and plugins.',
@@ -1235,6 +1683,82 @@ const DICT = Object.freeze({
         'dashboard.doctor.export.json': 'Export JSON',
         'dashboard.doctor.export.md': 'Export Markdown',
         'dashboard.doctor.open': 'Open',
+        'bundle.title': 'Encrypted bundle',
+        'bundle.meta': 'Move providers, auth profiles, Claude / OpenClaw profiles, workflows, automation rules and prompt templates between machines',
+        'bundle.section.providers': 'Providers',
+        'bundle.section.models': 'Models',
+        'bundle.section.authProfiles': 'Auth profiles',
+        'bundle.section.claudeProfiles': 'Claude profiles',
+        'bundle.section.openclawProfiles': 'OpenClaw profiles',
+        'bundle.section.workflows': 'Workflows',
+        'bundle.section.automation': 'Automation rules',
+        'bundle.section.promptTemplates': 'Prompt templates',
+        'bundle.passphrase': 'Passphrase',
+        'bundle.passphrase.placeholder': 'At least 8 characters; needed again to import',
+        'bundle.export.button': 'Export bundle',
+        'bundle.export.running': 'Exporting...',
+        'bundle.export.noSections': 'Select at least one item',
+        'bundle.export.success': 'Bundle exported',
+        'bundle.export.failed': 'Failed to export bundle',
+        'bundle.import.choose': 'Import bundle',
+        'bundle.import.preview': 'Decrypt & preview',
+        'bundle.import.previewing': 'Decrypting...',
+        'bundle.import.summary': '{new} new, {identical} identical, {conflict} conflicting',
+        'bundle.import.apply': 'Import selected',
+        'bundle.import.success': 'Imported {imported}, skipped {skipped}',
+        'bundle.import.failed': 'Failed to import bundle',
+        'bindings.title': 'Directory bindings',
+        'bindings.meta': 'Pick provider / model / auth per project path; codexmate codex / qwen inject args and env vars at launch without touching global config',
+        'bindings.add': 'Add binding',
+        'bindings.loading': 'Loading directory bindings...',
+        'bindings.empty': 'No directory bindings yet',
+        'bindings.loadFailed': 'Failed to load directory bindings',
+        'bindings.field.pattern': 'Path',
+        'bindings.field.pattern.placeholder': '/work/client-a or ~/src/acme-*',
+        'bindings.field.provider': 'Provider',
+        'bindings.field.model': 'Model',
+        'bindings.field.authProfile': 'Auth',
+        'bindings.field.claudeProfile': 'Claude profile',
+        'bindings.field.note': 'Note',
+        'bindings.field.enabled': 'Enabled',
+        'bindings.field.unset': 'Not bound',
+        'bindings.form.patternRequired': 'Path is required',
+        'bindings.save': 'Save',
+        'bindings.saving': 'Saving...',
+        'bindings.saved': 'Saved directory binding: {pattern}',
+        'bindings.saveFailed': 'Failed to save directory binding',
+        'bindings.edit': 'Edit',
+        'bindings.disabled': 'Disabled',
+        'bindings.delete.button': 'Delete',
+        'bindings.delete.confirmTitle': 'Delete directory binding',
+        'bindings.delete.confirmMessage': 'Delete the binding for {pattern}?',
+        'bindings.deleteFailed': 'Failed to delete directory binding',
+        'bindings.test.label': 'Test path',
+        'bindings.test.placeholder': 'Enter a directory to see which binding applies',
+        'bindings.test.target': 'Launch target',
+        'bindings.test.button': 'Test',
+        'bindings.test.failed': 'Failed to test directory binding',
+        'bindings.test.matched': 'Matched binding: {pattern}',
+        'bindings.test.env': 'Env vars: {keys}',
+        'bindings.test.none': 'No binding matches {cwd}',
+        'bindings.hint': 'Paths without wildcards also match their subdirectories; the most specific match wins. In a shell, eval "$(codexmate bind env)" exports the env vars.',
+        'bundle.import.readFailed': 'Failed to read bundle file',
+        'bundle.status.new': 'New',
+        'bundle.status.identical': 'Identical',
+        'bundle.status.conflict': 'Conflict',
+        'bundle.status.client-only': 'Browser only',
+        'bundle.choice.import': 'Import',
+        'bundle.choice.skip': 'Skip',
+        'bundle.choice.overwrite': 'Overwrite local',
+        'bundle.choice.rename': 'Keep both (rename)',
+        'dashboard.doctor.fix': 'Fix',
+        'dashboard.doctor.fix.running': 'Fixing...',
+        'dashboard.doctor.fix.confirmTitle': 'Apply fix',
+        'dashboard.doctor.fix.confirmBackup': 'Files that will change are backed up to ~/.codex/codexmate-doctor-backups/ first.',
+        'dashboard.doctor.fix.nothing': 'This issue cannot be fixed automatically right now',
+        'dashboard.doctor.fix.success': 'Fix applied. Backup: {dir}',
+        'dashboard.doctor.fix.failed': 'Fix failed',
+        'doctor.action.fix': 'Fix',
         'doctor.action.openConfig': 'Open Config',
         'doctor.action.checkProvider': 'Check provider config',
         'doctor.action.openUsage': 'Open Usage',
@@ -1242,6 +1766,7 @@ const DICT = Object.freeze({
         'doctor.action.openTasks': 'Open Tasks',
         'doctor.action.viewTaskLogs': 'View Tasks / Logs',
         'doctor.action.openSkills': 'Open Skills',
+        'doctor.action.refreshAuth': 'Refresh auth profile',
         'doctor.issue.configNotReady.problem': 'Config is not ready',
         'doctor.issue.configNotReady.impact': 'Provider/model cannot be read; model listing and requests may fail.',
         'doctor.issue.providerUnreachable.problem.remote-model-probe-unreachable': 'Provider unreachable',
@@ -1268,11 +1793,17 @@ const DICT = Object.freeze({
         'doctor.issue.skillsRootMissing.impact': 'Skills install/scan will be empty; create the directory via Settings/Docs.',
         'doctor.issue.skillsMissingFiles.problem': 'Some skills are missing skill.json',
         'doctor.issue.skillsMissingFiles.impact': 'Those skills may not run or sync properly.',
+        'doctor.issue.authProfileExpired.problem': 'Auth profile has expired',
+        'doctor.issue.authProfileExpired.impact': 'Codex requests using this login fail until it is refreshed or re-imported.',
+        'doctor.issue.authProfileExpiring.problem': 'Auth profile expires soon',
+        'doctor.issue.authProfileExpiring.impact': 'Refresh it before it expires to avoid interrupted Codex runs.',
         'dashboard.card.config': 'Config',
         'dashboard.card.sessions': 'Sessions',
         'dashboard.card.usage': 'Usage',
         'dashboard.card.tasks': 'Tasks',
         'dashboard.card.skills': 'Skills',
+        'dashboard.card.budget': 'Proxy budget',
+        'dashboard.card.auth': 'Auth expiry',
         'dashboard.kv.model': 'Model',
         'dashboard.kv.issue': 'Issue',
         'dashboard.kv.active': 'Active',
@@ -1316,6 +1847,19 @@ const DICT = Object.freeze({
         'dashboard.state.ready': 'Ready',
         'dashboard.state.idle': 'Idle',
         'dashboard.none': 'None',
+        'dashboard.kv.current': 'Current',
+        'dashboard.auth.count': '{count} profiles',
+        'dashboard.auth.alerts': '{count} need attention',
+        'dashboard.auth.days': '{count}d',
+        'dashboard.auth.hours': '{count}h',
+        'dashboard.auth.expiry.unknown': 'Unknown',
+        'dashboard.auth.expiry.expired': 'Expired {value} ago',
+        'dashboard.auth.expiry.expiring': 'Expires in {value}',
+        'dashboard.auth.expiry.valid': '{value} left',
+        'dashboard.auth.refresh': 'Refresh',
+        'dashboard.auth.refreshing': 'Refreshing…',
+        'dashboard.auth.refreshed': 'Refreshed auth profile: {name}',
+        'dashboard.auth.refreshFailed': 'Failed to refresh auth profile',
         'dashboard.sessions.count': '{count} sessions',
         'dashboard.usage.range': 'Range {value}',
         'dashboard.tasks.queue': 'run {running} / queue {queued}',
@@ -1379,6 +1923,65 @@ const DICT = Object.freeze({
         'plugins.promptTemplates.preview.hint': 'Rendered output (missing vars become empty).',
         'plugins.promptTemplates.preview.copy': 'Copy',
         'plugins.promptTemplates.preview.outputAria': 'Rendered prompt',
+        'plugins.external.manage': 'Manage',
+        'plugins.external.title': 'Third-party plugins',
+        'plugins.external.hint': 'Plugin directory: {dir}. Newly installed plugins start disabled; enabling one lists the permissions it requests.',
+        'plugins.external.trustWarning': 'Plugin UI code runs in this page and server actions run in the local process. Permissions are declarations and host capability switches, not a sandbox. Only install plugins you trust.',
+        'plugins.external.installZip': 'Install from ZIP',
+        'plugins.external.installing': 'Installing...',
+        'plugins.external.empty': 'No third-party plugins installed.',
+        'plugins.external.status.enabled': 'Enabled',
+        'plugins.external.status.disabled': 'Disabled',
+        'plugins.external.status.needs-approval': 'Needs approval',
+        'plugins.external.status.error': 'Error',
+        'plugins.external.newPermission': 'New',
+        'plugins.external.open': 'Open',
+        'plugins.external.approve': 'Approve & enable',
+        'plugins.external.enable': 'Enable',
+        'plugins.external.disable': 'Disable',
+        'plugins.external.uninstall': 'Uninstall',
+        'plugins.external.loadFailed': 'Failed to load plugins',
+        'plugins.external.apiMismatch': 'Plugin API version {version} is not compatible with {current}',
+        'plugins.external.mountMissing': 'Plugin UI module does not export a mount function',
+        'plugins.external.mountFailed': 'Plugin failed to load: {error}',
+        'plugins.external.enableTitle': 'Enable plugin "{name}"',
+        'plugins.external.enableMessage': 'This plugin requests the following permissions:\n{permissions}\n\nEnable it?',
+        'plugins.external.enableMessageNoPermissions': 'This plugin requests no extra permissions. Enable it?',
+        'plugins.external.enabled': 'Enabled plugin "{name}"',
+        'plugins.external.disabled': 'Disabled plugin "{name}"',
+        'plugins.external.actionFailed': 'Plugin operation failed',
+        'plugins.external.uninstallTitle': 'Uninstall plugin',
+        'plugins.external.uninstallMessage': 'Plugin "{name}" and its data will be deleted:\n{dir}',
+        'plugins.external.uninstalled': 'Uninstalled plugin "{name}"',
+        'plugins.external.uploadFailed': 'Plugin upload failed {status}',
+        'plugins.external.zipTooLarge': 'Plugin ZIP must be 20MB or smaller',
+        'plugins.external.overwriteTitle': 'Overwrite plugin',
+        'plugins.external.overwrite': 'Overwrite',
+        'plugins.external.installed': 'Installed plugin "{name}" v{version}; enable it to use',
+        'plugins.external.upgraded': 'Upgraded plugin "{name}" to v{version}',
+        'plugins.promptTemplates.commands.title': 'Install as command',
+        'plugins.promptTemplates.commands.hint': 'Writes to ~/.codex/prompts or ~/.claude/commands. A single variable maps to $ARGUMENTS; several map to $1…$9 in order of appearance. Installed commands follow template saves and deletions.',
+        'plugins.promptTemplates.commands.saveFirst': 'Save the template before installing it as a command.',
+        'plugins.promptTemplates.commands.tool.codex': 'Codex prompt',
+        'plugins.promptTemplates.commands.tool.claude': 'Claude slash command',
+        'plugins.promptTemplates.commands.namePlaceholder': 'Command name (defaults to the template name)',
+        'plugins.promptTemplates.commands.nameAria': 'Command name',
+        'plugins.promptTemplates.commands.status.installed': 'installed',
+        'plugins.promptTemplates.commands.status.modified': 'edited by hand',
+        'plugins.promptTemplates.commands.status.missing': 'file missing',
+        'plugins.promptTemplates.commands.status.none': 'Not installed',
+        'plugins.promptTemplates.commands.install': 'Install',
+        'plugins.promptTemplates.commands.reinstall': 'Reinstall',
+        'plugins.promptTemplates.commands.uninstall': 'Remove',
+        'plugins.promptTemplates.commands.installed': 'Installed as {invoke}',
+        'plugins.promptTemplates.commands.uninstalled': 'Command removed',
+        'plugins.promptTemplates.commands.installFailed': 'Failed to install command',
+        'plugins.promptTemplates.commands.uninstallFailed': 'Failed to remove command',
+        'plugins.promptTemplates.commands.overwriteTitle': 'Overwrite command file',
+        'plugins.promptTemplates.commands.overwriteConfirm': 'Overwrite',
+        'plugins.promptTemplates.commands.removeModifiedTitle': 'Remove edited command',
+        'plugins.promptTemplates.commands.syncSkipped': 'Saved, but these commands were not updated:\n{detail}',
+        'plugins.promptTemplates.commands.removeSkipped': 'These command files were kept:\n{detail}',
         'plugins.promptTemplates.noPluginSelected': 'Select a plugin from the left panel first.',
         'plugins.promptTemplates.varModal.title': 'Add variable',
         'plugins.promptTemplates.varModal.nameLabel': 'Variable name',
@@ -1579,7 +2182,7 @@ const DICT = Object.freeze({
         'sessions.loadingList': 'Loading sessions...',
         'sessions.empty': 'No sessions found',
         'sessions.unknownTime': 'unknown time',
-        'sessions.query.placeholder.enabled': 'Search keywords (Codex/Claude/Gemini/CodeBuddy, e.g. claude code)',
+        'sessions.query.placeholder.enabled': 'Full-text search ("phrase", prefix*, e.g. claude code)',
         'sessions.query.placeholder.disabled': 'Keyword search is not available for this source',
         'sessions.pin': 'Pin',
         'sessions.unpin': 'Unpin',
@@ -1596,7 +2199,35 @@ const DICT = Object.freeze({
         'sessions.preview.convert': 'Create derived',
         'sessions.preview.converting': 'Creating...',
         'sessions.preview.convert.loadedOnly': 'Converted loaded messages only',
+        'sessions.preview.convert.target': 'Convert to…',
         'sessions.preview.openStandalone': 'Open in new tab',
+        'sessions.replay.open': 'Replay',
+        'sessions.replay.close': 'Exit replay',
+        'sessions.replay.prev': 'Previous',
+        'sessions.replay.next': 'Next',
+        'sessions.replay.play': 'Play',
+        'sessions.replay.pause': 'Pause',
+        'sessions.replay.speed': 'Playback speed',
+        'sessions.replay.position': 'Replay position',
+        'sessions.replay.summary': '{messages} messages · {toolCalls} tool calls ({toolErrors} failed) · {patches} patches',
+        'sessions.replay.clipped': 'latest {count} turns only',
+        'sessions.replay.empty': 'No replayable events in this session',
+        'sessions.replay.loadFailed': 'Failed to load replay events',
+        'sessions.replay.type.message': 'Message',
+        'sessions.replay.type.reasoning': 'Reasoning',
+        'sessions.replay.type.tool_call': 'Tool call',
+        'sessions.replay.type.tool_result': 'Tool output',
+        'sessions.replay.type.image': 'Image',
+        'sessions.replay.status.ok': 'OK',
+        'sessions.replay.status.error': 'Failed',
+        'sessions.replay.status.pending': 'No output',
+        'sessions.replay.patch.add': 'Add',
+        'sessions.replay.patch.update': 'Update',
+        'sessions.replay.patch.delete': 'Delete',
+        'sessions.replay.arguments': 'Arguments',
+        'sessions.replay.output': 'Output',
+        'sessions.replay.noOutput': '(no output)',
+        'sessions.replay.reasoningHidden': '(reasoning is encrypted)',
         'sessions.preview.loadingBody': 'Loading session content...',
         'sessions.preview.emptyMsgs': 'No messages to display',
         'sessions.preview.rendering': 'Rendering session content...',
@@ -1682,7 +2313,7 @@ const DICT = Object.freeze({
         'usage.estimatedCost.method.catalog': 'Estimated using public catalog pricing',
         'usage.estimatedCost.method.configuredAndCatalog': 'Estimated using configured + public catalog pricing',
         'usage.estimatedCost.detail.estimate': '{prefix}{method}. Estimate {estimate}. Coverage {covered}/{total} sessions (~{percent}% tokens).',
-        'usage.estimatedCost.detail.missing': '{prefix}Missing matching model pricing or token breakdown. Add models.cost or ensure sessions record input/output tokens.',
+        'usage.estimatedCost.detail.missing': '{prefix}Missing matching model pricing or token breakdown. Add models.cost or codexmate-model-pricing.json, or ensure sessions record input/output tokens.',
         'usage.summary.activeDuration': 'Active duration',
         'usage.summary.activeDuration.title': 'Active span {value}',
         'usage.summary.totalDuration': 'Total duration',
@@ -1724,7 +2355,28 @@ const DICT = Object.freeze({
         'usage.recent.title': 'Recently active sessions',
         'usage.sessions.empty': 'No session data',
         'usage.sessions.messages': '{count} messages',
-        'usage.sessions.topDensity': 'Most messages'
+        'usage.sessions.topDensity': 'Most messages',
+        'usage.analytics.title': 'Session analytics',
+        'usage.analytics.subtitle': 'Tool calls, shell commands, reply latency and abandoned sessions from the session JSONL',
+        'usage.analytics.allProjects': 'All projects',
+        'usage.analytics.sessions': 'Sessions analyzed',
+        'usage.analytics.calls': 'Tool calls · {failures} failed',
+        'usage.analytics.latency': 'Avg reply latency · P50 {p50} · P95 {p95}',
+        'usage.analytics.abandoned': 'Abandoned sessions',
+        'usage.analytics.tools': 'Top tools',
+        'usage.analytics.commands': 'Shell commands',
+        'usage.analytics.failures': '{count} failed ({rate}%) · {sessions} sessions',
+        'usage.analytics.empty': 'No calls recorded',
+        'usage.analytics.latencyTitle': 'Reply latency ({count} turns)',
+        'usage.analytics.bucket.lt5s': '< 5s',
+        'usage.analytics.bucket.5to15s': '5–15s',
+        'usage.analytics.bucket.15to60s': '15–60s',
+        'usage.analytics.bucket.1to5m': '1–5 min',
+        'usage.analytics.bucket.gt5m': '> 5 min',
+        'usage.analytics.abandonedTitle': 'Last prompt never answered',
+        'usage.analytics.abandonedEmpty': 'No abandoned sessions',
+        'usage.analytics.recentCommands': 'Recent commands',
+        'usage.analytics.loadFailed': 'Failed to load session analytics'
         ,
 
         // Config panel (Codex)
@@ -1775,6 +2427,34 @@ const DICT = Object.freeze({
         'config.health.ok': 'Passed',
         'config.health.fail': 'Failed',
         'config.health.issues': '{count} issues',
+        'modelCatalog.sync': 'Sync model catalog',
+        'modelCatalog.syncing': 'Syncing...',
+        'modelCatalog.synced': 'Synced {total} providers · {failed} failed',
+        'modelCatalog.syncFailed': 'Failed to sync model catalog',
+        'modelCatalog.loadFailed': 'Failed to load model catalog',
+        'modelCatalog.hint.context': '{value} context',
+        'modelCatalog.hint.output': '{value} output',
+        'modelCatalog.hint.reasoning': 'reasoning',
+        'modelCatalog.hint.tools': 'tools',
+        'modelCatalog.hint.price': '${input} / ${output} per 1M tokens',
+        'providerHealth.title': 'Provider monitor',
+        'providerHealth.enabled': 'Probe on a schedule while codexmate run is up',
+        'providerHealth.interval': 'Probe interval',
+        'providerHealth.every': 'Every {minutes} min',
+        'providerHealth.runNow': 'Probe now',
+        'providerHealth.running': 'Probing...',
+        'providerHealth.hint': 'Sends a minimal request to each provider with its current model and records latency, status code and error class; repeated failures fire automation notifiers.',
+        'providerHealth.lastRun': 'Last probe: {time}',
+        'providerHealth.loadFailed': 'Failed to load provider monitor data',
+        'providerHealth.saved': 'Monitor settings saved',
+        'providerHealth.saveFailed': 'Failed to save monitor settings',
+        'providerHealth.runDone': 'Probed {total} providers · {failed} failed',
+        'providerHealth.runFailed': 'Provider probe failed',
+        'providerHealth.tooltip.model': 'Model: {model}',
+        'providerHealth.tooltip.uptime': '24h uptime: {value}',
+        'providerHealth.tooltip.latency': 'Latency: avg {avg}ms · p95 {p95}ms',
+        'providerHealth.tooltip.degraded': 'Degraded: {error}',
+        'providerHealth.tooltip.errors': '24h errors: {value}',
         'config.shareCommand': 'Share command',
         'config.shareDisabled': 'Not shareable'
         ,
@@ -1892,6 +2572,7 @@ const DICT = Object.freeze({
         'orchestration.detail.summary.duration': 'Duration',
         'orchestration.detail.summary.nodes': 'Nodes',
         'orchestration.detail.summary.summary': 'Summary',
+        'orchestration.detail.summary.binding': 'Directory binding',
         'orchestration.detail.node.meta': '{id} · attempts {attempts} · auto-fix {autoFix}',
         'skills.localLabel': '{target} / Local skills',
         'skills.counts': '{installed} installed · {importable} importable',
@@ -1924,13 +2605,84 @@ const DICT = Object.freeze({
         'status.quickSwitchProvider': 'Quick switch provider'
         ,
         'side.usage.meta': 'Local stats / Trends',
+        'side.traffic.meta': 'Record / Inspect / Replay',
         'side.orchestration.meta': 'Plan / Queue / Runs'
         ,
 
+        // Traffic panel
+        'traffic.title': 'Proxy Traffic',
+        'traffic.refresh': 'Refresh',
+        'traffic.refreshing': 'Refreshing...',
+        'traffic.clear': 'Clear log',
+        'traffic.clear.title': 'Clear traffic log',
+        'traffic.clear.message': 'All recorded request/response pairs (including rotated files) will be deleted. This cannot be undone.',
+        'traffic.clear.confirm': 'Clear',
+        'traffic.clear.done': 'Traffic log cleared',
+        'traffic.clear.failed': 'Failed to clear traffic log',
+        'traffic.recording.toggle': 'Record proxy traffic',
+        'traffic.recording.on': 'Recording',
+        'traffic.recording.off': 'Not recording',
+        'traffic.recording.enabled': 'Traffic recording enabled',
+        'traffic.recording.disabled': 'Traffic recording disabled',
+        'traffic.saveFailed': 'Failed to save recording settings',
+        'traffic.loadFailed': 'Failed to load traffic log',
+        'budget.loadFailed': 'Failed to load budget status',
+        'budget.state.enabled': 'Enabled',
+        'budget.state.disabled': 'Disabled',
+        'budget.count': '{count} budgets',
+        'budget.remaining': 'Remaining',
+        'budget.remaining.tokens': '{value} tokens',
+        'budget.period.daily': 'daily',
+        'budget.period.monthly': 'monthly',
+        'webAuth.title': 'Sign in to Codex Mate',
+        'webAuth.hint': 'Remote access requires sign-in. Find the access token in the startup log or via codexmate web-auth show.',
+        'webAuth.mode': 'Sign-in method',
+        'webAuth.mode.token': 'Access token',
+        'webAuth.mode.password': 'Password',
+        'webAuth.placeholder.token': 'Paste access token',
+        'webAuth.placeholder.password': 'Enter password',
+        'webAuth.submit': 'Sign in',
+        'webAuth.submitting': 'Signing in...',
+        'webAuth.loginFailed': 'Sign-in failed',
+        'webAuth.logout': 'Sign out',
+        'webAuth.role.readOnly': 'Read-only',
+        'traffic.loading': 'Loading traffic log...',
+        'traffic.empty': 'No traffic recorded yet',
+        'traffic.hint.disabled': 'Recording is off. When enabled, requests relayed by the built-in and Claude proxies are redacted and appended to ~/.codex/codexmate-traffic.jsonl.',
+        'traffic.filter.proxy': 'Proxy',
+        'traffic.filter.proxy.all': 'All proxies',
+        'traffic.filter.provider': 'Provider',
+        'traffic.filter.provider.all': 'All providers',
+        'traffic.filter.status': 'Status',
+        'traffic.filter.status.all': 'All statuses',
+        'traffic.filter.status.ok': 'Success',
+        'traffic.filter.status.error': 'Failed',
+        'traffic.filter.keyword': 'Search path / model / request and response bodies',
+        'traffic.list.aria': 'Traffic entries',
+        'traffic.detail.empty': 'Select an entry to inspect it',
+        'traffic.detail.tokens': '{input} in / {output} out tokens',
+        'traffic.detail.requestHeaders': 'Request headers',
+        'traffic.detail.requestBody': 'Request body',
+        'traffic.detail.upstreamBody': 'Upstream request body ({path})',
+        'traffic.detail.responseHeaders': 'Response headers',
+        'traffic.detail.responseBody': 'Response body',
+        'traffic.detail.truncated': 'Truncated',
+        'traffic.replay': 'Replay',
+        'traffic.replay.running': 'Replaying...',
+        'traffic.replay.provider': 'Replay against provider',
+        'traffic.replay.model': 'Override model (optional)',
+        'traffic.replay.result': 'Replay: {provider} · {status} · {latency} ms',
+        'traffic.replay.failed': 'Replay failed',
+        'status.recording': 'Recording',
+        'status.captured': 'Entries',
+        'status.logSize': 'Log size',
+
         // Settings panel
         'settings.tab.backup': 'Backup & Import',
         'settings.tab.trash': 'Trash',
         'settings.tab.device': 'Device',
+        'settings.tab.history': 'Config history',
+        'settings.tab.bindings': 'Directory bindings',
         'settings.tabs.aria': 'Settings tabs',
         'settings.sharePrefix.title': 'Share command prefix',
         'settings.sharePrefix.meta': 'Used as the prefix for “Copy share command” in the Web UI',
@@ -1978,7 +2730,45 @@ const DICT = Object.freeze({
         'settings.reset.meta': 'Proceed with caution',
         'settings.reset.hint': 'Backs up config.toml, then writes default config.',
         'settings.reset.button': 'Reset config',
-        'settings.reset.loading': 'Resetting...'
+        'settings.reset.loading': 'Resetting...',
+
+        'history.title': 'Config history',
+        'history.meta': 'Every write to config.toml / auth.json / settings.json / CLAUDE.md / openclaw.json / AGENTS.md keeps a version',
+        'history.filter': 'Filter by file',
+        'history.filter.all': 'All files',
+        'history.refresh': 'Refresh',
+        'history.refreshing': 'Refreshing...',
+        'history.loading': 'Loading config history...',
+        'history.loadFailed': 'Failed to load config history',
+        'history.empty': 'No config history yet',
+        'history.latest': 'current',
+        'history.missing': 'file absent',
+        'history.selectHint': 'Select a version to view its diff',
+        'history.detailLoading': 'Loading diff...',
+        'history.detailFailed': 'Failed to load version detail',
+        'history.noChanges': 'No changes',
+        'history.compare.previous': 'vs previous',
+        'history.compare.current': 'vs current file',
+        'history.restore.button': 'Roll back here',
+        'history.restore.loading': 'Rolling back...',
+        'history.restore.confirmTitle': 'Roll back config',
+        'history.restore.confirmMessage': 'Restore {file} to version #{id}. The current content is kept as a new version.',
+        'history.restore.success': 'Rolled back to version #{id}',
+        'history.restore.unchanged': 'Current content already matches version #{id}',
+        'history.restore.failed': 'Rollback failed',
+        'history.kind.codex-config': 'Codex config.toml',
+        'history.kind.codex-auth': 'Codex auth.json',
+        'history.kind.claude-settings': 'Claude settings.json',
+        'history.kind.claude-md': 'CLAUDE.md',
+        'history.kind.openclaw-config': 'openclaw.json',
+        'history.kind.openclaw-workspace': 'OpenClaw workspace file',
+        'history.kind.agents': 'AGENTS.md',
+        'history.kind.file': 'Other file',
+        'history.origin.cli': 'CLI',
+        'history.origin.web': 'Web',
+        'history.origin.mcp': 'MCP',
+        'history.origin.automation': 'Automation',
+        'history.origin.external': 'External edit'
         ,
 
         // Market (Skills)
@@ -2029,7 +2819,56 @@ const DICT = Object.freeze({
         'market.help.crossImport.title': 'Cross-app import',
         'market.help.crossImport.copy': 'Import unmanaged skills from other hosts.',
         'market.help.zipImport.title': 'ZIP import',
-        'market.help.zipImport.copy': 'Import local skills from a ZIP file.'
+        'market.help.zipImport.copy': 'Import local skills from a ZIP file.',
+        'market.mcp.title': 'MCP Servers',
+        'market.mcp.subtitle': 'Keep one MCP server catalog and sync it to Codex, Claude Code and OpenClaw.',
+        'market.mcp.add': 'Add server',
+        'market.mcp.import': 'Import from tools',
+        'market.mcp.sync': 'Sync',
+        'market.mcp.syncPending': 'Sync ({count} pending)',
+        'market.mcp.loading': 'Loading MCP servers...',
+        'market.mcp.empty': 'No MCP servers yet. Add one or import from existing tool configs.',
+        'market.mcp.loadFailed': 'Failed to load MCP servers',
+        'market.mcp.saved': 'Saved MCP server: {name}',
+        'market.mcp.saveFailed': 'Failed to save MCP server',
+        'market.mcp.removeFailed': 'Failed to remove MCP server',
+        'market.mcp.importFailed': 'Failed to import MCP servers',
+        'market.mcp.imported': 'Import done: {added} added, {linked} linked, {conflicts} conflicts',
+        'market.mcp.synced': 'Synced to {tools}',
+        'market.mcp.upToDate': 'All tools are up to date',
+        'market.mcp.syncFailed': 'Failed to sync MCP servers',
+        'market.mcp.edit': 'Edit',
+        'market.mcp.save': 'Save',
+        'market.mcp.toolsAria': 'Tools enabled for {name}',
+        'market.mcp.tool.codex': 'Codex',
+        'market.mcp.tool.claude': 'Claude Code',
+        'market.mcp.tool.openclaw': 'OpenClaw',
+        'market.mcp.tool.unmanaged': '{count} unmanaged',
+        'market.mcp.tool.missing': 'No config found',
+        'market.mcp.status.synced': 'Synced',
+        'market.mcp.status.changed': 'Differs',
+        'market.mcp.status.missing': 'To add',
+        'market.mcp.status.stale': 'To remove',
+        'market.mcp.status.off': 'Off',
+        'market.mcp.status.unsupported': 'Transport unsupported',
+        'market.mcp.status.error': 'Read failed',
+        'market.mcp.form.name': 'Name',
+        'market.mcp.form.transport': 'Transport',
+        'market.mcp.form.command': 'Command',
+        'market.mcp.form.args': 'Arguments',
+        'market.mcp.form.args.placeholder': 'One argument per line',
+        'market.mcp.form.env': 'Environment',
+        'market.mcp.form.headers': 'Headers',
+        'market.mcp.form.description': 'Description',
+        'market.mcp.form.keyValueInvalid': 'Environment and headers must be one KEY=VALUE per line',
+        'market.mcp.remove.confirmTitle': 'Remove MCP server',
+        'market.mcp.remove.confirmMessage': 'Remove {name} from the catalog and from every tool config it was written to.',
+        'market.mcp.remove.button': 'Remove',
+        'market.mcp.test.button': 'Test launch',
+        'market.mcp.test.running': 'Launching...',
+        'market.mcp.test.ok': 'Handshake OK: {server} (protocol {version}, {ms}ms)',
+        'market.mcp.test.noTools': 'This server exposes no tools',
+        'market.mcp.test.failed': 'Test launch failed'
         ,
 
         // Claude config panel
@@ -2048,6 +2887,55 @@ const DICT = Object.freeze({
         'claude.md.title': 'CLAUDE.md',
         'claude.md.open': 'Open CLAUDE.md',
         'claude.md.hint': 'Read/write ~/.claude/CLAUDE.md.',
+        'claude.settings.title': 'settings.json editor',
+        'claude.settings.open': 'Edit permissions / hooks / env',
+        'claude.settings.close': 'Close editor',
+        'claude.settings.hint': 'Structured editing for permissions, hooks, env and model defaults, with a diff preview before saving. Other keys are left untouched.',
+        'claude.settings.scope.aria': 'settings.json scope',
+        'claude.settings.scope.user': 'User',
+        'claude.settings.scope.project': 'Project',
+        'claude.settings.scope.local': 'Project local',
+        'claude.settings.projectDir': 'Project directory',
+        'claude.settings.projectDir.placeholder': 'Absolute project path, e.g. /home/me/app',
+        'claude.settings.load': 'Load',
+        'claude.settings.reload': 'Reload',
+        'claude.settings.loading': 'Loading settings.json...',
+        'claude.settings.pickProject': 'Enter a project directory and load it first.',
+        'claude.settings.willCreate': 'file does not exist yet and will be created on save',
+        'claude.settings.loadFailed': 'Failed to load settings.json',
+        'claude.settings.unset': 'Not set',
+        'claude.settings.add': 'Add',
+        'claude.settings.remove': 'Remove',
+        'claude.settings.model.title': 'Model defaults',
+        'claude.settings.model.default': 'model',
+        'claude.settings.model.opus': 'Opus tier',
+        'claude.settings.model.sonnet': 'Sonnet tier',
+        'claude.settings.model.haiku': 'Haiku tier',
+        'claude.settings.permissions.title': 'Permission rules',
+        'claude.settings.permissions.defaultMode': 'Default mode',
+        'claude.settings.permissions.allow': 'Allow',
+        'claude.settings.permissions.deny': 'Deny',
+        'claude.settings.permissions.ask': 'Ask',
+        'claude.settings.permissions.hint': 'One rule per line, as Tool or Tool(specifier), e.g. Read(./.env) or mcp__github.',
+        'claude.settings.hooks.title': 'Hooks',
+        'claude.settings.hooks.empty': 'No command hooks.',
+        'claude.settings.hooks.event': 'Event',
+        'claude.settings.hooks.matcher': 'matcher (e.g. Edit|Write)',
+        'claude.settings.hooks.command': 'Command',
+        'claude.settings.hooks.timeout': 'Timeout (s)',
+        'claude.settings.hooks.preserved': '{count} non-command hooks and other events ({events}) are kept as they are.',
+        'claude.settings.env.title': 'Environment',
+        'claude.settings.env.empty': 'No environment variables.',
+        'claude.settings.env.key': 'Name',
+        'claude.settings.env.value': 'Value',
+        'claude.settings.preview': 'Preview changes',
+        'claude.settings.save': 'Save',
+        'claude.settings.saving': 'Saving...',
+        'claude.settings.saved': 'Saved {path}',
+        'claude.settings.unchanged': 'Nothing changed',
+        'claude.settings.saveFailed': 'Failed to save settings.json',
+        'claude.settings.previewFailed': 'Failed to build preview',
+        'claude.settings.diff.title': 'settings.json changes',
         'claude.model.unset': 'Model not set',
         'claude.configured': 'Configured',
         'claude.notConfigured': 'Not configured',
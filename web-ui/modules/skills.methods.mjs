@@ -1,4 +1,6 @@
-﻿function createUnsupportedSkillsTargetAppError(app) {
+﻿import { fetchWithApiAuth } from './api.mjs';
+
+function createUnsupportedSkillsTargetAppError(app) {
     return new Error(`Unsupported skills target app: ${String(app)}`);
 }
 
@@ -318,7 +320,7 @@ export function createSkillsMethods({ api }) {
             const fileName = (file && typeof file.name === 'string' && file.name.trim())
                 ? file.name.trim()
                 : `${this.skillsTargetApp}-skills.zip`;
-            const response = await fetch(`/api/import-skills-zip?targetApp=${encodeURIComponent(this.skillsTargetApp)}`, {
+            const response = await fetchWithApiAuth(`/api/import-skills-zip?targetApp=${encodeURIComponent(this.skillsTargetApp)}`, {
                 method: 'POST',
                 headers: {
                     'x-codexmate-file-name': encodeURIComponent(fileName)
@@ -85,6 +85,7 @@ export function switchMainTab(tab) {
     const leavingSessions = previousTab === 'sessions' && nextTab !== 'sessions';
     const enteringSessionsTab = nextTab === 'sessions';
     const enteringUsageTab = nextTab === 'usage';
+    const enteringTrafficTab = nextTab === 'traffic';
     const enteringOrchestrationTab = nextTab === 'orchestration';
     const enteringPluginsTab = nextTab === 'plugins';
     emitSessionLoadDebug(this, 'switchMainTab:start', `from=${previousTab}\nto=${nextTab}`);
@@ -141,6 +142,12 @@ export function switchMainTab(tab) {
     if (enteringUsageTab && !this.sessionsUsageLoadedOnce && typeof this.loadSessionsUsage === 'function') {
         this.loadSessionsUsage();
     }
+    if (enteringUsageTab && this.sessionAnalytics && !this.sessionAnalytics.loadedOnce && typeof this.loadSessionAnalytics === 'function') {
+        void Promise.resolve(this.loadSessionAnalytics({ silent: true })).catch(() => {});
+    }
+    if (enteringTrafficTab && previousTab !== 'traffic' && typeof this.loadTrafficOverview === 'function') {
+        void Promise.resolve(this.loadTrafficOverview({ silent: true })).catch(() => {});
+    }
     if (enteringOrchestrationTab && typeof this.loadTaskOrchestrationOverview === 'function') {
         let orchestrationOverviewLoad = null;
         try {
@@ -186,8 +193,14 @@ export function switchMainTab(tab) {
         }
         void Promise.resolve(marketOverviewLoad).catch(() => {});
     }
+    if (nextTab === 'market' && previousTab !== 'market' && this.mcpServers && typeof this.loadMcpServers === 'function') {
+        void Promise.resolve(this.loadMcpServers({ silent: true })).catch(() => {});
+    }
     if (enteringPluginsTab && typeof this.loadPluginsOverview === 'function') {
         // Default behavior: always land on Prompt Templates + Compose when entering Plugins.
+        if (typeof this.resetExternalPluginView === 'function') {
+            this.resetExternalPluginView();
+        }
         this.pluginsActiveId = 'prompt-templates';
         this.promptTemplatesMode = 'compose';
         this.promptComposerPickerVisible = false;